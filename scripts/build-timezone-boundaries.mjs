@@ -0,0 +1,368 @@
+/**
+ * Timezone Boundaries Builder
+ * Regenerates src/lib/timezone-boundaries.js from the geo-tz boundary data
+ *
+ * The tools are not app dependencies; install them into a scratch directory first:
+ *   mkdir /tmp/tz-build && cd /tmp/tz-build && npm init -y
+ *   npm install geo-tz@8.1.9 geobuf@3 pbf@3 mapshaper@0.7.70 all-the-cities@3.1.0
+ * then run from the repository root:
+ *   node scripts/build-timezone-boundaries.mjs /tmp/tz-build
+ *
+ * Steps:
+ * 1. Decode the geo-tz quadtree tiles into one GeoJSON file of zone pieces
+ * 2. Snap and dissolve the pieces by zone with mapshaper, keeping shared borders as TopoJSON arcs
+ * 3. Simplify every arc once with Douglas-Peucker, using a fine tolerance within reach of any
+ *    town of 10,000 people or more and a coarse one elsewhere, so neighbouring zones stay seamless
+ * 4. Encode the rings as polylines at 0.001° precision
+ *
+ * The decoded and dissolved files are kept in the scratch directory and reused on the next run.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { createRequire } from 'node:module';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const OUTPUT_FILE = path.resolve('src/lib/timezone-boundaries.js');
+const GEO_TZ_VERSION = '8.1.9';
+
+const MIN_POPULATION = 10000;
+const POPULATED_RADIUS_KM = 15;
+const FINE_TOLERANCE_KM = 1;
+const COARSE_TOLERANCE_KM = 30;
+const GRID_CELL_DEGREES = 0.1;
+const KM_PER_DEGREE = 111.32;
+const PRECISION = 1000;
+
+const HEADER = `/**
+ * Timezone Boundaries
+ * Simplified IANA timezone boundaries for offline coordinate lookup
+ *
+ * Generated by scripts/build-timezone-boundaries.mjs from the comprehensive timezone-boundary-builder
+ * dataset shipped with geo-tz ${GEO_TZ_VERSION}: dissolved by zone with mapshaper and simplified to ${FINE_TOLERANCE_KM} km
+ * within ${POPULATED_RADIUS_KM} km of towns of ${MIN_POPULATION.toLocaleString('en-US')} people or more and to ${COARSE_TOLERANCE_KM} km elsewhere,
+ * keeping every island larger than the stored precision.
+ * Boundaries include territorial waters; open ocean is left to the Etc/GMT zones.
+ * Boundary data © OpenStreetMap contributors, available under the Open Database License (ODbL).
+ *
+ * Each zone maps to its polygons, each a list of rings (outer ring first, then holes) stored as
+ * encoded polyline strings of latitude/longitude at 0.001° precision with the closing point omitted.
+ */
+`;
+
+/**
+ * Decodes the geo-tz quadtree into a GeoJSON file with one feature per zone piece
+ * Leaf tiles hold geobuf-encoded boundaries; tiles that lie wholly inside one zone are stored as its index
+ * @param {Function} require - Resolves modules from the scratch directory
+ * @param {string} dataDir - The geo-tz data directory
+ * @param {string} outputFile - The GeoJSON file to write
+ */
+function decodeTiles(require, dataDir, outputFile) {
+  const geobuf = require('geobuf');
+  const Pbf = require('pbf');
+  const index = JSON.parse(fs.readFileSync(path.join(dataDir, 'timezones.geojson.index.json'), 'utf8'));
+  const fd = fs.openSync(path.join(dataDir, 'timezones.geojson.geo.dat'), 'r');
+  const features = [];
+
+  const walk = (node, bounds) => {
+    const midLat = (bounds.top + bounds.bottom) / 2;
+    const midLng = (bounds.left + bounds.right) / 2;
+    const quadrants = {
+      a: { top: bounds.top, bottom: midLat, left: midLng, right: bounds.right },
+      b: { top: bounds.top, bottom: midLat, left: bounds.left, right: midLng },
+      c: { top: midLat, bottom: bounds.bottom, left: bounds.left, right: midLng },
+      d: { top: midLat, bottom: bounds.bottom, left: midLng, right: bounds.right }
+    };
+
+    Object.entries(quadrants).forEach(([key, quadrant]) => {
+      const child = node[key];
+
+      if (child === undefined) {
+        return;
+      }
+
+      if (child.pos >= 0 && child.len) {
+        const buffer = Buffer.alloc(child.len);
+        fs.readSync(fd, buffer, 0, child.len, child.pos);
+
+        geobuf.decode(new Pbf(buffer)).features.forEach(feature => {
+          features.push(JSON.stringify({ type: 'Feature', properties: { tzid: feature.properties.tzid }, geometry: feature.geometry }));
+        });
+      } else if (Array.isArray(child)) {
+        const { left, right, top, bottom } = quadrant;
+        const ring = [[left, bottom], [right, bottom], [right, top], [left, top], [left, bottom]];
+
+        features.push(JSON.stringify({ type: 'Feature', properties: { tzid: index.timezones[child[0]] }, geometry: { type: 'Polygon', coordinates: [ring] } }));
+      } else {
+        walk(child, quadrant);
+      }
+    });
+  };
+
+  walk(index.lookup, { top: 89.9999, bottom: -89.9999, left: -179.9999, right: 179.9999 });
+  fs.closeSync(fd);
+  fs.writeFileSync(outputFile, `{"type":"FeatureCollection","features":[\n${features.join(',\n')}\n]}\n`);
+}
+
+/**
+ * Builds the set of grid cells within reach of a populated place
+ * @param {Function} require - Resolves modules from the scratch directory
+ * @returns {Set<number>} Grid cell keys
+ */
+function buildPopulatedCells(require) {
+  const cities = require('all-the-cities');
+  const cells = new Set();
+  const latitudeCells = Math.ceil(POPULATED_RADIUS_KM / KM_PER_DEGREE / GRID_CELL_DEGREES);
+
+  cities.filter(city => city.population >= MIN_POPULATION).forEach(city => {
+    const [longitude, latitude] = city.loc.coordinates;
+    const cosLatitude = Math.max(Math.cos(latitude * Math.PI / 180), 0.05);
+    const longitudeCells = Math.ceil(POPULATED_RADIUS_KM / (KM_PER_DEGREE * cosLatitude) / GRID_CELL_DEGREES);
+    const row = Math.floor(latitude / GRID_CELL_DEGREES);
+    const column = Math.floor(longitude / GRID_CELL_DEGREES);
+
+    for (let dRow = -latitudeCells; dRow <= latitudeCells; dRow++) {
+      for (let dColumn = -longitudeCells; dColumn <= longitudeCells; dColumn++) {
+        cells.add(getCellKey(row + dRow, column + dColumn));
+      }
+    }
+  });
+
+  return cells;
+}
+
+/**
+ * Gets the key of a grid cell
+ * @param {number} row - Cell row
+ * @param {number} column - Cell column, wrapped around the antimeridian
+ * @returns {number} Cell key
+ */
+function getCellKey(row, column) {
+  const columns = Math.round(360 / GRID_CELL_DEGREES);
+
+  return row * columns * 2 + ((column % columns) + columns) % columns;
+}
+
+/**
+ * Gets the distance from a point to a segment in kilometres, treating the segment as planar
+ * @param {Array<number>} point - [longitude, latitude]
+ * @param {Array<number>} start - Segment start
+ * @param {Array<number>} end - Segment end
+ * @returns {number} Distance in kilometres
+ */
+function getSegmentDistance(point, start, end) {
+  const scale = Math.cos(point[1] * Math.PI / 180);
+  const px = (point[0] - start[0]) * scale;
+  const py = point[1] - start[1];
+  const dx = (end[0] - start[0]) * scale;
+  const dy = end[1] - start[1];
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSquared)) : 0;
+
+  return Math.hypot(px - t * dx, py - t * dy) * KM_PER_DEGREE;
+}
+
+/**
+ * Simplifies an arc with Douglas-Peucker, measuring each point against its own tolerance
+ * Closed arcs (whole rings) also keep the points farthest from their start so the shape survives
+ * @param {Array<Array<number>>} arc - Arc points
+ * @param {Function} getTolerance - Tolerance in kilometres at a point
+ * @param {boolean} keepShape - Whether to keep an interior point even when it is within tolerance
+ * @returns {Array<Array<number>>} Simplified arc
+ */
+function simplifyArc(arc, getTolerance, keepShape) {
+  const last = arc.length - 1;
+  const keep = new Uint8Array(arc.length);
+  const stack = [];
+  keep[0] = keep[last] = 1;
+
+  const getFarthest = (first, end) => {
+    let index = -1;
+    let maxDistance = -1;
+
+    for (let i = first + 1; i < end; i++) {
+      const distance = getSegmentDistance(arc[i], arc[first], arc[end]);
+
+      if (distance > maxDistance) {
+        index = i;
+        maxDistance = distance;
+      }
+    }
+
+    return index;
+  };
+
+  if (arc[0][0] === arc[last][0] && arc[0][1] === arc[last][1]) {
+    let split = -1;
+    let maxDistance = -1;
+
+    for (let i = 1; i < last; i++) {
+      const distance = Math.hypot(arc[i][0] - arc[0][0], arc[i][1] - arc[0][1]);
+
+      if (distance > maxDistance) {
+        split = i;
+        maxDistance = distance;
+      }
+    }
+
+    if (split > 0) {
+      keep[split] = 1;
+      [[0, split], [split, last]].forEach(([first, end]) => {
+        const farthest = getFarthest(first, end);
+
+        if (farthest > 0) {
+          keep[farthest] = 1;
+        }
+      });
+    }
+  } else if (keepShape && last > 1) {
+    keep[getFarthest(0, last)] = 1;
+  }
+
+  for (let i = 0, previous = 0; i <= last; i++) {
+    if (keep[i] && i > previous) {
+      stack.push([previous, i]);
+      previous = i;
+    }
+  }
+
+  while (stack.length > 0) {
+    const [first, end] = stack.pop();
+    let index = -1;
+    let maxRatio = 1;
+
+    for (let i = first + 1; i < end; i++) {
+      const ratio = getSegmentDistance(arc[i], arc[first], arc[end]) / getTolerance(arc[i]);
+
+      if (ratio > maxRatio) {
+        index = i;
+        maxRatio = ratio;
+      }
+    }
+
+    if (index > 0) {
+      keep[index] = 1;
+      stack.push([first, index], [index, end]);
+    }
+  }
+
+  return arc.filter((point, i) => keep[i]);
+}
+
+/**
+ * Encodes a signed integer as a polyline value
+ * @param {number} value - Integer delta
+ * @returns {string} Encoded characters
+ */
+function encodeValue(value) {
+  let remaining = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+
+  while (remaining >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+    remaining >>= 5;
+  }
+
+  return encoded + String.fromCharCode(remaining + 63);
+}
+
+/**
+ * Rounds a ring to the stored precision and encodes it, dropping repeated points
+ * @param {Array<Array<number>>} ring - Closed ring of [longitude, latitude]
+ * @returns {string|null} Encoded ring, or null if it collapses below three points
+ */
+function encodeRing(ring) {
+  const points = [];
+
+  ring.slice(0, -1).forEach(([longitude, latitude]) => {
+    const point = [Math.round(latitude * PRECISION), Math.round(longitude * PRECISION)];
+    const previous = points[points.length - 1];
+
+    if (!previous || previous[0] !== point[0] || previous[1] !== point[1]) {
+      points.push(point);
+    }
+  });
+
+  while (points.length > 1 && points[0][0] === points[points.length - 1][0] && points[0][1] === points[points.length - 1][1]) {
+    points.pop();
+  }
+
+  if (points.length < 3) {
+    return null;
+  }
+
+  let latitude = 0;
+  let longitude = 0;
+
+  return points.map(point => {
+    const encoded = encodeValue(point[0] - latitude) + encodeValue(point[1] - longitude);
+    [latitude, longitude] = point;
+    return encoded;
+  }).join('');
+}
+
+function main() {
+  const workDir = path.resolve(process.argv[2] || '.');
+  const modulesDir = path.join(workDir, 'node_modules');
+  const require = createRequire(path.join(workDir, 'package.json'));
+  const piecesFile = path.join(workDir, 'timezone-pieces.geojson');
+  const dissolvedFile = path.join(workDir, 'timezone-zones.topojson');
+  const geoTzPackage = JSON.parse(fs.readFileSync(path.join(modulesDir, 'geo-tz', 'package.json'), 'utf8'));
+
+  if (geoTzPackage.version !== GEO_TZ_VERSION) {
+    throw new Error(`Expected geo-tz ${GEO_TZ_VERSION} in ${workDir}`);
+  }
+
+  if (!fs.existsSync(piecesFile)) {
+    console.log('Decoding geo-tz tiles');
+    decodeTiles(require, path.join(modulesDir, 'geo-tz', 'data'), piecesFile);
+  }
+
+  if (!fs.existsSync(dissolvedFile)) {
+    console.log('Dissolving zones with mapshaper');
+    execFileSync(process.execPath, [
+      '--max-old-space-size=4500',
+      path.join(modulesDir, 'mapshaper', 'bin', 'mapshaper'),
+      '-i', piecesFile, 'snap',
+      '-dissolve2', 'tzid',
+      '-o', dissolvedFile, 'format=topojson', 'no-quantization'
+    ], { stdio: 'inherit' });
+  }
+
+  console.log('Simplifying arcs');
+  const topology = JSON.parse(fs.readFileSync(dissolvedFile, 'utf8'));
+  const [collection] = Object.values(topology.objects);
+  const populatedCells = buildPopulatedCells(require);
+  const getTolerance = ([longitude, latitude]) => {
+    const key = getCellKey(Math.floor(latitude / GRID_CELL_DEGREES), Math.floor(longitude / GRID_CELL_DEGREES));
+    return populatedCells.has(key) ? FINE_TOLERANCE_KM : COARSE_TOLERANCE_KM;
+  };
+
+  // Rings made of one or two arcs need an interior point per arc to stay a polygon
+  const shapeArcs = new Set();
+  collection.geometries.forEach(geometry => {
+    const polygons = geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs || [];
+    polygons.flat().filter(ring => ring.length <= 2).flat().forEach(arc => shapeArcs.add(arc < 0 ? ~arc : arc));
+  });
+
+  const arcs = topology.arcs.map((arc, i) => simplifyArc(arc, getTolerance, shapeArcs.has(i)));
+  const buildRing = ring => ring.flatMap((arc, i) => {
+    const points = arc < 0 ? arcs[~arc].slice().reverse() : arcs[arc];
+    return i === 0 ? points : points.slice(1);
+  });
+
+  const zones = collection.geometries.filter(geometry => geometry.arcs).map(geometry => {
+    const polygons = (geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs)
+      .map(polygon => polygon.map(ring => encodeRing(buildRing(ring))))
+      .filter(([outer]) => outer !== null)
+      .map(rings => rings.filter(ring => ring !== null));
+
+    return [geometry.properties.tzid, polygons];
+  }).filter(([, polygons]) => polygons.length > 0).sort(([a], [b]) => (a < b ? -1 : 1));
+
+  const body = zones.map(([timezone, polygons]) => `  '${timezone}': ${JSON.stringify(polygons).replace(/"/g, '\'')}`).join(',\n');
+  fs.writeFileSync(OUTPUT_FILE, `${HEADER}export const TIMEZONE_BOUNDARIES = {\n${body}\n};\n`);
+  console.log(`Wrote ${zones.length} zones to ${path.relative(process.cwd(), OUTPUT_FILE)} (${fs.statSync(OUTPUT_FILE).size} bytes)`);
+}
+
+main();
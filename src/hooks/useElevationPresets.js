@@ -0,0 +1,88 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { userPreferencesService } from '../lib/database-service.js'
+import {
+  listElevationPresets,
+  loadElevationPresets,
+  registerElevationPreset,
+  unregisterElevationPreset,
+  serializeElevationPresets
+} from '../lib/elevation-bands.js'
+import { useAuth } from '../contexts/AuthContext.js'
+
+export const useElevationPresets = () => {
+  const [presets, setPresets] = useState(listElevationPresets())
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const { user } = useAuth()
+
+  // Load the user's presets into the registry when the user changes
+  useEffect(() => {
+    if (user) {
+      loadPresets()
+    } else {
+      loadElevationPresets({})
+      setPresets(listElevationPresets())
+      setLoading(false)
+    }
+  }, [user])
+
+  const loadPresets = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const preferences = await userPreferencesService.get()
+      loadElevationPresets(preferences?.elevation_presets || {})
+      setPresets(listElevationPresets())
+    } catch (err) {
+      console.error('Error loading elevation presets:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const savePreset = async (name, bands) => {
+    try {
+      setError(null)
+      const registered = registerElevationPreset(name, bands)
+      setPresets(listElevationPresets())
+
+      if (user) {
+        await userPreferencesService.saveElevationPresets(serializeElevationPresets())
+      }
+
+      return registered
+    } catch (err) {
+      console.error('Error saving elevation preset:', err)
+      setError(err.message)
+      throw err
+    }
+  }
+
+  const deletePreset = async (name) => {
+    try {
+      setError(null)
+      unregisterElevationPreset(name)
+      setPresets(listElevationPresets())
+
+      if (user) {
+        await userPreferencesService.saveElevationPresets(serializeElevationPresets())
+      }
+    } catch (err) {
+      console.error('Error deleting elevation preset:', err)
+      setError(err.message)
+      throw err
+    }
+  }
+
+  return {
+    presets,
+    loading,
+    error,
+    savePreset,
+    deletePreset,
+    refreshPresets: loadPresets
+  }
+}
@@ -140,14 +140,14 @@ export const useGeolocation = (options = {}) => {
   /**
    * Sets location manually
    */
-  const setManualLocation = useCallback(async (latitude, longitude) => {
+  const setManualLocation = useCallback(async (latitude, longitude, altitude = null) => {
     if (!mountedRef.current) return null
 
     setLoading(true)
     setError(null)
 
     try {
-      const position = validateManualLocation(latitude, longitude)
+      const position = validateManualLocation(latitude, longitude, altitude)
       updateLocation(position)
       setLoading(false)
       return position
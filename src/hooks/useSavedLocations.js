@@ -70,10 +70,10 @@ export const useSavedLocations = () => {
     }
   }, [])
 
-  const saveLocation = async (name, latitude, longitude) => {
+  const saveLocation = async (name, latitude, longitude, horizonProfile = null) => {
     try {
       setError(null)
-      const newLocation = await savedLocationsManager.create(name, latitude, longitude)
+      const newLocation = await savedLocationsManager.create(name, latitude, longitude, horizonProfile)
       setLocations(prev => [newLocation, ...prev])
       setSyncStatus(savedLocationsManager.getSyncStatus())
       return newLocation
@@ -0,0 +1,71 @@
+'use client'
+
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { runSolarComputation } from '../lib/solar-worker-client.js'
+import { SOLAR_COMPUTATION_ERRORS } from '../lib/solar-tasks.js'
+
+// Runs a heavy solar computation off the main thread whenever the task or its arguments change.
+// Pass args as a stable array (e.g. from useMemo); a new array starts a new computation.
+export const useSolarComputation = (task, args, options = {}) => {
+  const { enabled = true } = options
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [revision, setRevision] = useState(0)
+  const controllerRef = useRef(null)
+
+  useEffect(() => {
+    if (!enabled) {
+      return
+    }
+
+    const controller = new AbortController()
+    controllerRef.current = controller
+
+    const compute = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const value = await runSolarComputation(task, args, { signal: controller.signal })
+        // A superseded computation can still settle after its cleanup has run
+        if (controller.signal.aborted) {
+          return
+        }
+        setResult(value)
+      } catch (err) {
+        if (controller.signal.aborted || err.code === SOLAR_COMPUTATION_ERRORS.CANCELLED) {
+          return
+        }
+        console.error('Error running solar computation:', err)
+        setError(err.message)
+      } finally {
+        if (controllerRef.current === controller) {
+          setLoading(false)
+        }
+      }
+    }
+
+    compute()
+
+    return () => {
+      controller.abort()
+    }
+  }, [task, args, enabled, revision])
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort()
+    setLoading(false)
+  }, [])
+
+  const refresh = useCallback(() => {
+    setRevision(prev => prev + 1)
+  }, [])
+
+  return {
+    result,
+    loading,
+    error,
+    cancel,
+    refresh
+  }
+}
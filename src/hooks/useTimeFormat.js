@@ -0,0 +1,75 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { userPreferencesService } from '../lib/database-service.js'
+import {
+  DEFAULT_TIME_FORMAT,
+  normalizeTimeFormat,
+  formatTime,
+  formatTimeRange,
+  formatDuration,
+  formatCountdown
+} from '../lib/time-formatter.js'
+import { useAuth } from '../contexts/AuthContext.js'
+
+export const useTimeFormat = () => {
+  const [timeFormat, setTimeFormat] = useState(DEFAULT_TIME_FORMAT)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const { user } = useAuth()
+
+  // Load the user's time format when the user changes
+  useEffect(() => {
+    if (user) {
+      loadTimeFormat()
+    } else {
+      setTimeFormat(DEFAULT_TIME_FORMAT)
+      setLoading(false)
+    }
+  }, [user])
+
+  const loadTimeFormat = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const preferences = await userPreferencesService.get()
+      setTimeFormat(normalizeTimeFormat(preferences?.time_format || {}))
+    } catch (err) {
+      console.error('Error loading time format:', err)
+      setError(err.message)
+      setTimeFormat(DEFAULT_TIME_FORMAT)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateTimeFormat = async (changes) => {
+    try {
+      setError(null)
+      const updated = normalizeTimeFormat({ ...timeFormat, ...changes })
+      setTimeFormat(updated)
+
+      if (user) {
+        await userPreferencesService.saveTimeFormat(updated)
+      }
+
+      return updated
+    } catch (err) {
+      console.error('Error saving time format:', err)
+      setError(err.message)
+      throw err
+    }
+  }
+
+  return {
+    timeFormat,
+    loading,
+    error,
+    updateTimeFormat,
+    refreshTimeFormat: loadTimeFormat,
+    formatTime: (value, options = {}) => formatTime(value, { ...timeFormat, ...options }),
+    formatTimeRange: (start, end, options = {}) => formatTimeRange(start, end, { ...timeFormat, ...options }),
+    formatDuration: (minutes, options = {}) => formatDuration(minutes, { ...timeFormat, ...options }),
+    formatCountdown: (target, options = {}) => formatCountdown(target, { ...timeFormat, ...options })
+  }
+}
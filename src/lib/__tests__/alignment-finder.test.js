@@ -0,0 +1,142 @@
+/**
+ * Unit tests for the sun alignment finder
+ * Tests bearing and landmark targets, tolerances, elevation bands and validation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findSunAlignments, ALIGNMENT_EVENTS } from '../alignment-finder.js';
+import { calculateBearing } from '../geolocation-service.js';
+
+describe('Sun Alignment Finder', () => {
+  const manhattan = [40.7580, -73.9855]; // Times Square
+  const gridAzimuth = 299; // Manhattan street grid, looking west along the cross streets
+
+  describe('findSunAlignments', () => {
+    it('should find sunsets along the Manhattan street grid in late May', () => {
+      const { targetAzimuth, alignments } = findSunAlignments(...manhattan, {
+        targetAzimuth: gridAzimuth,
+        startDate: new Date(2024, 4, 15),
+        endDate: new Date(2024, 5, 5),
+        timezone: 'America/New_York'
+      });
+      
+      expect(targetAzimuth).toBe(gridAzimuth);
+      expect(alignments.length).toBeGreaterThan(0);
+      alignments.forEach(alignment => {
+        expect(alignment.event).toBe(ALIGNMENT_EVENTS.SUNSET);
+        expect(Math.abs(alignment.azimuthError)).toBeLessThanOrEqual(0.5);
+        expect(Math.abs(alignment.azimuth - gridAzimuth)).toBeLessThanOrEqual(0.5);
+      });
+      
+      const best = alignments.reduce((a, b) => (Math.abs(a.azimuthError) < Math.abs(b.azimuthError) ? a : b));
+      expect(best.date.getMonth()).toBe(4);
+      expect(best.date.getDate()).toBeGreaterThanOrEqual(23);
+      expect(best.date.getDate()).toBeLessThanOrEqual(27);
+    });
+
+    it('should narrow results with a tighter tolerance', () => {
+      const range = {
+        targetAzimuth: gridAzimuth,
+        startDate: new Date(2024, 4, 15),
+        endDate: new Date(2024, 5, 5),
+        timezone: 'America/New_York'
+      };
+      const wide = findSunAlignments(...manhattan, { ...range, tolerance: 1 });
+      const narrow = findSunAlignments(...manhattan, { ...range, tolerance: 0.2 });
+      
+      expect(narrow.alignments.length).toBeLessThan(wide.alignments.length);
+      expect(narrow.alignments.length).toBeGreaterThan(0);
+    });
+
+    it('should match the exact bearing inside an elevation band', () => {
+      const { alignments } = findSunAlignments(...manhattan, {
+        targetAzimuth: gridAzimuth,
+        startDate: new Date(2024, 4, 25),
+        endDate: new Date(2024, 5, 5),
+        timezone: 'America/New_York',
+        elevationBand: { lower: 0, upper: 2 },
+        tolerance: 0.3,
+        events: [ALIGNMENT_EVENTS.SUNSET]
+      });
+      
+      expect(alignments.length).toBeGreaterThan(0);
+      alignments.forEach(alignment => {
+        expect(alignment.elevation).toBeGreaterThanOrEqual(-0.01);
+        expect(alignment.elevation).toBeLessThanOrEqual(2.01);
+        expect(Math.abs(alignment.azimuthError)).toBeLessThanOrEqual(0.3);
+      });
+      
+      // Days where the bearing is crossed inside the band are matched almost exactly
+      expect(alignments.some(alignment => Math.abs(alignment.azimuthError) < 0.01)).toBe(true);
+    });
+
+    it('should find sunrise alignments', () => {
+      // Sunrise azimuth in New York peaks near 120.8° at the December solstice,
+      // so a slightly smaller bearing is reached once before and once after it
+      const { alignments } = findSunAlignments(...manhattan, {
+        targetAzimuth: 120.2,
+        tolerance: 0.2,
+        startDate: new Date(2024, 10, 20),
+        endDate: new Date(2025, 0, 20),
+        timezone: 'America/New_York',
+        events: [ALIGNMENT_EVENTS.SUNRISE]
+      });
+      
+      expect(alignments.length).toBeGreaterThan(0);
+      alignments.forEach(alignment => {
+        expect(alignment.event).toBe(ALIGNMENT_EVENTS.SUNRISE);
+      });
+      const months = new Set(alignments.map(alignment => alignment.date.getMonth()));
+      expect(months.has(11)).toBe(true);
+      expect(months.has(0)).toBe(true);
+    });
+
+    it('should use the bearing to a landmark as the target', () => {
+      const landmark = { latitude: 40.7614, longitude: -73.9935 };
+      const { targetAzimuth, alignments } = findSunAlignments(...manhattan, {
+        target: landmark,
+        startDate: new Date(2024, 4, 1),
+        endDate: new Date(2024, 6, 31),
+        tolerance: 1,
+        timezone: 'America/New_York'
+      });
+      
+      expect(targetAzimuth).toBeCloseTo(calculateBearing({ latitude: manhattan[0], longitude: manhattan[1] }, landmark), 10);
+      alignments.forEach(alignment => {
+        expect(Math.abs(alignment.azimuthError)).toBeLessThanOrEqual(1);
+      });
+    });
+
+    it('should return no alignments for a bearing the sun never rises or sets along', () => {
+      const { alignments } = findSunAlignments(...manhattan, {
+        targetAzimuth: 0,
+        startDate: new Date(2024, 5, 1),
+        endDate: new Date(2024, 5, 10)
+      });
+      
+      expect(alignments).toEqual([]);
+    });
+
+    it('should validate inputs', () => {
+      const range = { startDate: new Date(2024, 0, 1), endDate: new Date(2024, 0, 2) };
+      
+      expect(() => findSunAlignments(91, 0, { ...range, targetAzimuth: 90 })).toThrow('Invalid coordinates provided');
+      expect(() => findSunAlignments(...manhattan, range)).toThrow('Target azimuth or target location must be provided');
+      expect(() => findSunAlignments(...manhattan, { ...range, targetAzimuth: 360 })).toThrow('Invalid azimuth provided');
+      expect(() => findSunAlignments(...manhattan, { ...range, target: { latitude: 100, longitude: 0 } })).toThrow('Invalid target coordinates');
+      expect(() => findSunAlignments(...manhattan, { ...range, targetAzimuth: 90, tolerance: 0 })).toThrow('Tolerance must be positive');
+      expect(() => findSunAlignments(...manhattan, { ...range, targetAzimuth: 90, elevationBand: { lower: 5, upper: 0 } })).toThrow('Invalid elevation band');
+      expect(() => findSunAlignments(...manhattan, { ...range, targetAzimuth: 90, events: ['noon'] })).toThrow('Invalid alignment events');
+      expect(() => findSunAlignments(...manhattan, {
+        targetAzimuth: 90,
+        startDate: new Date(2024, 0, 2),
+        endDate: new Date(2024, 0, 1)
+      })).toThrow('End date must not be before start date');
+      expect(() => findSunAlignments(...manhattan, {
+        targetAzimuth: 90,
+        startDate: new Date(2000, 0, 1),
+        endDate: new Date(2024, 0, 1)
+      })).toThrow('Date range must not exceed 10 years');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for the analemma generator
+ * Tests daily sun positions at a fixed standard clock time, with equation of time and declination
+ */
+
+import { describe, it, expect } from 'vitest';
+import { generateAnalemma } from '../analemma.js';
+import { calculateSunPosition } from '../solar-calculator.js';
+
+describe('Analemma Generator', () => {
+  const greenwich = [51.4778, 0];
+  const newYork = [40.7128, -74.0060];
+
+  describe('generateAnalemma', () => {
+    it('should return one point per day at the same clock time', () => {
+      const { points, utcOffset } = generateAnalemma(...greenwich, 2024);
+      
+      expect(utcOffset).toBe(0);
+      expect(points).toHaveLength(366);
+      expect(points[0].time.toISOString()).toBe('2024-01-01T12:00:00.000Z');
+      expect(points[365].time.toISOString()).toBe('2024-12-31T12:00:00.000Z');
+      expect(points[171].date).toEqual(new Date(2024, 5, 20));
+    });
+
+    it('should span the declination range in elevation', () => {
+      const { points } = generateAnalemma(...greenwich, 2024);
+      const elevations = points.map(point => point.elevation);
+      const highest = points[elevations.indexOf(Math.max(...elevations))];
+      const lowest = points[elevations.indexOf(Math.min(...elevations))];
+      
+      expect(Math.max(...elevations) - Math.min(...elevations)).toBeGreaterThan(46.5);
+      expect(Math.max(...elevations) - Math.min(...elevations)).toBeLessThan(47.2);
+      expect(highest.date.getMonth()).toBe(5);
+      expect(lowest.date.getMonth()).toBe(11);
+      expect(highest.declination).toBeGreaterThan(23.4);
+    });
+
+    it('should shift east and west with the equation of time', () => {
+      const { points } = generateAnalemma(...greenwich, 2024);
+      const february = points.find(point => point.date.getMonth() === 1 && point.date.getDate() === 11);
+      const november = points.find(point => point.date.getMonth() === 10 && point.date.getDate() === 3);
+      
+      // A slow sundial puts the sun east of south, a fast one west of it
+      expect(february.equationOfTime).toBeCloseTo(-14.2, 0);
+      expect(february.azimuth).toBeLessThan(180);
+      expect(november.equationOfTime).toBeCloseTo(16.4, 0);
+      expect(november.azimuth).toBeGreaterThan(180);
+    });
+
+    it('should keep standard time through DST', () => {
+      const { points, utcOffset } = generateAnalemma(...newYork, 2024, { hour: 9, minute: 30, timezone: 'America/New_York', dayStep: 7 });
+      const [summer] = points.filter(point => point.date.getMonth() === 6);
+      
+      expect(utcOffset).toBe(-300);
+      expect(points).toHaveLength(53);
+      expect(summer.time.getUTCHours()).toBe(14);
+      expect(summer.time.getUTCMinutes()).toBe(30);
+      expect(summer.elevation).toBe(calculateSunPosition(...newYork, summer.time).elevation);
+    });
+
+    it('should use the nominal offset from longitude without a timezone', () => {
+      const { points, utcOffset } = generateAnalemma(...newYork, 2024, { dayStep: 30 });
+      
+      expect(utcOffset).toBe(-300);
+      expect(points[0].time.toISOString()).toBe('2024-01-01T17:00:00.000Z');
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => generateAnalemma(91, 0, 2024)).toThrow('Invalid coordinates provided');
+      expect(() => generateAnalemma(...greenwich, '2024')).toThrow('Invalid year provided');
+      expect(() => generateAnalemma(...greenwich, 2024, { hour: 24 })).toThrow('Invalid clock time provided');
+      expect(() => generateAnalemma(...greenwich, 2024, { dayStep: 0 })).toThrow('Day step must be a positive integer');
+      expect(() => generateAnalemma(...greenwich, 2024, { timezone: 'Invalid/Zone' })).toThrow('Invalid timezone provided');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for annual daylight tables
+ * Tests per-day sun time columns, DST and polar handling, and elevation heatmaps
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateAnnualDaylight, generateElevationHeatmap } from '../annual-daylight.js';
+import { calculateSunPosition } from '../solar-calculator.js';
+
+describe('Annual Daylight', () => {
+  const newYork = [40.7128, -74.0060];
+  const tromso = [69.6492, 18.9553];
+
+  describe('calculateAnnualDaylight', () => {
+    const { columns, year, timezone } = calculateAnnualDaylight(...newYork, 2024, { timezone: 'America/New_York' });
+    const row = date => columns.date.indexOf(date);
+    const polar = calculateAnnualDaylight(...tromso, 2023, { timezone: 'Europe/Oslo' }).columns;
+    const madrid = calculateAnnualDaylight(40.4168, -3.7038, 2024);
+
+    it('should have one row per day of the year', () => {
+      expect(year).toBe(2024);
+      expect(timezone).toBe('America/New_York');
+      Object.values(columns).forEach(column => expect(column).toHaveLength(366));
+      expect(columns.date[0]).toBe('2024-01-01');
+      expect(columns.date[365]).toBe('2024-12-31');
+    });
+
+    it('should give times as wall-clock minutes after local midnight', () => {
+      const solstice = row('2024-06-21');
+      
+      // Sunrise 05:25 and sunset 20:31 EDT
+      expect(columns.sunrise[solstice]).toBeGreaterThan(5 * 60 + 20);
+      expect(columns.sunrise[solstice]).toBeLessThan(5 * 60 + 30);
+      expect(columns.sunset[solstice]).toBeGreaterThan(20 * 60 + 26);
+      expect(columns.sunset[solstice]).toBeLessThan(20 * 60 + 36);
+      expect(columns.dayLength[solstice]).toBeCloseTo((columns.sunset[solstice] - columns.sunrise[solstice]) / 60, 6);
+      expect(columns.goldenHourEveningStart[solstice]).toBeLessThan(columns.sunset[solstice]);
+      expect(columns.goldenHourEveningEnd[solstice]).toBeGreaterThan(columns.sunset[solstice]);
+    });
+
+    it('should step by an hour across DST changes', () => {
+      const spring = row('2024-03-10');
+      const autumn = row('2024-11-03');
+      
+      expect(columns.utcOffset[spring - 1]).toBe(-300);
+      expect(columns.utcOffset[spring]).toBe(-240);
+      expect(columns.solarNoon[spring] - columns.solarNoon[spring - 1]).toBeCloseTo(60, 0);
+      expect(columns.utcOffset[autumn]).toBe(-300);
+      expect(columns.solarNoon[autumn - 1] - columns.solarNoon[autumn]).toBeCloseTo(60, 0);
+    });
+
+    it('should keep polar days and nights as rows without times', () => {
+      const midsummer = polar.date.indexOf('2023-06-21');
+      const midwinter = polar.date.indexOf('2023-12-21');
+      
+      expect(polar.date).toHaveLength(365);
+      expect(polar.sunrise[midsummer]).toBeNull();
+      expect(polar.dayLength[midsummer]).toBe(24);
+      expect(polar.condition[midsummer]).toBe('polar_day');
+      expect(polar.sunset[midwinter]).toBeNull();
+      expect(polar.dayLength[midwinter]).toBe(0);
+      expect(polar.condition[midwinter]).toBe('polar_night');
+      expect(polar.solarNoon[midwinter]).toBeGreaterThan(11 * 60);
+      expect(polar.solarNoon[midwinter]).toBeLessThan(12 * 60);
+    });
+
+    it('should default to the timezone of the coordinates', () => {
+      const solstice = madrid.columns.date.indexOf('2024-06-21');
+      
+      // Sunrise 06:44 CEST, two hours ahead of UTC rather than the nominal offset of the longitude
+      expect(madrid.timezone).toBe('Europe/Madrid');
+      expect(madrid.columns.utcOffset[solstice]).toBe(120);
+      expect(madrid.columns.sunrise[solstice]).toBeGreaterThan(6 * 60 + 42);
+      expect(madrid.columns.sunrise[solstice]).toBeLessThan(6 * 60 + 47);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateAnnualDaylight(91, 0, 2024)).toThrow('Invalid coordinates provided');
+      expect(() => calculateAnnualDaylight(...newYork, 2024.5)).toThrow('Invalid year provided');
+    });
+  });
+
+  describe('generateElevationHeatmap', () => {
+    const heatmap = generateElevationHeatmap(...newYork, 2024, { timezone: 'America/New_York', intervalMinutes: 60 });
+
+    it('should give every day the same wall-clock columns', () => {
+      expect(heatmap.dates).toHaveLength(366);
+      expect(heatmap.minutes).toEqual(Array.from({ length: 24 }, (_, hour) => hour * 60));
+      heatmap.elevations.forEach(row => {
+        expect(row).toHaveLength(24);
+        row.forEach(elevation => expect(Number.isFinite(elevation)).toBe(true));
+      });
+    });
+
+    it('should sample at the local wall-clock time', () => {
+      const solstice = heatmap.dates.indexOf('2024-06-21');
+      const winter = heatmap.dates.indexOf('2024-12-21');
+      
+      expect(heatmap.elevations[solstice][12]).toBeCloseTo(calculateSunPosition(...newYork, new Date('2024-06-21T16:00:00Z')).elevation, 4);
+      expect(heatmap.elevations[winter][12]).toBeCloseTo(calculateSunPosition(...newYork, new Date('2024-12-21T17:00:00Z')).elevation, 4);
+    });
+
+    it('should default to the timezone of the coordinates', () => {
+      const heatmap = generateElevationHeatmap(...tromso, 2024, { intervalMinutes: 120 });
+      
+      expect(heatmap.timezone).toBe('Europe/Oslo');
+      expect(heatmap.elevations[0][6]).toBeCloseTo(calculateSunPosition(...tromso, new Date('2024-01-01T11:00:00Z')).elevation, 4);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => generateElevationHeatmap(...newYork, 2024, { intervalMinutes: 7 })).toThrow('Interval must divide a day into whole minutes');
+      expect(() => generateElevationHeatmap(...newYork, 2024, { timezone: 'Invalid/Zone' })).toThrow('Invalid timezone provided');
+      expect(() => generateElevationHeatmap(...newYork, '2024')).toThrow('Invalid year provided');
+    });
+  });
+});
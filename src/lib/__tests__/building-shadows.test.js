@@ -0,0 +1,160 @@
+/**
+ * Unit tests for building shadows
+ * Tests GeoJSON footprint parsing, instant shadow polygons and time sweeps
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateBuildingShadows, calculateShadowSweep } from '../building-shadows.js';
+import { calculateSunPosition } from '../solar-calculator.js';
+import { SHADOW_UNITS } from '../shadow-calculator.js';
+
+describe('Building Shadows', () => {
+  const origin = [-74.0060, 40.7128]; // New York City
+  const metresPerDegree = 6371000 * Math.PI / 180;
+  const metresPerDegreeLongitude = metresPerDegree * Math.cos(origin[1] * Math.PI / 180);
+  const afternoon = new Date('2024-06-21T19:00:00Z');
+  
+  // Builds a ring from points given in metres east/north of the origin
+  const ring = points => [...points, points[0]].map(([east, north]) => [
+    origin[0] + east / metresPerDegreeLongitude,
+    origin[1] + north / metresPerDegree
+  ]);
+  
+  // Area in square metres of MultiPolygon coordinates
+  const area = coordinates => coordinates.reduce((total, polygon) => total + polygon.reduce((sum, linearRing, index) => {
+    let twiceArea = 0;
+    for (let i = 0; i < linearRing.length - 1; i++) {
+      const [x1, y1] = [(linearRing[i][0] - origin[0]) * metresPerDegreeLongitude, (linearRing[i][1] - origin[1]) * metresPerDegree];
+      const [x2, y2] = [(linearRing[i + 1][0] - origin[0]) * metresPerDegreeLongitude, (linearRing[i + 1][1] - origin[1]) * metresPerDegree];
+      twiceArea += x1 * y2 - x2 * y1;
+    }
+    return sum + (index === 0 ? 1 : -1) * Math.abs(twiceArea) / 2;
+  }, 0), 0);
+  
+  const tower = {
+    type: 'Feature',
+    properties: { name: 'Tower', height: 20 },
+    geometry: { type: 'Polygon', coordinates: [ring([[0, 0], [20, 0], [20, 20], [0, 20]])] }
+  };
+
+  describe('calculateBuildingShadows', () => {
+    it('should cast the footprint swept to the shadow tip', () => {
+      const { type, features } = calculateBuildingShadows(tower, afternoon);
+      const [shadow] = features;
+      const { shadowLength, shadowAzimuth } = shadow.properties;
+      const azimuthRad = shadowAzimuth * Math.PI / 180;
+      
+      expect(type).toBe('FeatureCollection');
+      expect(features).toHaveLength(1);
+      expect(shadow.geometry.type).toBe('MultiPolygon');
+      expect(shadow.properties.name).toBe('Tower');
+      
+      // A square prism's shadow covers the footprint plus the footprint's width swept along the shadow
+      const expectedArea = 400 + shadowLength * 20 * (Math.abs(Math.sin(azimuthRad)) + Math.abs(Math.cos(azimuthRad)));
+      expect(area(shadow.geometry.coordinates)).toBeCloseTo(expectedArea, 0);
+    });
+
+    it('should use the sun position at the building', () => {
+      const [shadow] = calculateBuildingShadows(tower, afternoon).features;
+      const sunPosition = calculateSunPosition(origin[1] + 10 / metresPerDegree, origin[0] + 10 / metresPerDegreeLongitude, afternoon);
+      
+      expect(shadow.properties.sunAzimuth).toBeCloseTo(sunPosition.azimuth, 6);
+      expect(shadow.properties.sunElevation).toBeCloseTo(sunPosition.elevation, 6);
+      expect(shadow.properties.shadowLength).toBeCloseTo(20 / Math.tan(sunPosition.elevation * Math.PI / 180), 6);
+    });
+
+    it('should exclude the footprint when requested', () => {
+      const withFootprint = calculateBuildingShadows(tower, afternoon).features[0];
+      const withoutFootprint = calculateBuildingShadows(tower, afternoon, { includeFootprint: false }).features[0];
+      
+      expect(area(withFootprint.geometry.coordinates) - area(withoutFootprint.geometry.coordinates)).toBeCloseTo(400, 0);
+    });
+
+    it('should read heights in feet and from a custom property', () => {
+      const imperialTower = { ...tower, properties: { levels: 20 * 3.28084 } };
+      const metric = calculateBuildingShadows(tower, afternoon).features[0];
+      const imperial = calculateBuildingShadows(imperialTower, afternoon, {
+        heightProperty: 'levels',
+        units: SHADOW_UNITS.IMPERIAL
+      }).features[0];
+      
+      expect(imperial.properties.shadowLength).toBeCloseTo(metric.properties.shadowLength, 6);
+    });
+
+    it('should handle collections, multipolygons and courtyards', () => {
+      const courtyard = {
+        type: 'Feature',
+        properties: { height: 10 },
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: [[
+            ring([[100, 0], [160, 0], [160, 60], [100, 60]]),
+            ring([[120, 20], [140, 20], [140, 40], [120, 40]])
+          ]]
+        }
+      };
+      const result = calculateBuildingShadows({ type: 'FeatureCollection', features: [tower, courtyard] }, afternoon);
+      
+      expect(result.features).toHaveLength(2);
+      expect(area(result.features[1].geometry.coordinates)).toBeGreaterThan(3200);
+    });
+
+    it('should cap the shadow of a grazing sun', () => {
+      const lowSun = new Date('2024-06-22T00:20:00Z');
+      const [shadow] = calculateBuildingShadows(tower, lowSun, { maxShadowLength: 200 }).features;
+      
+      expect(shadow.properties.shadowLength).toBeCloseTo(200, 6);
+    });
+
+    it('should return no shadows at night', () => {
+      expect(calculateBuildingShadows(tower, new Date('2024-06-21T04:00:00Z')).features).toEqual([]);
+    });
+
+    it('should throw error for invalid footprints', () => {
+      expect(() => calculateBuildingShadows(null, afternoon)).toThrow('Invalid building footprints provided');
+      expect(() => calculateBuildingShadows({ ...tower, geometry: { type: 'Point', coordinates: origin } }, afternoon)).toThrow('Invalid building footprint provided');
+      expect(() => calculateBuildingShadows({
+        ...tower,
+        geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1]]] }
+      }, afternoon)).toThrow('Invalid building footprint provided');
+      expect(() => calculateBuildingShadows({ ...tower, properties: {} }, afternoon)).toThrow('Building height must be a positive number');
+      expect(() => calculateBuildingShadows(tower, 'tomorrow')).toThrow('Input must be a Date object');
+    });
+  });
+
+  describe('calculateShadowSweep', () => {
+    const start = new Date('2024-06-21T18:00:00Z'); // 2 pm EDT
+    const end = new Date('2024-06-21T21:00:00Z'); // 5 pm EDT
+
+    it('should cover every instant shadow in the window', () => {
+      const sweep = calculateShadowSweep(tower, start, end);
+      const sweepArea = area(sweep.geometry.coordinates);
+      
+      expect(sweep.type).toBe('Feature');
+      expect(sweep.properties).toEqual({ start: start.toISOString(), end: end.toISOString(), stepMinutes: 15 });
+      
+      [start, afternoon, new Date('2024-06-21T20:07:00Z'), end].forEach(time => {
+        const instant = calculateBuildingShadows(tower, time).features[0];
+        expect(sweepArea).toBeGreaterThan(area(instant.geometry.coordinates));
+      });
+    });
+
+    it('should converge as the step shrinks', () => {
+      const coarse = area(calculateShadowSweep(tower, start, end, { stepMinutes: 60 }).geometry.coordinates);
+      const fine = area(calculateShadowSweep(tower, start, end, { stepMinutes: 5 }).geometry.coordinates);
+      
+      expect(Math.abs(fine - coarse) / fine).toBeLessThan(0.01);
+    });
+
+    it('should return an empty area when the sun is down', () => {
+      const sweep = calculateShadowSweep(tower, new Date('2024-06-21T03:00:00Z'), new Date('2024-06-21T05:00:00Z'));
+      expect(sweep.geometry.coordinates).toEqual([]);
+    });
+
+    it('should throw error for invalid windows', () => {
+      expect(() => calculateShadowSweep(tower, end, start)).toThrow('End date must not be before start date');
+      expect(() => calculateShadowSweep(tower, start, end, { stepMinutes: 0 })).toThrow('Step must be a positive number of minutes');
+      expect(() => calculateShadowSweep(tower, start, new Date('2024-07-21T21:00:00Z'))).toThrow('Sweep must not exceed 1440 steps');
+    });
+  });
+});
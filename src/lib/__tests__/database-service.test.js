@@ -18,7 +18,7 @@ vi.mock('../supabase.js', () => ({
 }))
 
 // Import services after mocking
-const { savedLocationsService, notificationPreferencesService, authService } = await import('../database-service.js')
+const { savedLocationsService, notificationPreferencesService, userPreferencesService, authService } = await import('../database-service.js')
 const { getCurrentUser } = await import('../supabase.js')
 
 describe('Database Service', () => {
@@ -201,6 +201,74 @@ describe('Database Service', () => {
       })
     })
 
+    describe('horizon profiles', () => {
+      it('should store a parsed horizon profile when creating a location', async () => {
+        const mockInsert = vi.fn().mockReturnValue({
+          select: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({
+              data: mockLocation,
+              error: null
+            })
+          })
+        })
+
+        mockSupabase.from.mockReturnValue({
+          insert: mockInsert
+        })
+
+        await savedLocationsService.create('Valley', 46.0207, 7.7491, '90,15\n0,5')
+
+        expect(mockInsert).toHaveBeenCalledWith([{
+          user_id: 'user-123',
+          name: 'Valley',
+          latitude: 46.0207,
+          longitude: 7.7491,
+          horizon_profile: [
+            { azimuth: 0, elevation: 5 },
+            { azimuth: 90, elevation: 15 }
+          ]
+        }])
+      })
+
+      it('should normalize a horizon profile when updating a location', async () => {
+        const mockUpdate = vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            select: vi.fn().mockReturnValue({
+              single: vi.fn().mockResolvedValue({
+                data: mockLocation,
+                error: null
+              })
+            })
+          })
+        })
+
+        mockSupabase.from.mockReturnValue({
+          update: mockUpdate
+        })
+
+        await savedLocationsService.update('loc-123', { horizon_profile: [[90, 15], [0, 5]] })
+
+        expect(mockUpdate).toHaveBeenCalledWith({
+          horizon_profile: [
+            { azimuth: 0, elevation: 5 },
+            { azimuth: 90, elevation: 15 }
+          ]
+        })
+      })
+
+      it('should reject invalid horizon profiles', async () => {
+        await expect(
+          savedLocationsService.update('loc-123', { horizon_profile: [{ azimuth: 0, elevation: 120 }] })
+        ).rejects.toThrow('Invalid horizon profile provided')
+      })
+
+      it('should reject an empty horizon profile', async () => {
+        await expect(
+          savedLocationsService.update('loc-123', { horizon_profile: '' })
+        ).rejects.toThrow('Invalid horizon profile provided')
+      })
+    })
+
     describe('update', () => {
       it('should update location with valid data', async () => {
         const updatedLocation = { ...mockLocation, name: 'Updated Location' }
@@ -374,6 +442,123 @@ describe('Database Service', () => {
     })
   })
 
+  describe('userPreferencesService', () => {
+    const mockUserPreferences = {
+      id: 'prefs-123',
+      user_id: 'user-123',
+      elevation_presets: {
+        photographer: [{ name: 'goldenHour', lower: -4, upper: 6 }]
+      }
+    }
+
+    describe('get', () => {
+      it('should fetch preferences for the current user', async () => {
+        const mockEq = vi.fn().mockReturnValue({
+          single: vi.fn().mockResolvedValue({
+            data: mockUserPreferences,
+            error: null
+          })
+        })
+
+        mockSupabase.from.mockReturnValue({
+          select: vi.fn().mockReturnValue({ eq: mockEq })
+        })
+
+        const result = await userPreferencesService.get()
+
+        expect(mockSupabase.from).toHaveBeenCalledWith('user_preferences')
+        expect(mockEq).toHaveBeenCalledWith('user_id', 'user-123')
+        expect(result).toEqual(mockUserPreferences)
+      })
+
+      it('should return null when no preferences are saved', async () => {
+        mockSupabase.from.mockReturnValue({
+          select: vi.fn().mockReturnValue({
+            eq: vi.fn().mockReturnValue({
+              single: vi.fn().mockResolvedValue({
+                data: null,
+                error: { code: 'PGRST116' }
+              })
+            })
+          })
+        })
+
+        const result = await userPreferencesService.get()
+
+        expect(result).toBeNull()
+      })
+
+      it('should require authentication', async () => {
+        getCurrentUser.mockResolvedValue(null)
+
+        await expect(userPreferencesService.get()).rejects.toThrow(
+          'User must be authenticated to access user preferences'
+        )
+      })
+    })
+
+    describe('saveElevationPresets', () => {
+      it('should upsert presets keyed by user', async () => {
+        const mockUpsert = vi.fn().mockReturnValue({
+          select: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({
+              data: mockUserPreferences,
+              error: null
+            })
+          })
+        })
+
+        mockSupabase.from.mockReturnValue({ upsert: mockUpsert })
+
+        const result = await userPreferencesService.saveElevationPresets(mockUserPreferences.elevation_presets)
+
+        expect(mockUpsert).toHaveBeenCalledWith([
+          {
+            user_id: 'user-123',
+            elevation_presets: mockUserPreferences.elevation_presets
+          }
+        ], { onConflict: 'user_id' })
+        expect(result).toEqual(mockUserPreferences)
+      })
+
+      it('should reject presets that are not an object', async () => {
+        await expect(
+          userPreferencesService.saveElevationPresets([])
+        ).rejects.toThrow('Elevation presets must be an object keyed by preset name')
+      })
+    })
+
+    describe('saveTimeFormat', () => {
+      it('should upsert the normalized time format', async () => {
+        const mockUpsert = vi.fn().mockReturnValue({
+          select: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({
+              data: mockUserPreferences,
+              error: null
+            })
+          })
+        })
+
+        mockSupabase.from.mockReturnValue({ upsert: mockUpsert })
+
+        await userPreferencesService.saveTimeFormat({ locale: 'en-gb', hourCycle: 'h24' })
+
+        expect(mockUpsert).toHaveBeenCalledWith([
+          {
+            user_id: 'user-123',
+            time_format: { locale: 'en-GB', hourCycle: 'h24', displayZone: 'location' }
+          }
+        ], { onConflict: 'user_id' })
+      })
+
+      it('should reject an invalid time format', async () => {
+        await expect(
+          userPreferencesService.saveTimeFormat({ displayZone: 'mars' })
+        ).rejects.toThrow('Invalid display zone provided')
+      })
+    })
+  })
+
   describe('authService', () => {
     describe('signIn', () => {
       it('should sign in with valid credentials', async () => {
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for elevation band presets
+ * Tests band validation, the preset registry and profile serialization
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DEFAULT_ELEVATION_BANDS,
+  DEFAULT_PRESET_NAME,
+  validateElevationBand,
+  registerElevationPreset,
+  unregisterElevationPreset,
+  getElevationPreset,
+  listElevationPresets,
+  serializeElevationPresets,
+  loadElevationPresets,
+  resolveElevationBands
+} from '../elevation-bands.js';
+
+describe('Elevation Bands', () => {
+  const photographerBands = [
+    { name: 'goldenHour', lower: -4, upper: 6 },
+    { name: 'magicHour', lower: -4, upper: 10 }
+  ];
+
+  beforeEach(() => {
+    loadElevationPresets({});
+  });
+
+  describe('validateElevationBand', () => {
+    it('should accept valid bands', () => {
+      expect(validateElevationBand({ name: 'goldenHour', lower: -6, upper: 6 })).toBe(true);
+    });
+
+    it('should reject invalid bands', () => {
+      expect(validateElevationBand(null)).toBe(false);
+      expect(validateElevationBand({ name: '', lower: -6, upper: 6 })).toBe(false);
+      expect(validateElevationBand({ name: 'band', lower: 6, upper: -6 })).toBe(false);
+      expect(validateElevationBand({ name: 'band', lower: -91, upper: 0 })).toBe(false);
+      expect(validateElevationBand({ name: 'band', lower: '0', upper: 6 })).toBe(false);
+    });
+  });
+
+  describe('preset registry', () => {
+    it('should include the built-in default preset', () => {
+      expect(getElevationPreset(DEFAULT_PRESET_NAME)).toEqual(DEFAULT_ELEVATION_BANDS);
+      expect(listElevationPresets()).toEqual([
+        { name: DEFAULT_PRESET_NAME, bands: DEFAULT_ELEVATION_BANDS, builtIn: true }
+      ]);
+    });
+
+    it('should register and retrieve custom presets', () => {
+      registerElevationPreset('photographer', photographerBands);
+
+      expect(getElevationPreset('photographer')).toEqual(photographerBands);
+      expect(listElevationPresets().map(preset => preset.name)).toEqual([DEFAULT_PRESET_NAME, 'photographer']);
+    });
+
+    it('should return copies so callers cannot mutate the registry', () => {
+      registerElevationPreset('photographer', photographerBands);
+      getElevationPreset('photographer')[0].lower = -20;
+
+      expect(getElevationPreset('photographer')[0].lower).toBe(-4);
+    });
+
+    it('should unregister custom presets', () => {
+      registerElevationPreset('photographer', photographerBands);
+
+      expect(unregisterElevationPreset('photographer')).toBe(true);
+      expect(() => getElevationPreset('photographer')).toThrow('Elevation preset not found');
+    });
+
+    it('should protect built-in presets', () => {
+      expect(() => registerElevationPreset(DEFAULT_PRESET_NAME, photographerBands)).toThrow('Built-in presets cannot be modified');
+      expect(() => unregisterElevationPreset(DEFAULT_PRESET_NAME)).toThrow('Built-in presets cannot be modified');
+    });
+
+    it('should reject invalid presets', () => {
+      expect(() => registerElevationPreset('', photographerBands)).toThrow('Invalid preset name');
+      expect(() => registerElevationPreset('empty', [])).toThrow('Invalid elevation bands');
+      expect(() => registerElevationPreset('bad', [{ name: 'band', lower: 6, upper: 0 }])).toThrow('Invalid elevation band');
+      expect(() => registerElevationPreset('dupe', [photographerBands[0], photographerBands[0]])).toThrow('Duplicate elevation band name');
+    });
+  });
+
+  describe('serialization', () => {
+    it('should round-trip custom presets through the profile format', () => {
+      registerElevationPreset('photographer', photographerBands);
+      const stored = serializeElevationPresets();
+
+      expect(stored).toEqual({ photographer: photographerBands });
+
+      loadElevationPresets({});
+      expect(loadElevationPresets(stored)).toEqual(['photographer']);
+      expect(getElevationPreset('photographer')).toEqual(photographerBands);
+    });
+
+    it('should skip invalid stored presets', () => {
+      const loaded = loadElevationPresets({
+        photographer: photographerBands,
+        broken: [{ name: 'band', lower: 10, upper: 0 }]
+      });
+
+      expect(loaded).toEqual(['photographer']);
+    });
+  });
+
+  describe('resolveElevationBands', () => {
+    it('should resolve preset names and band lists', () => {
+      expect(resolveElevationBands(DEFAULT_PRESET_NAME)).toEqual(DEFAULT_ELEVATION_BANDS);
+      expect(resolveElevationBands(photographerBands)).toEqual(photographerBands);
+    });
+
+    it('should throw for unknown presets', () => {
+      expect(() => resolveElevationBands('unknown')).toThrow('Elevation preset not found');
+    });
+  });
+});
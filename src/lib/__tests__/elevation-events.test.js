@@ -0,0 +1,136 @@
+/**
+ * Unit tests for the elevation event finder
+ * Tests crossing detection, precision, timezones and high-latitude edge cases
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  findElevationCrossings,
+  findSolarElevationEvents,
+  CROSSING_DIRECTIONS,
+  ELEVATION_MODES
+} from '../elevation-events.js';
+import { calculateSunPosition } from '../solar-calculator.js';
+
+describe('Elevation Event Finder', () => {
+  const testDate = new Date(2024, 5, 21); // Summer solstice
+
+  describe('findElevationCrossings', () => {
+    const start = new Date('2024-06-21T00:00:00Z');
+    const end = new Date('2024-06-21T02:00:00Z');
+
+    it('should find rising and setting crossings with direction flags', () => {
+      // Elevation climbs from -10 to 10 degrees and back over two hours
+      const getElevation = time => 10 - Math.abs((time.getTime() - start.getTime()) / 60000 - 60) / 3;
+      const crossings = findElevationCrossings(getElevation, start, end, 5);
+
+      expect(crossings).toHaveLength(2);
+      expect(crossings[0].direction).toBe(CROSSING_DIRECTIONS.RISING);
+      expect(crossings[1].direction).toBe(CROSSING_DIRECTIONS.SETTING);
+      expect(crossings[0].time.toISOString()).toBe('2024-06-21T00:45:00.000Z');
+      expect(crossings[1].time.toISOString()).toBe('2024-06-21T01:15:00.000Z');
+    });
+
+    it('should find a brief peak between two samples', () => {
+      // Narrow peak at 00:23 that rises above the target for about four minutes
+      const peak = start.getTime() + 23 * 60000;
+      const getElevation = time => 1 - Math.pow((time.getTime() - peak) / (3 * 60000), 2);
+      const crossings = findElevationCrossings(getElevation, start, end, 0.5);
+
+      expect(crossings).toHaveLength(2);
+      expect(crossings[0].direction).toBe(CROSSING_DIRECTIONS.RISING);
+      expect(crossings[1].direction).toBe(CROSSING_DIRECTIONS.SETTING);
+      expect(Math.abs(crossings[0].time.getTime() - (peak - 127279))).toBeLessThanOrEqual(1000);
+      expect(Math.abs(crossings[1].time.getTime() - (peak + 127279))).toBeLessThanOrEqual(1000);
+    });
+
+    it('should return no crossings when the target is never reached', () => {
+      const crossings = findElevationCrossings(() => 20, start, end, 5);
+      expect(crossings).toEqual([]);
+    });
+
+    it('should validate inputs', () => {
+      expect(() => findElevationCrossings(null, start, end, 0)).toThrow('Elevation function');
+      expect(() => findElevationCrossings(() => 0, 'start', end, 0)).toThrow('Invalid date');
+      expect(() => findElevationCrossings(() => 0, end, start, 0)).toThrow('End time must be after start time');
+      expect(() => findElevationCrossings(() => 0, start, end, NaN)).toThrow('Invalid elevation');
+      expect(() => findElevationCrossings(() => 0, start, end, 0, { stepMinutes: 0 })).toThrow('positive');
+    });
+  });
+
+  describe('findSolarElevationEvents', () => {
+    it('should return second-level times that match the target elevation', () => {
+      const events = findSolarElevationEvents(40.7128, -74.0060, testDate, -6, { timezone: 'America/New_York' });
+
+      expect(events).toHaveLength(2);
+      events.forEach(event => {
+        expect(event.time.getMilliseconds()).toBe(0);
+        expect(event.elevation).toBe(-6);
+        const position = calculateSunPosition(40.7128, -74.0060, event.time);
+        expect(Math.abs(position.elevation + 6)).toBeLessThan(0.01);
+      });
+    });
+
+    it('should find morning events far from Greenwich', () => {
+      // Tokyo sunrise happens on the previous UTC day
+      const events = findSolarElevationEvents(35.6762, 139.6503, testDate, -0.833, { timezone: 'Asia/Tokyo' });
+
+      expect(events).toHaveLength(2);
+      expect(events[0].direction).toBe(CROSSING_DIRECTIONS.RISING);
+      expect(events[0].time.toISOString().slice(0, 10)).toBe('2024-06-20');
+      expect(events[1].direction).toBe(CROSSING_DIRECTIONS.SETTING);
+    });
+
+    it('should keep events inside the local day', () => {
+      const events = findSolarElevationEvents(-33.8688, 151.2093, testDate, -6, { timezone: 'Australia/Sydney' });
+      const dayStart = new Date('2024-06-20T14:00:00Z'); // Midnight AEST
+      const dayEnd = new Date('2024-06-21T14:00:00Z');
+
+      expect(events).toHaveLength(2);
+      events.forEach(event => {
+        expect(event.time.getTime()).toBeGreaterThanOrEqual(dayStart.getTime());
+        expect(event.time.getTime()).toBeLessThan(dayEnd.getTime());
+      });
+    });
+
+    it('should use the nominal offset of the longitude without a timezone', () => {
+      const events = findSolarElevationEvents(35.6762, 139.6503, testDate, -0.833);
+      const zoned = findSolarElevationEvents(35.6762, 139.6503, testDate, -0.833, { timezone: 'Asia/Tokyo' });
+
+      expect(events.map(event => event.time.getTime())).toEqual(zoned.map(event => event.time.getTime()));
+    });
+
+    it('should find multiple crossings near the midnight sun minimum', () => {
+      // Tromsø: the sun dips to about 3° around local solar midnight
+      const events = findSolarElevationEvents(69.6492, 18.9553, testDate, 3.2, { timezone: 'Europe/Oslo' });
+
+      expect(events).toHaveLength(2);
+      expect(events[0].direction).toBe(CROSSING_DIRECTIONS.SETTING);
+      expect(events[1].direction).toBe(CROSSING_DIRECTIONS.RISING);
+      expect(events[1].time.getTime() - events[0].time.getTime()).toBeLessThan(2 * 60 * 60 * 1000);
+    });
+
+    it('should return no events during polar day', () => {
+      const events = findSolarElevationEvents(69.6492, 18.9553, testDate, -0.833, { timezone: 'Europe/Oslo' });
+      expect(events).toEqual([]);
+    });
+
+    it('should target apparent elevation when requested', () => {
+      const geometric = findSolarElevationEvents(51.5074, -0.1278, testDate, 0, { timezone: 'Europe/London' });
+      const apparent = findSolarElevationEvents(51.5074, -0.1278, testDate, 0, {
+        timezone: 'Europe/London',
+        elevationMode: ELEVATION_MODES.APPARENT
+      });
+
+      expect(apparent[0].time.getTime()).toBeLessThan(geometric[0].time.getTime());
+      expect(apparent[1].time.getTime()).toBeGreaterThan(geometric[1].time.getTime());
+    });
+
+    it('should validate inputs', () => {
+      expect(() => findSolarElevationEvents(91, 0, testDate, 0)).toThrow('Invalid coordinates');
+      expect(() => findSolarElevationEvents(0, 0, 'today', 0)).toThrow();
+      expect(() => findSolarElevationEvents(0, 0, testDate, 0, { elevationMode: 'bogus' })).toThrow('Invalid elevation mode');
+      expect(() => findSolarElevationEvents(0, 0, testDate, 0, { timezone: 'Mars/Olympus_Mons' })).toThrow('Invalid timezone');
+    });
+  });
+});
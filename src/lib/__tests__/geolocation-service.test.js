@@ -7,6 +7,7 @@ import {
   getAccuracyLevel,
   formatLocationForDisplay,
   calculateDistance,
+  calculateBearing,
   hasLocationChanged,
   getCachedLocation,
   cacheLocation,
@@ -79,6 +80,7 @@ describe('Geolocation Service', () => {
       expect(result).toEqual({
         latitude: 40.7128,
         longitude: -74.0060,
+        altitude: null,
         accuracy: 50,
         accuracyLevel: 'high',
         timestamp: mockPosition.timestamp,
@@ -86,6 +88,24 @@ describe('Geolocation Service', () => {
       })
     })
 
+    it('should pass through the altitude reported by the browser', async () => {
+      mockGeolocation.getCurrentPosition.mockImplementation((success) => {
+        success({
+          coords: {
+            latitude: 46.5576,
+            longitude: 7.8339,
+            altitude: 3454,
+            accuracy: 20
+          },
+          timestamp: Date.now()
+        })
+      })
+
+      const result = await getCurrentPosition()
+
+      expect(result.altitude).toBe(3454)
+    })
+
     it('should handle permission denied error', async () => {
       const mockError = {
         code: 1, // PERMISSION_DENIED
@@ -164,6 +184,7 @@ describe('Geolocation Service', () => {
       expect(result).toEqual({
         latitude: 40.7128,
         longitude: -74.0060,
+        altitude: null,
         accuracy: null,
         accuracyLevel: 'manual',
         timestamp: expect.any(Number),
@@ -171,6 +192,13 @@ describe('Geolocation Service', () => {
       })
     })
 
+    it('should accept an optional altitude', () => {
+      const result = validateManualLocation(46.5576, 7.8339, '3454')
+      
+      expect(result.altitude).toBe(3454)
+      expect(() => validateManualLocation(46.5576, 7.8339, 'high')).toThrow(GeolocationError)
+    })
+
     it('should validate string coordinates', () => {
       const result = validateManualLocation('40.7128', '-74.0060')
       
@@ -409,6 +437,25 @@ describe('Geolocation Service', () => {
     })
   })
 
+  describe('calculateBearing', () => {
+    it('should return cardinal bearings along meridians and the equator', () => {
+      const origin = { latitude: 0, longitude: 0 }
+
+      expect(calculateBearing(origin, { latitude: 1, longitude: 0 })).toBeCloseTo(0, 6)
+      expect(calculateBearing(origin, { latitude: 0, longitude: 1 })).toBeCloseTo(90, 6)
+      expect(calculateBearing(origin, { latitude: -1, longitude: 0 })).toBeCloseTo(180, 6)
+      expect(calculateBearing(origin, { latitude: 0, longitude: -1 })).toBeCloseTo(270, 6)
+    })
+
+    it('should calculate the initial great-circle bearing', () => {
+      const newYork = { latitude: 40.7128, longitude: -74.0060 }
+      const london = { latitude: 51.5074, longitude: -0.1278 }
+
+      // Great-circle route from New York to London starts out towards the north-east
+      expect(calculateBearing(newYork, london)).toBeCloseTo(51.2, 0)
+    })
+  })
+
   describe('hasLocationChanged', () => {
     it('should return true when locations differ significantly', () => {
       const location1 = { latitude: 40.7128, longitude: -74.0060 }
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for horizon profiles
+ * Tests CSV/JSON import, interpolation and terrain-aware sun times
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateHorizonProfile,
+  parseHorizonProfile,
+  getHorizonElevation,
+  calculateTerrainSunTimes
+} from '../horizon-profile.js';
+import { findSolarElevationEvents } from '../elevation-events.js';
+
+describe('Horizon Profile', () => {
+  const zermatt = [46.0207, 7.7491];
+  const summerDay = new Date(2024, 5, 21);
+  const valleyProfile = [
+    { azimuth: 0, elevation: 5 },
+    { azimuth: 90, elevation: 15 },
+    { azimuth: 180, elevation: 25 },
+    { azimuth: 270, elevation: 10 }
+  ];
+
+  describe('validateHorizonProfile', () => {
+    it('should accept valid profiles', () => {
+      expect(validateHorizonProfile(valleyProfile)).toBe(true);
+    });
+
+    it('should reject invalid profiles', () => {
+      expect(validateHorizonProfile([])).toBe(false);
+      expect(validateHorizonProfile(null)).toBe(false);
+      expect(validateHorizonProfile([{ azimuth: 400, elevation: 5 }])).toBe(false);
+      expect(validateHorizonProfile([{ azimuth: 90, elevation: 95 }])).toBe(false);
+      expect(validateHorizonProfile([{ azimuth: '90', elevation: 5 }])).toBe(false);
+    });
+  });
+
+  describe('parseHorizonProfile', () => {
+    it('should parse CSV with a header and comments', () => {
+      const csv = 'azimuth,elevation\n# surveyed 2024-05-01\n180, 25\n0,5\n90;15\n270\t10\n';
+      expect(parseHorizonProfile(csv)).toEqual(valleyProfile);
+    });
+
+    it('should parse whitespace-separated CSV', () => {
+      expect(parseHorizonProfile('0 5\n90 15')).toEqual(valleyProfile.slice(0, 2));
+    });
+
+    it('should parse JSON objects, pairs and point collections', () => {
+      expect(parseHorizonProfile(JSON.stringify(valleyProfile))).toEqual(valleyProfile);
+      expect(parseHorizonProfile('[[0, 5], [90, 15], [180, 25], [270, 10]]')).toEqual(valleyProfile);
+      expect(parseHorizonProfile({ points: valleyProfile })).toEqual(valleyProfile);
+    });
+
+    it('should sort samples and fold 360° onto 0°', () => {
+      const profile = parseHorizonProfile([
+        { azimuth: 270, elevation: 10 },
+        { azimuth: 360, elevation: 6 },
+        { azimuth: 90, elevation: 15 }
+      ]);
+      
+      expect(profile).toEqual([
+        { azimuth: 0, elevation: 6 },
+        { azimuth: 90, elevation: 15 },
+        { azimuth: 270, elevation: 10 }
+      ]);
+    });
+
+    it('should throw error for invalid input', () => {
+      expect(() => parseHorizonProfile('0,5\n90,abc')).toThrow('Invalid horizon profile sample at line 2');
+      expect(() => parseHorizonProfile('[{"azimuth": 0')).toThrow('Invalid horizon profile provided');
+      expect(() => parseHorizonProfile({ azimuth: 0 })).toThrow('Invalid horizon profile provided');
+      expect(() => parseHorizonProfile('')).toThrow('Invalid horizon profile provided');
+      expect(() => parseHorizonProfile([{ azimuth: 0, elevation: 100 }])).toThrow('Invalid horizon profile provided');
+    });
+  });
+
+  describe('getHorizonElevation', () => {
+    it('should interpolate between samples', () => {
+      expect(getHorizonElevation(valleyProfile, 45)).toBe(10);
+      expect(getHorizonElevation(valleyProfile, 90)).toBe(15);
+      expect(getHorizonElevation(valleyProfile, 225)).toBe(17.5);
+    });
+
+    it('should wrap around north', () => {
+      expect(getHorizonElevation(valleyProfile, 315)).toBe(7.5);
+      expect(getHorizonElevation(valleyProfile, -45)).toBe(7.5);
+      expect(getHorizonElevation(valleyProfile, 360)).toBe(5);
+    });
+
+    it('should treat a single sample as a flat horizon', () => {
+      expect(getHorizonElevation([{ azimuth: 120, elevation: 3 }], 300)).toBe(3);
+    });
+  });
+
+  describe('calculateTerrainSunTimes', () => {
+    it('should match standard sunrise and sunset for a flat horizon', () => {
+      const terrain = calculateTerrainSunTimes(...zermatt, summerDay, [{ azimuth: 0, elevation: 0 }], { timezone: 'Europe/Zurich' });
+      const [sunrise, sunset] = findSolarElevationEvents(...zermatt, summerDay, -0.833, { timezone: 'Europe/Zurich' });
+      
+      expect(Math.abs(terrain.sunAppears.getTime() - sunrise.time.getTime())).toBeLessThan(2 * 60 * 1000);
+      expect(Math.abs(terrain.sunDisappears.getTime() - sunset.time.getTime())).toBeLessThan(2 * 60 * 1000);
+      expect(terrain.periods).toHaveLength(1);
+    });
+
+    it('should delay sunrise and advance sunset in a valley', () => {
+      const flat = calculateTerrainSunTimes(...zermatt, summerDay, [{ azimuth: 0, elevation: 0 }], { timezone: 'Europe/Zurich' });
+      const valley = calculateTerrainSunTimes(...zermatt, summerDay, valleyProfile, { timezone: 'Europe/Zurich' });
+      
+      expect(valley.sunAppears.getTime()).toBeGreaterThan(flat.sunAppears.getTime() + 60 * 60 * 1000);
+      expect(valley.sunDisappears.getTime()).toBeLessThan(flat.sunDisappears.getTime() - 30 * 60 * 1000);
+    });
+
+    it('should split the day when a peak hides the sun', () => {
+      const peakProfile = [
+        { azimuth: 0, elevation: 0 },
+        { azimuth: 175, elevation: 0 },
+        { azimuth: 180, elevation: 80 },
+        { azimuth: 185, elevation: 0 }
+      ];
+      const terrain = calculateTerrainSunTimes(...zermatt, summerDay, peakProfile, { timezone: 'Europe/Zurich' });
+      
+      expect(terrain.periods).toHaveLength(2);
+      expect(terrain.periods[0].end.getTime()).toBeLessThan(terrain.periods[1].start.getTime());
+    });
+
+    it('should accept CSV text directly', () => {
+      const terrain = calculateTerrainSunTimes(...zermatt, summerDay, '0,5\n90,15\n180,25\n270,10', { timezone: 'Europe/Zurich' });
+      expect(terrain.sunAppears).toBeInstanceOf(Date);
+    });
+
+    it('should report a sun that never clears the terrain', () => {
+      const terrain = calculateTerrainSunTimes(...zermatt, new Date(2024, 11, 21), [{ azimuth: 0, elevation: 30 }], { timezone: 'Europe/Zurich' });
+      
+      expect(terrain.sunAppears).toBeNull();
+      expect(terrain.sunDisappears).toBeNull();
+      expect(terrain.periods).toEqual([]);
+      expect(terrain.neverVisible).toBe(true);
+      expect(terrain.alwaysVisible).toBe(false);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateTerrainSunTimes(91, 0, summerDay, valleyProfile)).toThrow('Invalid coordinates provided');
+      expect(() => calculateTerrainSunTimes(...zermatt, summerDay, [])).toThrow('Invalid horizon profile provided');
+    });
+  });
+});
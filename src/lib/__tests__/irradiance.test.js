@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the clear-sky irradiance model
+ * Tests air mass, extraterrestrial irradiance, Ineichen-Perez components and daily series
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateExtraterrestrialIrradiance,
+  calculateAirMass,
+  calculateIrradiance,
+  calculateClearSkyIrradiance,
+  generateIrradianceSeries,
+  SOLAR_CONSTANT
+} from '../irradiance.js';
+import { calculateSunPosition } from '../solar-calculator.js';
+
+describe('Clear-Sky Irradiance', () => {
+  const denver = [39.7392, -104.9903];
+  const summerNoon = new Date('2024-06-21T19:00:00Z');
+
+  describe('calculateExtraterrestrialIrradiance', () => {
+    it('should scale the solar constant with the inverse square of distance', () => {
+      expect(calculateExtraterrestrialIrradiance(1)).toBe(SOLAR_CONSTANT);
+      expect(calculateExtraterrestrialIrradiance(0.9833)).toBeCloseTo(1407.6, 1);
+      expect(calculateExtraterrestrialIrradiance(1.0167)).toBeCloseTo(1316.66, 1);
+    });
+
+    it('should throw error for invalid distance', () => {
+      expect(() => calculateExtraterrestrialIrradiance(0)).toThrow('Invalid distance provided');
+      expect(() => calculateExtraterrestrialIrradiance(undefined)).toThrow('Invalid distance provided');
+    });
+  });
+
+  describe('calculateAirMass', () => {
+    it('should follow Kasten and Young', () => {
+      expect(calculateAirMass(0)).toBeCloseTo(0.9997, 4);
+      expect(calculateAirMass(60)).toBeCloseTo(1.9943, 4);
+      expect(calculateAirMass(89.5)).toBeGreaterThan(30);
+    });
+
+    it('should return null below the horizon', () => {
+      expect(calculateAirMass(90)).toBeNull();
+      expect(calculateAirMass(120)).toBeNull();
+    });
+  });
+
+  describe('calculateIrradiance', () => {
+    it('should match the Ineichen-Perez model at sea level', () => {
+      const irradiance = calculateIrradiance({ elevation: 60, apparentElevation: 60, distance: 1 });
+      
+      expect(irradiance.zenith).toBe(30);
+      expect(irradiance.airMass).toBeCloseTo(1.154, 3);
+      expect(irradiance.ghi).toBeCloseTo(894.8, 1);
+      expect(irradiance.dni).toBeCloseTo(914.4, 1);
+      expect(irradiance.dhi).toBeCloseTo(102.9, 1);
+    });
+
+    it('should keep the components consistent', () => {
+      const irradiance = calculateIrradiance({ elevation: 35, apparentElevation: 35.02, distance: 1.01 });
+      const cosZenith = Math.cos((90 - 35.02) * Math.PI / 180);
+      
+      expect(irradiance.ghi).toBeCloseTo(irradiance.dni * cosZenith + irradiance.dhi, 8);
+    });
+
+    it('should increase with altitude and clearer air', () => {
+      const position = { elevation: 45, apparentElevation: 45, distance: 1 };
+      const seaLevel = calculateIrradiance(position);
+      
+      expect(calculateIrradiance(position, { altitude: 2000 }).ghi).toBeGreaterThan(seaLevel.ghi);
+      expect(calculateIrradiance(position, { linkeTurbidity: 2 }).dni).toBeGreaterThan(seaLevel.dni);
+      expect(calculateIrradiance(position, { linkeTurbidity: 6 }).dni).toBeLessThan(seaLevel.dni);
+    });
+
+    it('should fall back to true elevation', () => {
+      const withApparent = calculateIrradiance({ elevation: 40, apparentElevation: 40, distance: 1 });
+      const withoutApparent = calculateIrradiance({ elevation: 40, distance: 1 });
+      
+      expect(withoutApparent).toEqual(withApparent);
+    });
+
+    it('should return zero irradiance at night', () => {
+      const irradiance = calculateIrradiance({ elevation: -5, apparentElevation: -5, distance: 1 });
+      
+      expect(irradiance.ghi).toBe(0);
+      expect(irradiance.dni).toBe(0);
+      expect(irradiance.dhi).toBe(0);
+      expect(irradiance.airMass).toBeNull();
+    });
+
+    it('should throw error for invalid inputs', () => {
+      const position = { elevation: 45, distance: 1 };
+      
+      expect(() => calculateIrradiance(null)).toThrow('Invalid sun position provided');
+      expect(() => calculateIrradiance(position, { altitude: 10000 })).toThrow('Altitude must be between -500 and 9000 metres');
+      expect(() => calculateIrradiance(position, { linkeTurbidity: 0.5 })).toThrow('Linke turbidity must be between 1 and 10');
+    });
+  });
+
+  describe('calculateClearSkyIrradiance', () => {
+    it('should use the sun position and distance of the instant', () => {
+      const position = calculateSunPosition(...denver, summerNoon);
+      const irradiance = calculateClearSkyIrradiance(...denver, summerNoon, { altitude: 1609 });
+      
+      expect(irradiance.extraterrestrial).toBeCloseTo(SOLAR_CONSTANT / (position.distance * position.distance), 8);
+      expect(irradiance.zenith).toBeCloseTo(90 - position.apparentElevation, 8);
+      expect(irradiance.ghi).toBeGreaterThan(950);
+      expect(irradiance.ghi).toBeLessThan(1100);
+    });
+
+    it('should throw error for invalid coordinates', () => {
+      expect(() => calculateClearSkyIrradiance(91, 0, summerNoon)).toThrow('Invalid coordinates provided');
+    });
+  });
+
+  describe('generateIrradianceSeries', () => {
+    it('should cover the day and integrate daily totals', () => {
+      const { points, totals } = generateIrradianceSeries(...denver, new Date(2024, 5, 21), {
+        timezone: 'America/Denver',
+        intervalMinutes: 30
+      });
+      
+      expect(points).toHaveLength(48);
+      expect(totals.ghi).toBeCloseTo(points.reduce((sum, point) => sum + point.ghi, 0) * 0.5, 8);
+      expect(totals.ghi / 1000).toBeGreaterThan(8);
+      expect(totals.ghi / 1000).toBeLessThan(10);
+      
+      const peak = points.reduce((a, b) => (a.ghi > b.ghi ? a : b));
+      expect(peak.time.getUTCHours()).toBeGreaterThanOrEqual(18);
+      expect(peak.time.getUTCHours()).toBeLessThanOrEqual(19);
+      expect(points[0].ghi).toBe(0);
+    });
+
+    it('should collect less energy in winter', () => {
+      const summer = generateIrradianceSeries(...denver, new Date(2024, 5, 21), { timezone: 'America/Denver' });
+      const winter = generateIrradianceSeries(...denver, new Date(2024, 11, 21), { timezone: 'America/Denver' });
+      
+      expect(winter.totals.ghi).toBeLessThan(summer.totals.ghi / 2);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => generateIrradianceSeries(91, 0, summerNoon)).toThrow('Invalid coordinates provided');
+      expect(() => generateIrradianceSeries(...denver, summerNoon, { intervalMinutes: 0 })).toThrow('Interval must be between 1 and 1440 minutes');
+    });
+  });
+});
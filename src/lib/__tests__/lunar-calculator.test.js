@@ -0,0 +1,155 @@
+/**
+ * Unit tests for lunar calculator
+ * Tests moon coordinates against Meeus reference values, phases, and rise/set/transit times
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateMoonCoordinates,
+  calculateMoonPosition,
+  calculateMoonIllumination,
+  calculateMoonTimes,
+  getMoonPhaseName,
+  MOON_PHASES
+} from '../lunar-calculator.js';
+
+describe('Lunar Calculator', () => {
+  const london = [51.5074, -0.1278];
+  // Meeus example 47.a / 48.a: 1992 April 12, 0h TD (TD - UT = 59s)
+  const meeusDate = new Date(Date.UTC(1992, 3, 11, 23, 59, 1));
+
+  describe('calculateMoonCoordinates', () => {
+    it('should match the Meeus reference position', () => {
+      const moon = calculateMoonCoordinates(meeusDate);
+
+      expect(Math.abs(moon.longitude - 133.162655)).toBeLessThan(0.02);
+      expect(Math.abs(moon.latitude - (-3.229126))).toBeLessThan(0.01);
+      expect(Math.abs(moon.distance - 368409.7)).toBeLessThan(50);
+      expect(Math.abs(moon.rightAscension - 134.688470)).toBeLessThan(0.02);
+      expect(Math.abs(moon.declination - 13.768368)).toBeLessThan(0.01);
+    });
+
+    it('should throw error for invalid dates', () => {
+      expect(() => calculateMoonCoordinates(new Date('invalid'))).toThrow('Invalid date provided');
+      expect(() => calculateMoonCoordinates('1992-04-12')).toThrow('Invalid date provided');
+    });
+  });
+
+  describe('calculateMoonPosition', () => {
+    it('should return azimuth, elevation, distance and parallax', () => {
+      const position = calculateMoonPosition(...london, new Date('2024-04-23T00:00:00Z'));
+
+      expect(position.azimuth).toBeGreaterThanOrEqual(0);
+      expect(position.azimuth).toBeLessThan(360);
+      expect(position.elevation).toBeGreaterThanOrEqual(-90);
+      expect(position.elevation).toBeLessThanOrEqual(90);
+      expect(position.distance).toBeGreaterThan(356000);
+      expect(position.distance).toBeLessThan(407000);
+      expect(position.parallax).toBeGreaterThan(0.89);
+      expect(position.parallax).toBeLessThan(1.03);
+    });
+
+    it('should face south near the meridian at upper transit', () => {
+      const { transit } = calculateMoonTimes(...london, new Date(2024, 3, 23), { timezone: 'Europe/London' });
+      const position = calculateMoonPosition(...london, transit);
+
+      expect(Math.abs(position.azimuth - 180)).toBeLessThan(0.5);
+    });
+
+    it('should add refraction for apparent elevation', () => {
+      const position = calculateMoonPosition(...london, new Date('2024-04-23T05:00:00Z'));
+      expect(position.apparentElevation).toBeGreaterThanOrEqual(position.elevation);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateMoonPosition(91, 0, new Date())).toThrow('Invalid coordinates provided');
+      expect(() => calculateMoonPosition(0, 0, new Date('invalid'))).toThrow('Invalid date provided');
+    });
+  });
+
+  describe('calculateMoonIllumination', () => {
+    it('should match the Meeus reference illuminated fraction', () => {
+      const illumination = calculateMoonIllumination(meeusDate);
+
+      expect(Math.abs(illumination.fraction - 0.6786)).toBeLessThan(0.002);
+      expect(Math.abs(illumination.phaseAngle - 69.0756)).toBeLessThan(0.1);
+      expect(illumination.waxing).toBe(true);
+    });
+
+    it('should identify full and new moon', () => {
+      // Full moon 2024-04-23 23:49 UTC, new moon 2024-04-08 18:21 UTC
+      const full = calculateMoonIllumination(new Date('2024-04-23T23:49:00Z'));
+      const newMoon = calculateMoonIllumination(new Date('2024-04-08T18:21:00Z'));
+
+      expect(full.fraction).toBeGreaterThan(0.99);
+      expect(full.phaseName).toBe(MOON_PHASES.FULL_MOON);
+      expect(newMoon.fraction).toBeLessThan(0.01);
+      expect(newMoon.phaseName).toBe(MOON_PHASES.NEW_MOON);
+    });
+
+    it('should identify waning phases', () => {
+      // Last quarter 2024-05-01 11:27 UTC
+      const illumination = calculateMoonIllumination(new Date('2024-05-01T11:27:00Z'));
+
+      expect(illumination.phaseName).toBe(MOON_PHASES.LAST_QUARTER);
+      expect(illumination.waxing).toBe(false);
+      expect(Math.abs(illumination.fraction - 0.5)).toBeLessThan(0.02);
+    });
+  });
+
+  describe('getMoonPhaseName', () => {
+    it('should map phase fractions to names', () => {
+      expect(getMoonPhaseName(0)).toBe(MOON_PHASES.NEW_MOON);
+      expect(getMoonPhaseName(0.125)).toBe(MOON_PHASES.WAXING_CRESCENT);
+      expect(getMoonPhaseName(0.25)).toBe(MOON_PHASES.FIRST_QUARTER);
+      expect(getMoonPhaseName(0.5)).toBe(MOON_PHASES.FULL_MOON);
+      expect(getMoonPhaseName(0.625)).toBe(MOON_PHASES.WANING_GIBBOUS);
+      expect(getMoonPhaseName(0.97)).toBe(MOON_PHASES.NEW_MOON);
+    });
+
+    it('should throw error for invalid phase', () => {
+      expect(() => getMoonPhaseName(NaN)).toThrow('Invalid phase provided');
+    });
+  });
+
+  describe('calculateMoonTimes', () => {
+    it('should calculate moonrise, moonset and transit in London', () => {
+      const times = calculateMoonTimes(...london, new Date(2024, 3, 23), { timezone: 'Europe/London' });
+
+      // Reference: moonset 05:30 BST, moonrise 19:59 BST
+      expect(Math.abs(times.set.getTime() - new Date('2024-04-23T04:30:05Z').getTime())).toBeLessThan(60000);
+      expect(Math.abs(times.rise.getTime() - new Date('2024-04-23T18:58:47Z').getTime())).toBeLessThan(60000);
+      expect(times.transit).toBeInstanceOf(Date);
+      expect(times.transitElevation).toBeGreaterThan(0);
+      expect(times.alwaysUp).toBe(false);
+      expect(times.alwaysDown).toBe(false);
+    });
+
+    it('should return times within the local day at second precision', () => {
+      const times = calculateMoonTimes(40.7128, -74.0060, new Date(2024, 5, 21), { timezone: 'America/New_York' });
+      const dayStart = new Date('2024-06-21T04:00:00Z');
+      const dayEnd = new Date('2024-06-22T04:00:00Z');
+
+      [times.rise, times.set, times.transit].forEach(time => {
+        expect(time.getMilliseconds()).toBe(0);
+        expect(time.getTime()).toBeGreaterThanOrEqual(dayStart.getTime());
+        expect(time.getTime()).toBeLessThan(dayEnd.getTime());
+      });
+    });
+
+    it('should report a moon that stays below the horizon all day', () => {
+      // Svalbard: the full moon near the June solstice stays far south
+      const times = calculateMoonTimes(78.2232, 15.6267, new Date(2024, 5, 21), { timezone: 'Arctic/Longyearbyen' });
+
+      expect(times.rise).toBeNull();
+      expect(times.set).toBeNull();
+      expect(times.alwaysDown).toBe(true);
+      expect(times.alwaysUp).toBe(false);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateMoonTimes(0, 181, new Date())).toThrow('Invalid coordinates provided');
+      expect(() => calculateMoonTimes(0, 0, 'today')).toThrow();
+    });
+  });
+});
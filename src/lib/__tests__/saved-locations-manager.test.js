@@ -128,10 +128,49 @@ describe('SavedLocationsManager', () => {
 
       const result = await savedLocationsManager.create('Test Location', 37.7749, -122.4194)
 
-      expect(savedLocationsService.create).toHaveBeenCalledWith('Test Location', 37.7749, -122.4194)
+      expect(savedLocationsService.create).toHaveBeenCalledWith('Test Location', 37.7749, -122.4194, null)
       expect(result).toEqual(mockLocation)
     })
 
+    it('should pass a normalized horizon profile to the server', async () => {
+      const { getCurrentUser } = await import('../supabase.js')
+      const { savedLocationsService } = await import('../database-service.js')
+      
+      getCurrentUser.mockResolvedValue(mockUser)
+      savedLocationsService.create.mockResolvedValue(mockLocation)
+      localStorageMock.getItem.mockReturnValue('[]')
+
+      await savedLocationsManager.create('Ridge', 37.7749, -122.4194, '180,2\n90,5')
+
+      expect(savedLocationsService.create).toHaveBeenCalledWith('Ridge', 37.7749, -122.4194, [
+        { azimuth: 90, elevation: 5 },
+        { azimuth: 180, elevation: 2 }
+      ])
+    })
+
+    it('should cache the horizon profile when offline', async () => {
+      const { getCurrentUser } = await import('../supabase.js')
+      
+      getCurrentUser.mockResolvedValue(mockUser)
+      global.navigator.onLine = false
+      localStorageMock.getItem.mockReturnValue('[]')
+
+      const result = await savedLocationsManager.create('Ridge', 37.7749, -122.4194, [{ azimuth: 90, elevation: 5 }])
+
+      expect(result.horizon_profile).toEqual([{ azimuth: 90, elevation: 5 }])
+      expect(result._pending).toBe(true)
+    })
+
+    it('should reject an invalid horizon profile', async () => {
+      const { getCurrentUser } = await import('../supabase.js')
+      
+      getCurrentUser.mockResolvedValue(mockUser)
+
+      await expect(
+        savedLocationsManager.create('Ridge', 0, 0, [{ azimuth: 400, elevation: 5 }])
+      ).rejects.toThrow('Invalid horizon profile provided')
+    })
+
     it('should validate coordinates', async () => {
       const { getCurrentUser } = await import('../supabase.js')
       
@@ -211,6 +250,19 @@ describe('SavedLocationsManager', () => {
         savedLocationsManager.update('loc-123', { latitude: 91 })
       ).rejects.toThrow('Latitude must be between -90 and 90 degrees')
     })
+
+    it('should reject an empty horizon profile instead of caching it', async () => {
+      const { getCurrentUser } = await import('../supabase.js')
+      const { savedLocationsService } = await import('../database-service.js')
+      
+      getCurrentUser.mockResolvedValue(mockUser)
+      localStorageMock.getItem.mockReturnValue(JSON.stringify([mockLocation]))
+
+      await expect(
+        savedLocationsManager.update('loc-123', { horizon_profile: '' })
+      ).rejects.toThrow('Invalid horizon profile provided')
+      expect(savedLocationsService.update).not.toHaveBeenCalled()
+    })
   })
 
   describe('delete', () => {
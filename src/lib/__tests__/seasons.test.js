@@ -0,0 +1,118 @@
+/**
+ * Unit tests for seasons calculator
+ * Tests solstice, equinox and cross-quarter instants and per-location day data
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateSeasonalMarkers,
+  calculateSeasonalMarkersForLocation,
+  SEASONAL_MARKERS
+} from '../seasons.js';
+import { calculateSolarLongitude } from '../solar-calculator.js';
+
+describe('Seasons Calculator', () => {
+  const fifteenMinutes = 15 * 60 * 1000;
+
+  describe('calculateSeasonalMarkers', () => {
+    it('should match published 2024 solstice and equinox instants', () => {
+      const markers = calculateSeasonalMarkers(2024);
+      const byName = Object.fromEntries(markers.map(marker => [marker.marker, marker.time]));
+
+      // Published instants (UTC)
+      const expected = {
+        [SEASONAL_MARKERS.MARCH_EQUINOX]: '2024-03-20T03:06:00Z',
+        [SEASONAL_MARKERS.JUNE_SOLSTICE]: '2024-06-20T20:51:00Z',
+        [SEASONAL_MARKERS.SEPTEMBER_EQUINOX]: '2024-09-22T12:44:00Z',
+        [SEASONAL_MARKERS.DECEMBER_SOLSTICE]: '2024-12-21T09:21:00Z'
+      };
+
+      Object.entries(expected).forEach(([marker, time]) => {
+        expect(Math.abs(byName[marker].getTime() - new Date(time).getTime())).toBeLessThan(fifteenMinutes);
+      });
+    });
+
+    it('should match published instants for 2000', () => {
+      const markers = calculateSeasonalMarkers(2000);
+      const juneSolstice = markers.find(marker => marker.marker === SEASONAL_MARKERS.JUNE_SOLSTICE);
+      const marchEquinox = markers.find(marker => marker.marker === SEASONAL_MARKERS.MARCH_EQUINOX);
+
+      expect(Math.abs(juneSolstice.time.getTime() - new Date('2000-06-21T01:48:00Z').getTime())).toBeLessThan(fifteenMinutes);
+      expect(Math.abs(marchEquinox.time.getTime() - new Date('2000-03-20T07:35:00Z').getTime())).toBeLessThan(fifteenMinutes);
+    });
+
+    it('should return all eight markers in date order', () => {
+      const markers = calculateSeasonalMarkers(2024);
+
+      expect(markers).toHaveLength(8);
+      expect(markers.filter(marker => marker.crossQuarter)).toHaveLength(4);
+      for (let i = 1; i < markers.length; i++) {
+        expect(markers[i].time.getTime()).toBeGreaterThan(markers[i - 1].time.getTime());
+      }
+      markers.forEach(marker => {
+        expect(marker.time.getUTCFullYear()).toBe(2024);
+      });
+    });
+
+    it('should place cross-quarter days halfway in solar longitude', () => {
+      const markers = calculateSeasonalMarkers(2024);
+      const mayCrossQuarter = markers.find(marker => marker.marker === SEASONAL_MARKERS.MAY_CROSS_QUARTER);
+
+      expect(mayCrossQuarter.solarLongitude).toBe(45);
+      expect(Math.abs(calculateSolarLongitude(mayCrossQuarter.time) - 45)).toBeLessThan(0.001);
+    });
+
+    it('should support the full year range', () => {
+      expect(calculateSeasonalMarkers(1000)).toHaveLength(8);
+      expect(calculateSeasonalMarkers(3000)).toHaveLength(8);
+      calculateSeasonalMarkers(3000).forEach(marker => {
+        expect(marker.time).toBeInstanceOf(Date);
+      });
+    });
+
+    it('should throw error for invalid years', () => {
+      expect(() => calculateSeasonalMarkers(999)).toThrow('Date must be between years 1000 and 3000');
+      expect(() => calculateSeasonalMarkers(3001)).toThrow('Date must be between years 1000 and 3000');
+      expect(() => calculateSeasonalMarkers(2024.5)).toThrow('Invalid year provided');
+      expect(() => calculateSeasonalMarkers('2024')).toThrow('Invalid year provided');
+    });
+  });
+
+  describe('calculateSeasonalMarkersForLocation', () => {
+    it('should report day length and noon elevation in New York', () => {
+      const markers = calculateSeasonalMarkersForLocation(40.7128, -74.0060, 2024, { timezone: 'America/New_York' });
+      const june = markers.find(marker => marker.marker === SEASONAL_MARKERS.JUNE_SOLSTICE);
+      const december = markers.find(marker => marker.marker === SEASONAL_MARKERS.DECEMBER_SOLSTICE);
+
+      // Noon elevation at the solstices is 90° - latitude ± obliquity
+      expect(Math.abs(june.noonElevation - (90 - 40.7128 + 23.44))).toBeLessThan(0.1);
+      expect(Math.abs(december.noonElevation - (90 - 40.7128 - 23.44))).toBeLessThan(0.1);
+      expect(june.dayLength).toBeGreaterThan(15);
+      expect(december.dayLength).toBeLessThan(9.5);
+      expect(june.solarNoon).toBeInstanceOf(Date);
+    });
+
+    it('should use the location calendar date for each marker', () => {
+      // The 2024 March equinox falls on the evening of March 19 in New York
+      const markers = calculateSeasonalMarkersForLocation(40.7128, -74.0060, 2024, { timezone: 'America/New_York' });
+      const march = markers.find(marker => marker.marker === SEASONAL_MARKERS.MARCH_EQUINOX);
+
+      expect(march.localDate.getDate()).toBe(19);
+      expect(march.localDate.getMonth()).toBe(2);
+    });
+
+    it('should report polar day and night', () => {
+      const markers = calculateSeasonalMarkersForLocation(78.2232, 15.6267, 2024);
+      const june = markers.find(marker => marker.marker === SEASONAL_MARKERS.JUNE_SOLSTICE);
+      const december = markers.find(marker => marker.marker === SEASONAL_MARKERS.DECEMBER_SOLSTICE);
+
+      expect(june.dayLength).toBe(24);
+      expect(december.dayLength).toBe(0);
+      expect(december.noonElevation).toBeLessThan(0);
+    });
+
+    it('should throw error for invalid coordinates', () => {
+      expect(() => calculateSeasonalMarkersForLocation(91, 0, 2024)).toThrow('Invalid coordinates provided');
+    });
+  });
+});
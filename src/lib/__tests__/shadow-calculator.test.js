@@ -0,0 +1,161 @@
+/**
+ * Unit tests for the shadow calculator
+ * Tests shadow length, direction, tip offsets, units and day series
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateShadowLength,
+  calculateShadowDirection,
+  calculateShadow,
+  getShadowEndpoint,
+  generateShadowPath,
+  toMetres,
+  fromMetres,
+  SHADOW_UNITS
+} from '../shadow-calculator.js';
+import { calculateSunPosition } from '../solar-calculator.js';
+import { calculateDistance, calculateBearing } from '../geolocation-service.js';
+
+describe('Shadow Calculator', () => {
+  const testLocation = [40.7128, -74.0060]; // New York City
+  const testDate = new Date('2024-06-21T12:00:00Z');
+
+  describe('calculateShadowLength', () => {
+    it('should equal the object height at 45° elevation', () => {
+      expect(calculateShadowLength(10, 45)).toBeCloseTo(10, 10);
+    });
+
+    it('should lengthen as the sun drops', () => {
+      expect(calculateShadowLength(10, 30)).toBeCloseTo(10 * Math.sqrt(3), 10);
+      expect(calculateShadowLength(10, 10)).toBeGreaterThan(calculateShadowLength(10, 30));
+    });
+
+    it('should return null when the sun is not above the horizon', () => {
+      expect(calculateShadowLength(10, 0)).toBeNull();
+      expect(calculateShadowLength(10, -5)).toBeNull();
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateShadowLength(0, 45)).toThrow('Object height must be a positive number');
+      expect(() => calculateShadowLength(-1, 45)).toThrow('Object height must be a positive number');
+      expect(() => calculateShadowLength(10, 91)).toThrow('Invalid sun elevation provided');
+      expect(() => calculateShadowLength(10, NaN)).toThrow('Invalid sun elevation provided');
+    });
+  });
+
+  describe('calculateShadowDirection', () => {
+    it('should point away from the sun', () => {
+      expect(calculateShadowDirection(180)).toBe(0);
+      expect(calculateShadowDirection(90)).toBe(270);
+      expect(calculateShadowDirection(270)).toBe(90);
+      expect(calculateShadowDirection(0)).toBe(180);
+    });
+
+    it('should throw error for invalid azimuth', () => {
+      expect(() => calculateShadowDirection('south')).toThrow('Invalid azimuth provided');
+    });
+  });
+
+  describe('calculateShadow', () => {
+    it('should compute north and east offsets of the shadow tip', () => {
+      const shadow = calculateShadow(10, { azimuth: 135, elevation: 45 });
+      
+      expect(shadow.hasShadow).toBe(true);
+      expect(shadow.length).toBeCloseTo(10, 10);
+      expect(shadow.azimuth).toBe(315);
+      expect(shadow.northOffset).toBeCloseTo(10 / Math.SQRT2, 10);
+      expect(shadow.eastOffset).toBeCloseTo(-10 / Math.SQRT2, 10);
+      expect(shadow.units).toBe(SHADOW_UNITS.METRIC);
+    });
+
+    it('should point north at noon in the northern hemisphere', () => {
+      const noon = new Date('2024-06-21T16:56:00Z');
+      const shadow = calculateShadow(2, calculateSunPosition(...testLocation, noon));
+      
+      expect(shadow.northOffset).toBeGreaterThan(0);
+      expect(Math.abs(shadow.eastOffset)).toBeLessThan(0.05);
+    });
+
+    it('should keep imperial heights in feet', () => {
+      const position = { azimuth: 180, elevation: 30 };
+      const metric = calculateShadow(3, position);
+      const imperial = calculateShadow(fromMetres(3, SHADOW_UNITS.IMPERIAL), position, { units: SHADOW_UNITS.IMPERIAL });
+      
+      expect(imperial.units).toBe(SHADOW_UNITS.IMPERIAL);
+      expect(toMetres(imperial.length, SHADOW_UNITS.IMPERIAL)).toBeCloseTo(metric.length, 10);
+      expect(imperial.length).toBeCloseTo(metric.length * 3.28084, 10);
+    });
+
+    it('should report no shadow at night', () => {
+      const shadow = calculateShadow(10, { azimuth: 0, elevation: -10 });
+      
+      expect(shadow).toEqual({
+        hasShadow: false,
+        length: null,
+        azimuth: null,
+        northOffset: null,
+        eastOffset: null,
+        units: SHADOW_UNITS.METRIC
+      });
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateShadow(10, null)).toThrow('Invalid sun position provided');
+      expect(() => calculateShadow(10, { azimuth: 180, elevation: 30 }, { units: 'cubits' })).toThrow('Invalid units provided');
+    });
+  });
+
+  describe('getShadowEndpoint', () => {
+    it('should place the tip at the shadow length and direction', () => {
+      const start = { latitude: testLocation[0], longitude: testLocation[1] };
+      const tip = getShadowEndpoint(start, 50, 45);
+      
+      expect(calculateDistance(start, tip)).toBeCloseTo(50, 3);
+      expect(calculateBearing(start, tip)).toBeCloseTo(45, 3);
+    });
+
+    it('should convert imperial lengths', () => {
+      const start = { latitude: 0, longitude: 0 };
+      const tip = getShadowEndpoint(start, 328.084, 0, SHADOW_UNITS.IMPERIAL);
+      
+      expect(calculateDistance(start, tip)).toBeCloseTo(100, 3);
+      expect(tip.longitude).toBeCloseTo(0, 10);
+    });
+
+    it('should throw error for invalid start point', () => {
+      expect(() => getShadowEndpoint({ latitude: 100, longitude: 0 }, 10, 0)).toThrow('Invalid coordinates provided');
+    });
+  });
+
+  describe('generateShadowPath', () => {
+    it('should follow generateSunPath through the day', () => {
+      const path = generateShadowPath(...testLocation, testDate, 10, { intervalMinutes: 60 });
+      
+      expect(path).toHaveLength(24);
+      path.forEach(point => {
+        expect(point.time).toBeInstanceOf(Date);
+        expect(point.hasShadow).toBe(point.sunElevation > 0);
+        if (point.hasShadow) {
+          expect(point.length).toBeCloseTo(calculateShadowLength(10, point.sunElevation), 10);
+          expect(point.azimuth).toBeCloseTo(calculateShadowDirection(point.sunAzimuth), 10);
+        }
+      });
+    });
+
+    it('should be shortest near solar noon', () => {
+      const path = generateShadowPath(...testLocation, testDate, 10, { intervalMinutes: 10 })
+        .filter(point => point.hasShadow);
+      const shortest = path.reduce((a, b) => (a.length < b.length ? a : b));
+      const highest = path.reduce((a, b) => (a.sunElevation > b.sunElevation ? a : b));
+      
+      expect(shortest.time).toEqual(highest.time);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => generateShadowPath(...testLocation, testDate, 0)).toThrow('Object height must be a positive number');
+      expect(() => generateShadowPath(91, 0, testDate, 10)).toThrow('Invalid coordinates provided');
+      expect(() => generateShadowPath(...testLocation, testDate, 10, { units: 'cubits' })).toThrow('Invalid units provided');
+    });
+  });
+});
@@ -6,14 +6,85 @@
 import { describe, it, expect } from 'vitest';
 import {
   validateCoordinates,
+  calculateAtmosphericRefraction,
+  calculateSolarLongitude,
+  calculateEquationOfTime,
+  calculateSolarDeclination,
   calculateSunPosition,
+  calculateSunPositionBatch,
+  calculateHorizonDip,
   calculateSunrise,
   calculateSunset,
   calculateSolarNoon,
-  normalizeDate
+  getSunCondition,
+  getJulianDay,
+  normalizeDate,
+  SUN_CONDITIONS
 } from '../solar-calculator.js';
+import { createZonedDateTime } from '../timezone-handler.js';
 
 describe('Solar Calculator', () => {
+  describe('getJulianDay', () => {
+    it('should match reference Julian Day values', () => {
+      expect(getJulianDay(new Date('2000-01-01T12:00:00Z'))).toBe(2451545);
+      expect(getJulianDay(new Date('1992-04-12T00:00:00Z'))).toBe(2448724.5);
+      expect(getJulianDay(new Date('1987-06-19T12:00:00Z'))).toBe(2446966);
+    });
+
+    it('should keep milliseconds', () => {
+      expect(getJulianDay(new Date('2000-01-01T12:00:00.864Z'))).toBeCloseTo(2451545.00001, 9);
+    });
+  });
+
+  describe('calculateSolarLongitude', () => {
+    it('should be near 90° at the June solstice and 0° at the March equinox', () => {
+      expect(Math.abs(calculateSolarLongitude(new Date('2024-06-20T20:51:00Z')) - 90)).toBeLessThan(0.05);
+      
+      const equinox = calculateSolarLongitude(new Date('2024-03-20T03:06:00Z'));
+      expect(Math.min(equinox, 360 - equinox)).toBeLessThan(0.05);
+    });
+
+    it('should return values between 0 and 360', () => {
+      const longitude = calculateSolarLongitude(new Date('1500-01-01T00:00:00Z'));
+      expect(longitude).toBeGreaterThanOrEqual(0);
+      expect(longitude).toBeLessThan(360);
+    });
+
+    it('should throw error for invalid dates', () => {
+      expect(() => calculateSolarLongitude(new Date('invalid'))).toThrow('Invalid date provided');
+    });
+  });
+
+  describe('calculateEquationOfTime', () => {
+    it('should match the annual extremes', () => {
+      expect(calculateEquationOfTime(new Date('2024-02-11T12:00:00Z'))).toBeCloseTo(-14.2, 0);
+      expect(calculateEquationOfTime(new Date('2024-05-14T12:00:00Z'))).toBeCloseTo(3.7, 0);
+      expect(calculateEquationOfTime(new Date('2024-07-26T12:00:00Z'))).toBeCloseTo(-6.5, 0);
+      expect(calculateEquationOfTime(new Date('2024-11-03T12:00:00Z'))).toBeCloseTo(16.4, 0);
+    });
+
+    it('should stay within a quarter hour around the turn of the year', () => {
+      expect(Math.abs(calculateEquationOfTime(new Date('2024-01-01T00:00:00Z')))).toBeLessThan(5);
+      expect(Math.abs(calculateEquationOfTime(new Date('2024-03-20T00:00:00Z')))).toBeLessThan(15);
+    });
+
+    it('should throw error for invalid dates', () => {
+      expect(() => calculateEquationOfTime(new Date('invalid'))).toThrow('Invalid date provided');
+    });
+  });
+
+  describe('calculateSolarDeclination', () => {
+    it('should reach the obliquity at the solstices and zero at the equinox', () => {
+      expect(calculateSolarDeclination(new Date('2024-06-20T20:51:00Z'))).toBeCloseTo(23.44, 2);
+      expect(calculateSolarDeclination(new Date('2024-12-21T09:20:00Z'))).toBeCloseTo(-23.44, 2);
+      expect(Math.abs(calculateSolarDeclination(new Date('2024-03-20T03:06:00Z')))).toBeLessThan(0.05);
+    });
+
+    it('should throw error for invalid dates', () => {
+      expect(() => calculateSolarDeclination('2024-06-21')).toThrow('Invalid date provided');
+    });
+  });
+
   describe('validateCoordinates', () => {
     it('should validate correct coordinates', () => {
       expect(validateCoordinates(40.7128, -74.0060)).toBe(true); // New York
@@ -93,6 +164,27 @@ describe('Solar Calculator', () => {
       expect(position2.elevation).toBeLessThan(90);
     });
 
+    it('should return apparent elevation above the true elevation near the horizon', () => {
+      // London sunset on the summer solstice
+      const date = new Date('2024-06-21T20:05:00Z');
+      const position = calculateSunPosition(51.5074, -0.1278, date);
+      
+      expect(position).toHaveProperty('apparentElevation');
+      expect(Math.abs(position.elevation)).toBeLessThan(2);
+      expect(position.apparentElevation - position.elevation).toBeGreaterThan(0.2);
+      expect(position.apparentElevation - position.elevation).toBeLessThan(0.7);
+    });
+
+    it('should apply atmospheric conditions to apparent elevation', () => {
+      const date = new Date('2024-06-21T20:05:00Z');
+      const standard = calculateSunPosition(51.5074, -0.1278, date);
+      const thinAir = calculateSunPosition(51.5074, -0.1278, date, { pressure: 700, temperature: 10 });
+      
+      expect(thinAir.elevation).toBe(standard.elevation);
+      expect(thinAir.apparentElevation).toBeLessThan(standard.apparentElevation);
+      expect(thinAir.apparentElevation).toBeGreaterThan(thinAir.elevation);
+    });
+
     it('should throw error for invalid inputs', () => {
       const validDate = new Date('2024-06-21T12:00:00Z');
       
@@ -103,6 +195,95 @@ describe('Solar Calculator', () => {
     });
   });
 
+  describe('calculateSunPositionBatch', () => {
+    const start = new Date('2024-01-01T00:00:00Z');
+    const end = new Date('2024-12-31T23:59:00Z');
+    const year = calculateSunPositionBatch(40.7128, -74.0060, start, end, 1);
+
+    it('should fill one sample per step across a year', () => {
+      expect(year.times).toBeInstanceOf(Float64Array);
+      expect(year.azimuth).toBeInstanceOf(Float64Array);
+      expect(year.elevation).toHaveLength(527040);
+      expect(year.times[0]).toBe(start.getTime());
+      expect(year.times[527039]).toBe(end.getTime());
+    });
+
+    it('should match calculateSunPosition at every sample', () => {
+      for (let index = 0; index < year.times.length; index += 9973) {
+        const position = calculateSunPosition(40.7128, -74.0060, new Date(year.times[index]));
+        
+        expect(year.elevation[index]).toBeCloseTo(position.elevation, 4);
+        expect(year.azimuth[index]).toBeCloseTo(position.azimuth, 4);
+      }
+    });
+
+    it('should match calculateSunPosition far from the present', () => {
+      const batch = calculateSunPositionBatch(-33.8688, 151.2093, new Date('1500-03-20T00:00:00Z'), new Date('1500-03-22T00:00:00Z'), 37);
+      
+      batch.times.forEach((time, index) => {
+        const position = calculateSunPosition(-33.8688, 151.2093, new Date(time));
+        
+        expect(batch.elevation[index]).toBeCloseTo(position.elevation, 4);
+        expect(batch.azimuth[index]).toBeCloseTo(position.azimuth, 4);
+      });
+    });
+
+    it('should stop at the last whole step before the end', () => {
+      const batch = calculateSunPositionBatch(0, 0, start, new Date('2024-01-01T01:00:00Z'), 25);
+      
+      expect(Array.from(batch.times)).toEqual([0, 25, 50].map(minutes => start.getTime() + minutes * 60000));
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateSunPositionBatch(91, 0, start, end)).toThrow('Invalid coordinates provided');
+      expect(() => calculateSunPositionBatch(40, -74, 'invalid', end)).toThrow('Invalid date provided');
+      expect(() => calculateSunPositionBatch(40, -74, end, start)).toThrow('End date must not be before start date');
+      expect(() => calculateSunPositionBatch(40, -74, start, end, 0)).toThrow('Step must be a positive number of minutes');
+      expect(() => calculateSunPositionBatch(40, -74, start, end, 0.0001)).toThrow('Batch must not exceed');
+    });
+  });
+
+  describe('calculateAtmosphericRefraction', () => {
+    it('should match the standard refraction at the horizon', () => {
+      // Roughly 34 arc minutes at the horizon
+      expect(calculateAtmosphericRefraction(0)).toBeCloseTo(0.482, 2);
+      expect(calculateAtmosphericRefraction(-0.5)).toBeGreaterThan(calculateAtmosphericRefraction(0));
+    });
+
+    it('should decrease as the sun climbs', () => {
+      const low = calculateAtmosphericRefraction(2);
+      const mid = calculateAtmosphericRefraction(10);
+      const high = calculateAtmosphericRefraction(45);
+      
+      expect(low).toBeGreaterThan(mid);
+      expect(mid).toBeGreaterThan(high);
+      expect(high).toBeCloseTo(58.1 / 3600, 3);
+      expect(calculateAtmosphericRefraction(88)).toBe(0);
+    });
+
+    it('should be continuous across model boundaries', () => {
+      [-0.575, 5].forEach(boundary => {
+        const below = calculateAtmosphericRefraction(boundary - 1e-6);
+        const above = calculateAtmosphericRefraction(boundary + 1e-6);
+        expect(Math.abs(below - above)).toBeLessThan(0.001);
+      });
+    });
+
+    it('should scale with pressure and temperature', () => {
+      const standard = calculateAtmosphericRefraction(1);
+      
+      expect(calculateAtmosphericRefraction(1, { pressure: 505 })).toBeCloseTo(standard / 2, 6);
+      expect(calculateAtmosphericRefraction(1, { temperature: -20 })).toBeGreaterThan(standard);
+      expect(calculateAtmosphericRefraction(1, { temperature: 30 })).toBeLessThan(standard);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateAtmosphericRefraction('1')).toThrow('Invalid elevation');
+      expect(() => calculateAtmosphericRefraction(1, { pressure: -1 })).toThrow('Invalid pressure');
+      expect(() => calculateAtmosphericRefraction(1, { temperature: -300 })).toThrow('Invalid temperature');
+    });
+  });
+
   describe('calculateSunrise', () => {
     it('should calculate sunrise for New York', () => {
       // New York on March 21, 2024 (Spring Equinox)
@@ -136,7 +317,12 @@ describe('Solar Calculator', () => {
       const date = new Date('2024-12-21T00:00:00Z');
       const sunrise = calculateSunrise(85, 0, date);
       
-      expect(sunrise).toBeNull(); // No sunrise during polar night
+      // No sunrise during polar night
+      expect(sunrise).not.toBeInstanceOf(Date);
+      expect(sunrise.condition).toBe(SUN_CONDITIONS.POLAR_NIGHT);
+      expect(sunrise.sunAlwaysDown).toBe(true);
+      expect(sunrise.sunAlwaysUp).toBe(false);
+      expect(sunrise.dayLength).toBe(0);
     });
 
     it('should handle polar day conditions', () => {
@@ -144,7 +330,71 @@ describe('Solar Calculator', () => {
       const date = new Date('2024-06-21T00:00:00Z');
       const sunrise = calculateSunrise(85, 0, date);
       
-      expect(sunrise).toBeNull(); // No sunrise during polar day (sun never sets)
+      // No sunrise during polar day (sun never sets)
+      expect(sunrise).not.toBeInstanceOf(Date);
+      expect(sunrise.condition).toBe(SUN_CONDITIONS.POLAR_DAY);
+      expect(sunrise.sunAlwaysUp).toBe(true);
+      expect(sunrise.sunAlwaysDown).toBe(false);
+      expect(sunrise.dayLength).toBe(24);
+    });
+
+    it('should report when normal sunrises resume after a polar period', () => {
+      // Tromsø: polar night ends mid-January, midnight sun ends late July
+      const polarNight = calculateSunrise(69.6492, 18.9553, new Date('2024-12-21T00:00:00Z'));
+      const midnightSun = calculateSunrise(69.6492, 18.9553, new Date('2024-06-21T00:00:00Z'));
+      
+      expect(polarNight.nextNormalDate).toBeInstanceOf(Date);
+      expect(polarNight.nextNormalDate.getFullYear()).toBe(2025);
+      expect(polarNight.nextNormalDate.getMonth()).toBe(0);
+      expect(calculateSunrise(69.6492, 18.9553, polarNight.nextNormalDate)).toBeInstanceOf(Date);
+      
+      expect(midnightSun.nextNormalDate.getMonth()).toBe(6);
+      expect(calculateSunrise(69.6492, 18.9553, midnightSun.nextNormalDate)).toBeInstanceOf(Date);
+      
+      // The day before must still be polar
+      const dayBefore = new Date(midnightSun.nextNormalDate);
+      dayBefore.setDate(dayBefore.getDate() - 1);
+      expect(getSunCondition(69.6492, 18.9553, dayBefore)).toBe(SUN_CONDITIONS.POLAR_DAY);
+    });
+  });
+
+  describe('observer height and horizon altitude', () => {
+    const date = new Date('2024-03-21T00:00:00Z');
+    const location = [40.7128, -74.0060]; // New York
+    
+    it('should calculate horizon dip from observer height', () => {
+      expect(calculateHorizonDip(0)).toBe(0);
+      // About 1.2 degrees from a 1200 m ridge
+      expect(calculateHorizonDip(1200)).toBeCloseTo(1.2, 1);
+      expect(() => calculateHorizonDip(-10)).toThrow('Invalid observer height');
+      expect(() => calculateHorizonDip('100')).toThrow('Invalid observer height');
+    });
+
+    it('should see an earlier sunrise and later sunset from an elevated position', () => {
+      const groundSunrise = calculateSunrise(...location, date);
+      const groundSunset = calculateSunset(...location, date);
+      const rooftopSunrise = calculateSunrise(...location, date, { observerHeight: 300 });
+      const rooftopSunset = calculateSunset(...location, date, { observerHeight: 300 });
+      
+      expect(rooftopSunrise.getTime()).toBeLessThan(groundSunrise.getTime());
+      expect(rooftopSunset.getTime()).toBeGreaterThan(groundSunset.getTime());
+    });
+
+    it('should accept an explicit horizon altitude', () => {
+      const standard = calculateSunrise(...location, date);
+      const explicitStandard = calculateSunrise(...location, date, { horizonAltitude: -0.833 });
+      const raisedHorizon = calculateSunrise(...location, date, { horizonAltitude: 3 });
+      
+      expect(explicitStandard.getTime()).toBe(standard.getTime());
+      expect(raisedHorizon.getTime()).toBeGreaterThan(standard.getTime());
+      expect(() => calculateSunrise(...location, date, { horizonAltitude: 95 })).toThrow('Invalid horizon altitude');
+    });
+
+    it('should combine an explicit horizon altitude with observer height', () => {
+      const combined = calculateSunset(...location, date, { horizonAltitude: 0, observerHeight: 100 });
+      const equivalent = calculateSunset(...location, date, { horizonAltitude: -calculateHorizonDip(100) });
+      
+      expect(combined.getTime()).toBe(equivalent.getTime());
     });
   });
 
@@ -173,12 +423,38 @@ describe('Solar Calculator', () => {
       // North Pole during winter solstice - no sunset (polar night)
       const winterDate = new Date('2024-12-21T00:00:00Z');
       const winterSunset = calculateSunset(85, 0, winterDate);
-      expect(winterSunset).toBeNull();
+      expect(winterSunset.condition).toBe(SUN_CONDITIONS.POLAR_NIGHT);
+      expect(winterSunset.dayLength).toBe(0);
       
       // North Pole during summer solstice - no sunset (polar day)
       const summerDate = new Date('2024-06-21T00:00:00Z');
       const summerSunset = calculateSunset(85, 0, summerDate);
-      expect(summerSunset).toBeNull();
+      expect(summerSunset.condition).toBe(SUN_CONDITIONS.POLAR_DAY);
+      expect(summerSunset.dayLength).toBe(24);
+    });
+  });
+
+  describe('getSunCondition', () => {
+    it('should report normal days at mid latitudes', () => {
+      expect(getSunCondition(40.7128, -74.0060, new Date('2024-06-21T00:00:00Z'))).toBe(SUN_CONDITIONS.NORMAL);
+    });
+
+    it('should report polar day and night', () => {
+      expect(getSunCondition(85, 0, new Date('2024-06-21T00:00:00Z'))).toBe(SUN_CONDITIONS.POLAR_DAY);
+      expect(getSunCondition(85, 0, new Date('2024-12-21T00:00:00Z'))).toBe(SUN_CONDITIONS.POLAR_NIGHT);
+      expect(getSunCondition(-85, 0, new Date('2024-06-21T00:00:00Z'))).toBe(SUN_CONDITIONS.POLAR_NIGHT);
+    });
+
+    it('should respect horizon options', () => {
+      // The sun never climbs 30 degrees above the horizon at 60°N in December
+      const date = new Date('2024-12-21T00:00:00Z');
+      expect(getSunCondition(60, 0, date)).toBe(SUN_CONDITIONS.NORMAL);
+      expect(getSunCondition(60, 0, date, { horizonAltitude: 30 })).toBe(SUN_CONDITIONS.POLAR_NIGHT);
+    });
+
+    it('should validate inputs', () => {
+      expect(() => getSunCondition(91, 0, new Date())).toThrow('Invalid coordinates');
+      expect(() => getSunCondition(0, 0, 'today')).toThrow('Invalid date');
     });
   });
 
@@ -216,6 +492,55 @@ describe('Solar Calculator', () => {
         expect(noon.getUTCHours()).toBeLessThan(24);
       });
     });
+
+    it('should stay on the requested day around the turn of the year', () => {
+      [new Date(2024, 0, 1), new Date(2024, 2, 10), new Date(2024, 11, 31)].forEach(date => {
+        const noon = calculateSolarNoon(40.7128, -74.0060, date);
+        
+        expect(noon.getUTCDate()).toBe(date.getDate());
+        expect(noon.getUTCHours()).toBeGreaterThanOrEqual(16);
+        expect(noon.getUTCHours()).toBeLessThanOrEqual(17);
+      });
+    });
+
+    it('should return the solar noon of the local calendar day across the date line', () => {
+      // Kiritimati keeps UTC+14 at 157°W, so its days start a calendar day ahead of the sun's
+      const kiritimati = [1.87, -157.4];
+      const date = new Date(2024, 5, 21);
+      const local = time => createZonedDateTime(time, 'Pacific/Kiritimati').localParts;
+      
+      expect(local(calculateSolarNoon(...kiritimati, date))).toMatchObject({ day: 21, hour: 12 });
+      expect(local(calculateSunrise(...kiritimati, date))).toMatchObject({ day: 21, hour: 6 });
+      expect(local(calculateSunset(...kiritimati, date))).toMatchObject({ day: 21, hour: 18 });
+    });
+
+    it('should look up the timezone when none is given', () => {
+      const date = new Date(2024, 5, 21);
+      
+      expect(calculateSolarNoon(1.87, -157.4, date)).toEqual(calculateSolarNoon(1.87, -157.4, date, { timezone: 'Pacific/Kiritimati' }));
+      expect(calculateSunrise(35.6762, 139.6503, date)).toEqual(calculateSunrise(35.6762, 139.6503, date, { timezone: 'Asia/Tokyo' }));
+    });
+
+    it('should use the calendar day of the given timezone', () => {
+      const date = new Date(2024, 5, 21);
+      const tokyo = calculateSolarNoon(35.6762, 139.6503, date, { timezone: 'Asia/Tokyo' });
+      const shifted = calculateSolarNoon(35.6762, 139.6503, date, { timezone: 'Etc/GMT+12' });
+      
+      expect(tokyo.toISOString()).toMatch(/^2024-06-21T02:4/);
+      expect(shifted.getTime() - tokyo.getTime()).toBeCloseTo(24 * 60 * 60 * 1000, -5);
+      expect(() => calculateSolarNoon(35.6762, 139.6503, date, { timezone: 'Invalid/Zone' })).toThrow('Invalid timezone provided');
+    });
+
+    it('should return the sunset that falls within the local calendar day', () => {
+      // Reykjavik's midsummer sunset comes just after midnight, so June 21 holds the previous evening's
+      const reykjavik = [64.1466, -21.9426];
+      const june21 = calculateSunset(...reykjavik, new Date(2024, 5, 21), { timezone: 'Atlantic/Reykjavik' });
+      const june22 = calculateSunset(...reykjavik, new Date(2024, 5, 22), { timezone: 'Atlantic/Reykjavik' });
+      
+      expect(june21.toISOString()).toBe('2024-06-21T00:03:00.000Z');
+      expect(june22.toISOString()).toBe('2024-06-22T00:03:00.000Z');
+      expect(calculateSunrise(...reykjavik, new Date(2024, 5, 21), { timezone: 'Atlantic/Reykjavik' }).getTime()).toBeGreaterThan(june21.getTime());
+    });
   });
 
   describe('normalizeDate', () => {
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for the solar panel calculator
+ * Tests angle of incidence, plane-of-array irradiance, daily series and orientation search
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  validatePanelOrientation,
+  calculateAngleOfIncidence,
+  calculatePlaneOfArrayIrradiance,
+  calculatePanelSeries,
+  findOptimalOrientation
+} from '../solar-panel.js';
+import { calculateIrradiance } from '../irradiance.js';
+
+describe('Solar Panel Calculator', () => {
+  const newYork = [40.7128, -74.0060];
+  const timezone = 'America/New_York';
+  const southFacing = { tilt: 30, azimuth: 180 };
+
+  describe('validatePanelOrientation', () => {
+    it('should validate tilt and azimuth ranges', () => {
+      expect(validatePanelOrientation(southFacing)).toBe(true);
+      expect(validatePanelOrientation({ tilt: 0, azimuth: 0 })).toBe(true);
+      expect(validatePanelOrientation({ tilt: 91, azimuth: 180 })).toBe(false);
+      expect(validatePanelOrientation({ tilt: 30, azimuth: -1 })).toBe(false);
+      expect(validatePanelOrientation({ tilt: '30', azimuth: 180 })).toBe(false);
+      expect(validatePanelOrientation(null)).toBe(false);
+    });
+  });
+
+  describe('calculateAngleOfIncidence', () => {
+    it('should be zero when the sun faces the panel', () => {
+      expect(calculateAngleOfIncidence({ azimuth: 180, elevation: 60 }, southFacing)).toBeCloseTo(0, 6);
+    });
+
+    it('should equal the zenith angle for a horizontal panel', () => {
+      expect(calculateAngleOfIncidence({ azimuth: 123, elevation: 40 }, { tilt: 0, azimuth: 0 })).toBeCloseTo(50, 6);
+    });
+
+    it('should exceed 90° when the sun is behind the panel', () => {
+      expect(calculateAngleOfIncidence({ azimuth: 0, elevation: 10 }, { tilt: 90, azimuth: 180 })).toBeCloseTo(170, 6);
+    });
+
+    it('should prefer apparent elevation', () => {
+      const angle = calculateAngleOfIncidence({ azimuth: 180, elevation: 59.9, apparentElevation: 60 }, southFacing);
+      expect(angle).toBeCloseTo(0, 6);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateAngleOfIncidence({ azimuth: 180, elevation: 60 }, { tilt: 100, azimuth: 180 })).toThrow('Invalid panel orientation provided');
+      expect(() => calculateAngleOfIncidence(null, southFacing)).toThrow('Invalid sun position provided');
+    });
+  });
+
+  describe('calculatePlaneOfArrayIrradiance', () => {
+    const position = { azimuth: 180, elevation: 60, apparentElevation: 60, distance: 1 };
+
+    it('should match global horizontal irradiance on a horizontal panel', () => {
+      const poa = calculatePlaneOfArrayIrradiance(position, { tilt: 0, azimuth: 180 });
+      
+      expect(poa.poa).toBeCloseTo(calculateIrradiance(position).ghi, 8);
+      expect(poa.groundReflected).toBe(0);
+    });
+
+    it('should receive the full beam when facing the sun', () => {
+      const irradiance = calculateIrradiance(position);
+      const poa = calculatePlaneOfArrayIrradiance(position, southFacing);
+      
+      expect(poa.angleOfIncidence).toBeCloseTo(0, 6);
+      expect(poa.beam).toBeCloseTo(irradiance.dni, 8);
+      expect(poa.skyDiffuse).toBeCloseTo(irradiance.dhi * (1 + Math.cos(Math.PI / 6)) / 2, 8);
+      expect(poa.groundReflected).toBeCloseTo(irradiance.ghi * 0.2 * (1 - Math.cos(Math.PI / 6)) / 2, 8);
+      expect(poa.poa).toBeCloseTo(poa.beam + poa.skyDiffuse + poa.groundReflected, 8);
+    });
+
+    it('should receive only diffuse light when the sun is behind the panel', () => {
+      const poa = calculatePlaneOfArrayIrradiance(position, { tilt: 75, azimuth: 0 });
+      
+      expect(poa.beam).toBe(0);
+      expect(poa.poa).toBeGreaterThan(0);
+    });
+
+    it('should scale ground reflection with albedo', () => {
+      const grass = calculatePlaneOfArrayIrradiance(position, { tilt: 90, azimuth: 90 });
+      const snow = calculatePlaneOfArrayIrradiance(position, { tilt: 90, azimuth: 90 }, { albedo: 0.8 });
+      
+      expect(snow.groundReflected).toBeCloseTo(grass.groundReflected * 4, 8);
+      expect(() => calculatePlaneOfArrayIrradiance(position, southFacing, { albedo: 2 })).toThrow('Albedo must be between 0 and 1');
+    });
+  });
+
+  describe('calculatePanelSeries', () => {
+    it('should produce daily points and insolation', () => {
+      const { days, totalInsolation } = calculatePanelSeries(...newYork, southFacing, {
+        startDate: new Date(2024, 5, 21),
+        timezone
+      });
+      const [day] = days;
+      
+      expect(days).toHaveLength(1);
+      expect(day.points).toHaveLength(48);
+      expect(day.insolation).toBeCloseTo(day.points.reduce((sum, point) => sum + point.poa, 0) * 0.5, 8);
+      expect(totalInsolation).toBe(day.insolation);
+      expect(totalInsolation / 1000).toBeGreaterThan(6);
+      expect(totalInsolation / 1000).toBeLessThan(9);
+      
+      const closest = day.points.reduce((a, b) => (a.angleOfIncidence < b.angleOfIncidence ? a : b));
+      expect(closest.time.getUTCHours()).toBe(17);
+    });
+
+    it('should cover every day of a range', () => {
+      const { days } = calculatePanelSeries(...newYork, southFacing, {
+        startDate: new Date(2024, 0, 1),
+        endDate: new Date(2024, 0, 7),
+        intervalMinutes: 60,
+        timezone
+      });
+      
+      expect(days.map(day => day.date.getDate())).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      const range = { startDate: new Date(2024, 0, 1) };
+      
+      expect(() => calculatePanelSeries(91, 0, southFacing, range)).toThrow('Invalid coordinates provided');
+      expect(() => calculatePanelSeries(...newYork, { tilt: 30 }, range)).toThrow('Invalid panel orientation provided');
+      expect(() => calculatePanelSeries(...newYork, southFacing, { startDate: new Date(2024, 0, 1), endDate: new Date(2025, 6, 1) })).toThrow('Date range must not exceed one year');
+    });
+  });
+
+  describe('findOptimalOrientation', () => {
+    it('should face the equator at roughly latitude tilt over a year', () => {
+      const best = findOptimalOrientation(...newYork, {
+        startDate: new Date(2024, 0, 1),
+        endDate: new Date(2024, 11, 31),
+        dayStep: 14,
+        intervalMinutes: 60,
+        timezone
+      });
+      
+      expect(best.azimuth).toBeGreaterThanOrEqual(175);
+      expect(best.azimuth).toBeLessThanOrEqual(185);
+      expect(best.tilt).toBeGreaterThan(28);
+      expect(best.tilt).toBeLessThan(45);
+      expect(best.gain).toBeGreaterThan(0.1);
+      expect(best.insolation).toBeGreaterThan(best.horizontalInsolation);
+    });
+
+    it('should tilt steeper for winter than for summer', () => {
+      const search = { dayStep: 14, intervalMinutes: 60, tiltStep: 10, azimuthStep: 30, timezone };
+      const summer = findOptimalOrientation(...newYork, { ...search, startDate: new Date(2024, 5, 1), endDate: new Date(2024, 7, 31) });
+      const winter = findOptimalOrientation(...newYork, { ...search, startDate: new Date(2024, 11, 1), endDate: new Date(2025, 1, 28) });
+      
+      expect(winter.tilt).toBeGreaterThan(summer.tilt + 30);
+    });
+
+    it('should face north in the southern hemisphere', () => {
+      const best = findOptimalOrientation(-33.8688, 151.2093, {
+        startDate: new Date(2024, 0, 1),
+        endDate: new Date(2024, 11, 31),
+        dayStep: 14,
+        intervalMinutes: 60,
+        timezone: 'Australia/Sydney'
+      });
+      
+      expect(Math.min(best.azimuth, 360 - best.azimuth)).toBeLessThanOrEqual(5);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      const range = { startDate: new Date(2024, 0, 1), endDate: new Date(2024, 0, 7) };
+      
+      expect(() => findOptimalOrientation(91, 0, range)).toThrow('Invalid coordinates provided');
+      expect(() => findOptimalOrientation(...newYork, { ...range, tiltStep: 0 })).toThrow('Invalid search step provided');
+      expect(() => findOptimalOrientation(...newYork, { ...range, dayStep: 0 })).toThrow('Day step must be a positive integer');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for the solar worker client
+ * Tests the synchronous fallback, the worker module and its message protocol, and cancellation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createSolarWorkerClient,
+  runSolarComputation,
+  isWorkerSupported
+} from '../solar-worker-client.js';
+import { SolarComputationError, SOLAR_COMPUTATION_ERRORS } from '../solar-tasks.js';
+import { generateAnalemma } from '../analemma.js';
+
+// The worker module installs its handler on the worker's global scope
+const workerScope = {};
+globalThis.self = workerScope;
+await import('../solar.worker.js');
+
+/**
+ * Creates stand-ins for the solar worker that pass each message to the real worker module on a later tick
+ * @param {Array} workers - Every worker created, for inspection
+ * @returns {Function} Worker factory
+ */
+function createFakeWorkerFactory(workers) {
+  return () => {
+    const worker = {
+      received: [],
+      transferred: [],
+      terminated: false,
+      postMessage(message) {
+        worker.received.push(message);
+        setTimeout(() => {
+          if (worker.terminated) {
+            return;
+          }
+          workerScope.postMessage = (data, transfer = []) => {
+            worker.transferred.push(...transfer);
+            worker.onmessage({ data });
+          };
+          workerScope.onmessage({ data: message });
+        }, 0);
+      },
+      terminate() {
+        worker.terminated = true;
+      }
+    };
+    workers.push(worker);
+    return worker;
+  };
+}
+
+describe('Solar Worker Client', () => {
+  const greenwich = [51.4778, 0];
+  const analemmaArgs = [...greenwich, 2024, { dayStep: 30 }];
+
+  describe('synchronous fallback', () => {
+    it('should not use a worker in Node', () => {
+      expect(isWorkerSupported()).toBe(false);
+      expect(createSolarWorkerClient().usesWorker).toBe(false);
+    });
+
+    it('should resolve with the same result as calling the function', async () => {
+      const result = await runSolarComputation('generateAnalemma', analemmaArgs);
+      
+      expect(result).toEqual(generateAnalemma(...analemmaArgs));
+    });
+
+    it('should reject with errors from the computation', async () => {
+      await expect(runSolarComputation('generateAnalemma', [91, 0, 2024])).rejects.toThrow('Invalid coordinates provided');
+    });
+
+    it('should reject unknown tasks', async () => {
+      const rejection = runSolarComputation('deleteEverything', []);
+      
+      await expect(rejection).rejects.toBeInstanceOf(SolarComputationError);
+      await expect(rejection).rejects.toMatchObject({ code: SOLAR_COMPUTATION_ERRORS.UNKNOWN_TASK });
+    });
+
+    it('should skip the computation when already cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      
+      await expect(runSolarComputation('generateAnalemma', analemmaArgs, { signal: controller.signal }))
+        .rejects.toMatchObject({ code: SOLAR_COMPUTATION_ERRORS.CANCELLED });
+    });
+  });
+
+  describe('worker execution', () => {
+    it('should post tasks to the worker and resolve with its replies', async () => {
+      const workers = [];
+      const client = createSolarWorkerClient({ createWorker: createFakeWorkerFactory(workers), useWorker: true });
+      
+      const [analemma, batch] = await Promise.all([
+        client.run('generateAnalemma', analemmaArgs),
+        client.run('calculateSunPositionBatch', [...greenwich, new Date('2024-06-21T00:00:00Z'), new Date('2024-06-21T01:00:00Z'), 30])
+      ]);
+      
+      expect(client.usesWorker).toBe(true);
+      expect(workers).toHaveLength(1);
+      expect(workers[0].received.map(message => message.task)).toEqual(['generateAnalemma', 'calculateSunPositionBatch']);
+      expect(analemma.points).toHaveLength(13);
+      expect(batch.elevation).toHaveLength(3);
+    });
+
+    it('should transfer typed array buffers instead of copying them', async () => {
+      const workers = [];
+      const client = createSolarWorkerClient({ createWorker: createFakeWorkerFactory(workers), useWorker: true });
+      
+      const batch = await client.run('calculateSunPositionBatch', [...greenwich, new Date('2024-06-21T00:00:00Z'), new Date('2024-06-21T01:00:00Z'), 30]);
+      
+      expect(workers[0].transferred).toContain(batch.elevation.buffer);
+      expect(workers[0].transferred).toContain(batch.azimuth.buffer);
+    });
+
+    it('should reject with errors posted by the worker', async () => {
+      const client = createSolarWorkerClient({ createWorker: createFakeWorkerFactory([]), useWorker: true });
+      
+      await expect(client.run('generateAnalemma', [91, 0, 2024])).rejects.toThrow('Invalid coordinates provided');
+      await expect(client.run('deleteEverything')).rejects.toMatchObject({ code: SOLAR_COMPUTATION_ERRORS.UNKNOWN_TASK });
+    });
+
+    it('should replace the worker on cancellation and resubmit the other tasks', async () => {
+      const workers = [];
+      const client = createSolarWorkerClient({ createWorker: createFakeWorkerFactory(workers), useWorker: true });
+      const controller = new AbortController();
+      
+      const cancelled = client.run('generateAnalemma', analemmaArgs, { signal: controller.signal });
+      const kept = client.run('generateAnalemma', [...greenwich, 2025, { dayStep: 30 }]);
+      controller.abort();
+      
+      await expect(cancelled).rejects.toMatchObject({ code: SOLAR_COMPUTATION_ERRORS.CANCELLED });
+      expect((await kept).year).toBe(2025);
+      expect(workers).toHaveLength(2);
+      expect(workers[0].terminated).toBe(true);
+      expect(workers[1].received).toHaveLength(1);
+    });
+
+    it('should reject waiting tasks when the worker fails', async () => {
+      const workers = [];
+      const client = createSolarWorkerClient({ createWorker: createFakeWorkerFactory(workers), useWorker: true });
+      
+      const waiting = client.run('generateAnalemma', analemmaArgs);
+      workers[0].onerror({ message: 'script error' });
+      
+      await expect(waiting).rejects.toMatchObject({ code: SOLAR_COMPUTATION_ERRORS.WORKER_FAILED });
+      expect(workers[0].terminated).toBe(true);
+    });
+
+    it('should cancel waiting tasks when terminated', async () => {
+      const client = createSolarWorkerClient({ createWorker: createFakeWorkerFactory([]), useWorker: true });
+      
+      const waiting = client.run('generateAnalemma', analemmaArgs);
+      client.terminate();
+      
+      await expect(waiting).rejects.toMatchObject({ code: SOLAR_COMPUTATION_ERRORS.CANCELLED });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the NREL Solar Position Algorithm
+ * Tests the published reference case, a reference table for 1000-3000, ΔT and time resolution
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateSpaPosition, estimateDeltaT, getPreciseJulianDay, PRECISION_MODES } from '../spa.js';
+import { calculateSunPosition } from '../solar-calculator.js';
+
+describe('Solar Position Algorithm', () => {
+  // NREL/TP-560-34302 example: Golden, Colorado, 2003-10-17 12:30:30 local time (UTC-7)
+  const golden = [39.742476, -105.1786];
+  const referenceTime = new Date('2003-10-17T19:30:30Z');
+  const referenceConditions = { altitude: 1830.14, pressure: 820, temperature: 11, deltaT: 67 };
+  
+  // Expected values from the NREL reference implementation with the same ΔT, 1010 mbar and 10 °C:
+  // [time, latitude, longitude, altitude, ΔT, zenith, azimuth]
+  const referenceTable = [
+    ['1000-03-15T09:00:00Z', 41.9028, 12.4964, 0, 1573, 54.24353, 135.16944],
+    ['1250-07-04T14:30:00Z', 30.0444, 31.2357, 0, 601.4, 60.43313, 280.98274],
+    ['1492-10-12T16:00:00Z', 24.0667, -74.5333, 0, 205.9, 33.60267, 159.74206],
+    ['1582-10-15T12:00:00Z', 40.4168, -3.7038, 650, 129.1, 48.88731, 179.73837],
+    ['1650-01-20T11:15:00Z', 59.3293, 18.0686, 0, 50.1, 79.35118, 183.65774],
+    ['1769-06-03T20:00:00Z', -17.5334, -149.5667, 0, 16.2, 48.99430, 36.41977],
+    ['1850-12-21T03:45:30Z', -33.8688, 151.2093, 0, 7.2, 26.60641, 285.63526],
+    ['1919-05-29T13:08:00Z', -3.7319, -38.5267, 0, 21, 32.41858, 38.02717],
+    ['1969-07-20T20:17:40Z', 28.5729, -80.649, 0, 39.7, 38.98075, 267.91204],
+    ['2000-01-01T12:00:00Z', 51.4778, 0, 0, 63.9, 74.45682, 179.21573],
+    ['2024-04-08T18:18:29Z', 32.7767, -96.797, 139, 74, 25.29179, 173.99725],
+    ['2100-09-23T06:30:00Z', 64.1466, -21.9426, 0, 204.4, 95.56692, 78.72458],
+    ['2300-02-14T22:00:00Z', -77.8419, 166.6863, 0, 717.7, 68.89723, 49.49102],
+    ['2500-06-21T04:00:00Z', 35.6762, 139.6503, 40, 1461.7, 20.48381, 238.25085],
+    ['2750-11-30T15:20:00Z', -54.8019, -68.303, 0, 2752.9, 35.16899, 25.01991],
+    ['3000-12-31T23:59:59Z', 78.2232, 15.6267, 0, 4442.9, 124.24730, 17.14918]
+  ];
+
+  describe('calculateSpaPosition', () => {
+    it('should reproduce the NREL reference case', () => {
+      const position = calculateSpaPosition(...golden, referenceTime, referenceConditions);
+      
+      expect(position.julianDay).toBeCloseTo(2452930.312847, 6);
+      expect(position.distance).toBeCloseTo(0.9965422974, 9);
+      expect(position.rightAscension).toBeCloseTo(202.22741, 5);
+      expect(position.declination).toBeCloseTo(-9.31434, 5);
+      expect(position.equationOfTime).toBeCloseTo(14.641503, 4);
+      expect(position.zenith).toBeCloseTo(50.11162, 5);
+      expect(position.azimuth).toBeCloseTo(194.34024, 5);
+    });
+
+    it('should agree with the reference table within 0.01° from 1000 to 3000', () => {
+      referenceTable.forEach(([time, latitude, longitude, altitude, deltaT, zenith, azimuth]) => {
+        const position = calculateSpaPosition(latitude, longitude, new Date(time), { altitude, deltaT });
+        
+        expect(Math.abs(position.zenith - zenith)).toBeLessThan(0.01);
+        expect(Math.abs(position.azimuth - azimuth)).toBeLessThan(0.01);
+      });
+    });
+
+    it('should only refract the sun near or above the horizon', () => {
+      const [, latitude, longitude, altitude, deltaT] = referenceTable[11];
+      const night = calculateSpaPosition(latitude, longitude, new Date('2100-09-23T01:00:00Z'), { altitude, deltaT });
+      const day = calculateSpaPosition(...golden, referenceTime, referenceConditions);
+      
+      expect(night.apparentElevation).toBe(night.elevation);
+      expect(day.apparentElevation).toBeGreaterThan(day.elevation);
+      expect(day.zenith).toBeCloseTo(90 - day.apparentElevation, 10);
+    });
+
+    it('should estimate ΔT when it is not given', () => {
+      const estimated = calculateSpaPosition(...golden, referenceTime, { ...referenceConditions, deltaT: undefined });
+      
+      expect(estimated.deltaT).toBeCloseTo(estimateDeltaT(referenceTime), 10);
+      expect(Math.abs(estimated.zenith - 50.11162)).toBeLessThan(0.001);
+    });
+
+    it('should resolve sub-second times', () => {
+      const start = calculateSpaPosition(...golden, referenceTime, referenceConditions);
+      const later = calculateSpaPosition(...golden, new Date(referenceTime.getTime() + 500), referenceConditions);
+      
+      expect(later.julianDay - start.julianDay).toBeCloseTo(0.5 / 86400, 9);
+      expect(later.azimuth).not.toBe(start.azimuth);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateSpaPosition(91, 0, referenceTime)).toThrow('Invalid coordinates provided');
+      expect(() => calculateSpaPosition(...golden, new Date('invalid'))).toThrow('Invalid date provided');
+      expect(() => calculateSpaPosition(...golden, referenceTime, { deltaUT1: NaN })).toThrow('Invalid time scale correction provided');
+    });
+  });
+
+  describe('estimateDeltaT', () => {
+    it('should follow the Espenak and Meeus expressions', () => {
+      expect(estimateDeltaT(new Date('2000-01-01T00:00:00Z'))).toBeCloseTo(63.86, 1);
+      expect(estimateDeltaT(new Date('1900-01-01T00:00:00Z'))).toBeCloseTo(-2.7, 0);
+      expect(estimateDeltaT(new Date('1000-01-01T00:00:00Z'))).toBeCloseTo(1574, 0);
+      expect(estimateDeltaT(new Date('3000-01-01T00:00:00Z'))).toBeCloseTo(4436, 0);
+    });
+
+    it('should throw error for invalid dates', () => {
+      expect(() => estimateDeltaT(new Date('invalid'))).toThrow('Invalid date provided');
+    });
+  });
+
+  describe('getPreciseJulianDay', () => {
+    it('should keep milliseconds', () => {
+      expect(getPreciseJulianDay(new Date('2000-01-01T12:00:00Z'))).toBe(2451545);
+      expect(getPreciseJulianDay(new Date('2000-01-01T12:00:00.864Z'))).toBeCloseTo(2451545.00001, 10);
+    });
+  });
+
+  describe('calculateSunPosition in high-precision mode', () => {
+    it('should use the SPA position', () => {
+      const options = { ...referenceConditions, precision: PRECISION_MODES.HIGH };
+      const position = calculateSunPosition(...golden, referenceTime, options);
+      const spa = calculateSpaPosition(...golden, referenceTime, referenceConditions);
+      
+      expect(position).toEqual({
+        azimuth: spa.azimuth,
+        elevation: spa.elevation,
+        apparentElevation: spa.apparentElevation,
+        distance: spa.distance
+      });
+    });
+
+    it('should reject unknown precision modes', () => {
+      expect(() => calculateSunPosition(...golden, referenceTime, { precision: 'extreme' })).toThrow('Invalid precision provided');
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Unit tests for the star calculator
+ * Tests sidereal time and precession against Meeus, fixed-object positions, and the Milky Way planner
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateGreenwichSiderealTime,
+  calculateLocalSiderealTime,
+  precessCoordinates,
+  calculateStarPosition,
+  calculateStarTimes,
+  planMilkyWayVisibility,
+  GALACTIC_CENTER
+} from '../star-calculator.js';
+import { calculateSunPosition } from '../solar-calculator.js';
+
+describe('Star Calculator', () => {
+  const greenwich = [51.4778, 0];
+  const cerroPachon = [-30.2407, -70.7366];
+  const deathValley = [36.5054, -117.0794];
+
+  describe('calculateGreenwichSiderealTime', () => {
+    it('should match Meeus example 12.a at 0h UT', () => {
+      expect(calculateGreenwichSiderealTime(new Date('1987-04-10T00:00:00Z'))).toBeCloseTo(197.693195, 5);
+    });
+
+    it('should match Meeus example 12.b at any instant', () => {
+      expect(calculateGreenwichSiderealTime(new Date('1987-04-10T19:21:00Z'))).toBeCloseTo(128.7378734, 5);
+    });
+
+    it('should add the longitude for local sidereal time', () => {
+      const date = new Date('1987-04-10T19:21:00Z');
+      
+      expect(calculateLocalSiderealTime(date, -77.0656)).toBeCloseTo(128.7378734 - 77.0656, 5);
+      expect(calculateLocalSiderealTime(date, -150)).toBeCloseTo(128.7378734 - 150 + 360, 5);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateGreenwichSiderealTime('invalid')).toThrow('Invalid date provided');
+      expect(() => calculateLocalSiderealTime(new Date(), 181)).toThrow('Invalid coordinates provided');
+    });
+  });
+
+  describe('precessCoordinates', () => {
+    it('should match Meeus example 21.b', () => {
+      // θ Persei carried from J2000 to 2028 November 13.19
+      const { rightAscension, declination } = precessCoordinates(41.054063, 49.227750, new Date('2028-11-13T04:33:36Z'));
+      
+      expect(rightAscension).toBeCloseTo(41.547214, 5);
+      expect(declination).toBeCloseTo(49.348483, 5);
+    });
+
+    it('should leave coordinates unchanged at J2000', () => {
+      const { rightAscension, declination } = precessCoordinates(GALACTIC_CENTER.rightAscension, GALACTIC_CENTER.declination, new Date('2000-01-01T12:00:00Z'));
+      
+      expect(rightAscension).toBeCloseTo(GALACTIC_CENTER.rightAscension, 8);
+      expect(declination).toBeCloseTo(GALACTIC_CENTER.declination, 8);
+    });
+
+    it('should throw error for invalid coordinates', () => {
+      expect(() => precessCoordinates(360, 0, new Date())).toThrow('Invalid star coordinates provided');
+      expect(() => precessCoordinates(0, -91, new Date())).toThrow('Invalid star coordinates provided');
+    });
+  });
+
+  describe('calculateStarPosition', () => {
+    it('should put the galactic centre at colatitude plus declination on the meridian', () => {
+      const { transit, transitElevation } = calculateStarTimes(...greenwich, new Date(2024, 5, 21), GALACTIC_CENTER, { timezone: 'Europe/London' });
+      const position = calculateStarPosition(...greenwich, transit);
+      
+      expect(transitElevation).toBeCloseTo(90 - 51.4778 - 29.0, 0);
+      expect(position.hourAngle < 0.01 || position.hourAngle > 359.99).toBe(true);
+      expect(position.azimuth).toBeCloseTo(180, 1);
+    });
+
+    it('should pass nearly overhead in the southern hemisphere', () => {
+      const { transit, transitElevation } = calculateStarTimes(...cerroPachon, new Date(2024, 5, 1), GALACTIC_CENTER, { timezone: 'America/Santiago' });
+      
+      expect(transitElevation).toBeGreaterThan(88.5);
+      expect(calculateStarPosition(...cerroPachon, transit).azimuth).toBeCloseTo(0, 0);
+    });
+
+    it('should add refraction to the apparent elevation', () => {
+      const position = calculateStarPosition(...greenwich, new Date('2024-06-21T23:45:00Z'));
+      
+      expect(position.apparentElevation).toBeGreaterThan(position.elevation);
+    });
+
+    it('should default to the galactic centre', () => {
+      const date = new Date('2024-06-21T23:45:00Z');
+      
+      expect(calculateStarPosition(...greenwich, date)).toEqual(calculateStarPosition(...greenwich, date, GALACTIC_CENTER));
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateStarPosition(91, 0, new Date())).toThrow('Invalid coordinates provided');
+      expect(() => calculateStarPosition(...greenwich, new Date('invalid'))).toThrow('Invalid date provided');
+      expect(() => calculateStarPosition(...greenwich, new Date(), { rightAscension: 'x', declination: 0 })).toThrow('Invalid star coordinates provided');
+    });
+  });
+
+  describe('calculateStarTimes', () => {
+    it('should find rise and set on the refracted horizon', () => {
+      const { rise, set } = calculateStarTimes(...greenwich, new Date(2024, 5, 21), GALACTIC_CENTER, { timezone: 'Europe/London' });
+      
+      expect(calculateStarPosition(...greenwich, rise).elevation).toBeCloseTo(-0.5667, 2);
+      expect(calculateStarPosition(...greenwich, set).elevation).toBeCloseTo(-0.5667, 2);
+      expect(calculateStarPosition(...greenwich, rise).azimuth).toBeLessThan(180);
+      expect(calculateStarPosition(...greenwich, set).azimuth).toBeGreaterThan(180);
+    });
+
+    it('should report objects that never rise or never set', () => {
+      const arctic = calculateStarTimes(78.2232, 15.6267, new Date(2024, 0, 1));
+      const polaris = calculateStarTimes(...greenwich, new Date(2024, 0, 1), { rightAscension: 37.95, declination: 89.26 });
+      
+      expect(arctic.alwaysDown).toBe(true);
+      expect(arctic.rise).toBeNull();
+      expect(polaris.alwaysUp).toBe(true);
+    });
+
+    it('should return transits one sidereal day apart', () => {
+      const first = calculateStarTimes(...deathValley, new Date(2024, 6, 1), GALACTIC_CENTER, { timezone: 'America/Los_Angeles' });
+      const second = calculateStarTimes(...deathValley, new Date(2024, 6, 2), GALACTIC_CENTER, { timezone: 'America/Los_Angeles' });
+      
+      expect((second.transit.getTime() - first.transit.getTime()) / 60000).toBeCloseTo(1436.07, 0);
+    });
+  });
+
+  describe('planMilkyWayVisibility', () => {
+    const summer = planMilkyWayVisibility(...deathValley, {
+      startDate: new Date(2024, 5, 1),
+      endDate: new Date(2024, 5, 7),
+      timezone: 'America/Los_Angeles'
+    });
+
+    it('should return one entry per night', () => {
+      expect(summer.star).toBe(GALACTIC_CENTER);
+      expect(summer.nights).toHaveLength(7);
+      expect(summer.nights[0].date).toEqual(new Date(2024, 5, 1));
+    });
+
+    it('should only report windows inside darkness while the core is up', () => {
+      summer.nights.forEach(night => {
+        expect(night.windows.length).toBeGreaterThan(0);
+        
+        night.windows.forEach(window => {
+          const middle = new Date((window.start.getTime() + window.end.getTime()) / 2);
+          
+          expect(window.start.getTime()).toBeGreaterThanOrEqual(night.darkness.start.getTime());
+          expect(window.end.getTime()).toBeLessThanOrEqual(night.darkness.end.getTime());
+          expect(calculateSunPosition(...deathValley, middle).elevation).toBeLessThan(-18);
+          expect(calculateStarPosition(...deathValley, middle).elevation).toBeGreaterThan(0);
+          expect(window.minutes).toBeCloseTo((window.end - window.start) / 60000, 6);
+        });
+      });
+    });
+
+    it('should start at core rise or the end of twilight, whichever is later', () => {
+      const [night] = summer.nights;
+      const [window] = night.windows;
+      
+      expect(window.start.getTime()).toBe(Math.max(night.core.rise.getTime(), night.darkness.start.getTime()));
+      expect(window.peakElevation).toBeCloseTo(night.core.transitElevation, 6);
+      expect(night.visibleMinutes).toBeGreaterThan(300);
+    });
+
+    it('should find no windows without astronomical darkness', () => {
+      const { nights } = planMilkyWayVisibility(...greenwich, {
+        startDate: new Date(2024, 5, 21),
+        endDate: new Date(2024, 5, 21),
+        timezone: 'Europe/London'
+      });
+      
+      expect(nights[0].darkness).toBeNull();
+      expect(nights[0].windows).toEqual([]);
+      expect(nights[0].visibleMinutes).toBe(0);
+    });
+
+    it('should find no windows when the core is up only in daylight', () => {
+      const { nights } = planMilkyWayVisibility(...deathValley, {
+        startDate: new Date(2024, 11, 15),
+        endDate: new Date(2024, 11, 15),
+        timezone: 'America/Los_Angeles'
+      });
+      
+      expect(nights[0].darkness).not.toBeNull();
+      expect(nights[0].visibleMinutes).toBe(0);
+    });
+
+    it('should honour a higher horizon', () => {
+      const { nights } = planMilkyWayVisibility(...deathValley, {
+        startDate: new Date(2024, 5, 1),
+        endDate: new Date(2024, 5, 1),
+        timezone: 'America/Los_Angeles',
+        horizonAltitude: 20
+      });
+      
+      expect(nights[0].visibleMinutes).toBeLessThan(summer.nights[0].visibleMinutes);
+      expect(calculateStarPosition(...deathValley, nights[0].windows[0].start).elevation).toBeGreaterThan(19.99);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      const range = { startDate: new Date(2024, 5, 1), endDate: new Date(2024, 5, 2) };
+      
+      expect(() => planMilkyWayVisibility(91, 0, range)).toThrow('Invalid coordinates provided');
+      expect(() => planMilkyWayVisibility(...greenwich, { startDate: range.endDate, endDate: range.startDate })).toThrow('End date must not be before start date');
+      expect(() => planMilkyWayVisibility(...greenwich, { ...range, endDate: new Date(2035, 0, 1) })).toThrow('Date range must not exceed 10 years');
+      expect(() => planMilkyWayVisibility(...greenwich, { ...range, star: {} })).toThrow('Invalid star coordinates provided');
+      expect(() => planMilkyWayVisibility(...greenwich, { ...range, horizonAltitude: 'high' })).toThrow('Invalid elevation provided');
+    });
+  });
+});
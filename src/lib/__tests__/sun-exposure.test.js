@@ -0,0 +1,127 @@
+/**
+ * Unit tests for sun exposure
+ * Tests building horizon profiles and daily direct-sun minutes with obstructions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateSunExposure, buildingsToHorizonProfile } from '../sun-exposure.js';
+import { calculateTerrainSunTimes } from '../horizon-profile.js';
+
+describe('Sun Exposure', () => {
+  const garden = [40.7128, -74.0060]; // New York City
+  const timezone = 'America/New_York';
+  const summerDay = new Date(2024, 5, 21);
+  const metresPerDegree = 6371000 * Math.PI / 180;
+  const metresPerDegreeLongitude = metresPerDegree * Math.cos(garden[0] * Math.PI / 180);
+  
+  // Builds a footprint from points given in metres east/north of the garden
+  const building = (points, height) => ({
+    type: 'Feature',
+    properties: { height },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[...points, points[0]].map(([east, north]) => [
+        garden[1] + east / metresPerDegreeLongitude,
+        garden[0] + north / metresPerDegree
+      ])]
+    }
+  });
+  
+  const eastWall = building([[10, -50], [15, -50], [15, 50], [10, 50]], 30);
+
+  describe('buildingsToHorizonProfile', () => {
+    it('should raise the horizon towards buildings', () => {
+      const profile = buildingsToHorizonProfile(...garden, eastWall);
+      
+      expect(profile).toHaveLength(360);
+      expect(profile[90].elevation).toBeCloseTo(Math.atan2(30, 10) * 180 / Math.PI, 3);
+      expect(profile[45].elevation).toBeCloseTo(Math.atan2(30, 10 * Math.SQRT2) * 180 / Math.PI, 3);
+      expect(profile[270].elevation).toBe(0);
+    });
+
+    it('should account for observer height', () => {
+      const profile = buildingsToHorizonProfile(...garden, eastWall, { observerHeight: 30 });
+      expect(profile[90].elevation).toBeCloseTo(0, 6);
+    });
+
+    it('should keep the higher of terrain and buildings', () => {
+      const profile = buildingsToHorizonProfile(...garden, eastWall, {
+        horizonProfile: [{ azimuth: 0, elevation: 5 }],
+        azimuthStep: 10
+      });
+      
+      expect(profile).toHaveLength(36);
+      expect(profile[9].elevation).toBeGreaterThan(70);
+      expect(profile[27].elevation).toBe(5);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => buildingsToHorizonProfile(91, 0, eastWall)).toThrow('Invalid coordinates provided');
+      expect(() => buildingsToHorizonProfile(...garden, eastWall, { azimuthStep: 0 })).toThrow('Azimuth step must be between 0 and 90 degrees');
+      expect(() => buildingsToHorizonProfile(...garden, building([[0, 0], [1, 0], [1, 1]], 0))).toThrow('Building height must be a positive number');
+    });
+  });
+
+  describe('calculateSunExposure', () => {
+    it('should count daylight minutes on open ground', () => {
+      const { days } = calculateSunExposure(...garden, { startDate: summerDay, timezone });
+      const [day] = days;
+      
+      expect(days).toHaveLength(1);
+      expect(day.sunlitMinutes).toBeGreaterThan(14.9 * 60);
+      expect(day.sunlitMinutes).toBeLessThan(15.3 * 60);
+      expect(day.firstSun.toISOString()).toMatch(/^2024-06-21T09:/);
+      expect(day.lastSun.toISOString()).toMatch(/^2024-06-22T00:/);
+    });
+
+    it('should remove the morning sun behind a wall to the east', () => {
+      const open = calculateSunExposure(...garden, { startDate: summerDay, timezone }).days[0];
+      const shaded = calculateSunExposure(...garden, { startDate: summerDay, timezone, buildings: eastWall }).days[0];
+      
+      expect(shaded.sunlitMinutes).toBeLessThan(open.sunlitMinutes - 4 * 60);
+      expect(shaded.firstSun.getTime()).toBeGreaterThan(open.firstSun.getTime() + 4 * 60 * 60 * 1000);
+      expect(shaded.lastSun).toEqual(open.lastSun);
+    });
+
+    it('should agree with terrain sun times for a horizon profile', () => {
+      const horizonProfile = [{ azimuth: 0, elevation: 10 }];
+      const [day] = calculateSunExposure(...garden, { startDate: summerDay, timezone, horizonProfile, intervalMinutes: 1 }).days;
+      const terrain = calculateTerrainSunTimes(...garden, summerDay, horizonProfile, { timezone });
+      
+      expect(Math.abs(day.firstSun.getTime() - terrain.sunAppears.getTime())).toBeLessThanOrEqual(60 * 1000);
+      expect(Math.abs(day.lastSun.getTime() - terrain.sunDisappears.getTime())).toBeLessThanOrEqual(60 * 1000);
+    });
+
+    it('should report each day in a range with totals', () => {
+      const result = calculateSunExposure(...garden, {
+        startDate: new Date(2024, 11, 20),
+        endDate: new Date(2024, 11, 26),
+        timezone,
+        intervalMinutes: 10
+      });
+      
+      expect(result.days).toHaveLength(7);
+      expect(result.days[0].date).toEqual(new Date(2024, 11, 20));
+      expect(result.totalSunlitMinutes).toBe(result.days.reduce((total, day) => total + day.sunlitMinutes, 0));
+      expect(result.averageSunlitMinutes).toBeCloseTo(result.totalSunlitMinutes / 7, 10);
+    });
+
+    it('should report days without direct sun', () => {
+      const [day] = calculateSunExposure(...garden, {
+        startDate: new Date(2024, 11, 21),
+        timezone,
+        horizonProfile: [{ azimuth: 0, elevation: 40 }]
+      }).days;
+      
+      expect(day).toEqual({ date: new Date(2024, 11, 21), sunlitMinutes: 0, firstSun: null, lastSun: null });
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => calculateSunExposure(91, 0, { startDate: summerDay })).toThrow('Invalid coordinates provided');
+      expect(() => calculateSunExposure(...garden, {})).toThrow('Input must be a Date object');
+      expect(() => calculateSunExposure(...garden, { startDate: summerDay, endDate: new Date(2024, 5, 1) })).toThrow('End date must not be before start date');
+      expect(() => calculateSunExposure(...garden, { startDate: new Date(2024, 0, 1), endDate: new Date(2025, 1, 1) })).toThrow('Date range must not exceed one year');
+      expect(() => calculateSunExposure(...garden, { startDate: summerDay, intervalMinutes: 0 })).toThrow('Interval must be between 1 and 1440 minutes');
+    });
+  });
+});
@@ -5,19 +5,25 @@
 
 import { describe, it, expect } from 'vitest';
 import {
+  ELEVATION_MODES,
   calculateGoldenHour,
   calculateBlueHour,
   calculateTwilightPeriods,
+  calculateDayLength,
+  calculateElevationBands,
   generateSunPath,
   calculateSunTimes,
   generateVisibleSunPath,
   getSunPositionAtTime,
   getDayNightStatus
 } from '../sun-times.js';
+import { SUN_CONDITIONS } from '../solar-calculator.js';
+import { isZonedDateTime, createZonedDateTime, toZonedISOString } from '../timezone-handler.js';
+import { registerElevationPreset, unregisterElevationPreset } from '../elevation-bands.js';
 
 describe('Sun Times Calculator', () => {
   const testLocation = [40.7128, -74.0060]; // New York
-  const testDate = new Date('2024-06-21T00:00:00Z'); // Summer solstice
+  const testDate = new Date(2024, 5, 21); // Summer solstice
 
   describe('calculateGoldenHour', () => {
     it('should calculate golden hour times for New York', () => {
@@ -32,7 +38,7 @@ describe('Sun Times Calculator', () => {
       
       // Morning golden hour should end before evening golden hour starts
       if (goldenHour.morning.end && goldenHour.evening.start) {
-        expect(goldenHour.morning.end.getTime()).toBeLessThan(goldenHour.evening.start.getTime());
+        expect(goldenHour.morning.end.instant.getTime()).toBeLessThan(goldenHour.evening.start.instant.getTime());
       }
     });
 
@@ -45,6 +51,23 @@ describe('Sun Times Calculator', () => {
       expect(polarGoldenHour).toHaveProperty('evening');
     });
 
+    it('should target apparent elevation when requested', () => {
+      const geometric = calculateGoldenHour(...testLocation, testDate);
+      const apparent = calculateGoldenHour(...testLocation, testDate, {
+        elevationMode: ELEVATION_MODES.APPARENT
+      });
+      
+      // Refraction lifts the sun, so the morning band is reached earlier
+      // and the evening band is left later
+      expect(apparent.morning.end.instant.getTime()).toBeLessThan(geometric.morning.end.instant.getTime());
+      expect(apparent.evening.start.instant.getTime()).toBeGreaterThan(geometric.evening.start.instant.getTime());
+    });
+
+    it('should reject unknown elevation modes', () => {
+      expect(() => calculateGoldenHour(...testLocation, testDate, { elevationMode: 'refracted' }))
+        .toThrow('Invalid elevation mode');
+    });
+
     it('should validate coordinates', () => {
       expect(() => calculateGoldenHour(91, 0, testDate)).toThrow('Invalid coordinates');
       expect(() => calculateGoldenHour(0, 181, testDate)).toThrow('Invalid coordinates');
@@ -66,11 +89,11 @@ describe('Sun Times Calculator', () => {
       const goldenHour = calculateGoldenHour(...testLocation, testDate);
       
       if (blueHour.morning.end && goldenHour.morning.start) {
-        expect(blueHour.morning.end.getTime()).toBeLessThanOrEqual(goldenHour.morning.start.getTime());
+        expect(blueHour.morning.end.instant.getTime()).toBeLessThanOrEqual(goldenHour.morning.start.instant.getTime());
       }
       
       if (goldenHour.evening.end && blueHour.evening.start) {
-        expect(goldenHour.evening.end.getTime()).toBeLessThanOrEqual(blueHour.evening.start.getTime());
+        expect(goldenHour.evening.end.instant.getTime()).toBeLessThanOrEqual(blueHour.evening.start.instant.getTime());
       }
     });
 
@@ -109,24 +132,24 @@ describe('Sun Times Calculator', () => {
       
       // Morning: astronomical -> nautical -> civil -> sunrise
       if (twilight.astronomical.morning.start && twilight.nautical.morning.start) {
-        expect(twilight.astronomical.morning.start.getTime())
-          .toBeLessThanOrEqual(twilight.nautical.morning.start.getTime());
+        expect(twilight.astronomical.morning.start.instant.getTime())
+          .toBeLessThanOrEqual(twilight.nautical.morning.start.instant.getTime());
       }
       
       if (twilight.nautical.morning.start && twilight.civil.morning.start) {
-        expect(twilight.nautical.morning.start.getTime())
-          .toBeLessThanOrEqual(twilight.civil.morning.start.getTime());
+        expect(twilight.nautical.morning.start.instant.getTime())
+          .toBeLessThanOrEqual(twilight.civil.morning.start.instant.getTime());
       }
       
       // Evening: sunset -> civil -> nautical -> astronomical
       if (twilight.civil.evening.end && twilight.nautical.evening.end) {
-        expect(twilight.civil.evening.end.getTime())
-          .toBeLessThanOrEqual(twilight.nautical.evening.end.getTime());
+        expect(twilight.civil.evening.end.instant.getTime())
+          .toBeLessThanOrEqual(twilight.nautical.evening.end.instant.getTime());
       }
       
       if (twilight.nautical.evening.end && twilight.astronomical.evening.end) {
-        expect(twilight.nautical.evening.end.getTime())
-          .toBeLessThanOrEqual(twilight.astronomical.evening.end.getTime());
+        expect(twilight.nautical.evening.end.instant.getTime())
+          .toBeLessThanOrEqual(twilight.astronomical.evening.end.instant.getTime());
       }
     });
   });
@@ -171,6 +194,25 @@ describe('Sun Times Calculator', () => {
       expect(() => generateSunPath(...testLocation, testDate, 1441)).toThrow('Interval must be between 1 and 1440 minutes');
       expect(() => generateSunPath(...testLocation, testDate, -10)).toThrow('Interval must be between 1 and 1440 minutes');
     });
+
+    it('should cover the calendar day of a timezone', () => {
+      const sunPath = generateSunPath(...testLocation, testDate, 60, { timezone: 'America/New_York' });
+      
+      expect(sunPath).toHaveLength(24);
+      expect(sunPath[0].time.toISOString()).toBe('2024-06-21T04:00:00.000Z');
+      
+      // The spring-forward day is only 23 hours long
+      const shortDay = generateSunPath(...testLocation, new Date(2024, 2, 10), 60, { timezone: 'America/New_York' });
+      expect(shortDay).toHaveLength(23);
+    });
+
+    it('should cover the calendar day of the location without a timezone', () => {
+      const sunPath = generateSunPath(35.6762, 139.6503, new Date(2024, 5, 21), 60);
+      
+      expect(sunPath).toHaveLength(24);
+      expect(sunPath[0].time.toISOString()).toBe('2024-06-20T15:00:00.000Z');
+      expect(sunPath).toEqual(generateSunPath(35.6762, 139.6503, new Date(2024, 5, 21), 60, { timezone: 'Asia/Tokyo' }));
+    });
   });
 
   describe('generateVisibleSunPath', () => {
@@ -207,6 +249,53 @@ describe('Sun Times Calculator', () => {
     });
   });
 
+  describe('calculateElevationBands', () => {
+    const photographerBands = [
+      { name: 'goldenHour', lower: -4, upper: 6 },
+      { name: 'magicHour', lower: -4, upper: 10 }
+    ];
+
+    it('should calculate times for each named band', () => {
+      const bands = calculateElevationBands(...testLocation, testDate, photographerBands);
+      
+      expect(Object.keys(bands)).toEqual(['goldenHour', 'magicHour']);
+      expect(bands.magicHour.lower).toBe(-4);
+      expect(bands.magicHour.upper).toBe(10);
+      expect(bands.magicHour.condition).toBe(SUN_CONDITIONS.NORMAL);
+      expect(bands.magicHour.morning.start.instant.getTime()).toBe(bands.goldenHour.morning.start.instant.getTime());
+      expect(bands.magicHour.morning.end.instant.getTime()).toBeGreaterThan(bands.goldenHour.morning.end.instant.getTime());
+      expect(bands.magicHour.evening.start.instant.getTime()).toBeLessThan(bands.goldenHour.evening.start.instant.getTime());
+    });
+
+    it('should match golden and blue hour for the default preset', () => {
+      const bands = calculateElevationBands(...testLocation, testDate, 'default');
+      const goldenHour = calculateGoldenHour(...testLocation, testDate);
+      const blueHour = calculateBlueHour(...testLocation, testDate);
+      
+      expect(bands.goldenHour.morning).toEqual(goldenHour.morning);
+      expect(bands.goldenHour.evening).toEqual(goldenHour.evening);
+      expect(bands.blueHour.morning).toEqual(blueHour.morning);
+      expect(bands.blueHour.evening).toEqual(blueHour.evening);
+    });
+
+    it('should report polar conditions per band', () => {
+      const bands = calculateElevationBands(69.6492, 18.9553, testDate, [
+        { name: 'low', lower: -6, upper: 0 },
+        { name: 'high', lower: 10, upper: 20 }
+      ]);
+      
+      expect(bands.low.condition).toBe(SUN_CONDITIONS.POLAR_DAY);
+      expect(bands.high.condition).toBe(SUN_CONDITIONS.NORMAL);
+      expect(isZonedDateTime(bands.high.morning.start)).toBe(true);
+    });
+
+    it('should throw error for invalid bands or presets', () => {
+      expect(() => calculateElevationBands(...testLocation, testDate, [{ name: 'bad', lower: 6, upper: 0 }])).toThrow('Invalid elevation band');
+      expect(() => calculateElevationBands(...testLocation, testDate, 'unknown')).toThrow('Elevation preset not found');
+      expect(() => calculateElevationBands(91, 0, testDate, 'default')).toThrow('Invalid coordinates');
+    });
+  });
+
   describe('calculateSunTimes', () => {
     it('should calculate comprehensive sun times', () => {
       const sunTimes = calculateSunTimes(...testLocation, testDate);
@@ -223,18 +312,46 @@ describe('Sun Times Calculator', () => {
       expect(sunTimes.date).toBeInstanceOf(Date);
       
       if (sunTimes.sunrise && sunTimes.sunset) {
-        expect(sunTimes.sunrise).toBeInstanceOf(Date);
-        expect(sunTimes.sunset).toBeInstanceOf(Date);
-        expect(sunTimes.sunset.getTime()).toBeGreaterThan(sunTimes.sunrise.getTime());
+        expect(isZonedDateTime(sunTimes.sunrise)).toBe(true);
+        expect(isZonedDateTime(sunTimes.sunset)).toBe(true);
+        expect(sunTimes.sunrise.timezone).toBe('America/New_York');
+        expect(sunTimes.sunset.instant.getTime()).toBeGreaterThan(sunTimes.sunrise.instant.getTime());
         expect(sunTimes.dayLength).toBeGreaterThan(0);
         expect(sunTimes.dayLength).toBeLessThan(24);
       }
       
       if (sunTimes.solarNoon) {
-        expect(sunTimes.solarNoon).toBeInstanceOf(Date);
+        expect(isZonedDateTime(sunTimes.solarNoon)).toBe(true);
       }
     });
 
+    it('should use golden and blue hour from a named preset', () => {
+      registerElevationPreset('photographer', [
+        { name: 'goldenHour', lower: -4, upper: 6 },
+        { name: 'magicHour', lower: -4, upper: 10 }
+      ]);
+      
+      try {
+        const sunTimes = calculateSunTimes(...testLocation, testDate, { preset: 'photographer' });
+        const defaultTimes = calculateSunTimes(...testLocation, testDate);
+        
+        expect(Object.keys(sunTimes.bands)).toEqual(['goldenHour', 'magicHour']);
+        expect(sunTimes.goldenHour.morning.start.instant.getTime()).toBeGreaterThan(defaultTimes.goldenHour.morning.start.instant.getTime());
+        expect(sunTimes.blueHour.morning).toEqual(defaultTimes.blueHour.morning);
+      } finally {
+        unregisterElevationPreset('photographer');
+      }
+    });
+
+    it('should include terrain sun times when a horizon profile is given', () => {
+      const profile = [{ azimuth: 0, elevation: 10 }];
+      const sunTimes = calculateSunTimes(...testLocation, testDate, { horizonProfile: profile });
+      
+      expect(sunTimes.terrain.sunAppears.instant.getTime()).toBeGreaterThan(sunTimes.sunrise.instant.getTime());
+      expect(sunTimes.terrain.sunDisappears.instant.getTime()).toBeLessThan(sunTimes.sunset.instant.getTime());
+      expect(calculateSunTimes(...testLocation, testDate).terrain).toBeNull();
+    });
+
     it('should handle different seasons correctly', () => {
       const summerTimes = calculateSunTimes(...testLocation, new Date('2024-06-21T00:00:00Z'));
       const winterTimes = calculateSunTimes(...testLocation, new Date('2024-12-21T00:00:00Z'));
@@ -244,6 +361,72 @@ describe('Sun Times Calculator', () => {
         expect(summerTimes.dayLength).toBeGreaterThan(winterTimes.dayLength);
       }
     });
+
+    it('should report normal conditions at mid latitudes', () => {
+      const sunTimes = calculateSunTimes(...testLocation, testDate);
+      
+      expect(sunTimes.condition).toBe(SUN_CONDITIONS.NORMAL);
+      expect(sunTimes.goldenHour.condition).toBe(SUN_CONDITIONS.NORMAL);
+      expect(sunTimes.twilight.astronomical.condition).toBe(SUN_CONDITIONS.NORMAL);
+    });
+
+    it('should lengthen the day for an elevated observer', () => {
+      const ground = calculateSunTimes(...testLocation, testDate);
+      const aircraft = calculateSunTimes(...testLocation, testDate, { observerHeight: 10000 });
+      
+      expect(aircraft.dayLength).toBeGreaterThan(ground.dayLength);
+      expect(aircraft.twilight.civil.morning.end.instant.getTime()).toBe(aircraft.sunrise.instant.getTime());
+    });
+
+    it('should return the events within the local calendar day', () => {
+      // Reykjavik's clock runs well ahead of the sun, so the midsummer sunset falls just after midnight
+      const reykjavik = [64.1466, -21.9426];
+      const sunTimes = calculateSunTimes(...reykjavik, new Date(2024, 5, 21), { timezone: 'Atlantic/Reykjavik' });
+      
+      expect(toZonedISOString(sunTimes.sunset)).toBe('2024-06-21T00:03:00+00:00');
+      expect(toZonedISOString(sunTimes.sunrise)).toBe('2024-06-21T02:55:00+00:00');
+      expect(sunTimes.solarNoon.localParts).toMatchObject({ day: 21, hour: 13 });
+      expect(sunTimes.dayLength).toBeCloseTo(24 - (2 * 60 + 52) / 60, 6);
+      expect(calculateDayLength(...reykjavik, new Date(2024, 5, 21))).toBeCloseTo(sunTimes.dayLength, 6);
+    });
+
+    it('should return zoned date-times for a timezone', () => {
+      const options = { timezone: 'America/New_York', horizonProfile: [{ azimuth: 0, elevation: 10 }] };
+      const localTimes = calculateSunTimes(...testLocation, new Date(2024, 5, 21), options);
+      const utcTimes = calculateSunTimes(...testLocation, new Date(2024, 5, 21), { ...options, timezone: 'UTC' });
+      
+      expect(isZonedDateTime(localTimes.sunrise)).toBe(true);
+      expect(localTimes.sunrise.timezone).toBe('America/New_York');
+      expect(localTimes.sunrise.localParts.hour).toBe(5);
+      expect(localTimes.sunset.localParts.hour).toBe(20);
+      expect(localTimes.sunrise.instant.getTime()).toBe(utcTimes.sunrise.instant.getTime());
+      expect(isZonedDateTime(localTimes.goldenHour.evening.end)).toBe(true);
+      expect(isZonedDateTime(localTimes.bands.blueHour.morning.start)).toBe(true);
+      expect(isZonedDateTime(localTimes.twilight.astronomical.morning.start)).toBe(true);
+      expect(isZonedDateTime(localTimes.terrain.sunAppears)).toBe(true);
+      expect(localTimes.dayLength).toBeCloseTo(utcTimes.dayLength, 6);
+      expect(localTimes.date).toBeInstanceOf(Date);
+    });
+
+    it('should return zoned date-times from the period finders for a timezone', () => {
+      const options = { timezone: 'Asia/Tokyo' };
+      
+      expect(calculateGoldenHour(35.6762, 139.6503, testDate, options).morning.end.timezone).toBe('Asia/Tokyo');
+      expect(calculateBlueHour(35.6762, 139.6503, testDate, options).evening.start.offsetMinutes).toBe(540);
+      expect(isZonedDateTime(calculateTwilightPeriods(35.6762, 139.6503, testDate, options).nautical.morning.start)).toBe(true);
+      expect(isZonedDateTime(calculateElevationBands(35.6762, 139.6503, testDate, 'default', options).goldenHour.evening.end)).toBe(true);
+    });
+  });
+
+  describe('calculateDayLength', () => {
+    it('should match calculateSunTimes', () => {
+      expect(calculateDayLength(...testLocation, testDate)).toBe(calculateSunTimes(...testLocation, testDate).dayLength);
+    });
+
+    it('should return 24 or 0 hours for polar day and night', () => {
+      expect(calculateDayLength(85, 0, new Date('2024-06-21T00:00:00Z'))).toBe(24);
+      expect(calculateDayLength(85, 0, new Date('2024-12-21T00:00:00Z'))).toBe(0);
+    });
   });
 
   describe('getSunPositionAtTime', () => {
@@ -256,8 +439,34 @@ describe('Sun Times Calculator', () => {
       expect(position).toHaveProperty('distance');
       
       expect(position.time).toBeInstanceOf(Date);
-      expect(position.time.getHours()).toBe(12);
-      expect(position.time.getMinutes()).toBe(0);
+      expect(position.time.toISOString()).toBe('2024-06-21T16:00:00.000Z'); // Noon EDT
+    });
+
+    it('should read the time on the clock of the location', () => {
+      const tokyoNoon = getSunPositionAtTime(35.6762, 139.6503, new Date(2024, 5, 21), 12, 0);
+      const explicit = getSunPositionAtTime(35.6762, 139.6503, new Date(2024, 5, 21), 12, 0, { timezone: 'Asia/Tokyo' });
+      
+      expect(tokyoNoon.time.toISOString()).toBe('2024-06-21T03:00:00.000Z');
+      expect(explicit).toEqual(tokyoNoon);
+      expect(tokyoNoon.elevation).toBeGreaterThan(75);
+    });
+
+    it('should read times that the runtime clock skips', () => {
+      const runtimeTimezone = process.env.TZ;
+      process.env.TZ = 'America/New_York';
+      
+      try {
+        // 02:30 on 10 March 2024 does not exist in New York, but does in London
+        const london = getSunPositionAtTime(51.5074, -0.1278, new Date(2024, 2, 10), 2, 30, { timezone: 'Europe/London' });
+        
+        expect(london.time.toISOString()).toBe('2024-03-10T02:30:00.000Z');
+      } finally {
+        if (runtimeTimezone === undefined) {
+          delete process.env.TZ;
+        } else {
+          process.env.TZ = runtimeTimezone;
+        }
+      }
     });
 
     it('should validate time parameters', () => {
@@ -271,9 +480,8 @@ describe('Sun Times Calculator', () => {
       const midnight = getSunPositionAtTime(...testLocation, testDate, 0, 0);
       const almostMidnight = getSunPositionAtTime(...testLocation, testDate, 23, 59);
       
-      expect(midnight.time.getHours()).toBe(0);
-      expect(almostMidnight.time.getHours()).toBe(23);
-      expect(almostMidnight.time.getMinutes()).toBe(59);
+      expect(createZonedDateTime(midnight.time, 'America/New_York').localParts).toMatchObject({ day: 21, hour: 0, minute: 0 });
+      expect(createZonedDateTime(almostMidnight.time, 'America/New_York').localParts).toMatchObject({ day: 21, hour: 23, minute: 59 });
     });
   });
 
@@ -336,6 +544,35 @@ describe('Sun Times Calculator', () => {
       expect(winterTimes).toHaveProperty('date');
     });
 
+    it('should report polar day and night instead of missing data', () => {
+      const arcticLocation = [85, 0];
+      
+      const summerTimes = calculateSunTimes(...arcticLocation, new Date('2024-06-21T00:00:00Z'));
+      expect(summerTimes.condition).toBe(SUN_CONDITIONS.POLAR_DAY);
+      expect(summerTimes.dayLength).toBe(24);
+      expect(summerTimes.sunrise.sunAlwaysUp).toBe(true);
+      expect(summerTimes.goldenHour.condition).toBe(SUN_CONDITIONS.POLAR_DAY);
+      expect(summerTimes.blueHour.condition).toBe(SUN_CONDITIONS.POLAR_DAY);
+      expect(summerTimes.twilight.civil.condition).toBe(SUN_CONDITIONS.POLAR_DAY);
+      expect(summerTimes.twilight.civil.morning.end).toBeNull();
+      
+      const winterTimes = calculateSunTimes(...arcticLocation, new Date('2024-12-21T00:00:00Z'));
+      expect(winterTimes.condition).toBe(SUN_CONDITIONS.POLAR_NIGHT);
+      expect(winterTimes.dayLength).toBe(0);
+      expect(winterTimes.sunset.sunAlwaysDown).toBe(true);
+      expect(winterTimes.goldenHour.condition).toBe(SUN_CONDITIONS.POLAR_NIGHT);
+      expect(winterTimes.twilight.astronomical.condition).toBe(SUN_CONDITIONS.POLAR_NIGHT);
+    });
+
+    it('should distinguish lighting periods that still happen during polar night', () => {
+      // Tromsø in December: the sun stays below the horizon but civil twilight still occurs
+      const times = calculateSunTimes(69.6492, 18.9553, new Date('2024-12-21T00:00:00Z'));
+      
+      expect(times.condition).toBe(SUN_CONDITIONS.POLAR_NIGHT);
+      expect(times.twilight.civil.condition).toBe(SUN_CONDITIONS.NORMAL);
+      expect(times.twilight.nautical.condition).toBe(SUN_CONDITIONS.NORMAL);
+    });
+
     it('should handle date normalization edge cases', () => {
       // Test with dates at the edge of valid range
       const earlyDate = new Date('1000-01-01T00:00:00Z');
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the time formatter
+ * Tests time, range, duration and countdown formatting against the locale, hour cycle and display zone
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  formatTime,
+  formatTimeRange,
+  formatDuration,
+  formatCountdown,
+  normalizeTimeFormat,
+  getViewerTimezone,
+  DEFAULT_TIME_FORMAT
+} from '../time-formatter.js';
+import { createZonedDateTime } from '../timezone-handler.js';
+import { calculateSunTimes } from '../sun-times.js';
+
+describe('Time Formatter', () => {
+  const sunrise = createZonedDateTime(new Date('2024-06-21T09:25:00Z'), 'America/New_York');
+  const goldenHourEnd = createZonedDateTime(new Date('2024-06-21T10:10:00Z'), 'America/New_York');
+
+  describe('normalizeTimeFormat', () => {
+    it('should fill in the defaults', () => {
+      expect(normalizeTimeFormat()).toEqual(DEFAULT_TIME_FORMAT);
+      expect(normalizeTimeFormat({ hourCycle: 'h12' })).toEqual({ ...DEFAULT_TIME_FORMAT, hourCycle: 'h12' });
+    });
+
+    it('should canonicalize the locale and drop unknown fields', () => {
+      expect(normalizeTimeFormat({ locale: 'de-de', displayZone: 'viewer', theme: 'dark' })).toEqual({
+        locale: 'de-DE',
+        hourCycle: 'auto',
+        displayZone: 'viewer'
+      });
+    });
+
+    it('should throw error for invalid preferences', () => {
+      expect(() => normalizeTimeFormat(null)).toThrow('Invalid time format provided');
+      expect(() => normalizeTimeFormat({ locale: 'not a locale' })).toThrow('Invalid locale provided');
+      expect(() => normalizeTimeFormat({ locale: 42 })).toThrow('Invalid locale provided');
+      expect(() => normalizeTimeFormat({ hourCycle: 'h13' })).toThrow('Invalid hour cycle provided');
+      expect(() => normalizeTimeFormat({ displayZone: 'utc' })).toThrow('Invalid display zone provided');
+    });
+  });
+
+  describe('formatTime', () => {
+    it('should use the location clock for zoned values', () => {
+      expect(formatTime(sunrise, { locale: 'en-US' })).toMatch(/^5:25\sAM$/);
+    });
+
+    it('should honour the hour cycle', () => {
+      expect(formatTime(sunrise, { locale: 'en-US', hourCycle: 'h24' })).toBe('05:25');
+      expect(formatTime(sunrise, { locale: 'en-GB', hourCycle: 'h12' })).toMatch(/^5:25\sam$/);
+      expect(formatTime(sunrise, { locale: 'en-GB' })).toBe('05:25');
+    });
+
+    it('should use the viewer clock when chosen', () => {
+      expect(formatTime(sunrise, { locale: 'en-GB', displayZone: 'viewer', viewerTimezone: 'Asia/Tokyo' })).toBe('18:25');
+    });
+
+    it('should use the given location timezone for plain dates', () => {
+      const instant = new Date('2024-06-21T09:25:00Z');
+      
+      expect(formatTime(instant, { locale: 'en-GB', timezone: 'America/New_York' })).toBe('05:25');
+      expect(formatTime(instant, { locale: 'en-GB', viewerTimezone: 'UTC' })).toBe('09:25');
+    });
+
+    it('should add seconds and the timezone name on request', () => {
+      expect(formatTime(sunrise, { locale: 'en-US', hourCycle: 'h24', showSeconds: true, showTimeZone: true })).toBe('05:25:00 EDT');
+    });
+
+    it('should show a placeholder for missing and polar times', () => {
+      const { sunrise: polarSunrise } = calculateSunTimes(78.2232, 15.6267, new Date(2024, 11, 21), { timezone: 'Arctic/Longyearbyen' });
+      
+      expect(formatTime(null)).toBe('—');
+      expect(formatTime(polarSunrise)).toBe('—');
+      expect(formatTime(new Date('invalid'))).toBe('—');
+    });
+  });
+
+  describe('formatTimeRange', () => {
+    it('should share the day period where the locale does', () => {
+      expect(formatTimeRange(sunrise, goldenHourEnd, { locale: 'en-US' })).toMatch(/^5:25\s–\s6:10\sAM$/);
+      expect(formatTimeRange(sunrise, goldenHourEnd, { locale: 'en-GB' })).toMatch(/^05:25\s?–\s?06:10$/);
+    });
+
+    it('should show a placeholder for a missing end', () => {
+      expect(formatTimeRange(sunrise, null, { locale: 'en-GB' })).toBe('05:25 – —');
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('should format hours and minutes', () => {
+      expect(formatDuration(14 * 60 + 32, { locale: 'en-US' })).toBe('14 hr 32 min');
+      expect(formatDuration(14 * 60, { locale: 'en-US' })).toBe('14 hr');
+      expect(formatDuration(42.4, { locale: 'en-US' })).toBe('42 min');
+      expect(formatDuration(0, { locale: 'en-US' })).toBe('0 min');
+    });
+
+    it('should honour the unit display', () => {
+      expect(formatDuration(90, { locale: 'en-US', unitDisplay: 'long' })).toBe('1 hour 30 minutes');
+    });
+
+    it('should throw error for invalid durations', () => {
+      expect(() => formatDuration(-1)).toThrow('Invalid duration provided');
+      expect(() => formatDuration(NaN)).toThrow('Invalid duration provided');
+      expect(() => formatDuration('60')).toThrow('Invalid duration provided');
+    });
+  });
+
+  describe('formatCountdown', () => {
+    const now = new Date('2024-06-21T09:25:00Z');
+
+    it('should count minutes within the hour', () => {
+      expect(formatCountdown(new Date('2024-06-21T10:07:00Z'), { locale: 'en', now })).toBe('in 42 min.');
+      expect(formatCountdown(new Date('2024-06-21T09:10:00Z'), { locale: 'en', now, style: 'long' })).toBe('15 minutes ago');
+      expect(formatCountdown(sunrise, { locale: 'en', now, style: 'long' })).toBe('this minute');
+    });
+
+    it('should switch to hours and days', () => {
+      expect(formatCountdown(new Date('2024-06-21T12:25:00Z'), { locale: 'en', now, style: 'long' })).toBe('in 3 hours');
+      expect(formatCountdown(new Date('2024-06-23T09:25:00Z'), { locale: 'en', now, style: 'long' })).toBe('in 2 days');
+    });
+
+    it('should show a placeholder for missing times', () => {
+      expect(formatCountdown(null, { now })).toBe('—');
+    });
+
+    it('should throw error for an invalid reference time', () => {
+      expect(() => formatCountdown(sunrise, { now: 'now' })).toThrow('Invalid date provided');
+    });
+  });
+
+  describe('getViewerTimezone', () => {
+    it('should return the device timezone', () => {
+      expect(getViewerTimezone()).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+    });
+  });
+});
@@ -3,14 +3,26 @@
  * Tests timezone lookup, DST handling, and time conversions
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, beforeAll, afterAll } from 'vitest';
 import {
   getTimezoneForCoordinates,
+  getTimezoneForCoordinatesSync,
   convertUTCToTimezone,
   convertTimezoneToUTC,
   isDSTActive,
   getTimezoneInfo,
-  convertSunTimesToTimezone
+  convertSunTimesToTimezone,
+  createZonedDateTime,
+  isZonedDateTime,
+  formatUTCOffset,
+  toZonedISOString,
+  formatZonedTime,
+  formatZonedDate,
+  getLocalDayBounds,
+  getDSTTransitions,
+  TimezoneError,
+  TIMEZONE_ERRORS,
+  DST_DISAMBIGUATION
 } from '../timezone-handler.js';
 
 describe('Timezone Handler', () => {
@@ -38,15 +50,13 @@ describe('Timezone Handler', () => {
       const londonTimezone = await getTimezoneForCoordinates(51.5074, -0.1278);
       expect(londonTimezone).toBe('Europe/London');
       
-      // Paris - may fallback to London due to simple coordinate mapping
+      // Paris
       const parisTimezone = await getTimezoneForCoordinates(48.8566, 2.3522);
-      expect(typeof parisTimezone).toBe('string');
-      expect(parisTimezone.length).toBeGreaterThan(0);
+      expect(parisTimezone).toBe('Europe/Paris');
       
-      // Berlin - may fallback to London due to simple coordinate mapping
+      // Berlin
       const berlinTimezone = await getTimezoneForCoordinates(52.5200, 13.4050);
-      expect(typeof berlinTimezone).toBe('string');
-      expect(berlinTimezone.length).toBeGreaterThan(0);
+      expect(berlinTimezone).toBe('Europe/Berlin');
     });
 
     it('should return timezone for Asian cities', async () => {
@@ -54,27 +64,65 @@ describe('Timezone Handler', () => {
       const tokyoTimezone = await getTimezoneForCoordinates(35.6762, 139.6503);
       expect(tokyoTimezone).toBe('Asia/Tokyo');
       
-      // Shanghai - may fallback to Tokyo due to simple coordinate mapping
+      // Shanghai
       const shanghaiTimezone = await getTimezoneForCoordinates(31.2304, 121.4737);
-      expect(typeof shanghaiTimezone).toBe('string');
-      expect(shanghaiTimezone.length).toBeGreaterThan(0);
+      expect(shanghaiTimezone).toBe('Asia/Shanghai');
       
       // Mumbai
       const mumbaiTimezone = await getTimezoneForCoordinates(19.0760, 72.8777);
       expect(mumbaiTimezone).toBe('Asia/Kolkata');
     });
 
+    it('should follow borders rather than longitude bands', async () => {
+      // Kathmandu and Urumqi sit between India and eastern China
+      expect(await getTimezoneForCoordinates(27.7172, 85.3240)).toBe('Asia/Kathmandu');
+      expect(await getTimezoneForCoordinates(43.8256, 87.6168)).toBe('Asia/Urumqi');
+      
+      // Phoenix shares Denver's longitude band but not its DST
+      expect(await getTimezoneForCoordinates(33.4484, -112.0740)).toBe('America/Phoenix');
+      
+      // Maseru is an enclave inside South Africa
+      expect(await getTimezoneForCoordinates(-29.3151, 27.4869)).toBe('Africa/Maseru');
+      expect(await getTimezoneForCoordinates(-26.2041, 28.0473)).toBe('Africa/Johannesburg');
+    });
+
+    it('should keep cities on the right side of nearby borders', async () => {
+      // Border cities facing a neighbour in another zone
+      expect(await getTimezoneForCoordinates(31.7619, -106.4850)).toBe('America/Denver');
+      expect(await getTimezoneForCoordinates(31.6904, -106.4245)).toBe('America/Ciudad_Juarez');
+      expect(await getTimezoneForCoordinates(27.5064, -99.5075)).toBe('America/Chicago');
+      expect(await getTimezoneForCoordinates(42.3149, -83.0364)).toBe('America/Toronto');
+      expect(await getTimezoneForCoordinates(31.7683, 35.2137)).toBe('Asia/Jerusalem');
+      expect(await getTimezoneForCoordinates(46.2044, 6.1432)).toBe('Europe/Zurich');
+    });
+
+    it('should return the same zone from the cache', async () => {
+      const first = await getTimezoneForCoordinates(-33.8688, 151.2093);
+      const second = await getTimezoneForCoordinates(-33.8688, 151.2093);
+      
+      expect(first).toBe('Australia/Sydney');
+      expect(second).toBe(first);
+    });
+
+    it('should look up the same zone synchronously', async () => {
+      expect(getTimezoneForCoordinatesSync(35.6762, 139.6503)).toBe('Asia/Tokyo');
+      expect(getTimezoneForCoordinatesSync(1.87, -157.4)).toBe(await getTimezoneForCoordinates(1.87, -157.4));
+      expect(() => getTimezoneForCoordinatesSync(91, 0)).toThrow('Invalid coordinates provided');
+    });
+
     it('should handle invalid coordinates', async () => {
       await expect(getTimezoneForCoordinates(91, 0)).rejects.toThrow('Invalid coordinates');
       await expect(getTimezoneForCoordinates(0, 181)).rejects.toThrow('Invalid coordinates');
       await expect(getTimezoneForCoordinates('40', '-74')).rejects.toThrow('Invalid coordinates');
     });
 
-    it('should fallback to browser timezone for unknown locations', async () => {
-      // Test coordinates in the middle of the ocean
-      const oceanTimezone = await getTimezoneForCoordinates(0, -150);
-      expect(typeof oceanTimezone).toBe('string');
-      expect(oceanTimezone.length).toBeGreaterThan(0);
+    it('should return nautical zones at sea', async () => {
+      // Etc/GMT signs are inverted: Etc/GMT+10 is UTC-10
+      expect(await getTimezoneForCoordinates(0, -150)).toBe('Etc/GMT+10');
+      expect(await getTimezoneForCoordinates(-40, 100)).toBe('Etc/GMT-7');
+      expect(await getTimezoneForCoordinates(45, -30)).toBe('Etc/GMT+2');
+      expect(await getTimezoneForCoordinates(-10, -7.4)).toBe('Etc/GMT');
+      expect(await getTimezoneForCoordinates(0, 179.9)).toBe('Etc/GMT-12');
     });
   });
 
@@ -115,6 +163,76 @@ describe('Timezone Handler', () => {
     });
   });
 
+  describe('createZonedDateTime', () => {
+    it('should keep the instant and read the wall clock of the timezone', () => {
+      const instant = new Date('2024-06-21T15:00:00.250Z');
+      const tokyo = createZonedDateTime(instant, 'Asia/Tokyo');
+      
+      expect(tokyo.instant.getTime()).toBe(instant.getTime());
+      expect(tokyo.instant).not.toBe(instant);
+      expect(tokyo.timezone).toBe('Asia/Tokyo');
+      expect(tokyo.offsetMinutes).toBe(540);
+      expect(tokyo.localParts).toEqual({
+        year: 2024,
+        month: 6,
+        day: 22,
+        hour: 0,
+        minute: 0,
+        second: 0,
+        millisecond: 250,
+        weekday: 6
+      });
+    });
+
+    it('should follow the offset across DST changes', () => {
+      expect(createZonedDateTime(new Date('2024-03-10T06:59:59Z'), 'America/New_York').offsetMinutes).toBe(-300);
+      expect(createZonedDateTime(new Date('2024-03-10T07:00:00Z'), 'America/New_York').localParts.hour).toBe(3);
+      expect(createZonedDateTime(new Date('2024-03-10T07:00:00Z'), 'America/New_York').offsetMinutes).toBe(-240);
+      expect(createZonedDateTime(new Date('2024-06-21T12:00:00Z'), 'Asia/Kathmandu').offsetMinutes).toBe(345);
+    });
+
+    it('should tell zoned values from dates', () => {
+      expect(isZonedDateTime(createZonedDateTime(new Date(), 'Europe/London'))).toBe(true);
+      expect(isZonedDateTime(new Date())).toBe(false);
+      expect(isZonedDateTime(null)).toBe(false);
+      expect(isZonedDateTime({ condition: 'polar_day' })).toBe(false);
+    });
+
+    it('should handle invalid inputs', () => {
+      expect(() => createZonedDateTime(new Date('invalid'), 'Asia/Tokyo')).toThrow('Invalid date provided');
+      expect(() => createZonedDateTime(new Date(), '')).toThrow('Invalid timezone provided');
+      expect(() => createZonedDateTime(new Date(), 'Invalid/Zone')).toThrow('Invalid timezone provided');
+    });
+  });
+
+  describe('zoned date-time formatting', () => {
+    const sunrise = createZonedDateTime(new Date('2024-06-21T09:25:00Z'), 'America/New_York');
+
+    it('should format an ISO string with the offset', () => {
+      expect(toZonedISOString(sunrise)).toBe('2024-06-21T05:25:00-04:00');
+      expect(toZonedISOString(createZonedDateTime(new Date('2024-01-01T00:00:00Z'), 'Asia/Kathmandu'))).toBe('2024-01-01T05:45:00+05:45');
+    });
+
+    it('should format UTC offsets', () => {
+      expect(formatUTCOffset(0)).toBe('+00:00');
+      expect(formatUTCOffset(-210)).toBe('-03:30');
+      expect(formatUTCOffset(765)).toBe('+12:45');
+      expect(() => formatUTCOffset('UTC')).toThrow('Invalid offset provided');
+    });
+
+    it('should format the local time and date in the zone, not the runtime', () => {
+      expect(formatZonedTime(sunrise, { locale: 'en-US' })).toMatch(/^5:25\sAM$/);
+      expect(formatZonedTime(sunrise, { locale: 'en-GB', hour: '2-digit' })).toBe('05:25');
+      expect(formatZonedDate(sunrise, { locale: 'en-US' })).toBe('Jun 21, 2024');
+    });
+
+    it('should reject plain dates', () => {
+      expect(() => toZonedISOString(new Date())).toThrow('Invalid zoned date-time provided');
+      expect(() => formatZonedTime(new Date())).toThrow('Invalid zoned date-time provided');
+      expect(() => formatZonedDate(null)).toThrow('Invalid zoned date-time provided');
+    });
+  });
+
   describe('convertTimezoneToUTC', () => {
     it('should convert New York time to UTC', () => {
       const nyTime = new Date('2024-06-21T13:00:00'); // 1 PM local time
@@ -148,6 +266,143 @@ describe('Timezone Handler', () => {
       expect(backToUTC).toBeInstanceOf(Date);
       expect(isNaN(localTime.getTime())).toBe(false);
       expect(isNaN(backToUTC.getTime())).toBe(false);
+      expect(backToUTC.getTime()).toBe(originalUTC.getTime());
+    });
+
+    it('should convert with the offset in force at that local time', () => {
+      expect(convertTimezoneToUTC(new Date(2024, 5, 21, 13, 0), 'America/New_York').toISOString()).toBe('2024-06-21T17:00:00.000Z');
+      expect(convertTimezoneToUTC(new Date(2024, 0, 15, 13, 0), 'America/New_York').toISOString()).toBe('2024-01-15T18:00:00.000Z');
+      expect(convertTimezoneToUTC(new Date(2024, 0, 15, 13, 0), 'Australia/Sydney').toISOString()).toBe('2024-01-15T02:00:00.000Z');
+    });
+
+    it('should resolve times in a spring-forward gap', () => {
+      // 02:30 on 10 March 2024 never happens in New York
+      const gap = { year: 2024, month: 3, day: 10, hour: 2, minute: 30 };
+      
+      expect(convertTimezoneToUTC(gap, 'America/New_York').toISOString()).toBe('2024-03-10T07:30:00.000Z');
+      expect(convertTimezoneToUTC(gap, 'America/New_York', { disambiguation: DST_DISAMBIGUATION.EARLIER }).toISOString()).toBe('2024-03-10T06:30:00.000Z');
+      expect(convertTimezoneToUTC(gap, 'America/New_York', { disambiguation: DST_DISAMBIGUATION.LATER }).toISOString()).toBe('2024-03-10T07:30:00.000Z');
+    });
+
+    it('should resolve times in a fall-back overlap', () => {
+      // 01:30 on 3 November 2024 happens twice in New York
+      const overlap = { year: 2024, month: 11, day: 3, hour: 1, minute: 30 };
+      
+      expect(convertTimezoneToUTC(overlap, 'America/New_York').toISOString()).toBe('2024-11-03T05:30:00.000Z');
+      expect(convertTimezoneToUTC(overlap, 'America/New_York', { disambiguation: DST_DISAMBIGUATION.EARLIER }).toISOString()).toBe('2024-11-03T05:30:00.000Z');
+      expect(convertTimezoneToUTC(overlap, 'America/New_York', { disambiguation: DST_DISAMBIGUATION.LATER }).toISOString()).toBe('2024-11-03T06:30:00.000Z');
+    });
+
+    it('should reject nonexistent and ambiguous times when asked to', () => {
+      const options = { disambiguation: DST_DISAMBIGUATION.REJECT };
+      const gap = () => convertTimezoneToUTC({ year: 2024, month: 3, day: 10, hour: 2, minute: 30 }, 'America/New_York', options);
+      const overlap = () => convertTimezoneToUTC({ year: 2024, month: 4, day: 7, hour: 2, minute: 30 }, 'Australia/Sydney', options);
+      
+      expect(gap).toThrow(TimezoneError);
+      expect(gap).toThrow(expect.objectContaining({ code: TIMEZONE_ERRORS.NONEXISTENT_TIME }));
+      expect(overlap).toThrow(expect.objectContaining({ code: TIMEZONE_ERRORS.AMBIGUOUS_TIME }));
+      expect(convertTimezoneToUTC({ year: 2024, month: 3, day: 10, hour: 3, minute: 30 }, 'America/New_York', options).toISOString()).toBe('2024-03-10T07:30:00.000Z');
+    });
+
+    it('should throw error for invalid disambiguation', () => {
+      expect(() => convertTimezoneToUTC(new Date(), 'America/New_York', { disambiguation: 'nearest' })).toThrow('Invalid disambiguation provided');
+    });
+
+    it('should accept wall-clock parts', () => {
+      const options = { disambiguation: DST_DISAMBIGUATION.REJECT };
+      
+      expect(convertTimezoneToUTC({ year: 2024, month: 6, day: 21, hour: 13 }, 'America/New_York').toISOString()).toBe('2024-06-21T17:00:00.000Z');
+      expect(convertTimezoneToUTC({ year: 2024, month: 1, day: 15 }, 'Australia/Sydney').toISOString()).toBe('2024-01-14T13:00:00.000Z');
+      expect(() => convertTimezoneToUTC({ year: 2024, month: 3, day: 10, hour: 2, minute: 30 }, 'America/New_York', options)).toThrow(TimezoneError);
+    });
+
+    it('should throw error for invalid wall-clock parts', () => {
+      expect(() => convertTimezoneToUTC({ year: 2024, month: 0, day: 1 }, 'America/New_York')).toThrow('Invalid date provided');
+      expect(() => convertTimezoneToUTC({ year: 2024, month: 2, day: 30 }, 'America/New_York')).toThrow('Invalid date provided');
+      expect(() => convertTimezoneToUTC({ year: 2024, month: 6, day: 21, hour: 24 }, 'America/New_York')).toThrow('Invalid date provided');
+      expect(() => convertTimezoneToUTC({ year: '2024', month: 6, day: 21 }, 'America/New_York')).toThrow('Invalid date provided');
+      expect(() => convertTimezoneToUTC(null, 'America/New_York')).toThrow('Invalid date provided');
+    });
+  });
+
+  describe('on a runtime with its own DST', () => {
+    const runtimeTimezone = process.env.TZ;
+    
+    beforeAll(() => {
+      process.env.TZ = 'America/New_York';
+    });
+    
+    afterAll(() => {
+      if (runtimeTimezone === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = runtimeTimezone;
+      }
+    });
+
+    it('should not report DST or transitions for zones without them', () => {
+      expect(isDSTActive(new Date('2025-07-15T12:00:00Z'), 'Asia/Tokyo')).toBe(false);
+      expect(getDSTTransitions('Asia/Tokyo', 2025)).toEqual([]);
+    });
+
+    it('should find transitions at the zone\'s own instants', () => {
+      expect(getDSTTransitions('America/New_York', 2025).map(transition => transition.time.toISOString())).toEqual([
+        '2025-03-09T07:00:00.000Z',
+        '2025-11-02T06:00:00.000Z'
+      ]);
+      expect(getDSTTransitions('Europe/Berlin', 2025).map(transition => transition.time.toISOString())).toEqual([
+        '2025-03-30T01:00:00.000Z',
+        '2025-10-26T01:00:00.000Z'
+      ]);
+    });
+
+    it('should convert wall-clock times that the runtime clock skips', () => {
+      // 02:30 on 9 March 2025 does not exist in New York, but does in Tokyo and London
+      const skipped = { year: 2025, month: 3, day: 9, hour: 2, minute: 30 };
+      const options = { disambiguation: DST_DISAMBIGUATION.REJECT };
+      
+      expect(convertTimezoneToUTC(skipped, 'Asia/Tokyo', options).toISOString()).toBe('2025-03-08T17:30:00.000Z');
+      expect(convertTimezoneToUTC(skipped, 'Europe/London', options).toISOString()).toBe('2025-03-09T02:30:00.000Z');
+      expect(() => convertTimezoneToUTC(skipped, 'America/New_York', options)).toThrow(expect.objectContaining({ code: TIMEZONE_ERRORS.NONEXISTENT_TIME }));
+    });
+
+    it('should bound local days by the zone\'s own midnights', () => {
+      const fallBack = getLocalDayBounds(new Date(2024, 10, 3), 'America/New_York');
+      const tokyo = getLocalDayBounds(new Date(2024, 10, 3), 'Asia/Tokyo');
+      
+      expect(fallBack.start.toISOString()).toBe('2024-11-03T04:00:00.000Z');
+      expect(fallBack.end.getTime() - fallBack.start.getTime()).toBe(25 * 60 * 60 * 1000);
+      expect(tokyo.start.toISOString()).toBe('2024-11-02T15:00:00.000Z');
+      expect(tokyo.end.getTime() - tokyo.start.getTime()).toBe(24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('getDSTTransitions', () => {
+    it('should list both transitions in New York', () => {
+      const transitions = getDSTTransitions('America/New_York', 2024);
+      
+      expect(transitions).toEqual([
+        { time: new Date('2024-03-10T07:00:00Z'), offsetBefore: -300, offsetAfter: -240 },
+        { time: new Date('2024-11-03T06:00:00Z'), offsetBefore: -240, offsetAfter: -300 }
+      ]);
+    });
+
+    it('should handle southern hemisphere and half-hour shifts', () => {
+      expect(getDSTTransitions('Australia/Sydney', 2024)).toEqual([
+        { time: new Date('2024-04-06T16:00:00Z'), offsetBefore: 660, offsetAfter: 600 },
+        { time: new Date('2024-10-05T16:00:00Z'), offsetBefore: 600, offsetAfter: 660 }
+      ]);
+      expect(getDSTTransitions('Australia/Lord_Howe', 2024).map(transition => transition.offsetAfter)).toEqual([630, 660]);
+    });
+
+    it('should return no transitions for zones without DST', () => {
+      expect(getDSTTransitions('Asia/Kolkata', 2024)).toEqual([]);
+      expect(getDSTTransitions('America/Phoenix', 2024)).toEqual([]);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => getDSTTransitions('Invalid/Zone', 2024)).toThrow('Invalid timezone provided');
+      expect(() => getDSTTransitions('America/New_York', 2024.5)).toThrow('Invalid year provided');
     });
   });
 
@@ -159,9 +414,8 @@ describe('Timezone Handler', () => {
       const summerDST = isDSTActive(summerDate, 'America/New_York');
       const winterDST = isDSTActive(winterDate, 'America/New_York');
       
-      // DST detection should return boolean values (implementation may vary)
-      expect(typeof summerDST).toBe('boolean');
-      expect(typeof winterDST).toBe('boolean');
+      expect(summerDST).toBe(true);
+      expect(winterDST).toBe(false);
     });
 
     it('should detect DST in London during summer', () => {
@@ -171,9 +425,14 @@ describe('Timezone Handler', () => {
       const summerDST = isDSTActive(summerDate, 'Europe/London');
       const winterDST = isDSTActive(winterDate, 'Europe/London');
       
-      // DST detection should return boolean values (implementation may vary)
-      expect(typeof summerDST).toBe('boolean');
-      expect(typeof winterDST).toBe('boolean');
+      expect(summerDST).toBe(true);
+      expect(winterDST).toBe(false);
+    });
+
+    it('should detect DST in the southern hemisphere summer', () => {
+      expect(isDSTActive(new Date('2024-01-15T12:00:00Z'), 'Australia/Sydney')).toBe(true);
+      expect(isDSTActive(new Date('2024-07-15T12:00:00Z'), 'Australia/Sydney')).toBe(false);
+      expect(isDSTActive(new Date('2024-01-15T12:00:00Z'), 'America/Santiago')).toBe(true);
     });
 
     it('should handle timezones without DST', () => {
@@ -197,9 +456,8 @@ describe('Timezone Handler', () => {
       const beforeSpringDST = isDSTActive(beforeSpring, 'America/New_York');
       const afterSpringDST = isDSTActive(afterSpring, 'America/New_York');
       
-      // Should return boolean values (exact values may vary by implementation)
-      expect(typeof beforeSpringDST).toBe('boolean');
-      expect(typeof afterSpringDST).toBe('boolean');
+      expect(beforeSpringDST).toBe(false);
+      expect(afterSpringDST).toBe(true);
       
       // Fall back: November 3, 2024
       const beforeFall = new Date('2024-11-02T12:00:00Z');
@@ -208,8 +466,8 @@ describe('Timezone Handler', () => {
       const beforeFallDST = isDSTActive(beforeFall, 'America/New_York');
       const afterFallDST = isDSTActive(afterFall, 'America/New_York');
       
-      expect(typeof beforeFallDST).toBe('boolean');
-      expect(typeof afterFallDST).toBe('boolean');
+      expect(beforeFallDST).toBe(true);
+      expect(afterFallDST).toBe(false);
     });
 
     it('should handle invalid inputs', () => {
@@ -308,9 +566,47 @@ describe('Timezone Handler', () => {
       expect(localTimes).toHaveProperty('twilight');
       
       // Check that times were converted (should be 4 hours earlier in EDT)
-      expect(localTimes.sunrise.getHours()).toBe(6); // 10:30 UTC -> 6:30 EDT
-      expect(localTimes.sunset.getHours()).toBe(19); // 23:45 UTC -> 19:45 EDT
-      expect(localTimes.solarNoon.getHours()).toBe(13); // 17:00 UTC -> 13:00 EDT
+      expect(localTimes.sunrise.localParts.hour).toBe(6); // 10:30 UTC -> 6:30 EDT
+      expect(localTimes.sunset.localParts.hour).toBe(19); // 23:45 UTC -> 19:45 EDT
+      expect(localTimes.solarNoon.localParts.hour).toBe(13); // 17:00 UTC -> 13:00 EDT
+      expect(localTimes.goldenHour.evening.end.localParts.hour).toBe(20);
+      expect(localTimes.twilight.civil.morning.start.localParts.hour).toBe(5);
+    });
+
+    it('should keep the original instants', () => {
+      const sunrise = new Date('2024-06-21T10:30:00Z');
+      const localTimes = convertSunTimesToTimezone({ sunrise, sunset: null, solarNoon: null }, 'America/New_York');
+      
+      expect(localTimes.sunrise.instant.getTime()).toBe(sunrise.getTime());
+      expect(localTimes.sunrise.timezone).toBe('America/New_York');
+      expect(localTimes.sunrise.offsetMinutes).toBe(-240);
+    });
+
+    it('should convert preset bands and terrain sun times', () => {
+      const band = {
+        lower: -4,
+        upper: 6,
+        morning: { start: new Date('2024-06-21T09:00:00Z'), end: null },
+        evening: { start: null, end: new Date('2024-06-21T23:00:00Z') },
+        condition: 'normal'
+      };
+      const terrain = {
+        sunAppears: new Date('2024-06-21T11:00:00Z'),
+        sunDisappears: null,
+        periods: [{ start: new Date('2024-06-21T11:00:00Z'), end: new Date('2024-06-21T20:00:00Z') }],
+        alwaysVisible: false,
+        neverVisible: false
+      };
+      
+      const localTimes = convertSunTimesToTimezone({ sunrise: null, bands: { goldenHour: band }, terrain }, 'Europe/Zurich');
+      
+      expect(localTimes.bands.goldenHour.lower).toBe(-4);
+      expect(localTimes.bands.goldenHour.morning.start.localParts.hour).toBe(11);
+      expect(localTimes.bands.goldenHour.morning.end).toBeNull();
+      expect(localTimes.terrain.sunAppears.localParts.hour).toBe(13);
+      expect(localTimes.terrain.sunDisappears).toBeNull();
+      expect(localTimes.terrain.periods[0].end.localParts.hour).toBe(22);
+      expect(localTimes.terrain.alwaysVisible).toBe(false);
     });
 
     it('should handle null values in sun times', () => {
@@ -336,11 +632,41 @@ describe('Timezone Handler', () => {
       
       expect(localTimes.sunrise).toBeNull();
       expect(localTimes.sunset).toBeNull();
-      expect(localTimes.solarNoon).toBeInstanceOf(Date);
+      expect(isZonedDateTime(localTimes.solarNoon)).toBe(true);
       expect(localTimes.goldenHour.morning.start).toBeNull();
       expect(localTimes.goldenHour.morning.end).toBeNull();
     });
 
+    it('should keep polar condition results and period conditions', () => {
+      const polarResult = {
+        condition: 'polar_day',
+        sunAlwaysUp: true,
+        sunAlwaysDown: false,
+        dayLength: 24,
+        nextNormalDate: new Date('2024-07-23T00:00:00Z')
+      };
+      const polarSunTimes = {
+        sunrise: polarResult,
+        sunset: polarResult,
+        solarNoon: new Date('2024-06-21T11:00:00Z'),
+        dayLength: 24,
+        condition: 'polar_day',
+        goldenHour: {
+          morning: { start: null, end: null },
+          evening: { start: null, end: null },
+          condition: 'polar_day'
+        }
+      };
+      
+      const localTimes = convertSunTimesToTimezone(polarSunTimes, 'Europe/Oslo');
+      
+      expect(localTimes.sunrise).toBe(polarResult);
+      expect(localTimes.sunset).toBe(polarResult);
+      expect(localTimes.condition).toBe('polar_day');
+      expect(localTimes.goldenHour.condition).toBe('polar_day');
+      expect(localTimes.solarNoon.localParts.hour).toBe(13);
+    });
+
     it('should handle invalid inputs', () => {
       expect(() => convertSunTimesToTimezone(null, 'America/New_York')).toThrow('Invalid sun times');
       expect(() => convertSunTimesToTimezone({}, '')).toThrow('Invalid timezone');
@@ -348,6 +674,33 @@ describe('Timezone Handler', () => {
     });
   });
 
+  describe('getLocalDayBounds', () => {
+    it('should return local midnight to midnight in UTC', () => {
+      const { start, end } = getLocalDayBounds(new Date(2024, 5, 21), 'Asia/Tokyo');
+      
+      expect(start.toISOString()).toBe('2024-06-20T15:00:00.000Z');
+      expect(end.toISOString()).toBe('2024-06-21T15:00:00.000Z');
+    });
+
+    it('should return a 23 hour day on spring forward', () => {
+      const { start, end } = getLocalDayBounds(new Date(2024, 2, 10), 'America/New_York');
+      
+      expect(start.toISOString()).toBe('2024-03-10T05:00:00.000Z');
+      expect(end.getTime() - start.getTime()).toBe(23 * 60 * 60 * 1000);
+    });
+
+    it('should return a 25 hour day on fall back', () => {
+      const { start, end } = getLocalDayBounds(new Date(2024, 10, 3), 'America/New_York');
+      
+      expect(end.getTime() - start.getTime()).toBe(25 * 60 * 60 * 1000);
+    });
+
+    it('should throw error for invalid inputs', () => {
+      expect(() => getLocalDayBounds(new Date(2024, 5, 21), 'Invalid/Timezone')).toThrow('Invalid timezone');
+      expect(() => getLocalDayBounds('invalid', 'Asia/Tokyo')).toThrow();
+    });
+  });
+
   describe('DST Transition Edge Cases', () => {
     it('should handle spring forward transition correctly', () => {
       // March 10, 2024 - Spring forward at 2:00 AM -> 3:00 AM
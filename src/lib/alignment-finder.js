@@ -0,0 +1,220 @@
+/**
+ * Sun Alignment Finder
+ * Finds dates and times when the sun rises or sets along a bearing, such as a street grid or a landmark
+ */
+
+import { validateCoordinates, calculateSunPosition, normalizeDate } from './solar-calculator.js';
+import { findSolarElevationEvents, findElevationCrossings, CROSSING_DIRECTIONS } from './elevation-events.js';
+import { calculateBearing, calculateDistance } from './geolocation-service.js';
+
+/**
+ * Events an alignment can occur at
+ */
+export const ALIGNMENT_EVENTS = {
+  SUNRISE: 'sunrise',
+  SUNSET: 'sunset'
+};
+
+const DEFAULT_TOLERANCE = 0.5; // degrees of azimuth
+const DEFAULT_HORIZON_ALTITUDE = -0.833;
+const MAX_RANGE_DAYS = 3660;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Wraps an azimuth difference to the range (-180, 180]
+ * @param {number} difference - Difference in degrees
+ * @returns {number} Wrapped difference in degrees
+ */
+function wrapAzimuthDifference(difference) {
+  const wrapped = ((difference % 360) + 360) % 360;
+  return wrapped > 180 ? wrapped - 360 : wrapped;
+}
+
+/**
+ * Resolves the target azimuth from either an explicit azimuth or a landmark location
+ * @param {number} latitude - Observer latitude in decimal degrees
+ * @param {number} longitude - Observer longitude in decimal degrees
+ * @param {Object} options - Alignment options
+ * @returns {number} Target azimuth in degrees
+ */
+function resolveTargetAzimuth(latitude, longitude, options) {
+  const { targetAzimuth, target } = options;
+  
+  if (target !== undefined) {
+    if (!target || !validateCoordinates(target.latitude, target.longitude)) {
+      throw new Error('Invalid target coordinates provided');
+    }
+    if (calculateDistance({ latitude, longitude }, target) === 0) {
+      throw new Error('Target must differ from the observer location');
+    }
+    return calculateBearing({ latitude, longitude }, target);
+  }
+  
+  if (targetAzimuth === undefined) {
+    throw new Error('Target azimuth or target location must be provided');
+  }
+  
+  if (typeof targetAzimuth !== 'number' || isNaN(targetAzimuth) || targetAzimuth < 0 || targetAzimuth >= 360) {
+    throw new Error('Invalid azimuth provided');
+  }
+  
+  return targetAzimuth;
+}
+
+/**
+ * Finds the time the sun crosses an elevation on a day, in the given direction
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Day to search
+ * @param {number} elevation - Target elevation in degrees
+ * @param {string} direction - One of CROSSING_DIRECTIONS
+ * @param {Object} options - Options forwarded to findSolarElevationEvents
+ * @returns {Date|null} First rising or last setting crossing, or null
+ */
+function findEdgeTime(latitude, longitude, date, elevation, direction, options) {
+  const crossings = findSolarElevationEvents(latitude, longitude, date, elevation, options)
+    .filter(crossing => crossing.direction === direction);
+  
+  if (crossings.length === 0) {
+    return null;
+  }
+  
+  return direction === CROSSING_DIRECTIONS.RISING ? crossings[0].time : crossings[crossings.length - 1].time;
+}
+
+/**
+ * Finds the best alignment for one event on one day
+ * The sun must be inside the elevation band; within that window the time where the
+ * azimuth matches the target is used, or the closest edge if it stays within tolerance
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Day to search
+ * @param {string} event - One of ALIGNMENT_EVENTS
+ * @param {number} targetAzimuth - Target azimuth in degrees
+ * @param {Object} band - Elevation band with lower and upper edges in degrees
+ * @param {number} tolerance - Azimuth tolerance in degrees
+ * @param {Object} options - Options forwarded to findSolarElevationEvents
+ * @returns {Object|null} Alignment or null
+ */
+function findDailyAlignment(latitude, longitude, date, event, targetAzimuth, band, tolerance, options) {
+  const rising = event === ALIGNMENT_EVENTS.SUNRISE;
+  const direction = rising ? CROSSING_DIRECTIONS.RISING : CROSSING_DIRECTIONS.SETTING;
+  
+  const lowerTime = findEdgeTime(latitude, longitude, date, band.lower, direction, options);
+  const upperTime = band.upper === band.lower
+    ? lowerTime
+    : findEdgeTime(latitude, longitude, date, band.upper, direction, options);
+  
+  if (!lowerTime || !upperTime) {
+    return null;
+  }
+  
+  const windowStart = rising ? lowerTime : upperTime;
+  const windowEnd = rising ? upperTime : lowerTime;
+  const getDifference = time => wrapAzimuthDifference(calculateSunPosition(latitude, longitude, time).azimuth - targetAzimuth);
+  
+  let time = null;
+  if (windowEnd.getTime() > windowStart.getTime()) {
+    const crossing = findElevationCrossings(getDifference, windowStart, windowEnd, 0)
+      .find(result => Math.abs(getDifference(result.time)) <= tolerance);
+    time = crossing ? crossing.time : null;
+  }
+  
+  if (!time) {
+    const startDifference = Math.abs(getDifference(windowStart));
+    const endDifference = Math.abs(getDifference(windowEnd));
+    time = startDifference <= endDifference ? windowStart : windowEnd;
+  }
+  
+  const position = calculateSunPosition(latitude, longitude, time, options);
+  const azimuthError = wrapAzimuthDifference(position.azimuth - targetAzimuth);
+  
+  if (Math.abs(azimuthError) > tolerance) {
+    return null;
+  }
+  
+  return {
+    date: new Date(date),
+    time,
+    event,
+    azimuth: position.azimuth,
+    elevation: position.elevation,
+    azimuthError
+  };
+}
+
+/**
+ * Finds every sunrise or sunset in a date range that lines up with a bearing
+ * @param {number} latitude - Observer latitude in decimal degrees
+ * @param {number} longitude - Observer longitude in decimal degrees
+ * @param {Object} options - Alignment options
+ * @param {number} options.targetAzimuth - Target azimuth in degrees clockwise from north
+ * @param {Object} options.target - Landmark with latitude and longitude, used instead of targetAzimuth
+ * @param {Date} options.startDate - First day of the search range
+ * @param {Date} options.endDate - Last day of the search range (inclusive)
+ * @param {number} options.tolerance - Maximum azimuth difference in degrees (default: 0.5)
+ * @param {Object} options.elevationBand - Optional band with lower and upper elevation in degrees the sun must be within
+ * @param {number} options.horizonAltitude - Elevation used for sunrise and sunset when no band is given (default: -0.833)
+ * @param {Array} options.events - Events to search, from ALIGNMENT_EVENTS (default: both)
+ * @param {string} options.timezone - IANA timezone of the observer (default: nominal offset from longitude)
+ * @returns {Object} Target azimuth and the alignments found, in date order
+ */
+export function findSunAlignments(latitude, longitude, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const targetAzimuth = resolveTargetAzimuth(latitude, longitude, options);
+  const {
+    tolerance = DEFAULT_TOLERANCE,
+    horizonAltitude = DEFAULT_HORIZON_ALTITUDE,
+    events = [ALIGNMENT_EVENTS.SUNRISE, ALIGNMENT_EVENTS.SUNSET],
+    elevationBand
+  } = options;
+  
+  if (typeof tolerance !== 'number' || isNaN(tolerance) || tolerance <= 0) {
+    throw new Error('Tolerance must be positive');
+  }
+  
+  const band = elevationBand || { lower: horizonAltitude, upper: horizonAltitude };
+  if (typeof band.lower !== 'number' || typeof band.upper !== 'number' || isNaN(band.lower) || isNaN(band.upper) || band.lower > band.upper) {
+    throw new Error('Invalid elevation band provided');
+  }
+  
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !Object.values(ALIGNMENT_EVENTS).includes(event))) {
+    throw new Error('Invalid alignment events provided');
+  }
+  
+  const startDate = normalizeDate(options.startDate);
+  const endDate = normalizeDate(options.endDate);
+  const firstDay = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const lastDay = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  const dayCount = Math.round((lastDay.getTime() - firstDay.getTime()) / MS_PER_DAY) + 1;
+  
+  if (dayCount < 1) {
+    throw new Error('End date must not be before start date');
+  }
+  
+  if (dayCount > MAX_RANGE_DAYS) {
+    throw new Error('Date range must not exceed 10 years');
+  }
+  
+  const searchOptions = { timezone: options.timezone, elevationMode: options.elevationMode };
+  const alignments = [];
+  
+  for (let i = 0; i < dayCount; i++) {
+    const day = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i);
+    
+    events.forEach(event => {
+      const alignment = findDailyAlignment(latitude, longitude, day, event, targetAzimuth, band, tolerance, searchOptions);
+      if (alignment) {
+        alignments.push(alignment);
+      }
+    });
+  }
+  
+  return {
+    targetAzimuth,
+    alignments: alignments.sort((a, b) => a.time.getTime() - b.time.getTime())
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * Analemma Generator
+ * Traces the sun's position at a fixed clock time on every day of a year
+ */
+
+import {
+  validateCoordinates,
+  calculateSunPosition,
+  calculateEquationOfTime,
+  calculateSolarDeclination
+} from './solar-calculator.js';
+import { getLocalDayBounds, createZonedDateTime } from './timezone-handler.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the standard (non-DST) UTC offset of a timezone in a year
+ * @param {string} timezone - IANA timezone identifier
+ * @param {number} year - Calendar year
+ * @returns {number} Offset in minutes (positive for east of UTC)
+ */
+function getStandardOffset(timezone, year) {
+  // DST always moves clocks forward, so the smaller of the winter and summer offsets is standard time
+  return Math.min(
+    createZonedDateTime(new Date(Date.UTC(year, 0, 1)), timezone).offsetMinutes,
+    createZonedDateTime(new Date(Date.UTC(year, 6, 1)), timezone).offsetMinutes
+  );
+}
+
+/**
+ * Generates the analemma: the sun's position at the same clock time on every day of a year
+ * The clock time is standard time all year, as a camera left unchanged for a year-long composite
+ * would keep it; following DST would split the figure in two
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {number} year - Calendar year
+ * @param {Object} options - Analemma options
+ * @param {number} options.hour - Clock hour (0-23, default: 12)
+ * @param {number} options.minute - Clock minute (0-59, default: 0)
+ * @param {string} options.timezone - IANA timezone whose standard time is used (default: nominal offset from longitude)
+ * @param {number} options.dayStep - Days between points (default: 1)
+ * @param {number} options.pressure - Air pressure in millibars for apparent elevation
+ * @param {number} options.temperature - Air temperature in degrees Celsius for apparent elevation
+ * @returns {Object} utcOffset in minutes and points with date, time, azimuth, elevation, apparentElevation, equationOfTime and declination
+ */
+export function generateAnalemma(latitude, longitude, year, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  if (!Number.isInteger(year)) {
+    throw new Error('Invalid year provided');
+  }
+  
+  const { hour = 12, minute = 0, timezone, dayStep = 1 } = options;
+  
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23 || !Number.isInteger(minute) || minute < 0 || minute > 59) {
+    throw new Error('Invalid clock time provided');
+  }
+  
+  if (!Number.isInteger(dayStep) || dayStep < 1) {
+    throw new Error('Day step must be a positive integer');
+  }
+  
+  if (timezone) {
+    getLocalDayBounds(new Date(year, 0, 1), timezone); // validates the timezone
+  }
+  
+  const utcOffset = timezone ? getStandardOffset(timezone, year) : Math.round(longitude / 15) * 60;
+  const firstTime = Date.UTC(year, 0, 1, hour, minute) - utcOffset * 60000;
+  const dayCount = Math.round((Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / MS_PER_DAY);
+  const points = [];
+  
+  for (let i = 0; i < dayCount; i += dayStep) {
+    const time = new Date(firstTime + i * MS_PER_DAY);
+    const position = calculateSunPosition(latitude, longitude, time, options);
+    
+    points.push({
+      date: new Date(year, 0, 1 + i),
+      time,
+      azimuth: position.azimuth,
+      elevation: position.elevation,
+      apparentElevation: position.apparentElevation,
+      equationOfTime: calculateEquationOfTime(time),
+      declination: calculateSolarDeclination(time)
+    });
+  }
+  
+  return {
+    year,
+    hour,
+    minute,
+    timezone: timezone || null,
+    utcOffset,
+    points
+  };
+}
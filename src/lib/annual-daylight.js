@@ -0,0 +1,201 @@
+/**
+ * Annual Daylight
+ * Builds year-at-a-glance sun time tables and date × time-of-day elevation grids
+ */
+
+import { validateCoordinates, calculateSunPosition, calculateSunPositionBatch } from './solar-calculator.js';
+import { calculateSunTimes } from './sun-times.js';
+import {
+  getLocalDayBounds,
+  createZonedDateTime,
+  isZonedDateTime,
+  getTimezoneForCoordinatesSync
+} from './timezone-handler.js';
+
+const DEFAULT_HEATMAP_INTERVAL = 30;
+
+/**
+ * Lists every calendar day of a year
+ * @param {number} year - Calendar year
+ * @returns {Array} Dates at local midnight of the runtime, one per day
+ */
+function getDaysOfYear(year) {
+  if (!Number.isInteger(year)) {
+    throw new Error('Invalid year provided');
+  }
+  
+  const days = [];
+  for (let date = new Date(year, 0, 1); date.getFullYear() === year; date = new Date(year, 0, days.length + 1)) {
+    days.push(date);
+  }
+  
+  return days;
+}
+
+/**
+ * Formats a calendar day as YYYY-MM-DD
+ * @param {Date} date - Date whose calendar day to format
+ * @returns {string} ISO calendar date
+ */
+function formatCalendarDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Creates a function returning the UTC offset of a location at an instant
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Function} Function mapping a time in milliseconds to an offset in minutes (positive east of UTC)
+ */
+function createOffsetResolver(timezone) {
+  return time => createZonedDateTime(new Date(time), timezone).offsetMinutes;
+}
+
+/**
+ * Converts an instant to wall-clock minutes after the local midnight of a calendar day
+ * @param {Date|Object|null} time - Event time as a Date or zoned date-time; anything else yields null
+ * @param {number} wallMidnight - Local midnight of the day as a UTC timestamp of the same wall-clock fields
+ * @param {Function} getOffset - Offset resolver from createOffsetResolver
+ * @returns {number|null} Minutes, below 0 or from 1440 when the event falls on a neighbouring day
+ */
+function toWallClockMinutes(time, wallMidnight, getOffset) {
+  const date = isZonedDateTime(time) ? time.instant : time;
+  if (!(date instanceof Date)) {
+    return null;
+  }
+  
+  const instant = date.getTime();
+  return (instant + getOffset(instant) * 60000 - wallMidnight) / 60000;
+}
+
+/**
+ * Finds the instant at which a location's clock shows a wall-clock time
+ * Repeated times resolve to their first occurrence; times skipped by a DST change fall back by the
+ * length of the gap
+ * @param {number} wallClock - Wall-clock time as a UTC timestamp of the same fields
+ * @param {Function} getOffset - Offset resolver from createOffsetResolver
+ * @returns {number} UTC timestamp in milliseconds
+ */
+function resolveWallClock(wallClock, getOffset) {
+  const candidate = wallClock - getOffset(wallClock) * 60000;
+  
+  // Re-check the offset at the candidate instant in case a DST change lies in between
+  return wallClock - getOffset(candidate) * 60000;
+}
+
+/**
+ * Calculates sun times for every day of a year as a compact, column-oriented table
+ * Times are wall-clock minutes after the location's local midnight, so a DST change shows as a
+ * one-hour step; events without a time on a polar day or night are null
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {number} year - Calendar year
+ * @param {Object} options - Options forwarded to calculateSunTimes
+ * @param {string} options.timezone - IANA timezone of the location (default: the zone looked up from the coordinates)
+ * @returns {Object} year, timezone and columns keyed by name, each with one entry per day
+ */
+export function calculateAnnualDaylight(latitude, longitude, year, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const days = getDaysOfYear(year);
+  const timezone = options.timezone || getTimezoneForCoordinatesSync(latitude, longitude);
+  const dayOptions = { ...options, timezone };
+  const getOffset = createOffsetResolver(timezone);
+  const columns = {
+    date: [],
+    utcOffset: [],
+    sunrise: [],
+    sunset: [],
+    solarNoon: [],
+    dayLength: [],
+    condition: [],
+    goldenHourMorningStart: [],
+    goldenHourMorningEnd: [],
+    goldenHourEveningStart: [],
+    goldenHourEveningEnd: []
+  };
+  
+  days.forEach(day => {
+    const { start } = getLocalDayBounds(day, timezone);
+    const wallMidnight = Date.UTC(day.getFullYear(), day.getMonth(), day.getDate());
+    const sunTimes = calculateSunTimes(latitude, longitude, day, dayOptions);
+    const toMinutes = time => toWallClockMinutes(time, wallMidnight, getOffset);
+    
+    columns.date.push(formatCalendarDate(day));
+    columns.utcOffset.push(getOffset(start.getTime() + 12 * 60 * 60000));
+    columns.sunrise.push(toMinutes(sunTimes.sunrise));
+    columns.sunset.push(toMinutes(sunTimes.sunset));
+    columns.solarNoon.push(toMinutes(sunTimes.solarNoon));
+    columns.dayLength.push(sunTimes.dayLength);
+    columns.condition.push(sunTimes.condition);
+    columns.goldenHourMorningStart.push(toMinutes(sunTimes.goldenHour.morning.start));
+    columns.goldenHourMorningEnd.push(toMinutes(sunTimes.goldenHour.morning.end));
+    columns.goldenHourEveningStart.push(toMinutes(sunTimes.goldenHour.evening.start));
+    columns.goldenHourEveningEnd.push(toMinutes(sunTimes.goldenHour.evening.end));
+  });
+  
+  return {
+    year,
+    timezone,
+    columns
+  };
+}
+
+/**
+ * Generates a date × time-of-day grid of sun elevations for a year
+ * Columns are wall-clock times, so every day has the same number of cells even across DST changes
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {number} year - Calendar year
+ * @param {Object} options - Grid options
+ * @param {string} options.timezone - IANA timezone of the location (default: the zone looked up from the coordinates)
+ * @param {number} options.intervalMinutes - Time-of-day step in minutes, dividing 1440 (default: 30)
+ * @returns {Object} dates (YYYY-MM-DD), minutes (wall-clock minutes of each column) and elevations (one Float64Array row per date)
+ */
+export function generateElevationHeatmap(latitude, longitude, year, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const { intervalMinutes = DEFAULT_HEATMAP_INTERVAL } = options;
+  const timezone = options.timezone || getTimezoneForCoordinatesSync(latitude, longitude);
+  
+  if (!Number.isInteger(intervalMinutes) || intervalMinutes <= 0 || 1440 % intervalMinutes !== 0) {
+    throw new Error('Interval must divide a day into whole minutes');
+  }
+  
+  const days = getDaysOfYear(year);
+  
+  getLocalDayBounds(days[0], timezone); // validates the timezone
+  const getOffset = createOffsetResolver(timezone);
+  const minutes = Array.from({ length: 1440 / intervalMinutes }, (_, index) => index * intervalMinutes);
+  
+  const wallMidnights = days.map(day => Date.UTC(day.getFullYear(), day.getMonth(), day.getDate()));
+  const instants = wallMidnights.map(wallMidnight =>
+    minutes.map(minute => resolveWallClock(wallMidnight + minute * 60000, getOffset))
+  );
+  
+  // One batch over the year; cells a DST change moves off its step are calculated on their own
+  const first = instants[0][0];
+  const last = instants[instants.length - 1][minutes.length - 1];
+  const stepMs = intervalMinutes * 60000;
+  const batch = calculateSunPositionBatch(latitude, longitude, new Date(first), new Date(last), intervalMinutes);
+  
+  const elevations = instants.map(row => Float64Array.from(row, instant => {
+    const index = (instant - first) / stepMs;
+    return Number.isInteger(index) && index < batch.elevation.length
+      ? batch.elevation[index]
+      : calculateSunPosition(latitude, longitude, new Date(instant)).elevation;
+  }));
+  
+  return {
+    year,
+    timezone,
+    dates: days.map(formatCalendarDate),
+    minutes,
+    elevations
+  };
+}
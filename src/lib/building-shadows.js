@@ -0,0 +1,396 @@
+/**
+ * Building Shadows
+ * Projects GeoJSON building footprints into ground shadow polygons for an instant or a time window
+ */
+
+import polygonClipping from 'polygon-clipping';
+import { calculateSunPosition, calculateSunPositionBatch, normalizeDate, toRadians } from './solar-calculator.js';
+import { calculateShadow, toMetres, SHADOW_UNITS } from './shadow-calculator.js';
+
+const METRES_PER_DEGREE = 6371000 * Math.PI / 180;
+const DEFAULT_MAX_SHADOW_LENGTH = 1000; // metres, caps shadows of a grazing sun
+const DEFAULT_STEP_MINUTES = 15;
+const MAX_SWEEP_STEPS = 1440;
+
+/**
+ * Collects the footprint features from a GeoJSON input
+ * @param {Object|Array} footprints - FeatureCollection, Feature, or array of Features
+ * @returns {Array} Features
+ */
+function getFeatures(footprints) {
+  if (Array.isArray(footprints)) {
+    return footprints;
+  }
+  
+  if (footprints && footprints.type === 'FeatureCollection' && Array.isArray(footprints.features)) {
+    return footprints.features;
+  }
+  
+  if (footprints && footprints.type === 'Feature') {
+    return [footprints];
+  }
+  
+  throw new Error('Invalid building footprints provided');
+}
+
+/**
+ * Checks that a ring is a closed list of at least four [longitude, latitude] positions
+ * @param {Array} ring - Linear ring
+ * @returns {boolean} True if ring is valid
+ */
+function isValidRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    return false;
+  }
+  
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  
+  return ring.every(position =>
+    Array.isArray(position) &&
+    typeof position[0] === 'number' &&
+    typeof position[1] === 'number' &&
+    Math.abs(position[0]) <= 180 &&
+    Math.abs(position[1]) <= 90
+  ) && first[0] === last[0] && first[1] === last[1];
+}
+
+/**
+ * Parses a footprint feature into polygons and a height in metres
+ * @param {Object} feature - GeoJSON Feature with Polygon or MultiPolygon geometry
+ * @param {Object} options - Footprint options
+ * @param {string} options.heightProperty - Property holding the building height (default: 'height')
+ * @param {string} options.units - Unit system of the height property (default: metric)
+ * @returns {Object} Polygons, height in metres, reference latitude and longitude, and the source properties
+ */
+function parseFootprint(feature, options) {
+  const { heightProperty = 'height', units = SHADOW_UNITS.METRIC } = options;
+  const geometry = feature && feature.geometry;
+  
+  let polygons;
+  if (geometry && geometry.type === 'Polygon') {
+    polygons = [geometry.coordinates];
+  } else if (geometry && geometry.type === 'MultiPolygon') {
+    polygons = geometry.coordinates;
+  }
+  
+  if (!Array.isArray(polygons) || polygons.length === 0 || !polygons.every(polygon => Array.isArray(polygon) && polygon.length > 0 && polygon.every(isValidRing))) {
+    throw new Error('Invalid building footprint provided');
+  }
+  
+  const properties = feature.properties || {};
+  const height = properties[heightProperty];
+  
+  if (typeof height !== 'number' || !isFinite(height) || height <= 0) {
+    throw new Error('Building height must be a positive number');
+  }
+  
+  // Mean of the outer ring vertices, used for the sun position and the local projection
+  const outerPositions = polygons.flatMap(polygon => polygon[0].slice(0, -1));
+  const longitude = outerPositions.reduce((sum, position) => sum + position[0], 0) / outerPositions.length;
+  const latitude = outerPositions.reduce((sum, position) => sum + position[1], 0) / outerPositions.length;
+  
+  return {
+    polygons,
+    height: toMetres(height, units),
+    latitude,
+    longitude,
+    properties
+  };
+}
+
+/**
+ * Parses GeoJSON building footprints
+ * @param {Object|Array} footprints - FeatureCollection, Feature, or array of Features with
+ *   Polygon or MultiPolygon geometry and a height property
+ * @param {Object} options - Footprint options
+ * @param {string} options.heightProperty - Property holding the building height (default: 'height')
+ * @param {string} options.units - Unit system of the height property (default: metric)
+ * @returns {Array} Buildings with polygons, height in metres, reference latitude and longitude, and properties
+ */
+export function parseBuildingFootprints(footprints, options = {}) {
+  return getFeatures(footprints).map(feature => parseFootprint(feature, options));
+}
+
+/**
+ * Calculates the ground offset of a building's shadow tip in degrees
+ * Uses a local equirectangular projection around the footprint
+ * @param {Object} building - Parsed footprint
+ * @param {Object} sunPosition - Sun position at the building with azimuth and elevation
+ * @param {number} maxShadowLength - Maximum shadow length in metres
+ * @returns {Object|null} Offset as [dLongitude, dLatitude] with the sun position and shadow, or null when the sun is down
+ */
+function getShadowOffset(building, sunPosition, maxShadowLength) {
+  const shadow = calculateShadow(building.height, sunPosition);
+  
+  if (!shadow.hasShadow) {
+    return null;
+  }
+  
+  const scale = Math.min(1, maxShadowLength / shadow.length);
+  const metresPerDegreeLongitude = METRES_PER_DEGREE * Math.cos(toRadians(building.latitude));
+  
+  return {
+    offset: [
+      (shadow.eastOffset * scale) / metresPerDegreeLongitude,
+      (shadow.northOffset * scale) / METRES_PER_DEGREE
+    ],
+    sunPosition,
+    shadow: { ...shadow, length: shadow.length * scale }
+  };
+}
+
+/**
+ * Translates a polygon by an offset
+ * @param {Array} polygon - Polygon rings
+ * @param {Array} offset - [dLongitude, dLatitude]
+ * @returns {Array} Translated polygon
+ */
+function translatePolygon(polygon, offset) {
+  return polygon.map(ring => ring.map(([x, y]) => [x + offset[0], y + offset[1]]));
+}
+
+/**
+ * Calculates the convex hull of a set of points (monotone chain)
+ * @param {Array} points - [x, y] points
+ * @returns {Array} Closed hull ring, or an empty array when the points are collinear
+ */
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const build = list => {
+    const hull = [];
+    list.forEach(point => {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+        hull.pop();
+      }
+      hull.push(point);
+    });
+    hull.pop();
+    return hull;
+  };
+  
+  const hull = [...build(sorted), ...build([...sorted].reverse())];
+  
+  return hull.length < 3 ? [] : [...hull, hull[0]];
+}
+
+/**
+ * Collects the edges of every ring of a polygon
+ * @param {Array} polygon - Polygon rings
+ * @returns {Array} Edges as [start, end] position pairs
+ */
+function getEdges(polygon) {
+  return polygon.flatMap(ring => ring.slice(0, -1).map((position, index) => [position, ring[index + 1]]));
+}
+
+/**
+ * Sweeps a polygon along a straight translation from offset a to offset b
+ * @param {Array} polygon - Polygon rings
+ * @param {Array} a - Start offset
+ * @param {Array} b - End offset
+ * @returns {Array} Polygons whose union is the swept area
+ */
+function sweepPolygon(polygon, a, b) {
+  const pieces = [translatePolygon(polygon, a), translatePolygon(polygon, b)];
+  
+  getEdges(polygon).forEach(([p, q]) => {
+    const hull = convexHull([
+      [p[0] + a[0], p[1] + a[1]],
+      [q[0] + a[0], q[1] + a[1]],
+      [q[0] + b[0], q[1] + b[1]],
+      [p[0] + b[0], p[1] + b[1]]
+    ]);
+    if (hull.length > 0) {
+      pieces.push([hull]);
+    }
+  });
+  
+  return pieces;
+}
+
+/**
+ * Builds the pieces of a building's shadow at one instant
+ * A prism's shadow is its footprint swept from the base to the shadow tip
+ * @param {Array} polygons - Footprint polygons
+ * @param {Array} offset - Shadow tip offset
+ * @returns {Array} Polygons whose union is the shadow
+ */
+function getInstantPieces(polygons, offset) {
+  return polygons.flatMap(polygon => sweepPolygon(polygon, [0, 0], offset));
+}
+
+/**
+ * Builds the pieces of the area shaded while the shadow tip moves between two offsets
+ * The tip is assumed to move in a straight line, so the shaded area is the footprint
+ * swept over the triangle formed by the base and both tips
+ * @param {Array} polygons - Footprint polygons
+ * @param {Array} startOffset - Shadow tip offset at the start of the interval
+ * @param {Array} endOffset - Shadow tip offset at the end of the interval
+ * @returns {Array} Polygons whose union is the shaded area
+ */
+function getIntervalPieces(polygons, startOffset, endOffset) {
+  const origin = [0, 0];
+  
+  return polygons.flatMap(polygon => {
+    const pieces = [
+      ...sweepPolygon(polygon, origin, startOffset),
+      ...sweepPolygon(polygon, origin, endOffset),
+      ...sweepPolygon(polygon, startOffset, endOffset)
+    ];
+    
+    getEdges(polygon).forEach(([p, q]) => {
+      const hull = convexHull([origin, startOffset, endOffset].flatMap(offset => [
+        [p[0] + offset[0], p[1] + offset[1]],
+        [q[0] + offset[0], q[1] + offset[1]]
+      ]));
+      if (hull.length > 0) {
+        pieces.push([hull]);
+      }
+    });
+    
+    return pieces;
+  });
+}
+
+/**
+ * Unions polygons and optionally removes the building footprints
+ * @param {Array} pieces - Polygons
+ * @param {Array} footprints - Footprint polygons to remove, or null to keep them
+ * @returns {Array} MultiPolygon coordinates
+ */
+function unionPieces(pieces, footprints) {
+  if (pieces.length === 0) {
+    return [];
+  }
+  
+  const union = polygonClipping.union(...pieces);
+  
+  return footprints && footprints.length > 0 ? polygonClipping.difference(union, ...footprints) : union;
+}
+
+/**
+ * Calculates the ground shadow of each building at an instant
+ * @param {Object|Array} footprints - GeoJSON FeatureCollection, Feature, or array of Features with
+ *   Polygon or MultiPolygon geometry and a height property
+ * @param {Date} date - Instant for calculation
+ * @param {Object} options - Calculation options
+ * @param {string} options.heightProperty - Property holding the building height (default: 'height')
+ * @param {string} options.units - Unit system of the height property (default: metric)
+ * @param {number} options.maxShadowLength - Longest shadow in metres, for a sun near the horizon (default: 1000)
+ * @param {boolean} options.includeFootprint - Keep the area under the building in the shadow (default: true)
+ * @returns {Object} GeoJSON FeatureCollection of MultiPolygon shadows, one per building with the sun above the horizon;
+ *   each keeps the source properties and adds sunAzimuth, sunElevation, shadowLength (metres) and shadowAzimuth
+ */
+export function calculateBuildingShadows(footprints, date, options = {}) {
+  const { maxShadowLength = DEFAULT_MAX_SHADOW_LENGTH, includeFootprint = true } = options;
+  const normalizedDate = normalizeDate(date);
+  const buildings = parseBuildingFootprints(footprints, options);
+  
+  const features = [];
+  buildings.forEach(building => {
+    const sunPosition = calculateSunPosition(building.latitude, building.longitude, normalizedDate);
+    const result = getShadowOffset(building, sunPosition, maxShadowLength);
+    if (!result) {
+      return;
+    }
+    
+    const coordinates = unionPieces(
+      getInstantPieces(building.polygons, result.offset),
+      includeFootprint ? null : building.polygons
+    );
+    
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'MultiPolygon', coordinates },
+      properties: {
+        ...building.properties,
+        sunAzimuth: result.sunPosition.azimuth,
+        sunElevation: result.sunPosition.elevation,
+        shadowLength: result.shadow.length,
+        shadowAzimuth: result.shadow.azimuth
+      }
+    });
+  });
+  
+  return {
+    type: 'FeatureCollection',
+    features
+  };
+}
+
+/**
+ * Calculates the area in shade at any point during a time window
+ * The shadow tip is sampled every step and assumed to move in a straight line between samples
+ * @param {Object|Array} footprints - GeoJSON FeatureCollection, Feature, or array of Features with a height property
+ * @param {Date} startDate - Start of the window
+ * @param {Date} endDate - End of the window
+ * @param {Object} options - Calculation options, as for calculateBuildingShadows
+ * @param {number} options.stepMinutes - Sampling step in minutes (default: 15)
+ * @returns {Object} GeoJSON Feature with the unioned MultiPolygon shade and the window in its properties
+ */
+export function calculateShadowSweep(footprints, startDate, endDate, options = {}) {
+  const {
+    stepMinutes = DEFAULT_STEP_MINUTES,
+    maxShadowLength = DEFAULT_MAX_SHADOW_LENGTH,
+    includeFootprint = true
+  } = options;
+  
+  const start = normalizeDate(startDate);
+  const end = normalizeDate(endDate);
+  
+  if (end.getTime() < start.getTime()) {
+    throw new Error('End date must not be before start date');
+  }
+  
+  if (typeof stepMinutes !== 'number' || isNaN(stepMinutes) || stepMinutes <= 0) {
+    throw new Error('Step must be a positive number of minutes');
+  }
+  
+  const stepMs = stepMinutes * 60000;
+  const stepCount = Math.ceil((end.getTime() - start.getTime()) / stepMs);
+  
+  if (stepCount > MAX_SWEEP_STEPS) {
+    throw new Error(`Sweep must not exceed ${MAX_SWEEP_STEPS} steps`);
+  }
+  
+  const buildings = parseBuildingFootprints(footprints, options);
+  const pieces = [];
+  
+  buildings.forEach(building => {
+    // Steps from the start, then the end itself
+    const { azimuth, elevation } = calculateSunPositionBatch(building.latitude, building.longitude, start, end, stepMinutes);
+    const sunPositions = Array.from({ length: stepCount }, (_, index) => ({ azimuth: azimuth[index], elevation: elevation[index] }));
+    sunPositions.push(calculateSunPosition(building.latitude, building.longitude, end));
+    
+    const offsets = sunPositions.map(sunPosition => getShadowOffset(building, sunPosition, maxShadowLength));
+    
+    offsets.forEach((current, index) => {
+      if (!current) {
+        return;
+      }
+      
+      const next = offsets[index + 1];
+      if (next) {
+        pieces.push(...getIntervalPieces(building.polygons, current.offset, next.offset));
+      } else if (index === 0 || !offsets[index - 1]) {
+        pieces.push(...getInstantPieces(building.polygons, current.offset));
+      }
+    });
+  });
+  
+  const footprintPolygons = includeFootprint ? null : buildings.flatMap(building => building.polygons);
+  
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'MultiPolygon',
+      coordinates: unionPieces(pieces, footprintPolygons)
+    },
+    properties: {
+      start: start.toISOString(),
+      end: end.toISOString(),
+      stepMinutes
+    }
+  };
+}
@@ -12,10 +12,15 @@ CREATE TABLE IF NOT EXISTS saved_locations (
   name TEXT NOT NULL,
   latitude DECIMAL(10, 8) NOT NULL CHECK (latitude >= -90 AND latitude <= 90),
   longitude DECIMAL(11, 8) NOT NULL CHECK (longitude >= -180 AND longitude <= 180),
+  horizon_profile JSONB CHECK (horizon_profile IS NULL OR jsonb_typeof(horizon_profile) = 'array'),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Add the horizon profile column to databases created before it existed
+ALTER TABLE saved_locations ADD COLUMN IF NOT EXISTS horizon_profile JSONB
+  CHECK (horizon_profile IS NULL OR jsonb_typeof(horizon_profile) = 'array');
+
 -- Notification preferences table
 CREATE TABLE IF NOT EXISTS notification_preferences (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -28,6 +33,20 @@ CREATE TABLE IF NOT EXISTS notification_preferences (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- User preferences table (one row per user)
+CREATE TABLE IF NOT EXISTS user_preferences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,
+  elevation_presets JSONB NOT NULL DEFAULT '{}'::jsonb,
+  time_format JSONB NOT NULL DEFAULT '{}'::jsonb CHECK (jsonb_typeof(time_format) = 'object'),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add the time format column to databases created before it existed
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS time_format JSONB NOT NULL DEFAULT '{}'::jsonb
+  CHECK (jsonb_typeof(time_format) = 'object');
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_saved_locations_user_id ON saved_locations(user_id);
 CREATE INDEX IF NOT EXISTS idx_notification_preferences_user_id ON notification_preferences(user_id);
@@ -36,6 +55,7 @@ CREATE INDEX IF NOT EXISTS idx_notification_preferences_location_id ON notificat
 -- Enable Row Level Security (RLS)
 ALTER TABLE saved_locations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_preferences ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for saved_locations
 -- Users can only access their own saved locations
@@ -65,6 +85,20 @@ CREATE POLICY "Users can update their own notification preferences" ON notificat
 CREATE POLICY "Users can delete their own notification preferences" ON notification_preferences
   FOR DELETE USING (auth.uid() = user_id);
 
+-- RLS Policies for user_preferences
+-- Users can only access their own preferences
+CREATE POLICY "Users can view their own preferences" ON user_preferences
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own preferences" ON user_preferences
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own preferences" ON user_preferences
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own preferences" ON user_preferences
+  FOR DELETE USING (auth.uid() = user_id);
+
 -- Function to automatically update the updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -81,4 +115,8 @@ CREATE TRIGGER update_saved_locations_updated_at
 
 CREATE TRIGGER update_notification_preferences_updated_at 
   BEFORE UPDATE ON notification_preferences 
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_user_preferences_updated_at 
+  BEFORE UPDATE ON user_preferences 
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
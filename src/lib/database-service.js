@@ -1,7 +1,9 @@
 import { supabase, getCurrentUser } from './supabase.js'
+import { parseHorizonProfile } from './horizon-profile.js'
+import { normalizeTimeFormat } from './time-formatter.js'
 
 /**
- * Database service for managing saved locations and notification preferences
+ * Database service for managing saved locations, notification preferences and user preferences
  */
 
 // Saved Locations Operations
@@ -34,9 +36,10 @@ export const savedLocationsService = {
    * @param {string} name - Location name
    * @param {number} latitude - Latitude coordinate
    * @param {number} longitude - Longitude coordinate
+   * @param {Array|string} horizonProfile - Optional terrain horizon profile (samples or CSV/JSON text)
    * @returns {Promise<Object>} The created location
    */
-  async create(name, latitude, longitude) {
+  async create(name, latitude, longitude, horizonProfile = null) {
     const user = await getCurrentUser()
     if (!user) {
       throw new Error('User must be authenticated to save locations')
@@ -50,16 +53,19 @@ export const savedLocationsService = {
       throw new Error('Longitude must be between -180 and 180 degrees')
     }
 
+    const location = {
+      user_id: user.id,
+      name: name.trim(),
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude)
+    }
+    if (horizonProfile !== null) {
+      location.horizon_profile = parseHorizonProfile(horizonProfile)
+    }
+
     const { data, error } = await supabase
       .from('saved_locations')
-      .insert([
-        {
-          user_id: user.id,
-          name: name.trim(),
-          latitude: parseFloat(latitude),
-          longitude: parseFloat(longitude)
-        }
-      ])
+      .insert([location])
       .select()
       .single()
 
@@ -91,9 +97,14 @@ export const savedLocationsService = {
       throw new Error('Longitude must be between -180 and 180 degrees')
     }
 
+    // Normalize the horizon profile if provided; null clears it
+    const locationUpdates = updates.horizon_profile !== undefined && updates.horizon_profile !== null
+      ? { ...updates, horizon_profile: parseHorizonProfile(updates.horizon_profile) }
+      : updates
+
     const { data, error } = await supabase
       .from('saved_locations')
-      .update(updates)
+      .update(locationUpdates)
       .eq('id', id)
       .select()
       .single()
@@ -250,6 +261,86 @@ export const notificationPreferencesService = {
   }
 }
 
+// User Preferences Operations
+export const userPreferencesService = {
+  /**
+   * Get preferences for the current user
+   * @returns {Promise<Object|null>} User preferences or null if none have been saved
+   */
+  async get() {
+    const user = await getCurrentUser()
+    if (!user) {
+      throw new Error('User must be authenticated to access user preferences')
+    }
+
+    const { data, error } = await supabase
+      .from('user_preferences')
+      .select('*')
+      .eq('user_id', user.id)
+      .single()
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 is "not found" error
+      console.error('Error fetching user preferences:', error)
+      throw error
+    }
+
+    return data
+  },
+
+  /**
+   * Create or update preferences for the current user
+   * @param {Object} preferences - User preferences
+   * @returns {Promise<Object>} The created/updated preferences
+   */
+  async upsert(preferences) {
+    const user = await getCurrentUser()
+    if (!user) {
+      throw new Error('User must be authenticated to manage user preferences')
+    }
+
+    if (preferences.elevation_presets !== undefined &&
+        (preferences.elevation_presets === null || typeof preferences.elevation_presets !== 'object' || Array.isArray(preferences.elevation_presets))) {
+      throw new Error('Elevation presets must be an object keyed by preset name')
+    }
+
+    const { data, error } = await supabase
+      .from('user_preferences')
+      .upsert([
+        {
+          user_id: user.id,
+          ...preferences
+        }
+      ], { onConflict: 'user_id' })
+      .select()
+      .single()
+
+    if (error) {
+      console.error('Error upserting user preferences:', error)
+      throw error
+    }
+
+    return data
+  },
+
+  /**
+   * Save the custom elevation band presets for the current user
+   * @param {Object} presets - Map of preset name to bands
+   * @returns {Promise<Object>} The updated preferences
+   */
+  async saveElevationPresets(presets) {
+    return this.upsert({ elevation_presets: presets })
+  },
+
+  /**
+   * Save the time format for the current user
+   * @param {Object} timeFormat - Time format with locale, hourCycle and displayZone
+   * @returns {Promise<Object>} The updated preferences
+   */
+  async saveTimeFormat(timeFormat) {
+    return this.upsert({ time_format: normalizeTimeFormat(timeFormat) })
+  }
+}
+
 // Authentication helpers
 export const authService = {
   /**
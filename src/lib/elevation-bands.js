@@ -0,0 +1,203 @@
+/**
+ * Elevation Bands
+ * Named sun elevation bands and a registry of band presets
+ */
+
+/**
+ * Built-in band definitions used for golden hour and blue hour
+ */
+export const DEFAULT_ELEVATION_BANDS = [
+  { name: 'goldenHour', lower: -6, upper: 6 },
+  { name: 'blueHour', lower: -12, upper: -6 }
+];
+
+/**
+ * Name of the built-in preset
+ */
+export const DEFAULT_PRESET_NAME = 'default';
+
+const builtInPresets = new Map([
+  [DEFAULT_PRESET_NAME, DEFAULT_ELEVATION_BANDS]
+]);
+
+const customPresets = new Map();
+
+/**
+ * Validates an elevation band definition
+ * @param {Object} band - Band with name, lower and upper elevation in degrees
+ * @returns {boolean} True if band is valid
+ */
+export function validateElevationBand(band) {
+  return (
+    band !== null &&
+    typeof band === 'object' &&
+    typeof band.name === 'string' &&
+    band.name.trim().length > 0 &&
+    typeof band.lower === 'number' &&
+    typeof band.upper === 'number' &&
+    band.lower >= -90 &&
+    band.upper <= 90 &&
+    band.lower < band.upper
+  );
+}
+
+/**
+ * Validates and copies a list of bands
+ * @param {Array} bands - Band definitions
+ * @returns {Array} Copied bands with trimmed names
+ */
+function normalizeBands(bands) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new Error('Invalid elevation bands provided');
+  }
+  
+  const names = new Set();
+  
+  return bands.map(band => {
+    if (!validateElevationBand(band)) {
+      throw new Error('Invalid elevation band provided');
+    }
+    
+    const name = band.name.trim();
+    if (names.has(name)) {
+      throw new Error(`Duplicate elevation band name: ${name}`);
+    }
+    names.add(name);
+    
+    return { name, lower: band.lower, upper: band.upper };
+  });
+}
+
+/**
+ * Validates a preset name
+ * @param {string} name - Preset name
+ * @returns {string} Trimmed preset name
+ */
+function normalizePresetName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new Error('Invalid preset name provided');
+  }
+  
+  return name.trim();
+}
+
+/**
+ * Registers a custom elevation band preset, replacing any custom preset with the same name
+ * @param {string} name - Preset name
+ * @param {Array} bands - Band definitions, each with name, lower and upper elevation in degrees
+ * @returns {Array} The registered bands
+ */
+export function registerElevationPreset(name, bands) {
+  const presetName = normalizePresetName(name);
+  
+  if (builtInPresets.has(presetName)) {
+    throw new Error('Built-in presets cannot be modified');
+  }
+  
+  const normalizedBands = normalizeBands(bands);
+  customPresets.set(presetName, normalizedBands);
+  
+  return normalizedBands.map(band => ({ ...band }));
+}
+
+/**
+ * Removes a custom elevation band preset
+ * @param {string} name - Preset name
+ * @returns {boolean} True if a preset was removed
+ */
+export function unregisterElevationPreset(name) {
+  const presetName = normalizePresetName(name);
+  
+  if (builtInPresets.has(presetName)) {
+    throw new Error('Built-in presets cannot be modified');
+  }
+  
+  return customPresets.delete(presetName);
+}
+
+/**
+ * Gets the bands of a registered preset
+ * @param {string} name - Preset name
+ * @returns {Array} Copy of the preset bands
+ */
+export function getElevationPreset(name) {
+  const presetName = normalizePresetName(name);
+  const bands = builtInPresets.get(presetName) || customPresets.get(presetName);
+  
+  if (!bands) {
+    throw new Error(`Elevation preset not found: ${presetName}`);
+  }
+  
+  return bands.map(band => ({ ...band }));
+}
+
+/**
+ * Lists all registered presets
+ * @returns {Array} Presets with name, bands and builtIn flag
+ */
+export function listElevationPresets() {
+  const presets = [];
+  
+  builtInPresets.forEach((bands, name) => {
+    presets.push({ name, bands: bands.map(band => ({ ...band })), builtIn: true });
+  });
+  customPresets.forEach((bands, name) => {
+    presets.push({ name, bands: bands.map(band => ({ ...band })), builtIn: false });
+  });
+  
+  return presets;
+}
+
+/**
+ * Exports the custom presets as a plain object for storage in the user profile
+ * @returns {Object} Map of preset name to bands
+ */
+export function serializeElevationPresets() {
+  const presets = {};
+  
+  customPresets.forEach((bands, name) => {
+    presets[name] = bands.map(band => ({ ...band }));
+  });
+  
+  return presets;
+}
+
+/**
+ * Replaces the custom presets with ones loaded from the user profile
+ * Invalid entries are skipped so a single bad preset does not block the rest
+ * @param {Object} presets - Map of preset name to bands
+ * @returns {Array} Names of the presets that were loaded
+ */
+export function loadElevationPresets(presets) {
+  customPresets.clear();
+  
+  if (!presets || typeof presets !== 'object') {
+    return [];
+  }
+  
+  const loaded = [];
+  
+  Object.entries(presets).forEach(([name, bands]) => {
+    try {
+      registerElevationPreset(name, bands);
+      loaded.push(name.trim());
+    } catch (error) {
+      console.warn(`Skipping invalid elevation preset "${name}":`, error.message);
+    }
+  });
+  
+  return loaded;
+}
+
+/**
+ * Resolves a preset name or a list of bands to validated bands
+ * @param {string|Array} bandsOrPreset - Preset name or band definitions
+ * @returns {Array} Validated bands
+ */
+export function resolveElevationBands(bandsOrPreset) {
+  if (typeof bandsOrPreset === 'string') {
+    return getElevationPreset(bandsOrPreset);
+  }
+  
+  return normalizeBands(bandsOrPreset);
+}
@@ -0,0 +1,257 @@
+/**
+ * Elevation Event Finder
+ * Root-finding engine that locates every time a body crosses a target elevation
+ */
+
+import { validateCoordinates, calculateSunPosition, normalizeDate } from './solar-calculator.js';
+import { getLocalDayBounds } from './timezone-handler.js';
+
+/**
+ * Elevation modes the solar event finder can target
+ */
+export const ELEVATION_MODES = {
+  TRUE: 'true',
+  APPARENT: 'apparent'
+};
+
+/**
+ * Direction of an elevation crossing
+ */
+export const CROSSING_DIRECTIONS = {
+  RISING: 'rising',
+  SETTING: 'setting'
+};
+
+/**
+ * Default sampling step and time precision for the root finder
+ */
+const DEFAULT_STEP_MINUTES = 10;
+const DEFAULT_PRECISION_MS = 1000;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Narrows a bracketed crossing down to the requested precision using bisection
+ * @param {Function} getValue - Function returning elevation minus target for a timestamp
+ * @param {number} start - Bracket start timestamp in milliseconds
+ * @param {number} end - Bracket end timestamp in milliseconds
+ * @param {number} precision - Target precision in milliseconds
+ * @returns {number} Timestamp of the crossing in milliseconds
+ */
+function bisectCrossing(getValue, start, end, precision) {
+  let low = start;
+  let high = end;
+  const lowAbove = getValue(low) >= 0;
+  
+  while (high - low > precision) {
+    const mid = (low + high) / 2;
+    
+    if ((getValue(mid) >= 0) === lowAbove) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  
+  return (low + high) / 2;
+}
+
+/**
+ * Locates a local extremum inside an interval using golden-section search
+ * @param {Function} getValue - Function returning elevation minus target for a timestamp
+ * @param {number} start - Interval start timestamp in milliseconds
+ * @param {number} end - Interval end timestamp in milliseconds
+ * @param {boolean} maximum - True to search for a maximum, false for a minimum
+ * @param {number} precision - Target precision in milliseconds
+ * @returns {number} Timestamp of the extremum in milliseconds
+ */
+function findExtremum(getValue, start, end, maximum, precision) {
+  const sign = maximum ? 1 : -1;
+  let low = start;
+  let high = end;
+  let left = high - GOLDEN_RATIO * (high - low);
+  let right = low + GOLDEN_RATIO * (high - low);
+  let leftValue = sign * getValue(left);
+  let rightValue = sign * getValue(right);
+  
+  while (high - low > precision) {
+    if (leftValue > rightValue) {
+      high = right;
+      right = left;
+      rightValue = leftValue;
+      left = high - GOLDEN_RATIO * (high - low);
+      leftValue = sign * getValue(left);
+    } else {
+      low = left;
+      left = right;
+      leftValue = rightValue;
+      right = low + GOLDEN_RATIO * (high - low);
+      rightValue = sign * getValue(right);
+    }
+  }
+  
+  return (low + high) / 2;
+}
+
+/**
+ * Resolves the sun position property matching an elevation mode
+ * @param {string} elevationMode - One of ELEVATION_MODES
+ * @returns {string} Property name on the calculateSunPosition result
+ */
+function getElevationKey(elevationMode = ELEVATION_MODES.TRUE) {
+  if (elevationMode === ELEVATION_MODES.TRUE) {
+    return 'elevation';
+  }
+  if (elevationMode === ELEVATION_MODES.APPARENT) {
+    return 'apparentElevation';
+  }
+  throw new Error('Invalid elevation mode provided');
+}
+
+/**
+ * Rounds a timestamp to the nearest second
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {Date} Date rounded to whole seconds
+ */
+function toSecondPrecision(timestamp) {
+  return new Date(Math.round(timestamp / 1000) * 1000);
+}
+
+/**
+ * Finds every crossing of a target elevation within a time window
+ * Samples the elevation function and refines each sign change, and also checks
+ * local extrema so that brief dips or peaks through the target are not missed
+ * @param {Function} getElevation - Function returning the elevation in degrees for a Date
+ * @param {Date} startTime - Start of the search window
+ * @param {Date} endTime - End of the search window
+ * @param {number} targetElevation - Target elevation in degrees
+ * @param {Object} options - Search options
+ * @param {number} options.stepMinutes - Sampling step in minutes (default: 10)
+ * @param {number} options.precision - Time precision in milliseconds (default: 1000)
+ * @returns {Array} Crossings sorted by time, each with time and direction
+ */
+export function findElevationCrossings(getElevation, startTime, endTime, targetElevation, options = {}) {
+  const { stepMinutes = DEFAULT_STEP_MINUTES, precision = DEFAULT_PRECISION_MS } = options;
+  
+  if (typeof getElevation !== 'function') {
+    throw new Error('Elevation function must be provided');
+  }
+  
+  if (!(startTime instanceof Date) || isNaN(startTime.getTime()) ||
+      !(endTime instanceof Date) || isNaN(endTime.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  if (endTime.getTime() <= startTime.getTime()) {
+    throw new Error('End time must be after start time');
+  }
+  
+  if (typeof targetElevation !== 'number' || isNaN(targetElevation)) {
+    throw new Error('Invalid elevation provided');
+  }
+  
+  if (stepMinutes <= 0 || precision <= 0) {
+    throw new Error('Step and precision must be positive');
+  }
+  
+  const getValue = timestamp => getElevation(new Date(timestamp)) - targetElevation;
+  const start = startTime.getTime();
+  const end = endTime.getTime();
+  const step = stepMinutes * 60000;
+  
+  // Sample the window, always including its end
+  const times = [];
+  for (let time = start; time < end; time += step) {
+    times.push(time);
+  }
+  times.push(end);
+  const values = times.map(getValue);
+  
+  const crossings = [];
+  const addCrossing = (low, high) => {
+    const time = bisectCrossing(getValue, low, high, precision);
+    crossings.push({
+      time: toSecondPrecision(time),
+      direction: getValue(high) > getValue(low) ? CROSSING_DIRECTIONS.RISING : CROSSING_DIRECTIONS.SETTING
+    });
+  };
+  
+  for (let i = 0; i < times.length - 1; i++) {
+    if ((values[i] >= 0) !== (values[i + 1] >= 0)) {
+      addCrossing(times[i], times[i + 1]);
+    }
+  }
+  
+  // A peak or dip between samples can cross the target twice without a sign change
+  for (let i = 1; i < times.length - 1; i++) {
+    const isMaximum = values[i] >= values[i - 1] && values[i] >= values[i + 1];
+    const isMinimum = values[i] <= values[i - 1] && values[i] <= values[i + 1];
+    const sameSide = (values[i - 1] >= 0) === (values[i] >= 0) && (values[i] >= 0) === (values[i + 1] >= 0);
+    
+    if (!sameSide || !(isMaximum || isMinimum) || (isMaximum && values[i] >= 0) || (isMinimum && values[i] < 0)) {
+      continue;
+    }
+    
+    const extremum = findExtremum(getValue, times[i - 1], times[i + 1], isMaximum, precision);
+    if ((getValue(extremum) >= 0) !== (values[i] >= 0)) {
+      addCrossing(times[i - 1], extremum);
+      addCrossing(extremum, times[i + 1]);
+    }
+  }
+  
+  return crossings.sort((a, b) => a.time.getTime() - b.time.getTime());
+}
+
+/**
+ * Gets the search window for a location's local calendar day
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date whose calendar day to use (time is ignored)
+ * @param {string} timezone - IANA timezone identifier, or undefined to use the longitude's nominal offset
+ * @returns {Object} Object with start and end dates
+ */
+export function getLocalDayWindow(longitude, date, timezone) {
+  if (timezone) {
+    return getLocalDayBounds(date, timezone);
+  }
+  
+  // Nominal offset of the 15° time zone the longitude falls in
+  const offsetMinutes = Math.round(longitude / 15) * 60;
+  const start = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - offsetMinutes * 60000;
+  
+  return {
+    start: new Date(start),
+    end: new Date(start + 24 * 60 * 60000)
+  };
+}
+
+/**
+ * Finds every time the sun crosses a target elevation during a location's local day
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date for calculation (its calendar day is searched)
+ * @param {number} targetElevation - Target elevation in degrees
+ * @param {Object} options - Calculation options
+ * @param {string} options.timezone - IANA timezone of the location (default: nominal offset from longitude)
+ * @param {string} options.elevationMode - One of ELEVATION_MODES (default: ELEVATION_MODES.TRUE)
+ * @param {number} options.pressure - Air pressure in millibars for apparent elevation
+ * @param {number} options.temperature - Air temperature in degrees Celsius for apparent elevation
+ * @param {number} options.stepMinutes - Sampling step in minutes (default: 10)
+ * @returns {Array} Crossings sorted by time, each with time, direction and elevation
+ */
+export function findSolarElevationEvents(latitude, longitude, date, targetElevation, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const { timezone, stepMinutes } = options;
+  const elevationKey = getElevationKey(options.elevationMode);
+  const normalizedDate = normalizeDate(date);
+  const { start, end } = getLocalDayWindow(longitude, normalizedDate, timezone);
+  
+  const getElevation = time => calculateSunPosition(latitude, longitude, time, options)[elevationKey];
+  
+  return findElevationCrossings(getElevation, start, end, targetElevation, { stepMinutes })
+    .map(crossing => ({
+      ...crossing,
+      elevation: targetElevation
+    }));
+}
@@ -66,7 +66,7 @@ export const getCurrentPosition = async (options = {}) => {
   return new Promise((resolve, reject) => {
     navigator.geolocation.getCurrentPosition(
       (position) => {
-        const { latitude, longitude, accuracy } = position.coords
+        const { latitude, longitude, accuracy, altitude = null } = position.coords
         
         // Validate coordinates
         if (!validateCoordinates(latitude, longitude)) {
@@ -83,6 +83,7 @@ export const getCurrentPosition = async (options = {}) => {
         resolve({
           latitude,
           longitude,
+          altitude,
           accuracy,
           accuracyLevel,
           timestamp: position.timestamp,
@@ -138,7 +139,7 @@ export const watchPosition = (callback, errorCallback, options = {}) => {
 
   return navigator.geolocation.watchPosition(
     (position) => {
-      const { latitude, longitude, accuracy } = position.coords
+      const { latitude, longitude, accuracy, altitude = null } = position.coords
       
       if (!validateCoordinates(latitude, longitude)) {
         errorCallback(new GeolocationError(
@@ -153,6 +154,7 @@ export const watchPosition = (callback, errorCallback, options = {}) => {
       callback({
         latitude,
         longitude,
+        altitude,
         accuracy,
         accuracyLevel,
         timestamp: position.timestamp,
@@ -201,9 +203,10 @@ export const clearWatch = (watchId) => {
  * Validates and normalizes manual location input
  * @param {string|number} latitude - Latitude input
  * @param {string|number} longitude - Longitude input
+ * @param {string|number|null} altitude - Optional altitude input in metres
  * @returns {Object} Validated location object
  */
-export const validateManualLocation = (latitude, longitude) => {
+export const validateManualLocation = (latitude, longitude, altitude = null) => {
   // Convert to numbers
   const lat = parseFloat(latitude)
   const lng = parseFloat(longitude)
@@ -224,9 +227,22 @@ export const validateManualLocation = (latitude, longitude) => {
     )
   }
 
+  // Validate optional altitude
+  let alt = null
+  if (altitude !== null && altitude !== undefined && altitude !== '') {
+    alt = parseFloat(altitude)
+    if (isNaN(alt)) {
+      throw new GeolocationError(
+        'Invalid altitude: altitude must be a valid number',
+        GEOLOCATION_ERRORS.INVALID_COORDINATES
+      )
+    }
+  }
+
   return {
     latitude: lat,
     longitude: lng,
+    altitude: alt,
     accuracy: null, // Manual input has no accuracy measurement
     accuracyLevel: 'manual',
     timestamp: Date.now(),
@@ -263,7 +279,7 @@ export const getLocationWithFallback = async (options = {}) => {
   // Try fallback location if provided
   if (fallbackLocation) {
     try {
-      return validateManualLocation(fallbackLocation.latitude, fallbackLocation.longitude)
+      return validateManualLocation(fallbackLocation.latitude, fallbackLocation.longitude, fallbackLocation.altitude)
     } catch (error) {
       console.warn('Fallback location invalid:', error.message)
     }
@@ -368,6 +384,26 @@ export const calculateDistance = (location1, location2) => {
   return R * c
 }
 
+/**
+ * Calculates the initial great-circle bearing from one location to another
+ * @param {Object} location1 - Starting location
+ * @param {Object} location2 - Destination location
+ * @returns {number} Bearing in degrees clockwise from true north (0-360)
+ */
+export const calculateBearing = (location1, location2) => {
+  const lat1Rad = location1.latitude * Math.PI / 180
+  const lat2Rad = location2.latitude * Math.PI / 180
+  const deltaLngRad = (location2.longitude - location1.longitude) * Math.PI / 180
+
+  const y = Math.sin(deltaLngRad) * Math.cos(lat2Rad)
+  const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) -
+    Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(deltaLngRad)
+
+  const bearing = Math.atan2(y, x) * 180 / Math.PI
+
+  return (bearing + 360) % 360
+}
+
 /**
  * Checks if a location has moved significantly
  * @param {Object} oldLocation - Previous location
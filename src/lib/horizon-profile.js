@@ -0,0 +1,230 @@
+/**
+ * Horizon Profile
+ * Parses terrain horizon profiles and finds when the sun clears the real horizon
+ */
+
+import { validateCoordinates, calculateSunPosition, normalizeDate } from './solar-calculator.js';
+import { findElevationCrossings, getLocalDayWindow, CROSSING_DIRECTIONS } from './elevation-events.js';
+
+/**
+ * Angular semidiameter of the sun in degrees, used to track the upper limb
+ */
+const SUN_SEMIDIAMETER = 0.266;
+
+const DEFAULT_STEP_MINUTES = 5;
+
+/**
+ * Validates a horizon profile
+ * @param {Array} profile - Samples with azimuth (0-360) and obstruction elevation (-90 to 90) in degrees
+ * @returns {boolean} True if profile is valid
+ */
+export function validateHorizonProfile(profile) {
+  if (!Array.isArray(profile) || profile.length === 0) {
+    return false;
+  }
+  
+  return profile.every(sample =>
+    sample !== null &&
+    typeof sample === 'object' &&
+    typeof sample.azimuth === 'number' &&
+    typeof sample.elevation === 'number' &&
+    !isNaN(sample.azimuth) &&
+    !isNaN(sample.elevation) &&
+    sample.azimuth >= 0 &&
+    sample.azimuth <= 360 &&
+    sample.elevation >= -90 &&
+    sample.elevation <= 90
+  );
+}
+
+/**
+ * Sorts samples by azimuth, folding 360° onto 0° and keeping the last value for duplicate azimuths
+ * @param {Array} samples - Samples with azimuth and elevation
+ * @returns {Array} Normalized profile
+ */
+function normalizeProfile(samples) {
+  const byAzimuth = new Map();
+  
+  samples.forEach(sample => {
+    byAzimuth.set(sample.azimuth % 360, sample.elevation);
+  });
+  
+  return Array.from(byAzimuth, ([azimuth, elevation]) => ({ azimuth, elevation }))
+    .sort((a, b) => a.azimuth - b.azimuth);
+}
+
+/**
+ * Converts a parsed JSON value to samples
+ * @param {*} data - Array of {azimuth, elevation} objects or [azimuth, elevation] pairs, or an object with a points array
+ * @returns {Array} Samples
+ */
+function samplesFromJSON(data) {
+  const points = Array.isArray(data) ? data : data && data.points;
+  
+  if (!Array.isArray(points)) {
+    throw new Error('Invalid horizon profile provided');
+  }
+  
+  return points.map(point => (Array.isArray(point)
+    ? { azimuth: Number(point[0]), elevation: Number(point[1]) }
+    : { azimuth: Number(point?.azimuth), elevation: Number(point?.elevation) }));
+}
+
+/**
+ * Converts CSV text to samples
+ * Each line holds an azimuth and an elevation separated by a comma, semicolon, tab or spaces;
+ * a header line and lines starting with # are ignored
+ * @param {string} text - CSV text
+ * @returns {Array} Samples
+ */
+function samplesFromCSV(text) {
+  const samples = [];
+  
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+    
+    const fields = trimmed.split(/\s*[,;\t]\s*|\s+/);
+    const azimuth = parseFloat(fields[0]);
+    const elevation = parseFloat(fields[1]);
+    
+    if (isNaN(azimuth) || isNaN(elevation) || fields.length < 2) {
+      // Allow a single header line at the top
+      if (samples.length === 0 && isNaN(azimuth)) {
+        return;
+      }
+      throw new Error(`Invalid horizon profile sample at line ${index + 1}`);
+    }
+    
+    samples.push({ azimuth, elevation });
+  });
+  
+  return samples;
+}
+
+/**
+ * Parses a horizon profile from CSV text, JSON text or an already parsed array
+ * @param {string|Array|Object} input - Profile data
+ * @returns {Array} Profile samples sorted by azimuth
+ */
+export function parseHorizonProfile(input) {
+  let samples;
+  
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (text.startsWith('[') || text.startsWith('{')) {
+      try {
+        samples = samplesFromJSON(JSON.parse(text));
+      } catch (error) {
+        throw new Error(`Invalid horizon profile provided: ${error.message}`);
+      }
+    } else {
+      samples = samplesFromCSV(text);
+    }
+  } else {
+    samples = samplesFromJSON(input);
+  }
+  
+  if (!validateHorizonProfile(samples)) {
+    throw new Error('Invalid horizon profile provided');
+  }
+  
+  return normalizeProfile(samples);
+}
+
+/**
+ * Gets the obstruction elevation in a given direction, interpolating between samples
+ * @param {Array} profile - Normalized profile from parseHorizonProfile
+ * @param {number} azimuth - Azimuth in degrees
+ * @returns {number} Obstruction elevation in degrees
+ */
+export function getHorizonElevation(profile, azimuth) {
+  if (profile.length === 1) {
+    return profile[0].elevation;
+  }
+  
+  const target = ((azimuth % 360) + 360) % 360;
+  const nextIndex = profile.findIndex(sample => sample.azimuth >= target);
+  
+  // Wrap around north between the last and first samples
+  const before = nextIndex <= 0 ? profile[profile.length - 1] : profile[nextIndex - 1];
+  const after = nextIndex === -1 ? profile[0] : profile[nextIndex];
+  
+  if (after.azimuth === target) {
+    return after.elevation;
+  }
+  
+  const span = ((after.azimuth - before.azimuth) + 360) % 360 || 360;
+  const offset = ((target - before.azimuth) + 360) % 360;
+  
+  return before.elevation + (after.elevation - before.elevation) * (offset / span);
+}
+
+/**
+ * Calculates how far the sun's upper limb stands above the obstruction in its direction
+ * @param {Object} sunPosition - Sun position with azimuth and apparentElevation, as from calculateSunPosition
+ * @param {Array} profile - Normalized profile from parseHorizonProfile
+ * @returns {number} Clearance in degrees (negative when the sun is hidden)
+ */
+export function getSunClearance(sunPosition, profile) {
+  return sunPosition.apparentElevation + SUN_SEMIDIAMETER - getHorizonElevation(profile, sunPosition.azimuth);
+}
+
+/**
+ * Calculates when the sun appears above and disappears behind a terrain horizon
+ * Tracks the sun's upper limb at its apparent (refracted) elevation, so a flat 0° profile
+ * gives the standard sunrise and sunset
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date for calculation (its calendar day is searched)
+ * @param {Array|string} horizonProfile - Profile samples, or CSV/JSON text
+ * @param {Object} options - Calculation options
+ * @param {string} options.timezone - IANA timezone of the location (default: nominal offset from longitude)
+ * @param {number} options.stepMinutes - Sampling step in minutes (default: 5)
+ * @param {number} options.pressure - Air pressure in millibars for refraction
+ * @param {number} options.temperature - Air temperature in degrees Celsius for refraction
+ * @returns {Object} First appearance, last disappearance, every visible period, and alwaysVisible/neverVisible flags
+ */
+export function calculateTerrainSunTimes(latitude, longitude, date, horizonProfile, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const profile = parseHorizonProfile(horizonProfile);
+  const normalizedDate = normalizeDate(date);
+  const { start, end } = getLocalDayWindow(longitude, normalizedDate, options.timezone);
+  const { stepMinutes = DEFAULT_STEP_MINUTES } = options;
+  
+  const getClearance = time => getSunClearance(calculateSunPosition(latitude, longitude, time, options), profile);
+  
+  const crossings = findElevationCrossings(getClearance, start, end, 0, { stepMinutes });
+  const visibleAtStart = getClearance(start) >= 0;
+  
+  // Pair crossings into visible periods, clipped to the day
+  const periods = [];
+  let periodStart = visibleAtStart ? start : null;
+  crossings.forEach(crossing => {
+    if (crossing.direction === CROSSING_DIRECTIONS.RISING) {
+      periodStart = crossing.time;
+    } else if (periodStart) {
+      periods.push({ start: periodStart, end: crossing.time });
+      periodStart = null;
+    }
+  });
+  if (periodStart) {
+    periods.push({ start: periodStart, end });
+  }
+  
+  const appearances = crossings.filter(crossing => crossing.direction === CROSSING_DIRECTIONS.RISING);
+  const disappearances = crossings.filter(crossing => crossing.direction === CROSSING_DIRECTIONS.SETTING);
+  
+  return {
+    sunAppears: appearances.length > 0 ? appearances[0].time : null,
+    sunDisappears: disappearances.length > 0 ? disappearances[disappearances.length - 1].time : null,
+    periods,
+    alwaysVisible: crossings.length === 0 && visibleAtStart,
+    neverVisible: crossings.length === 0 && !visibleAtStart
+  };
+}
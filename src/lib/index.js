@@ -6,18 +6,35 @@
 // Solar Calculator exports
 export {
   validateCoordinates,
+  calculateAtmosphericRefraction,
+  calculateSolarLongitude,
+  calculateEquationOfTime,
+  calculateSolarDeclination,
   calculateSunPosition,
+  calculateSunPositionBatch,
+  calculateHorizonDip,
   calculateSunrise,
   calculateSunset,
   calculateSolarNoon,
-  normalizeDate
+  getSunCondition,
+  normalizeDate,
+  SUN_CONDITIONS,
+  PRECISION_MODES
 } from './solar-calculator.js';
 
+// Solar Position Algorithm exports
+export {
+  calculateSpaPosition,
+  estimateDeltaT
+} from './spa.js';
+
 // Sun Times exports
 export {
   calculateGoldenHour,
   calculateBlueHour,
   calculateTwilightPeriods,
+  calculateDayLength,
+  calculateElevationBands,
   generateSunPath,
   calculateSunTimes,
   generateVisibleSunPath,
@@ -25,14 +42,174 @@ export {
   getDayNightStatus
 } from './sun-times.js';
 
+// Lunar Calculator exports
+export {
+  calculateMoonCoordinates,
+  calculateMoonPosition,
+  calculateMoonIllumination,
+  calculateMoonTimes,
+  getMoonPhaseName,
+  MOON_PHASES
+} from './lunar-calculator.js';
+
+// Star Calculator exports
+export {
+  calculateGreenwichSiderealTime,
+  calculateLocalSiderealTime,
+  precessCoordinates,
+  calculateStarPosition,
+  calculateStarTimes,
+  planMilkyWayVisibility,
+  GALACTIC_CENTER
+} from './star-calculator.js';
+
+// Elevation Event Finder exports
+export {
+  ELEVATION_MODES,
+  CROSSING_DIRECTIONS,
+  findElevationCrossings,
+  findSolarElevationEvents
+} from './elevation-events.js';
+
+// Elevation Band Preset exports
+export {
+  DEFAULT_ELEVATION_BANDS,
+  DEFAULT_PRESET_NAME,
+  validateElevationBand,
+  registerElevationPreset,
+  unregisterElevationPreset,
+  getElevationPreset,
+  listElevationPresets,
+  serializeElevationPresets,
+  loadElevationPresets,
+  resolveElevationBands
+} from './elevation-bands.js';
+
+// Seasons exports
+export {
+  calculateSeasonalMarkers,
+  calculateSeasonalMarkersForLocation,
+  SEASONAL_MARKERS
+} from './seasons.js';
+
+// Sun Alignment Finder exports
+export {
+  findSunAlignments,
+  ALIGNMENT_EVENTS
+} from './alignment-finder.js';
+
+// Horizon Profile exports
+export {
+  validateHorizonProfile,
+  parseHorizonProfile,
+  getHorizonElevation,
+  getSunClearance,
+  calculateTerrainSunTimes
+} from './horizon-profile.js';
+
+// Shadow Calculator exports
+export {
+  calculateShadowLength,
+  calculateShadowDirection,
+  calculateShadow,
+  getShadowEndpoint,
+  generateShadowPath,
+  toMetres,
+  fromMetres,
+  SHADOW_UNITS
+} from './shadow-calculator.js';
+
+// Building Shadow exports
+export {
+  calculateBuildingShadows,
+  calculateShadowSweep,
+  parseBuildingFootprints
+} from './building-shadows.js';
+
+// Sun Exposure exports
+export {
+  calculateSunExposure,
+  buildingsToHorizonProfile
+} from './sun-exposure.js';
+
+// Clear-Sky Irradiance exports
+export {
+  calculateExtraterrestrialIrradiance,
+  calculateAirMass,
+  calculateIrradiance,
+  calculateClearSkyIrradiance,
+  generateIrradianceSeries,
+  SOLAR_CONSTANT
+} from './irradiance.js';
+
+// Solar Panel exports
+export {
+  validatePanelOrientation,
+  calculateAngleOfIncidence,
+  calculatePlaneOfArrayIrradiance,
+  calculatePanelSeries,
+  findOptimalOrientation
+} from './solar-panel.js';
+
+// Annual Daylight exports
+export {
+  calculateAnnualDaylight,
+  generateElevationHeatmap
+} from './annual-daylight.js';
+
+// Analemma exports
+export {
+  generateAnalemma
+} from './analemma.js';
+
+// Solar Worker exports
+export {
+  createSolarWorkerClient,
+  runSolarComputation,
+  isWorkerSupported
+} from './solar-worker-client.js';
+
+export {
+  runSolarTask,
+  SOLAR_TASKS,
+  SolarComputationError,
+  SOLAR_COMPUTATION_ERRORS
+} from './solar-tasks.js';
+
+// Time Formatter exports
+export {
+  formatTime,
+  formatTimeRange,
+  formatDuration,
+  formatCountdown,
+  normalizeTimeFormat,
+  getViewerTimezone,
+  HOUR_CYCLES,
+  DISPLAY_ZONES,
+  DEFAULT_TIME_FORMAT
+} from './time-formatter.js';
+
 // Timezone Handler exports
 export {
   getTimezoneForCoordinates,
+  getTimezoneForCoordinatesSync,
   convertUTCToTimezone,
   convertTimezoneToUTC,
   isDSTActive,
+  getLocalDayBounds,
   getTimezoneInfo,
-  convertSunTimesToTimezone
+  getDSTTransitions,
+  createZonedDateTime,
+  isZonedDateTime,
+  formatUTCOffset,
+  toZonedISOString,
+  formatZonedTime,
+  formatZonedDate,
+  convertPeriodToTimezone,
+  convertSunTimesToTimezone,
+  TimezoneError,
+  TIMEZONE_ERRORS,
+  DST_DISAMBIGUATION
 } from './timezone-handler.js';
 
 // Geolocation Service exports
@@ -47,6 +224,7 @@ export {
   getAccuracyLevel,
   formatLocationForDisplay,
   calculateDistance,
+  calculateBearing,
   hasLocationChanged,
   getCachedLocation,
   cacheLocation,
@@ -0,0 +1,162 @@
+/**
+ * Clear-Sky Irradiance
+ * Estimates global horizontal, direct normal and diffuse irradiance with the Ineichen-Perez model
+ */
+
+import { validateCoordinates, calculateSunPosition, calculateAtmosphericRefraction, toRadians } from './solar-calculator.js';
+import { generateSunPath } from './sun-times.js';
+
+/**
+ * Mean total solar irradiance at 1 AU in W/m²
+ */
+export const SOLAR_CONSTANT = 1361;
+
+const DEFAULT_LINKE_TURBIDITY = 3;
+const SEA_LEVEL_PRESSURE = 101325; // pascals
+
+/**
+ * Calculates extraterrestrial irradiance normal to the sun's rays
+ * @param {number} distance - Earth-sun distance in AU, as from calculateSunPosition
+ * @returns {number} Irradiance in W/m²
+ */
+export function calculateExtraterrestrialIrradiance(distance) {
+  if (typeof distance !== 'number' || isNaN(distance) || distance <= 0) {
+    throw new Error('Invalid distance provided');
+  }
+  
+  return SOLAR_CONSTANT / (distance * distance);
+}
+
+/**
+ * Calculates relative optical air mass (Kasten and Young, 1989)
+ * @param {number} zenith - Apparent solar zenith angle in degrees
+ * @returns {number|null} Relative air mass, or null when the sun is below the horizon
+ */
+export function calculateAirMass(zenith) {
+  if (typeof zenith !== 'number' || isNaN(zenith)) {
+    throw new Error('Invalid zenith angle provided');
+  }
+  
+  if (zenith >= 90) {
+    return null;
+  }
+  
+  return 1 / (Math.cos(toRadians(zenith)) + 0.50572 * Math.pow(96.07995 - zenith, -1.6364));
+}
+
+/**
+ * Estimates air pressure from site altitude with the standard atmosphere
+ * @param {number} altitude - Altitude in metres above sea level
+ * @returns {number} Pressure in pascals
+ */
+function getPressureAtAltitude(altitude) {
+  return SEA_LEVEL_PRESSURE * Math.pow(1 - 2.25577e-5 * altitude, 5.25588);
+}
+
+/**
+ * Calculates clear-sky irradiance for a sun position (Ineichen and Perez, 2002)
+ * @param {Object} sunPosition - Sun position with elevation and distance, and optionally apparentElevation
+ * @param {Object} options - Model options
+ * @param {number} options.altitude - Site altitude in metres above sea level (default: 0)
+ * @param {number} options.linkeTurbidity - Linke turbidity factor (default: 3)
+ * @param {number} options.pressure - Site air pressure in millibars (default: derived from altitude)
+ * @returns {Object} ghi, dni and dhi in W/m², with extraterrestrial irradiance, zenith and absolute air mass
+ */
+export function calculateIrradiance(sunPosition, options = {}) {
+  if (!sunPosition || typeof sunPosition.elevation !== 'number' || isNaN(sunPosition.elevation)) {
+    throw new Error('Invalid sun position provided');
+  }
+  
+  const { altitude = 0, linkeTurbidity = DEFAULT_LINKE_TURBIDITY } = options;
+  
+  if (typeof altitude !== 'number' || isNaN(altitude) || altitude < -500 || altitude > 9000) {
+    throw new Error('Altitude must be between -500 and 9000 metres');
+  }
+  
+  if (typeof linkeTurbidity !== 'number' || isNaN(linkeTurbidity) || linkeTurbidity < 1 || linkeTurbidity > 10) {
+    throw new Error('Linke turbidity must be between 1 and 10');
+  }
+  
+  const elevation = typeof sunPosition.apparentElevation === 'number' ? sunPosition.apparentElevation : sunPosition.elevation;
+  const zenith = 90 - elevation;
+  const extraterrestrial = calculateExtraterrestrialIrradiance(sunPosition.distance);
+  const relativeAirMass = calculateAirMass(zenith);
+  
+  if (relativeAirMass === null) {
+    return { ghi: 0, dni: 0, dhi: 0, extraterrestrial, zenith, airMass: null };
+  }
+  
+  const pressure = typeof options.pressure === 'number' ? options.pressure * 100 : getPressureAtAltitude(altitude);
+  const airMass = relativeAirMass * pressure / SEA_LEVEL_PRESSURE;
+  const cosZenith = Math.cos(toRadians(zenith));
+  
+  // Altitude corrections of the model coefficients
+  const fh1 = Math.exp(-altitude / 8000);
+  const fh2 = Math.exp(-altitude / 1250);
+  const cg1 = 5.09e-5 * altitude + 0.868;
+  const cg2 = 3.92e-5 * altitude + 0.0387;
+  
+  const ghi = cg1 * extraterrestrial * cosZenith *
+    Math.exp(-cg2 * airMass * (fh1 + fh2 * (linkeTurbidity - 1)));
+  
+  // Beam irradiance, limited so it never exceeds what the global irradiance allows
+  const b = 0.664 + 0.163 / fh1;
+  const beam = b * extraterrestrial * Math.exp(-0.09 * airMass * (linkeTurbidity - 1));
+  const beamLimit = ghi * (1 - (0.1 - 0.2 * Math.exp(-linkeTurbidity)) / (0.1 + 0.882 / fh1)) / cosZenith;
+  const dni = Math.max(0, Math.min(beam, beamLimit));
+  
+  return {
+    ghi,
+    dni,
+    dhi: Math.max(0, ghi - dni * cosZenith),
+    extraterrestrial,
+    zenith,
+    airMass
+  };
+}
+
+/**
+ * Calculates clear-sky irradiance at a location and instant
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date and time for calculation
+ * @param {Object} options - Model options, as for calculateIrradiance
+ * @param {number} options.temperature - Air temperature in degrees Celsius for refraction
+ * @returns {Object} ghi, dni and dhi in W/m², with extraterrestrial irradiance, zenith and absolute air mass
+ */
+export function calculateClearSkyIrradiance(latitude, longitude, date, options = {}) {
+  return calculateIrradiance(calculateSunPosition(latitude, longitude, date, options), options);
+}
+
+/**
+ * Generates clear-sky irradiance through a day, with daily totals
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date for calculation
+ * @param {Object} options - Model options, as for calculateIrradiance
+ * @param {number} options.intervalMinutes - Time interval between points in minutes (default: 15)
+ * @param {string} options.timezone - IANA timezone whose calendar day is covered (default: looked up from the coordinates)
+ * @returns {Object} Points with time, ghi, dni and dhi in W/m², and daily totals in Wh/m²
+ */
+export function generateIrradianceSeries(latitude, longitude, date, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const { intervalMinutes = 15 } = options;
+  const points = generateSunPath(latitude, longitude, date, intervalMinutes, { timezone: options.timezone }).map(point => {
+    const apparentElevation = point.elevation + calculateAtmosphericRefraction(point.elevation, options);
+    const { ghi, dni, dhi } = calculateIrradiance({ ...point, apparentElevation }, options);
+    
+    return { time: point.time, ghi, dni, dhi };
+  });
+  
+  const hours = intervalMinutes / 60;
+  const totals = points.reduce((sum, point) => ({
+    ghi: sum.ghi + point.ghi * hours,
+    dni: sum.dni + point.dni * hours,
+    dhi: sum.dhi + point.dhi * hours
+  }), { ghi: 0, dni: 0, dhi: 0 });
+  
+  return { points, totals };
+}
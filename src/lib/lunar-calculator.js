@@ -0,0 +1,377 @@
+/**
+ * Lunar Calculator
+ * Calculates moon position, illumination, phase, and moonrise/moonset/transit times
+ * Uses the principal terms of the lunar theory in Meeus, Astronomical Algorithms (ch. 47-48)
+ */
+
+import {
+  validateCoordinates,
+  calculateAtmosphericRefraction,
+  normalizeDate,
+  toRadians,
+  toDegrees,
+  getJulianDay
+} from './solar-calculator.js';
+import { findElevationCrossings, getLocalDayWindow, CROSSING_DIRECTIONS } from './elevation-events.js';
+import { calculateGreenwichSiderealTime } from './star-calculator.js';
+
+/**
+ * Moon phase names, in order through the synodic month
+ */
+export const MOON_PHASES = {
+  NEW_MOON: 'new_moon',
+  WAXING_CRESCENT: 'waxing_crescent',
+  FIRST_QUARTER: 'first_quarter',
+  WAXING_GIBBOUS: 'waxing_gibbous',
+  FULL_MOON: 'full_moon',
+  WANING_GIBBOUS: 'waning_gibbous',
+  LAST_QUARTER: 'last_quarter',
+  WANING_CRESCENT: 'waning_crescent'
+};
+
+const PHASE_SEQUENCE = [
+  MOON_PHASES.NEW_MOON,
+  MOON_PHASES.WAXING_CRESCENT,
+  MOON_PHASES.FIRST_QUARTER,
+  MOON_PHASES.WAXING_GIBBOUS,
+  MOON_PHASES.FULL_MOON,
+  MOON_PHASES.WANING_GIBBOUS,
+  MOON_PHASES.LAST_QUARTER,
+  MOON_PHASES.WANING_CRESCENT
+];
+
+const EARTH_RADIUS_KM = 6378.14;
+const MOON_RADIUS_KM = 1737.4;
+const ASTRONOMICAL_UNIT_KM = 149597870.7;
+const HORIZON_REFRACTION = 0.5667; // degrees of refraction at the horizon (34')
+
+/**
+ * Periodic terms for the moon's longitude (1e-6 degrees) and distance (1e-3 km)
+ * Columns: D, M, M', F, longitude coefficient, distance coefficient
+ */
+const LONGITUDE_DISTANCE_TERMS = [
+  [0, 0, 1, 0, 6288774, -20905355],
+  [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],
+  [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],
+  [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],
+  [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755],
+  [2, 0, 0, -2, 15327, 10321],
+  [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661],
+  [4, 0, -1, 0, 10675, -34782],
+  [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636],
+  [2, 1, -1, 0, -7888, 24208],
+  [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379],
+  [1, 1, 0, 0, 4987, -16675],
+  [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445],
+  [4, 0, 0, 0, 3861, -11650],
+  [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003],
+  [2, 0, -1, 2, -2602, 0],
+  [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322],
+  [2, -2, 0, 0, 2236, -9884]
+];
+
+/**
+ * Periodic terms for the moon's latitude (1e-6 degrees)
+ * Columns: D, M, M', F, latitude coefficient
+ */
+const LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5128122],
+  [0, 0, 1, 1, 280602],
+  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413],
+  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],
+  [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822],
+  [2, -1, 0, -1, 8216],
+  [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200],
+  [2, 1, 0, -1, -3359],
+  [2, -1, -1, 1, 2463],
+  [2, -1, 0, 1, 2211],
+  [2, -1, -1, -1, 2065],
+  [0, 1, -1, -1, -1870],
+  [4, 0, -1, -1, 1828],
+  [0, 1, 0, 1, -1794]
+];
+
+/**
+ * Normalizes an angle to the range [0, 360)
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Normalized angle in degrees
+ */
+function normalizeAngle(degrees) {
+  const angle = degrees % 360;
+  return angle < 0 ? angle + 360 : angle;
+}
+
+/**
+ * Validates a date argument
+ * @param {Date} date - Date to validate
+ */
+function assertValidDate(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+}
+
+/**
+ * Calculates the moon's mean arguments for a Julian Day
+ * @param {number} julianDay - Julian Day Number
+ * @returns {Object} Mean longitude and the D, M, M', F arguments in degrees, plus the eccentricity factor
+ */
+function getLunarArguments(julianDay) {
+  const T = (julianDay - 2451545.0) / 36525;
+  
+  return {
+    T,
+    meanLongitude: normalizeAngle(218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T * T * T / 538841),
+    elongation: normalizeAngle(297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T * T * T / 545868),
+    sunAnomaly: normalizeAngle(357.5291092 + 35999.0502909 * T - 0.0001536 * T * T),
+    moonAnomaly: normalizeAngle(134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T * T * T / 69699),
+    argumentOfLatitude: normalizeAngle(93.2720950 + 483202.0175233 * T - 0.0036539 * T * T),
+    eccentricity: 1 - 0.002516 * T - 0.0000074 * T * T
+  };
+}
+
+/**
+ * Sums the periodic terms of a lunar series
+ * @param {Array} terms - Rows of D, M, M', F multipliers followed by coefficients
+ * @param {number} column - Coefficient column to sum
+ * @param {Object} args - Lunar arguments from getLunarArguments
+ * @param {Function} trig - Math.sin or Math.cos
+ * @returns {number} Sum of the series
+ */
+function sumTerms(terms, column, args, trig) {
+  return terms.reduce((sum, term) => {
+    const [d, m, mPrime, f] = term;
+    const argument = toRadians(d * args.elongation + m * args.sunAnomaly + mPrime * args.moonAnomaly + f * args.argumentOfLatitude);
+    const eccentricityFactor = Math.pow(args.eccentricity, Math.abs(m));
+    return sum + term[column] * eccentricityFactor * trig(argument);
+  }, 0);
+}
+
+/**
+ * Calculates the sun's geocentric ecliptic longitude and distance
+ * @param {number} T - Julian centuries since J2000.0
+ * @returns {Object} Longitude in degrees and distance in kilometers
+ */
+function getSunEclipticPosition(T) {
+  const meanLongitude = 280.46646 + 36000.76983 * T;
+  const anomaly = toRadians(357.52911 + 35999.05029 * T);
+  const center = (1.914602 - 0.004817 * T) * Math.sin(anomaly) +
+    (0.019993 - 0.000101 * T) * Math.sin(2 * anomaly) +
+    0.000289 * Math.sin(3 * anomaly);
+  const distance = 1.00014 - 0.01671 * Math.cos(anomaly) - 0.00014 * Math.cos(2 * anomaly);
+  
+  return {
+    longitude: normalizeAngle(meanLongitude + center),
+    distance: distance * ASTRONOMICAL_UNIT_KM
+  };
+}
+
+/**
+ * Calculates the moon's geocentric coordinates
+ * @param {Date} date - Date and time for calculation
+ * @returns {Object} Ecliptic longitude and latitude, right ascension and declination in degrees, and distance in kilometers
+ */
+export function calculateMoonCoordinates(date) {
+  assertValidDate(date);
+  
+  const julianDay = getJulianDay(date);
+  const args = getLunarArguments(julianDay);
+  const { T, meanLongitude, moonAnomaly, argumentOfLatitude } = args;
+  
+  // Additive terms for the action of Venus, Jupiter and the Earth's flattening
+  const a1 = toRadians(119.75 + 131.849 * T);
+  const a2 = toRadians(53.09 + 479264.290 * T);
+  const a3 = toRadians(313.45 + 481266.484 * T);
+  const lRad = toRadians(meanLongitude);
+  const fRad = toRadians(argumentOfLatitude);
+  const mPrimeRad = toRadians(moonAnomaly);
+  
+  const sumLongitude = sumTerms(LONGITUDE_DISTANCE_TERMS, 4, args, Math.sin) +
+    3958 * Math.sin(a1) + 1962 * Math.sin(lRad - fRad) + 318 * Math.sin(a2);
+  const sumDistance = sumTerms(LONGITUDE_DISTANCE_TERMS, 5, args, Math.cos);
+  const sumLatitude = sumTerms(LATITUDE_TERMS, 4, args, Math.sin) -
+    2235 * Math.sin(lRad) + 382 * Math.sin(a3) + 175 * Math.sin(a1 - fRad) +
+    175 * Math.sin(a1 + fRad) + 127 * Math.sin(lRad - mPrimeRad) - 115 * Math.sin(lRad + mPrimeRad);
+  
+  const longitude = normalizeAngle(meanLongitude + sumLongitude / 1000000);
+  const latitude = sumLatitude / 1000000;
+  const distance = 385000.56 + sumDistance / 1000;
+  
+  // Convert ecliptic to equatorial coordinates using the mean obliquity
+  const obliquity = toRadians(23.4392911 - 0.0130042 * T);
+  const lambda = toRadians(longitude);
+  const beta = toRadians(latitude);
+  const rightAscension = normalizeAngle(toDegrees(Math.atan2(
+    Math.sin(lambda) * Math.cos(obliquity) - Math.tan(beta) * Math.sin(obliquity),
+    Math.cos(lambda)
+  )));
+  const declination = toDegrees(Math.asin(
+    Math.sin(beta) * Math.cos(obliquity) + Math.cos(beta) * Math.sin(obliquity) * Math.sin(lambda)
+  ));
+  
+  return {
+    longitude,
+    latitude,
+    rightAscension,
+    declination,
+    distance
+  };
+}
+
+/**
+ * Calculates moon position for given coordinates and time
+ * Elevation is topocentric, corrected for the moon's parallax as seen from the Earth's surface
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date and time for calculation
+ * @param {Object} options - Atmospheric conditions for apparent elevation (see calculateAtmosphericRefraction)
+ * @returns {Object} Moon position with azimuth, true and apparent elevation, distance in kilometers, and parallax in degrees
+ */
+export function calculateMoonPosition(latitude, longitude, date, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  assertValidDate(date);
+  
+  const moon = calculateMoonCoordinates(date);
+  const hourAngle = toRadians(calculateGreenwichSiderealTime(date) + longitude - moon.rightAscension);
+  const latRad = toRadians(latitude);
+  const declRad = toRadians(moon.declination);
+  
+  const geocentricElevation = toDegrees(Math.asin(
+    Math.sin(latRad) * Math.sin(declRad) + Math.cos(latRad) * Math.cos(declRad) * Math.cos(hourAngle)
+  ));
+  
+  let azimuth = toDegrees(Math.atan2(
+    Math.sin(hourAngle),
+    Math.cos(hourAngle) * Math.sin(latRad) - Math.tan(declRad) * Math.cos(latRad)
+  )) + 180;
+  if (azimuth >= 360) azimuth -= 360;
+  
+  // Parallax lowers the moon by up to about a degree near the horizon
+  const parallax = toDegrees(Math.asin(EARTH_RADIUS_KM / moon.distance));
+  const elevation = geocentricElevation - parallax * Math.cos(toRadians(geocentricElevation));
+  const apparentElevation = elevation + calculateAtmosphericRefraction(elevation, options);
+  
+  return {
+    azimuth,
+    elevation,
+    apparentElevation,
+    distance: moon.distance,
+    parallax
+  };
+}
+
+/**
+ * Gets the phase name for a position in the synodic month
+ * @param {number} phase - Fraction of the synodic month (0 = new, 0.5 = full)
+ * @returns {string} One of MOON_PHASES
+ */
+export function getMoonPhaseName(phase) {
+  if (typeof phase !== 'number' || isNaN(phase)) {
+    throw new Error('Invalid phase provided');
+  }
+  
+  // Each name covers an eighth of the cycle centred on its principal phase
+  const normalized = ((phase % 1) + 1) % 1;
+  return PHASE_SEQUENCE[Math.round(normalized * 8) % 8];
+}
+
+/**
+ * Calculates the moon's illumination and phase
+ * @param {Date} date - Date and time for calculation
+ * @returns {Object} Illuminated fraction, phase (0-1 through the synodic month), phase angle in degrees, phase name, and waxing flag
+ */
+export function calculateMoonIllumination(date) {
+  assertValidDate(date);
+  
+  const moon = calculateMoonCoordinates(date);
+  const T = (getJulianDay(date) - 2451545.0) / 36525;
+  const sun = getSunEclipticPosition(T);
+  
+  // Elongation of the moon from the sun, measured eastward along the ecliptic
+  const elongation = normalizeAngle(moon.longitude - sun.longitude);
+  const psi = Math.acos(Math.cos(toRadians(moon.latitude)) * Math.cos(toRadians(elongation)));
+  const phaseAngle = toDegrees(Math.atan2(
+    sun.distance * Math.sin(psi),
+    moon.distance - sun.distance * Math.cos(psi)
+  ));
+  const phase = elongation / 360;
+  
+  return {
+    fraction: (1 + Math.cos(toRadians(phaseAngle))) / 2,
+    phase,
+    phaseAngle,
+    phaseName: getMoonPhaseName(phase),
+    waxing: elongation < 180
+  };
+}
+
+/**
+ * Calculates moonrise, moonset and transit for a location's local day
+ * Rise and set refer to the upper limb touching the refracted horizon
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date for calculation (its calendar day is searched)
+ * @param {Object} options - Calculation options
+ * @param {string} options.timezone - IANA timezone of the location (default: nominal offset from longitude)
+ * @returns {Object} Rise, set and transit times (null when they do not occur that day), transit elevation, and alwaysUp/alwaysDown flags
+ */
+export function calculateMoonTimes(latitude, longitude, date, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const normalizedDate = normalizeDate(date);
+  const { start, end } = getLocalDayWindow(longitude, normalizedDate, options.timezone);
+  
+  // Track the upper limb: centre elevation plus the moon's angular semidiameter
+  const getLimbElevation = time => {
+    const position = calculateMoonPosition(latitude, longitude, time);
+    return position.elevation + toDegrees(Math.asin(MOON_RADIUS_KM / position.distance));
+  };
+  const crossings = findElevationCrossings(getLimbElevation, start, end, -HORIZON_REFRACTION);
+  const rise = crossings.find(crossing => crossing.direction === CROSSING_DIRECTIONS.RISING);
+  const set = crossings.find(crossing => crossing.direction === CROSSING_DIRECTIONS.SETTING);
+  
+  // Upper transit is where the local hour angle passes through zero
+  const getHourAngle = time => {
+    const moon = calculateMoonCoordinates(time);
+    const hourAngle = normalizeAngle(calculateGreenwichSiderealTime(time) + longitude - moon.rightAscension);
+    return hourAngle > 180 ? hourAngle - 360 : hourAngle;
+  };
+  const transit = findElevationCrossings(getHourAngle, start, end, 0)
+    .find(crossing => crossing.direction === CROSSING_DIRECTIONS.RISING);
+  
+  const aboveHorizon = getLimbElevation(start) > -HORIZON_REFRACTION;
+  
+  return {
+    rise: rise ? rise.time : null,
+    set: set ? set.time : null,
+    transit: transit ? transit.time : null,
+    transitElevation: transit ? calculateMoonPosition(latitude, longitude, transit.time).elevation : null,
+    alwaysUp: crossings.length === 0 && aboveHorizon,
+    alwaysDown: crossings.length === 0 && !aboveHorizon
+  };
+}
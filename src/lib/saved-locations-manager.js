@@ -4,6 +4,7 @@
  */
 
 import { savedLocationsService } from './database-service.js'
+import { parseHorizonProfile } from './horizon-profile.js'
 import { getCurrentUser } from './supabase.js'
 
 const STORAGE_KEY = 'sun_tracker_saved_locations'
@@ -118,9 +119,10 @@ class SavedLocationsManager {
    * @param {string} name - Location name
    * @param {number} latitude - Latitude coordinate
    * @param {number} longitude - Longitude coordinate
+   * @param {Array|string} horizonProfile - Optional terrain horizon profile (samples or CSV/JSON text)
    * @returns {Promise<Object>} The created location
    */
-  async create(name, latitude, longitude) {
+  async create(name, latitude, longitude, horizonProfile = null) {
     const user = await getCurrentUser()
     
     if (!user) {
@@ -135,6 +137,11 @@ class SavedLocationsManager {
       throw new Error('Longitude must be between -180 and 180 degrees')
     }
 
+    // Normalize the horizon profile so the cached copy matches the server
+    const profile = horizonProfile !== undefined && horizonProfile !== null
+      ? parseHorizonProfile(horizonProfile)
+      : null
+
     // Try to save to server if online
     const isOnline = typeof navigator !== 'undefined' ? navigator.onLine : true
     
@@ -144,6 +151,7 @@ class SavedLocationsManager {
       name: name.trim(),
       latitude: parseFloat(latitude),
       longitude: parseFloat(longitude),
+      horizon_profile: profile,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
       _pending: !isOnline // Mark as pending if offline
@@ -151,7 +159,7 @@ class SavedLocationsManager {
 
     if (isOnline) {
       try {
-        const serverLocation = await savedLocationsService.create(name, latitude, longitude)
+        const serverLocation = await savedLocationsService.create(name, latitude, longitude, profile)
         
         // Update cache with server response
         const cachedLocations = this.getCachedLocations()
@@ -194,6 +202,11 @@ class SavedLocationsManager {
       throw new Error('Longitude must be between -180 and 180 degrees')
     }
 
+    // Normalize the horizon profile so the cached copy matches the server; null clears it
+    if (updates.horizon_profile !== undefined && updates.horizon_profile !== null) {
+      updates = { ...updates, horizon_profile: parseHorizonProfile(updates.horizon_profile) }
+    }
+
     // Try to update on server if online
     const isOnline = typeof navigator !== 'undefined' ? navigator.onLine : true
     if (isOnline) {
@@ -303,7 +316,8 @@ class SavedLocationsManager {
             await savedLocationsService.create(
               location.name,
               location.latitude,
-              location.longitude
+              location.longitude,
+              location.horizon_profile ?? null
             )
           } else {
             // Update on server
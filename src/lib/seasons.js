@@ -0,0 +1,139 @@
+/**
+ * Seasons Calculator
+ * Finds solstices, equinoxes and cross-quarter days from the solar declination model
+ */
+
+import {
+  validateCoordinates,
+  calculateSolarLongitude,
+  calculateSolarNoon,
+  calculateSunPosition,
+  normalizeDate
+} from './solar-calculator.js';
+import { calculateDayLength } from './sun-times.js';
+import { findElevationCrossings, CROSSING_DIRECTIONS } from './elevation-events.js';
+import { createZonedDateTime, getTimezoneForCoordinatesSync } from './timezone-handler.js';
+
+/**
+ * Seasonal markers, named by the month they fall in
+ */
+export const SEASONAL_MARKERS = {
+  MARCH_EQUINOX: 'march_equinox',
+  MAY_CROSS_QUARTER: 'may_cross_quarter',
+  JUNE_SOLSTICE: 'june_solstice',
+  AUGUST_CROSS_QUARTER: 'august_cross_quarter',
+  SEPTEMBER_EQUINOX: 'september_equinox',
+  NOVEMBER_CROSS_QUARTER: 'november_cross_quarter',
+  DECEMBER_SOLSTICE: 'december_solstice',
+  FEBRUARY_CROSS_QUARTER: 'february_cross_quarter'
+};
+
+/**
+ * Solar longitude and approximate calendar date of each marker
+ */
+const MARKER_DEFINITIONS = [
+  { marker: SEASONAL_MARKERS.FEBRUARY_CROSS_QUARTER, solarLongitude: 315, month: 1, day: 4, crossQuarter: true },
+  { marker: SEASONAL_MARKERS.MARCH_EQUINOX, solarLongitude: 0, month: 2, day: 20, crossQuarter: false },
+  { marker: SEASONAL_MARKERS.MAY_CROSS_QUARTER, solarLongitude: 45, month: 4, day: 5, crossQuarter: true },
+  { marker: SEASONAL_MARKERS.JUNE_SOLSTICE, solarLongitude: 90, month: 5, day: 21, crossQuarter: false },
+  { marker: SEASONAL_MARKERS.AUGUST_CROSS_QUARTER, solarLongitude: 135, month: 7, day: 7, crossQuarter: true },
+  { marker: SEASONAL_MARKERS.SEPTEMBER_EQUINOX, solarLongitude: 180, month: 8, day: 22, crossQuarter: false },
+  { marker: SEASONAL_MARKERS.NOVEMBER_CROSS_QUARTER, solarLongitude: 225, month: 10, day: 7, crossQuarter: true },
+  { marker: SEASONAL_MARKERS.DECEMBER_SOLSTICE, solarLongitude: 270, month: 11, day: 21, crossQuarter: false }
+];
+
+const SEARCH_WINDOW_DAYS = 5;
+const SEARCH_STEP_MINUTES = 360;
+
+/**
+ * Finds the instant the sun reaches a given ecliptic longitude near an approximate date
+ * @param {number} solarLongitude - Target ecliptic longitude in degrees
+ * @param {Date} approximateDate - Date within a few days of the event
+ * @returns {Date|null} Instant of the event to the nearest second
+ */
+function findSolarLongitudeTime(solarLongitude, approximateDate) {
+  const windowMs = SEARCH_WINDOW_DAYS * 24 * 60 * 60000;
+  const start = new Date(approximateDate.getTime() - windowMs);
+  const end = new Date(approximateDate.getTime() + windowMs);
+  
+  // Longitude offset from the target, wrapped to (-180, 180] so it increases through zero
+  const getOffset = time => {
+    const offset = (calculateSolarLongitude(time) - solarLongitude + 360) % 360;
+    return offset > 180 ? offset - 360 : offset;
+  };
+  
+  const crossing = findElevationCrossings(getOffset, start, end, 0, { stepMinutes: SEARCH_STEP_MINUTES })
+    .find(result => result.direction === CROSSING_DIRECTIONS.RISING);
+  
+  return crossing ? crossing.time : null;
+}
+
+/**
+ * Calculates the solstices, equinoxes and cross-quarter days of a year
+ * @param {number} year - Calendar year (1000-3000)
+ * @returns {Array} Markers in date order, each with marker, solarLongitude, time (UTC instant) and crossQuarter flag
+ */
+export function calculateSeasonalMarkers(year) {
+  if (!Number.isInteger(year)) {
+    throw new Error('Invalid year provided');
+  }
+  
+  // Reuse the supported date range of the rest of the library
+  normalizeDate(new Date(year, 0, 1));
+  normalizeDate(new Date(year, 11, 31));
+  
+  return MARKER_DEFINITIONS.map(definition => {
+    const approximateDate = new Date(Date.UTC(year, definition.month, definition.day, 12));
+    
+    return {
+      marker: definition.marker,
+      solarLongitude: definition.solarLongitude,
+      time: findSolarLongitudeTime(definition.solarLongitude, approximateDate),
+      crossQuarter: definition.crossQuarter
+    };
+  });
+}
+
+/**
+ * Gets the calendar date at a location for an instant
+ * @param {Date} time - UTC instant
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Date} Midnight of the location's calendar date
+ */
+function getLocationDate(time, timezone) {
+  const { year, month, day } = createZonedDateTime(time, timezone).localParts;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Calculates seasonal markers of a year with day length and noon elevation at a location
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {number} year - Calendar year (1000-3000)
+ * @param {Object} options - Calculation options
+ * @param {string} options.timezone - IANA timezone used to pick the local date of each marker (default: looked up from the coordinates)
+ * @returns {Array} Markers with localDate, dayLength in hours, solarNoon and noonElevation in degrees
+ */
+export function calculateSeasonalMarkersForLocation(latitude, longitude, year, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const dayOptions = {
+    ...options,
+    timezone: options.timezone || getTimezoneForCoordinatesSync(latitude, longitude)
+  };
+  
+  return calculateSeasonalMarkers(year).map(marker => {
+    const localDate = getLocationDate(marker.time, dayOptions.timezone);
+    const solarNoon = calculateSolarNoon(latitude, longitude, localDate, dayOptions);
+    
+    return {
+      ...marker,
+      localDate,
+      dayLength: calculateDayLength(latitude, longitude, localDate, dayOptions),
+      solarNoon,
+      noonElevation: calculateSunPosition(latitude, longitude, solarNoon).elevation
+    };
+  });
+}
@@ -0,0 +1,196 @@
+/**
+ * Shadow Calculator
+ * Calculates shadow length and direction cast by an object from the sun's position
+ */
+
+import { validateCoordinates, toRadians, toDegrees } from './solar-calculator.js';
+import { generateSunPath } from './sun-times.js';
+
+/**
+ * Measurement unit systems
+ */
+export const SHADOW_UNITS = {
+  METRIC: 'metric',
+  IMPERIAL: 'imperial'
+};
+
+const FEET_PER_METRE = 3.28084;
+const EARTH_RADIUS = 6371000; // metres
+
+/**
+ * Validates an object height
+ * @param {number} objectHeight - Object height
+ * @returns {boolean} True if height is a positive finite number
+ */
+function isValidHeight(objectHeight) {
+  return typeof objectHeight === 'number' && isFinite(objectHeight) && objectHeight > 0;
+}
+
+/**
+ * Validates a unit system
+ * @param {string} units - One of SHADOW_UNITS
+ */
+function assertUnits(units) {
+  if (!Object.values(SHADOW_UNITS).includes(units)) {
+    throw new Error('Invalid units provided');
+  }
+}
+
+/**
+ * Converts a length to metres
+ * @param {number} value - Length in the given unit system
+ * @param {string} units - One of SHADOW_UNITS
+ * @returns {number} Length in metres
+ */
+export function toMetres(value, units = SHADOW_UNITS.METRIC) {
+  assertUnits(units);
+  return units === SHADOW_UNITS.IMPERIAL ? value / FEET_PER_METRE : value;
+}
+
+/**
+ * Converts a length from metres
+ * @param {number} value - Length in metres
+ * @param {string} units - One of SHADOW_UNITS
+ * @returns {number} Length in the given unit system (metres or feet)
+ */
+export function fromMetres(value, units = SHADOW_UNITS.METRIC) {
+  assertUnits(units);
+  return units === SHADOW_UNITS.IMPERIAL ? value * FEET_PER_METRE : value;
+}
+
+/**
+ * Calculates the length of the shadow cast on level ground
+ * @param {number} objectHeight - Object height (any unit; the result uses the same unit)
+ * @param {number} sunElevation - Sun elevation in degrees
+ * @returns {number|null} Shadow length, or null when the sun is at or below the horizon
+ */
+export function calculateShadowLength(objectHeight, sunElevation) {
+  if (!isValidHeight(objectHeight)) {
+    throw new Error('Object height must be a positive number');
+  }
+  
+  if (typeof sunElevation !== 'number' || isNaN(sunElevation) || sunElevation < -90 || sunElevation > 90) {
+    throw new Error('Invalid sun elevation provided');
+  }
+  
+  if (sunElevation <= 0) {
+    return null;
+  }
+  
+  return objectHeight / Math.tan(toRadians(sunElevation));
+}
+
+/**
+ * Calculates the direction a shadow points, opposite the sun
+ * @param {number} sunAzimuth - Sun azimuth in degrees clockwise from north
+ * @returns {number} Shadow azimuth in degrees clockwise from north (0-360)
+ */
+export function calculateShadowDirection(sunAzimuth) {
+  if (typeof sunAzimuth !== 'number' || isNaN(sunAzimuth)) {
+    throw new Error('Invalid azimuth provided');
+  }
+  
+  return (((sunAzimuth + 180) % 360) + 360) % 360;
+}
+
+/**
+ * Calculates the geographic position of a shadow tip
+ * @param {Object} startPoint - Object base with latitude and longitude
+ * @param {number} length - Shadow length
+ * @param {number} direction - Shadow azimuth in degrees
+ * @param {string} units - Unit system of length (default: metric)
+ * @returns {Object} Shadow tip with latitude and longitude
+ */
+export function getShadowEndpoint(startPoint, length, direction, units = SHADOW_UNITS.METRIC) {
+  if (!startPoint || !validateCoordinates(startPoint.latitude, startPoint.longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const angularDistance = toMetres(length, units) / EARTH_RADIUS;
+  const bearing = toRadians(direction);
+  const lat1 = toRadians(startPoint.latitude);
+  const lng1 = toRadians(startPoint.longitude);
+  
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angularDistance) +
+    Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(bearing)
+  );
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(lat1),
+    Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2)
+  );
+  
+  return {
+    latitude: toDegrees(lat2),
+    longitude: ((toDegrees(lng2) + 540) % 360) - 180
+  };
+}
+
+/**
+ * Calculates the shadow cast by an object for a sun position
+ * @param {number} objectHeight - Object height in metres (metric) or feet (imperial)
+ * @param {Object} sunPosition - Sun position with azimuth and elevation, as from calculateSunPosition
+ * @param {Object} options - Calculation options
+ * @param {string} options.units - Unit system for the height and the results (default: metric)
+ * @returns {Object} Shadow length, shadow azimuth and tip offset north/east of the base, all in the chosen units;
+ *   length, azimuth and offsets are null when the sun is below the horizon
+ */
+export function calculateShadow(objectHeight, sunPosition, options = {}) {
+  const { units = SHADOW_UNITS.METRIC } = options;
+  assertUnits(units);
+  
+  if (!sunPosition || typeof sunPosition.azimuth !== 'number' || typeof sunPosition.elevation !== 'number') {
+    throw new Error('Invalid sun position provided');
+  }
+  
+  const length = calculateShadowLength(objectHeight, sunPosition.elevation);
+  
+  if (length === null) {
+    return {
+      hasShadow: false,
+      length: null,
+      azimuth: null,
+      northOffset: null,
+      eastOffset: null,
+      units
+    };
+  }
+  
+  const azimuth = calculateShadowDirection(sunPosition.azimuth);
+  const azimuthRad = toRadians(azimuth);
+  
+  return {
+    hasShadow: true,
+    length,
+    azimuth,
+    northOffset: length * Math.cos(azimuthRad),
+    eastOffset: length * Math.sin(azimuthRad),
+    units
+  };
+}
+
+/**
+ * Generates the shadow of an object through a day
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date for calculation
+ * @param {number} objectHeight - Object height in metres (metric) or feet (imperial)
+ * @param {Object} options - Calculation options
+ * @param {number} options.intervalMinutes - Time interval between points in minutes (default: 15)
+ * @param {string} options.units - Unit system for the height and the results (default: metric)
+ * @returns {Array} Shadow points with time, sunAzimuth, sunElevation and the calculateShadow fields
+ */
+export function generateShadowPath(latitude, longitude, date, objectHeight, options = {}) {
+  const { intervalMinutes = 15 } = options;
+  
+  if (!isValidHeight(objectHeight)) {
+    throw new Error('Object height must be a positive number');
+  }
+  
+  return generateSunPath(latitude, longitude, date, intervalMinutes).map(point => ({
+    time: point.time,
+    sunAzimuth: point.azimuth,
+    sunElevation: point.elevation,
+    ...calculateShadow(objectHeight, point, options)
+  }));
+}
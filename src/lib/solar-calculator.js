@@ -4,6 +4,11 @@
  * Provides accurate sun position calculations for any location and time
  */
 
+import { calculateSpaPosition, PRECISION_MODES } from './spa.js';
+import { getLocalDayBounds, getTimezoneForCoordinatesSync } from './timezone-handler.js';
+
+export { PRECISION_MODES } from './spa.js';
+
 /**
  * Validates latitude and longitude coordinates
  * @param {number} latitude - Latitude in decimal degrees (-90 to 90)
@@ -27,7 +32,7 @@ export function validateCoordinates(latitude, longitude) {
  * @param {number} degrees - Angle in degrees
  * @returns {number} Angle in radians
  */
-function toRadians(degrees) {
+export function toRadians(degrees) {
   return degrees * Math.PI / 180;
 }
 
@@ -36,7 +41,7 @@ function toRadians(degrees) {
  * @param {number} radians - Angle in radians
  * @returns {number} Angle in degrees
  */
-function toDegrees(radians) {
+export function toDegrees(radians) {
   return radians * 180 / Math.PI;
 }
 
@@ -45,16 +50,16 @@ function toDegrees(radians) {
  * @param {Date} date - Date object
  * @returns {number} Julian Day Number
  */
-function getJulianDay(date) {
+export function getJulianDay(date) {
   const year = date.getUTCFullYear();
   const month = date.getUTCMonth() + 1;
   const day = date.getUTCDate();
   const hour = date.getUTCHours();
   const minute = date.getUTCMinutes();
-  const second = date.getUTCSeconds();
+  const second = date.getUTCSeconds() + date.getUTCMilliseconds() / 1000;
   
   const a = Math.floor((14 - month) / 12);
-  const y = year - a;
+  const y = year + 4800 - a;
   const m = month + 12 * a - 3;
   
   const jdn = day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
@@ -75,34 +80,148 @@ function getEquationOfTime(julianDay) {
   const lambda = toRadians(L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g));
   
   const alpha = Math.atan2(Math.cos(toRadians(23.439)) * Math.sin(lambda), Math.cos(lambda));
-  const E = 4 * toDegrees(toRadians(L) - alpha);
+  
+  // Wrap the difference so mean and apparent longitude either side of 0° don't add a whole day
+  const difference = toDegrees(toRadians(L) - alpha);
+  const E = 4 * (((difference + 180) % 360 + 360) % 360 - 180);
   
   return E;
 }
 
 /**
- * Calculates solar declination angle
+ * Calculates the sun's ecliptic longitude used by the declination model
  * @param {number} julianDay - Julian Day Number
- * @returns {number} Solar declination in degrees
+ * @returns {number} Ecliptic longitude in degrees (not normalized)
  */
-function getSolarDeclination(julianDay) {
+function getSolarLongitude(julianDay) {
   const n = julianDay - 2451545.0;
   const L = (280.460 + 0.9856474 * n) % 360;
   const g = toRadians((357.528 + 0.9856003 * n) % 360);
-  const lambda = toRadians(L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g));
+  
+  return L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g);
+}
+
+/**
+ * Calculates solar declination angle
+ * @param {number} julianDay - Julian Day Number
+ * @returns {number} Solar declination in degrees
+ */
+function getSolarDeclination(julianDay) {
+  const lambda = toRadians(getSolarLongitude(julianDay));
   
   const declination = Math.asin(Math.sin(toRadians(23.439)) * Math.sin(lambda));
   return toDegrees(declination);
-}/*
-*
+}
+
+/**
+ * Calculates the sun's ecliptic longitude for a given time
+ * 0° marks the March equinox, 90° the June solstice, 180° the September equinox and 270° the December solstice
+ * @param {Date} date - Date and time for calculation
+ * @returns {number} Ecliptic longitude in degrees (0-360)
+ */
+export function calculateSolarLongitude(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  const longitude = getSolarLongitude(getJulianDay(date)) % 360;
+  return longitude < 0 ? longitude + 360 : longitude;
+}
+
+/**
+ * Calculates the equation of time for a given time
+ * Positive values mean the sundial (apparent solar time) runs ahead of mean solar time
+ * @param {Date} date - Date and time for calculation
+ * @returns {number} Equation of time in minutes
+ */
+export function calculateEquationOfTime(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  return getEquationOfTime(getJulianDay(date));
+}
+
+/**
+ * Calculates the sun's declination for a given time
+ * @param {Date} date - Date and time for calculation
+ * @returns {number} Declination in degrees, positive north of the celestial equator
+ */
+export function calculateSolarDeclination(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  return getSolarDeclination(getJulianDay(date));
+}
+
+/**
+ * Standard atmosphere used by the refraction model
+ */
+const STANDARD_PRESSURE = 1010; // millibars
+const STANDARD_TEMPERATURE = 10; // degrees Celsius
+
+/**
+ * Calculates atmospheric refraction for a true (geometric) elevation
+ * Uses the NOAA refraction approximation, scaled for pressure and temperature
+ * @param {number} elevation - True elevation angle in degrees
+ * @param {Object} options - Atmospheric conditions
+ * @param {number} options.pressure - Air pressure in millibars (default: 1010)
+ * @param {number} options.temperature - Air temperature in degrees Celsius (default: 10)
+ * @returns {number} Refraction correction in degrees to add to the true elevation
+ */
+export function calculateAtmosphericRefraction(elevation, options = {}) {
+  const { pressure = STANDARD_PRESSURE, temperature = STANDARD_TEMPERATURE } = options;
+  
+  if (typeof elevation !== 'number' || isNaN(elevation)) {
+    throw new Error('Invalid elevation provided');
+  }
+  
+  if (typeof pressure !== 'number' || isNaN(pressure) || pressure < 0) {
+    throw new Error('Invalid pressure provided');
+  }
+  
+  if (typeof temperature !== 'number' || isNaN(temperature) || temperature <= -273) {
+    throw new Error('Invalid temperature provided');
+  }
+  
+  if (elevation > 85) {
+    return 0;
+  }
+  
+  // Refraction in arc seconds for standard conditions
+  const tanElevation = Math.tan(toRadians(elevation));
+  let refraction;
+  
+  if (elevation > 5) {
+    refraction = 58.1 / tanElevation - 0.07 / Math.pow(tanElevation, 3) + 0.000086 / Math.pow(tanElevation, 5);
+  } else if (elevation > -0.575) {
+    refraction = 1735 + elevation * (-518.2 + elevation * (103.4 + elevation * (-12.79 + elevation * 0.711)));
+  } else {
+    refraction = -20.772 / tanElevation;
+  }
+  
+  // Scale for non-standard atmospheric conditions
+  const correction = (pressure / STANDARD_PRESSURE) * (283 / (273 + temperature));
+  
+  return refraction * correction / 3600;
+}
+
+/**
  * Calculates sun position (azimuth and elevation) for given coordinates and time
- * Uses NOAA Solar Position Algorithm
+ * Uses NOAA Solar Position Algorithm, or the NREL SPA in high-precision mode
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees  
  * @param {Date} date - Date and time for calculation
- * @returns {Object} Object containing azimuth, elevation, and distance
+ * @param {Object} options - Atmospheric conditions for the refraction model
+ * @param {number} options.pressure - Air pressure in millibars (default: 1010)
+ * @param {number} options.temperature - Air temperature in degrees Celsius (default: 10)
+ * @param {string} options.precision - One of PRECISION_MODES (default: PRECISION_MODES.STANDARD)
+ * @param {number} options.altitude - Observer altitude in metres for high-precision parallax (default: 0)
+ * @param {number} options.deltaT - TT − UT in seconds for high precision (default: estimated)
+ * @returns {Object} Object containing azimuth, true elevation, apparent elevation, and distance
  */
-export function calculateSunPosition(latitude, longitude, date) {
+export function calculateSunPosition(latitude, longitude, date, options = {}) {
   if (!validateCoordinates(latitude, longitude)) {
     throw new Error('Invalid coordinates provided');
   }
@@ -111,13 +230,30 @@ export function calculateSunPosition(latitude, longitude, date) {
     throw new Error('Invalid date provided');
   }
   
+  const { precision = PRECISION_MODES.STANDARD } = options;
+  
+  if (precision === PRECISION_MODES.HIGH) {
+    const position = calculateSpaPosition(latitude, longitude, date, options);
+    
+    return {
+      azimuth: position.azimuth,
+      elevation: position.elevation,
+      apparentElevation: position.apparentElevation,
+      distance: position.distance
+    };
+  }
+  
+  if (precision !== PRECISION_MODES.STANDARD) {
+    throw new Error('Invalid precision provided');
+  }
+  
   const julianDay = getJulianDay(date);
   const declination = getSolarDeclination(julianDay);
   const eqTime = getEquationOfTime(julianDay);
   
   // Calculate hour angle
   const timeOffset = eqTime + 4 * longitude;
-  const trueSolarTime = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60 + timeOffset;
+  const trueSolarTime = date.getUTCHours() * 60 + date.getUTCMinutes() + (date.getUTCSeconds() + date.getUTCMilliseconds() / 1000) / 60 + timeOffset;
   const hourAngle = (trueSolarTime / 4) - 180;
   
   // Convert to radians
@@ -146,122 +282,398 @@ export function calculateSunPosition(latitude, longitude, date) {
   const g = toRadians((357.528 + 0.9856003 * n) % 360);
   const distance = 1.00014 - 0.01671 * Math.cos(g) - 0.00014 * Math.cos(2 * g);
   
+  const trueElevation = toDegrees(elevation);
+  const apparentElevation = trueElevation + calculateAtmosphericRefraction(trueElevation, options);
+  
   return {
     azimuth: azimuth,
-    elevation: toDegrees(elevation),
+    elevation: trueElevation,
+    apparentElevation: apparentElevation,
     distance: distance
   };
 }
 
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_BATCH_POINTS = 5000000;
+
 /**
- * Calculates sunrise time for given coordinates and date
+ * Calculates sun positions at a fixed step between two instants, filling typed arrays
+ * Declination and equation of time are evaluated three times per UTC day and interpolated in
+ * between, which keeps results within 0.00001° of calculateSunPosition
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees
- * @param {Date} date - Date for calculation (time is ignored)
- * @returns {Date} Sunrise time in UTC
+ * @param {Date} startDate - First instant
+ * @param {Date} endDate - Last instant; included when it falls on a step
+ * @param {number} stepMinutes - Step between samples in minutes (default: 1)
+ * @returns {Object} times (epoch milliseconds), azimuth and elevation (true, in degrees) as Float64Arrays
  */
-export function calculateSunrise(latitude, longitude, date) {
+export function calculateSunPositionBatch(latitude, longitude, startDate, endDate, stepMinutes = 1) {
   if (!validateCoordinates(latitude, longitude)) {
     throw new Error('Invalid coordinates provided');
   }
   
-  const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-  const julianDay = getJulianDay(dateOnly);
-  const declination = getSolarDeclination(julianDay);
-  const eqTime = getEquationOfTime(julianDay);
+  if (!(startDate instanceof Date) || isNaN(startDate.getTime()) || !(endDate instanceof Date) || isNaN(endDate.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  if (endDate.getTime() < startDate.getTime()) {
+    throw new Error('End date must not be before start date');
+  }
+  
+  if (typeof stepMinutes !== 'number' || isNaN(stepMinutes) || stepMinutes <= 0) {
+    throw new Error('Step must be a positive number of minutes');
+  }
+  
+  const start = startDate.getTime();
+  const stepMs = stepMinutes * 60000;
+  const count = Math.floor((endDate.getTime() - start) / stepMs) + 1;
+  
+  if (count > MAX_BATCH_POINTS) {
+    throw new Error(`Batch must not exceed ${MAX_BATCH_POINTS} points`);
+  }
+  
+  const times = new Float64Array(count);
+  const azimuths = new Float64Array(count);
+  const elevations = new Float64Array(count);
+  const latRad = toRadians(latitude);
+  const sinLat = Math.sin(latRad);
+  const cosLat = Math.cos(latRad);
+  
+  // Day-level terms, as quadratics in the fraction of the UTC day through midnight, noon and the next midnight
+  let dayStart = NaN;
+  let declination = [0, 0, 0];
+  let eqTime = [0, 0, 0];
+  const fitDay = (term, julianDay) => {
+    const [start, middle, end] = [term(julianDay), term(julianDay + 0.5), term(julianDay + 1)];
+    return [start, 4 * middle - 3 * start - end, 2 * (start + end) - 4 * middle];
+  };
+  
+  for (let i = 0; i < count; i++) {
+    const time = start + i * stepMs;
+    const day = Math.floor(time / MS_PER_DAY) * MS_PER_DAY;
+    
+    if (day !== dayStart) {
+      const julianDay = getJulianDay(new Date(day));
+      dayStart = day;
+      declination = fitDay(getSolarDeclination, julianDay);
+      eqTime = fitDay(getEquationOfTime, julianDay);
+    }
+    
+    const fraction = (time - day) / MS_PER_DAY;
+    const declRad = toRadians(declination[0] + fraction * (declination[1] + fraction * declination[2]));
+    const trueSolarTime = fraction * 1440 + eqTime[0] + fraction * (eqTime[1] + fraction * eqTime[2]) + 4 * longitude;
+    const hourAngleRad = toRadians(trueSolarTime / 4 - 180);
+    const cosHourAngle = Math.cos(hourAngleRad);
+    
+    const elevation = Math.asin(Math.sin(declRad) * sinLat + Math.cos(declRad) * cosLat * cosHourAngle);
+    let azimuth = toDegrees(Math.atan2(Math.sin(hourAngleRad), cosHourAngle * sinLat - Math.tan(declRad) * cosLat)) + 180;
+    if (azimuth >= 360) azimuth -= 360;
+    
+    times[i] = time;
+    azimuths[i] = azimuth;
+    elevations[i] = toDegrees(elevation);
+  }
+  
+  return {
+    times,
+    azimuth: azimuths,
+    elevation: elevations
+  };
+}
+
+/**
+ * Standard sunrise/sunset altitude of the sun's centre in degrees
+ * Accounts for refraction (0.5667°) and the solar semi-diameter (0.2667°)
+ */
+const STANDARD_HORIZON_ALTITUDE = -0.833;
+
+/**
+ * Calculates the dip of the visible horizon for an elevated observer
+ * @param {number} observerHeight - Observer height in metres above the surrounding terrain
+ * @returns {number} Horizon dip in degrees (always positive)
+ */
+export function calculateHorizonDip(observerHeight) {
+  if (typeof observerHeight !== 'number' || isNaN(observerHeight) || observerHeight < 0) {
+    throw new Error('Invalid observer height provided');
+  }
+  
+  // Dip including terrestrial refraction: 2.076' * sqrt(height in metres)
+  return 2.076 * Math.sqrt(observerHeight) / 60;
+}
+
+/**
+ * Resolves the sun altitude at which sunrise and sunset occur
+ * @param {Object} options - Horizon options
+ * @param {number} options.horizonAltitude - Explicit sun altitude for the event in degrees (default: -0.833)
+ * @param {number} options.observerHeight - Observer height in metres above the surrounding terrain
+ * @returns {number} Sun altitude in degrees
+ */
+function getHorizonAltitude(options = {}) {
+  const { horizonAltitude = STANDARD_HORIZON_ALTITUDE, observerHeight } = options;
+  
+  if (typeof horizonAltitude !== 'number' || isNaN(horizonAltitude) || horizonAltitude < -90 || horizonAltitude > 90) {
+    throw new Error('Invalid horizon altitude provided');
+  }
+  
+  if (observerHeight === undefined || observerHeight === null) {
+    return horizonAltitude;
+  }
   
-  // Calculate hour angle for sunrise (sun elevation = -0.833 degrees)
+  return horizonAltitude - calculateHorizonDip(observerHeight);
+}
+
+/**
+ * Day conditions reported when the sun does not cross a horizon altitude
+ */
+export const SUN_CONDITIONS = {
+  NORMAL: 'normal',
+  POLAR_DAY: 'polar_day',
+  POLAR_NIGHT: 'polar_night'
+};
+
+/**
+ * Maximum number of days searched for the end of a polar day or night
+ */
+const MAX_POLAR_SEARCH_DAYS = 366;
+
+/**
+ * Calculates the cosine of the hour angle at which the sun reaches an altitude
+ * Values above 1 mean the altitude is never reached, values below -1 mean the sun never drops to it
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} declination - Solar declination in degrees
+ * @param {number} altitude - Sun altitude in degrees
+ * @returns {number} Cosine of the hour angle
+ */
+function getHourAngleCosine(latitude, declination, altitude) {
   const latRad = toRadians(latitude);
   const declRad = toRadians(declination);
-  const sunriseAngle = toRadians(-0.833);
   
-  const cosHourAngle = (Math.sin(sunriseAngle) - Math.sin(latRad) * Math.sin(declRad)) / 
-                       (Math.cos(latRad) * Math.cos(declRad));
+  return (Math.sin(toRadians(altitude)) - Math.sin(latRad) * Math.sin(declRad)) / 
+         (Math.cos(latRad) * Math.cos(declRad));
+}
+
+/**
+ * Determines the day condition for the calendar day of a date
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {Date} date - Date for calculation (time is ignored)
+ * @param {number} altitude - Sun altitude in degrees
+ * @returns {string} One of SUN_CONDITIONS
+ */
+function getConditionForAltitude(latitude, date, altitude) {
+  const dateOnly = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  const declination = getSolarDeclination(getJulianDay(dateOnly));
+  const cosHourAngle = getHourAngleCosine(latitude, declination, altitude);
   
-  // Check for polar day/night
   if (cosHourAngle > 1) {
-    return null; // Polar night - sun doesn't rise
+    return SUN_CONDITIONS.POLAR_NIGHT;
   }
   if (cosHourAngle < -1) {
-    return null; // Polar day - sun doesn't set
+    return SUN_CONDITIONS.POLAR_DAY;
+  }
+  return SUN_CONDITIONS.NORMAL;
+}
+
+/**
+ * Determines whether the sun rises and sets on a given day
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date for calculation (time is ignored)
+ * @param {Object} options - Horizon options (see calculateSunrise)
+ * @returns {string} SUN_CONDITIONS.NORMAL, POLAR_DAY when the sun stays above the horizon, or POLAR_NIGHT when it stays below
+ */
+export function getSunCondition(latitude, longitude, date, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  return getConditionForAltitude(latitude, date, getHorizonAltitude(options));
+}
+
+/**
+ * Finds the first day after a polar day or night with a normal sunrise and sunset
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {Date} date - First polar day (time is ignored)
+ * @param {number} altitude - Sun altitude in degrees
+ * @returns {Date|null} Local midnight of the next normal day, or null if none within a year
+ */
+function findNextNormalDate(latitude, date, altitude) {
+  for (let days = 1; days <= MAX_POLAR_SEARCH_DAYS; days++) {
+    const candidate = new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    
+    if (getConditionForAltitude(latitude, candidate, altitude) === SUN_CONDITIONS.NORMAL) {
+      return candidate;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Builds the structured result returned instead of a time during polar day or night
+ * @param {string} condition - SUN_CONDITIONS.POLAR_DAY or SUN_CONDITIONS.POLAR_NIGHT
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {Date} date - Date for calculation
+ * @param {number} altitude - Sun altitude in degrees
+ * @returns {Object} Polar condition with day length and the next normal date
+ */
+function createPolarResult(condition, latitude, date, altitude) {
+  const sunAlwaysUp = condition === SUN_CONDITIONS.POLAR_DAY;
+  
+  return {
+    condition,
+    sunAlwaysUp,
+    sunAlwaysDown: !sunAlwaysUp,
+    dayLength: sunAlwaysUp ? 24 : 0,
+    nextNormalDate: findNextNormalDate(latitude, date, altitude)
+  };
+}
+
+/**
+ * Solar event kinds, as the sign of the hour angle at which they occur
+ */
+const SOLAR_EVENTS = {
+  SUNRISE: -1,
+  SOLAR_NOON: 0,
+  SUNSET: 1
+};
+
+/**
+ * Calculates a solar event for the solar day of a UTC calendar date at a longitude
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {number} utcDay - Midnight UTC of the calendar day in milliseconds
+ * @param {number} event - One of SOLAR_EVENTS
+ * @param {number} altitude - Sun altitude in degrees (ignored for solar noon)
+ * @returns {number|null} Event time in milliseconds, or null if the sun doesn't cross the altitude that day
+ */
+function getSolarEventTime(latitude, longitude, utcDay, event, altitude) {
+  const julianDay = getJulianDay(new Date(utcDay));
+  const eqTime = getEquationOfTime(julianDay);
+  let hourAngle = 0;
+  
+  if (event !== SOLAR_EVENTS.SOLAR_NOON) {
+    const cosHourAngle = getHourAngleCosine(latitude, getSolarDeclination(julianDay), altitude);
+    if (cosHourAngle > 1 || cosHourAngle < -1) {
+      return null;
+    }
+    hourAngle = toDegrees(Math.acos(cosHourAngle));
   }
   
-  const hourAngle = toDegrees(Math.acos(cosHourAngle));
   const timeOffset = eqTime + 4 * longitude;
-  const sunriseMinutes = 720 - 4 * hourAngle - timeOffset;
+  const eventMinutes = 720 + event * 4 * hourAngle - timeOffset;
   
-  const sunriseTime = new Date(dateOnly);
-  sunriseTime.setUTCMinutes(sunriseMinutes);
+  return utcDay + Math.trunc(eventMinutes) * 60000;
+}
+
+/**
+ * Finds the solar events within a location's local calendar day
+ * The solar days either side are searched too, since far from the zone's meridian an event can
+ * fall on the neighbouring calendar day
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date whose year, month and day fields give the local calendar day
+ * @param {number} event - One of SOLAR_EVENTS
+ * @param {number} altitude - Sun altitude in degrees (ignored for solar noon)
+ * @param {string} timezone - IANA timezone of the location (default: looked up from the coordinates)
+ * @returns {Array} Event times in milliseconds, in order
+ */
+function findLocalDayEvents(latitude, longitude, date, event, altitude, timezone) {
+  const { start, end } = getLocalDayBounds(date, timezone || getTimezoneForCoordinatesSync(latitude, longitude));
+  const times = [];
+  
+  for (let days = -1; days <= 1; days++) {
+    const utcDay = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    const time = getSolarEventTime(latitude, longitude, utcDay, event, altitude);
+    
+    if (time !== null && time >= start.getTime() && time < end.getTime()) {
+      times.push(time);
+    }
+  }
   
-  return sunriseTime;
+  return times;
 }
 
 /**
- * Calculates sunset time for given coordinates and date
+ * Calculates sunrise time for given coordinates and date
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees
- * @param {Date} date - Date for calculation (time is ignored)
- * @returns {Date} Sunset time in UTC
+ * @param {Date} date - Date whose year, month and day fields give the location's calendar day (time is ignored)
+ * @param {Object} options - Horizon options
+ * @param {number} options.observerHeight - Observer height in metres above the surrounding terrain
+ * @param {number} options.horizonAltitude - Explicit sun altitude for sunrise in degrees (default: -0.833)
+ * @param {string} options.timezone - IANA timezone of the location (default: looked up from the coordinates)
+ * @returns {Date|Object|null} Sunrise time in UTC, a polar condition result when the sun doesn't rise or set,
+ *   or null when the sunrise falls outside the local calendar day
  */
-export function calculateSunset(latitude, longitude, date) {
+export function calculateSunrise(latitude, longitude, date, options = {}) {
   if (!validateCoordinates(latitude, longitude)) {
     throw new Error('Invalid coordinates provided');
   }
   
+  const horizonAltitude = getHorizonAltitude(options);
   const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-  const julianDay = getJulianDay(dateOnly);
-  const declination = getSolarDeclination(julianDay);
-  const eqTime = getEquationOfTime(julianDay);
-  
-  // Calculate hour angle for sunset (sun elevation = -0.833 degrees)
-  const latRad = toRadians(latitude);
-  const declRad = toRadians(declination);
-  const sunsetAngle = toRadians(-0.833);
-  
-  const cosHourAngle = (Math.sin(sunsetAngle) - Math.sin(latRad) * Math.sin(declRad)) / 
-                       (Math.cos(latRad) * Math.cos(declRad));
   
   // Check for polar day/night
-  if (cosHourAngle > 1) {
-    return null; // Polar night - sun doesn't rise
+  const condition = getConditionForAltitude(latitude, dateOnly, horizonAltitude);
+  if (condition !== SUN_CONDITIONS.NORMAL) {
+    return createPolarResult(condition, latitude, dateOnly, horizonAltitude);
   }
-  if (cosHourAngle < -1) {
-    return null; // Polar day - sun doesn't set
+  
+  const sunrises = findLocalDayEvents(latitude, longitude, dateOnly, SOLAR_EVENTS.SUNRISE, horizonAltitude, options.timezone);
+  
+  return sunrises.length > 0 ? new Date(sunrises[0]) : null;
+}
+
+/**
+ * Calculates sunset time for given coordinates and date
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date whose year, month and day fields give the location's calendar day (time is ignored)
+ * @param {Object} options - Horizon options and timezone (see calculateSunrise)
+ * @returns {Date|Object|null} Sunset time in UTC, a polar condition result when the sun doesn't rise or set,
+ *   or null when the sunset falls outside the local calendar day
+ */
+export function calculateSunset(latitude, longitude, date, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
   }
   
-  const hourAngle = toDegrees(Math.acos(cosHourAngle));
-  const timeOffset = eqTime + 4 * longitude;
-  const sunsetMinutes = 720 + 4 * hourAngle - timeOffset;
+  const horizonAltitude = getHorizonAltitude(options);
+  const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
   
-  const sunsetTime = new Date(dateOnly);
-  sunsetTime.setUTCMinutes(sunsetMinutes);
+  // Check for polar day/night
+  const condition = getConditionForAltitude(latitude, dateOnly, horizonAltitude);
+  if (condition !== SUN_CONDITIONS.NORMAL) {
+    return createPolarResult(condition, latitude, dateOnly, horizonAltitude);
+  }
   
-  return sunsetTime;
+  const sunsets = findLocalDayEvents(latitude, longitude, dateOnly, SOLAR_EVENTS.SUNSET, horizonAltitude, options.timezone);
+  
+  return sunsets.length > 0 ? new Date(sunsets[sunsets.length - 1]) : null;
 }
 
 /**
  * Calculates solar noon time for given coordinates and date
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees
- * @param {Date} date - Date for calculation (time is ignored)
- * @returns {Date} Solar noon time in UTC
+ * @param {Date} date - Date whose year, month and day fields give the location's calendar day (time is ignored)
+ * @param {Object} options - Calculation options
+ * @param {string} options.timezone - IANA timezone of the location (default: looked up from the coordinates)
+ * @returns {Date|null} Solar noon time in UTC, or null when no solar noon falls within the local calendar day
  */
-export function calculateSolarNoon(latitude, longitude, date) {
+export function calculateSolarNoon(latitude, longitude, date, options = {}) {
   if (!validateCoordinates(latitude, longitude)) {
     throw new Error('Invalid coordinates provided');
   }
   
   const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-  const julianDay = getJulianDay(dateOnly);
-  const eqTime = getEquationOfTime(julianDay);
-  
-  const timeOffset = eqTime + 4 * longitude;
-  const solarNoonMinutes = 720 - timeOffset;
-  
-  const solarNoonTime = new Date(dateOnly);
-  solarNoonTime.setUTCMinutes(solarNoonMinutes);
+  const noons = findLocalDayEvents(latitude, longitude, dateOnly, SOLAR_EVENTS.SOLAR_NOON, 0, options.timezone);
   
-  return solarNoonTime;
+  return noons.length > 0 ? new Date(noons[0]) : null;
 }
 
 /**
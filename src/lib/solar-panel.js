@@ -0,0 +1,308 @@
+/**
+ * Solar Panel Calculator
+ * Angle of incidence and plane-of-array irradiance for tilted surfaces, and fixed-orientation optimization
+ */
+
+import { validateCoordinates, calculateAtmosphericRefraction, normalizeDate, toRadians, toDegrees } from './solar-calculator.js';
+import { generateSunPath } from './sun-times.js';
+import { calculateIrradiance } from './irradiance.js';
+
+const DEFAULT_ALBEDO = 0.2;
+const DEFAULT_INTERVAL_MINUTES = 30;
+const MAX_RANGE_DAYS = 366;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates a panel orientation
+ * @param {Object} panel - Panel with tilt from horizontal (0-90) and azimuth it faces (0-360), in degrees
+ * @returns {boolean} True if orientation is valid
+ */
+export function validatePanelOrientation(panel) {
+  return Boolean(panel) &&
+    typeof panel.tilt === 'number' &&
+    typeof panel.azimuth === 'number' &&
+    !isNaN(panel.tilt) &&
+    !isNaN(panel.azimuth) &&
+    panel.tilt >= 0 &&
+    panel.tilt <= 90 &&
+    panel.azimuth >= 0 &&
+    panel.azimuth <= 360;
+}
+
+/**
+ * Throws if a panel orientation is invalid
+ * @param {Object} panel - Panel orientation
+ */
+function assertPanel(panel) {
+  if (!validatePanelOrientation(panel)) {
+    throw new Error('Invalid panel orientation provided');
+  }
+}
+
+/**
+ * Calculates the cosine of the angle between the sun and the panel normal
+ * @param {number} zenith - Solar zenith angle in degrees
+ * @param {number} sunAzimuth - Solar azimuth in degrees
+ * @param {Object} panel - Panel orientation
+ * @returns {number} Cosine of the angle of incidence
+ */
+function getIncidenceCosine(zenith, sunAzimuth, panel) {
+  const zenithRad = toRadians(zenith);
+  const tiltRad = toRadians(panel.tilt);
+  
+  return Math.cos(zenithRad) * Math.cos(tiltRad) +
+    Math.sin(zenithRad) * Math.sin(tiltRad) * Math.cos(toRadians(sunAzimuth - panel.azimuth));
+}
+
+/**
+ * Gets the elevation to use for a sun position, preferring the apparent elevation
+ * @param {Object} sunPosition - Sun position
+ * @returns {number} Elevation in degrees
+ */
+function getElevation(sunPosition) {
+  return typeof sunPosition.apparentElevation === 'number' ? sunPosition.apparentElevation : sunPosition.elevation;
+}
+
+/**
+ * Calculates the angle of incidence of sunlight on a panel
+ * @param {Object} sunPosition - Sun position with azimuth and elevation, as from calculateSunPosition
+ * @param {Object} panel - Panel with tilt and azimuth in degrees
+ * @returns {number} Angle between the sun and the panel normal in degrees (over 90 when the sun is behind the panel)
+ */
+export function calculateAngleOfIncidence(sunPosition, panel) {
+  assertPanel(panel);
+  
+  if (!sunPosition || typeof sunPosition.azimuth !== 'number' || typeof sunPosition.elevation !== 'number') {
+    throw new Error('Invalid sun position provided');
+  }
+  
+  const cosine = getIncidenceCosine(90 - getElevation(sunPosition), sunPosition.azimuth, panel);
+  
+  return toDegrees(Math.acos(Math.max(-1, Math.min(1, cosine))));
+}
+
+/**
+ * Transposes horizontal irradiance onto a panel with the isotropic sky model
+ * @param {Object} irradiance - ghi, dni and dhi in W/m²
+ * @param {number} incidenceCosine - Cosine of the angle of incidence
+ * @param {number} tilt - Panel tilt in degrees
+ * @param {number} albedo - Ground reflectance
+ * @returns {Object} poa, beam, skyDiffuse and groundReflected in W/m²
+ */
+function transposeIrradiance(irradiance, incidenceCosine, tilt, albedo) {
+  const cosTilt = Math.cos(toRadians(tilt));
+  const beam = irradiance.dni * Math.max(0, incidenceCosine);
+  const skyDiffuse = irradiance.dhi * (1 + cosTilt) / 2;
+  const groundReflected = irradiance.ghi * albedo * (1 - cosTilt) / 2;
+  
+  return {
+    poa: beam + skyDiffuse + groundReflected,
+    beam,
+    skyDiffuse,
+    groundReflected
+  };
+}
+
+/**
+ * Calculates clear-sky plane-of-array irradiance on a panel
+ * @param {Object} sunPosition - Sun position with azimuth, elevation and distance, as from calculateSunPosition
+ * @param {Object} panel - Panel with tilt and azimuth in degrees
+ * @param {Object} options - Calculation options, including the calculateIrradiance model options
+ * @param {number} options.albedo - Ground reflectance (default: 0.2)
+ * @returns {Object} poa, beam, skyDiffuse and groundReflected in W/m², with angleOfIncidence in degrees
+ */
+export function calculatePlaneOfArrayIrradiance(sunPosition, panel, options = {}) {
+  const { albedo = DEFAULT_ALBEDO } = options;
+  
+  if (typeof albedo !== 'number' || isNaN(albedo) || albedo < 0 || albedo > 1) {
+    throw new Error('Albedo must be between 0 and 1');
+  }
+  
+  const angleOfIncidence = calculateAngleOfIncidence(sunPosition, panel);
+  const irradiance = calculateIrradiance(sunPosition, options);
+  
+  return {
+    ...transposeIrradiance(irradiance, Math.cos(toRadians(angleOfIncidence)), panel.tilt, albedo),
+    angleOfIncidence
+  };
+}
+
+/**
+ * Samples the sun path and clear-sky irradiance over a range of days
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Object} options - Sampling options
+ * @returns {Array} Days, each with its date and daylight samples of zenith, azimuth and irradiance
+ */
+function sampleDays(latitude, longitude, options) {
+  const { intervalMinutes = DEFAULT_INTERVAL_MINUTES, dayStep = 1 } = options;
+  
+  if (!Number.isInteger(dayStep) || dayStep < 1) {
+    throw new Error('Day step must be a positive integer');
+  }
+  
+  const startDate = normalizeDate(options.startDate);
+  const endDate = options.endDate === undefined ? startDate : normalizeDate(options.endDate);
+  const firstDay = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const lastDay = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  const dayCount = Math.round((lastDay.getTime() - firstDay.getTime()) / MS_PER_DAY) + 1;
+  
+  if (dayCount < 1) {
+    throw new Error('End date must not be before start date');
+  }
+  
+  if (dayCount > MAX_RANGE_DAYS) {
+    throw new Error('Date range must not exceed one year');
+  }
+  
+  const days = [];
+  for (let i = 0; i < dayCount; i += dayStep) {
+    const date = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i);
+    const samples = generateSunPath(latitude, longitude, date, intervalMinutes, { timezone: options.timezone })
+      .map(point => {
+        const apparentElevation = point.elevation + calculateAtmosphericRefraction(point.elevation, options);
+        return {
+          time: point.time,
+          zenith: 90 - apparentElevation,
+          azimuth: point.azimuth,
+          irradiance: calculateIrradiance({ ...point, apparentElevation }, options)
+        };
+      });
+    
+    days.push({ date, samples, weight: Math.min(dayStep, dayCount - i) });
+  }
+  
+  return days;
+}
+
+/**
+ * Integrates plane-of-array irradiance over sampled days
+ * @param {Array} days - Days from sampleDays
+ * @param {Object} panel - Panel orientation
+ * @param {number} intervalMinutes - Sampling interval in minutes
+ * @param {number} albedo - Ground reflectance
+ * @returns {number} Insolation in Wh/m², each sampled day counted for the days it stands for
+ */
+function integrateInsolation(days, panel, intervalMinutes, albedo) {
+  const hours = intervalMinutes / 60;
+  
+  return days.reduce((total, day) => total + day.weight * day.samples.reduce((sum, sample) => {
+    const cosine = getIncidenceCosine(sample.zenith, sample.azimuth, panel);
+    return sum + transposeIrradiance(sample.irradiance, cosine, panel.tilt, albedo).poa * hours;
+  }, 0), 0);
+}
+
+/**
+ * Calculates angle of incidence and plane-of-array irradiance through each day of a range
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Object} panel - Panel with tilt and azimuth in degrees
+ * @param {Object} options - Calculation options, including the calculateIrradiance model options
+ * @param {Date} options.startDate - First day of the range
+ * @param {Date} options.endDate - Last day of the range (inclusive, default: startDate)
+ * @param {number} options.intervalMinutes - Sampling interval in minutes (default: 30)
+ * @param {string} options.timezone - IANA timezone whose calendar days are used (default: looked up from the coordinates)
+ * @param {number} options.albedo - Ground reflectance (default: 0.2)
+ * @returns {Object} Days with date, points (time, angleOfIncidence, poa) and insolation in Wh/m², plus the total insolation
+ */
+export function calculatePanelSeries(latitude, longitude, panel, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  assertPanel(panel);
+  
+  const { intervalMinutes = DEFAULT_INTERVAL_MINUTES, albedo = DEFAULT_ALBEDO } = options;
+  const hours = intervalMinutes / 60;
+  
+  const days = sampleDays(latitude, longitude, { ...options, dayStep: 1 }).map(day => {
+    const points = day.samples.map(sample => {
+      const cosine = getIncidenceCosine(sample.zenith, sample.azimuth, panel);
+      return {
+        time: sample.time,
+        angleOfIncidence: toDegrees(Math.acos(Math.max(-1, Math.min(1, cosine)))),
+        ...transposeIrradiance(sample.irradiance, cosine, panel.tilt, albedo)
+      };
+    });
+    
+    return {
+      date: day.date,
+      points,
+      insolation: points.reduce((sum, point) => sum + point.poa * hours, 0)
+    };
+  });
+  
+  return {
+    days,
+    totalInsolation: days.reduce((total, day) => total + day.insolation, 0)
+  };
+}
+
+/**
+ * Finds the fixed tilt and azimuth that collect the most clear-sky irradiance over a season
+ * Searches a coarse grid and then refines around the best orientation in 1° steps
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Object} options - Search options, including the calculateIrradiance model options
+ * @param {Date} options.startDate - First day of the season
+ * @param {Date} options.endDate - Last day of the season (inclusive)
+ * @param {number} options.tiltStep - Coarse tilt step in degrees (default: 5)
+ * @param {number} options.azimuthStep - Coarse azimuth step in degrees (default: 10)
+ * @param {number} options.dayStep - Days between sampled days (default: 7)
+ * @param {number} options.intervalMinutes - Sampling interval in minutes (default: 30)
+ * @param {string} options.timezone - IANA timezone whose calendar days are used (default: looked up from the coordinates)
+ * @param {number} options.albedo - Ground reflectance (default: 0.2)
+ * @returns {Object} Best tilt and azimuth, its estimated insolation, the horizontal insolation and the gain over horizontal
+ */
+export function findOptimalOrientation(latitude, longitude, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const {
+    tiltStep = 5,
+    azimuthStep = 10,
+    dayStep = 7,
+    intervalMinutes = DEFAULT_INTERVAL_MINUTES,
+    albedo = DEFAULT_ALBEDO
+  } = options;
+  
+  if (typeof tiltStep !== 'number' || tiltStep <= 0 || tiltStep > 90 || typeof azimuthStep !== 'number' || azimuthStep <= 0 || azimuthStep > 180) {
+    throw new Error('Invalid search step provided');
+  }
+  
+  const days = sampleDays(latitude, longitude, { ...options, dayStep });
+  const evaluate = (tilt, azimuth) => integrateInsolation(days, { tilt, azimuth }, intervalMinutes, albedo);
+  
+  let best = { tilt: 0, azimuth: 180, insolation: -Infinity };
+  const consider = (tilt, azimuth) => {
+    const insolation = evaluate(tilt, azimuth);
+    if (insolation > best.insolation) {
+      best = { tilt, azimuth, insolation };
+    }
+  };
+  
+  for (let tilt = 0; tilt <= 90; tilt += tiltStep) {
+    for (let azimuth = 0; azimuth < 360; azimuth += azimuthStep) {
+      consider(tilt, azimuth);
+    }
+  }
+  
+  // Refine around the coarse optimum
+  const coarse = best;
+  for (let tilt = Math.max(0, coarse.tilt - tiltStep); tilt <= Math.min(90, coarse.tilt + tiltStep); tilt++) {
+    for (let offset = -azimuthStep; offset <= azimuthStep; offset++) {
+      consider(tilt, (coarse.azimuth + offset + 360) % 360);
+    }
+  }
+  
+  const horizontalInsolation = evaluate(0, 0);
+  
+  return {
+    tilt: best.tilt,
+    azimuth: best.tilt === 0 ? 0 : best.azimuth,
+    insolation: best.insolation,
+    horizontalInsolation,
+    gain: horizontalInsolation > 0 ? best.insolation / horizontalInsolation - 1 : 0
+  };
+}
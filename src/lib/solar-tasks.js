@@ -0,0 +1,71 @@
+/**
+ * Solar Tasks
+ * Registry of the heavy solar computations that can run off the main thread
+ */
+
+import { calculateSunPositionBatch } from './solar-calculator.js';
+import { calculateAnnualDaylight, generateElevationHeatmap } from './annual-daylight.js';
+import { generateAnalemma } from './analemma.js';
+import { findSunAlignments } from './alignment-finder.js';
+import { calculateShadowSweep } from './building-shadows.js';
+import { calculateSunExposure } from './sun-exposure.js';
+import { generateIrradianceSeries } from './irradiance.js';
+import { calculatePanelSeries, findOptimalOrientation } from './solar-panel.js';
+import { planMilkyWayVisibility } from './star-calculator.js';
+
+/**
+ * Error codes for solar computations
+ */
+export const SOLAR_COMPUTATION_ERRORS = {
+  UNKNOWN_TASK: 'UNKNOWN_TASK',
+  CANCELLED: 'CANCELLED',
+  WORKER_FAILED: 'WORKER_FAILED'
+};
+
+/**
+ * Custom error class for solar computation errors
+ */
+export class SolarComputationError extends Error {
+  constructor(message, code, originalError = null) {
+    super(message);
+    this.name = 'SolarComputationError';
+    this.code = code;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Computations available by name
+ * Arguments and results must survive structured cloning, so none of these take callbacks
+ */
+export const SOLAR_TASKS = {
+  calculateSunPositionBatch,
+  calculateAnnualDaylight,
+  generateElevationHeatmap,
+  generateAnalemma,
+  findSunAlignments,
+  calculateShadowSweep,
+  calculateSunExposure,
+  generateIrradianceSeries,
+  calculatePanelSeries,
+  findOptimalOrientation,
+  planMilkyWayVisibility
+};
+
+/**
+ * Runs a registered computation on the current thread
+ * @param {string} task - Task name from SOLAR_TASKS
+ * @param {Array} args - Arguments for the task
+ * @returns {*} Task result
+ */
+export function runSolarTask(task, args = []) {
+  if (!Object.hasOwn(SOLAR_TASKS, task)) {
+    throw new SolarComputationError(`Unknown solar task: ${task}`, SOLAR_COMPUTATION_ERRORS.UNKNOWN_TASK);
+  }
+  
+  if (!Array.isArray(args)) {
+    throw new Error('Task arguments must be an array');
+  }
+  
+  return SOLAR_TASKS[task](...args);
+}
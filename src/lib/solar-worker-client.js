@@ -0,0 +1,214 @@
+/**
+ * Solar Worker Client
+ * Promise-based access to the heavy solar computations, run in a Web Worker where one is available
+ * and synchronously otherwise (Node, tests and server rendering)
+ */
+
+import { runSolarTask, SolarComputationError, SOLAR_COMPUTATION_ERRORS } from './solar-tasks.js';
+
+/**
+ * Checks whether module Web Workers can be created in this environment
+ * @returns {boolean} True if Web Workers are available
+ */
+export function isWorkerSupported() {
+  return typeof window !== 'undefined' && typeof Worker !== 'undefined';
+}
+
+/**
+ * Creates the default worker
+ * @returns {Worker} Solar worker
+ */
+function createDefaultWorker() {
+  return new Worker(new URL('./solar.worker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * Creates the error a cancelled computation rejects with
+ * @param {string} task - Task name
+ * @returns {SolarComputationError} Cancellation error
+ */
+function createCancelledError(task) {
+  return new SolarComputationError(`Solar task cancelled: ${task}`, SOLAR_COMPUTATION_ERRORS.CANCELLED);
+}
+
+/**
+ * Rebuilds an error posted back by the worker
+ * @param {Object} error - Posted error with name, message and code
+ * @returns {Error} Error for the caller
+ */
+function reviveError(error) {
+  if (error.code) {
+    return new SolarComputationError(error.message, error.code);
+  }
+  
+  const revived = new Error(error.message);
+  revived.name = error.name;
+  return revived;
+}
+
+/**
+ * Runs a computation on the current thread, settling the promise before returning
+ * @param {string} task - Task name from SOLAR_TASKS
+ * @param {Array} args - Arguments for the task
+ * @param {AbortSignal} signal - Optional signal; an already-aborted signal skips the computation
+ * @returns {Promise<*>} Task result
+ */
+function runSynchronously(task, args, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError(task));
+      return;
+    }
+    
+    resolve(runSolarTask(task, args));
+  });
+}
+
+/**
+ * Creates a client that runs solar computations in a Web Worker
+ * A computation can't be interrupted inside the worker, so cancelling one replaces the worker
+ * and resubmits whatever else was waiting on it
+ * @param {Object} options - Client options
+ * @param {Function} options.createWorker - Worker factory (default: the bundled solar worker)
+ * @param {boolean} options.useWorker - Run computations in a worker (default: when Web Workers are available)
+ * @returns {Object} Client with run and terminate
+ */
+export function createSolarWorkerClient(options = {}) {
+  const { createWorker = createDefaultWorker, useWorker = isWorkerSupported() } = options;
+  const pending = new Map();
+  let worker = null;
+  let nextId = 0;
+  
+  const rejectAll = (error) => {
+    pending.forEach(({ reject, cleanup }) => {
+      cleanup();
+      reject(error);
+    });
+    pending.clear();
+  };
+  
+  const handleMessage = (event) => {
+    const { id, result, error } = event.data;
+    const job = pending.get(id);
+    if (!job) {
+      return;
+    }
+    
+    pending.delete(id);
+    job.cleanup();
+    
+    if (error) {
+      job.reject(reviveError(error));
+    } else {
+      job.resolve(result);
+    }
+  };
+  
+  const handleError = (event) => {
+    event.preventDefault?.();
+    stopWorker();
+    rejectAll(new SolarComputationError(
+      `Solar worker failed: ${event.message || 'unknown error'}`,
+      SOLAR_COMPUTATION_ERRORS.WORKER_FAILED,
+      event
+    ));
+  };
+  
+  const startWorker = () => {
+    if (!worker) {
+      worker = createWorker();
+      worker.onmessage = handleMessage;
+      worker.onerror = handleError;
+    }
+    return worker;
+  };
+  
+  const stopWorker = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  };
+  
+  const cancel = (id) => {
+    const job = pending.get(id);
+    if (!job) {
+      return;
+    }
+    
+    pending.delete(id);
+    job.cleanup();
+    job.reject(createCancelledError(job.task));
+    
+    stopWorker();
+    pending.forEach((remaining, remainingId) => {
+      startWorker().postMessage({ id: remainingId, task: remaining.task, args: remaining.args });
+    });
+  };
+  
+  /**
+   * Runs a computation
+   * @param {string} task - Task name from SOLAR_TASKS
+   * @param {Array} args - Arguments for the task; must be structured-cloneable
+   * @param {Object} runOptions - Run options
+   * @param {AbortSignal} runOptions.signal - Signal that cancels the computation
+   * @returns {Promise<*>} Task result; rejects with a CANCELLED SolarComputationError when cancelled
+   */
+  const run = (task, args = [], runOptions = {}) => {
+    const { signal } = runOptions;
+    
+    if (!useWorker) {
+      return runSynchronously(task, args, signal);
+    }
+    
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createCancelledError(task));
+        return;
+      }
+      
+      const id = nextId++;
+      const onAbort = () => cancel(id);
+      const cleanup = () => signal?.removeEventListener('abort', onAbort);
+      
+      pending.set(id, { task, args, resolve, reject, cleanup });
+      signal?.addEventListener('abort', onAbort);
+      startWorker().postMessage({ id, task, args });
+    });
+  };
+  
+  /**
+   * Stops the worker and cancels every waiting computation
+   */
+  const terminate = () => {
+    stopWorker();
+    pending.forEach(({ task, reject, cleanup }) => {
+      cleanup();
+      reject(createCancelledError(task));
+    });
+    pending.clear();
+  };
+  
+  return {
+    run,
+    terminate,
+    usesWorker: useWorker
+  };
+}
+
+let sharedClient = null;
+
+/**
+ * Runs a computation on the shared client, in a Web Worker where one is available
+ * @param {string} task - Task name from SOLAR_TASKS
+ * @param {Array} args - Arguments for the task
+ * @param {Object} options - Run options
+ * @param {AbortSignal} options.signal - Signal that cancels the computation
+ * @returns {Promise<*>} Task result
+ */
+export function runSolarComputation(task, args = [], options = {}) {
+  if (!sharedClient) {
+    sharedClient = createSolarWorkerClient();
+  }
+  return sharedClient.run(task, args, options);
+}
@@ -0,0 +1,35 @@
+/**
+ * Solar Worker
+ * Runs registered solar computations in a Web Worker for the solar worker client
+ */
+
+import { runSolarTask } from './solar-tasks.js';
+
+/**
+ * Collects the buffers of typed arrays in a result so they move to the main thread instead of being copied
+ * @param {*} value - Task result
+ * @param {Set} buffers - Buffers found so far
+ * @returns {Set} Buffers found
+ */
+function collectTransferables(value, buffers = new Set()) {
+  if (ArrayBuffer.isView(value)) {
+    buffers.add(value.buffer);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectTransferables(item, buffers));
+  } else if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    Object.values(value).forEach(item => collectTransferables(item, buffers));
+  }
+  
+  return buffers;
+}
+
+self.onmessage = (event) => {
+  const { id, task, args } = event.data;
+  
+  try {
+    const result = runSolarTask(task, args);
+    self.postMessage({ id, result }, [...collectTransferables(result)]);
+  } catch (error) {
+    self.postMessage({ id, error: { name: error.name, message: error.message, code: error.code } });
+  }
+};
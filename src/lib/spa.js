@@ -0,0 +1,465 @@
+/**
+ * Solar Position Algorithm (SPA)
+ * High-precision sun position after Reda and Andreas (NREL/TP-560-34302, 2008),
+ * with nutation, aberration, ΔT and topocentric parallax
+ * Dates are read as proleptic Gregorian UTC instants, to the millisecond
+ */
+
+/**
+ * Precision modes of calculateSunPosition
+ */
+export const PRECISION_MODES = {
+  STANDARD: 'standard',
+  HIGH: 'high'
+};
+
+const DEGREES = Math.PI / 180;
+const J2000 = 2451545;
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+const MS_PER_DAY = 86400000;
+const EARTH_RADIUS = 6378140; // metres
+const SUN_RADIUS = 0.26667; // degrees
+const DEFAULT_ATMOSPHERIC_REFRACTION = 0.5667; // degrees at sunrise and sunset
+const DEFAULT_PRESSURE = 1010; // millibars
+const DEFAULT_TEMPERATURE = 10; // degrees Celsius
+
+/**
+ * Periodic terms of the heliocentric longitude, as [A, B, C] for A·cos(B + C·JME)
+ */
+const L_TERMS = [
+  [
+    [175347046, 0, 0], [3341656, 4.6692568, 6283.07585], [34894, 4.6261, 12566.1517],
+    [3497, 2.7441, 5753.3849], [3418, 2.8289, 3.5231], [3136, 3.6277, 77713.7715],
+    [2676, 4.4181, 7860.4194], [2343, 6.1352, 3930.2097], [1324, 0.7425, 11506.7698],
+    [1273, 2.0371, 529.691], [1199, 1.1096, 1577.3435], [990, 5.233, 5884.927],
+    [902, 2.045, 26.298], [857, 3.508, 398.149], [780, 1.179, 5223.694],
+    [753, 2.533, 5507.553], [505, 4.583, 18849.228], [492, 4.205, 775.523],
+    [357, 2.92, 0.067], [317, 5.849, 11790.629], [284, 1.899, 796.298],
+    [271, 0.315, 10977.079], [243, 0.345, 5486.778], [206, 4.806, 2544.314],
+    [205, 1.869, 5573.143], [202, 2.458, 6069.777], [156, 0.833, 213.299],
+    [132, 3.411, 2942.463], [126, 1.083, 20.775], [115, 0.645, 0.98],
+    [103, 0.636, 4694.003], [102, 0.976, 15720.839], [102, 4.267, 7.114],
+    [99, 6.21, 2146.17], [98, 0.68, 155.42], [86, 5.98, 161000.69],
+    [85, 1.3, 6275.96], [85, 3.67, 71430.7], [80, 1.81, 17260.15],
+    [79, 3.04, 12036.46], [75, 1.76, 5088.63], [74, 3.5, 3154.69],
+    [74, 4.68, 801.82], [70, 0.83, 9437.76], [62, 3.98, 8827.39],
+    [61, 1.82, 7084.9], [57, 2.78, 6286.6], [56, 4.39, 14143.5],
+    [56, 3.47, 6279.55], [52, 0.19, 12139.55], [52, 1.33, 1748.02],
+    [51, 0.28, 5856.48], [49, 0.49, 1194.45], [41, 5.37, 8429.24],
+    [41, 2.4, 19651.05], [39, 6.17, 10447.39], [37, 6.04, 10213.29],
+    [37, 2.57, 1059.38], [36, 1.71, 2352.87], [36, 1.78, 6812.77],
+    [33, 0.59, 17789.85], [30, 0.44, 83996.85], [30, 2.74, 1349.87],
+    [25, 3.16, 4690.48]
+  ],
+  [
+    [628331966747, 0, 0], [206059, 2.678235, 6283.07585], [4303, 2.6351, 12566.1517],
+    [425, 1.59, 3.523], [119, 5.796, 26.298], [109, 2.966, 1577.344],
+    [93, 2.59, 18849.23], [72, 1.14, 529.69], [68, 1.87, 398.15],
+    [67, 4.41, 5507.55], [59, 2.89, 5223.69], [56, 2.17, 155.42],
+    [45, 0.4, 796.3], [36, 0.47, 775.52], [29, 2.65, 7.11],
+    [21, 5.34, 0.98], [19, 1.85, 5486.78], [19, 4.97, 213.3],
+    [17, 2.99, 6275.96], [16, 0.03, 2544.31], [16, 1.43, 2146.17],
+    [15, 1.21, 10977.08], [12, 2.83, 1748.02], [12, 3.26, 5088.63],
+    [12, 5.27, 1194.45], [12, 2.08, 4694], [11, 0.77, 553.57],
+    [10, 1.3, 6286.6], [10, 4.24, 1349.87], [9, 2.7, 242.73],
+    [9, 5.64, 951.72], [8, 5.3, 2352.87], [6, 2.65, 9437.76],
+    [6, 4.67, 4690.48]
+  ],
+  [
+    [52919, 0, 0], [8720, 1.0721, 6283.0758], [309, 0.867, 12566.152],
+    [27, 0.05, 3.52], [16, 5.19, 26.3], [16, 3.68, 155.42],
+    [10, 0.76, 18849.23], [9, 2.06, 77713.77], [7, 0.83, 775.52],
+    [5, 4.66, 1577.34], [4, 1.03, 7.11], [4, 3.44, 5573.14],
+    [3, 5.14, 796.3], [3, 6.05, 5507.55], [3, 1.19, 242.73],
+    [3, 6.12, 529.69], [3, 0.31, 398.15], [3, 2.28, 553.57],
+    [2, 4.38, 5223.69], [2, 3.75, 0.98]
+  ],
+  [
+    [289, 5.844, 6283.076], [35, 0, 0], [17, 5.49, 12566.15],
+    [3, 5.2, 155.42], [1, 4.72, 3.52], [1, 5.3, 18849.23],
+    [1, 5.97, 242.73]
+  ],
+  [
+    [114, 3.142, 0], [8, 4.13, 6283.08], [1, 3.84, 12566.15]
+  ],
+  [
+    [1, 3.14, 0]
+  ]
+];
+
+/**
+ * Periodic terms of the heliocentric latitude
+ */
+const B_TERMS = [
+  [
+    [280, 3.199, 84334.662], [102, 5.422, 5507.553], [80, 3.88, 5223.69],
+    [44, 3.7, 2352.87], [32, 4, 1577.34]
+  ],
+  [
+    [9, 3.9, 5507.55], [6, 1.73, 5223.69]
+  ]
+];
+
+/**
+ * Periodic terms of the Earth radius vector
+ */
+const R_TERMS = [
+  [
+    [100013989, 0, 0], [1670700, 3.0984635, 6283.07585], [13956, 3.05525, 12566.1517],
+    [3084, 5.1985, 77713.7715], [1628, 1.1739, 5753.3849], [1576, 2.8469, 7860.4194],
+    [925, 5.453, 11506.77], [542, 4.564, 3930.21], [472, 3.661, 5884.927],
+    [346, 0.964, 5507.553], [329, 5.9, 5223.694], [307, 0.299, 5573.143],
+    [243, 4.273, 11790.629], [212, 5.847, 1577.344], [186, 5.022, 10977.079],
+    [175, 3.012, 18849.228], [110, 5.055, 5486.778], [98, 0.89, 6069.78],
+    [86, 5.69, 15720.84], [86, 1.27, 161000.69], [65, 0.27, 17260.15],
+    [63, 0.92, 529.69], [57, 2.01, 83996.85], [56, 5.24, 71430.7],
+    [49, 3.25, 2544.31], [47, 2.58, 775.52], [45, 5.54, 9437.76],
+    [43, 6.01, 6275.96], [39, 5.36, 4694], [38, 2.39, 8827.39],
+    [37, 0.83, 19651.05], [37, 4.9, 12139.55], [36, 1.67, 12036.46],
+    [35, 1.84, 2942.46], [33, 0.24, 7084.9], [32, 0.18, 5088.63],
+    [32, 1.78, 398.15], [28, 1.21, 6286.6], [28, 1.9, 6279.55],
+    [26, 4.59, 10447.39]
+  ],
+  [
+    [103019, 1.10749, 6283.07585], [1721, 1.0644, 12566.1517], [702, 3.142, 0],
+    [32, 1.02, 18849.23], [31, 2.84, 5507.55], [25, 1.32, 5223.69],
+    [18, 1.42, 1577.34], [10, 5.91, 10977.08], [9, 1.42, 6275.96],
+    [9, 0.27, 5486.78]
+  ],
+  [
+    [4359, 5.7846, 6283.0758], [124, 5.579, 12566.152], [12, 3.14, 0],
+    [9, 3.63, 77713.77], [6, 1.87, 5573.14], [3, 5.47, 18849.23]
+  ],
+  [
+    [145, 4.273, 6283.076], [7, 3.92, 12566.15]
+  ],
+  [
+    [4, 2.56, 6283.08]
+  ]
+];
+
+/**
+ * Nutation terms as [Y0, Y1, Y2, Y3, Y4, a, b, c, d]: multiples of the lunar and solar arguments,
+ * then the longitude (a + b·JCE) and obliquity (c + d·JCE) coefficients in 0.0001″
+ */
+const NUTATION_TERMS = [
+  [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+  [-2, 0, 0, 2, 2, -13187, -1.6, 5736, -3.1],
+  [0, 0, 0, 2, 2, -2274, -0.2, 977, -0.5],
+  [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+  [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+  [0, 0, 1, 0, 0, 712, 0.1, -7, 0],
+  [-2, 1, 0, 2, 2, -517, 1.2, 224, -0.6],
+  [0, 0, 0, 2, 1, -386, -0.4, 200, 0],
+  [0, 0, 1, 2, 2, -301, 0, 129, -0.1],
+  [-2, -1, 0, 2, 2, 217, -0.5, -95, 0.3],
+  [-2, 0, 1, 0, 0, -158, 0, 0, 0],
+  [-2, 0, 0, 2, 1, 129, 0.1, -70, 0],
+  [0, 0, -1, 2, 2, 123, 0, -53, 0],
+  [2, 0, 0, 0, 0, 63, 0, 0, 0],
+  [0, 0, 1, 0, 1, 63, 0.1, -33, 0],
+  [2, 0, -1, 2, 2, -59, 0, 26, 0],
+  [0, 0, -1, 0, 1, -58, -0.1, 32, 0],
+  [0, 0, 1, 2, 1, -51, 0, 27, 0],
+  [-2, 0, 2, 0, 0, 48, 0, 0, 0],
+  [0, 0, -2, 2, 1, 46, 0, -24, 0],
+  [2, 0, 0, 2, 2, -38, 0, 16, 0],
+  [0, 0, 2, 2, 2, -31, 0, 13, 0],
+  [0, 0, 2, 0, 0, 29, 0, 0, 0],
+  [-2, 0, 1, 2, 2, 29, 0, -12, 0],
+  [0, 0, 0, 2, 0, 26, 0, 0, 0],
+  [-2, 0, 0, 2, 0, -22, 0, 0, 0],
+  [0, 0, -1, 2, 1, 21, 0, -10, 0],
+  [0, 2, 0, 0, 0, 17, -0.1, 0, 0],
+  [2, 0, -1, 0, 1, 16, 0, -8, 0],
+  [-2, 2, 0, 2, 2, -16, 0.1, 7, 0],
+  [0, 1, 0, 0, 1, -15, 0, 9, 0],
+  [-2, 0, 1, 0, 1, -13, 0, 7, 0],
+  [0, -1, 0, 0, 1, -12, 0, 6, 0],
+  [0, 0, 2, -2, 0, 11, 0, 0, 0],
+  [2, 0, -1, 2, 1, -10, 0, 5, 0],
+  [2, 0, 1, 2, 2, -8, 0, 3, 0],
+  [0, 1, 0, 2, 2, 7, 0, -3, 0],
+  [-2, 1, 1, 0, 0, -7, 0, 0, 0],
+  [0, -1, 0, 2, 2, -7, 0, 3, 0],
+  [2, 0, 0, 2, 1, -7, 0, 3, 0],
+  [2, 0, 1, 0, 0, 6, 0, 0, 0],
+  [-2, 0, 2, 2, 2, 6, 0, -3, 0],
+  [-2, 0, 1, 2, 1, 6, 0, -3, 0],
+  [2, 0, -2, 0, 1, -6, 0, 3, 0],
+  [2, 0, 0, 0, 1, -6, 0, 3, 0],
+  [0, -1, 1, 0, 0, 5, 0, 0, 0],
+  [-2, -1, 0, 2, 1, -5, 0, 3, 0],
+  [-2, 0, 0, 0, 1, -5, 0, 3, 0],
+  [0, 0, 2, 2, 1, -5, 0, 3, 0],
+  [-2, 0, 2, 0, 1, 4, 0, 0, 0],
+  [-2, 1, 0, 2, 1, 4, 0, 0, 0],
+  [0, 0, 1, -2, 0, 4, 0, 0, 0],
+  [-1, 0, 1, 0, 0, -4, 0, 0, 0],
+  [-2, 1, 0, 0, 0, -4, 0, 0, 0],
+  [1, 0, 0, 0, 0, -4, 0, 0, 0],
+  [0, 0, 1, 2, 0, 3, 0, 0, 0],
+  [0, 0, -2, 2, 2, -3, 0, 0, 0],
+  [-1, -1, 1, 0, 0, -3, 0, 0, 0],
+  [0, 1, 1, 0, 0, -3, 0, 0, 0],
+  [0, -1, 1, 2, 2, -3, 0, 0, 0],
+  [2, -1, -1, 2, 2, -3, 0, 0, 0],
+  [0, 0, 3, 2, 2, -3, 0, 0, 0],
+  [2, -1, 0, 2, 2, -3, 0, 0, 0]
+];
+
+/**
+ * Limits an angle to 0-360 degrees
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Equivalent angle in [0, 360)
+ */
+function limitDegrees(degrees) {
+  const limited = degrees % 360;
+  return limited < 0 ? limited + 360 : limited;
+}
+
+/**
+ * Evaluates a polynomial in x with coefficients in ascending order
+ * @param {Array} coefficients - Coefficients of x⁰, x¹, ...
+ * @param {number} x - Variable
+ * @returns {number} Polynomial value
+ */
+function polynomial(coefficients, x) {
+  return coefficients.reduceRight((sum, coefficient) => sum * x + coefficient, 0);
+}
+
+/**
+ * Sums a series of periodic term groups into a polynomial in Julian ephemeris millennia
+ * @param {Array} groups - Term groups, one per power of JME
+ * @param {number} jme - Julian ephemeris millennium
+ * @returns {number} Value in radians
+ */
+function sumPeriodicTerms(groups, jme) {
+  const sums = groups.map(terms => terms.reduce((sum, [a, b, c]) => sum + a * Math.cos(b + c * jme), 0));
+  return polynomial(sums, jme) / 1e8;
+}
+
+/**
+ * Estimates ΔT, the difference between Terrestrial Time and Universal Time
+ * Uses the polynomial expressions of Espenak and Meeus (NASA Five Millennium Canon of Solar Eclipses)
+ * @param {Date} date - Date for the estimate
+ * @returns {number} ΔT in seconds
+ */
+export function estimateDeltaT(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  const y = date.getUTCFullYear() + (date.getUTCMonth() + 0.5) / 12;
+  
+  if (y < -500 || y >= 2150) {
+    const u = (y - 1820) / 100;
+    return -20 + 32 * u * u;
+  }
+  if (y < 500) {
+    return polynomial([10583.6, -1014.41, 33.78311, -5.952053, -0.1798452, 0.022174192, 0.0090316521], y / 100);
+  }
+  if (y < 1600) {
+    return polynomial([1574.2, -556.01, 71.23472, 0.319781, -0.8503463, -0.005050998, 0.0083572073], (y - 1000) / 100);
+  }
+  if (y < 1700) {
+    return polynomial([120, -0.9808, -0.01532, 1 / 7129], y - 1600);
+  }
+  if (y < 1800) {
+    return polynomial([8.83, 0.1603, -0.0059285, 0.00013336, -1 / 1174000], y - 1700);
+  }
+  if (y < 1860) {
+    return polynomial([13.72, -0.332447, 0.0068612, 0.0041116, -0.00037436, 0.0000121272, -0.0000001699, 0.000000000875], y - 1800);
+  }
+  if (y < 1900) {
+    return polynomial([7.62, 0.5737, -0.251754, 0.01680668, -0.0004473624, 1 / 233174], y - 1860);
+  }
+  if (y < 1920) {
+    return polynomial([-2.79, 1.494119, -0.0598939, 0.0061966, -0.000197], y - 1900);
+  }
+  if (y < 1941) {
+    return polynomial([21.2, 0.84493, -0.0761, 0.0020936], y - 1920);
+  }
+  if (y < 1961) {
+    return polynomial([29.07, 0.407, -1 / 233, 1 / 2547], y - 1950);
+  }
+  if (y < 1986) {
+    return polynomial([45.45, 1.067, -1 / 260, -1 / 718], y - 1975);
+  }
+  if (y < 2005) {
+    return polynomial([63.86, 0.3345, -0.060374, 0.0017275, 0.000651814, 0.00002373599], y - 2000);
+  }
+  if (y < 2050) {
+    return polynomial([62.92, 0.32217, 0.005589], y - 2000);
+  }
+  
+  const u = (y - 1820) / 100;
+  return -20 + 32 * u * u - 0.5628 * (2150 - y);
+}
+
+/**
+ * Calculates the Julian Day of an instant, to the millisecond
+ * @param {Date} date - Date and time (UTC)
+ * @returns {number} Julian Day
+ */
+export function getPreciseJulianDay(date) {
+  return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JULIAN_DAY;
+}
+
+/**
+ * Calculates nutation in longitude and obliquity
+ * @param {number} jce - Julian ephemeris century
+ * @returns {Object} longitude and obliquity nutation in degrees
+ */
+function calculateNutation(jce) {
+  const x = [
+    polynomial([297.85036, 445267.11148, -0.0019142, 1 / 189474], jce), // mean elongation of the moon
+    polynomial([357.52772, 35999.05034, -0.0001603, -1 / 300000], jce), // mean anomaly of the sun
+    polynomial([134.96298, 477198.867398, 0.0086972, 1 / 56250], jce), // mean anomaly of the moon
+    polynomial([93.27191, 483202.017538, -0.0036825, 1 / 327270], jce), // moon's argument of latitude
+    polynomial([125.04452, -1934.136261, 0.0020708, 1 / 450000], jce) // longitude of the moon's ascending node
+  ];
+  
+  let longitude = 0;
+  let obliquity = 0;
+  
+  NUTATION_TERMS.forEach(term => {
+    const argument = (term[0] * x[0] + term[1] * x[1] + term[2] * x[2] + term[3] * x[3] + term[4] * x[4]) * DEGREES;
+    longitude += (term[5] + term[6] * jce) * Math.sin(argument);
+    obliquity += (term[7] + term[8] * jce) * Math.cos(argument);
+  });
+  
+  return {
+    longitude: longitude / 36000000,
+    obliquity: obliquity / 36000000
+  };
+}
+
+/**
+ * Calculates the sun's topocentric position with the NREL Solar Position Algorithm
+ * Stated uncertainty is ±0.0003° for years -2000 to 6000, given an accurate ΔT
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date and time for calculation (UTC, millisecond resolution)
+ * @param {Object} options - Observer and time scale options
+ * @param {number} options.altitude - Observer altitude in metres above sea level (default: 0)
+ * @param {number} options.pressure - Air pressure in millibars (default: 1010)
+ * @param {number} options.temperature - Air temperature in degrees Celsius (default: 10)
+ * @param {number} options.deltaT - TT − UT in seconds (default: estimated with estimateDeltaT)
+ * @param {number} options.deltaUT1 - UT1 − UTC in seconds (default: 0)
+ * @returns {Object} Topocentric azimuth, zenith, elevation and apparentElevation with geocentric
+ * rightAscension, declination and distance (AU), the equationOfTime in minutes, julianDay and deltaT
+ */
+export function calculateSpaPosition(latitude, longitude, date, options = {}) {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number' || isNaN(latitude) || isNaN(longitude) ||
+    latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  const {
+    altitude = 0,
+    pressure = DEFAULT_PRESSURE,
+    temperature = DEFAULT_TEMPERATURE,
+    deltaUT1 = 0
+  } = options;
+  const deltaT = typeof options.deltaT === 'number' ? options.deltaT : estimateDeltaT(date);
+  
+  if (typeof deltaT !== 'number' || isNaN(deltaT) || typeof deltaUT1 !== 'number' || isNaN(deltaUT1)) {
+    throw new Error('Invalid time scale correction provided');
+  }
+  
+  // Time scales
+  const julianDay = getPreciseJulianDay(date) + deltaUT1 / 86400;
+  const julianEphemerisDay = julianDay + deltaT / 86400;
+  const jc = (julianDay - J2000) / 36525;
+  const jce = (julianEphemerisDay - J2000) / 36525;
+  const jme = jce / 10;
+  
+  // Heliocentric position of the Earth, turned into the geocentric position of the sun
+  const heliocentricLongitude = limitDegrees(sumPeriodicTerms(L_TERMS, jme) / DEGREES);
+  const heliocentricLatitude = sumPeriodicTerms(B_TERMS, jme) / DEGREES;
+  const distance = sumPeriodicTerms(R_TERMS, jme);
+  const geocentricLongitude = limitDegrees(heliocentricLongitude + 180);
+  const geocentricLatitude = -heliocentricLatitude;
+  
+  // Nutation, obliquity of the ecliptic and aberration
+  const nutation = calculateNutation(jce);
+  const meanObliquity = polynomial([84381.448, -4680.93, -1.55, 1999.25, -51.38, -249.67, -39.05, 7.12, 27.87, 5.79, 2.45], jme / 10);
+  const obliquity = meanObliquity / 3600 + nutation.obliquity;
+  const aberration = -20.4898 / (3600 * distance);
+  const apparentLongitude = geocentricLongitude + nutation.longitude + aberration;
+  
+  // Apparent sidereal time at Greenwich
+  const meanSiderealTime = limitDegrees(
+    280.46061837 + 360.98564736629 * (julianDay - J2000) + jc * jc * (0.000387933 - jc / 38710000)
+  );
+  const siderealTime = meanSiderealTime + nutation.longitude * Math.cos(obliquity * DEGREES);
+  
+  // Geocentric equatorial coordinates
+  const lambda = apparentLongitude * DEGREES;
+  const epsilon = obliquity * DEGREES;
+  const beta = geocentricLatitude * DEGREES;
+  const rightAscension = limitDegrees(Math.atan2(
+    Math.sin(lambda) * Math.cos(epsilon) - Math.tan(beta) * Math.sin(epsilon),
+    Math.cos(lambda)
+  ) / DEGREES);
+  const declination = Math.asin(
+    Math.sin(beta) * Math.cos(epsilon) + Math.cos(beta) * Math.sin(epsilon) * Math.sin(lambda)
+  ) / DEGREES;
+  const hourAngle = limitDegrees(siderealTime + longitude - rightAscension);
+  
+  // Parallax for an observer on the Earth's surface
+  const phi = latitude * DEGREES;
+  const xi = 8.794 / (3600 * distance) * DEGREES;
+  const u = Math.atan(0.99664719 * Math.tan(phi));
+  const x = Math.cos(u) + altitude / EARTH_RADIUS * Math.cos(phi);
+  const y = 0.99664719 * Math.sin(u) + altitude / EARTH_RADIUS * Math.sin(phi);
+  const delta = declination * DEGREES;
+  const h = hourAngle * DEGREES;
+  const denominator = Math.cos(delta) - x * Math.sin(xi) * Math.cos(h);
+  const parallax = Math.atan2(-x * Math.sin(xi) * Math.sin(h), denominator);
+  const topocentricDeclination = Math.atan2((Math.sin(delta) - y * Math.sin(xi)) * Math.cos(parallax), denominator);
+  const topocentricHourAngle = h - parallax;
+  
+  // Topocentric horizontal coordinates
+  const elevation = Math.asin(
+    Math.sin(phi) * Math.sin(topocentricDeclination) +
+    Math.cos(phi) * Math.cos(topocentricDeclination) * Math.cos(topocentricHourAngle)
+  ) / DEGREES;
+  let refraction = 0;
+  if (elevation >= -(SUN_RADIUS + DEFAULT_ATMOSPHERIC_REFRACTION)) {
+    refraction = (pressure / 1010) * (283 / (273 + temperature)) *
+      1.02 / (60 * Math.tan((elevation + 10.3 / (elevation + 5.11)) * DEGREES));
+  }
+  const apparentElevation = elevation + refraction;
+  const azimuth = limitDegrees(Math.atan2(
+    Math.sin(topocentricHourAngle),
+    Math.cos(topocentricHourAngle) * Math.sin(phi) - Math.tan(topocentricDeclination) * Math.cos(phi)
+  ) / DEGREES + 180);
+  
+  // Equation of time from the sun's mean longitude
+  const meanLongitude = limitDegrees(polynomial([280.4664567, 360007.6982779, 0.03032028, 1 / 49931, -1 / 15300, -1 / 2000000], jme));
+  let equationOfTime = 4 * (meanLongitude - 0.0057183 - rightAscension + nutation.longitude * Math.cos(epsilon));
+  if (equationOfTime > 20) {
+    equationOfTime -= 1440;
+  } else if (equationOfTime < -20) {
+    equationOfTime += 1440;
+  }
+  
+  return {
+    azimuth,
+    zenith: 90 - apparentElevation,
+    elevation,
+    apparentElevation,
+    rightAscension,
+    declination,
+    distance,
+    equationOfTime,
+    julianDay,
+    deltaT
+  };
+}
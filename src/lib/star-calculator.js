@@ -0,0 +1,365 @@
+/**
+ * Star Calculator
+ * Positions of fixed objects from J2000 right ascension and declination, and a planner for
+ * nights when the Milky Way core is up during astronomical darkness
+ */
+
+import {
+  validateCoordinates,
+  calculateSunPosition,
+  calculateAtmosphericRefraction,
+  normalizeDate,
+  toRadians,
+  toDegrees,
+  getJulianDay
+} from './solar-calculator.js';
+import { findElevationCrossings, getLocalDayWindow, CROSSING_DIRECTIONS } from './elevation-events.js';
+
+/**
+ * The galactic centre (Sagittarius A*), J2000 equatorial coordinates in degrees
+ */
+export const GALACTIC_CENTER = {
+  name: 'Galactic Centre',
+  rightAscension: 266.41683,
+  declination: -29.00781
+};
+
+const HORIZON_REFRACTION = -0.5667; // elevation of a point source on the refracted horizon
+const ASTRONOMICAL_DARKNESS = -18;
+const MAX_RANGE_DAYS = 3660;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Normalizes an angle to the range [0, 360)
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Normalized angle in degrees
+ */
+function normalizeAngle(degrees) {
+  const angle = degrees % 360;
+  return angle < 0 ? angle + 360 : angle;
+}
+
+/**
+ * Validates a date argument
+ * @param {Date} date - Date to validate
+ */
+function assertValidDate(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+}
+
+/**
+ * Validates a fixed object's equatorial coordinates
+ * @param {Object} star - Object with rightAscension (0-360) and declination (-90 to 90) in degrees
+ */
+function assertValidStar(star) {
+  if (!star || typeof star !== 'object' ||
+      typeof star.rightAscension !== 'number' || isNaN(star.rightAscension) ||
+      typeof star.declination !== 'number' || isNaN(star.declination) ||
+      star.rightAscension < 0 || star.rightAscension >= 360 ||
+      star.declination < -90 || star.declination > 90) {
+    throw new Error('Invalid star coordinates provided');
+  }
+}
+
+/**
+ * Calculates Greenwich mean sidereal time (Meeus, Astronomical Algorithms, eq. 12.4)
+ * @param {Date} date - Date and time for calculation
+ * @returns {number} Sidereal time in degrees
+ */
+export function calculateGreenwichSiderealTime(date) {
+  assertValidDate(date);
+  
+  const julianDay = getJulianDay(date);
+  const T = (julianDay - 2451545.0) / 36525;
+  return normalizeAngle(280.46061837 + 360.98564736629 * (julianDay - 2451545.0) + 0.000387933 * T * T - T * T * T / 38710000);
+}
+
+/**
+ * Calculates local mean sidereal time
+ * @param {Date} date - Date and time for calculation
+ * @param {number} longitude - Longitude in decimal degrees (east positive)
+ * @returns {number} Sidereal time in degrees
+ */
+export function calculateLocalSiderealTime(date, longitude) {
+  if (typeof longitude !== 'number' || isNaN(longitude) || longitude < -180 || longitude > 180) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  return normalizeAngle(calculateGreenwichSiderealTime(date) + longitude);
+}
+
+/**
+ * Precesses J2000 equatorial coordinates to the mean equator and equinox of a date (Meeus, ch. 21)
+ * @param {number} rightAscension - J2000 right ascension in degrees
+ * @param {number} declination - J2000 declination in degrees
+ * @param {Date} date - Date to precess to
+ * @returns {Object} Right ascension and declination of date in degrees
+ */
+export function precessCoordinates(rightAscension, declination, date) {
+  assertValidStar({ rightAscension, declination });
+  assertValidDate(date);
+  
+  const T = (getJulianDay(date) - 2451545.0) / 36525;
+  const zeta = toRadians((2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) / 3600);
+  const z = toRadians((2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) / 3600);
+  const theta = toRadians((2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) / 3600);
+  
+  const alpha = toRadians(rightAscension) + zeta;
+  const delta = toRadians(declination);
+  const A = Math.cos(delta) * Math.sin(alpha);
+  const B = Math.cos(theta) * Math.cos(delta) * Math.cos(alpha) - Math.sin(theta) * Math.sin(delta);
+  const C = Math.sin(theta) * Math.cos(delta) * Math.cos(alpha) + Math.cos(theta) * Math.sin(delta);
+  
+  return {
+    rightAscension: normalizeAngle(toDegrees(Math.atan2(A, B) + z)),
+    declination: toDegrees(Math.asin(C))
+  };
+}
+
+/**
+ * Calculates the position of a fixed object for given coordinates and time
+ * Proper motion, nutation and aberration are ignored; together they move the galactic centre well under a minute of arc
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date and time for calculation
+ * @param {Object} star - Object with J2000 rightAscension and declination in degrees (default: GALACTIC_CENTER)
+ * @param {Object} options - Atmospheric conditions for apparent elevation (see calculateAtmosphericRefraction)
+ * @returns {Object} Azimuth, true and apparent elevation, local hour angle, and right ascension and declination of date in degrees
+ */
+export function calculateStarPosition(latitude, longitude, date, star = GALACTIC_CENTER, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  assertValidDate(date);
+  
+  const { rightAscension, declination } = precessCoordinates(star.rightAscension, star.declination, date);
+  const hourAngle = normalizeAngle(calculateLocalSiderealTime(date, longitude) - rightAscension);
+  const hourAngleRad = toRadians(hourAngle);
+  const latRad = toRadians(latitude);
+  const declRad = toRadians(declination);
+  
+  const elevation = toDegrees(Math.asin(
+    Math.sin(latRad) * Math.sin(declRad) + Math.cos(latRad) * Math.cos(declRad) * Math.cos(hourAngleRad)
+  ));
+  
+  let azimuth = toDegrees(Math.atan2(
+    Math.sin(hourAngleRad),
+    Math.cos(hourAngleRad) * Math.sin(latRad) - Math.tan(declRad) * Math.cos(latRad)
+  )) + 180;
+  if (azimuth >= 360) azimuth -= 360;
+  
+  return {
+    azimuth,
+    elevation,
+    apparentElevation: elevation + calculateAtmosphericRefraction(elevation, options),
+    hourAngle,
+    rightAscension,
+    declination
+  };
+}
+
+/**
+ * Finds a fixed object's rise, set and upper transit within a time window
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Object} star - Object with J2000 rightAscension and declination in degrees
+ * @param {Date} start - Start of the window
+ * @param {Date} end - End of the window
+ * @param {number} horizonAltitude - Elevation of the horizon in degrees
+ * @returns {Object} First rise, set and transit in the window (or null), transit elevation, and alwaysUp/alwaysDown flags
+ */
+function findStarEvents(latitude, longitude, star, start, end, horizonAltitude) {
+  const getElevation = time => calculateStarPosition(latitude, longitude, time, star).elevation;
+  const crossings = findElevationCrossings(getElevation, start, end, horizonAltitude);
+  const rise = crossings.find(crossing => crossing.direction === CROSSING_DIRECTIONS.RISING);
+  const set = crossings.find(crossing => crossing.direction === CROSSING_DIRECTIONS.SETTING);
+  
+  // Upper transit is where the local hour angle passes through zero
+  const getHourAngle = time => {
+    const hourAngle = calculateStarPosition(latitude, longitude, time, star).hourAngle;
+    return hourAngle > 180 ? hourAngle - 360 : hourAngle;
+  };
+  const transit = findElevationCrossings(getHourAngle, start, end, 0)
+    .find(crossing => crossing.direction === CROSSING_DIRECTIONS.RISING);
+  
+  const aboveHorizon = getElevation(start) > horizonAltitude;
+  
+  return {
+    rise: rise ? rise.time : null,
+    set: set ? set.time : null,
+    transit: transit ? transit.time : null,
+    transitElevation: transit ? getElevation(transit.time) : null,
+    alwaysUp: crossings.length === 0 && aboveHorizon,
+    alwaysDown: crossings.length === 0 && !aboveHorizon
+  };
+}
+
+/**
+ * Calculates a fixed object's rise, set and transit for a location's local day
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date for calculation (its calendar day is searched)
+ * @param {Object} star - Object with J2000 rightAscension and declination in degrees (default: GALACTIC_CENTER)
+ * @param {Object} options - Calculation options
+ * @param {string} options.timezone - IANA timezone of the location (default: nominal offset from longitude)
+ * @param {number} options.horizonAltitude - Elevation of rise and set in degrees (default: -0.5667, the refracted horizon)
+ * @returns {Object} Rise, set and transit times (null when they do not occur that day), transit elevation, and alwaysUp/alwaysDown flags
+ */
+export function calculateStarTimes(latitude, longitude, date, star = GALACTIC_CENTER, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  assertValidStar(star);
+  
+  const { timezone, horizonAltitude = HORIZON_REFRACTION } = options;
+  const normalizedDate = normalizeDate(date);
+  const { start, end } = getLocalDayWindow(longitude, normalizedDate, timezone);
+  
+  return findStarEvents(latitude, longitude, star, start, end, horizonAltitude);
+}
+
+/**
+ * Finds the intervals of a window in which a function stays at or above a threshold
+ * @param {Function} getValue - Function returning a value in degrees for a Date
+ * @param {Date} start - Start of the window
+ * @param {Date} end - End of the window
+ * @param {number} threshold - Threshold in degrees
+ * @returns {Array} Intervals with start and end, in time order
+ */
+function findIntervalsAbove(getValue, start, end, threshold) {
+  const intervals = [];
+  let intervalStart = getValue(start) >= threshold ? start : null;
+  
+  findElevationCrossings(getValue, start, end, threshold).forEach(crossing => {
+    if (crossing.direction === CROSSING_DIRECTIONS.RISING) {
+      intervalStart = crossing.time;
+    } else if (intervalStart) {
+      intervals.push({ start: intervalStart, end: crossing.time });
+      intervalStart = null;
+    }
+  });
+  
+  if (intervalStart) {
+    intervals.push({ start: intervalStart, end });
+  }
+  
+  return intervals;
+}
+
+/**
+ * Intersects two sorted lists of intervals
+ * @param {Array} first - Intervals with start and end
+ * @param {Array} second - Intervals with start and end
+ * @returns {Array} Overlapping intervals, in time order
+ */
+function intersectIntervals(first, second) {
+  const overlaps = [];
+  
+  first.forEach(a => {
+    second.forEach(b => {
+      const start = Math.max(a.start.getTime(), b.start.getTime());
+      const end = Math.min(a.end.getTime(), b.end.getTime());
+      if (end > start) {
+        overlaps.push({ start: new Date(start), end: new Date(end) });
+      }
+    });
+  });
+  
+  return overlaps.sort((a, b) => a.start.getTime() - b.start.getTime());
+}
+
+/**
+ * Plans Milky Way core visibility night by night across a date range
+ * Each night runs from local midday on its date to local midday the next day, and a visibility window is
+ * time when the core is above the horizon while the sun is below astronomical twilight
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Object} options - Planner options
+ * @param {Date} options.startDate - Date of the first night
+ * @param {Date} options.endDate - Date of the last night (inclusive)
+ * @param {string} options.timezone - IANA timezone of the location (default: nominal offset from longitude)
+ * @param {Object} options.star - Object with J2000 rightAscension and declination in degrees (default: GALACTIC_CENTER)
+ * @param {number} options.horizonAltitude - Elevation the core must clear in degrees (default: -0.5667, the refracted horizon)
+ * @param {number} options.darknessElevation - Sun elevation below which it counts as dark in degrees (default: -18)
+ * @returns {Object} The star and one entry per night with darkness, core rise, set and transit, visibility windows
+ * (start, end, minutes and peak elevation) and total visible minutes
+ */
+export function planMilkyWayVisibility(latitude, longitude, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const {
+    timezone,
+    star = GALACTIC_CENTER,
+    horizonAltitude = HORIZON_REFRACTION,
+    darknessElevation = ASTRONOMICAL_DARKNESS
+  } = options;
+  
+  assertValidStar(star);
+  
+  if (typeof horizonAltitude !== 'number' || isNaN(horizonAltitude) ||
+      typeof darknessElevation !== 'number' || isNaN(darknessElevation)) {
+    throw new Error('Invalid elevation provided');
+  }
+  
+  const startDate = normalizeDate(options.startDate);
+  const endDate = normalizeDate(options.endDate);
+  const firstDay = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const lastDay = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  const dayCount = Math.round((lastDay.getTime() - firstDay.getTime()) / MS_PER_DAY) + 1;
+  
+  if (dayCount < 1) {
+    throw new Error('End date must not be before start date');
+  }
+  
+  if (dayCount > MAX_RANGE_DAYS) {
+    throw new Error('Date range must not exceed 10 years');
+  }
+  
+  const getStarElevation = time => calculateStarPosition(latitude, longitude, time, star).elevation;
+  // Darkness is the sun at or below the threshold, so look for its negated elevation at or above the negated threshold
+  const getSunDepression = time => -calculateSunPosition(latitude, longitude, time).elevation;
+  const nights = [];
+  
+  for (let i = 0; i < dayCount; i++) {
+    const day = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i);
+    const nextDay = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i + 1);
+    const start = new Date(getLocalDayWindow(longitude, day, timezone).start.getTime() + 12 * MS_PER_HOUR);
+    const end = new Date(getLocalDayWindow(longitude, nextDay, timezone).start.getTime() + 12 * MS_PER_HOUR);
+    
+    const darkness = findIntervalsAbove(getSunDepression, start, end, -darknessElevation);
+    const coreUp = findIntervalsAbove(getStarElevation, start, end, horizonAltitude);
+    const core = findStarEvents(latitude, longitude, star, start, end, horizonAltitude);
+    
+    // The core is highest at transit, or otherwise at whichever end of the window is nearer to it
+    const windows = intersectIntervals(darkness, coreUp).map(window => {
+      const includesTransit = core.transit && core.transit >= window.start && core.transit <= window.end;
+      return {
+        ...window,
+        minutes: (window.end.getTime() - window.start.getTime()) / 60000,
+        peakElevation: includesTransit
+          ? core.transitElevation
+          : Math.max(getStarElevation(window.start), getStarElevation(window.end))
+      };
+    });
+    
+    nights.push({
+      date: day,
+      darkness: darkness.length > 0 ? { start: darkness[0].start, end: darkness[darkness.length - 1].end } : null,
+      core,
+      windows,
+      visibleMinutes: windows.reduce((total, window) => total + window.minutes, 0)
+    });
+  }
+  
+  return {
+    star,
+    nights
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * Sun Exposure
+ * Calculates direct-sun hours at a point, with terrain and building obstructions
+ */
+
+import { validateCoordinates, calculateAtmosphericRefraction, normalizeDate, toRadians, toDegrees } from './solar-calculator.js';
+import { generateSunPath } from './sun-times.js';
+import { parseHorizonProfile, getHorizonElevation, getSunClearance } from './horizon-profile.js';
+import { parseBuildingFootprints } from './building-shadows.js';
+
+const METRES_PER_DEGREE = 6371000 * Math.PI / 180;
+const DEFAULT_INTERVAL_MINUTES = 5;
+const DEFAULT_AZIMUTH_STEP = 1;
+const MAX_RANGE_DAYS = 366;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Projects building footprints to metres east and north of an observer
+ * @param {Array} buildings - Parsed buildings from parseBuildingFootprints
+ * @param {number} latitude - Observer latitude in decimal degrees
+ * @param {number} longitude - Observer longitude in decimal degrees
+ * @returns {Array} Buildings with height and edges as [[east, north], [east, north]] pairs
+ */
+function projectBuildings(buildings, latitude, longitude) {
+  const metresPerDegreeLongitude = METRES_PER_DEGREE * Math.cos(toRadians(latitude));
+  const project = ([lng, lat]) => [(lng - longitude) * metresPerDegreeLongitude, (lat - latitude) * METRES_PER_DEGREE];
+  
+  return buildings.map(building => ({
+    height: building.height,
+    edges: building.polygons.flatMap(polygon => polygon.flatMap(ring =>
+      ring.slice(0, -1).map((position, index) => [project(position), project(ring[index + 1])])
+    ))
+  }));
+}
+
+/**
+ * Calculates the distance along a ray from the observer to an edge
+ * @param {Array} direction - Unit vector [east, north]
+ * @param {Array} edge - Edge as two [east, north] points
+ * @returns {number|null} Distance in metres, or null when the ray misses the edge
+ */
+function getRayDistance(direction, [a, b]) {
+  const edgeX = b[0] - a[0];
+  const edgeY = b[1] - a[1];
+  const denominator = direction[0] * edgeY - direction[1] * edgeX;
+  
+  if (denominator === 0) {
+    return null;
+  }
+  
+  const distance = (a[0] * edgeY - a[1] * edgeX) / denominator;
+  const along = (a[0] * direction[1] - a[1] * direction[0]) / denominator;
+  
+  return distance >= 0 && along >= 0 && along <= 1 ? distance : null;
+}
+
+/**
+ * Calculates the highest building obstruction in a direction
+ * @param {Array} projectedBuildings - Buildings from projectBuildings
+ * @param {number} azimuth - Azimuth in degrees
+ * @param {number} observerHeight - Observer height in metres above the building bases
+ * @returns {number|null} Obstruction elevation in degrees, or null when no building lies in that direction
+ */
+function getBuildingObstruction(projectedBuildings, azimuth, observerHeight) {
+  const direction = [Math.sin(toRadians(azimuth)), Math.cos(toRadians(azimuth))];
+  let obstruction = null;
+  
+  projectedBuildings.forEach(building => {
+    building.edges.forEach(edge => {
+      const distance = getRayDistance(direction, edge);
+      if (distance === null) {
+        return;
+      }
+      
+      const elevation = toDegrees(Math.atan2(building.height - observerHeight, distance));
+      if (obstruction === null || elevation > obstruction) {
+        obstruction = elevation;
+      }
+    });
+  });
+  
+  return obstruction;
+}
+
+/**
+ * Converts building footprints around an observer into a horizon profile
+ * @param {number} latitude - Observer latitude in decimal degrees
+ * @param {number} longitude - Observer longitude in decimal degrees
+ * @param {Object|Array} footprints - GeoJSON building footprints with a height property
+ * @param {Object} options - Conversion options
+ * @param {Array|string} options.horizonProfile - Terrain profile the buildings stand in front of (default: level horizon)
+ * @param {number} options.observerHeight - Observer height in metres above the building bases (default: 0)
+ * @param {number} options.azimuthStep - Spacing of the profile samples in degrees (default: 1)
+ * @param {string} options.heightProperty - Property holding the building height (default: 'height')
+ * @param {string} options.units - Unit system of the height property (default: metric)
+ * @returns {Array} Horizon profile with the higher of terrain and buildings in each direction
+ */
+export function buildingsToHorizonProfile(latitude, longitude, footprints, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const { observerHeight = 0, azimuthStep = DEFAULT_AZIMUTH_STEP } = options;
+  
+  if (typeof azimuthStep !== 'number' || isNaN(azimuthStep) || azimuthStep <= 0 || azimuthStep > 90) {
+    throw new Error('Azimuth step must be between 0 and 90 degrees');
+  }
+  
+  const terrain = options.horizonProfile ? parseHorizonProfile(options.horizonProfile) : null;
+  const buildings = projectBuildings(parseBuildingFootprints(footprints, options), latitude, longitude);
+  const profile = [];
+  
+  for (let azimuth = 0; azimuth < 360; azimuth += azimuthStep) {
+    const base = terrain ? getHorizonElevation(terrain, azimuth) : 0;
+    const obstruction = getBuildingObstruction(buildings, azimuth, observerHeight);
+    
+    profile.push({
+      azimuth,
+      elevation: obstruction === null ? base : Math.max(base, obstruction)
+    });
+  }
+  
+  return profile;
+}
+
+/**
+ * Calculates direct-sun exposure for each day in a date range
+ * The sun path is sampled at a fixed interval; a sample is sunlit when the sun's upper limb
+ * clears the horizon profile in its direction
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Object} options - Exposure options
+ * @param {Date} options.startDate - First day of the range
+ * @param {Date} options.endDate - Last day of the range (inclusive, default: startDate)
+ * @param {number} options.intervalMinutes - Sampling interval in minutes (default: 5)
+ * @param {string} options.timezone - IANA timezone whose calendar days are used (default: looked up from the coordinates)
+ * @param {Array|string} options.horizonProfile - Terrain horizon profile, or CSV/JSON text
+ * @param {Object|Array} options.buildings - GeoJSON building footprints with a height property
+ * @param {number} options.observerHeight - Observer height in metres above the building bases (default: 0)
+ * @param {number} options.pressure - Air pressure in millibars for refraction
+ * @param {number} options.temperature - Air temperature in degrees Celsius for refraction
+ * @returns {Object} Days with date, sunlitMinutes, firstSun and lastSun, plus totalSunlitMinutes and averageSunlitMinutes
+ */
+export function calculateSunExposure(latitude, longitude, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const { intervalMinutes = DEFAULT_INTERVAL_MINUTES } = options;
+  const startDate = normalizeDate(options.startDate);
+  const endDate = options.endDate === undefined ? startDate : normalizeDate(options.endDate);
+  const firstDay = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const lastDay = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  const dayCount = Math.round((lastDay.getTime() - firstDay.getTime()) / MS_PER_DAY) + 1;
+  
+  if (dayCount < 1) {
+    throw new Error('End date must not be before start date');
+  }
+  
+  if (dayCount > MAX_RANGE_DAYS) {
+    throw new Error('Date range must not exceed one year');
+  }
+  
+  let profile;
+  if (options.buildings) {
+    profile = buildingsToHorizonProfile(latitude, longitude, options.buildings, options);
+  } else if (options.horizonProfile) {
+    profile = parseHorizonProfile(options.horizonProfile);
+  } else {
+    profile = [{ azimuth: 0, elevation: 0 }];
+  }
+  
+  const days = [];
+  
+  for (let i = 0; i < dayCount; i++) {
+    const day = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i);
+    const sunlit = generateSunPath(latitude, longitude, day, intervalMinutes, { timezone: options.timezone }).filter(point => {
+      const apparentElevation = point.elevation + calculateAtmosphericRefraction(point.elevation, options);
+      return getSunClearance({ azimuth: point.azimuth, apparentElevation }, profile) > 0;
+    });
+    
+    days.push({
+      date: day,
+      sunlitMinutes: sunlit.length * intervalMinutes,
+      firstSun: sunlit.length > 0 ? sunlit[0].time : null,
+      lastSun: sunlit.length > 0 ? sunlit[sunlit.length - 1].time : null
+    });
+  }
+  
+  const totalSunlitMinutes = days.reduce((total, day) => total + day.sunlitMinutes, 0);
+  
+  return {
+    days,
+    totalSunlitMinutes,
+    averageSunlitMinutes: totalSunlitMinutes / days.length
+  };
+}
@@ -1,6 +1,9 @@
 /**
  * Sun Times Calculator
  * Calculates golden hour, blue hour, twilight periods, and sun path
+ * Each date stands for a calendar day, taken from its local year, month and day fields as a date picker
+ * sets them; that day is then spent in the location's timezone, given as options.timezone or looked up
+ * from the coordinates, and only events between its local midnights are returned
  */
 
 import { 
@@ -9,8 +12,35 @@ import {
   calculateSunrise, 
   calculateSunset, 
   calculateSolarNoon,
-  normalizeDate 
+  getSunCondition,
+  normalizeDate,
+  SUN_CONDITIONS
 } from './solar-calculator.js';
+import { findSolarElevationEvents, getLocalDayWindow, CROSSING_DIRECTIONS } from './elevation-events.js';
+import { resolveElevationBands, DEFAULT_PRESET_NAME } from './elevation-bands.js';
+import { calculateTerrainSunTimes } from './horizon-profile.js';
+import {
+  convertPeriodToTimezone,
+  convertSunTimesToTimezone,
+  convertTimezoneToUTC,
+  getTimezoneForCoordinatesSync
+} from './timezone-handler.js';
+
+export { ELEVATION_MODES } from './elevation-events.js';
+
+/**
+ * Fills in the location's timezone when the caller didn't give one
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Object} options - Calculation options
+ * @returns {Object} Options with timezone set
+ */
+function withLocationTimezone(latitude, longitude, options) {
+  return {
+    ...options,
+    timezone: options.timezone || getTimezoneForCoordinatesSync(latitude, longitude)
+  };
+}
 
 /**
  * Calculates time when sun reaches specific elevation angle
@@ -18,92 +48,61 @@ import {
  * @param {number} longitude - Longitude in decimal degrees
  * @param {Date} date - Date for calculation
  * @param {number} elevation - Target elevation angle in degrees
- * @param {boolean} rising - True for sunrise direction, false for sunset
+ * @param {boolean} rising - True for the first rising crossing, false for the last setting crossing
+ * @param {Object} options - Timezone, elevation mode and atmospheric conditions (see findSolarElevationEvents)
  * @returns {Date|null} Time when sun reaches elevation, or null if never reached
  */
-function calculateTimeForElevation(latitude, longitude, date, elevation, rising = true) {
-  if (!validateCoordinates(latitude, longitude)) {
-    throw new Error('Invalid coordinates provided');
-  }
-  
-  const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-  
-  // Use binary search to find the time when sun reaches target elevation
-  let startTime, endTime;
-  
-  if (rising) {
-    startTime = new Date(dateOnly);
-    startTime.setUTCHours(0, 0, 0, 0);
-    endTime = new Date(dateOnly);
-    endTime.setUTCHours(12, 0, 0, 0);
-  } else {
-    startTime = new Date(dateOnly);
-    startTime.setUTCHours(12, 0, 0, 0);
-    endTime = new Date(dateOnly);
-    endTime.setUTCHours(23, 59, 59, 999);
-  }
-  
-  let iterations = 0;
-  const maxIterations = 50;
-  const tolerance = 0.01; // degrees
-  
-  while (iterations < maxIterations && (endTime - startTime) > 60000) { // 1 minute precision
-    const midTime = new Date((startTime.getTime() + endTime.getTime()) / 2);
-    const sunPos = calculateSunPosition(latitude, longitude, midTime);
-    
-    if (Math.abs(sunPos.elevation - elevation) < tolerance) {
-      return midTime;
-    }
-    
-    if (rising) {
-      if (sunPos.elevation < elevation) {
-        startTime = midTime;
-      } else {
-        endTime = midTime;
-      }
-    } else {
-      if (sunPos.elevation > elevation) {
-        startTime = midTime;
-      } else {
-        endTime = midTime;
-      }
-    }
-    
-    iterations++;
-  }
+function calculateTimeForElevation(latitude, longitude, date, elevation, rising = true, options = {}) {
+  const direction = rising ? CROSSING_DIRECTIONS.RISING : CROSSING_DIRECTIONS.SETTING;
+  const crossings = findSolarElevationEvents(latitude, longitude, date, elevation, options)
+    .filter(crossing => crossing.direction === direction);
   
-  // Check if we found a valid time
-  const finalTime = new Date((startTime.getTime() + endTime.getTime()) / 2);
-  const finalPos = calculateSunPosition(latitude, longitude, finalTime);
-  
-  if (Math.abs(finalPos.elevation - elevation) < 1.0) { // 1 degree tolerance
-    return finalTime;
+  if (crossings.length === 0) {
+    return null; // Target elevation not reached
   }
   
-  return null; // Target elevation not reached
+  return rising ? crossings[0].time : crossings[crossings.length - 1].time;
 }
 
 /**
- * Calculates golden hour times (sun elevation between -6° and 6°)
+ * Determines whether the sun enters an elevation band on a given day
+ * Follows the sunrise/sunset convention: POLAR_DAY when the sun stays above the band,
+ * POLAR_NIGHT when it stays below it
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees
  * @param {Date} date - Date for calculation
- * @returns {Object} Golden hour start and end times
+ * @param {Object} lower - Horizon options for the lower edge of the band (see calculateSunrise)
+ * @param {Object} upper - Horizon options for the upper edge of the band (see calculateSunrise)
+ * @returns {string} One of SUN_CONDITIONS
  */
-export function calculateGoldenHour(latitude, longitude, date) {
-  if (!validateCoordinates(latitude, longitude)) {
-    throw new Error('Invalid coordinates provided');
+function getBandCondition(latitude, longitude, date, lower, upper) {
+  if (getSunCondition(latitude, longitude, date, lower) === SUN_CONDITIONS.POLAR_NIGHT) {
+    return SUN_CONDITIONS.POLAR_NIGHT;
   }
+  if (getSunCondition(latitude, longitude, date, upper) === SUN_CONDITIONS.POLAR_DAY) {
+    return SUN_CONDITIONS.POLAR_DAY;
+  }
+  return SUN_CONDITIONS.NORMAL;
+}
+
+/**
+ * Calculates morning and evening times for an elevation band
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Normalized date for calculation
+ * @param {number} lower - Lower band edge in degrees
+ * @param {number} upper - Upper band edge in degrees
+ * @param {Object} options - Calculation options (see calculateGoldenHour)
+ * @returns {Object} Morning and evening start and end times, with the band condition from SUN_CONDITIONS
+ */
+function calculateBandTimes(latitude, longitude, date, lower, upper, options) {
+  // Morning: rising from the lower edge to the upper edge
+  const morningStart = calculateTimeForElevation(latitude, longitude, date, lower, true, options);
+  const morningEnd = calculateTimeForElevation(latitude, longitude, date, upper, true, options);
   
-  const normalizedDate = normalizeDate(date);
-  
-  // Morning golden hour: from -6° to 6° elevation
-  const morningStart = calculateTimeForElevation(latitude, longitude, normalizedDate, -6, true);
-  const morningEnd = calculateTimeForElevation(latitude, longitude, normalizedDate, 6, true);
-  
-  // Evening golden hour: from 6° to -6° elevation
-  const eveningStart = calculateTimeForElevation(latitude, longitude, normalizedDate, 6, false);
-  const eveningEnd = calculateTimeForElevation(latitude, longitude, normalizedDate, -6, false);
+  // Evening: setting from the upper edge to the lower edge
+  const eveningStart = calculateTimeForElevation(latitude, longitude, date, upper, false, options);
+  const eveningEnd = calculateTimeForElevation(latitude, longitude, date, lower, false, options);
   
   return {
     morning: {
@@ -113,83 +112,141 @@ export function calculateGoldenHour(latitude, longitude, date) {
     evening: {
       start: eveningStart,
       end: eveningEnd
-    }
+    },
+    condition: getBandCondition(latitude, longitude, date, { horizonAltitude: lower }, { horizonAltitude: upper })
   };
 }
 
 /**
- * Calculates blue hour times (civil twilight period)
+ * Calculates UTC start and end times for named elevation bands
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Normalized date for calculation
+ * @param {string|Array} bands - Preset name or band definitions (see calculateElevationBands)
+ * @param {Object} options - Calculation options (see calculateGoldenHour)
+ * @returns {Object} Band times keyed by band name, each with morning, evening and condition
+ */
+function calculateElevationBandTimes(latitude, longitude, date, bands, options) {
+  const result = {};
+  
+  resolveElevationBands(bands).forEach(band => {
+    result[band.name] = {
+      lower: band.lower,
+      upper: band.upper,
+      ...calculateBandTimes(latitude, longitude, date, band.lower, band.upper, options)
+    };
+  });
+  
+  return result;
+}
+
+/**
+ * Calculates start and end times for named elevation bands
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees
  * @param {Date} date - Date for calculation
- * @returns {Object} Blue hour start and end times
+ * @param {string|Array} bands - Preset name or band definitions, each with name, lower and upper elevation in degrees
+ * @param {Object} options - Calculation options (see calculateGoldenHour)
+ * @returns {Object} Band times keyed by band name, each with morning, evening and condition
  */
-export function calculateBlueHour(latitude, longitude, date) {
+export function calculateElevationBands(latitude, longitude, date, bands, options = {}) {
   if (!validateCoordinates(latitude, longitude)) {
     throw new Error('Invalid coordinates provided');
   }
   
   const normalizedDate = normalizeDate(date);
+  const dayOptions = withLocationTimezone(latitude, longitude, options);
+  const result = calculateElevationBandTimes(latitude, longitude, normalizedDate, bands, dayOptions);
   
-  // Morning blue hour: from -12° to -6° elevation
-  const morningStart = calculateTimeForElevation(latitude, longitude, normalizedDate, -12, true);
-  const morningEnd = calculateTimeForElevation(latitude, longitude, normalizedDate, -6, true);
+  Object.keys(result).forEach(name => {
+    result[name] = convertPeriodToTimezone(result[name], dayOptions.timezone);
+  });
   
-  // Evening blue hour: from -6° to -12° elevation
-  const eveningStart = calculateTimeForElevation(latitude, longitude, normalizedDate, -6, false);
-  const eveningEnd = calculateTimeForElevation(latitude, longitude, normalizedDate, -12, false);
+  return result;
+}
+
+/**
+ * Calculates golden hour times (sun elevation between -6° and 6°)
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date for calculation
+ * @param {Object} options - Calculation options
+ * @param {string} options.elevationMode - Target true or apparent elevation (default: ELEVATION_MODES.TRUE)
+ * @param {number} options.pressure - Air pressure in millibars for apparent elevation
+ * @param {number} options.temperature - Air temperature in degrees Celsius for apparent elevation
+ * @param {string} options.timezone - IANA timezone of the location (default: looked up from the coordinates);
+ *   times are zoned date-times in it (see createZonedDateTime)
+ * @returns {Object} Golden hour start and end times, with the band condition from SUN_CONDITIONS
+ */
+export function calculateGoldenHour(latitude, longitude, date, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
   
-  return {
-    morning: {
-      start: morningStart,
-      end: morningEnd
-    },
-    evening: {
-      start: eveningStart,
-      end: eveningEnd
-    }
-  };
+  const normalizedDate = normalizeDate(date);
+  const dayOptions = withLocationTimezone(latitude, longitude, options);
+  const goldenHour = calculateBandTimes(latitude, longitude, normalizedDate, -6, 6, dayOptions);
+  
+  return convertPeriodToTimezone(goldenHour, dayOptions.timezone);
 }
 
 /**
- * Calculates twilight periods (civil, nautical, astronomical)
+ * Calculates blue hour times (sun elevation between -12° and -6°)
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees
  * @param {Date} date - Date for calculation
- * @returns {Object} Twilight periods with start and end times
+ * @param {Object} options - Calculation options (see calculateGoldenHour)
+ * @returns {Object} Blue hour start and end times, with the band condition from SUN_CONDITIONS
  */
-export function calculateTwilightPeriods(latitude, longitude, date) {
+export function calculateBlueHour(latitude, longitude, date, options = {}) {
   if (!validateCoordinates(latitude, longitude)) {
     throw new Error('Invalid coordinates provided');
   }
   
   const normalizedDate = normalizeDate(date);
+  const dayOptions = withLocationTimezone(latitude, longitude, options);
+  const blueHour = calculateBandTimes(latitude, longitude, normalizedDate, -12, -6, dayOptions);
+  
+  return convertPeriodToTimezone(blueHour, dayOptions.timezone);
+}
+
+/**
+ * Calculates twilight periods as UTC dates
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} normalizedDate - Normalized date for calculation
+ * @param {Object} options - Horizon options for sunrise and sunset, and the timezone (see calculateSunrise)
+ * @returns {Object} Twilight periods with start and end times
+ */
+function calculateTwilightTimes(latitude, longitude, normalizedDate, options) {
+  const crossingOptions = { timezone: options.timezone };
   
   // Civil twilight: -6° elevation
-  const civilMorningStart = calculateTimeForElevation(latitude, longitude, normalizedDate, -6, true);
-  const civilEveningEnd = calculateTimeForElevation(latitude, longitude, normalizedDate, -6, false);
+  const civilMorningStart = calculateTimeForElevation(latitude, longitude, normalizedDate, -6, true, crossingOptions);
+  const civilEveningEnd = calculateTimeForElevation(latitude, longitude, normalizedDate, -6, false, crossingOptions);
   
   // Nautical twilight: -12° elevation
-  const nauticalMorningStart = calculateTimeForElevation(latitude, longitude, normalizedDate, -12, true);
-  const nauticalEveningEnd = calculateTimeForElevation(latitude, longitude, normalizedDate, -12, false);
+  const nauticalMorningStart = calculateTimeForElevation(latitude, longitude, normalizedDate, -12, true, crossingOptions);
+  const nauticalEveningEnd = calculateTimeForElevation(latitude, longitude, normalizedDate, -12, false, crossingOptions);
   
   // Astronomical twilight: -18° elevation
-  const astronomicalMorningStart = calculateTimeForElevation(latitude, longitude, normalizedDate, -18, true);
-  const astronomicalEveningEnd = calculateTimeForElevation(latitude, longitude, normalizedDate, -18, false);
+  const astronomicalMorningStart = calculateTimeForElevation(latitude, longitude, normalizedDate, -18, true, crossingOptions);
+  const astronomicalEveningEnd = calculateTimeForElevation(latitude, longitude, normalizedDate, -18, false, crossingOptions);
   
-  const sunrise = calculateSunrise(latitude, longitude, normalizedDate);
-  const sunset = calculateSunset(latitude, longitude, normalizedDate);
+  const sunrise = calculateSunrise(latitude, longitude, normalizedDate, options);
+  const sunset = calculateSunset(latitude, longitude, normalizedDate, options);
   
   return {
     civil: {
       morning: {
         start: civilMorningStart,
-        end: sunrise
+        end: sunrise instanceof Date ? sunrise : null
       },
       evening: {
-        start: sunset,
+        start: sunset instanceof Date ? sunset : null,
         end: civilEveningEnd
-      }
+      },
+      condition: getBandCondition(latitude, longitude, normalizedDate, { horizonAltitude: -6 }, options)
     },
     nautical: {
       morning: {
@@ -199,7 +256,8 @@ export function calculateTwilightPeriods(latitude, longitude, date) {
       evening: {
         start: civilEveningEnd,
         end: nauticalEveningEnd
-      }
+      },
+      condition: getBandCondition(latitude, longitude, normalizedDate, { horizonAltitude: -12 }, { horizonAltitude: -6 })
     },
     astronomical: {
       morning: {
@@ -209,19 +267,49 @@ export function calculateTwilightPeriods(latitude, longitude, date) {
       evening: {
         start: nauticalEveningEnd,
         end: astronomicalEveningEnd
-      }
+      },
+      condition: getBandCondition(latitude, longitude, normalizedDate, { horizonAltitude: -18 }, { horizonAltitude: -12 })
     }
   };
-}/**
- *
- Generates sun path for a full day with specified time intervals
+}
+
+/**
+ * Calculates twilight periods (civil, nautical, astronomical)
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date for calculation
+ * @param {Object} options - Horizon options for sunrise and sunset (see calculateSunrise)
+ * @param {string} options.timezone - IANA timezone of the location (default: looked up from the coordinates);
+ *   times are zoned date-times in it
+ * @returns {Object} Twilight periods with start and end times
+ */
+export function calculateTwilightPeriods(latitude, longitude, date, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
+  }
+  
+  const normalizedDate = normalizeDate(date);
+  const dayOptions = withLocationTimezone(latitude, longitude, options);
+  const twilight = calculateTwilightTimes(latitude, longitude, normalizedDate, dayOptions);
+  
+  ['civil', 'nautical', 'astronomical'].forEach(type => {
+    twilight[type] = convertPeriodToTimezone(twilight[type], dayOptions.timezone);
+  });
+  
+  return twilight;
+}
+
+/**
+ * Generates sun path for a full day with specified time intervals
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees
  * @param {Date} date - Date for calculation
  * @param {number} intervalMinutes - Time interval between points in minutes (default: 15)
+ * @param {Object} options - Path options
+ * @param {string} options.timezone - IANA timezone whose calendar day is covered (default: looked up from the coordinates)
  * @returns {Array} Array of sun path points with time, azimuth, and elevation
  */
-export function generateSunPath(latitude, longitude, date, intervalMinutes = 15) {
+export function generateSunPath(latitude, longitude, date, intervalMinutes = 15, options = {}) {
   if (!validateCoordinates(latitude, longitude)) {
     throw new Error('Invalid coordinates provided');
   }
@@ -233,11 +321,13 @@ export function generateSunPath(latitude, longitude, date, intervalMinutes = 15)
   const normalizedDate = normalizeDate(date);
   const sunPath = [];
   
-  // Start from midnight of the given date
-  const startTime = new Date(normalizedDate.getFullYear(), normalizedDate.getMonth(), normalizedDate.getDate(), 0, 0, 0, 0);
+  // Cover the location's calendar day, which may be 23 or 25 hours long across a DST change
+  const { timezone } = withLocationTimezone(latitude, longitude, options);
+  const { start: startTime, end } = getLocalDayWindow(longitude, normalizedDate, timezone);
+  const dayMinutes = (end.getTime() - startTime.getTime()) / 60000;
   
-  // Generate points for 24 hours
-  for (let minutes = 0; minutes < 1440; minutes += intervalMinutes) {
+  // Generate points for the whole day
+  for (let minutes = 0; minutes < dayMinutes; minutes += intervalMinutes) {
     const currentTime = new Date(startTime.getTime() + minutes * 60000);
     const sunPosition = calculateSunPosition(latitude, longitude, currentTime);
     
@@ -253,45 +343,105 @@ export function generateSunPath(latitude, longitude, date, intervalMinutes = 15)
 }
 
 /**
- * Calculates comprehensive sun times for a given location and date
+ * Derives day length from sunrise and sunset results
+ * @param {Date|Object} sunrise - Sunrise time or polar condition result
+ * @param {Date|Object} sunset - Sunset time or polar condition result
+ * @param {Object} dayWindow - Start and end of the local calendar day
+ * @returns {number|null} Day length in hours (24 for polar day, 0 for polar night)
+ */
+function getDayLength(sunrise, sunset, dayWindow) {
+  if (sunrise instanceof Date && sunset instanceof Date) {
+    const hours = (sunset.getTime() - sunrise.getTime()) / (1000 * 60 * 60);
+    
+    // The sunset belongs to the previous evening, so the sun is up at both ends of the day
+    if (hours < 0) {
+      return hours + (dayWindow.end.getTime() - dayWindow.start.getTime()) / (1000 * 60 * 60);
+    }
+    return hours;
+  }
+  
+  if (sunrise && typeof sunrise.dayLength === 'number') {
+    return sunrise.dayLength;
+  }
+  
+  return null;
+}
+
+/**
+ * Calculates day length for a given location and date
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees
  * @param {Date} date - Date for calculation
- * @returns {Object} Complete sun times including sunrise, sunset, golden hour, blue hour, and twilight
+ * @param {Object} options - Horizon options and timezone (see calculateSunrise)
+ * @returns {number|null} Day length in hours (24 for polar day, 0 for polar night), or null when the
+ *   sunrise or sunset falls outside the local calendar day
  */
-export function calculateSunTimes(latitude, longitude, date) {
+export function calculateDayLength(latitude, longitude, date, options = {}) {
   if (!validateCoordinates(latitude, longitude)) {
     throw new Error('Invalid coordinates provided');
   }
   
   const normalizedDate = normalizeDate(date);
+  const dayOptions = withLocationTimezone(latitude, longitude, options);
+  const sunrise = calculateSunrise(latitude, longitude, normalizedDate, dayOptions);
+  const sunset = calculateSunset(latitude, longitude, normalizedDate, dayOptions);
+  const dayWindow = getLocalDayWindow(longitude, normalizedDate, dayOptions.timezone);
   
-  // Basic sun times
-  const sunrise = calculateSunrise(latitude, longitude, normalizedDate);
-  const sunset = calculateSunset(latitude, longitude, normalizedDate);
-  const solarNoon = calculateSolarNoon(latitude, longitude, normalizedDate);
-  
-  // Special lighting periods
-  const goldenHour = calculateGoldenHour(latitude, longitude, normalizedDate);
-  const blueHour = calculateBlueHour(latitude, longitude, normalizedDate);
-  const twilight = calculateTwilightPeriods(latitude, longitude, normalizedDate);
-  
-  // Calculate day length
-  let dayLength = null;
-  if (sunrise && sunset) {
-    dayLength = (sunset.getTime() - sunrise.getTime()) / (1000 * 60 * 60); // hours
+  return getDayLength(sunrise, sunset, dayWindow);
+}
+
+/**
+ * Calculates comprehensive sun times for a given location and date
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {Date} date - Date for calculation
+ * @param {Object} options - Horizon options for sunrise and sunset, plus options forwarded to the band finders
+ * @param {string} options.preset - Elevation band preset to calculate (default: 'default')
+ * @param {Array|string} options.horizonProfile - Terrain horizon profile; adds terrain sun times when provided
+ * @param {string} options.timezone - IANA timezone of the location (default: looked up from the coordinates);
+ *   every time is a zoned date-time in it (see createZonedDateTime)
+ * @returns {Object} Complete sun times including sunrise, sunset, golden hour, blue hour, preset bands, twilight, terrain sun times (or null), and the day condition from SUN_CONDITIONS
+ */
+export function calculateSunTimes(latitude, longitude, date, options = {}) {
+  if (!validateCoordinates(latitude, longitude)) {
+    throw new Error('Invalid coordinates provided');
   }
   
-  return {
+  const normalizedDate = normalizeDate(date);
+  const { preset = DEFAULT_PRESET_NAME } = options;
+  const dayOptions = withLocationTimezone(latitude, longitude, options);
+  
+  // Basic sun times
+  const sunrise = calculateSunrise(latitude, longitude, normalizedDate, dayOptions);
+  const sunset = calculateSunset(latitude, longitude, normalizedDate, dayOptions);
+  const solarNoon = calculateSolarNoon(latitude, longitude, normalizedDate, dayOptions);
+  
+  // Special lighting periods; a preset may redefine golden and blue hour
+  const bands = calculateElevationBandTimes(latitude, longitude, normalizedDate, preset, dayOptions);
+  const goldenHour = bands.goldenHour || calculateBandTimes(latitude, longitude, normalizedDate, -6, 6, dayOptions);
+  const blueHour = bands.blueHour || calculateBandTimes(latitude, longitude, normalizedDate, -12, -6, dayOptions);
+  const twilight = calculateTwilightTimes(latitude, longitude, normalizedDate, dayOptions);
+  
+  // Effective sun times against the local terrain
+  const terrain = options.horizonProfile
+    ? calculateTerrainSunTimes(latitude, longitude, normalizedDate, options.horizonProfile, dayOptions)
+    : null;
+  
+  const sunTimes = {
     date: new Date(normalizedDate),
     sunrise,
     sunset,
     solarNoon,
-    dayLength,
+    dayLength: getDayLength(sunrise, sunset, getLocalDayWindow(longitude, normalizedDate, dayOptions.timezone)),
+    condition: getSunCondition(latitude, longitude, normalizedDate, options),
     goldenHour,
     blueHour,
-    twilight
+    bands,
+    twilight,
+    terrain
   };
+  
+  return convertSunTimesToTimezone(sunTimes, dayOptions.timezone);
 }
 
 /**
@@ -300,10 +450,11 @@ export function calculateSunTimes(latitude, longitude, date) {
  * @param {number} longitude - Longitude in decimal degrees
  * @param {Date} date - Date for calculation
  * @param {number} intervalMinutes - Time interval between points in minutes
+ * @param {Object} options - Path options (see generateSunPath)
  * @returns {Array} Array of sun path points only when sun is visible
  */
-export function generateVisibleSunPath(latitude, longitude, date, intervalMinutes = 15) {
-  const fullPath = generateSunPath(latitude, longitude, date, intervalMinutes);
+export function generateVisibleSunPath(latitude, longitude, date, intervalMinutes = 15, options = {}) {
+  const fullPath = generateSunPath(latitude, longitude, date, intervalMinutes, options);
   return fullPath.filter(point => point.elevation > 0);
 }
 
@@ -312,11 +463,13 @@ export function generateVisibleSunPath(latitude, longitude, date, intervalMinute
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees
  * @param {Date} date - Date for calculation
- * @param {number} hour - Hour of day (0-23)
+ * @param {number} hour - Hour of day on the location's clock (0-23)
  * @param {number} minute - Minute of hour (0-59)
+ * @param {Object} options - Calculation options
+ * @param {string} options.timezone - IANA timezone of the location (default: looked up from the coordinates)
  * @returns {Object} Sun position at specified time
  */
-export function getSunPositionAtTime(latitude, longitude, date, hour, minute = 0) {
+export function getSunPositionAtTime(latitude, longitude, date, hour, minute = 0, options = {}) {
   if (!validateCoordinates(latitude, longitude)) {
     throw new Error('Invalid coordinates provided');
   }
@@ -326,7 +479,14 @@ export function getSunPositionAtTime(latitude, longitude, date, hour, minute = 0
   }
   
   const normalizedDate = normalizeDate(date);
-  const targetTime = new Date(normalizedDate.getFullYear(), normalizedDate.getMonth(), normalizedDate.getDate(), hour, minute, 0, 0);
+  const { timezone } = withLocationTimezone(latitude, longitude, options);
+  const targetTime = convertTimezoneToUTC({
+    year: normalizedDate.getFullYear(),
+    month: normalizedDate.getMonth() + 1,
+    day: normalizedDate.getDate(),
+    hour,
+    minute
+  }, timezone);
   
   const sunPosition = calculateSunPosition(latitude, longitude, targetTime);
   
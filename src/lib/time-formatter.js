@@ -0,0 +1,279 @@
+/**
+ * Time Formatter
+ * Locale-aware display of times, durations, time ranges and countdowns, so every component renders
+ * them the same way from the user's time format preference
+ */
+
+import { isZonedDateTime } from './timezone-handler.js';
+
+/**
+ * Clock styles a time format can use
+ * AUTO follows the locale's convention
+ */
+export const HOUR_CYCLES = {
+  AUTO: 'auto',
+  H12: 'h12',
+  H24: 'h24'
+};
+
+/**
+ * Timezones times can be shown in
+ * LOCATION shows the clock at the place the times were calculated for, VIEWER the clock of the device
+ */
+export const DISPLAY_ZONES = {
+  LOCATION: 'location',
+  VIEWER: 'viewer'
+};
+
+/**
+ * Time format used until the user saves one; a null locale means the runtime's locale
+ */
+export const DEFAULT_TIME_FORMAT = {
+  locale: null,
+  hourCycle: HOUR_CYCLES.AUTO,
+  displayZone: DISPLAY_ZONES.LOCATION
+};
+
+/**
+ * Shown in place of a time that doesn't exist, such as sunrise during polar night
+ */
+const MISSING_TIME = '—';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Validates a time format preference and fills in the defaults
+ * @param {Object} timeFormat - Time format with optional locale, hourCycle and displayZone
+ * @returns {Object} Complete time format with only the known fields
+ */
+export function normalizeTimeFormat(timeFormat = {}) {
+  if (timeFormat === null || typeof timeFormat !== 'object' || Array.isArray(timeFormat)) {
+    throw new Error('Invalid time format provided');
+  }
+  
+  const {
+    locale = DEFAULT_TIME_FORMAT.locale,
+    hourCycle = DEFAULT_TIME_FORMAT.hourCycle,
+    displayZone = DEFAULT_TIME_FORMAT.displayZone
+  } = timeFormat;
+  
+  let canonicalLocale = null;
+  if (locale !== null) {
+    if (typeof locale !== 'string') {
+      throw new Error('Invalid locale provided');
+    }
+    try {
+      [canonicalLocale] = Intl.getCanonicalLocales(locale);
+    } catch {
+      throw new Error('Invalid locale provided');
+    }
+  }
+  
+  if (!Object.values(HOUR_CYCLES).includes(hourCycle)) {
+    throw new Error('Invalid hour cycle provided');
+  }
+  
+  if (!Object.values(DISPLAY_ZONES).includes(displayZone)) {
+    throw new Error('Invalid display zone provided');
+  }
+  
+  return { locale: canonicalLocale, hourCycle, displayZone };
+}
+
+/**
+ * Gets the timezone of the device
+ * @returns {string} IANA timezone identifier
+ */
+export function getViewerTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Gets the locale argument for Intl formatters
+ * @param {Object} options - Formatting options
+ * @returns {string|undefined} Locale, or undefined for the runtime's locale
+ */
+function getLocale(options) {
+  return options.locale || undefined;
+}
+
+/**
+ * Gets the instant of a time value
+ * @param {Date|Object} value - Date or zoned date-time
+ * @returns {Date|null} Instant, or null for anything else (nulls and polar condition results)
+ */
+function getInstant(value) {
+  if (isZonedDateTime(value)) {
+    return value.instant;
+  }
+  
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return value;
+  }
+  
+  return null;
+}
+
+/**
+ * Picks the timezone a time is shown in
+ * @param {Date|Object} value - Date or zoned date-time
+ * @param {Object} options - Formatting options (see formatTime)
+ * @returns {string} IANA timezone identifier
+ */
+function getDisplayTimezone(value, options) {
+  const viewerTimezone = options.viewerTimezone || getViewerTimezone();
+  
+  if (options.displayZone === DISPLAY_ZONES.VIEWER) {
+    return viewerTimezone;
+  }
+  
+  if (isZonedDateTime(value)) {
+    return value.timezone;
+  }
+  
+  return options.timezone || viewerTimezone;
+}
+
+/**
+ * Creates the Intl.DateTimeFormat for a time of day
+ * 24-hour clocks get a two-digit hour ('05:25'), as some locales otherwise drop the leading zero
+ * @param {string} timeZone - IANA timezone identifier
+ * @param {Object} options - Formatting options (see formatTime)
+ * @returns {Intl.DateTimeFormat} Time formatter
+ */
+function createTimeFormatter(timeZone, options) {
+  const formatOptions = {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone
+  };
+  
+  if (options.showSeconds) {
+    formatOptions.second = '2-digit';
+  }
+  
+  if (options.showTimeZone) {
+    formatOptions.timeZoneName = 'short';
+  }
+  
+  if (options.hourCycle === HOUR_CYCLES.H12) {
+    formatOptions.hour12 = true;
+  } else if (options.hourCycle === HOUR_CYCLES.H24) {
+    formatOptions.hourCycle = 'h23';
+  }
+  
+  const formatter = new Intl.DateTimeFormat(getLocale(options), formatOptions);
+  const { hourCycle } = formatter.resolvedOptions();
+  if (hourCycle === 'h23' || hourCycle === 'h24') {
+    return new Intl.DateTimeFormat(getLocale(options), { ...formatOptions, hour: '2-digit', hourCycle: 'h23' });
+  }
+  
+  return formatter;
+}
+
+/**
+ * Formats a time of day
+ * Zoned date-times are shown on the clock of their own timezone unless the viewer zone is chosen;
+ * plain dates use options.timezone as the location's zone
+ * @param {Date|Object|null} value - Date, zoned date-time, or a null/polar condition result
+ * @param {Object} options - Formatting options
+ * @param {string} options.locale - BCP 47 locale (default: the runtime's locale)
+ * @param {string} options.hourCycle - One of HOUR_CYCLES (default: AUTO)
+ * @param {string} options.displayZone - One of DISPLAY_ZONES (default: LOCATION)
+ * @param {string} options.timezone - Location timezone for plain dates (default: the viewer's timezone)
+ * @param {string} options.viewerTimezone - Timezone of the viewer (default: the device's timezone)
+ * @param {boolean} options.showSeconds - Include seconds
+ * @param {boolean} options.showTimeZone - Append the timezone abbreviation
+ * @returns {string} Formatted time such as '5:25 AM' or '05:25', or '—' when there is no time
+ */
+export function formatTime(value, options = {}) {
+  const instant = getInstant(value);
+  if (!instant) {
+    return MISSING_TIME;
+  }
+  
+  return createTimeFormatter(getDisplayTimezone(value, options), options).format(instant);
+}
+
+/**
+ * Formats a time range, sharing the day period where the locale allows ('5:25 – 6:10 AM')
+ * @param {Date|Object|null} start - Start of the range
+ * @param {Date|Object|null} end - End of the range
+ * @param {Object} options - Formatting options (see formatTime)
+ * @returns {string} Formatted range; a missing end is shown as '—'
+ */
+export function formatTimeRange(start, end, options = {}) {
+  const startInstant = getInstant(start);
+  const endInstant = getInstant(end);
+  
+  if (!startInstant || !endInstant || endInstant < startInstant) {
+    return `${formatTime(start, options)} – ${formatTime(end, options)}`;
+  }
+  
+  return createTimeFormatter(getDisplayTimezone(start, options), options).formatRange(startInstant, endInstant);
+}
+
+/**
+ * Formats a duration in hours and minutes, such as a day length
+ * @param {number} minutes - Duration in minutes (rounded to the nearest minute)
+ * @param {Object} options - Formatting options
+ * @param {string} options.locale - BCP 47 locale (default: the runtime's locale)
+ * @param {string} options.unitDisplay - Intl unit display: 'short', 'long' or 'narrow' (default: 'short')
+ * @returns {string} Formatted duration such as '14 hr 32 min'
+ */
+export function formatDuration(minutes, options = {}) {
+  if (typeof minutes !== 'number' || !isFinite(minutes) || minutes < 0) {
+    throw new Error('Invalid duration provided');
+  }
+  
+  const { unitDisplay = 'short' } = options;
+  const total = Math.round(minutes);
+  const hours = Math.floor(total / 60);
+  const remainder = total % 60;
+  const formatUnit = (value, unit) => new Intl.NumberFormat(getLocale(options), { style: 'unit', unit, unitDisplay }).format(value);
+  
+  if (hours === 0) {
+    return formatUnit(remainder, 'minute');
+  }
+  
+  if (remainder === 0) {
+    return formatUnit(hours, 'hour');
+  }
+  
+  return `${formatUnit(hours, 'hour')} ${formatUnit(remainder, 'minute')}`;
+}
+
+/**
+ * Formats the time until or since an event, such as 'in 42 min'
+ * Uses minutes within the hour, hours within the day and days beyond that
+ * @param {Date|Object} target - Event time as a Date or zoned date-time
+ * @param {Object} options - Formatting options
+ * @param {string} options.locale - BCP 47 locale (default: the runtime's locale)
+ * @param {Date} options.now - Time to count from (default: now)
+ * @param {string} options.style - Intl relative time style: 'short', 'long' or 'narrow' (default: 'short')
+ * @returns {string} Relative time, or '—' when there is no event time
+ */
+export function formatCountdown(target, options = {}) {
+  const instant = getInstant(target);
+  if (!instant) {
+    return MISSING_TIME;
+  }
+  
+  const { now = new Date(), style = 'short' } = options;
+  if (!(now instanceof Date) || isNaN(now.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  const formatter = new Intl.RelativeTimeFormat(getLocale(options), { numeric: 'auto', style });
+  const minutes = Math.round((instant.getTime() - now.getTime()) / MS_PER_MINUTE);
+  
+  if (Math.abs(minutes) < 60) {
+    return formatter.format(minutes, 'minute');
+  }
+  
+  if (Math.abs(minutes) < 24 * 60) {
+    return formatter.format(Math.round(minutes / 60), 'hour');
+  }
+  
+  return formatter.format(Math.round(minutes / (24 * 60)), 'day');
+}
@@ -0,0 +1,435 @@
+/**
+ * Timezone Boundaries
+ * Simplified IANA timezone boundaries for offline coordinate lookup
+ *
+ * Generated by scripts/build-timezone-boundaries.mjs from the comprehensive timezone-boundary-builder
+ * dataset shipped with geo-tz 8.1.9: dissolved by zone with mapshaper and simplified to 1 km
+ * within 15 km of towns of 10,000 people or more and to 30 km elsewhere,
+ * keeping every island larger than the stored precision.
+ * Boundaries include territorial waters; open ocean is left to the Etc/GMT zones.
+ * Boundary data © OpenStreetMap contributors, available under the Open Database License (ODbL).
+ *
+ * Each zone maps to its polygons, each a list of rings (outer ring first, then holes) stored as
+ * encoded polyline strings of latitude/longitude at 0.001° precision with the closing point omitted.
+ */
+export const TIMEZONE_BOUNDARIES = {
+  'Africa/Abidjan': [['}jSpwI`n@kr@cOy|AvZsSbDwDcDaDhHZd@h@jAe@lCBpBz@\\jAfBWv@d@p@c@T{Bru@gEhAx@jDo@RtC`EdCy@bApDRtAnAZGj@h@vIrCxFV|XbEd@nBlM~GvAFl@o@l@ExEfBj@w@`EKlg@}KfHJMoCtCXj@cASaAt]_Jf@dW~@MzJvA}Edi@oAzGlLhsBpBpHhCbGzExQ\\vCjBfDdKd`@zFfLvAjLoKD}@fAsAu@k@v@kB]i@XeAKa@Zw@q@uAv@W_@e@TS[ofAmGuZ|\\RZg@HVXe@\\\\V]Z@tFd@zC{@p@[fDa@YYZHh@{@dAp@pBa@`@]{@{Ab@DR[a@q@lA{@NCl@x@ShAr@]x@cBlAKdBi@IDq@{@]GXYKRi@]WcARXy@i@GFg@c@@UgAg@@D_@a@KQs@w@HIe@SFJU_@DIe@o@OHa@_AJGUsKgBGUc@b@cCV_BCc@k@w@?i@dBwAhAs@YmBnAsKv@GdAm@VmCsCP_@r@@BmA_@YCm@oXwU_[hQl@_T?i@h@BKuAe@_@u@Xk@]f@cA`EwA@oE_CnAsBe@o_A`]}f@aIqIipAq@cAcATmAy@{@bBc@KEVe@Qi@POm@iBBS\\u@MOq@MT}@Y?u@vAg@Jy@z@w@x@}EgAy@gE`@\\{D]yDlAD\\}@f@DTh@Xe@p@BzApA^}AjK?Z~@tAw@','gpQp~I_U?|j@?','izPvnD~j@?_U?','gfRp~I?|j@?|j@']],
+  'Africa/Accra': [['gwTnGdALf@uCy@cBdBsAfDS^nAxEn@`AQf@f@vJqAVqAfK}Hk@c@d@qAYu@b@[r@RHa@bAQXk@^d@E{CjBdArDTz@Yt@Vdg@sHx@J\\iBb@[`Cj@z@UHb@`B~@~Aw@lBbAbq@cLPe@v@Cl_@bFDYr@AXf@bB_@@hA`DFx@fC~EWr@RCW|@GbAaAi@cBVq@fD[zEn@xDtA\\m@fA^pAKl@Zv@hCv@Cj@uA`ANTl@~ADI_@t@_Ab@Zv@]l@iC~B?~@\\bAk@K_@Z_@pOeP?mA|Ci@`AmAhBg@@gFnB?rJsCb@jArAnAvC`@tDdBvBvBnAlCv@dKGvJtBrY~AxA|@hBzDpMz@bGzEzFnClKjElGb@pCTdLlD|HjChRbGvGtBdIhBxB@dWaHzJkH`l@{JwA_ALg@eWu]~IR`Ak@bAuCYLnCgHKmg@|KaEJk@v@yEgBm@Dm@n@wAGmM_He@oB}XcEyFWwIsCk@i@[FuAoAqDSx@cAaEeCSuCkDn@iAy@su@fEUzBq@b@w@e@gBV]kAqB{@mCCkAd@e@i@iH[gRnCs@_AsBdAyCe@aB~@wB\\qFNmBsAe@RU|@_f@fA{@_@iAn@oAMj@yx@u@c_@\\WTsOc@CGuEROGeDj@??w@b@FIm@}@]O}Ad@sHx@`@Ic@fBeAyF}GJiAuCMk@u@F_AjBSoAy@]yBo@`@u@[']],
+  'Africa/Addis_Ababa': [['czZ_lfAvCg{@ok@iW`]{`@uJab@m@B_@e@FaCc@oBF]pAVxEwEZCdAlAnAu@wB{AFyAw@`@Tm@YKEkF^u@OeAyEaAOi@p\\aoAbgBu~A|{@pf@p`@wSo@sARAJgBKkC}@aDf@oCsBkD{@aEs@q@nAwBm@_CzA{@zAQJcCVS]{DlChBp~@_KRiAYWnBuExMqAF_Azd@gi@f}@owFh_EvzDh@`hAll@`kB`D~CAh@nA`AjADbAfAhArCYfAm@HRd@g@fB~@|Am@zANr@kRrs@rq@hzAAlE}BvEf@`AE`AV@i@fB^PFjAeAnFabArqDexBx}@ipAzwBac@kLuEcy@yz@rAkd@gKi@}@_@PyEk@uH`BkBUiDx@}A]yD_EqFcC~BmX_bA}Liw@}`A','{mZ{gmA?|j@?{vA','{mZ}{kAzvA?}j@?','}aYysnA|j@?_U?','e|RukqA_U?|j@?','izPuwrA?~j@?}vA','inOqouA?hE?gq@','q~Io{vA?p~I?srH','s|G}{kA_U?|j@?','kbNmgxA?|j@?{vA']],
+  'Africa/Algiers': [['cxgA}wLtF}~AdM_C^l@zAJ\\oBh@Rt@vBORr@x@KnDd@jBT@@eAdBm@dAfAvABG|@bD|FtApGbA_@Fy@rUeHXp@lAf@nTA|@kB~GGfBs@T`A`BjAP]hDd@nAm@v@_C|QbEv@lBxJmBlB|Bj@wAn@nA^QTlA\\LTc@FfBh@DpAdBG`ArBnCTrBp@`@NfAne@nVniBu_BpsBo]lqE{Urh@z_@b`Ayf@vJCpO_IfZ{vAvm@qWp}FpaKvQp_BzGt{@as@pA}[`zAcr@lf@wqF~uJuoCtnFeU?yaA_D{o@mxA_D_pAA}C{aAycCc{@N_Iws@gSjD\\awAt@wOeA{CsBnANtEyAsBoEKSZg@u@uBo@g|B|b@yCqC_@Bk@bBkD`CWhAeD}Cs@Gc@_A}BjHgAFiA~CqB?PpCiC`DQlAuAfBaQWof@imADgGgl@crB_M}bBu@sDgByDo@uFyEaz@TuRdFgz@f@mAMcV_AkEsAwToG{l@b@y@','clfAwzE?~j@?ynD?|j@','e`eA{vA}j@?|T?','i~bAmvL}T?|j@?','mp_AmvL|j@?}T?','od~@mvL?zvA?wnD','{i|@inOh\\?_U?','awo@gfR}T?|j@?','cum@c~T|j@?_U?','eil@c~T?zvA?}j@','iqi@inO?zvA?}j@','iqi@mvL|j@?}T?','keh@mvL?zvA?}j@','iqi@{vA~T?|T?','keh@{vA?}j@?}j@','mme@q~I?zvA?}j@','mp_A??zvA?}j@','s`z@vzE?|j@?}vA','s`z@tfG|T?~T?','cum@zvA?zvA?}j@','aao@vnD?|vA?}j@']],
+  'Africa/Asmara': [['czZ_lfA{z@fCYsAm@[oHeBkgByWi}@_oB`mAk`@vFi}@t{@sl@xb@|Tzz@ogAtBc@vWal@pRyMtGQjAd@r@oGtDmFjTuLnCdHFPlNbm@cgBt~Aq\\`oANh@xE`ANdA_@t@DjFXJUl@v@a@GxAvBzAoAt@eAmA[ByEvEqAWG\\b@nBG`C^d@l@CtJ`b@a]z`@nk@hW']],
+  'Africa/Bamako': [['oyo@`mHvqF_vJbr@mf@|[azA`s@qA{Gu{@zuEfWfl@|tDf@|L`@tAmBj\\gDvz@vv@rnAuEv\\hg@~WiBtWbYeA?fBwMzi@hnAz`@hBbCxBgAD|Bp@j@X?zOno@nvAvEvIfj@uAv@[_AkK?_@|A{AqAq@CYd@Ui@g@E]|@mAE\\xD]zDfEa@fAx@y@|E{@v@Kx@wAf@?t@|@XLUNp@t@LR]hBCNl@h@Qd@PDWb@Jz@cBlAx@bAUp@bApIhpAat@jRpB|V{X}RmP~]sq@`J`Zvh@iHdk@NZx@Gl@jAG`CxCH\\TPdB~@]`@tAjCv@GjCaAbC{@OkChAw@a@{ALu@dCeChAB\\o@l@DlA\\^OrB`Dh@R`A~@XEt@fBJbAdBwWdJarC|t@wu@il@d`@me@ad@aaBtKmnFwpQ~aA','myf@}j@?|j@?{vA','mme@{vA?zvA?wnD','s_b@ufG}T?|j@?','ug_@wnD_U?zvA?}T?','ye]qy@?py@?}j@','cum@rrH?|j@?{vA','cum@tfG|j@?_U?','iqi@|j@?|j@?{vA','mme@??vnD?xnD','{y[p~I}j@?|vA?','ye]p~I?xbC?|j@','{mZffR?zvA?ynD','_vWxwR?heA?}j@','c~Tp~I?zvA?}j@']],
+  'Africa/Bangui': [['iuMig]_`@yaEww@sTcJu{Aw|A_oAsPmgAz`Aop@xfAvHHoWt_Cy{Cnc@cAjS_n@fl@oNaD|n@?hNeAp@Vb@w@PPb@c@b@XPK^ZBa@X\\Vi@D@\\QKMhAo@CX`@q@Af@d@k@PGWq@`@mBts@Pc@v@nAlBL`@h@pAc@Ek@rAFfAn@~@K`AlEIl@^PEl@w@b@d@x@n@ENhAhBn@{BrEVfAp@VvMfpBsAlD}CfAh@fACbAr@f@dA[f@z@r@LRf@y@nAZd@jD|AnCFpBv@fVzOsHtaA}BfDTbAt@P^r@eBhEsBdA{A`GOtEv@lA}k@pdA|Whj@xArBpPzHjBhCRlD]n@bBlB~KiDxEu@xEtBjFf@vNy@jBe@Sx@_GnBwAjBn@fAp@CPZ]VPZ^KH`@aA~Ar@dA[n]s@F@jAu@xBh@l@|GxdAbnAxW_|Azy@auB`h@}EcAmJN{@r@l@~@J~AsG`EgBO]_B','izPkeh@~T?~T?','mvLwq^?|j@?{vA','ojKye]|T?~T?','srHg}j@?zvA?}j@','srHqub@|j@?}T?','inOeil@?|j@?{vA']],
+  'Africa/Banjul': [['}aYxf`@kG{@_BuAgBaD?}uA}GuBgBeCImVWiAdA{DhCyAjEsR~BY`DkGo@aEeAgA}AyFFaBg@y@b@kErBcBjJnBItAh@`B^fFr@\\|@`Ce@nCf@nAChBy@~BsAjAcCns@T|CmAlFvAfDg@`Ed@rADzCjJh]C~W\\n@f@QVp@XKE^`AIl@p@CbK?t@']],
+  'Africa/Bissau': [['_|Vb_`@kFyXIoEcEcJToAk@wFx@kDKeBn@uL_F{NyCuDoCoIRkzAp{@?rKvz@js@bw@q\\~aA']],
+  'Africa/Blantyre': [['njQ}j_A_AkAdCaCrBcD`@gCk@aAXaA]_BzBqCdBiHg@mAp@qARoC{@k@BeBnBgB~A_Dn@SHq@eDYc@]IV{ARoAs@aAgCnO}PvJ}FvA{AvNmCdTy@^q@l@Nr@w@rA]p@T~AaA~IP`CdBvALLk@pCOjDeFxAYh@u@b@\\p@]xC_GxBC`As@bDEjd@hc@nhAoJlr@yx@nDcA`TwPjyAHtBnDIlAjA|CWfAzAdAYr@cARMpBjFjGj\\l@N_@n@LJYpBHbAq@|BvAN[jAj@f@IBs@f@UfBXr@IBa@dAXv@MHdLa@b@s@{@kAfBu@MWX_@Wm@oCgAg@Da@_Cr@y@]u@p@@|B`@PaArBg`A`k@_@}BqBu@i@wAkAHc@w@m@d@}EZg@e@_ABL{@k@k@?k@oRwCSb@e@@wBaBwEpBoDe@uF|BqA}@}Ct@_BvByFnCQdAf@xAMX~@fAKx@`@j@RfEfI~Zqe@nY_AfH|@|@A`C_B@AlBsAWiB~AkAZy@tBA`@`@Ri@bA_ASu@aCuA~Ae@Im@pA\\j@_AfCaBa@ZkBy@s@]eBs@{@gBF?eAm@c@scAg^Hn@cE~B{CBAp@{@t@sCa@yBiAwdA`CcS}[m{@hc@AnFs@NuAy@w@CGhAa@ZLz@yBD'],['vrVgvbAsDmAz@wCfExB'],['~kVspbA`@oC~Cp@_@dB']],
+  'Africa/Brazzaville': [['}iC}r^cnAyW}GydAi@m@t@yBAkAr@GZo]s@eA`A_BIa@_@JQ[\\WQ[q@Bo@gAvAkB~FoBRy@jCMt}Ahb@xMUnFN|FhCpqC~e@~BtBxBhK|CvGlC`Dti@fXfD|DdBdAdC`FpCrBtGj@dD[rz@[`p@rk@xEn@fArAGvEfAxBVpB`Ch@pDdCzB~C`CxArC|ClLp]se@^zf@n{@oPzSoO~Rs@\\x@Xje@dj@~HbL}N`KmGjBog@nc@}d@qY`Hu[ynArVzCu|@{f@{Gta@sTwPun@xYiTce@ySqoA{DsYzi@s_Aog@ma@bRbIp_Amy@}GrR{{Ct@{BvA[Wq@`@OZ{ABcCzDHd@eAsA}@Q}@^k@_@WcAZkBCaDdAg@IOr@','vnD}aY?|j@?{vA','vnD{mZ?}vA?|j@']],
+  'Africa/Bujumbura': [['`uGwnx@eO|@{c@tHkNhAsB?u@w@sD^_CgAe@Zy@UsAh@EbA{@r@FP{ARy@xB{AFUn@wAb@GxAcAFi@gAc@EaA_@{AP[[u@Ti@US}@b@eAe@k@pAkC[yAdA}Bh@Q\\PTk@dAEVf@xDkAuAeCXu@Oi@v@gAu@cCLw@m@aA|@uCKy@}Ae@Sy@n@u@g@cBqBoAwBc@iD^uBk@c@s@{Ep@uA_@`@qAv@yQg@oCs@O_@w@d@i@Q}@|ASzAqCrD~@p@x@x@CrE`Cv@mAiAeCt@@~BhD`BCdCfAZy@v@CdBeCwBoCtBmCpAm@k@cAr@wAc@kEnCfBrAkAhBb@G_@h@Wx@NZS`@dAz@{@jAfDq@d@fAh@`@hBpA|@p@WV}@dA^jC|Fr@f@Ql@pApAxAKb@x@~Bd@r@l@jCo@XXi@`@PdB|OzGv@DfDrEvEfAFjAZAPfAnAbAPrA|@p@k@vAlAv@']],
+  'Africa/Cairo': [['{d|@oyaArEeBhzAkc@dF{@|AXjBWrDuAzChA|B`A|dAtRfJpC~EJ|Eg@vCsAdsArCzIgBp}Cq~BnfBqa@dPb|EePpuOadMByu@vTenAsKqSy_@rF{mB~@uMjAsE~Zc`BaQcj@uLwTkCe~AmCcLGkD~@aGvKkUn@qCvAuBnCa}@hAsCIsDuB_LaDoI','s`z@k|`A{Q?tuC?}`A?','qx|@_yq@?~j@?}vA'],['}nr@gsbA_H_ObOgKzG|P']],
+  'Africa/Casablanca': [['mfeApyJKwIx@sLyBuOxCY|A}@lAaGN{KvCC|Sgt@iCo[c@w}@rJxNt@Rl@e@{IsTlE}W`QVtAgBPmAhCaDQqCpB?hA_DfAG|BkHb@~@r@FdD|CViAjDaCj@cB^CxCpCf|B}b@tBn@f@t@R[nEJxArBOuErBoAdAzCu@vO]`wAfSkD~Hvs@b{@OzaAxcC@|C~C~oAzo@lxAxaA~CtAnhHiuBw~DyCeB}i@u]ysApHuGwCudBejAiDiIkQeo@cOyc@gGiIcS_Lc~@m^uWiI','gtcA~wCk@eBe@C@jEfAI','uceAtqIBD@KG@','eucApkGu@NAZv@]','gtcAtfG?pP?ohB?~j@','a{cAjoFp@`Br@PAw@','ql{@tfG?zvA?}j@','qx|@hzP?|j@?}vA','ql{@hnO?|vA?}j@','ql{@p~I|j@?_U?','utx@lvL?zvA?}j@','whw@ffR}j@?|T?','utx@hnO|j@?_U?','y|u@ffR?zvA?}j@']],
+  'Africa/Ceuta': [['_fdAxaDzIrTm@d@u@SsJyNr@y@'],['gtcA~wCGvAgAHAkEd@B'],['yheAnpI]{BeAcMjHwDlC@OzKmA`G}A|@'],['uceAtqIACFAAJ'],['eucApkG?Lw@\\@['],['a{cAjoFbBz@@v@s@Q']],
+  'Africa/Conakry': [['gwWvwYB_M^oH^YCaAWI^iB[g@t@y@_@g@Pg@WAD_@`@s@c@aApBa@`Bp@hBS|Ewh@vB}@iAwB^g@c@}@MqCqBaC_@eB|@gBYqBD_c@vWeJcAeBgBKDu@_AYSaAaDi@NsB]_@EmAn@m@C]dCiAt@eCzAMv@`@jCiAz@N`AcCFkCkCw@a@uA_A\\QeB]UyCIFaCm@kAy@FO[hHek@aZwh@rq@aJlP_^zX|RqB}V`t@kR|f@`In_Aa]rBd@~BoAAnEaEvAg@bAj@\\t@Yd@^JtAi@C?h@m@~S~ZiQnXvUBl@^XClAs@AQ^lCrCuCdEq@_@mA??rFp@Hz@`A`@QfCh@F[n@JXWzBpCpA@FdAtBlApCa@f@dAQl@PRoAXLr@n@?Q\\h@TDz@iFb]as@z@oE_@Yl@_AqAo@b@QnBuAlA`@PT~Ak@LeAeAe@RAn@a@MU^b@dAt@?b@f@aCr@k@e@s@vAr@~@b@SJpAb@Ra@VBvBjBrC`@fB?d@mCYe@x@Ht@k@`@VNEdA~A|AEf@WCNfBk@xAn@`AOr@|C~AlE|E?z@q@HGnA[NRVWJHf@|Bj@J^_Eq@_@iA}@VwCu@y|Anc@nFzkA~\\zOTAM|AdBK?r@pATZj@I`@Zn@Y~@j@HRj@s@n@Jl@p@Ez@f@zAg@Vv@nCtA^dB~@PCzAoAxAIt@bGnQmcBrwA{Dng@ks@cw@sKwz@','e|RhnO_U?|j@?','gfRhnO|j@?}T?','izPhnO?|vA?}j@','gfR~uW?zvA?}j@']],
+  'Africa/Dakar': [['ek^xs_@MwLd@SaBuAc@VaCEs@i@?iAi@m@qAe@o@\\yLyOtA}Ao@cBb@mAaAwCHk@f@K_@{AhAaFk@oCaAI^kCWkAmA?}@{ALm@lAa@Rq@mA}Dj@{CkA{BTiBW]qAD[^y@g@xAoK{@c@n@i@@eAe@Yp@o@u@m@jAy@y@SE{C`AQWa@VcCu@Wz@aBQaBy@y@x^we@GwAcA{A`BNhAiAmAsEPmBm@_A`@Ur@nAr@_@{@mAt@e@t@aCdDU|@c@b@eAz@j@h@aAhBEv@_A@j@l@FnCgDh@TDbAtBq@[qAvAeE~C`@l@wAi@_EnBIBeAr@l@`B?t@e@Fm@zCKx]gh@`rC}t@E~b@XpB}@fB^dBpB`CLpCb@|@_@f@hAvBwB|@}Evh@iBRaBq@qB`@b@`Aa@r@E^V@Qf@^f@u@x@Zf@_@hBVHB`A_@X_@nHC~LSjzAnCnIxCtD~EzNo@tLJdBy@jDj@vFUnAbEbJHnEjFxXcr@dBBcKm@q@aAHD_@YJWq@g@P]o@B_XkJi]E{Ce@sAf@aEwAgDlAmFU}CbCos@rAkAx@_CBiBg@oAd@oC}@aCs@]_@gFi@aBHuAkJoBsBbBc@jEf@x@G`B|AxFdAfAn@`EaDjG_CXkErRiCxAeAzDVhAHlVfBdC|GtB?|uAqE~BiRzA{BpBeC`AyMtJoE~B|@dE_@|FyArCkE~CsO@iCqEy@mFeD{JsGqF','{mZzmZ?heA?iY','{y[|aY?|j@?{vA']],
+  'Africa/Dar_es_Salaam': [['n}@ygaA|DkP`_BciD|_@en@nHo@xAz@Bb@xCrCt@FF_AZO`@b@l@?]mCnAkCzFeA~}@}wABoZ`LcZjxArPvc@uSnmDnGd[eb@vAcAbGoBrDrHjHxGBpBx@zBtHtHDl@hBnBtAjG~BhEfAjI|@tCdChDlArDpDnEaAnFt@bFE~Dv_@t}AiFnwCcDDaAr@yBByC~Fq@\\c@]i@t@yAXkDdFqCNMj@wAMaCeB_JQ_B`Aq@UsA\\s@v@m@O_@p@eTx@wNlCwAzAwJ|FoO|P`AfCnAr@zASHWb@\\dDXIp@o@R_B~CoBfBCdBz@j@SnCq@pAf@lAeBhH{BpC\\~AY`Aj@`Aa@fCsBbDeC`C~@jA?|@i@^RVo@R`@l@qAtCc@t@kAPKzDaAzCNtAcAv@}U`x@oA`AwC]{@Tw@`AJ~AyAz@EhBiAz@`@x@SfAp@bA_An@?jC|@bAAbBaU~Qqj@fT_M`BcOzFcF|Cui@pg@ijAlHmg@cAaBoUmAw@j@wA}@q@QsAoAcAQgA[@GkAwEgAgDsEw@E}O{GQeBh@a@YYkCn@s@m@_Ce@c@y@yAJqAqAPm@s@g@kC}FeA_@W|@q@VqA}@a@iBgAi@p@e@kAgD{@z@a@eA[Ry@Oi@VF^iBc@sAjAoCgBb@jEs@vAj@bAqAl@uBlCvBnCeBdCw@B[x@eCgAaBB_CiDu@AhAdCw@lAsEaCy@Bq@y@sD_AJ{@g@gA\\}AsBwBbA}Bm@_@U}@uA{@{jAhXqAi@b@mB]mBHcCeBcB]y\\','zlBk|`A_U?zvA?}j@?','xbCk|`A?{vA?|j@','xbCgtcA|j@?}T?','p~IclfA?vnD?q~I','rrH_pjA?|j@?{vA','hnOod~@?|vA?_k@','llM}{kA_U?|j@?','ffR}{kA?xnD?}vA','ffR}{kA|j@?_U?','drS}{kA?zvA?}j@']],
+  'Africa/Djibouti': [['o~WcqsAbPcTlj@vGnAjDnC]pD`Dzf@zV\\zDWRKbC{AP{Az@l@~BoAvBr@p@z@`ErBjDg@nC|@`DJjCKfBS@n@rAq`@vS}{@qf@mNcm@GQ','}yWghsAABFGA?']],
+  'Africa/Douala': [['upXeoZti@gr@bCKt@^v@Yv@Zl@Uj@Rd@c@j@p@xC_E?UaAO`@iAr@@h@o@h@FDd@hA_Bh@RKd@XR|@_@t@n@|AQf@]_@[J]hAI^i@lmAs@jCeEl@A~AgAhA@lBq@ZqAr@Wl@iAfHqE@aAfAw@Ke@h@i@|Cj|@_AtH?~NjJvCvDxErDxAt@yBzDgC\\wA~v@q}@pbAkT`xAz~@\\~AfBNrGaEK_Bm@_Az@s@lJO|EbA`uBah@~{A{y@dStENs@f@H`DeAjBBbA[^V_@j@P|@rA|@e@dA{DICbC[zAa@NVp@wAZu@zBsRz{C{Ex|ARhAu@TBnG[l@XjAMvDVVWbBRj@NRTa@r@RFQEb@n@RFU~AD?bEk@zBt@zAkMv`Bwb@eFsG}AaDlAmc@tc@mGzGkBnHmXtZkIg@gEoBkCuCuAXcB[y@qDyBn@g@]Q_A}@@oA}A[Z{@cAwAQw@k@UcAoCkAo_@UCo@gCw@w@RPt@}@JiA}BqAQaBaD{bAigAn@q@ZPcIiXj\\{Ym@y@B_AnAeAdHFTc@]s@j@ENs@YaAq@BAo@^m@]cA~@iAFsAm@DKqCWRS_@yA`@YyATcA}SyEa@e@q@Lk@kBcx@w]w@_A_@Hs@o@eFl@{CaCeLVmB_@?oAsbAaq@}@sEw@g@g[g@UmAoAW}@{APQ]aCkAgBw@?M[cBb@aBq@cAVYg@uADeMeBm@w@}BYYmAgAKy@m@Ub@s@YAi@aAW_@aAyBYgAf@oAi@I{BwBk@{@yAoBe@mBmB{D_A?cB~@mCSUj@o@^qBg@kAmA{@aP_Xkn@dHk@\\Oh@Rb@g@\\N`L_B~Ae@CKe@wAd@m@o@gAE','mvL{mZ|j@?_U?','ojKajV?|j@?{vA','ojKc~T?|j@?|j@']],
+  'Africa/El_Aaiun': [['u}t@ffYuAohHdU?dqAA?joEb~CA`b@`dAf`BqEvGvwF~GjBdIbAvFe@dEtJqD~BeMA{Bg@qH]knC}aAyNHsHwDsw@}}@u~Aq\\mg@{x@oH{@','_yq@|aY?|j@?{vA','{pt@ffR|j@?}T?','}ds@ffR|j@?}T?']],
+  'Africa/Freetown': [['koPnjYcGoQHu@nAyAB{A_AQ_@eBoCuAWw@{Af@{@g@q@DKm@r@o@Sk@k@IX_A[o@Ha@[k@qAU?s@eBJL}AU@_]{OoF{kAx|Aoc@vCt@|@W^hA~Dp@K_@}Bk@Ig@VKSWZOFoAp@I?{@mE}E}C_BNs@o@aAj@yAnAMjDl@d@MtAXVd@xAe@tA@B`@xA`A_@p@b@f@UdBZhBf@t@xC~ALx@nSrEjl@|i@^`A`AYGd@b@l@IzAzIjEmj@raB}m@tM{@i@cEnCyCl@gG@gEgB','izP~uW~T?~T?','inO~uW|T?~T?']],
+  'Africa/Gaborone': [['vjo@}`f@wkD??o}@ceF?yRsnCh^}Rmk@{eB?AtlBuw@n{@c`BhWl@~@Vl@i@tADHT`AQ\\f@vA[lBeBLy@b@Ol~@mbBdRld@~~@veBpdAjm@lD~Vn@hBJvEfAHd@i@b@F@YjB_@NXp@KPf@xShG~@t@dJjAtIdDfE`JsZrtCnrA|z@bPjtA{_A}F','nad@iqi@?|j@?{vA','hqi@keh@|T?~T?','pub@_mp@|j@?}T?','hqi@{pt@?|j@?{vA','fsk@}ds@_U?|j@?','bum@}ds@?|vA?_k@','`ao@_mp@|j@?}T?','~lp@_mp@?zvA?}j@','~bq@g}j@_U?~j@?','`ao@keh@~T?|T?','~xq@g}j@?zvA?}j@']],
+  'Africa/Harare': [['|va@}ip@bBaU{@yCv@WR{B`BgBAs@|C[t@}Es@aAFqDaAM[XGWbHkd@a]af@qJ{MyCaCkDKwCiBea@mr@wByG_@{D_BwBy@k@eAH{BaAsCv@g`@}WeH}iAtVEpj@m_DbbCzD_@|ClBrEl@LlC{@TfAjD]QmFbDwAvCXvy@eAe@VT`@`BL~@YPv@r@BVw@vABxB~B~@Ln@f@jy@zQlcAfhAgCp~@wBtB\\pEiBdCG`Aq@NK~AcAzAJlAeAhD`AjYm~@lbBc@NMx@mBdBwAZ]g@aAPIUuAEm@h@_AWiWm@o{@b`B','vq^s`z@?|j@?{vA','fxa@y|u@qy@?|j@?','pub@{pt@?|j@?{vA','lme@y|u@?zvA?}j@','vjf@y|u@tM?|j@?','jeh@od~@?|vA?_k@','hqi@ql{@?zvA?}j@']],
+  'Africa/Johannesburg': [['tedCxdAuKydAhva@?tL??vvIoe`@?','rqeCvzE?|j@?}vA','hpfD??vnD?}j@','hpfDvnD?|vA?}j@'],['f}j@uew@eRmd@aAkYdAiDKmAbA{AJ_Bp@OFaAhBeC]qEvBuBfCq~@`oDcl@`HZnDjAtIy@`Bt@dOFgIlj@fGpHzBZpF|BzHpDnA|Ar_@|Ef@SqA_DpB[~AeCtAEpAd@xAu@fE{E{Aiv@qP}@NuAYwAdAiAl@}ArBox@h{Bfq@dCvCzEpJ`[x`@bO|J~@`@`EF`C`A`T~NhFzBhU`NpQtLl`CnsCfd@x~@fApDje@bdCaFflBKlFfDrl@fd@dgDe`@bsAmjAx[uwAuMq{D|fB}n@om@~i@gTdKco@zAm{@k`@ws@_dF?`dAyq@z_A|FcPktAorA}z@rZstCgEaJuIeDeJkA_Au@ySiGQg@q@JOYkB^AXc@Ge@h@gAIKwEo@iBmD_WqdAkm@','fsk@ql{@_U?|j@?','dil@ql{@|j@?}T?','bum@y|u@}j@?~T?','`ao@{pt@?|j@?{vA','`ao@}ds@~T?|T?','~xq@aao@?|j@?{vA','vhw@od~@?|vA?_k@','zdw@whw@Hh@eBIg@`@U`Cc@p@iB@}AhBz@|AFfGd@jCf@Ah@hAd@Kd@j@UxAl@l@g@~A^jAa@XfAp@ONn@f@ITrCvADn@n@G`@|@f@IMbATHeAfBXf@^CBt@jAHDd@a@b@VVUP`@Zm@zBnAOTlAp@?N^v@MKx@nAXB|@v@gAV`@Kd@jAId@xAr@[DdAb@HnAvBv@}@~@dBb@JGbAj@a@\\fAjAFMt@lAg@Jx@rAlA`AGI~@^l@hA?Ox@x@`ASl@j@Z~ArF]f@hANo@l@F^j@Sj@ZhCeDnPsF^cB`@@Xy@vD{@E_D~@r@^IAb@bD@Pk@`@PN]`@d@TKi@iDrBk@|@eCpAWDeA|AMzA_D|BiB\\yAI}DbAgBL{B}^eXVqCeA{Cf@gFeAeDFqAi@cCU?cIqRgc@{Po`@t^O`@OWq@jA^b@e@z@','ttx@ql{@|j@?}T?','pl{@whw@?|j@?{vA','pl{@y|u@?|j@?zbC','pl{@y|u@|vA?}j@?','nd~@y|u@?xnD?}vA','lp_Ay|u@?zvA?}j@','j|`A}ds@?|vA?_k@','vhw@myf@?~j@?}vA','vhw@mme@~T?|T?','jraAkeh@_U?|j@?','hhbAmme@?zvA?}j@'],['~syAadiApf@mI\\vo@cPQ']],
+  'Africa/Juba': [['gfRwhw@zDkk@s`@{[h_@ypAonAqgAww@hVwOyiA`yA~AznAyt@xz@sAtEby@`c@jLhpA{wBdxBy}@Pf`BnV~Wb]x\\U|t@`@pM~AlClFnTLrAoD@yFlDoA`Cn@H~AhCfAf@pAhGjAvBK^aAMk@jBAlZnKjI{Q`QqAPBb@]Fn@zBcBj@`@^Af@}r@zw@vPfw@x@^JhCxCbBAtDgALe@b@JxGgA`A]fAo@U_@PFnAkc@vg@gl@nNkS~m@oc@bAu_Cx{Cuo@??}j@gu@{d@eBqi@rx@mq@','ojKk|`AsM?py@?_U?','gfRmp_A?|j@?{vA','izPk|`A?zvA?}j@','ojKy|u@?zvA?}j@','kbNod~@|j@?_U?','mvLod~@?|vA?ynD','q~Ik|`Ah\\?iF?','ufGk|`A?dtB?i\\','srHy|u@}j@?~T?','srHutx@?zvA?}j@']],
+  'Africa/Kampala': [['wyEcg{@oKkI@mZj@kB`ALJ_@kAwBqAiGgAg@_BiCo@InAaCxFmDnDAMsAmFoT_BmCa@qMT}t@c]y\\jyAep@rD?bFyCX_@c@Y@_@lqAbCnAz@h@fGbHrIzBTlKnDlAhD~B@d@dAjA@\\zCj@Zh@~AvBj@nAEx@z@pCg@bAPr@tAxAZPd@dI`F~cAk@?hkD\\x\\dBbBIbC\\lBc@lBUp@b@h@CtCp@D`KlHMv@lC?b@pAj@JWrAv@x@z@Cc@~@dAr@`AjCy@~@_ERHl@gBfApAv@l@?aAbCtAhBHlDkCa@mAXqB[gAfA{@[s@ReHSC]sCf@KoBmAT}@[iAZoD@_DkAq@X}n@iHMo@iLaBcGuEqACQV}@EsAd@sEo@aA\\iAS_Aa@iAeDWoARsAq@KC]OP}@YG]_@HCy@a@HH[SHgjAa_Ai@xAoC?`@fAIr@`@^mAlBK]eATkBbCEhBpBXVhAQl@w@P]p@uAZWnBd@r@{@TwBi@wCVc@w@_E}@cFuCwAKkC`AcAAsAdAe@rAy@Xa@s@cKwA_AiA','wzEod~@~T?~T?']],
+  'Africa/Khartoum': [['_~i@oyo@dPquOePc|EjdCiWvJF~B^jCgAfSuB?k@qUqVpd@oz@xw@jFh}@~nBjgBxWnHdBl@ZXrAzz@gCz_BbYhw@|`A~aA|L_ClXpFbCxD~D|A\\hDy@jBTtHaBxEj@^Qh@|@jd@fK{nAxt@ayA_BvOxiAvw@iVnnApgAi_@xpAr`@z[{Djk@dUxcCsx@lq@dBpi@fu@zd@?|j@to@?InWyfAwH{`Anp@wiBlY_J~f@uW}SwHyG}@NcAvA}Aj@}CQqBbCcDxAktBkr@iGmaAulF?g^??o}@','iqi@e`eA?|j@?{vA','oad@cxgA?~j@?}vA','s_b@adiA}T?|j@?','sia@adiA?|vA?_k@','iqi@qx|@?~j@?}vA','iqi@od~@|j@?}T?','iqi@ql{@?|j@?|j@','iqi@utx@?|j@?|j@','iqi@_yq@?~j@?}vA','ye]aao@?|j@?{vA','_vWk|`A|T?~T?','ug_@clfA_U?zvA?}T?','ajVk|`A?}j@?}j@','erSql{@?zvA?}j@','erS_mp@?zvA?}j@']],
+  'Africa/Kigali': [['vuAmxx@ImDuAiB`AcCm@?qAw@fBgAIm@~DSx@_AaAkCeAs@b@_A{@Bw@y@VsAk@Kc@qAmC?Lw@aKmHq@EBuCc@i@Tq@pAh@zjAiXtAz@T|@l@^cA|BrBvB]|Af@fAKz@{ApC}ARP|@e@h@^v@r@Nf@nCw@xQa@pAtA^zEq@b@r@tBj@hD_@vBb@pBnAf@bBo@t@Rx@|Ad@Jx@}@tCl@`AMv@t@bCw@fANh@Yt@tAdCyDjAWg@eADUj@]Qi@PeA|BZxAqAjCd@j@c@dAR|@h@Tt@UZZzAQ`A^wAzAFv@uAjC]Q_DVgA~@kA}@}Ar@{@GsAkA?kBe@BYk@{Ac@c@}Do@k@eGqByJ~A_CMsI}E{@BmAq@y@sAuDgBEoD}DwCm@aA']],
+  'Africa/Kinshasa': [['}wEckc@kBd@wNx@kFg@yEuByEt@_LhDcBmB\\o@SmDkBiCqP{HyAsB}Wij@|k@qdAw@mANuEzAaGrBeAdBiE_@s@u@QUcA|BgDrHuaApQw~@\\g@CmBpA@vAxAtArCp_@bs@|{@{}@|Fjv@sA|A}BzPhFEZaBpBqBhCg@rWbMzkBufApJx[vGcm@rYvGrm@_u@nV~}@}JdkAbb@}CbEdvAbaBbKp@nAzBdAtAvDLdA]f@tAt@GbBl@r@lBTHdA_EdPrzAqG|]x]jn@iQ?bYn}@lI`GjpBkxAjq@yD@w@x@oBg@uAxAc@]iAr@m@w@a@xAcAa@_@f@HgA[SqBb@kAYy@RiUjLr@tmDCzEd@t@q@zAChDXfBfAl@}AdGpAxE{@r@QzA~AtDV|DfBlBjEhUSjB{BzC_@hKgEvCqGiJUuB?qNkp@wIQq@_AEsAaAJq@s@SCa@k@HqCuATm@YF]u@Xs@u@i@_@kAR_B}CeCnP{S{f@o{@re@_@mLq]sC}CaCyA{B_DqDeCaCi@WqBgAyBFwEgAsAyEo@ap@sk@sz@ZeDZuGk@qCsBeCaFeBeAgD}Dui@gXmCaD}CwGyBiK_CuBqqC_f@}FiCoFOyMTu}Aib@','ufGmyf@?~j@?}vA','ufGkeh@|j@?}T?','wzEg}j@~j@?_U?','{vAg}j@zvA?_U?','?g}j@|j@?}T?','zvAsia@?|j@?{vA','rrHwq^?|j@?{vA','p~Iu}_@?zvA?}j@','vdEmme@_U?|vA?_U?']],
+  'Africa/Lagos': [['{yUq`FyBoCoBVg@nAqDPoBsBea@p@_MaQ{A}@ke@oImCA?yDcOao@]qC\\aGMuAY_A}CkCgAiE`CqOhq@ooAe@iFyEgE|@mIa@cByK}Sk@sA@y@h@uH|AmHpAoAb@sBxHmIc@}Cf@kBdAeBvC{Ap@qBhDeP?wKl@iHWmBXiLiIcLgB_Aq@_BcGsFqDaK_@iOsC}JMuM`E}w@\\aDdFuHr@gCF_BXSUk@a@NGk@n@aAUKDq@`AS?_@QXSe@\\iAXA]KP]Y[^A?}Cf@q@}@G?c@kALi@YSu@XQc@WmASBd@_@PRa@o@CGe@wAMJ[]XJ{Aw@i@b@@VaAs@]c@RXeA_@NE}@]JaB_AXs@i@P[kAPKa@AU`@Ik@e@EXC@e@_ABEXW[^a@y@B\\y@{Lyl@`f@c[`a@oFfADl@n@vAe@Jd@d@B~A_BOaLf@]Sc@Ni@j@]jn@eH`P~WlAz@f@jA_@pBk@n@RT_AlC?bBzD~@lBlBnBd@z@xAvBj@HzBnAh@fAg@xBX^`A`AV@h@r@XTc@x@l@fAJXlA|BXl@v@dMdBtAEXf@bAW`Bp@bBc@LZv@?jAfB\\`CQP|@zAnAVTlAf[f@v@f@|@rErbA`q@?nAlB^dLWzC`CdFm@r@n@^Iv@~@bx@v]j@jBp@M`@d@|SxEUbAXxAxAa@R^VSJpCl@EGrA_AhA\\bA_@l@@n@p@CX`AOr@k@D\\r@Ub@eHGoAdAC~@l@x@k\\zYbIhX[Qo@p@zbAhgA`B`DpAPhA|B|@KQu@v@SfCv@Bn@n_@TnCjATbAv@j@vAPz@bAZ[nA|A|@AP~@f@\\xBo@x@pDbBZtAYjCtCfEnBjIf@xGp}@j@pClExx@gP~r@mvAhm@{Zbq@c@jKzBjbAiK|@qDBm@e@q@d@sB{AeCj@qAm@a@}@iBQ_@Lg@bB{GMq@x@cC_@s@_A{Bh@w@aAgHv@}G?[eBaDZ_A|AcQfAqAj@eBm@oi@qBsABQf@wAs@G\\cAMkAn@m@[Im@cB?QVGa@u@AY`@Oc@g@Sg@R[a@kAXSWIZi@a@_@Vs@yIb@g@u@eF{DeAiA?eBeAwCDaDj@oBw@g@aAgDoBsBa@?}AwAwAoB`A}AMy@}@gAgEPqB}@kA_AE_AiAiNq@i@l@aIWw@RcBaDjBeEq@g@aDG_DmAkERsw@hQeCcA','_vWizP?~j@?sy@','_vWojK?|j@?mhB?pP','ajV{mZ?zvA?}j@','gpQ_vW_U?|j@?','mvLinOh\\?kF?','q~IinO?vnD?{vA','srHinO?zvA?}j@']],
+  'Africa/Libreville': [['an@yzPcPgeB?iIt@C?yVkX?{N?o@k@@m@wDFgEiAyAdCwA^u@QqB`@_EqAw@B_BEGTo@SDc@GPs@SU`@OSSk@VcBWWLwDYkAZm@CoGt@USiAzEy|Aly@|GcIq_Ala@cRr_Ang@rY{i@poAzDbe@xSyYhTvPtn@ua@rTzf@zG{Ct|@xnAsVaHt[|d@pYqaBn_Bc`Bvs@oMbFwD\\sD]','zvA{mZ?zvA?}j@','xxCc~T_U?|j@?','vnDc~T?zvA?}j@']],
+  'Africa/Lome': [['gnT_x@`q@sFnKaStJc@jGRt@UbBJjBz@pBm@C{@lIs@tEsDvAwBjCmAxDg@|AP|CUxtB]AfDxCe@\\w@rCNJ]r@d@Hc@j@FTa@LP`@Mb@t@QHr@CZb@hAqAJZ~@OjAuAI[NP^Y@u@dBFx@uB~@E`@m@Z^z@k@jAHl@a@XPd@i@|AdJrKuAlBtMnA`Db@fDsJrCoB?AfFiBf@aAlA}Ch@?lAqOdP[^J^cAj@_A]_C?m@hCw@\\c@[u@~@H^_BEUm@aAOk@tAw@Bw@iCm@[qAJgA_@]l@yDuA{Eo@gDZWp@h@bBcA`A}@FBVs@S_FVy@gCaDGAiAcB^Yg@s@@EXm_@cFw@BQd@cq@bLmBcA_Bv@aB_AIc@{@TaCk@c@Z]hBy@Keg@rHu@W{@XsDUkBeADzC_@e@Yj@cAPI`@s@Sc@ZXt@e@pAj@b@gK|HWpAwJpAg@g@aAPyEo@_@oAgDReBrAx@bBg@tCeAMfF_b@x@wC|B?']],
+  'Africa/Luanda': [['ntL{~e@hTmsBv`CjAvbAo]LNl@iApEWx@XxCs@jAp@x@hDzAhB~AS~@q@`CE{E_oBzbCoB?f_CjgEHlxAuxAvNzvEu@lBj@zB_@jBtArBcAp@E`@TDgAbABnA^l@St@^VBt@]`ATNa]pbAtA`vGu[vd@fPbpB_jCeWgC}@udBeWyy@ku@O_CgGsC{DmEufAgKqtBtt@u]wQQW_jAxV{EdCcOx@uq@|_@eOW^iKzB{CRkBkEiUgBmBW}D_BuDP{Az@s@qAyE|AeGgAm@YgBBiDp@{Ae@u@B{Es@umDhUkLx@SjAXpBc@ZRIfA^g@bA`@`@yAl@v@hAs@b@\\tAyAnBf@v@y@xDAjxAkq@aGkpBo}@mI','b~Teil@?|j@?{vA','llMu}_@_U?zvA?','jbNmme@~T?|T?','lvLu}_@?|j@?|j@','ffR{mZ|T?|`A?','hdPkeh@_U?~j@?','b~T{mZ|`A?|T?','t}_@u}_@?xnD?_k@','t}_@g}j@|j@?}T?','b~Tcum@|j@?}T?','`jVcum@|j@?}T?','~uWcum@?zvA?}j@'],['x`IocV_IcLke@ej@y@Yr@]nO_S|CdCS~A^jAt@h@Yr@\\t@XGUl@pCtAj@IB`@r@RKp@rA`A~@DPp@jp@vI?pNTtBpGhJwFlCuEl@wCO}FgBcEfA']],
+  'Africa/Lubumbashi': [['ntL{~e@kn@hQ}]y]szApG~DePIeAmBUm@s@FcBuAu@\\g@MeAuAwD{BeAq@oAcaBcKcEevAcb@|C|JekAoV_~@sm@~t@sYwGwGbm@qJy[{kBtfAsWcMiCf@qBpB[`BiFD|B{PrA}A}Fkv@}{@z}@q_@cs@uAsCwAyAqAABlB]f@qQv~@gV{OqBw@oCGkD}A[e@x@oASg@s@Mg@{@eAZs@g@BcAi@gA|CgArAmDwMgpBq@WWgAzBsEiBo@OiAo@De@y@v@c@Dm@_@QHm@aAmE_AJgAo@sAGDj@qAb@a@i@mBMw@oAQb@lBus@p@a@FVj@Qg@e@p@@Ya@n@BLiAPJA]h@E]W`@Y[CJ_@YQb@c@Qc@v@QWc@dAq@?iN`D}n@jc@wg@GoA^Qn@T\\gAfAaAKyGd@c@fAM@uDyCcBKiCy@_@wPgw@|r@{w@@g@a@_@bBk@o@{B\\GCc@pAQzQaQxKq@~@hAbKvA`@r@x@Yd@sArAeAbA@jCaAvAJbFtC~D|@b@v@vCWvBh@z@Ue@s@VoBtA[\\q@v@QPm@WiAqBYDiBjBcCdAUJ\\lAmBa@_@Hs@a@gAnC?h@yAfjA`_ARIIZ`@IBx@^IF\\|@XNQB\\p@JSrAVnAhAdD~@`@hAR`A]rEn@rAe@|@DPWpABbGtEhL`BLn@|n@hHp@Y~CjAnDAhA[|@ZlAUJnBrCg@B\\dHRr@Sz@ZfAgApBZlAYjC`@?~@l@`A|DvCDnDtDfBx@rAlAp@z@CrI|E~BLxJ_BdGpBn@j@b@|DzAb@Xj@d@C?jBrAjAz@F|As@jA|@fA_A~CW\\PtAkCGw@vA{Ab@Dh@fAbAGFyAvAc@To@zAGx@yBzASGQz@s@DcArAi@x@Td@[~BfArD_@t@v@rB?jNiAzc@uHdO}@lg@bAhjAmHti@qg@bF}CbO{F~LaBpj@gTdJxnBlg@vWnCvEpIBp@m@zCTNo@l@BLiApCG]gAPMr@jA\\}@`jC~Ijb@{d@sMeo@zoACuAxb@~A~B{AXkNtOJr@YHGx@gAQk@j@a@_@QXgCLUf@wAb@Dx@wCpAg@jA}@h@Bd@`@r@`Cv@Eb@uAt@{@MkEvD}@_@AaAcEFiAtBkAU_@`BmAn@Or@aAr@LrAe@l@Zv@c@RE|@i@ECh@h@r@x@IRr@qDxAJfAa@fBl@p@I^sAWuA~@{@CIrD[z@x@Ej@xAh@P[~@JzC_@x@_BJK\\oLpG{AWq@XcEvF{AzEmAR}B_@oFz@jAzAWlAb@nA[z@j@~@xDw@x@ZTv@lEDhHxQaAxE^p@cAdC{@h@O|AdBxFi@b@]lD{Gbk@wc@|GhL``Am_@lRzE~nBaCD_Ap@_BR{AiBy@iDkAq@yCr@y@YqEVm@hAMOwbAn]w`CkA','wzEy|u@}j@?|vA?','srH}ds@?|j@?~j@','ufG}ds@}T?_U?','ufGy|u@?|j@?|j@?|vA','}`Autx@}T?|j@?','}j@utx@|j@?_U?','?utx@|j@?}T?','|j@utx@|j@?}T?','njKutx@|j@?}T?','ffRy|u@?xnD?}vA','b~Ty|u@?zvA?}j@','rrHkeh@}j@?|T?','njKkeh@~T?|T?']],
+  'Africa/Lusaka': [['rgT_{m@l_@mRiLa`Avc@}GzGck@\\mDh@c@eByFN}Az@i@bAeC_@q@`AyEiHyQmEEUw@y@[yDv@k@_AZ{@c@oAVmAkA{AnF{@|B^lASzA{EbEwFp@YzAVnLqGJ]~AK^y@K{CZ_Ai@Qk@yAy@DZ{@HsDz@BtA_ArAVH_@m@q@`@gBKgApDyASs@y@Hi@s@Bi@h@DD}@b@S[w@d@m@MsA`As@Ns@lAo@^aBjAThAuBbEG@`A|@^jEwDz@LtAu@Dc@aCw@a@s@Ce@|@i@f@kAvCqAEy@vAc@Tg@fCMPY`@^j@k@fAPFy@XIKs@jNuOzAY_B_CtAyb@{oABrMdo@kb@zd@ajC_J]|@s@kAQL\\fAqCFMhAm@COn@{CUq@l@qICoCwEmg@wWeJynB`U_R@cB}@cA?kC~@o@q@cARgAa@y@hA{@DiBxA{@K_Bv@aAz@UvC\\nAaA|Uax@bAw@OuA`A{CJ{DjAQb@u@pAuCa@m@n@SSWh@_@?}@t@VxBEM{@`@[FiAv@BtAx@r@O@oFl{@ic@bS|[vdAaCxBhArC`@z@u@@q@zCCbE_CIo@rcAf^l@b@?dAfBGr@z@\\dBx@r@[jB`B`@~@gC]k@l@qAd@HtA_Bt@`C~@Rh@cAa@S@a@x@uBjA[hB_BrAV@mB~AA@aC}@}@~@gHj}@~{D~e@wKdH|iAf`@|WrCw@zB`AdAIx@j@~AvB^zDvBxGda@lr@vChBjDJxC`CpJzM`]`f@cHjd@FVZY`ALGpDr@`Au@|E}CZ@r@aBfBSzBw@Vz@xCcB`U?@gR|p@YhCj@dC?pBc@h@dI|q@mxAtxAkgEI?g_C','d|Rod~@}T?|j@?','`jVql{@?zvA?}j@','|wYy|u@iF?f\\?','~uW_yq@?~j@?ynD?|j@','xe]y|u@|j@?_U?','vq^y|u@?zvA?}j@','zy[utx@|j@?_U?']],
+  'Africa/Malabo': [['wzE{bOeYsRiAyB_@}BD}Bp@wCjBoHlG{G`n@lW'],['ytCivQjMw`Bu@{Aj@{B?cEv@C~DpApBa@t@PvA_@xAeCfEhAvDGAl@n@j@zN?jX??xVu@B?hIbPfeBwcAwUyF_D}Ev@','ybCerS?|j@?{vA','ybCc~T|j@?_U?'],['bjAq~IlJoM|PzJ_NpN']],
+  'Africa/Maputo': [['jrU}gcAhFowCw_@u}AD_Eu@cF`AoFqDoEmAsDeCiD}@uCgAkI_CiEuAkGiBoBEm@uHuHy@{BCqBkHyGsDsHxhDeHzB`Av{BqMjAZfgBpdAxaA`yCfo@dk@hG~DhiAz|AbCzF~Bc@pvAwk@rtCcC~t@~^|_@xuAVx@ndBdm@sBnx@m@|AeJ?wg@~AoB~EeOGaBu@uIx@oDkAaH[aoDbl@mcAghAky@{Qo@g@_AMyB_CwACWv@s@CQw@_AXaBMUa@d@Wwy@dAwCYcDvAPlFkD\\UgAmCz@m@MmBsE^}CcbC{Dqj@l_DuVD_f@vKk}@_|Dpe@oYgI_[SgEa@k@Jy@_AgALYg@yAPeAxFoC~AwB|Cu@pA|@tF}BnDd@vEqBvB`Bd@ARc@nRvC?j@j@j@Mz@~@Cf@d@|E[l@e@b@v@jAIh@vApBt@^|Bf`Aak@`AsBa@QA}Bt@q@x@\\~Bs@E`@fAf@l@nC^VVYt@LjAgBr@z@`@c@IeLw@LeAYC`@s@HgBYg@TCr@g@HkAk@OZ}BwAcAp@qBIKXo@MO^k\\m@kFkGLqBbASXs@{AeAVgAkA}CHmAuBoDkyAIaTvPoDbAmr@xx@ohAnJ','`jV}{kA}j@?~T?','vrVgvbAnAkBgEyB{@vC','~kVspbA`DF^eB_Dq@','|aYclfA?zvA?}j@','xe]}{kApy@?sM?','t}_@}{kA?xnD?{bC','zy[mp_A?|j@?{vA','vq^k|`A?zvA?}j@','pub@k|`A~T?|T?','hqi@mp_A?|j@?{vA','hqi@od~@|T?~T?','pkc@gtcA_U?|j@?','lme@gtcA?zvA?}j@','jeh@ihbA?|j@?{vA','dil@od~@~T?|T?']],
+  'Africa/Maseru': [['zdw@whw@S{@d@{@_@c@p@kANVNa@n`@u^fc@zPbIpRT?h@bCGpAdAdDg@fFdAzCWpC|^dXMzBcAfBH|D]xA}BhB{A~C}ALEdAqAV}@dCsBj@h@hDUJa@e@O\\a@QQj@cDA@c@_@H_As@D~CwDz@Yx@a@A_@bBoPrFiCdDk@[k@RG_@n@m@iAO\\g@_BsFk@[Rm@y@aANy@iA?_@m@H_AaAFsAmAKy@mAf@Lu@kAG]gAk@`@FcAc@K_AeBw@|@oAwBc@IEeAs@Ze@yAkAHJe@Wa@w@fAC}@oAYJy@w@LO_@q@?UmAoANl@{Ba@[TQWW`@c@Ee@kAICu@_@BYg@dAgBUILcAg@Ha@}@o@FEo@sCwAHUo@g@NOgAq@`@Y_@kAf@_Bm@m@TyAe@k@e@Ji@iAg@@e@kCGgG{@}A|AiBhBAb@q@TaCf@a@dBH']],
+  'Africa/Mbabane': [['nls@mw}@eAhAXvAOtApP|@zAhv@gEzEyAt@qAe@uAD_BdCqBZpA~Cg@Rs_@}EoA}A{HqDqF}B{B[gGqHfImj@nB_Fvg@_B']],
+  'Africa/Mogadishu': [['omTc|rA{f@{VqDaDIwAnt@uc@dN{m@JyBiDeHwl@eiC]ejBgB{McJk[OmCf@mDgAaC}WckAl@mA@wBx@gFbdBsSvl@nc@vEf@~C_AvC?|HjCdtA|v@lBfBlCOhCZdsCtlAtKpHbhEf_EfRdb@zEhIfuBr~BlCx@zrAr_Aq{@hl@{cFFov@ol@uO{JcAgAkAEoAaA@i@aD_Dml@akBi@ahAi_EwzDg}@nwF{d@fi@G~@yMpAoBtEXVShAq~@~J','}`AsctA}T?|j@?','}j@sctA?|vA?_k@','c~Tgw}A?~j@?ynD?|j@','c~Ta{aBzvA?}T?','gfRa{aB|j@?}T?','erSgk|A?|j@?|j@','erSksyA?|j@?|j@','inOgk|A?zvA?}j@','kbNec_B|j@?_U?','mvLec_B|j@?_U?','upFksyA_U?|j@?','wnDksyA?zvA?}j@']],
+  'Africa/Monrovia': [['iqOlaSOgBVBDg@_B}ADeAWOj@a@Iu@d@y@lCX?e@a@gBkBsCCwB`@Wc@SKqAc@Rs@_Ar@wAj@d@`Cs@c@g@u@?c@eAT_@`@L@o@d@SdAdAj@MU_Ba@QtAmAPoBn@c@~@pAXm@nE^`s@{@hFc]E{@i@UP]o@?Ms@nAYQSPm@g@eAqC`@uBmAGeAqAA{BqCYVo@KGZgCi@a@P{@aAq@I?sFlA?p@^tCeEl@WFeArKw@lBoAr@XvAiAh@eBv@?b@j@~ABbCWb@c@FTrKfBFT~@KI`@n@NHd@^EKTRGHd@v@IPr@`@JE^f@ATfAb@AGf@h@FYx@bAS\\VSh@XJFYz@\\Ep@h@HJeBbBmA\\y@iAs@y@RBm@z@Op@mAZ`@ESzAc@\\z@`@a@q@qBz@eAIi@X[`@XZgDz@q@e@{CAuF\\[]Wd@]WYf@IS[tZ}\\nfAlGRZd@UV^tAw@v@p@`@[dAJh@YjB\\j@w@rAt@|@gAnKEH~Eo@lIgC|F}AfB{^zfAeFzHej@bp@uAnCuGlEoSfg@}D`EaQhX_BtDaD`CiE|@e@h@{IkEH{Ac@m@Fe@aAX_@aAkl@}i@oSsEMy@yC_Bg@u@[iBTeBc@g@^q@yAaACa@uAAyAd@We@uAYe@LkDm@','ojKhzP?|j@?}vA','ojKhnO|j@?_U?']],
+  'Africa/Nairobi': [['u_HoeeA`bAsqDdAoFGkA_@Qh@gBWADaAg@aA|BwE@mEsq@izAjRss@Os@l@{A_A}Af@gBSe@l@IXgAiAsCtOzJnv@nl@zcFGp{@il@bh@he@|j@dk@zKzB`t@j\\z[tLCnZ_~@|wA{FdAoAjC\\lCm@?a@c@[NG~@u@GyCsCCc@yA{@oHn@}_@dn@a_BbiD}DjP_dAj@eIaFQe@yA[s@uAcAQqCf@y@{@oADwBk@i@_Bk@[]{CkAAe@eA_CAmAiDmKoD{BUcHsIi@gGoA{@mqAcCA^b@XY^cFxCsD?kyAdp@oV_X','wzEgtcA}j@?~T?','|j@gtcA~T?|T?','xbCadiA?|vA?_k@','vnD}{kA~j@?_U?','vzE}{kA?zvA?}j@']],
+  'Africa/Ndjamena': [['q|k@mh\\c[q}@|uF_sNtlF?hGlaAjtBjr@bDyApBcC|CP|Ak@bAwA|@OvHxGtW|S~I_g@viBmYrPlgAv|A~nAbJt{Avw@rT~_@xaEqbAjT_w@p}@]vA{DfCu@xBsDyAwDyEkJwC?_O~@uH}Ck|@i@h@Jd@gAv@A`AgHpEm@hAs@V[pAmBp@iAA_BfAm@@kCdEmmAr@_@h@iAHK\\^Zg@\\}APu@o@}@^YSJe@i@SiA~AEe@i@Gi@n@s@Aa@hA`AN?TyC~Dk@q@e@b@k@Sm@Tw@[w@Xu@_@cCJui@fr@af@b[_n@rHkwCu}B}vEu]mfArp@','oad@cum@|j@?_U?','qub@cum@|j@?_U?','sia@cum@|j@?_U?','u}_@cum@|j@?}T?','yo\\g}j@_U?|j@?','ctUg}j@}T?|j@?','keh@mme@|vA?_k@?}T?','myf@mme@?}vA?|j@','myf@keh@~j@?_U?','iqi@u}_@?zvA?}j@','wq^wq^?|j@?{vA','wq^ye]~T?|T?','izPqub@~j@?_U?','inOu}_@?zvA?}j@']],
+  'Africa/Niamey': [['okd@uiGwQq_Bq}FqaKlw@yjCeWyn@`}AwKlfAsp@|vEt]jwCt}B~m@sHzLxl@]x@x@C_@`@VZDY~@CAd@YBd@DHj@Ta@`@@QJZjAh@QYr@`B~@\\KD|@^OYdAb@Sr@\\W`Ac@Av@h@KzA\\YKZvALFd@n@BS`@^QCe@lARb@VYPRt@h@XjAM?b@|@Fg@p@?|C_@@XZQ\\\\JY@]hARd@PY?^aAREp@TJo@`AFj@`@OTj@YRG~As@fCeFtH]`DaE|w@LtMrC|J^hOpD`KbGrFp@~AfB~@hIbLYhLVlBm@hH?vKiDdPq@pBwCzAeAdBg@jBb@|CyHlIc@rBqAnA}AlHi@tHAx@j@rAxK|S`@bB}@lIxEfEd@hFiq@noAaCpOfAhE|CjCX~@LtA]`G\\pCbO`o@?xDlC@je@nIzA|@~L`Qda@q@nBrBpDQf@oAnBWxBnCeApB{AYWtAy@@sAfACrAy@fCA|BoElBk@WcDnDmRdUr^`Ygp@lOyXdgAuOaQuZpk@oAdBsfAvPlBk\\a@uAg@}Lgl@}tD','ggj@{mZ_U?zvA?}j@?','keh@inO~T?hF?','myf@kbN?|j@?{vA','{mZmvL?zvA?}j@','{mZq~I?zvA?}j@','}aY{vA}j@?|T?','}aYgfR?|vA?_k@','{mZmvL|T?~T?','ug_@{mZ_U?h\\?','ye]{mZ?vnD?ybC']],
+  'Africa/Nouakchott': [['ujg@ft`@eEuJwFd@eIcA_HkBwGwwFg`BpEab@adAc~C@?koEeqA@toCunF?tkBvpQ_bAuKlnF`d@`aBe`@le@vu@hl@y]fh@{CJGl@u@d@aB?s@m@CdAoBHh@~Dm@vA_Da@wAdEZpAuBp@EcAi@UoCfDm@GAk@w@~@iBDi@`A{@k@c@dA}@b@eDTu@`Cu@d@z@lAs@^s@oAa@Tl@~@QlBlArEiAhAaBObAzAFvAy^ve@x@x@P`B{@`Bt@VWbCV`@aAPDzCx@RkAx@t@l@q@n@d@XAdAo@h@z@b@yAnKx@f@Z_@pAEV\\UhBjAzBk@zClA|DSp@mA`@Ml@|@zAlA?VjA_@jC`AHj@nCiA`F^zAg@JIj@`AvCc@lAn@bBuA|AxLxOn@]pAd@h@l@?hAr@h@`CDb@W`BtAe@RLvLaqCo[','eil@`jV?|j@?{vA','awo@lvL}T?|j@?','aao@lvL|j@?_U?','cum@lvL|j@?_U?','keh@|aY?|j@?wnD','keh@zmZ?~j@?xbC','u}_@zmZ?|vA?}j@','wq^b~T~T?|T?']],
+  'Africa/Ouagadougou': [['}jSpwIovAwE{Ooo@Y?q@k@E}ByBfAiBcCinA{`@vM{i@?gBcYdAhBuWig@_XtEw\\wv@snAfDwz@rfAwPnAeBtZqk@tO`QxXegAfp@mOtw@p|A~BvX}B?y@vCgF~a@eAtGt@Zn@a@\\xBnAx@kBRG~@j@t@tCLKhAxF|GgBdAHb@y@a@e@rHN|A|@\\Hl@c@G?v@k@?FdDSNFtEb@BUrO]Vt@b_@k@xx@nALhAo@z@^~e@gAT}@d@SlBrApFOvB]`B_AxCd@rBeAr@~@fRoCbD`DcDvDwZrSbOx|A','ajV{vA?zvA?}j@']],
+  'Africa/Porto-Novo': [['}fVquCs^aYlReUbDoDj@VnEmB@}Bx@gCBsArAgAx@AVuAzAXdAqBp@`AdCbArw@iQjES~ClA`DFp@f@kBdEbB`Dv@S`IVh@m@hNp@~@hA~@D|@jAQpBfAfEx@|@|ALnBaAvAvA?|ArB`@fDnBf@`AnBv@`Dk@vCEdBdAhA?zDdAt@dFc@f@r@xI^Wh@`@H[RVjAYZ`@f@Sf@RNb@Xa@t@@F`@PWbB?Hl@l@ZjAo@bALF]vAr@Pg@rACni@pBdBl@pAk@bQgA~@}A`D[ZdB|G?fHw@v@`AzBi@r@~@bC^p@y@zGLf@cB^MhBP`@|@pAl@dCk@rBzAp@e@l@d@pDChK}@dA~PK`E^hJxDd^sKtA}AeJe@h@YQm@`@kAI{@j@[_@a@l@_ADy@tBeBGAt@_@XOQHZkAtA_ANK[iApA[c@s@BPIc@u@a@LMQU`@k@GIb@s@e@K\\sCO]v@yCd@@gDytB\\}CT}AQyDf@kClAwAvBuErDmIr@Bz@qBl@kB{@cBKu@TkGSuJb@oK`Saq@rF','chTwnD_U?|j@?']],
+  'Africa/Sao_Tome': [['{vA{pLg^}TtF_UneBjk@rT`]__@jJ']],
+  'Africa/Tripoli': [['mp_A_zh@pEmuArh@{oAtBoDpC{w@jYkPpSx_@dnArKxu@wT`dMC~{B??n}@f^?}uF~rNb[p}@dWxn@mw@xjCwm@pWgZzvAqO~HwJBc`Axf@sh@{_@mqEzUukByfA{@mDoDcC_V{l@}Z`E_[kIpHmXxFaMnCoU}@}O_AcDcAwXd@oC`B{D`H}l@zDyInDmqJiCwG','eil@qub@?zvA?}j@','myf@cum@?zvA?}j@','iqi@mme@}j@?~T?','iqi@keh@?|vA?_k@','iqi@keh@~T?|T?','keh@keh@?}j@?}j@']],
+  'Africa/Tunis': [['i`z@mtQqsBn]oiBt_Boe@oVOgAq@a@UsBsBoCFaAqAeBi@EGgBUb@]MUmA_@Po@oAk@vAmB}ByJlBw@mB}QcEw@~BoAl@iDe@Q\\aBkAUaAgBr@_HF}@jBoT@mAg@Yq@sUdHGx@cA^uAqGcD}FF}@wACeAgAeBl@AdAUAe@kBJoDs@y@NSu@wBi@S]nB{AK_@m@eM~BkA{Hwb@kGnKupA`Sa_Ala@_CdAnCt@j@vPdJ|B~DtBhJ`CXzD}A`CmBR{Dc@gBrLoSbCj@|LqBnD~@tAyBtBqA|\\_]zq@vk@b@eAbKuEpEVnC{A|GcAzFkQ~ZjI|ZaE~Uzl@nDbCz@lD','clfAizP?~j@?}vA','e`eAc~T|j@?_U?','gtcAc~T|j@?_U?','kf`Ac~T_U?|j@?','mp_Ac~T|j@?}T?','od~@c~T?zvA?}j@']],
+  'Africa/Windhoek': [['bu`@kpUgPcpBt[wd@uAavG`]qbAUO\\aACu@_@WRu@_@m@CoAfAcAUEDa@bAq@uAsB^kBk@{Bt@mBwN{vEeI}q@b@i@?qBk@eCXiCfR}p@lk@zeBi^|RxRrnCbeF??n}@vkD?~cF?j`@vs@{Al{@eKbo@_j@fT|n@nm@}vB~wAsfGxd@q~FdyC','ria@sia@?|j@?{vA','ria@u}_@?|j@?|j@','jeh@mme@f\\?iF?','~xq@ye]|T?~T?','|ds@mme@?vnD?{vA']],
+  'America/Adak': [['s{fBqypIxVuiBrLqIfV|eByh@lcA'],['_ceBeayIhH{_B`r@maAsRhcD'],['}rdBm}|I}Jqf@vY_KbCjd@'],['}heBsxuI{KcUtMiZxLvX'],['}ydBdayIy\\{zDzPaiCn_@vcArl@xiKuw@aU'],['}rdB~p~IuE?nT?'],['a{fBx}iIjEoE~[fH|JrdC']],
+  'America/Anchorage': [['op|B~k{HkeK?kaAi|I~w@epIpSslNj_@srCdrQjN|c@fg@hHb|Dce@hqAxd@jlB_IblAl`AbxDjZc`@dz@t^vy@fnBV|xAyyAsX~iAbvBpn@cJw\\hx@zo@rtBds@sJaOv~Bl`@zv@yeB?_~@gyDwbAgaAyVdeBbHhuCkoI?s@{m@','oihCnnyH?|j@?}vA','oihCnk_H?pK?mcB?|j@','ouiC`kjH~j@?_U?','oihCrs|GvnD?yxC?','ibuBrs|G?vnD?ybC','ibuBdsgH{vA?xnD?_U?','ibuBrs|G?}j@?{bC','qfnBrjuH|T?~T?'],['k`sB|u}GeSe[zQ_^rNn_@'],['sdlBt~rHaCcYdLuL`Ij]'],['eplB|nnHz]NwJpm@oQaS']],
+  'America/Anguilla': [['qkc@`h{Bj\\cu@hEbd@']],
+  'America/Antigua': [['s_b@j~wBzt@{]jQ|]eFfOhGfNyGvEeXeJ']],
+  'America/Araguaina': [['jmIff~A`CgbAvA{BJ}BvBmBpGu@fCf@rAm@fTiArHoBfC`A~Dl@rB_@fCrAfb@jI~@|@YfAjEC`CsACe@kAaAAuAJs@pAoAxBBbArC~@x@Vy@c@eALs@zDu@_@YJ_A^I^\\VqAd@JXk@jBAKy@q@h@Ka@tAsAJl@d@KHy@V??ZTUb@NTiB`@LAi@tA@DWVPbA}AOO`@CEW\\@n@cAhFsh@t`A|c@l~@af@xC_l@fdAxr@pUm\\xc@zQFc@`An@`@e@z@\\HoAdB~@CiA^l@ScBf@m@rAhAIXh@S`@TTq@q@_@i@H?]\\I_@E\\Wx@R?_@XP@WpAVWqC|ApCf@APj@_@FZR`@_A`BbACcA`@WlAnAxL}JfBhZAnK`AjCbCdA@Zi@RHX|ClDSl@f@Tf@dCf@NURLbAj@B?vAWJrFx{@u^pk@zWt\\fBId@v@aZxx@sZaH`\\rUswAlMecBg_@{uAet@aAq@kAcCyFeA_DkAoDUgAo@{@CubApAkN{\\[kBu@u@oDPoBe@oBcAqByCyAu@CuB|@aCaAOcBtAuDd@sc@aR','hnOfw}A?|j@?}vA','hzPdc_B|T?~T?']],
+  'America/Argentina/Buenos_Aires': [['rjcArxzBoe@H?{u@?up@cp@eaAx@mAb@}BQqDoBUiAuA_@RyB[oBuCyBUiCuBc@NbAyCjB{@r@_CjCyBnD{LrB]^aAKwBf@qB`CoAAq@gBgBGy@\\q@hB[t@u@lDgLOsBrAmAYyCXiAMq@~@i@b@uCpBgBGeDlByBHsPe@aAhBsA~Ew@`HaMfHoH~LVtdAmkCha@rn@v{@rMvv@ve@nEhFb[dbAdBbKnWngDvvAtSvf@ju@wX|Ts@xCk@b@}AdH','ftcAl~pB?|j@?{vA','hhbAfnvB?|j@?{vA','zgmAdzwB?zvA?}j@'],['vwaAfwpBBX[EAU']],
+  'America/Argentina/Catamarca': [['`dp@txdCbGwxB|h@~P|Za\\{PsJDq@jDmC|@CXf@|@DpvA_OrNkj@zaAgRjJQtC_BJp@lBTdBaApBO\\f@nAJ|e@fd@gbBfdAkC_@uh@f`Dwu@_s@','zpt@za`C|j@?_U?','x|u@za`C?zvA?}j@'],['bauAnbkCstAtZka@uVo@kCmATm@_@u@hAqA^?wjOlv@Rxk@v}AfuCpV?tkKqPrH{\\i\\c]xl@cM}{@eFdl@','tkqAnuiC?|j@?}vA','tkqAnihC?wnD?|j@','tkqAvybC?{vA?|j@','tkqAza`C?}vA?~j@']],
+  'America/Argentina/Cordoba': [['x{j@jwxBxrAosAflA_zDv@MScBP_DdBo@vAeDvAH\\m@b@H?c@n@?Py@fAPpFgHrCr@rAMR|@|AXg@nB~B@_@zA^v@|U|HnArAnArCHxBnAbAbA@EnAzAoBfAvB~CMxAzBjLo@`@\\n@g@Rp@SxArEYVXM|@nAKZbBvBSKxAv@\\z@rBFtBdCcAVPSp@Pb@`Be@R\\i@FKhApCCFhC^t@jBVpAiCvCHGyBg@kA~KqvAH}EXk@nBo@lAeCBsBWm@XgCm@oAw@QaDvAU[FqBoAaBaFc_@HcBrAsBWeDfCyBx@_BHcBeCkBsAiDqBBw@o@cBvAeAMsBaFCyAkB?sBcAy@yACkCs@uA~@uBg@iCaDNmCuD[{DgEa@u@oC`@_BoA_A_EXuDaEeCOeC_B}A|@_ByB_CjBwB{@cEfA]c@HmAa@[kBZgDeA_CvAsDt@_@a@JqBqCRIqApAu@UaAlAsApAc@iEaBRgAcAa@e@uArAaAEg@}@Il@eBWG]z@c@?BqA}A}Bb@OfB|@z@Q?s@iAQt@}@g@iAtM{J^C?b@n@V~@s@Vr@\\{@X\\@_@Z@KZXPjAMNk@RFI]|A}@TkApCNzCwDj@Qd@V\\_@fANhE`ChBm@@`@v@KB`@Fe@\\?ti@vKc@lBpAJF`B~AThBfCIdC_A?S^fGxAXzA~Ad@wAnBbBGXd@uBvBh@pBzAo@NrBp@r@kBfBpDnABf@aA`@Ad@`CFYtBj@dA_Bd@G`@vDjA\\lBvBIth@lw@ItC|Ap@jCi@v@|Fz@`@tAo@r@JxC|EnDdCNpCf@dAlENxCvEl@Hp@_@hBf@ZnD|@fDjAZbAlA|BFfEjBd@~BdG~D|DvEjA?T~@tA|@hCnDb@dF~ArBzInB~@~BlC`BhAfB~@hCAfBb@XzBcAjDv@nIjNzCC|@mArAIbAcA`IQxB~@SvBZl@bFkB|DrBlDIrBn@xAtArA^x@_@fCjE|@KrAqCnBm@hb@tKxD_DnBGnAp@bArBhDj@nCc@lAu@nTwAhD_AvCvDxAtJpBpApBJtAg@fDrAlGBrARzAdBjGwBfKUhCiAd@`AIrPmBxBFdDqBfBc@tC_Ah@Lp@YhAXxCsAlANrBmDfLu@t@iBZ]p@Fx@fBfB@p@aCnAg@pBJvB_@`AsB\\oDzLkCxBs@~BkBz@cAxCb@OhCtBxBTnBtCxBZ^ShAtAnBTPpDc@|By@lAbp@daA?tp@?zu@ne@IXfkB}uC}Ky@w@kDVc@p@_BPsDI}@f@n@`AOzETxFwCGmAn@sAM}Ch@cD`HkFtVqmBuT}e@gd@oAK]g@qBNeB`AmBUKq@uC~AkJP{aAfRaOsIkEx@qAsC_DnBqF}Cu@{CucAoUeqBoeC','`ao@fnvB?|j@?{vA','`ao@dzwB~T?|T?','|ds@jjrB|j@?_U?','rgt@pbpBVg@Ly@e@lA','lgt@bcpBFIEECL','tgt@~dpBLQOe@Aj@','vht@xbpBGk@KAG`@','vhw@nroB|j@?}T?','nd~@dzwBzvA?_U?','j|`AdzwB?vnD?ybC','|n_AznpB?ACC?@','zl_AfopBfAXDKq@]','ho_AbppBFDB?KO','dn_AzopBECG@F@','|k_AdopB^BiA]k@TbA?','~n_AdopBu@u@yAVh@T'],['xkt@zglB?@A??A'],['zpt@~coB^fC{AhEl@iJ'],['zpt@xkoBFO@COZ'],['nnt@vooBCAAI@?'],['lpt@bcoB@EBC?H'],['hpt@lcoB@K@AAF'],['dpt@vloB?CHKEF'],['jgt@l_qB@?A@'],['lgt@n_qB@A?HAC'],['jgt@tbqBAETEGN'],['dgt@ddqBAB@G'],['bht@hbqBAC@K@F'],['`ht@fbqB@?A@'],['lgt@xdqB@C@ACJ'],['bgt@fnpBKQ@KHP'],['bkt@~yoB?MAb@BI'],['pjt@h|oB?q@BGEbA'],['xjt@j{oBIoAD_@HR'],['~jt@j|oBEJDa@@B'],['tft@lrpBC[NYCd@'],['dgt@~zpBCQ@EJf@'],['dgt@f{pBHR@b@S['],['zft@t|pBAI?CDT'],['ngt@~|pBBB@NQY'],['pgt@b~pBAGBP?E'],['vft@lvpBBMOf@HO'],['fgt@ntpBBWDE?N'],['jgt@prpB@GDA?H'],['ngt@vrpB?A@??B'],['zft@brpBAFCB@E'],['|ft@|tpBOb@ZiBBF'],['xgt@ntpBA?BO@D'],['xft@vxpBAE?C@D'],['xft@lxpB?A@A?B'],['`wt@pfnBEDC@LM'],['xvt@pfnBDQHIEN'],['rvt@pfnBo@f@QtBuB_FLwApCsE?qATE~Al@dAlD]hAqAz@@W'],['bwt@pfnB@C@?AB'],['rtt@p|mB@A?@'],['l{t@jzmB@IBGC^'],['`{t@~zmBBCEXBQ'],['ztt@h|mB@C@A?@'],['tyt@pdnBLe@DECZ'],['p{t@r~mB@@@@AA'],['d{t@n{mB?A@E?B'],['lyt@~xmB?@AC?@'],['nyt@`ymBA??A'],['nyt@`ymB@B@DEI'],['vut@b{mBDKIP'],['fzt@hzmBA@AE@?'],['hzt@bbnB?A@?'],['fzt@|{mB@@@FCE'],['f{t@|`nB@FMLDG'],['lwt@denB@C@AAJ'],['b{t@xzmBGd@i@_BoAi@`@]fAT`@p@'],['bxt@lcnBF@KDBE'],['fzt@j|mB@@?DAE'],['dzt@j|mB?AACBD'],['dwt@hfnBx@mB|@c@i@tA'],['zwt@renB@@GL@G'],['zwt@xxmBKCOIH?'],['bzt@~zmBEG@E@D'],['hwt@xenB?DCF@G'],['zwt@pxmB?@AA'],['zwt@rxmBDCJFK?'],['jzt@jvmBGE?AB@'],['twt@ndnBHGK\\@E'],['~wt@fdnBIFJW@@'],['nxt@jenBMPGFFQ'],['~wt@`fnBX[NAUV'],['zzt@lwmBEAGEDA'],['d{t@bxmBHN?FYc@'],['`yt@~umBZBZ`@gAY'],['nzt@|zmB?JG_@DF'],['b{t@|wmBE?AAB?'],['dzt@|zmBEO@ELf@'],['tyt@~vmBG@MEHA'],['|qt@~goBEGBG@B'],['fqt@hkoB?A@?'],['bqt@vkoB@IBCAF'],['~pt@zkoB?CBCAD'],['|qt@hgoB?A?D'],['hqt@xeoBAUFN'],['|qt@`goBISA]FJ'],['~rt@jxnBFSFKAT'],['dst@xhnBQOEUPX']],
+  'America/Argentina/Jujuy': [['zpk@vebCc_Ayy@~PmZ`AgBWaA\\oA[qDk@Uf@uDUqQfx@qAn@sA`\\uNx@qj@pn@bAdKvf@Iz@x@d@?vOoA`CRj@`@AThFgAXUbCR\\y@n@DfAo}@je@to@`Vk_@rl@']],
+  'America/Argentina/La_Rioja': [['dhu@l}eCth@g`DjC^fbBgdApmBtTdAtv@}iAn_@_z@r~@iGzq@oq@eD{Ztj@','tjy@za`C_U?|j@?','vhw@tedC?|j@?{vA']],
+  'America/Argentina/Mendoza': [['~r~@z}gCac@{y@bTuOsOau@~Pcl@~bBoh@r~Bw@CtfBnaBeAs\\ryAo`A|i@cp@pJcaAep@','lz~@vybC}T?|j@?','lp_AvybC|j@?_U?','nd~@vybC?|j@?|j@','j|`AvybC|j@?}T?','ftcAp}fC?|j@?{vA','d`eArqeC?zvA?}j@']],
+  'America/Argentina/Rio_Gallegos': [['~yxA~|jC?ukK`hBtK~B~@`@_AdtAtnBvz@nR~`@~gArzBsa@cDrQcr@dgFGdCyB[YfAkANNzBSfBwB_BWVXyAYYot@uBfI`x@uh@`S{y@uVsv@ix@ec@pQ','jizAza`C_U?|j@?','h_{Aza`C|j@?}T?','dm~AvybC}T?|j@?','dc_BvybC|j@?_U?']],
+  'America/Argentina/Salta': [['hcj@di~BdYgm@ZHFo@fAe@n@h@jBID^b@u@j@BLi@r@GLVf@uBdCAvAg@XJMTb@KSo@PIaABIg@gA?_Ak@_@d@Sg@}@NeAUQe@_@l@i@OKc@aCD]s@oAQwHuEkAIkRiK?yJ\\ECc@tAGoBe@?wNxMgo@`NuQtvB@dqBneC}@jjAjBBhAh@f@a@YzLcCtIkDlCEp@zPrJ}Z`\\}h@_QcGvxBqb@Wqw@coAj_@sl@uo@aVn}@ke@EgAx@o@S]TcCfAYUiFa@@Sk@nAaC?wOy@e@H{@eKwf@qn@cAy@pj@a\\tNo@rA'],['n_qAbekCqA`@Em@iABiCj@c@yA{@l@Mg@wCzAeoBqKu|@iIcT_e@ilBbUip@yo@n`A}i@r\\syAoaBdABufBAa~Aq|@@YgkBtdJyJ|AeHj@c@r@yCvX}Tnn@rp@','`diAp}fC?|j@?wnD','`diAnihCz`A?~T?','xsnA~}{B?|j@?{vA']],
+  'America/Argentina/San_Juan': [['rmv@x~fCzZuj@nq@dDhG{q@~y@s~@|iAo_@_Cjq@d^qG_Qbl@rO`u@cTtO`c@zy@{cAvZkoAan@','pb|@vybC_U?~j@?']],
+  'America/Argentina/San_Luis': [['fj}@heaCeAuv@jFuVbDaH|Ci@rALlAo@vCFUyFN{Eo@aA|@g@rDH~AQb@q@jDWx@v@|uC|Kp|@A@`~As~Bv@_cBnh@e^pG']],
+  'America/Argentina/Tucuman': [['ver@fb`CbCuIX{Lg@`@iAi@kBC|@kjAtcAnUt@zCpF|C~CoBpArCjEy@`OrIsNjj@qvA~N}@EYg@']],
+  'America/Argentina/Ushuaia': [['~dtBpouA?yp@n}@?f^f{Co}@v|Ag^g{C'],['xjiB~}{Bh^_SxLzuCiRpxBNjWz@hKmtC}DbDsQbw@s`@vDmKl@_Dhs@{hB'],['za`CvybC{D?{m@_|Bc[giB_q@nKod@waL_cBfiBoK_|BnvAozDnnT~xFn}@o|k@nnT??fn~@','|u~B`rzB_k@?~T?','|i}BrzlBtuC?yQ?','`rzBtnkB?|j@?{vA','|i}BrzlB?}j@?}j@','rqeCrzlB?vnD?ybC','n_iCnroB_U?~j@?','dqpCh_{A?|j@?{vA','dqpCfk|A?~j@?xbC','dqpC`{aB?xbC?|j@','dqpCxjgB?~j@?|j@','hpfDrzlB?vnD?}j@','hpfDjjrB?xnD?ybC','hpfDdzwB?vnD?}j@','hpfD|i}B?xnD?}j@','hpfDfk|A?}j@?ybC','hpfD`{aB?ybC?_k@','hpfDxjgB?}j@?ybC','hpfDrzlB?ybC?_k@','b}qCftcA?|j@?|j@','`isCftcA}T?_U?','`utCftcA_U?_U?','~`vCftcA_U?}T?','|lwCftcA_U?}T?','zxxCftcA_U?}T?','xdzCftcA_U?}T?','vp{CftcA}T?_U?','t||CftcA}T?_U?','rh~CftcA}T?_U?','rt_DftcA_U?_U?','p`aDftcA_U?}T?','nlbDftcA_U?}T?','lxcDftcA_U?}T?','jdeDftcA_U?}T?','hpfDblfA}j@?}j@?','hpfDftcA}T?_U?','hpfDblfA?}j@?}j@','hpfD|{kA?}j@?{bC','hpfDtkqA?ybC?}j@','hpfDn{vA?}j@?{bC']],
+  'America/Aruba': [['_vWhfhCgDmAuBiC?kKh@cA|EoGlEiDpO?pAfAoEjXXh@uCfCsBx@']],
+  'America/Asuncion': [['vlj@`jyBsaDsw@sTseD|u@ew@blAmOvCl@fBjAbAOt@{A~@x@~@U`AaBpB~Bx@kAjBl@h@bAdAiB\\~@lTmgAd@Qo@{@x@u@cAq@[NHg@n@G`@sAe@HD]gAu@[uAw@?w@iAg@Jq@e@k@aF|Dy@`B_BhD_]bD_BN{AbCO^b@xCy@hCyDbA_@~EDFb@x@ZxgAwMlEoeAnQu@~BhAbi@fI|BaAj@dAhEdAhIrF`Aa@tEOpCSKpB^`@rDu@~BwAfDdAjB[`@ZIlA\\b@bEgAvBz@~BkB~AxB|A}@dC~AdCNtD`E~DYnA~@a@~At@nCfE`@ZzDlCtD`DOf@hC_AtBr@tABjCx@xArBbAjB?BxArB`FdALbBwAv@n@pBCrAhDdCjBIbBy@~AgCxBVdDsArBIbB`Fb_@nA`BGpBTZ`DwAv@Pl@nAYfCVl@CrBmAdCoBn@Yj@I|E_LpvAf@jAFxBwCIqAhCkBW_@u@GiCqCBJiAh@GS]aBd@Qc@Rq@WQeCbAGuB{@sBw@]JyAwBR[cBoAJL}@WYsEXRyASq@o@f@a@]kLn@yA{B_DLgAwB{AnBDoAcAAoAcAIyBoAsCoAsA}U}H_@w@^{A_CAf@oB}AYS}@sALsCs@qFfHgAQQx@o@??b@c@I]l@wAIwAdDeBn@Q~CRbBw@LglA~yDyrAnsA','lme@jvsB?|j@?}vA','jeh@hbuB?zvA?ynD','`ao@tnkB?|j@?{vA','~xq@vbjB?zvA?}j@','xkt@zglBA??@@?','`ao@nroB?zvA?}j@','|ds@rzlB?zvA?}j@','zpt@~coBMWm@hJzAiE','zpt@xkoBEFN[AB','nnt@vooBCKA?@H','lpt@bcoBD??ICB','hpt@lcoB@E@GA@','dpt@vloBBGDGIJ','jgt@l_qB?@@A','lgt@n_qB?B@B?I','jgt@tbqBJBFOUD','dgt@ddqB?CAF','bht@hbqB@GAGAJ','`ht@fbqB?@@A','lgt@xdqB?DBKA@','bgt@fnpB?KIQAJ','bkt@~yoB@JCH@c@','pjt@h|oBAHDcACF','xjt@j{oBD{AISE^','~jt@j|oB@QACE`@','tft@lrpBFOBe@OX','dgt@~zpBHNKg@AD','dgt@f{pBGZRZAc@','zft@t|pBBFEU?B','ngt@~|pBKEPXAO','pgt@b~pB@B?DCQ','vft@lvpBAHINNg@','fgt@ntpBHM?OED','jgt@prpBF??IE@','ngt@vrpB@@?CA?','zft@brpBCDADBC','|ft@|tpBN}@CG[hB','xgt@ntpBBIAECN','xft@vxpB?CAE?B','xft@lxpB@??CA@','`wt@pfnBBEMLBA','xvt@pfnBHKDOIH','rvt@pfnBt@{BAVpA{@\\iAeAmD_Bm@UD?pAqCrEMvAtB~EPuB','bwt@pfnB@?@CA?','rtt@p|mB@??A','l{t@jzmB@LB_@CF','`{t@~zmB@BCPDY','r{t@t`nBELDMEJ','ztt@h|mBBC?AA@','tyt@pdnBNOB[ED','p{t@r~mB@@@@AA','d{t@n{mB@C?CAD','lyt@~xmBA??A@B','nyt@`ymBAA?@','nyt@`ymBA?DHAE','vut@b{mBCDHQ','fzt@hzmBACA?@D','hzt@bbnB@AA?','fzt@|{mB?BBDAG','f{t@|`nBELEFLM','lwt@denB@D@KA@','b{t@xzmBHy@a@q@gAUa@\\nAh@h@~A','bxt@lcnB?@CDJE','fzt@j|mB?@@D?E','dzt@j|mB@?CE@B','dwt@hfnBlA{@h@uA}@b@','zwt@renBCFAFFM','zwt@xxmBQMI?NH','bzt@~zmBAGAEAD','hwt@xenBADAFBG','zwt@pxmBA?@@','zwt@rxmBDBJ?KG','jzt@jvmBCECA?@','twt@ndnB?NADJ]','~wt@fdnBBMAAKV','nxt@jenBMFGPFG','~wt@`fnBRETWO@','zzt@lwmBGIE@FD','d{t@bxmBOKXb@?G','`yt@~umBOJfAX[a@','nzt@|zmBAKEGF^','b{t@|wmBCAC?@@','dzt@|zmBHPMg@AD','tyt@~vmBKEI@LD','|qt@~goB?KACCF','fqt@hkoB@AA?','bqt@vkoBBE@GCB','~pt@zkoB@A@ECB','|qt@hgoB?B?E','hqt@xeoBDEGO','|qt@`goBCe@GK@\\','~rt@jxnBLI@UGJ','dst@xhnBEKQYDT'],['rgt@pbpB?Sd@mAMx@'],['lgt@bcpBAABMDD'],['tgt@~dpBCK@k@Nd@'],['vht@xbpB[KFa@J@']],
+  'America/Atikokan': [['ulzCp_eD_a@ldBaHodB~E?'],['wa`Ct_eD`hAawE~}@i~Al}@TleDnuHuwC?}p@foCifCyw@','}i}Bp`aD?zvA?ynD','_~{Brh~CuM?ry@?','_~{Bvp{C|j@?_U?','arzBrh~C|j@?_U?','cfyBp`aD|j@?}T?'],['}ldB~wnD`iA?g^zm@{m@{m@'],['su~AzoqD?{Wbq@?sHf`A']],
+  'America/Bahia': [['f_PzwoAxWwb@@y@X?l@eBIi@j@c@rCt@v@[rAfAMl@Z\\r@a@bCHTl@^Kn@^QiBlAwDq@sCgBmAZeBeC{Aj@cC}GiB}HqE`A}@FeA}AaCYqEiFmDsCz@_AUMgEs@wAHiB]k@sFd@KcDwFkMr@cAR_CnCsAz@NnAg@E}A[Y^a@t@gFhCeDi@eDF{BnCeE|@WDqDoB{@[o@r@oCp@SfAd@pCNl@i@~@gCkA}AUiA`Ay@n@M|@fAd@g@`A^`BeAhABbFcBlBwA`ARn@eBAqChB}CjCd@t@rApAKGe@h@w@Vl@fAXhFyAjDKrMoLdBFhBeAZd@Zc@l@B?d@p@o@n@CNrA`AjBj@Ar@j@~C}A`AJTj@`AS`@q@z@Th@[fAJOn@d@\\`@zBpAdA@h@}@bCs@Rd@jDSzCdBDzBfAf@[lCEx@}Ah@Jp@a@z@oAWQPe@v@?`Au@t@b@d@u@`BGj@oDzAf@~@MZv@t@m@b@IPX`A}@f@PBq@x@Qm@_@Lk@z@MUaALZR_Al@^x@mBHR^MNiBXy@^E[q@j@CJo@gBs@l@cAMeAf@EYQVWCiAo@[CeBaDcFjGgIv_@pOlw@lh@zD`EhEnJrq@lTfMdBfCOba@xAte@yCz`AxBfDpCvf@dGnq@}b@`Ivu@q@lBbEfCvE~@wA~Ke@G}Tza@i@DgAhAk@wAaByAoBvAqBB_@vB{EdC~@N}@b@Vl@]b@uACV~@S`@_Bv@_AKaEfFgCAqAeB}@n@gBg@gAt@qCk@u@\\sCk@}@aAuBo@@eLw}@gKDpD_AOIbAwBdA\\nASNPT_Dpx@NfFsFXuj@pmAh@p@eA`AaAzC{@^o@`CuBhBEdAa@j@gATOrC|@zj@_ATo@jGk@p@oA]y@`@sBYgHuBiAeAa@rAWCRr@[LAhA[DV`B]FPPo@VLVa@d@l}@|`C_aAp@_@AAj@}@IEbCgBnAyALwAm@W^y@GObAcBXgCeAe@b@An@}w@aIyL|JmAoAa@VBbAaBcAa@~@[S^GQk@g@@}AqCVpCqAWAVYQ?^y@S]V^D]H?\\h@Ip@^Up@a@Ui@RHYsAiAg@l@RbB_@m@BhAeB_AInA{@]a@d@aAo@Gb@yc@{QqUl\\gdAyr@th@u\\Iy@XG`@{EM_AvAoBFmAnA}Ai^m~@gdAeTxQkq@','drSrctA|T?~T?','`jV~ojA?|j@?{vA','~uW`diA?zvA?}j@','|wY|{kA_U?|j@?','zmZ|{kA~j@?_U?','zy[tkqA_k@?~T?','zy[xsnA?zvA?}j@','zy[|{kA|j@?_U?','xe]|{kA?zvA?}j@']],
+  'America/Bahia_Banderas': [['{eh@zamErIeKxB`B`@k@e@qAwCyCJ}@g@wCP]e@YDgB]KAiAn@QPgAvAVYh@TXWDZr@q@\\D`AvAzBpC~@h@Wp@TQn@z@tApABDZl@HC`@bAl@Xx@NbNsBlR']],
+  'America/Barbados': [['}aYp{sBmA_@uEqSt\\}NxF`\\mCzCkChAkMr@']],
+  'America/Belem': [['cqCpsiBnHciBqyCkvAvX_a@lxBai@bhDe}DfUkpAnOtDfBHtFlBx@lBj@QbAj@t@]Dc@j@?Dq@z@VRZfzC|z@`|AdgBvO_f@rc@`RtDe@bBuA`AN}@`CBtBxAt@pBxCnBbAnBd@nDQt@t@ZjBjNz\\tbAqAz@BfAn@nDT~CjAxFdAjAbC`Ap@zuAdt@_IttC_Xse@_wAvp@y{@uj@GyB_@g@mBG_FoAkBn@mBvBmBh@H|Bz@nBy|Avl@}bBqh@g@LkBQPkAa@[{Bq@qDT}@}@ZqDx@W`@gAbEw@pMyIs[uLcyA|g@ub@k]qDpg@knCn}@i`@jqAeh@~F','ybCz~eB?|j@?{vA','{vA|rdB?zvA?}j@','}j@bo`B?|j@?{vA','|j@h_{A?|j@?{vA','|j@jsyA|j@?}T?','zvAjsyA|j@?}T?','xbCjsyA?zvA?}j@','r|Gdc_B}T?|j@?','ptJdc_B_U?|j@?','lvLdc_B?zvA?}j@','hnO`{aB~j@?_U?']],
+  'America/Belize': [['g`b@~bmD_AoUuBm@{@iB_BDeBmAk@`@qAaDiCSgCyB]LkDaAaAuAd@w@i@{A`@k@UiB`@yCpB?@uEfMg_@|~@{Q~eAxm@zDtG}@|EgEnJMfEjAhEpBhApD|I?fA[rA{ObLmv@uBin@B']],
+  'America/Blanc-Sablon': [['_qdBn`zB?ioJxt@hKbbDddEZvwCsg@Ar@umAif@xsA','aeaBjjrB_U?|j@?','co`BhbuB?zvA?}j@']],
+  'America/Boa_Vista': [['cdIbsuB|F{n@xa@xJxb@kg@jsAr[js@uPb`@up@f{@?AlfAxeAb^yM~v@hz@dB_q@r~@m[sRglCf_@kPxh@aQ`j@o{@pBaq@jj@fh@{qBqYcMkWisANkBYs@[HYYWcAeAzA{@@CeCZaAQMdBmCuAiBL}Du@WCw@gAAGm@mCZk@eA','wzEhbuB~j@?_U?','wzEbfyB?|j@?{vA','wnDdzwB?zvA?}j@','wnDhbuB|j@?_U?']],
+  'America/Bogota': [['w{]j~xCgM_JvIuM~LbJ'],['w{]bk{C{IiMtLmJbJhM'],['{c[hd|C_OcP`JeNnY|O'],['{c[|z}CmKaY|f@vBmA|R'],['c{Yvp{CpJuRzPrG_LfR'],['}wYd`~ClJiSpYlOeLbO'],['i}Wrh~C|ZoQnTth@aWdCoA{CeBf@gEJ}Es@{E}Ce@qN'],['ajVxdnCck@wbBnGkb@~B_Ade@`LfOli@~ZjNUfEfApDYJv@jA~HnCpBrBFhAdDbA~@ELv@`@PhAKV^nAN?Z~BtA`@x@|@h@hBF`AxAvE`@nGMlCh@p@Sva@|JLbAbBnAd@IV|@l@[tAfB`Af@tAHHb@xEbBId@pAGJaBxUsd@|JuAf@kA`@BrKcLVJLm@z@D`@]rBZH[fBKx@g@`@Vx@MZ\\l@q@|C?{@bA?`AjADpBhCv@}@lBWhEx@tFBnCo@lCn@t@y@tBOTi@rXswAkA_AKuA_@LUYX[q@c@PiAk@D@wCg@]Nu@]eBdAsASkDlAc@Vw@l@Odw@qaAuJukBDyCr@k@FyBjCiDv@`AhANdGkDz@zAnAp@n@bBhCxB~I`BzC_@lAw@z@l@vAL~B`Evu@jGtfAca@vc@ra@pZmi@~dAoS}}@x`@xYz^qMdQlRgAZdhBxf@@f@sd@vXaGbDdy@phBwg@jxDd_@~Fl@LV@BcHpFo@dEe@ViAM}Kx`@qfAif@o^nfBlRriAoiAzi@yfAjeBi^dz@Nh@q@H@r@m@BYd@^d@Y`@hBz@[r@\\rAv@?vFvJcAr@Tt@g@DOzARTg@f@p@bA^UF\\g@t@p@~AWx@H`A_@t@]CThBw@h@`@f@[b@L|@wRrXoBIJ`DmA`B_@lB{@LMp@u@Si@u@C^s@W{@vAXhD`A`Bk@tFaA|@mWxe@y@|@uAVSbAmAr@o@fABh@eAl@wAfC?fRq@h@skDwzAsmDbRav@yu@wz@xGufBi~A','c~TfeoC?|j@?{vA','c~ThymC|j@?}T?','erShymC|j@?}T?','idPhymC_U?~j@?','c~TdqpC~T?|T?','gfRdqpC?|j@?|j@','gfRhymC?zvA?}j@','izPhymC?|j@?|j@','inOhymCz`A?}T?','ojKnihC|j@?_U?','{vA~`vC?zvA?}j@','}j@`isC?|vA?}j@','yxCrqeC}T?|j@?','ybCnihC}j@?py@?','ybCrqeC?zvA?}j@','zvAnihC|j@?}T?','xbCnihC?|vA?}j@'],['upFtu~CaQk@ToQxPP']],
+  'America/Boise': [['s_qApv}EKpyDe[@BfiA}oB`@qBi_AkfBs[va@cZeHclBoGkf@jrAqbAuWyzAlPySryCIDbi@','qouAhjyE?|j@?{vA','qouAj~wE|j@?}T?','sctAj~wE|j@?}T?','uwrAj~wE~j@?_U?','ukqAj~wE?zvA?}j@','qouAzidF?|j@?{vA','ukqA~e`F?|vA?}j@','ukqAfvzE?vnD?ybC']],
+  'America/Cambridge_Bay': [['un{C`ffEhaL@~_BweRrbD{dEflC??nkXzkD@od@hiM}yDrySolB?kBgqEaV`]?u{LsyP@','ydzCtvoE~T?|T?','ydzCx~lE?}vA?~j@','ydzCtvoE?{vA?|j@','q}fC~qaF?|j@?}vA','q}fC|}bF?|j@?|j@','iymC~ngE?h\\?etB?|j@','iymCbwdExnD?yxC?','q}fChjyE?|j@?{vA','kmlCnc{D?|j@?{vA','kmlClo|D?|j@?|j@','}i}BtvoEi\\?hF?','}i}BzfjE?xnD?ybC','}i}BzfjE?}j@?}j@','ymaCbn}E?zvA?}j@','ymaCbn}E~T?|T?']],
+  'America/Campo_Grande': [['zha@nxoBeAe@Vi@`Eg@bAo@tA`@Zg@Yo@pBmAFVn@QEu@lA{A\\FTs@uj@kvAl]q|@qY{wAdj@hNdF{u@zd@uHzSqx@Ne@]OZc@YUt@uAlBmAO_@\\@Cu@p@q@J}AZCD}@dAkBWe@\\{@]}@h@uCVCbN}]XCI]d@?j@qA`@Y^x@`@AvCmA^ZUp@Np@vGrBt@c@r@Xr@a@nBEjAs@pBr@nA_@`BX~A_@pGpBdAv@hArCl@lGp@zArEfCl@nApEnCnBpCzEnAl@WxBTxBg@nAPv@hALxB`GhCr@fAPjBxB@fC_AzCZ~A`B|B`@`BrAXx@Q~Bt@|@dANv@cAxAe@lCt@~@t@v@vBnCt@fCfDrBxAfa@lj@`A|BrAz@r@CtExDfBbIl@b@dDfIrAx@b@~@fB|@|FDpB|@jYjUpFt@nBt@vE?|Bj@~@|@fDpHmEneAygAvMy@[Gc@_FEcA^iCxDyCx@_@c@cCNOzAcD~AiD~\\aB~A}Dx@j@`Fp@d@f@Kv@hAv@?ZtAfAt@E\\d@Ia@rAo@FIf@ZObAp@y@t@n@z@e@PmTlgA]_AeAhBi@cAkBm@y@jAqB_CaA`B_AT_Ay@u@zAcANgBkAwCm@clAlOmx@wPmLkEBsCo@e@aAv@}C??|Aow@sGgI|D?kAoBv@yAEUh@_DfBqAQIXQQDXUSc@Z','nad@pfnB?|j@?{vA','pub@xjgB|j@?}T?','lyf@|rdB|j@?_U?']],
+  'America/Cancun': [['kqi@dhiDvQie@rEBjGsCtECnQrGv^]nJ`c@nDxBtC{@xyAaFnUx^gMf_@AtEqB?a@xCThBa@j@h@zAe@v@`AtAjD`A\\MfCxBhCRpA`Dj@a@dBlA~AEz@hBtBl@~@nUunByHmCFe@uAFWh@@@]Se@wBUAi@_@@CkBs@DBWoEaACgDkXak@}@??_A}KuLw_AqM']],
+  'America/Caracas': [['w{]hs{BqByRpRyBxB~R'],['kqVza`C`^g@wKjbAoViX'],['ajVlr}BaBg]rW{E{Ap_@'],['axVvybCnViMwAva@_UZ'],['c~Txw|BgAkKd@gD}@iAqHig@hb@tItAp@Nk@kByEKsEXaE_@o@Og_B|[|JTpL~C~E`@pFx@s@zFyRzJsHDgN`@eG|DiQjcAeq@`Jqf@paAhz@~d@qTnUpt@nf@lH`m@ig@v_@|Ij@dAlC[Fl@fA@Bv@t@VM|DtAhBeBlCPL[`ABdCz@AdA{AVbAXXZIXr@OjBjWhsApYbMgh@zqB`q@kj@n{@qB`Qaj@v`BxfCoTXlN`n@e]ba@_eAnSqZli@wc@sa@ufAba@wu@kG_CaEwAM{@m@mAv@{C^_JaBiCyBo@cBoAq@{@{AeGjDiAOw@aAkChDGxBs@j@ExCtJtkBew@paAm@NWv@mAb@RjDeArA\\dBOt@f@\\AvCj@EQhAp@b@YZTX^MJtAjA~@sXrwAUh@uBNu@x@mCo@oCn@uFCiEy@mBVw@|@qBiCkAE?aAz@cA}C?m@p@[]y@La@Wy@f@gBJIZsB[a@\\{@EMl@WKsKbLa@Cg@jA}JtAyUrd@K`BqAFHe@yEcBIc@uAIaAg@uAgBm@ZW}@e@HcBoAMcAwa@}Jq@RmCi@oGLwEa@aAyAiBG}@i@a@y@_CuA?[oAOW_@iAJa@QMw@_ADeDcAGiAqBsB_IoCw@kAXKgAqDTgE_[kNgOmi@pg@xMgQkaA]}CSW{DbA_DQqEjBeDTmYoO_BmCYi@nEkX|a@cRn^cmAtEqEnGwBtMUdAkGwCgh@kBiH_@_[uJ{a@hb@eTUkr@cAiB','chTrqeC_U?|j@?','mvLnihCi\\?hF?','gpQdzwB_U?|vA?','gfRdzwB?|j@?xbC','q~IxmaC?|j@?{vA','qhIdzwB_U?|`A?_U?','ufGdzwB?vnD?}j@','wzE|i}B~j@?_U?','{lB|i}B}T?|j@?','{vA|i}B?|vA?}j@'],['c~TftzB{RyCdBcVnStD'],['_vWjyiC~RiYuFr[_C~@'],['_{T|u~BtGyTnSfB_Db^']],
+  'America/Cayenne': [['cqCpsiBgnAye@_s@x[}t@gMsNyKwEXiSyHnp@{eB~C{E|@yCjY{_@pyCjvA','srHz~eB?|j@?{vA','srH|rdB|j@?}T?']],
+  'America/Cayman': [['mme@`{{CyOka@bJcO~Rpa@'],['qce@rh~CaB_De@wCfCuXjQiElFnF\\pANhE|@hFEbHe@|BgDtDgJpBwE_@']],
+  'America/Chicago': [['oc}A~vpDrJi~AnyAny@fg@yoCze@_YlEnBp@Kv@gBfAo@~@qL{FiAcNaR~Ket@flA|p@xcCbGbFx@@wi@zED?oAnCAlBZDp@lD??jFz@pBvFhErA`G`C@fO?f_@hd@n`AFThB`AfAHm@`@VdAa@Ii@fBZrQ}B\\XMP\\S`@b@Vs@~@?`A}@Zd@Fc@t@AnBdA`@|Bv@r@bAL^]Er@|A~@hAo@lArEXDPq@`AZe@cD[TUa@\\g@OiA_B]LuAg@PK[d@IDgAiA_AdCA@a@x@??kAfA?nIyEAaMx@?AqPzDP`CkRlNgTdB|@nL_E|@{@dBFv@eX]NeA}@Vo@Us@lA@fCuEtB}A|BuAb@l@DmAx@e@eAyAe@Hk@aFwAm@N{@l@gAjOuMh@oAtGfM~NkPhXxF|AMX_AjBoAUa@`@[tQ`DHl@rPbN^{@x@|@Qf@tGbDtIrGhALh@aApAf@Jt@bAb@n@|ACvF`}BsWZ`AtExA|JgDhD_@pB~@jC}DpD{A^sAe@g@@k@`A\\n@gCpA_BPfALUl@\\NdBZa@ZdApDfBpC?jBb@Nd@d@Mx@bAb@?Bh@zEN\\a@lC@rA}A\\NdA}@~RvAL\\~E]puAyBcIjOs@lCmA@g@b@lEEn@tB`ZcJcZz]{GnMuFrT{@fRtCv`@FzEjDn\\RdM@td@h{@pIxTff@cTxMrKdqAul@bmCjUxnAjBzBxBdGpPjX~ErGrw@jaB`qB~EVxP^lAUfAn@MCr@d@l@Yj@l@t@f@e@Nb@Xa@Td@JWRPB`Ao@Fj@Z[z@{@@FrAe@@Xl@yA^CzAe@]RRg@FHf@g@JYt@Y_@Oz@WSFx@e@IVVKb@XAe@\\\\XEpAi@Lb@P}@n@^TYLT^Mr@a@@XLSb@VnAULXAQb@RZ]\\T~@U^r@THjAeADVXGhAUBp@\\s@z@j@b@m@r@Fv@_AlAa@k@@|@`@PeAx@w@@\\\\k@P\\H?j@sApBo@@FfAd@@WDFj@[KBn@]ETXm@h@TSX\\aAj@R`AYLb@VHdAs@TSlA[a@Q~AWFAe@k@Z?lAiA`@\\tDqAx@p@b@_Az@PhAk@r@^~AeAx@sAk@o@Vu@n@_@tA{CLud@tOw@Ea@f@Hx@iA@_@zAm@cAmC_@gALaA_@e@Z?dAoC[wApATx@_@Mi@d@Gv@`@\\Qt@m@@Sl@Tf@sCxBMx@qn@j`@[hBi@`@cBIo@~AaAAg@jB}CNc@r@{A@i@XCr@qCt@[nAMUk@j@wAK_Fx@gCbEq@MkB|@a@b@a@|Bu@NkAzBk@zBuDbB_@pDoAr@wUnfAtu@x|@uZbw@kANJ`@c@JgA|CXh@wEtGI`A_BdAQ[yA|@GUuBpAei@jPwH|EutAyB?{rBu_@?geCk@qpCqAL_{@sm@?De_@qqBqG@fh@eZB?ol@wkB~CsT{g@uiB|\\gVkh@yJeJVKAq@sEzASbC`@|C_@z@iAEy@_Cs@h@CnB_gAcQyMv_AaTwP_Sy[aApCwAk@j@|DcALC|Ao@N_@m@a@vBsBa@cEtDsACgAx@o@uAy@WqBpB}I~RaRbz@rB|vA{YdUy@\\Jd@o_AbB@}fD?acKaW?rh@ib@vUo}C','mgxA`lmD?|j@?{vA','mgxAb`lD|j@?_U?','gw}ArkxD?|j@?{vA','gk|Ax{rD?|j@?{vA','gk|Af_bE?zvA?}j@','i_{Af_bE|T?~T?','qouAf_bE~T?|T?','{gmAdkcE?|j@?{vA','}{kAf_bE?zvA?c~T','}{kAbwdEzlB?hF?','clfA`cfE?|j@?{vA','whw@pwyD?zvA?}j@','utx@zoqD?zvA?}j@','qx|@~ngE}j@?~T?','ysnAdhiD?|vA?}j@','wfhAdhiDry@?_k@?','cxgAdhiD?{vA?|j@','e`eAhpfD|j@?_U?','gtcAhpfD|j@?_U?','ihbAhpfD|j@?_U?','k|`AhpfD|j@?}T?','mp_AhpfD|j@?}T?','qx|@hpfD~j@?_U?','s`z@hpfD?zvA?}j@']],
+  'America/Chihuahua': [['w`z@rcsEcHcYeBAWq@[r@sCSO]V]_AVsAcEo@C_BjAKgBx@g@SmEkH`BaAoCnA`@kB}FxAgASaCb@DyVqrArs@yp@vl@`QvaAqiCvpBpBiFzb@j^xQqUxgAYLZvAQpAkAbAJx@m@Ft_Ahb@dCd`@osAloAt@zLsgArb@yLad@','s`z@rbqE?|j@?{vA','yfu@zfjE_U?|j@?','{pt@tvoE?zvA?}j@']],
+  'America/Ciudad_Juarez': [['ge|@flsEAga@e[@?uzA?kLfAmAa@iAbAoCpOyIvAgEpp@meAvH}E~Fxj@ss@xp@xVprAc@ER`CyAfAjB|FoAa@`AnCjHaBRlEy@f@JfB~AkAn@BrAbE~@WW\\N\\rCRZs@Vp@dB@bHbY']],
+  'America/Costa_Rica': [['qtTj_gDuFwXfPuj@wGmMzAsCY}@b@UjSqf@cYeSxx@of@`AqCjAyAbBaAvCo@pPeVjHlGz@W_@bBtBTHv@a@X`@^_A|@GY_@LTRs@\\Kl@m@AN|@i@n@vd@w@\\{@zBw@vAxBp@pDl@j@Vi@XDz@bAtBCd@}@zBiAj@PzAa@h@b@bCAnAz@HzB|BhBhAfC~B{Bc@]j@m@KS|@[~@NVo@fBEjAm@nBFjKvDkvBfpD','_jThlbDCCEHLF','gfRnlbD?|j@?{vA','gfRlxcD?zvA?}j@'],['gwIxbiD?@A??A'],['qwIvbiD@??@'],['ezIz_iD@A?B'],['qzIn_iDC??CFB'],['{yIp~hDAA@?'],['iwIz_iD?@A??A'],['awIv`iD?@A??A'],['}wIt_iDf@l@g@f@kA{A']],
+  'America/Coyhaique': [['fqtAxvqCyIkpCtY}aA~TzCdFel@bM|{@b]yl@z\\h\\pPsH|kBtu@dc@qQrv@hx@}]lr@dC``C','pouAfeoC?|j@?{vA','pouAdqpC|T?~T?','fk|AhymC~j@?_U?']],
+  'America/Creston': [['ou~ApjcF{f@SiIoMd`@cd@N_@u@WA{@hDu@zK_P?`S']],
+  'America/Cuiaba': [['hjMrppBnvAs_@~g@it@fP}aG~HutCdcBf_@rwAmMx_C~b@rz@bx@Tv@IdDVd@[|BTtBlAHdA`AnEjAXlA\\J@bA|iAvq@~l@eHeFzu@ej@iNpYzwAm]p|@tj@jvAUr@]GmAzADt@o@PGWqBlAXn@[f@uAa@cAn@aEf@Wh@dAd@gBlNec@t\\yh@oH@vrB_`Dn`@_l@q_@WoCkCgAgABeCo@iB^y@e@aAPSe@e@A_BmACo@b@QSm@uBaBexAdD_Gz`BugC`AIeeE','ffRz~eB?|j@?{vA','ffR|rdB?{vA?|j@','ffRxjgB?~j@?zvA','drS`{aB?zvA?}j@','zy[|rdB|j@?_U?','t}_@xjgB?xnD?}j@','t}_@rzlB?zvA?}j@']],
+  'America/Curacao': [['ijWrqeCxDaBVkChAiCzEaEvPgJ~@x`@kA~C{DnGe\\bG']],
+  'America/Danmarkshavn': [['masCbda@uGzqIafFcNhFsoJ|KsyBnc@`bC','ydzClyf@?|j@?}vA','ydzCjeh@?|j@?|j@','ydzClme@?{vA?|j@','ydzCpub@|j@?}T?']],
+  'America/Dawson': [['cxtBrkrGerQkNxTgkDloQ?@haAaUZ','q}fCd|nG|j@?_U?','gnvBd|nG|j@?}T?']],
+  'America/Dawson_Creek': [['mahB`kiFecB`zDkaDvxB?ysH','oroBlioF?|j@?{vA','oroBn}mF?}vA?~j@','oroBpekF|j@?_U?']],
+  'America/Denver': [['qu~A~_aF@udJ?wdC?omFn_AcBKe@x@]zYeUsB}vA~c@sEvj@m`A`TvPxMw_A~fAbQBoBr@i@x@~BhAD^{@a@}CRcCrE{A@p@WJxJdJfVjh@tiB}\\rTzg@vkB_D?nl@dZCAgh@pqBpGEd_@rm@?M~z@ppCpAfeCj@t_@??zrBttAxBqp@leAwAfEqOxIcAnC`@hAgAlA?jL?tzAd[A@fa@?jQi~EG@`]aUsEfEzpB}jAng@u]qk@qGnqB?~_AcwHQI_pCEci@syCHmPxStWxzAkrApbAnGjf@acAgNqo@zxAqaBbQ','gw}A~e`F~T?~T?','gk|A~e`F?}j@?}j@','i_{Abn}E|T?~T?','gw}AzfjE~j@?_U?','m}xA~ngE}T?|j@?','mgxA~ngE?{vA?|j@','mgxAbwdE|j@?_U?','{}mA~ngE}T?|j@?','}ekA~ngE_U?|j@?','_pjA~ngE|j@?}T?','clfAlfuE?|vA?}j@','y{eAlrvEf@be@vl@?gEo}@oWne@','{keAj~wEeEShCdL|E_B','od~@zfjE?|vA?}j@'],['svcA|ttEJ??TIC'],['gvdAf`vENbFw@j@iDgG'],['qrcAvstE_@A?g@^A']],
+  'America/Detroit': [['{w|AtwmDgQqdAhrBimFNaD_BmBM}C\\cCqAcBDaEt@c@hDdA`EoALXrCUjw@ibBnfCoJxIpD|@M~ChB|CVzA]tHnBpBfCMrA^x@nIjIlBtMv@bAdB|@bFKfDv@bDiA`M|QjAzuA_C??jjBAvi@cFy@ycCcGglA}p@_Ldt@uEdI?j@iu@|r@cHznC','i_{Af|gD?|j@?{vA','mgxAhpfD?zvA?}j@']],
+  'America/Dominica': [['wp]~mwBwEcJbBwUpc@aAjAjBnCzJsFfL']],
+  'America/Edmonton': [['m}xCfvzEeRa{CryPA?t{L`Va]jBfqEaiN?','{xxChjyE?|j@?{vA','}lwC`z~E?|j@?{vA','oihCxueF?zvA?}j@'],['wybC~jiFiS?|yDsySnd@iiMtgGLAzrNlmI?lZ?zd@?vc@oiA|TliA`dF?AtdJ{K~OiDt@@z@t@VO^e`@bd@qs@eE_s@dvAutApXoz@`dBqeG?_|B?','_t|BpnrE}T?|j@?','_~{B|zhE?|j@?{vA','ibuB~ngE?zvA?}j@','wwtBlfgEb@??u@c@?','ymaCzidF?|j@?{vA','{a`C~e`F|vA?}`A?','}rdB|}bF?zvA?}j@','ec_B~e`Fg\\?hF?','ec_BfvzE?vnD?ybC','yjgBlrvE?|j@?}vA','yjgBlfuE|j@?_U?','{~eBlfuE?|vA?}j@','ec_BfvzE?}j@?}j@']],
+  'America/Eirunepe': [['p{LjcoCud@mh@ktAsOq|@q_DLW~BQRf@zAQ_@gAXOXl@TORiAg@Q~Bc@aA{Ak@h@aAa@VgA{@UdAYFmBf@nAb@iA`ANPe@c@Hq@s@Qo@j@KcAiAcDDACbkIctCw]~bAyJxLm~@diAcP|rCe@dI','rrHnuiC?|j@?}vA','jbNrqeC?zvA?}j@']],
+  'America/El_Salvador': [['unYxeoD}J_GeBj@UUe@NsA}@g@yAsAY_BgDqB{AB_Aa@IGmAx@kABsA_APmBi@cCsBe@iA_@qEi@EcAv@i@Ii@j@Hp@eAGIq@s@b@mAM@}@fAYoAmAQg@`@gAmAqAl@QSI`@o@DuBz@mD^@Ly@qA}CrE_Dx@DVcAzAg@LiC\\EVaArCgAYm@}AQbAyBhDy@Zu@j@B[i@@eAb@g@Ci@x@c@MoAb@y@nBTfBc@Rq@[CDu@s@g@m@uGQa@e@BAkA{BD^eCa@qBPaA~AQdB}Aj@C_AoBb@iAa@]LiBo@m@Es@`AQt@uAv@Mz@kAnBx@`AGr@j@hDAbAx@dACTVd@oCjAIp@N@bAz@fABv@pA@~@iDnBiAp@DfDuExAfA`@`ExHbIkBxm@s@hHmNt`@]bMcApGHpFYbCoBjD}CfB']],
+  'America/Fort_Nelson': [['aetBjnxF?gtF@amF~{B??xsHyg@j{B','kvsBharF?|j@?{vA','kvsBfmsF?|j@?|j@','m~pBjupF?zvA?}j@','kvsBn}mF?}vA?~j@','kvsBjupF?{vA?|j@','kvsBpekF~j@?_U?']],
+  'America/Fortaleza': [['tcFj|`AvOcHzGrOoObH'],['x_An{vAlfB{yEkDyfAD}IrA}OtWqm@xHyMjTkc@lBcBnHyCjBeDbN}J~N}TxCcArAoApP_Z^GBiIf]{jBpHgDrH_ChjA}R|BkBhC{@xKaAf`@q@_BlPHlB_@h@Tv@}@n@{A@}BjDJjAa@|BRd@m@rB`ArBAv@`A^~@~Be@dAx@vAdEtAFk@hA`@h@a@Vb@BrDd@Gd@t@LlAU\\|A~CVzDrA|@E`Cn@v@e@vALVk@t@TnFs@^v@dAr@WZh@q@~APdFdEf@RfAm@nBJlA`BCGt@zHx@z@`C\\MIfA^MPbAf@VIdAbBdEbA`Bn@RFfAkAfB@jAgA[OZVd@q@l@cAIQzA_Bi@eC\\gAO_AtAk@?Q\\h@VOvCRxBw@MYqAe@AGZgAyCw@BIq@i@JC^w@gBPi@g@e@kAWuErBwBcAqByCgAmEsAhAgAOc@XEpAq@d@i@|Cu@VgApBZ`E`Ar@^Mf@fANzEz@QzCzAdAxCp@f@Sz@p@j@Dp@h@@Nh@nAt@^_@t@TFRqAp@r@lCtAzAd@Q@z@|B|A@z@}@jAn@z@~AGRVUtAaAd@Kp@dBtC?|AgCZB`@g@]sAd@ClBx@bAW|A`AvAHpD{CfBoBpCXj@p@JHxC~@Il@XQpAfAVEbAZ@?l@jDl@GlAw@\\XRKv@lAhAiB@sEbEuEpMc@V@hAiAXiA{@u@DSvAf@vAkBr@GpBkBn@iAzBSnG`BjHPjDq@xEqBdCBlBhBtAV`AAnAaBrDZb@xBJvBvFfDl@hEkC|AD|B~At@Wb@eAdx@pl@~w@hwAyQjq@fdAdTh^l~@oA|AGlAwAnBL~@a@zEYFHx@uh@t\\yC~k@m~@`f@u`A}c@iFrh@o@bA]ADVa@BNNcA|AWQEVuAA@h@a@MUhBc@OUT?[W?Ix@e@JKm@uArAJ`@p@i@Jx@kB@Yj@e@KWpA_@]_@HK~@^X{Dt@Mr@b@dAWx@_Ay@cAsCyBCqAnAKr@@tAjA`ABd@aCrAkEBXgA_A}@gb@kIgCsAsB^_Em@gCaAsHnBgThAsAl@gCg@qGt@wBlBK|BwAzBaCfbAa|AegBgzC}z@S[{@WEp@k@?Eb@u@\\cAk@k@Py@mBuFmBgBIoOuD','xbCpouA?|j@?{vA','vnDrctA?zvA?ynD?~j@','vnDtkqA|vA?}j@?','tfG~ojA?|j@?{vA','rrHbxgA?|j@?}vA','rrHblfA|j@?_U?','njKftcA}T?_U?','p~IblfAzvA?}j@?','lvLftcA}T?_U?','lvLblfA?}j@?}j@','lvLhajA?ry@?}j@','llMxsnA_U?|j@?']],
+  'America/Glace_Bay': [['qivAj_xBwc@ti@gA}MovC{{BfWudAxXnn@`b@cOh@iDt_@mL']],
+  'America/Goose_Bay': [['_xtBh_}ByIu]dsHykHjh@y}C|hAihAd[ncBbmA??hoJ?jq@iv@wJvpAny@ob@lpBoq@zMAp@v@b@t@e@Vx@fAe@t@t@rAk@Uz@~@pAiAjCfBeAzAAW`CqBrA`BGUpAz@w@?rAuBzAG`Af@bAUGm@dBeCk@{@^h@jDfAn@m@rBaAl@UtAwCBk@aCGrBoILq@q@z@oBJoClA{@cAqAAs@xBd@I{CaA@_@}@e@jBa@MY}Aks@xt@ai@kn@cV`X`Uup@mg@tGpg@udAkO}d@`VgiAyn@yb@eaAht@gqAic@iUjs@oh@m{@_JxwAuCef@sa@hi@','m~pBbfyB?|j@?{vA','oroBdzwB|j@?_U?','wliBnroB_U?|j@?','yvhBnroB~j@?_U?','yvhB`rzB}j@?~T?','{~eB`rzB}j@?|T?','}rdBnroB?zvA?}j@','}rdBjjrB?xnD?ybC']],
+  'America/Grand_Turk': [['qaj@lakCdZ_o@p\\v@rIpKab@p|AqX}F']],
+  'America/Grenada': [['a`W~zwBaRaMfLi[ve@l_@']],
+  'America/Guadeloupe': [['ug_@zjvBO]zKmR|e@rTcBvUvEbJaDlG_KdFcEtAkIt@eUkEsAsDc@{a@lCmA']],
+  'America/Guatemala': [['ya[xksD{IiHg@_AyAEkAcA}@GsBv@i@WwBr@_CaBaEZu@k@Jy@UYaBu@}JnH}f@qV{IkG?smASH]i@H|@gp@|`@i@bCk@CiBnBq@DYfBiAlAsAXwEbHKzAmAh@EyIyDmPm\\?AwqBhn@Clv@tBzOcLZsA?gAqD}IqBiAkAiELgEfEoJ|@}EbL\\@p@bAKNb@Yd@b@GHn@UP|B~@hPxSdEnIpE|FhChJdCz@f@u@hAPjAb@Lj@lEWj@q@tAGd@cArAr@nDKV`@[lCzCdCXGr@jB|A?a@n@RHm@PlApAa@fAPf@nAlAgAXA|@lALr@c@Hp@dAFIq@h@k@h@HbAw@h@D^pEd@hAbCrBlBh@~@QCrAy@jAFlA`@HC~@pBzA~AfDrAXf@xArA|@d@OTTdBk@|J~FsHvWS|CXbDC`Ssc@fgA','{mZ~wnD?zvA?}j@']],
+  'America/Guayaquil': [['{vAnpzC_C}[?gRvAgCdAm@Ci@n@gAlAs@RcAtAWx@}@lWye@`A}@j@uFaAaBYiDz@wAr@VB_@h@t@t@RLq@z@M^mBlAaBKaDnBHvRsXM}@Zc@a@g@v@i@UiB\\B^u@IaAVy@q@_Bf@u@G]_@Tq@cAf@g@SUN{Af@EUu@bAs@wFwJw@?]sAZs@iB{@Xa@_@e@Xe@l@CAs@p@IOi@h^ez@xC~Tro@aYbgAdt@tlAboC~eBph@_Yr\\k@FQ_@sAXYpCsBjAk@rAjA|Bf@tE{CnBw@bBV`Aa@nAkChCg@tAJ|@UPd@X]\\vBv@kOxP_Q}Rq@t@}AYmAf@s@[sAXg@Os@v@qAWcAPYz@uAq@m@Vy@rC?x_AigCgCi{Bc|@','zvA`isC?xnD?ybC','vnD~`vC?zvA?}j@']],
+  'America/Guyana': [['cdIbsuBam@hg@of@mHoUqt@_e@pTqaAiz@`dA_xAhCyAzSsDhBsA`@aAb@gGzAgE|[gb@b@oAdPiPdCbExGp@tEUjH~AnAo@`aB|w@lgCccB_Bjs@bo@fbBc`@tp@ks@tPksAs[yb@jg@ya@yJ','q~InroB?zvA?}j@','ybCnroB?zvA?}j@']],
+  'America/Halifax': [['ax}AtauB~n@mBnvCz{BfA|Mvc@ui@d~AxaF_Edi@y~@dYcoBcaE{DzImB`Gq@rEkd@bb@ql@akAue@`z@kQutA','gw}AhbuB~j@?_U?'],['c}|AxmaC_@gBbE{BF|B'],['ikuAjvsB~ZoF}Fto@{M_F']],
+  'America/Havana': [['g}j@rpdDgj@{|AyJ{~@GcNqAwhBza@u~Ads@k`Btg@{nAz^oeAnXcm@fEoErEsAfE@rDpAx@p@tWzmFmmBzdCxIxvDwXpcC','eil@p`aD|T?~T?','iqi@|lwC?|j@?{vA','keh@`isC|j@?}T?','k_f@zvqC?pBlApA`C?CaHkE?','iqi@rh~C?|vA?}j@']],
+  'America/Hermosillo': [['erv@`yzEg~EvuCuE`A_A]eCzCaAa@yBiCgB@aBgAsADSiBd@cAi@cArgAuhF?q}B?kQncAsGrsBsGxL`d@rgAsb@nQhGZKNv@r@h@nB?MlBx@jBZhDlC\\MqAZQp@jA\\_@t@h@tA`e@srAjbB}v@x~@nYlI','ql{@fvzE?zvA?}j@']],
+  'America/Indiana/Indianapolis': [['_qpAv~gD?kjB~B?ltCXCzE~SpKrAJ?dCzMCaBdCTlInAj@jEy@@bBi@d@@pChFbW?jAlC@IfOv@rY{^BDns@sQ|BgB[Hh@eA`@a@WIl@aAgAUiBo`AGg_@id@D_\\kO?kO??rBmD?Eq@mB[oC@?nA','{gmAf|gD?|j@?{vA']],
+  'America/Indiana/Knox': [['eloAd{gD?`@A|ZaCAsAaGwFiE{@qB?kF?sB']],
+  'America/Indiana/Marengo': [['m`jA|mgDlEz@tGzAzBfG_HpLgG@']],
+  'America/Indiana/Petersburg': [['igjAlyiDHu@YUZ[YIBg@r@_@_AUbAyBcAcBHu@Yc@fAgBk@uAl@gArP@@`MoIxEgA??jAy@?A`@']],
+  'America/Indiana/Tell_City': [['mmiA|zgDpCv@aCjR{DQwAB[cF']],
+  'America/Indiana/Vevay': [['a`kA~geDr@FJkRRiA`@MnAvAzA[SxCdC`LdAlB@vA{MB']],
+  'America/Indiana/Vincennes': [['k~jAd}iDEos@z^CfGAZbFvAC@pPy@?sPAm@fAj@tAgAfBXb@It@bAbBcAxB~@Ts@^Cf@XH[ZXTIt@hA~@EfAe@HJZf@QMtA~A\\NhA]f@T`@ZUd@bDaA[Qp@YEmAsEiAn@}A_ADs@_@\\cAMw@s@a@}BoBeAu@@Gb@[e@aA|@_A?Wr@a@c@]RLQ']],
+  'America/Indiana/Winamac': [['eloAf|gD?a@jO?E~[gO?']],
+  'America/Inuvik': [['_avC~ziFsC_O`iN?nlB?hS?vsM@A`mFmz@|n@|J|lCum@vLeg@hiCoiBht@_|@h{CkgA{Q~@dpAe`AvJKvqCytCfYotAoiNuvBswDwgFa|B','autCpqlF?|j@?}vA','autCpekF~j@?_U?','iymCharF?|j@?{vA','makCdytF?|j@?wnD','makCbevF~T?hF?','ouiCbqwF?|j@?}vA','ouiC`}xF~T?~T?','oihC`}xF?|j@?|j@','oihC|t{F?|j@?|j@','q}fCpheG?|j@?{vA','qsgCpekF}T?f\\?','ymaCtdaG?|vA?}j@','{a`C|t{F?vnD?}j@','ymaCr|cG}j@?~T?','cfyB`}xF?zvA?}j@','ezwBjupF?heA?kY','ezwBfmsF|j@?}T?','edwBbrrFaKUp@hKrIr@','gnvBfmsF?zvA?}j@']],
+  'America/Iqaluit': [['ek`DhbuBlSus@v`CxrP`cAbkHfc@fBtIbWx_AlrEbyE``CnKecDjkBy}EfkAwgIx_C{nB~zB}kIfuCvfEdsAwk@tcAl_AdrAuNxIt]l~BpaEmv@`rBqvBn@pOjXwUzgBi[w@}t@pcC`Wnt@wOr}Ens@cf@dm@tn@uBwk@zp@aSrtA~vA~r@ecB|uAy\\~`At_Avn@biCvfCemApiAdX}W|Wp^x\\cJbd@ebBtrBogC^cIvjDivH?meDouHm}@U_~@h~AahA`wE}iYCac@A_F?o{C@u`@q`]','q`aD~}{B?|j@?{vA','q`aD|i}B?~j@?xbC','q`aD`rzB|j@?}T?','q`aDt||C?|j@?wnD?|j@','q`aDvybC?|j@?xbC','q`aDnihC?zbC?|j@','q`aDzxxC?ynD?zbC','ydzCdqpC|j@?}T?','{xxCdqpC?zvA?}j@','u||CnihC}j@?zvA?','wp{CnihC?xnD?ybC','{xxC`isC|j@?}T?','_kuC~`vC_U?|j@?','csrCzxxC}T?|j@?','geoCxdzC?|j@?{vA','ouiCnihC~j@?_U?','kmlC`isCsM?py@?','{a`CdzwB?zvA?}j@','{a`C`rzB|j@?}T?','cfyB|i}B|j@?}T?','ezwB|i}BzvA?}T?','kvsBza`C~j@?_U?','kjrBza`C?zvA?}j@','cfyB`isC?|vA?}j@','cpxBzxxC_U?|j@?','cfyBhymC?zvA?}j@','cfyBhymC?}j@?}j@','ezwBnihC?|vA?}j@','ezwBzxxC?xbC?|j@','ezwBrh~C~T?hF?','gnvBzxxC|j@?}T?','gnvBrt_D?|j@?}vA','gnvBp`aD~T?|T?','ibuBp`aD?|j@?|j@','kjrBzxxC|j@?_U?','sdlB~`vC_U?|j@?','wukBhwuCEJDN@Q','unkB~`vC?zvA?}j@','wbjBrh~C}j@?~T?','unkBp`aD?zvA?}j@','wliBvp{C_U?|j@?','_gcBbayCQb@v@TKe@','idcBrcyCY@GPXE','idcBldyCy@AIH^P']],
+  'America/Jamaica': [['ioc@|lwC\\}j@xAiS`Rgp@d@w@~~@mXrh@l{CcfBlP']],
+  'America/Juneau': [['s`rBjrkGwv@}~B~wCiaEl]lhCyx@tOhAjzBe{@v{A']],
+  'America/Kentucky/Louisville': [['_ziAxogDmE{@HgOmCA?kAiFcWAqCh@e@AcBfBOp@|AxAjAn@dExBbAzA}BjCsIbHn@vA~FUdIvAdIvAdBBtDfAd@cBdBQjEeIjG']],
+  'America/Kentucky/Monticello': [['kggAfudDf@gBf@[m@uDhEsCYm@x@GDZ\\e@Nl@Zc@f@FEh@vKlJ_OjP']],
+  'America/Kralendijk': [['ala@`syBlAj@pGrDfInHmQzXcPwOdA_Ev@cAb@_@jAwBhB{G'],['{gWtedCz\\}Hd@xWwPfJ']],
+  'America/La_Paz': [['riRdcaCeLclAbr@d@v@PrAk@~BLVkA|@i@hDGVj@d@BbCkDhA[hBJ|@k@zAbBdAk@v@Npe@w@xl@_t@zf@qvBq@a@Hm@n@?Ik@|Ai@_@_@j@KBgBX@SWXOc@Ol@oAWB?}@w@CMs@rAu@oAg@dBg@]c@L[lEEn@k@@m@ZDS[T?pWisA~_Do`@AwrBxh@nHdc@u\\fBmNOtAb@[TREYPPHYpAP~CgBTi@xADnBw@?jAfI}Dnw@rG?}A|C?`Aw@n@d@CrClLjElx@vP}u@dw@rTreDraDrw@yMfo@?vNnBd@uAFBb@]D?xJjRhKjAHvHtEnAP\\r@`CEJb@h@N^m@Pd@dAT|@ORf@^e@~@j@fA?Hf@`ACQHRn@c@JLUYKwAf@eC@g@tBMWs@FMh@k@Cc@t@E_@kBHo@i@gAd@Gn@[IeYfm@TpQg@tDj@TZpD]nAV`AaAfB_QlZb_Axy@b@|j@msCnt@a`A{S{vBlaAabA}\\wCwJ{@XyFdHHjAh@Xm@tAx@tAsBbEaG~AggAfEuAZyAS{@}AKyBc@]qB`A{@{@oCMFg@oaCia@_`Bnx@`Cgc@o@q@D[j@IM]`@k@_@]\\_@YDNm@o@[\\e@a@cAn@G_@QBk@b@FO[nBb@z@g@Pm@rAMgAyIaBoAaj@}cATa@Kg@\\Ma@UBcAqA^a@SA_AZg@c@qAn@}Am@aBOXc@]A}A{@}By@SOa@GVe@G_@gAPIcAWUcAa@N','drSxmaC?|j@?{vA','zy[tedC?|j@?{vA','vq^vybC?zvA?}j@','|aY`rzB|j@?}T?','v{]hbuB}T?|j@?','pub@dzwB{vA?tuC?','nad@jjrB?|vA?}j@','lme@dzwB?p~I?srH','hqi@|i}B?|vA?}j@','hqi@`rzB_U?}T?','hqi@|i}B?}j@?}j@']],
+  'America/Lima': [['fFr~qCxfAkeBniA{i@mRsiAn^ofBpfAhf@|Ky`@hALd@Wn@eEbHqFbDEbAhAk@JPn@p@r@b@IQd@aAOc@hAg@oAGlBeAXz@TWfA`A`@j@i@`AzA_Cb@f@PShAUNYm@YN^fA{APSg@_CPMVp|@p_DjtArOtd@lh@~ZhJ~wA{_ArYdOfDys@p^{I{@a{@ca@il@haBlFeBc`A~_Box@naCha@Gf@nCLz@z@pBaAb@\\JxBz@|AxARtA[fgAgE`G_BrBcEy@uAl@uAi@YIkAxFeHz@YvCvJ`bA|\\do@tb@bBzESpHRjA|@fA?lL?liAnrBxxBweCd}EeyBvqB_kDziBuqDzv@qfB~lBamCjy@cdEd@?m`E?y_Ax@sCl@WtAp@X{@bAQpAVr@w@f@NrAYr@ZlAg@|AXp@u@~P|RjOyPwBw@\\]e@YTQK}@f@uAjCiC`@oAWaAv@cBzCoBg@uEkA}Bj@sArBkAXqCrAYP^j@G~Xs\\_fBqh@ulAcoCcgAet@so@`Y','xbCb}qC?|j@?{vA','vnDdqpC?zvA?wnD','r|GhymC|`A?}j@?','p~IhymC?zvA?}j@','tpFrh~C}T?|j@?','vzEnlbD?|j@?{vA','ffRzxxC?vnD?{vA','drSvp{C?zvA?}j@','njKdqpC|j@?}T?','jbNdqpC|j@?}T?','b~TnuiC?rM?sy@','b~TnihCzvA?{`A?','~uWnihC?{vA?|j@','|aYrqeC?zvA?}j@','pub@nihC?xnD?}j@']],
+  'America/Los_Angeles': [['}u}AvcsF|NyqA\\sGuBiQuGiG}@xA}DtBaH`B}AmIsDyDuIrRBaoKAou@paBcQpo@{xA`cAfNdHblBwa@bZjfBr[pBh_A|oBa@CgiAd[AJqyDbwHPpV?hd@fE_Fh[NZW\\p@`AZrCj@b@j@i@b@NVk@h@h@`CWlCiCl@vAtGEv_@iGpBPr@dCbAuAvAdAtFI`MaJhC_A\\VdCmBrC@HeB`DoEVwA`ByAtAMDbAlUpT?^p@m@j@v@vDs@t@Lt@c@bAjAXc@Nd@nAUj@d@hAa@jBfC|C|A\\lD`ZqM?o@hAVx@c@zBJ`BxBjAEv@rD_@hDr@b@~Jl|Cs@p@iApKqHdA_JBaFrAqIfHuEjJkC~BoFnL~DkCfq@lSwo@hXtUpf@ePj\\mVkkAYmB}Cr@sCOx@jEBdDaBrHa@tbBeeAbR}EzIgpAzcAeCn@sNXaCf@{@~BmWdVeFOeBlAsMzC}Af`@ajAdh@{`Bnn@ea@qS_pBv^cmEai@','gw}A|}bF~j@?_U?','i_{A~qaF?|j@?}vA','_pjAn}mF?zvA?}j@','gtcApekFsy@?tM?','gtcAxueF?vnD?}j@','ihbAxueF?zvA?}j@','y{aAryiF|@uAu@aHa@~K','i~bA~e`F|`A?_U?','k|`AnocF?heA?}j@']],
+  'America/Lower_Princes': [['aeb@h}yBlD|AvFrBIxAeA~DcBpC']],
+  'America/Maceio': [['bfQztiAsA{BkC_AiAqAu@eFeBeAuIyNrAw@Rv@Xc@Uo@b@g@eAsAQ}BNaAp@M^cDnIeI|B[q@gAn@mAhAHeA_BHq@fAcAfA@UGP{@hAi@z@qBY_@a@NY_@qAK}@yAh@eAc@sCtAiFb@a@O[b@QSkAmAH}@aDk@GAo@u@s@b@a@SeCe@@Bq@}@e@A_BeCJA_AsBoAIiBk@_Ae@Mc@l@u@ESkAy@k@YiE_BeCd@kBq@}ATe@jALf@eAc@uCm@c@Li@a@OI}@qAsBNqA]s@v@_@IuAZUhAeHFcDl@_@|CoKxH~BhHrEn^rXdBbCr@zB|@v@hDdAxLbJ`EzAbC`Erg@hp@ba@hTkGfI`DbFBdBn@ZBhAWVXPg@DLdAm@bAfBr@Kn@k@BZp@_@DYx@OhB_@LISy@lBm@_@S~@M[T`A{@LMj@l@^y@PCp@g@QaA|@QYc@Hu@l@[w@_AL{Ag@k@nDaBFe@t@u@c@aAt@w@?Qd@VP{@nAq@`@i@Ky@|AmCDg@Z{BgAeBER{Ce@kDr@S|@cCAi@qAeAa@{Be@]No@gAKi@Z{@Ua@p@aARUk@aAK_D|As@k@k@@aAkBOsAo@Bq@n@?e@m@C[b@[e@iBdAeBGsMnLkDJiFxAgAYWm@i@v@Fd@qAJu@sAkCe@iB|C@pCo@dBaAS']],
+  'America/Managua': [['evXxajD~IsXMsFh@]Ii@k@KHYeAmBs@Aw@gAcA^y@i@q@f@_Aa@WL@Y{AAUaAg@KAoC`AwAeA_B{B@_@z@i@LaAm@k@B{@b@{CNWh@{Bi@m@hA{Bq@uAHg@sAVaC{@qFn@]V}@i@kAl@SNu@SiD}AgAiADEa@g@GUy@cB}@c@_Ay@HFg@g@{@q@^q@k@H_@q@uAS_CRQrClAAc@`Ay@IW|@_Cv@GJ]_x@q}@mCuuCzqBlf@lr@{TxcAls@bYdSkSpf@c@TX|@{ArCvGlMgPtj@tFvXq`@~f@kb@j]qFhJcDnBia@t^yHcIa@aE','{mZnlbD?|j@?{vA','}aYp`aD?zvA?}j@','_vWnlbD?|j@?{vA'],['ijTnlbDDIBBBL']],
+  'America/Manaus': [['dgGprgCMW_Gm@kxDe_@qhBvg@cDey@wX`Gg@rd@yf@A[ehBmRfApMeQyY{^|}@y`@d]ca@mNan@nTYw`ByfCjPyh@flCg_@l[rR~p@s~@iz@eBxM_w@yeAc^@mfAjpAs\\bhAekB@aDeASDs@mA}A|@{A_@_Ar@gBoAe@JiByAs@WuA_Au@{@aGy@IbBN`F|CvBbD`BpFdBv@`YvFbuFtwB`i@qShyAbPHdeEDz`@sr@jm@@bn@~_@pTj@k@l@BPm@bBl@w@bA`FlBj@MIlA`@v@Uz@r@b@zB[jAx@fFQtt@heDiPxm@','}j@rqeC|T?~T?','xbCdzwBsM?py@?','xbCl~pB?|j@?{vA','xbCnroB|j@?}T?','vnDnroB~j@?_U?','rrHnroB?zvA?}j@','n`LjjrB_U?|j@?','hnOdzwBg\\?hF?','jbNdzwB?zvA?}j@','jbNjjrB|j@?}T?','jbN`rzB?zvA?}j@','hzPza`C?zvA?}j@','?rqeC~T?|T?','xbCrqeC~T?|T?']],
+  'America/Marigot': [['slb@vqyBpFpJpF|RkIxDiEcd@']],
+  'America/Martinique': [['{y[j~vBaNaDoC{JhDcUdAyBfBuAvg@?`AfBeBtNn@xDgBbEaFnD']],
+  'America/Matamoros': [['wsw@vwhEuu@y|@vUofAnAs@^qDtDcBj@{BjA{Bt@O`@}B`@c@jB}@p@LfCcE~Ey@vAJj@k@LTZoApCu@Bs@h@YzAAb@s@|COf@kB`A@n@_BbBHh@a@ZiBpn@k`@Ly@rCyBUg@Rm@l@APu@a@]Fw@h@e@^LUy@vAqAnCZ?eAd@[`A^fAMlC^l@bA^{AhAAIy@`@g@v@Dtd@uOzCM^uAt@o@n@WrAj@dAy@_@_Bj@s@QiA~@{@q@c@pAy@]uDhAa@?mAj@[@d@VGP_BZ`@RmAr@UIeAc@WXMSaA`Ak@Y]URl@i@UY\\DCo@ZJGk@VEe@AGgAn@ArAqB?k@]Ij@Q]]v@AdAy@a@QA}@`@j@~@mAGw@l@s@k@c@r@{@q@]TCFiAWYdAEIkAs@UT_@U_A\\]S[Pc@Y@TMWoARc@YM`@ALs@U_@XM_@U|@o@c@Qh@MDqA]Yd@]Y@Jc@WWd@HGy@VRN{@X^Xu@f@KIg@f@GSSd@\\B{AxA_@Ym@d@AGsAz@AZ{@k@[n@GCaASQKVUe@Y`@Oc@g@d@m@u@Xk@e@m@Bs@o@LTgA_@mAWyPh}@xVyYfg@c@??z@c@??bBb@??z@g@??x@uAz]a`@D{@zMvAtA?dCgEtDbAbCaAbDwHr@JzBm@~@il@ni@OW]fBXTShAV|@g@??z@oCg@?f@gA??dBaDR?lCu@??z@_BlA?p@}AhBy@]GXyFIuX~^c@xAmBPk@pB_Nd@VxH_s@xjA|UpMfuAqm@~P`Xb@@sAlgA{|AnJ']],
+  'America/Mazatlan': [['m|u@hl~ElFoJ?yW{AanA|ZeYrA]qAcAxAwWlmAo_@z@mBdcDoqBbj@`G|AvCh@bCvGrIdBvDb@nC?pGo@dCaC`E_h@hR}mA`|BgsAnAytBtuDsFi^','{pt@bn}E~T?|T?','}ds@bn}E?}j@?}j@'],['awo@boaFaKeM|KkLfKhM'],['kws@pnrEnsAmoA`e@nGzo@{`A|aAuZrBT`A{ARwAy@gBTkDre@wYpD}f@n|@gf@bM`R?nAXB[~@VTBfEx@Zt@[xAJtBr@r@g@P\\l@IR_Al@J?j@`BlAAl@l@Wf@^FdCjAE~@yBW]fCqA`ATd@a@f@n@VYv@Ls@v@wBJiFfHAj@}@rAkDpBMrAaDdGOvEpB|B`@?^fBh@^wAWQfAo@P@hA\\JEfBd@XQ\\f@vCK|@vCxCd@pAa@j@yBaBsIdKqKwBiDBLfAsWld@w`@uKqc@x]_DvDw@jCkBdCkE~B_Cj@o\\pVsAd@{Vn^yuArzBct@oDuAae@u@i@]^q@kA[PLpAmC][iDy@kBLmBoB?s@i@Ow@[JoQiG'],['avi@tvoEdCq]dh@kSyHvb@'],['owd@`{wEgKiO`OoJfJdO'],['ked@j~wE`CmSjZrBcHfY'],['oad@rhzEqL_LnKiLrKbL'],['qub@tp_FaQgGbGgUhPhH']],
+  'America/Menominee': [['k}yAdroDbH{nChu@}r@?k@tEeIbN`RzFhA_ApLgAn@w@fBq@JmEoB{e@~X']],
+  'America/Merida': [['q}j@~wnDsOyQn[oNhGxP'],['yrj@zoqDlJwM~L`KqJrO'],['keh@hssDmBsQvS{HpDnS'],['keh@hyoD}Tqf@{AaKmKghCv_ApM|KtL?~@|@?jX`k@BfDnE`ACVr@EBjB^A@h@vBTRd@A\\i@AGVd@tAlCGtnBxHvF?@vqBoNdTArBeAnC?nHjH^fAWNf@|@JeDpFb@BcAtASzBm^ba@wC\\qBlAqMvA_Bef@r@{Asa@qw@gB_@oF?_SiF_BgCwBAoCu@','oad@|cpD?|j@?{vA'],['myf@fzrDtBcQ~PpAeBpR']],
+  'America/Metlakatla': [['uxjB|l_GlKrAmEnVcKsF']],
+  'America/Mexico_City': [['swj@xxjEucAqTqBoDm@HXQGk@k@`@Ro@iAKUw@r@kAa@a@{AQEbCi@SgBh@mB{AeChAsDeA?h@sA`AFo@o@IH{@c@EyEkHlAo@M[yC{BwDNCyBYk@a@A]gAaEw@@qGc@y@z@}@EqA]_@f@_BY{f@}f@zJeB_Zt~@siBv@OlHjAD]x@MzARBo@j@Dd@}@|B?|A}@Og@f@At@N`@l@`C\\@g@nBYa@dAtEl@ni@i`@QkEd@mAhBH`@cA@sDi@qAnAsFv@s@OoAuF`BBaCzCiAKoBpAYKuAzLyDd@kh@YcBk@e@R[Sq@`@Kk@o@f@GZm@o@i@`A@_@eAd@KG_Aq@GQZe@]o@HB{@f@[q@q@T_@QiAzAOx@qCv@OEg@l@YUyALkAl@e@l@XQ\\`@@DuAlBoA~@oC}@Yk@oAkBsLrhBkl@~~@gk@zDcAjCERmEpBaEnV}J`d@anApAk@KuBmPqu@QgHZiPcAoImC_BoBuCgBsOpMwApBmAvC]l^ca@R{BbAuAc@CdDqF}@KOg@gAVkH_@?oHdAoC@sBnNeTl\\?xDlPDxIlAi@J{AvEcHrAYhAmAXgBp@EhBoBj@Bh@cCfp@}`@I}@\\h@RI?rmAzIjG|f@pV|JoH`Bt@TXKx@t@j@`E[~B`BvBs@h@VrBw@|@FjAbAxADf@~@zIhHypA~xAyRxdArAtK~BxC`Qtj@~EzKmEj|@y@|BiC|CUfCov@~cDcC`FgClBq@vDcg@~yA{A~@gC~EiMrLj@`C@dCsEb[gw@r_BuDzKe@pCiBnCmAhEil@xx@m_ApUrBmROcNYy@cAm@Ba@m@IE[qAC{@uAPo@q@Ui@VqC_AwA{BEaAp@][s@VEUYXi@i@_@_@gBa@?qB}BNwE`DeGLsAjDqB|@sA@k@hFgHvBKr@w@w@MWXg@o@e@`@aAUgCpAV\\_AxBkADGeCg@_@m@V@m@aBmA?k@m@KS~@m@HQ]s@f@uBs@yAKu@Zy@[CgEWUZ_AYC?oAcMaR','cum@`cfE?|j@?{vA','myf@lo|D~j@?_U?','sia@bwdE}j@?|T?','sia@f_bE|T?~T?','u}_@f_bE?}j@?_k@','qub@t_wD?|j@?{vA','keh@|zhE?|j@?{vA','mme@zfjE?|vA?}j@','qub@bwdE?zvA?}j@','wq^zoqD?zvA?}j@','wq^lo|D?zvA?}j@']],
+  'America/Miquelon': [['{m{A`dmB`NoQ|ZkKyChn@']],
+  'America/Moncton': [['gk{AtzeC}Fc]{FsJi@?sYgOvE_~C|BuAoW{mAte@az@pl@`kAjd@cb@p@sElBaGzD{IboBbaELtXgyD`~@yAjBeAbGTlDzBJHlC]r@PlEbAj@','gk|AxmaC?|j@?ynD?~j@','i_{A|i}B_U?|`A?_U?','ksyA|i}B|j@?_U?','mgxA|i}B?|vA?}j@','mgxAza`C?zvA?}j@']],
+  'America/Monterrey': [['uwv@jliEz|AoJrAmgAc@A_QaXguApm@}UqM~r@yjAWyH~Me@j@qBlBQb@yAtX__@xFHFYx@\\|AiB?q@~AmA?{@t@??mC`DS?eBfA??g@nCf@?{@f@?W}@RiAYU\\gBNVhl@oi@l@_AK{BvHs@`AcDcAcCfEuD?eCwAuAz@{M``@EtA{]?y@f@??{@c@??cBb@??{@b@?xYgg@bvCtSxG]rE}AjBrLj@nA|@X_AnCmBnAEtAa@AP]m@Ym@d@MjATxAm@XDf@w@Ny@pC{ANPhAU^p@p@g@ZCz@n@Id@\\P[p@FF~@e@J^dAaAAn@h@[l@g@Fj@n@a@JRp@SZj@d@XbBe@jh@{LxDJtAqAXJnB{ChAC`CtFaBNnAw@r@oArFh@pAArDa@bAiBIe@lAPjEoi@h`@uEm@`@eAoBXAf@aC]a@m@u@Og@@Nf@}A|@}B?e@|@k@ECn@{ASy@LE\\mHkAw@Nu~@riBdB~Y|f@{JXzf@g@~A\\^DpA{@|@b@x@ApG`Ev@\\fA`@@Xj@BxBvDOxCzBLZmAn@xEjHb@DIz@n@HGn@rAaA?i@rDdAdCiAlBzAfBi@h@RDcCzAP`@`@s@jATv@hAJSn@j@a@Fj@YPl@IpBnDtcApTqD|f@se@vYUjDx@fBSvAaAzAsBU}aAtZ{o@z`Aae@oGeCe`@u_Aib@l@GKy@jAcAPqA[wAXMpUygAk^yQhF{b@wpBqB','}ds@bwdE|vA?_k@?','ckn@zfjE}T?|j@?','}ds@bwdE?{vA?|j@','_mp@f_bE_U?_U?','_mp@bwdE?}j@?}j@','_mp@f_bE?}vA?~j@','aao@f_bE|T?~T?']],
+  'America/Montevideo': [['b~y@`roBGsAh@{A~AHt@sADm@i@YCm@VaBn@FDw@{@e@Rg@u@mA^Y_Due@PgA\\j@v@wAX^Ly@dANWwAz@c@I_@xAJ@w@jAy@Yy@v@a@RPr@oBf@P|@o@Qs@nAcAU}@nAQBo@j@FKgA^NlYkZkAgCgAGTsBsAo@_B^c@g@FcAa@u@rB}@bAsBl@AV{ArBc@Tm@Ss@f@o@x@Rf@_AzATPiAvoAajBjAaA^{@I{BbDaAMSv@aAa@c@h@]Mi@hAuAc@mAv@_@\\cB`BmBxDs@LxAza@jUfOv@vCGFyDzAOViAOm@zFaKlh@vVbmAdeCudAlkC_MWgHnHaH`M_Fv@iBrAiChAgKTkGvB{AeBsASmGCgDsAuAf@qBKqBqAyAuJwCwDiD~@oTvAmAt@oCb@iDk@cAsBoAq@oBFyD~Cib@uKoBl@sApC}@JgCkEy@^sA_@yAuAsBo@mDH}DsBcFjB[m@RwByB_AaIPcAbAsAH}@lA{CBoIkNkDw@','pl{@pfnB?|j@?{vA','px|@tnkB?|j@?{vA','vwaAfwpBYA@TZD'],['|n_AznpBCC?ABB'],['zl_AfopBZOp@\\EJ'],['ho_AbppB?IJNC?'],['dn_AzopBE?GAFA'],['|k_AdopBQCcA?j@UhA\\'],['~n_AdopBeBGi@UxAW']],
+  'America/Montserrat': [['gv_@|}xBiGgNdFgOvQdL']],
+  'America/Nassau': [['{zs@hzyC_Xkw@dj@g|AjyBauAf_@kiAjsBaqBz]dBpX|Fnn@bVpC|e@{qAp|Ees@j`Bw}@fwByeAkrA','ckn@`isC}T?|j@?','cum@`isC?{vA?|j@','eil@~`vC?zvA?}j@','ggj@hymC_U?|j@?','iqi@hymC|j@?}T?','iqi@`isC}j@?~T?','iqi@dqpC?zvA?}j@','iqi@dqpC~T?|T?']],
+  'America/New_York': [['m}pApiaDxAi@xMwX?uPuFmOab@crBaAgLcZqfAsEs@yB|EmCYWdCy@_@YVo@w@}EZeK`HiJguC}[kUoAkDaCoAc@}EeJwSgAaBeDkBaOaUUwAaCiDcDwLiBwDAaC_AaDr@_E_@wBJ_o@a@_aAP{y@mVknAyvB_bBzAe[cAk@QmE\\s@ImC{BKUmDdAcGxAkBfyDa~@pv@nuDlKrLvl@xItCjAbVsj@zt@g@gBduAs@zAxApGla@zbAvLpo@ZpJzAdLMlI`FLb\\~E~a@fV|A|B`AbDrDjEv{@v\\leAzp@dB^~FkA~gB_Wf`AxmChIfDtNho@b@pEfBhEjDfE|DlCrr@rq@j\\dn@zCjEt@jCrKdH|l@zWnA\\rDM~TfDbHwBzGFda@sHr_@kNx^_U~R}DdEpC|Gy@xTiJnSaFvMgF`IwB|NmCzOJ`_@rCdR\\`Ex@fKCta@zOf@j@lAvCPpDp_@vjAcGhm@yUoTuOmh@_g@h_@aKfFoSxC@hBa]xWiAAiMnHsHjCkB`B{TpLoCRkC_@yC~B}DbAcIe@eKn@iJcDq@gA{BcA}@@ktAleAvWzjAaZbJo@uBmEDf@c@lAAr@mCbIkOquAxB_F\\M]_SwAeA|@]OsA|AmCA]`@{EOCi@c@?y@cAe@LOe@kBc@qC?qDgB[eA[`@OeBm@]MTQgAqA~Ao@fCaA]Aj@d@f@_@rAqDzAkC|DqB_AiD^}JfDuEyA[aAa}BrWBwFo@}AcAc@Ku@qAg@i@`AiAMuIsGuGcDPg@y@}@_@z@sPcNIm@uQaDa@ZT`@kBnAY~@}ALiXyFwKmJDi@g@G[b@Om@]d@E[y@FXl@iErCl@tDg@Zg@fBi@nAkOtMm@fAOz@vAl@j@`Fd@IdAxAy@d@ElAc@m@}BtAuB|AgCtEmAATr@Wn@dA|@\\Ow@dXeBG}@z@oL~DeB}@mNfTqCw@{BgGdIkGPkEbBeBgAe@CuDwAeBwAeITeIwA_GcHo@kCrI{A|ByBcAo@eEyAkAq@}AgBNkEx@oAk@UmI`BeCAwAeAmBeCaLRyC{AZoAwAa@LShAKjRs@GsAK_TqKB{EmtCYkA{uA','mgxAp}fC?|j@?{vA','oevAvybC_U?|j@?','qouAnihC}j@?zvA?}T?','sctAnihC?xnD?ybC','sctA|lwC?|j@?ynD?|vA','{}mAdqpC}T?|j@?','w_pAnlbD?|j@?{vA','k|`AzxxC?zvA?}j@','}ekA`isC_U?zvA?}T?','gtcA`isC?xnD?ybC','mp_Avp{C|j@?}T?','ql{@rh~C?xnD?{vA','s`z@p`aD|T?~T?','whw@rh~C?|vA?}j@','{pt@vp{C|j@?}T?','}ds@rh~C~T?|T?','}ds@vp{C|j@?}T?'],['_oo@p`aDrAcS`POjAz['],['k_f@zvqC?}AjE?B`HaC?mAqA']],
+  'America/Nome': [['oihCl~|HkLmq@jeK?MbpGex@p`AuOzdBc^oCoq@otGvS_eCctBvvHel@yr@qJmzC','uedCdj`I~T?|T?','{a`Cf~~H?jY?ieA','{a`C`ndI?|j@?}vA','}i}Bhr}H?lhB?o|@'],['{h~B|egIzTgUwDbu@oJmF'],['arzBx`aIy]ysDjoI?emAvk@jIjsAs_@naAj[`dAyc@dbBqg@srC_x@jeA','arzBf~~H?|j@?{vA','arzBdj`I|T?~T?','ezwBbvaI?|j@?{vA','kvsBdj`I}j@?~T?'],['}`{BzqhIf`@gTrNxkA{m@`eDc^ae@'],['gxuBftqIuAsb@jc@o}@jNxiA'],['oeoBvikIrVu_@tEldAaTc@'],['i}mBx}iItZkCmLln@_LsI'],['sdlBxb|HmIyUxeB?nSjf@wSduAhgAd`Dng@xtD_\\gHe_AmdAp[wj@']],
+  'America/Noronha': [['}`Afrx@QyP|PKJvP'],['tpFfy~@mO_QnMoLjN|O']],
+  'America/North_Dakota/Beulah': [['i|{AtrfE`Rcz@zPr^@zS']],
+  'America/North_Dakota/Center': [['gi{ApwdE|I_SpBqBx@Vn@tA@vr@']],
+  'America/North_Dakota/New_Salem': [['iwzA`lfEA{SAwr@fAy@rABbEuDrB`@`@wB^l@n@OB}AbAMk@}DvAj@`AqC~Rx[']],
+  'America/Nuuk': [['aw_Dt}_@h{@{iLzoBlcLiFroJ`fFbNtG{qIns@sv@~xD~_HeVzcEhsA`\\th@m|@fGq`Dr}ApaG`mAbbLd_CtfG|a@zzDfrHdpEvX`xAwdAteHkmEjlF_}Nh|F_{Cj}Byl@d~B}TdcFu|Ej_CyDxeDqw@y[w`CyrPywAsgf@sHmjPbRwcK','q`aDhqi@?|j@?{vA','sh~Ct}_@zvA?}j@?','wp{Ct}_@?vnD?ybC','u||C~uW?zvA?}j@','kmlCbum@?zvA?}j@','u{dCttx@}T?|j@?','q}fC~lp@}j@?z`A?','q}fCbum@?zvA?}j@','sqeC~lp@?ry@?sM','sh~CfnvB?|j@?q~I?zvA','st_Dl~pB?|j@?{vA','u||C`rzB}j@?|T?','q`aDh_{A?|j@?wnD','q`aDfk|A?~j@?xbC','q`aD`{aB~T?hF?','aisCdzwB?zvA?}j@','c}qCjjrB?|vA?}j@','iymCrzlB?zvA?}j@','_|lCrzlBrM?|j@?','}u~B|rdB?zvA?}j@','arzB`{aB|T?~T?','}u~B`diA?zvA?}j@','_~{BxsnA|j@?_U?','arzBtkqApy@?sM?']],
+  'America/Ojinaga': [['qgz@bemE_Gyj@di@kPtBqAFTxA}@PZ~AeAHaAvEuGYi@fA}Cb@KKa@jAOtZcw@`[rSRFwaApiC']],
+  'America/Panama': [['mpQ|lwC|d@um@vz@yG`v@xu@vAflF}s@zfAkKwDoBGkAl@gBDWn@_AO}@ZJRk@l@b@\\_CzBiAgC}BiBI{BoA{@cC@i@c@{A`@k@Q{BhAe@|@uBB{@cAYEWh@m@k@q@qDwAyB{Bv@]z@wd@v@h@o@O}@l@@Jm@r@]US^MFX~@}@a@_@`@YIw@uBU^cB{@VkHmGjWacA}^}hB','mvLrh~Ci\\?hF?','mvLzxxC?vnD?ybC']],
+  'America/Paramaribo': [['iaKtnkBhKehBhSxHvEYrNxK|t@fM~r@y[fnAxe@aE~OwD`dA|f@sCyBhb@mgCbcBaaB}w@oAn@kH_BuETyGq@eCcELeGt@}C']],
+  'America/Phoenix': [['oggAbw}E?_`ApGoqBt]pk@|jAog@gE{pB`UrEAa]h~EF?p}BsgAthF{Bm@Aj@{@YeAT@i@k@q@wCyAs@c@^iDw@sDkADaByB{BKy@b@iAW?n@aZpM]mD}C}AkBgCiA`@k@e@oATOe@Yb@cAkAu@b@u@MwDr@k@w@q@l@?_@mUqTEcAuALaBxAWvAaDnEIdBsCAeClB]WiC~@aM`JuFHwAeAcAtAs@eCqBQw_@hGuGDm@wAmChCaCVi@i@Wj@c@Ok@h@k@c@[sCq@aAV]O[~Ei[id@gE','svcA|ttE@PHB?U','eveAfvzE}T?|j@?','gtcAhjyE?|j@?{vA','ihbAlfuE|j@?_U?','qrcAvstE?k@_@@?f@','clfAfvzE?|j@?|j@','od~@fvzE?zvA?}j@','k|`AlfuEzvA?}T?','od~@lfuE|j@?}T?'],['y{eAlrvEfObMnWoe@fEn}@wl@?','gvdAf`vEqEFhDfGv@k@'],['{keAj~wE`DpH}E~AiCeL']],
+  'America/Port-au-Prince': [['kef@jmlC`DwHHgFjA_Dv@UvB{BdG_NbAH|A{@\\ZzAEnCmBfAJ~@_@`Bf@fAGUf@lAnC~@y@bLwBV\\HUrAjCjA`@WTTv@UJzAjB`@Mw@uA\\oB~AY^y@ZAG]|H\\fA`CfBFHVObBRTi@j@Xn@g@rAz@nAf@qAhEmDZ?H`Av@Qv@wBz@[f@eAjAgE~HxDlAcAMMhAD^]tAPvIxHcEbEeBzUHlAl@bA~Hd_Be^tj@o^iPq@{EKcFn@yE`BqDJqCgVgw@oXdf@cXaCuLo_Al@_A'],['e{b@b}qCaNeJbKoOhMtK']],
+  'America/Port_of_Spain': [['c~T|ovBmCww@jyAfx@}DhQa@dGEfN{JrHmOuE}[}J']],
+  'America/Porto_Velho': [['rdRrnaCut@ieDgFPkAy@{BZs@c@T{@a@w@HmAk@LaFmBv@cAcBm@Ql@m@Ck@j@_`@qTAcn@rr@km@E{`@tgCaA~F{`BdxAeDtB`BRl@c@PBn@~AlAd@@Rd@`AQx@d@hB_@dCn@fACjCfAVnC~k@p_@qWhsAU?RZ[EAl@o@j@mEDMZ\\b@eBf@nAf@sAt@Lr@v@B?|@VCm@nAb@NYNRVYACfBk@J^^}Ah@Hj@o@?Il@p@`@{f@pvByl@~s@qe@v@w@OeAj@{AcB}@j@iBKiAZcCjDe@CWk@iDF}@h@WjA_CMsAj@w@Qcr@e@dLblA','hzPbfyB?|j@?{vA','b~TdzwB?vnD?{vA','b~TdzwB?{vA?|j@','b~ThbuB|j@?}T?','`jVhbuB|j@?}T?','~uWhbuB|j@?}T?','|aYdzwB}j@?~T?']],
+  'America/Puerto_Rico': [['moc@xmaCTwQUsEx@}XhCgRAoErAoE]uBn@yJlHkBpKXzEwEnJdc@KX|H|QdAdNYjFN|CcDtz@kBxAc`@|Q_K}Qb@eAqBeAkB{BwAsF?cGl@mE'],['qub@l`dCGyVrReCdCpV']],
+  'America/Punta_Arenas': [['pqeBdydCltC|D{@iKOkWhRqxBd}@rkAwwAtxJmoCv`C}cF~d@eCa`C|]mr@zy@tVth@aSgIax@nt@tBXXYxAVWvB~ARgBO{BjAOXgAxBZFeC','|rdBjmlC?|j@?ynD?|vA','fpeBnihCpy@?}j@?','z~eBdqpC}j@?~T?','xjgBhymC?zvA?}j@','vbjBrqeC?zvA?}j@'],['rzlBpjeCzDsUdOeC~@rh@'],['dzwBh{rBuCyS~bBgiBnd@vaLgpAo}@','bfyBfnvB?|j@?{vA','bfyBdzwB~T?|T?','`rzBjjrB?|vA?}j@']],
+  'America/Rankin_Inlet': [['mv_Db`lDy\\q_Fn{CA`HndB~`@mdB|iYB~YfvAhfCxw@|p@goCtwC?hvH?qaBdxFaYtuBnPpoBukB~\\?bpAsnApU?z_MugGM{kDA?okXglC?sbDzdE_`BveRiaLA','st_Db`lD~T?~T?','st_Df|gD?|j@?{vA','u||CdhiD}j@?py@?','mszCdhiDpy@?}j@?','ydzCdhiD?{vA?|j@','q}fCb`lD}j@?|T?','ymaC`lmD?|j@?{vA','{a`CdhiDh\\?iF?','_~{BdhiD?|vA?}j@','wtyBdhiDpy@?}j@?','qfnBdhiD?|vA?}j@','qfnBdhiD|T?~T?','szlBdhiD?}j@?}j@','wp{CbwdE|T?jF?','wp{Chg_E?{vA?|j@','wp{CbwdE?ynD?~j@','u||Ct_wD}j@?|T?','u||Ct_wD?|j@?|j@','aisC~wnD?bzF?k^','aisCpwyD?p~I?srH','q`rCnc{Dbf@mkAsLmoBqn@|iA','c}qClo|D|j@?_U?','eqpClo|D?zvA?etB','geoCf_bE~T?|T?','ymaC~wnD?|j@?|j@','ymaCzoqD?|j@?|j@','ymaCvgtD?~j@?|j@','ymaCnc{D?|j@?{vA','ymaClo|D?|j@?|j@','ymaChg_E?~j@?|j@','kvsBt_wD}j@?~T?','kjrBvgtD?|vA?}j@','m~pBzoqD?zvA?}j@']],
+  'America/Recife': [['f_PzwoAex@ql@c@dAu@V}B_B}AEiEjCgDm@wBwFyBK[c@`BsD@oAWaAiBuACmBpBeCp@yEQkDaBkHRoGhA{BjBo@FqBjBs@g@wARwAt@EhAz@hAYAiAb@WtEqMrEcEhBAmAiAJw@YSv@]FmAkDm@?m@[ADcAgAWPqAm@Y_AHIyCq@KYk@nBqCzCgBIqDaAwAV}Ay@cABmBrAe@f@\\Ca@fC[?}AeBuCJq@`Ae@TuASW_BFo@{@|@kAA{@}B}AA{@e@PuA{As@mCpAq@GSu@U_@^oAu@Oi@i@AEq@q@k@R{@q@g@eAyC{C{A{@PO{Eg@gA_@LaAs@[aEfAqBt@Wh@}Cp@e@DqAb@YfANrAiAfAlEpBxCvBbAtEsBjAVf@d@Qh@v@fBB_@h@KHp@v@CfAxCF[d@@XpAv@LSyBNwCi@WP]j@?~@uAfANdC]~Ah@P{AbAHp@m@We@N[fAZAkAjAgBGgAo@ScAaBcBeEHeAg@WQcA_@LHgA]L{@aC{Hy@Fu@aBBKmAl@oBSgAeEg@QeFp@_B[i@s@Vw@eAr@_@UoFj@u@MWd@wAo@w@DaCsA}@W{D}A_DT]MmAe@u@e@FCsDWc@i@`@iAa@Gj@eEuAy@wAd@eA_A_CaA_@@w@aAsBl@sBSe@`@}BKkA|BkDzAA|@o@Uw@^i@ImB~AmPfYnAhKrDrYnEtU~G}CnKm@^GbDiAdH[THtAw@^\\r@OpApArBH|@`@NMh@l@b@b@tCg@dAkAMUd@p@|Ae@jB~AdCXhEx@j@RjAt@Db@m@d@Lj@~@HhBrBnA@~@dCK@~A|@d@Cp@d@ARdCc@`@t@r@@n@j@F|@`DlAIRjAc@PNZc@`@uAhFb@rCi@dA|@xApAJX^`@OX^{@pBiAh@Qz@TFgAAgAbAIp@dA~AiAIo@lAp@fA}BZoIdI_@bDq@LO`AP|BdArAc@f@Tn@Yb@Sw@sAv@tIxNdBdAt@dFhApAjC~@rAzBcFbBiACaBdAaA_@e@f@}@gAo@LaAx@ThAjA|A_AfCm@h@qCOgAe@q@Rs@nCZn@nBz@EpD}@VoCdEGzBh@dDiCdDu@fF_@`@ZXD|AoAf@{@OoCrAS~Bs@bAvFjMJbDrFe@\\j@IhBr@vALfE~@TrC{@hFlDXpE|A`CGdAaA|@|HpE|GhBk@bCdCzA[dBfBlAp@rCmAvDPhBo@_@_@JUm@cCIs@`@[]Lm@sAgAw@ZsCu@k@b@Hh@m@dBY?Ax@']],
+  'America/Regina': [['qviBjzuEmmI?@{rNlpHgDtd@|c@xZom@p{HqXA|fD?nmF{pAu_AsbBaDg@n@Ws@a@bB_@@?|B}I?_NtGiKmFyTvGyIan@k`Af]C`jAu_@l\\nDxxAqBlB','kvsBzrkE?|j@?}vA','kvsBx~lE?|j@?|j@','kvsBzfjE?{vA?|j@','kvsBnzsE?|j@?{vA','yvhB~ngE~j@?_U?','wbjBrbqE?xbC?}j@','co`B~ngE|j@?}T?','ec_B~ngE?zvA?}j@','ec_Bx~lE?zvA?}j@','ec_BzfjE?|vA?}j@']],
+  'America/Resolute': [['q`rCnc{DaU}pBpn@}iArLloB']],
+  'America/Rio_Branco': [['hsQl}bChPym@~CmJnMdQ`@OTbAbAVQH^fAd@FFWN`@x@Rz@|B@|Ab@\\NYl@`Bo@|Ab@pA[f@@~@`@RpA_@CbA`@T]LJf@U`@`j@|cA`BnAfAxIsALQl@{@f@oBc@NZc@GCj@^Po@F`@bA]d@n@ZOl@XE]^^\\a@j@L\\k@HEZn@p@aCfc@dBb`AiaBmFba@hl@z@`{@q^zIgDxs@sYeO_xAz_A_[iJlZyjAd@eIbP}rCl~@eiAxJyL','jbNjmlC?|j@?{vA','hnOlakC?zvA?}j@','hnOlakC?}vA?~j@','hnOnihC~j@?_U?','hzPnihC?{vA?|j@','hzPnihC?|vA?}j@','d|RrqeC}T?|j@?','drSrqeC?zvA?}j@']],
+  'America/Santarem': [['ukA|_rBco@gbB~Aks@xBib@}f@rCvDadAdh@_Gh`@kqAjnCo}@pDqg@tb@j]byA}g@r[tLqMxIcEv@a@fAy@V[pD|@|@pDUzBp@`@ZQjAjBPf@M|bBph@x|Awl@{@oBI}BlBi@lBwBjBo@~EnAlBF^f@FxBx{@tj@~vAwp@~Wre@gP|aG_h@ht@ovAr_@ai@pScuFuwBaYwFeBw@aBqFwBcDaF}CcBOx@Hz@`G~@t@VtAxAr@KhBnAd@s@fB^~@}@zAlA|AEr@dARA`DchAdkBkpAr\\','{vApfnB?|j@?{vA','{vArzlB?{vA?|j@','{vAvbjB|j@?_U?','}j@xjgB|j@?_U?','vnDtnkB?|j@?ynD','vnDrzlB|`A?~T?','tfGxjgBzvA?}`A?','|j@nroB~T?|T?','zvAnroB?}j@?}j@','p~IpfnB?|j@?{vA','jbNrzlB?zvA?}j@','llMxjgB|j@?_U?']],
+  'America/Santiago': [['zyb@|zhC?mL}@gASkARqHcB{Eeo@ub@zvBmaA``AzSlsCot@c@}j@`v@`Apw@boApb@VjlBgNvu@~r@ld@j`@boBvJjoA`n@zcAwZ`eBqSbaAdp@bp@qJhp@xo@hlBcUbT~d@t|@hIdoBpKvC{ALf@z@m@b@xAhCk@hACDl@pAa@pA_@t@iAl@^lAUn@jCja@tVrtAuZuY|aAxIjpCcwGweByx@pk@w^iW_GlDcO?m@a@]Zot@e_@eEyAiFmIeeAk\\sBoBgF}Bo}Ayi@Uw@_Az@ud@?wDmFayDiJiAuAeB^Ix@{o@rLmgF{dAeA}@mAx@sjBfHo_B{ZgD?qBm@orAl@y@[}DR_Dw@qCL{I}@','hqi@p}fC?|j@?{vA','d_m@vybC_U?|j@?','|ds@rqeC?zvA?}j@','blfAjmlC?|j@?{vA','blfAlakC~j@?_U?','bxgAlakC|j@?_U?','~ojAlakC|j@?_U?','|{kAlakC|j@?}T?'],['|nr@d{{CoPyLnNs[lLpN'],['j|`Ajj}CeM_S~OeNvL|P'],['j|`AftyCgToOpMoWvOlT']],
+  'America/Santo_Domingo': [['inh@nihCbiAejBzgBsWn[rRsEtbB~m@d}Asb@`SoAmAwIyHuAQ_@\\iAELLmAbA_IyDkAfEg@dA{@Zw@vBw@PIaA[?iElDg@pA{@oAf@sAYo@h@k@SUNcBIWgBGgAaC}H]F\\[@_@x@_BX]nBv@tAa@L{AkBTKUw@VUkAa@sAkCITW]cLvB_Ax@mAoCTg@gAFaBg@_A^gAKoClB{AD][}Az@cAIeG~MwBzBw@Tq_Asv@sIqK','mme@p}fC?|j@?{vA']],
+  'America/Sao_Paulo': [['jfX`ayA|w@`I@o@d@c@fCdAbBYNcAx@FV_@vAl@xAMfBoADcC|@H@k@^@~`Aq@m}@}`C`@e@MWn@WQQ\\GWaBZE@iAZMSs@VB`@sAhAdAfHtBrBXx@a@nA\\j@q@n@kG~@U}@{j@NsCfAU`@k@DeAtBiBn@aCz@_@`A{CdAaAi@q@tj@qmArFYOgF~Cqx@QURO]oAvBeAHcA~@NEqDv}@fKAdLtBn@|@`ArCj@t@]pCj@fAu@fBf@|@o@pAdBfC@`EgF~@J~Aw@Ra@W_AtAB\\c@Wm@|@c@_AOzEeC^wBpBCnBwA`BxAj@vAfAiAh@E|T{a@d@FvA_LpHtBpNb@viBv`@liAtl@|BOjp@hk@rSvDhNzKzCnEpLveCr`CzkF~wD|`@pL`J`PlZrJlM`MdLtEbBfCdDjCfB`StKnPrFx|BzsBfDlAjaBfpA{F`KNl@WhA{ANGxDwCFgOw@{a@kUMyAyDr@aBlB]bBw@^b@lAiAtALh@i@\\`@b@w@`ALRcD`AHzB_@z@kA`AwoA`jBQhA{AUg@~@y@Sg@n@Rr@Ul@sBb@WzAm@@cArBsB|@`@t@GbAb@f@~A_@rAn@UrBfAFjAfCmYjZ_@OJfAk@GCn@oAPT|@oAbAPr@}@n@g@Qs@nBSQw@`@Xx@kAx@Av@yAKH^{@b@VvAeAOMx@Y_@w@vA]k@QfA~Cte@_@Xt@lASf@z@d@Ev@o@GW`BBl@h@XEl@u@rA_BIi@zAFrAc@Y@gB_AiCiAgBmCaB_A_C{IoB_BsBc@eFiCoDuA}@U_AkA?}DwEeG_Ee@_CgEkB}BGcAmAkA[}@gD[oDiBg@q@^m@IyCwEmEOg@eAOqCoDeCyC}Es@KuAn@{@a@w@}FkCh@}Aq@HuCuh@mw@wBH]mBwDkAFa@~Ae@k@eAXuBaCG@e@`Aa@Cg@qDoAjBgBq@s@OsB{An@i@qBtBwBYe@cBFvAoB_Be@Y{AgGyAR_@~@?HeCiBgC_BUGaBqAKb@mBui@wK]?Gd@Ca@w@JAa@iBl@iEaCgAO]^e@Wk@P{CvDqCOUjA}A|@H\\SGOj@kALYQJ[[AA^Y]]z@Ws@_Ar@o@W?c@_@BuMzJf@hAu@|@hAP?r@{@PgB}@c@N|A|BCpAb@?\\{@VFm@dB|@HDf@sA`Ad@tAbA`@SfAhE`BqAb@mArAT`AqAt@HpAuENaA`@iIsFiEeAk@eA}B`Aci@gI_CiAoQt@gDqH_A}@}Bk@wE?oBu@qFu@kYkUqB}@}FEgB}@c@_AsAy@eDgIm@c@gBcIuEyDs@BsA{@aA}Bga@mj@sByAgCgDoCu@w@wB_Au@mCu@yAd@w@bAeAOu@}@P_CYy@aBsA}Ba@_BaB{C[gC~@yBAQkBs@gAaGiCMyBw@iAoAQyBf@yBUm@V{EoAoBqCqEoCm@oAsEgCq@{Am@mGiAsCeAw@qGqB_B^aBYoA^qBs@kAr@oBDs@`@s@Yu@b@wGsBOq@Tq@_@[wClAa@@_@y@a@Xk@pAe@?H\\YBcN|]WBi@tC\\|@]z@Vd@eAjBE|@[BK|Aq@p@Bt@]AN^mBlAu@tAXT[b@\\NOd@{Spx@{d@tH_m@dH}iAwq@AcA]KYmAoEkAeAaAmAIUuBZ}BWe@HeDUw@sz@cx@y_C_c@a\\sUrZ`H`Zyx@e@w@gBH{Wu\\t^qk@sFy{@VK?wAk@CMcATSg@Og@eCg@URm@}CmDIYh@SA[cCeAaAkC@oK','xe]rctA?zvA?ynD?~j@','xe]tkqAzvA?}`A?','vq^xsnA|j@?_U?','t}_@xsnA|j@?}T?','ria@xsnA|j@?}T?','lyf@xsnA|j@?_U?','jeh@tkqAzvA?_U?','|aYfw}A?|j@?}vA','zmZ`{aB|`A?~T?','zc[jsyA_U?~j@?','zy[jsyA|j@?_U?','lme@`{aBeq@?fE?','lme@`{aB~j@?fE?','`ao@jsyA?zvA?}j@','x|u@xvhB?|j@?}vA','x|u@vbjB~T?|T?','vhw@vbjB?|j@?|j@','r`z@vbjB?zvA?}j@','r`z@vbjB~T?|T?','px|@|rdB|j@?_U?','dil@rctA?zvA?}j@'],['lyf@lvw@oEcQhQyE|DjQ'],['lyf@ptx@}C_R|QiFhDdS']],
+  'America/Scoresbysund': [['{chClph@gGp`Duh@l|@isAa\\dV{cEjrAuZ','makCdil@?|j@?{vA']],
+  'America/Sitka': [['oroBt~iG}D|EiAkzBxx@uOm]mhC|m@m`@|c@oqBdoAbf@b@VJtPLvQzGltBqDvj@g}@bTsEpl@','sdlBxl~F_U?|j@?','unkBxl~F?zvA?}j@','uxjB|l_GcEnQbKrFlEoV','unkBr|cG}j@?~T?']],
+  'America/St_Barthelemy': [['s_b@f`zBmD}AqFqJ~[dDiBzGkAvBc@^m@U']],
+  'America/St_Johns': [['_qdBdpnBcmA?e[ocBphBea@flBfWpa@mqBvhC_iA|aAfm@sLrpD}ZjKaNnQ}@nsDgWtdA_o@lBcbDedE','co`BnroB}j@?~T?','co`BvbjB|j@?}T?','ec_BxjgB|j@?}T?'],['co`BrfgB@eV~LeFpEd]']],
+  'America/St_Kitts': [['sia@ltyBmAk@lFiLxCsBpFsGdXdJoElNmEjAyCzF_EdDgIoH']],
+  'America/St_Lucia': [['{mZbqvBsGwCaByAo@yDdBuNzCiBtf@tPqCrHkFfFsCv@iH?']],
+  'America/St_Thomas': [['ejc@vz}BhLwDSaC|@uAJmBpOyBJhV\\bB{EvEqKYmHjBgB{D'],['s_b@x}}BaAiCg@yFYcJd@iEZy@lPkGzFfGlApDb@pCXvR']],
+  'America/St_Vincent': [['}aYx_wBkAg@qJoQpCsHldAdMgLh[']],
+  'America/Swift_Current': [['qviBjzuEJsDpBmBoDyxAt_@m\\BajAj`Ag]xI`n@xTwGhKlF~MuG|I??}B^A`@cBVr@f@o@rbB`DzpAt_A?vdCadF?}TmiAwc@niA{d@?','yjgBtvoE?zvA?}j@','ec_BpnrE?zvA?}j@']],
+  'America/Tegucigalpa': [['sia@xdcDv@iRrPADjT'],['wq^rabDrSko@tVtG`Tmf@|M~NlCtuC~w@p}@K\\w@F}@~BHVaAx@@b@sCmASPR~Bp@tAI^p@j@p@_@f@z@Gf@x@Ib@~@bB|@Tx@f@FD`@hAE|AfARhDOt@m@Rh@jAW|@o@\\z@pFW`Cf@rAtAIzBp@l@iAzBh@Vi@zCOz@c@j@C`Al@h@M^{@zBAdA~AaAvA@nCf@JT`AzA@AXVM~@`@p@g@x@h@bA_@v@fAr@@dAlBIXj@JHh@i@\\LrF_JrXgDtEq@EoBhA_AhDqAACw@{@gAAcAq@OkAHe@nCUWeABcAy@iD@s@k@aAFoBy@{@jAw@Lu@tAaAPDr@n@l@MhB`@\\c@hA~@nBk@BeB|A_BPQ`A`@pB_@dCzBE@jAd@CP`@l@tGr@f@Et@ZBSp@gBb@oBUc@x@LnAy@b@Bh@c@f@AdAZh@k@C[t@iDx@cAxB|APXl@sCfAW`A]DMhC{Af@WbAy@EsE~CpA|CMx@_@A{@lDEtB}A?s@kBYF{CeCZmCWa@oDJsAs@e@bAuAFk@p@mEVMk@kAc@iAQg@t@eC{@iCiJqE}FeEoIiPyS}B_ATQIo@c@FXe@Oc@cAJAq@cL]{DuGmCmJke@_aC~uAycD','ye]dhiD}j@?~T?','{y[dhiD~j@?_U?'],['ai^rt_DdQiAp@xQsPt@']],
+  'America/Thule': [['m|yCf~eCxDyeDt|Ek_C{LreHmo@z}CtFpbC{S_gBq|AxoBuIcW','{xxCxmaC?|j@?{vA','{xxCnuiC?|j@?}vA','_avClakC?zvA?}j@','autCrqeC?zvA?}j@','autCrqeC~T?~T?','{xxCza`C|j@?}T?']],
+  'America/Tijuana': [['{s~@pldFhAqKr@q@_Km|CvCxAj@p@Ah@dAUz@X@k@zBl@h@bAe@bARhBrAE`BfAfBAxBhC`A`@dC{C~@\\tEaAf~EwuChYCzA`nA?xWmFnJkbA|j@yZ~v@sxCvgAoDzDKjB','qx|@~e`F?|vA?}j@','s`z@`z~E?|j@?{vA','s`z@~e`F|T?~T?'],['w~w@jsfFwHq^de@P\\|T'],['yrv@t`aFoCif@~^_IrFh^']],
+  'America/Toronto': [['o}jBn_eDbIwjDngC_@dbBurBbJcd@q^y\\|W}WqiAeXwfCdmAwn@ciC_aAu_A}uAx\\_s@dcBstA_wA{p@`StBvk@em@un@os@bf@vOs}EaWot@|t@qcCh[v@vU{gBqOkXpvBo@lv@arBm~BqaE`m@jYra@ii@tCdf@~IywAnh@l{@hUks@fqAhc@daAit@xn@xb@aVfiAjO|d@qg@tdAlg@uGaUtp@bVaX`i@jn@js@yt@X|A`@Ld@kB^|@`AAHzCyBe@@r@bApAmAz@KnC{@nBp@p@nIMFsBj@`CvCCTuA`Am@l@sBgAo@i@kDz@_@dCj@l@eBTFg@cAFaAtB{A?sA{@v@TqAaBFpBsAVaC{A@gBdAhAkC_AqAT{@sAj@u@u@gAd@Wy@u@d@w@c@@q@nq@{Mnb@mpBwpAoy@hv@vJ?kq@njC?hf@ysAs@tmArg@@jQttAnWzmA}BtAwE~}CrYfOh@?zFrJ|Fb]xvB~aBlVjnAQzy@`@~`AK~n@^vBs@~D~@`D@`ChBvDbDvL`ChDTvA`O`UdDjBfA`BdJvSb@|E`CnAnAjD|[jUhJfuCdKaH|E[n@v@XWx@^VeClCXxB}ErEr@bZpfA`AfL`b@brBtFlO?tPyMvXyAh@cDhAgDw@cFJeB}@w@cAmBuMoIkI_@y@LsAqBgCuHoB{A\\}CW_DiB}@LyIqDofCnJkw@hbBsCTMYaEnAiDeAu@b@E`EpAbB]bCL|C~AlBO`DirBhmFfQpdAsJh~Acq@?oN_~@w|A?aiA?aC?{m@??o}@af@g^af@f^?n}@ws@?suA?ue@i~@','ohpB|i}B}T?|j@?','qfnB|i}B|j@?_U?','ezwB`utC?|j@?}vA','m~pBp}fC?|j@?{vA','m~pBrqeC|j@?_U?','unkBvybC|j@?}T?','i}kB`isCi\\?~T?','yjgBvybCz`A?}T?','unkBdtjD?|j@?}vA','yvhBdhiD?|vA?}j@','{~eBdtjD?|j@?}vA','{~eBp`aD|j@?_U?','}rdBp`aD?zvA?ynD','sucBrh~Cpy@?}j@?','gk|ArqeC?zvA?}j@','ksyA`isCzvA?_U?','gk|AnihCf\\?iF?','unkBvybC?}j@?}j@','c}|AxmaCjDeBG}BcEzB','gw}A`rzB?zvA?}j@','sctArh~C~T?|T?'],['wukBhwuC@HAPEO'],['_gcBbayCXRJd@w@U'],['idcBrcyCGLYDFQ'],['idcBldyCc@X_@QHI']],
+  'America/Tortola': [['mmc@|i}BuBaf@ne@bc@qOxBKlB}@tAR`CiLvD']],
+  'America/Vancouver': [['s`rBjrkGkcA|~AAiaA?s`SfsAcq@xg@k{BjaDwxBdcBazDnz@adBttAqX~r@evAps@dEhInMzf@RC`oKtIsRrDxD|AlI`HaB|DuB|@yAtGhGtBhQ]rG}NxqA_dGzrMykAh`Awg@_Z{GmtBMwQKuPc@WeoAcf@}c@nqB}m@l`@_xChaE','kvsB~hzF?|j@?{vA','kvsB|t{F?|j@?|j@','kvsBxl~F?|j@?|j@','oroBtdaGi\\?hF?','oroB|t{F?vnD?}j@','ohpBbevF}T?|j@?','m~pB`}xF_U?}T?','m~pBbevF?~j@?|j@','sdlBjupF_U?|j@?','yvhBvx_G?|j@?{vA','{~eBtdaG}j@?|T?','{~eBxl~F?zvA?}j@','ec_BbevF{vA?|j@?','ec_BxueF?vnD?ybC','ec_BpekF?xnD?}j@'],['edwBbrrFBfLsIs@q@iK']],
+  'America/Whitehorse': [['qrfChxjGz@q_@xtCgYJwqCd`AwJ_AepAjgAzQ~{@i{CniBit@dg@iiCtm@wL}J}lClz@}n@?ftF?r`SmoQ?','wcbCjliG_U?|j@?','ymaCjliG?{vA?|j@','}i}Br|cG?zvA?ynD','_~{BtdaGuM?ry@?_U?']],
+  'America/Winnipeg': [['}dtBnffE?{_MrnAqU?cpAtkB_]oPqoB`YuuBte@h~@ruA?vs@??o}@`f@g^`f@f^?n}@zm@?zm@zm@f^{m@v|A?nN~}@?zWng@jg@wUn}Csh@hb@`W??`cKq{HpXyZnm@ud@}c@','k`sBpwyD_U?~j@?','kvsBhg_E?~j@?|j@','kvsBpwyD?|j@?|j@','kvsBlo|D?|j@?|j@','m~pBrkxD?|j@?{vA','m~pBt_wD|j@?_U?','oroBvgtD|j@?_U?','qfnBzoqD?{vA?|j@','qfnBvgtD?{vA?|j@','szlBzoqD?zvA?wnD','wbjB~wnD?py@?sM','yjgBbwdEuuC?xQ?','a{aBpwyD?p~I?ynD','ec_BzoqD?zvA?}j@','a{aBpwyDry@?uM?','co`Bt_wD~T?|T?','ec_BpwyD?vnD?}j@','ec_Bhg_E?xnD?ybC'],['wwtBlfgE?u@b@??t@']],
+  'America/Yakutat': [['cxtBrkrG}AmwB`U[jcA}~A~J~n@q}@npE']],
+  'Antarctica/Casey': [['~ugCor_F?~cb@_vJ?n}@o|k@nwH?','|i}BsbqE?|j@?q~I','|i}BuvoE?|j@?xnD','`c~BgvzEtuC?ybC?','|u~BumhF|j@?_U?','za`CumhF|j@?_U?','xmaCumhF|j@?_U?','vybCumhF|j@?_U?','tedCumhF|j@?}T?','rqeCumhF|j@?}T?']],
+  'Antarctica/Davis': [['za`Ci|`DkcAu`En_h@??frO_db@?','za`CkdeD?|j@?{vA','jdeDmxcD}j@?zvA?','hpfDmxcD?xnD?_k@','hpfDsh~C?vnD?ybC']],
+  'Antarctica/DumontDUrville': [['n}}BchpG?{ef@nwH??`yz@?|hQowH?']],
+  'Antarctica/Macquarie': [['vliBwqtH_Mwp@b}@jV_Dvc@']],
+  'Antarctica/Mawson': [['`e|BunkB|rFa{i@~cb@??f}j@_~i@?','|i}BqfnB?|j@?{vA','|u~BgnvB?|j@?{vA','za`CcfyB?|j@?wnD?|j@','za`C}i}BzvA?}j@?','tedCautC?~j@?}vA','tedCiymC}j@?vnD?{vA?','hpfDwybC?xnD?{bC','hpfD}i}B?vnD?}j@','hpfDezwB?xnD?{bC','hpfDkjrB?vnD?}j@','hpfDaisC?_k@?}j@','hpfDiymC?ybC?}j@','hpfDoihC?_k@?ybC','hpfDwybC?}j@?ybC']],
+  'Antarctica/McMurdo': [['nnqCh{dH|rPi\\pzB??_vgC?glW?gn~@?_db@?wmU?wvI?oyo@?_ry@?g}j@?grO?osw@?o{vAi`I?ueT?owH?nwH_af@la[?p~I~b~Toh\\?','b}qCfgfH?|j@?{vA','b}qCh{dH|j@?}T?','b}qC|nnH?|j@?}vA','b}qCzzoH?|j@?|j@','b}qC|bmH?{vA?|j@','`isCh{dH~j@?_U?','`utCh{dH|j@?_U?','~`vCh{dH|j@?_U?','|lwCh{dH|j@?_U?','b}qCnerI?|j@?{vA','b}qCx}iI?|j@?{vA','b}qCvikI?|j@?|j@','b}qClqsI?|j@?|j@','b}qChivI?|j@?|j@','b}qCnnyH?|j@?}vA','b}qClzzH?|j@?|j@','b}qCvrrH?|j@?|j@','b}qC~yeI?}vA?~j@','b}qCzqhI?{vA?|j@','b}qChr}H?|j@?|j@','zxxCh{dH|j@?_U?','xdzCh{dH|j@?}T?','vp{Ch{dH|j@?}T?','t||Ch{dH|j@?}T?','rh~Ch{dH~j@?_U?','rt_Dh{dH|j@?_U?','p`aDh{dH|j@?_U?','nlbDh{dH|j@?_U?','lxcDh{dH|j@?_U?','jdeDh{dH|j@?}T?','za`ConyH?~j@?ynD?|j@','za`Cir}HzvA?}`A?','rgfCmqsI_U?zvA?}j@?','nihCmqsI?ilH?rd@','tedCuulI?|j@?{vA','tocC{qhI}T?vnD?{vA?']],
+  'Antarctica/Palmer': [['|i}Bhe~B}i@ieA~p@oKb[fiB']],
+  'Antarctica/Rothera': [['za`C~f{C{DglWzD?b{e@??flW','za`CnihCzvA?}j@?','xw`CrqeC}T?|j@?','jdeDnihC}j@?zvA?','jdeDrqeC|j@?}T?','hpfDnihC?xnD?}j@','hpfDhymC?vnD?ybC','hpfD`isC?xnD?}j@'],['ntiCne`@nh\\??~cb@onT?','lakCnad@?|j@?{vA','lakCpub@|j@?_U?','hymC`ao@?|j@?wnD?zvA','feoCttx@~T?|T?','dqpCpx|@?|j@?}vA','hpfDf}j@?vnD?ybC','hpfD~lp@?xnD?}j@','hpfDx|u@?vnD?ybC','hpfDpl{@?xnD?}j@','hpfDpub@}T?_U?','hpfDlme@?}j@?}j@','hpfDf}j@?}j@?{bC']],
+  'Antarctica/Syowa': [['lc}Ba{aBmc@mpG~}i@??~qy@_db@?','|i}B_gcB?|j@?ybC?|j@','|_~BwbjB_U?~j@?','|u~BwbjB|j@?_U?','za`CwbjB|j@?_U?','xmaCwbjB|j@?_U?','za`C}{kA|T?hF?','tedC_yq@?~j@?}vA','hpfDk|`A?xnD?_k@','hpfDql{@?vnD?ybC','hpfDy|u@?xnD?_k@','hpfDo{vA?xnD?_k@','hpfDukqA?vnD?ybC','hpfD}{kA?xnD?_k@','hpfDclfA?vnD?ybC','vybCwbjB|j@?_U?','tedCwbjB|j@?}T?','rqeCwbjB|j@?}T?','p}fCwbjB|j@?}T?','nihCwbjB~j@?_U?','nuiCwbjB|j@?_U?','lakCwbjB|j@?_U?','jmlCwbjB|j@?_U?','hymCwbjB|j@?_U?','feoCwbjB|j@?}T?','dqpCwbjB|j@?}T?','b}qCwbjB|j@?}T?','`isCwbjB~j@?_U?','`utCwbjB|j@?_U?','~`vCwbjB|j@?_U?','|lwCwbjB|j@?_U?','zxxCwbjB|j@?_U?','xdzCwbjB|j@?}T?','vp{CwbjB|j@?}T?','t||CwbjB|j@?}T?','rh~CwbjB~j@?_U?','rt_DwbjB|j@?_U?','p`aDwbjB|j@?_U?','nlbDwbjB|j@?_U?','lxcDwbjB|j@?_U?','hpfDyjgB}j@?}j@?','jdeDwbjB|j@?}T?','hpfDwbjB?|vA?_k@','hpfDyjgB?vnD?}j@','hpfDa{aB?xnD?{bC','hpfDgk|A?vnD?}j@']],
+  'Antarctica/Troll': [['~xcCcum@?kcA~cb@??nyo@uL?iva@?','tedCeil@?|j@?{vA','tedCg}j@?|j@?|j@','tedCoad@?|j@?{vA','tedCqub@?|j@?|j@','tedCu}_@?|j@?|j@','tedC}aY?|j@?{vA','tedC_vW?|j@?|j@','tedCc~T?|j@?|j@','tedCgfR?|j@?~j@','tedCojK?|j@?{vA','tedCq~I?|j@?|j@','tedCufG?|j@?~j@','hpfDc~T?xnD?{bC','hpfDinO?vnD?}j@','hpfDq~I?xnD?{bC','hpfDmme@?{bC?}j@','hpfDu}_@?}j@?ybC','hpfD{mZ?{bC?}j@','hpfDc~T?}j@?ybC','hpfDg}j@?}j@?}j@']],
+  'Antarctica/Vostok': [['|i}B{tmD}i@swM~uJ??_db@~f^??nsw@o_h@?','hpfD_xnD?xnD?_k@','|i}B}cpD?|j@?czF?j^','nuiCgvzE_k@?xnD?}j@?','hpfDcwdE?xnD?{bC','hpfDig_E?vnD?}j@','hpfDqwyD?xnD?{bC','lxcDgvzEzvA?}j@?','hpfDuvoE?}j@?ybC','hpfD{fjE?{bC?}j@','hpfDcwdE?}j@?ybC','hpfDgvzE?}j@?}j@']],
+  'Arctic/Longyearbyen': [['ww|C_yq@nm@osEzjA`iLp_AiyExcA|tFkf@zxE|_A|}CibDdbLsfAojA}Nw~Jkl@mfE','wp{C{y[?~j@?ynD','wp{C{mZ|T?jF?','wp{Cmme@}j@?|T?','u||Ckeh@|j@?_U?','wp{Cu}_@?{vA?|j@','_avCqub@?zvA?}j@','_avCye]~T?|T?','_avCcum@?zvA?}j@'],['{xxCipp@wXumDpHmmEhb@xxG'],['q|{Cql{@mIeeCtPicBtWngE'],['mxpCmme@b^zUqRvqAyLea@'],['autC{kn@}OmcApKo}@`\\ppA']],
+  'Asia/Aden': [['cy^wppAcFo~@D_Ah@u@k@yFMb@oDWq@sAMaG}Go@h@kB{r@sAtGoh@T{BmCwATW]wAnAwAuAu@o@gMd]aoDegB{wB}VesDl}CiiAzZpp@dc@vDr}@`uD`F|GXzAvb@|m@jo@trDlBdBjDbO|H`AnBzAtAxCtA`OJbkAcPbTkTtLqe@lAdSzKqRxMgo@cG}Al@iG?kAc@u@f@eItl@gYi@fHcV','qub@co`B?|j@?{vA','u}_@mgxA?|j@?qy@','u}_@ec_B?|vA?ynD','ye]gk|A|vA?_U?'],['ye]ghpA}OeGlFkQxPdH'],['keXyjgBxAys@pV}Zx]brBgTyUeYrO'],['ksW}rdB~Pm_@bSlAqEhe@']],
+  'Asia/Almaty': [['aviBs``C{LgdBm@}CiD}AYsDbAsFe@sKi@jAs@sAmA@OwAc@[kCrEG}@m@R?`Ai@?V}Bc@sAaDegCliA{k@}Omt@`\\i[qH_oAte@pS_j@ukC}SolArAo@L~ApV`Xhm@uvA`b@}`@bdAc{@jv@oh@sZa_Ag@QHaBhB[jBr@t@xA|EmAq@oHAoFzAA?i@d@MlAh@ReBjAYfCfACwC^sBc@aHyBaB`Bg@_AoDb@_GdAaCF{D`@AmAuFsJqsAjtAqcByKe~Aji@q^q@dEbPdWhi@`kAhfA~A?j_D@?B@@AD?@??@@Af@`@jOfG|`Aj`@|Cf@NLfAMfM{RpZzgDjkByx@j{@nf@yf@bbBgBtDh@dCSjBbAv@o@zEPn@Wb@p@lBqDdkCJtCtE|BfA`B{AfMLx@q@zHJpCaHdVRnE{E`H@jt@lCnKh@\\nA[fBpB~Bk@fDXzFzCpAGsC`y@{@nAmB~IHfF`@zA_A|BwB`Od@fDMbAxAdDQbAw@l@n@nCYnDfAXJbC[fAtA?rA|AVrA|BCP|BbTzI~[`z@`CnAf@nALhAYrAl@`CChAj@n@Z~DrCzCd@Sj@`Bi@xAxA~Af@N^mBl@EOjEhAtB{@zAbAhEx@s@^f@GpAbAj@g@Xj@rBLs@jA@f@~@r@u@b@f@h@QYz@n@NdExJ`C`Dd@Np@}AfA~@t@hDs@^c@{A]lBw@Vl@|ASjAjAp@fAi@G}@j@cAvBM^r@rABt@o@lCBNeBh@e@rAVNf@|@qAz@`D_BdLmCrHkExGUhB}@zA{@F@aAwGwCOt@y@oCy@\\]~@nAv@Ft@f@@MpAgCGoBh@ErC`@p@}AfGnAl|@wiApi@uu@woByq@qJkTjd@omB~QyCfaBc|@vcDik@}qA{OhO_o@sl@mB}qA_{Ae}BbBrp@|@lIgExAmTxs@BlAp@n@]jDqBFeChDvEzWc{@xNapAq`A','{~eBymaC?|j@?{vA','_gcBwybC?zvA?}j@','gw}AymaC?|j@?{vA','i_{A{a`C?|vA?_k@','ksyAwybC?zvA?}j@','aqbB{xxCiF?h\\?','a{aBwp{C?|j@?ybC?|j@','a{aBsh~C?}vA?|j@','yjgBc}qC?|j@?{vA','yjgBaisC?}vA?|j@','wbjBoihC|j@?}T?','wqfBiymCtuC?ybC?','}rdB_avC?|vA?ynD','co`BuedC?|j@?{vA','ec_BkdeD?|j@?{vA','ec_BipfD|j@?}T?','uwrA{xxC}j@?~T?','uwrAoihC~j@?_U?','ukqAoihC?zvA?}j@','uwrAoihC?_k@?}j@']],
+  'Asia/Amman': [['q}~@wydAUoAf@IPcAM_A^i@E}ApB{@JuBjBCfAwAjBQ]uFdAOI{@pFcIb@cEau@y|BgHoPdkAoXjOdg@zUvyApFD|QcRpd@wc@f^t]br@pxAiGps@uBvT{CiAcC{AqGiBmBLyC}@sp@_ImMoG_BP}Am@uA{B{DSeD{@yFpByGiCmNw@aD_AiAaAqBj@qBUeAr@yBo@cCx@}Au@q@ZoEsAiGf@oAQa@`@?]i@PiAk@k@PK]w@t@kAo@yD^IyAa@NWe@IsBg@?c@sB']],
+  'Asia/Anadyr': [['}p`C}stHwrAxl@g[is@yHqlFabBeDbIglGoe@}jF~NgaJpo@kgF~zG?n]rcAniBscA|[ll@uNfaCzl@|fDwy@~r@vNdxEip@dkBsb@uhAwg@vdAof@zkGhN~z@y\\djD','sqeCir}H|j@?|j@?','q}fCandI?~j@?}vA','q}fCabcI?|j@?|j@','q}fCej`I?|j@?|j@','sqeCir}H?wnD?zvA','q}fCemzI?~j@?}vA','cfyBsanI?zvA?}j@','cfyBqypI?}j@?}j@','cfyBsanI?_k@?}j@','_t|Bcy{I}T?|j@?','_~{Bcy{I|j@?_U?','cfyBcy{I?|vA?_k@','}i}B}egI?zbC?_k@','}u~BmzzH?|vA?_k@'],['makCoa~Ir}@oNdFpyAkVp_@gUqU'],['makC~p~IT}|Bb^_hA~`@faD{Ttc@','ouiC~p~I?}j@?}j@'],['ktjCj}tIrTnWeNxv@wLgb@'],['sgfC~p~I~eC}zOteA_tCb^nC{Rvr@p\\x`Bt}@xVrOrjAyb@zfDum@pbAte@~fE','uedCdmzI?|j@?}vA','uedCdayI|j@?}T?','yw`CranI_U?|j@?','{a`CranI|j@?}T?','}u~BhivI?zvA?}j@','}i}BlqsI?zvA?}j@'],['cfyB~p~IsQ?dJcC']],
+  'Asia/Aqtau': [['o{vAeh`Buq@_rDik@ynDfWe|@tz@iP`Jpm@zdF?tApb@wcAzjAxn@xxBw|@{FyUds@_d@pb@','mgxAyvhB?~j@?}vA','uwrA}rdB}j@?~T?']],
+  'Asia/Aqtobe': [['_uaBapiBgVqGg@`@E`CuECTMUyAZiAS_@[\\Vw@Ug@l@A|@eBt@sEjAF\\qFk@_Bt@}AzTcf@o`@so@Ig|A_AkC`Bc@VsCm@EWyA}@XcAkFdBgBbAKO{GjAyDxAa@t^}u@mSq^?qBa@gF`AymAc[aNtmA}mAvp@~c@l_AmfBzOiOhk@|qA_f@zbB~oB`pCxi@cCyOx^zXfrBuz@hP{aApzAe}ArDw_@joAu^mv@','a{aBqfnB?|j@?wnD?zvA','a{aBgnvB?|j@?{vA','cy_BezwB_U?|j@?','a{aBibuB~T?|T?','co`BkjrBsM?py@?','gw}AibuB~j@?_U?','i_{AibuB?|vA?_k@']],
+  'Asia/Ashgabat': [['suoA}jlB|Co`Ayv@aNs[idBjCmEM_IfEaE`@RhB{AdAaFbAe@IeFTu@Wy@P{AYaDx@yCy@}Cb@ERkArAm@]_@Js@`@HBo@jAUZq@Xh@[`Bp@f@j@}@BaA`A}@zDfAq@jCXx@xA]j@eAi@gBxAa@\\gDfCyBRkClBwC`@XGn@b@GD^s@f@Pr@yAzAPRq@xDnAF\\hApBkAdDyDjAFhAjChDz@vAe@fK{WsAiS^oJf@{@{AGl@c@OYlAa@]OnAmAxA}EEsDaBeCuDU@qCp@_CEcD`aBmpAnYwn@~AUbEaJb_AsuCrm@eOr@dOw@zAWxCu@RKxAyAvAFfCYKWbAaAvHm@\\rXn`Apn@|InUbo@vAbPbBdA`o@tiAw\\n_Aqk@xFYU}Bf@e@s@mANUa@wAb@g@s@mAE_DpAT`Ns]veA`@p@aAfCAr@l@RYhD{AJiAxC]a@c@PiAzAg@FIv@oGHuLpd@Z|EmBrGrBfBf@~EaAr@AjBoAzCoCl@g@bBTx@YFNj@YHIdC}AvEuTpf@oCxAGlAnx@b|Ea|Ak@hF|t@ksDxa@yn@yxBvcA{jA','ysnAgnvB?|j@?{vA','ysnAezwBz`A?}T?','ovmAyjgBrM?|j@?','adiA}i}B|j@?}T?','cxgA}i}B?zvA?}j@','adiAezwB?xnD?_k@','cxgAezwB?zvA?}j@']],
+  'Asia/Atyrau': [['yg}Ae`{AdJ_lBrBuLij@epCFoJlAiLbB]P`A|A\\p@_Qsi@y`Bv_@koAd}AsDzaAqzAgWd|@hk@xnDsp@uFiN|~Afq@`uA}^loA?dBw@Qo@oACdA}@By@bDa@uCc@b@I[_A}Ziz@dp@Tnr@','gw}AwbjB~j@?_U?','gk|Aco`B?|j@?{vA','gk|AwbjB|j@?_U?','ksyAyjgB}j@?|T?','i_{AwbjB|j@?_U?','ksyAwbjB?|vA?_k@','i_{AyjgB?zvA?}j@']],
+  'Asia/Baghdad': [['opgA_nvAn@fAnCkB@iBhAeBnBl@hAy@nBN\\tAZK\\v@`@@n@qCSy@hA_AGqA~BgBtBKt@vAjAWXdAv@G`@{Ada@ea@`AaC~FcEw@gA`@}@AwAu@i@\\sBi@SRyBo@kBZsBh@Cl@w@Wa@`@u@ImGhAX@t@`Ax@ZvAM`A`AdAE|D]v@v@`Az@C\\b@Jg@dBa@OpB~ByABp@l@N|FeDnByCv@[pAtA^]?}At@o@rA|Az@?b@gAhArCQxAt@Ob@h@aAvAPb@cAtCdBQXjBnCg@p@p@z@FM~CfL~DzCiAfD[k@vBNdDna@vHl@fA|@o@?_D|GuD|@qAjABnCyCp@iBvAd@]gA~KsPtAM|@kA`@@xAuCrBPP}@`DpDWjC`AXr@yF~AdA@|@jABx@yCe@wDl@sFzNkZ|ByB|IqPM}C_AmAl@{DpCoCjpB}b@vEBdBsGrEmAFa@o@}@Jm@hGmGbAK|A~@nByBpCe@xDeMxDoXrZpYsTxGsFvCuFfJkCnFG|ClA~BCzB}EtOAhEv}@h_A_EzqBwvBhcDc`AhsDekAnXyz@gvBgCiP_QuIgtBk^s@kIq\\oa@gBf@@cBy@}BGgFkCeA}@sAi@@Gy@i@]_@RS_Bc@DyAyBR{@v@UI_@fAwEg@eBo@Ya@oF\\e@X_DnAqBFmj@w@u@TCOa@Xy@SqBzLaWi@]Eu@mAm@y@yBj@iAFkD','od~@mgxA?|j@?{vA','od~@ksyA|j@?}T?','k|`Aw_pA?|j@?{vA','mp_A{gmA?|j@?{vA','s`z@o{vA?zvA?}j@']],
+  'Asia/Bahrain': [['ybs@a{aBfKqJb@B~C_CvFeBtNhCnZzP}QnOqKbA}EsBG\\qBGqFq@eAeAsFUkBiE']],
+  'Asia/Baku': [['{dpAec_Bri@_b@pEgANo@c@qDM_IZ_D~@kCLcH`BiErEgDTy@p[o`@~@~lAfeBxm@VnOWbDpAhBb@vCo@vBec@jQkA}@uC|@i@pCaA`@wAvCcAVaAA{@iAyCoKyLlMsDpEa@zA|AhCQhAVpChBjBd@~BdDhHdA`H|BjBdWfg@nHdIwICc@c@KjAi@i@cBhB_@WInBaANY_Al@wAc@Pa@_@jBk@sAaB[V_@uBo@~CwA`ASa@eAbAVdAy@vBsCv@k@_@N{BcAu@ZgBcBhAu@_B`@qAq@Pc@ZWxA\\tDU`@eB?TrAUIOd@jAtEAhBl@d@oCl@gAtBPh@[b@OWoKjPgAOU`Ci@`AKrDkAFe@gCBaFlA{Aq@c@Kw@_CeAe@Tc@sBgE_@_AvABi@o@Ii@z@DvAqCzJ?xAy@ZkLfNe@Is@dAkB]Vc@cAO]q@y@iFwC{B_AJArAiAtAEfA}At@R`Au@Xo@}@SXCz@t@`AEvAqA`A^p@h@BcBrCHd@{@@[`AvAb@DXc@CXtA_BW_@{@IuC_Aw@[PA|@kArAZl@SvCyAmAeB~AaBaCF_@aD}CJi@cB_CzCaSXFEiCn@kA~Eo~@k@Ce@eAUfAcAA{CjGk@|DiBzBTRkV@}Bk@xAo@u@}BPu@rBe@f@y@}@qAJaEe@J_@wA|Ao@\\b@t@q@XmApAeAYcAnBw@bBiDt@h@l@}@h@DQ]R_Aa@Cm@yAvA_@n@uAx@XRcArDy@PqAbBH|@sAfAwCJwFjAEv@eBa@m@?aAi@S\\}@EcB`Au@NmBcAw@@gC]i@yAS[`@y@wC}@d@GqAiCa@aAoBcAAq@}HwAwB{@yD{JcJqB}@uF}LdCsD','{}mAec_B}T?|j@?'],['islAo{vAbOo\\}EmM|@_EbCu@h@Vl@u@~@fAvBVVgCbCsGrDRfUoH_AlNaAxAHbAg@`@ExBm@xARvCkAbAZjAs@pDi@b@mAg@k@jBe@@cA|AyAHHzAg@o@_@f@d@j@i@bDaXdRFl@]@Xf@o@vAu@OGb@q@E}@fAcAoFj@yA']],
+  'Asia/Bangkok': [['_wj@_ofEsVaT|Sma@_Ogk@Py@rCqB`DoDv@}B_@eAiBLoEeA[VkHkLJs@hAHEeOgAq@Y{@Ji@|@CKi@q@Cx@cBIwBu@LO{@uAe@g@_Co@q@aADi@~@gEp@kQo_@x]my@JR`@SXeBSc@b@a@w@w@PqAg@MPO[qA`E_Vdk@xFtA^t@Un@p@jAMa@gAs@UKw@nA}AUw@NwCxA[V}@aA}@L_AvAiAxP_g@mAcDG_Ab@u@Ya@v@y@jAUAq@d@e@`AWS_DzBsBnAGtM_FhvBf_CzmBefA~YlW`EfUmjBlwAyc@tmAq]a{@wQ{HwTpe@gMkO{YpgBq@r@]Qc@VKbAaCQu@~AHhB[BcAuAGyAcD@mC{A@b@r@f@@dA}Aa@Ci@qFgD','iqi@wjnE?|j@?{vA','keh@y~lE?|vA?_k@'],['wrf@sbqEJcR`QWLpS'],['_wf@inbEvA[rAJ^e@HoBg@YaAZg@kBaAGeAq@]k@DuB|AwA`EmAn@mA|@ElB{B}@aALu@hIhAfLlEPl@x@TzAsAbAb@T_@dAEb@gAbCEtAmPXIY[cDa^f`@wCl{AhWa]qrALqAtCkF\\uGnAU|Cd@HuAt@}A]Yq@h@s@Uo@kCmAu@kAkCcAoEbAwBKa@qBuAqDAcBiCoBCq@]yA{FiHmFl@{AAeCl@kDvBmDHqFjBkAm@uAzEmIjDsAx\\oWlBgFnCsEdF}CnHKdEXhG~BfIy@zAj@bEu@tHx@xAaAnBgDxDgAf@sAfy@mf@ZjCzAf@h@iAUeClBa@p@fAE^|AzAzAp@Pa@d@d@|@Y\\eAj@BAqAr@L`@q@l@Ej@aBdApAYx@v@Pp@{@za@`VuCzSb@jA_@?i@v@XlAd@VQ^R`@{@R`AbA?d@m@Tn@~@lAls@q@xAHp@c@FPzKp@x@s@`Ah@fAVEHhEr^`a@jB`Aj@QDz@xChG`Ah@x@w@f@_BDvAt@`@ZfAO|AXpAc@nCb@t@l@J~@{@zHd@zASbL}CPq@hCeATgAl@xAb@_@X\\|Bk@r@RpA}@bAMvAfArBIx@w@A{AjAkAHw@r@@Bc@dAm@PLz@aAGc@r@PFg@p@K@e@rAk@dBxB|Jj@~B}@dAeAjCMfHoBjDmCdFSxNxHyq@fw@}Bn@V`@qGta@oB^j@nA@pAb@EbAlz@rZxFT^pAjAtCIhLtBdVfLfLF|YrGjm@qf@vJaAreAmd@hcA_pA`|@l@j@NdL|ChBBr@]bClA`BvCp@J\\n@fADJ\\|@PzAm@x@t@H`AbAPDbLsCJCfAcANEZjEhSbBr@vAUd@RT~@t@FXtAdAfAsB`@aBfAMh@a@BJr@{AxAm@H{@w@iADmAa@MiATk@qAS_Ay@q]nYv@~A]JCv@gAlBLvAgAx@M`AZbAc@h@GfAaAZ_A|A_@i@_@Ru@W_@bA{@DTr@WNb@v@aAn@~@`AnAQj@\\tBc@Kt@bECrBdAE|F{EhFrBhMw@`ExLpSmOpOoSkT{h@~j@Ct@dAVvNvOcQnHgAk@aBxAwAb@iFLcCj@}LE{y@Rxj@tOaHvT{eAyOkJed@}E{FeC?XwBv@s@]sA{I_D}AMcAgA}bAwf@cAVg@_@D[mAo@a@gAoCNi@w@Bk@uHuBZw@KcA{Bm@kA_B}BIaAo@StAgAVEj@oCPU[kA@o@lBaBDaAk@coB~Za~@`u@[O}@j@g@GYn@oAGo@c@aAz@iD?g@WiBXTuB}Ak@Sm@aAJz@wCx@{@a@[{@T@h@M_@u@V{@u@EkA]HVi@i@WDa@b@iAfAa@qAs@__AwCq@d@{@i@wDvBWh@o@QaB\\[vBaBIFh@o@MD|@c@Ng@?Ba@qAIAeA_@FO}@y@lBo@YNUi@Ld@}@o@ZYSGl@]QJ\\a@BH\\a@NOs@m@f@Ad@OW_@NAp@s@M@p@]Oe@bANNYJRfBoAjAg@m@Dj@c@@syAvz@EqYukAqOfAsx@ob@gg@IuAt@kAYiAi@WX_DwE{BAaBe@eAfB_Bl@gC\\JIY','sia@}zhE?|j@?{vA','u}_@acfE?|j@?wnD?zvA','w{]{fjEiF?f\\?','ye]{fjE|j@?}T?','{y[{fjE?zvA?}j@','{mZ_ogE?zvA?}j@','gfRis`E?~j@?}vA','gfRg_bE|j@?}T?','mvLcwdE?zvA?}j@']],
+  'Asia/Barnaul': [['uagBedwCmLk@cCd@GmKSH?gBgAAHuCfFYuK{`ADgKci@azAvVee@pDj@UuAyBqCEoAnPaRb@qBf@G^wC}@gBtCdA[}At@GTaDj@WO{@hAMp@oCY]\\eAQsCRqA]M_A|C_EgIs@xAaT}[wBcF\\k@?mBcAs@lH_BYiEu@NI{AgDV[]AsA}@i@TuR`@R@e@cF{T\\aBl@AIqDa@}@^cAl@Im@cFsCq@sKw`@~Ly^jCcCe@sBxFsFGmA`@G\\iGx@yCvCw@tCgHlFuA|Kwc@lDx@br@qL`E}l@iAiAlAqHbS{Sbf@r_@pHyfAru@{s@fe@bOjm@bnBlB``@ki@p^xKd~AktApcBrJpsAlAtFa@@GzDeA`Cc@~F~@nDaBf@xB`Bb@`H_@rBBvCgCgAkAXSdBmAi@e@L?h@{A@@nFp@nH}ElAu@yAkBs@iBZI`Bf@PrZ`_Akv@nh@cdAb{@','yjgBst_D?~j@?}vA','_gcBwp{C}j@?|T?','kxbBmxcDhF?~T?','{dgBgphDMR@vAb@O','{tfBipfD}T?|j@?','}rdBehiD|j@?_U?','a{aBmxcD?}j@?ybC']],
+  'Asia/Beirut': [['{vbAutdAn@}CxBkDaAqGa@Yn@uA]{DXwA@sEYo@sASQo@Pi@j@Jx@cAIaDxAX]~Ax@Jf@a@bA|Cj@@IcFjAY~B{EdAvAbBcATmAvAd@fASp@aA\\z@fBv@dAnBjAL^fAW`AT|@dGpFlAsA@sA|As@CjCq@lCp@hBm@vAdAvBEn@dBbAFt@tFtCFkAj@UD}@jAwAz@z@h@nD|AMbBvBr@xBpAZv@nANlBjBtBIjAhAE_BpBtBz@hEF^z@p@ACrBr@\\RhBIz@yA|@HpE\\b@QrD{CxLqDkCaEg@_O_ImLcEaDFqCm@cCsBsAiDkO_AeF}DiKoE']],
+  'Asia/Bishkek': [['mpqA}piCcT{IQ}B}BBWsAsA}AuA?ZgAKcCgAYXoDo@oCv@m@PcAyAeDLcAe@gDvBaO~@}Ba@{AIgFlB_Jz@oArCay@qAF{F{CgDY_Cj@gBqBoAZi@]mCoKAkt@zEaHSoE`HeVKqCp@{HMy@zAgMgAaBuE}BKuCpDekCq@mBVc@Qo@n@{EcAw@RkBi@eCfBuDxf@cbBxiAruCU~v@zi@``@mJz|At`Ab~@TfMjPbuAyYdk@L`gCeCf@{@e@qEnCm@Ic@cAq@@Ku@sA`AgByB{ATn@_AQ_@\\iAbC@_@g@j@W[oAY@FoA}DdAu@c@i@XqAuGBs@n@]w@NgBwCu@sGtCiR?iDt@wBh@KF}An@cABkCp@[Sk@Xm@x@OD|@bA|@`@r@hAc@gBSA?N}@kAsCmAo@aAH?k@sAHk@aGcBa@LyA_AaANOaA_EcCh@KuEqAqBMaERu@RTk@aAhAiAWsBXBEo@p@iAJqC|AW\\eBPmBwBAEiBr@s@pAOZr@VcAv@g@wAuAa@sBwAIQwAp@wBMk@Iv@KSk@kEuAjDuDkG_@[UVqBqC\\e@?yBh@Rr@cAWcAjAeCDsAqAFcAg@w@j@GfAw@}Ai@JIz@QIw@`B@iA_@q@dCgCe@o@n@c@fAqGY[{BHY}@r@_CgARmAg@{@_AF{Aw@c@UVg@yDaAyAEcCt@Ws@EVgAfACZk@g@a@iA|@WiAh@gAs@GS|@}@eBBlAp@bAaBDGpFzA|CoBpELpFu@nGy@_@qBrAIlBg@KoA`BA|B_AnAjBrDb@nDq@RJg@wAw@cC|@Ox@mAe@TzBfAfAoA~BV~Bm@pBq@BOj@{D}B}@jAgAFX^S`A]MeAvA{@HIzBxAb@a@l@eBaAi@TIa@m@KKZa@a@QZbBhBh@fCIaBvB{@n@z@^UlAr@hBvCCfA]Nj@hCnCYv@z@v@k@bBnBe@\\C|@x@pCsCFc@`An@j@e@l@tAlC}AhDL|@wSls@','ukqAgeoC?|j@?{vA','inmAouiCC`@|Bg@xCHf@aA@}B^IX?Dp@z@{@Tx@hBfAGiAZKw@?NSa@Wl@WYgDmA@G`B{@C]l@AqAeAi@b@pDiGtA_Ax@','crmAawiC[KGTf@V\\U','qomAy}jCDO?EST','samAmakCvAs@cBcFu@fCRG','kxlAwbiCOi@oACHhNnE}E','wupA_avC}T?|j@?','w_pA_avC?|vA?_k@']],
+  'Asia/Brunei': [['_aI_n_FGqGlAuAb@cGlCrClDdAz@s@lAHJeAp@IxA_B~@JbAm@dAJZa@r@LjAy@lCb@tAGCbKmCPoB~@e@W_Bj@_A[a@h@qAaAQd@i@BgBaAm@fBj@t@~B`@OrCj@tA`Bz@h@jBLYl@Ld@s@zIa@t]|HoAvCaA|@uANi@bBqCdAuBRr@v@UrEiDa@a@r@aBAuD|A{@~AHZsAfAUlDiFNqC`Ci@aLoBwHwKsOwAcA{BqE']],
+  'Asia/Chita': [['er`BsmqEw`@my@kMve@mT}YiA}BqBH_@rBeLAU_A^y@QmBaAc@aBRQi@DcBvBqD@{@m@gAv@aCUkBgAgBDq@q@u@hAeB|@JxA_DiL}w@@{Jh@}BS}@jAFr@eABoCf@s@YmJ{@SBuAoAc@mbAimEsz@jPcx@suDgdC~oA_L_eCwz@z]sd@kd@zJeyAp{As`@j\\av@hY`Y}IybAl_@sG\\qg@v`CqF|g@haC~o@ii@ttBrwAtPvw@r@YtHlQ|@j@MxDt@jACbBnDp@cA|@j@vAuEbSGjKmBfL_ItTiZlsCvn@v}AxU|bDqIbhB','qfnByueF|T?~T?','qfnBumhF|j@?_U?','a{aBgvzE|j@?}T?','co`BgvzE?zvA?}j@','szlBumhF|j@?}T?','yvhB_raF?~j@?}vA','}rdBcn}E?h\\?etB?|j@','_}cBumhF}T?|j@?','co`B}}bF}j@?~T?']],
+  'Asia/Colombo': [['gfRoqzCiHiNi@eDe@gOn@qD|AeCzGyDz~@gw@fEy@|ByC|MyDjEYfGmB`AoAlJgDzCaD~IkErPkDbE_@vEHvr@rKp]`u@jAxDxC`F~AtHF`Cu@jIoCrMqFlImC`CmEzBmQ~D_Gh@sLjDsH`AgF[wHjAwEc@kMzAwHOoFt@}cAzCkE{@qLUcHh@_FbBi@P','inOu||C?|j@?{vA','inOsh~C|j@?_U?','kbNsh~C|j@?_U?','mvLsh~C|j@?_U?']],
+  'Asia/Damascus': [['ckeAwudAzImY|Ao@?u@{Fi@m@{B\\s@Og@iBFf@aBo@gAkC[eAf@y@e@i@n@s@eAo@b@OYv@kCwAmAE{@f@e@YSl@yBa@GFcA_@sAcAr@_@[IjAqAEKv@f@p@q@HOe@[h@i@S@h@u@d@aCl@iE}AuC\\{AiBoA^kBkB?gFl@kEOkAf@qCr@?DoA^Wz@`Ap@I|@cCkAi@IeAj@i@e@kBt@mJqCcLy@aB?uFuAqFu@kAMyCeAc@}B{Kn@aECiBpBcIpGqJCsPpA_KoD_e@kCcLy@}@k@sFiDyIgBoBYiFuCkIMqBa@W@}Ad@m@][QcCfAoN`AmBc@aB@oMmEo`@s@kB}EsFL]~@h@PoBUk@f@Qx@cBd@Kx@v@nCy@fBg@p\\na@r@jIftBj^~PtIfChPxz@fvBfHnP`u@x|Bc@bEqFbIHz@eAN\\tFkBPgAvAkBBKtBqBz@D|A_@h@L~@QbAg@HTnAeDcD{BYmBwAgAn@qFh@U`AmBu@q@JSh@sAB_AjAoAgAe@nAw@oAqA[s@yBcBwB}ALi@oD{@{@kAvAE|@k@TGjAuFuCGu@eBcADo@eAwBl@wAq@iBp@mCBkC}Ar@ArAmArAeGqFU}@VaA_@gAkAMeAoBgBw@]{@q@`AgARwAe@UlAcBbAeAwA_CzEkAXHbFk@AcA}Cg@`@y@K\\_ByAYH`Dy@bAk@KQh@Pn@rARXn@ArEYvA\\zDo@tA`@X`ApGyBjDo@|CyFlBgEPgXaCmBvDuEtCmMY','_`gAqliA@AA?','ihbAysnA?zvA?}j@','mp_AadiA?|vA?_k@']],
+  'Asia/Dhaka': [['wzh@aemDa\\`Ii@K]}AuBOgExAsBuBFx@{AA_A|@}@LHb@_@G_@l@Yw@u@lAaCMg@f@e@w@mAF_DdAUd@{@Du@i@Cp@aANsAeAq@dAmA\\aAq@Kk@_BSgAn@@bAaA^MY[h@c@MPbAm@FY]k@JOf@BeAaAGiAl@o@MS_A_A{@cAQ_@m@Rc@y@?A_@Uh@PEON`@t@Ox@k@LH|BYLRXm@VdA@Dh@s@h@EvAo@@{@v@U]Z]i@GV]aARu@w@w@`@iBe@Bo@gBS@v@b@EUVV@Cb@}@d@gAbCwB`@H|BeAYDx@[Jg@]uAVcBg@m@p@Go@gF{F[aAeCE_@`@u@q@Yr@c@Ge@p@gC@iAa@Gu@}BJcC|Al@lAk@tCI|CaFzIuCjKiFvAsArCqBmB{AISgA_AIKm@eAYDa@{ABi@p@g@Co@kDrAoAbAA^}CoCmBsOqANaAYGBm@XmARFIo@b@Ky@aBG_E|@oAYg@d@iAuAkAn@g@KU`@?AgA^Wa@UF[cATBo@{AHg@aARe@kAAA|CcAn@Vj@kAtAcA?Yt@M_@s@F[[_ATC`@}@BNz@Wh@|@MNj@a@DDb@|@n@MfBe@C?r@g@ZTZ]pAVZaALJRm@x@q@KYlBgCQMdB[?U~@g@Ei@hByAlBq@EC~@n@t@_@r@r@~@c@NGx@[Ia@d@kASM`@]Ow@^{@gA]LeBo@WuAi@Vu@YMn@gCc@g@cBi@]@aA_AwC{B@}@eAC{@[VM_AqAm@t@o@SsAgEjAKbCg@ZNb@S^nAf@cAf@sHyCtDu@FaB|@GA_Az@IG}@t@EN_Ai@C?y@fAAv@wAKc@^^N_APh@|Ao@k@_ANQd@TE]RBPx@?l@_@?Nh@pBPc@mBW?Fq@g@ER]Uy@\\s@lAJp@y@EgAmA^_@gAJy@pAs@?cEaBSI\\d@JWf@g@Cd@F]TXVa@Xi@e@C\\c@@Cn@f@PaAAJbAqA@QX@k@m@@Je@m@AEe@ONVs@bAUUAv@kABwB|@ZFe@j@EZ`@DgB`AXy@b@fAHvAqAt@Ox@X`@i@p@BZuC`Ai@A_@v@XCw@^@VuAv@q@DwA_@Bq@aAfAKZcAO_DfAFFa@]QVUqBCu@cAUNT_@Sy@wAf@b@h@SX[EJa@W[SFTj@mAXBe@q@@\\oA_@MGv@UCHe@mA\\RkAc@Mn@A@WTb@x@u@Rd@Tg@a@WXOEq@z@e@f@R@o@n@AG[v@Ej@n@Gq@f@Dm@WpBWH_@{@BbAiAT~@d@UDp@@{BtCjBlB^jBq@~@Z^m@tD}@tC^NZnCAvChAtCq@f@RT{Am@{@\\sAUc@l@[f@qCfAsB`AmJh@}dAh@u@Ew@b@IqAqG`APAe@h@a@]kBk@W`@kAaASXm@_@wFxEwXSi@J_@j@Jh@kD~BLDaBn@d@QmAtAQtA\\Ux@d@b@Iz@TLeCjEZ~B^]tAH\\{@v@AV]~@GTXPa@`D`BxF`@t@`@q@hBlAPbC_@A|@tA^NzCc@|A\\VMXxBo@_AhAh@hAhCs@zFrACr@aANa@t@gA?`@v@_AdCfEUg@rCcCt@TR`ASxAn@t@Md@~@I`@p@Nu@~EKbElBk@zAj@r@I_@zCj@@Id@~@`@l@UGlAXSt@b@`Bo@xAr@rA?\\P[V@nAfA^j@MBgBrARa@nAdCEFa@tA_@Cc@z@VJm@^LP}@rGwAQw@rAz@Vm@\\VpAs@vDDlD{AZq@K_@oFbAmE}@r@Q?iAZTd@w@Nd@Cm@VS\\TBy@fATTo@`@XD]f@JZc@fBABg@jAN`AaAIy@ZODZ`@a@}Aw@DaCuBuBVUoAJJ_A{@{@Kl@cCDoE`AOb@_AE_CsCgAIaAuBwPuVv|@yLHYjn@{D`j@qCoGxVMx@dCT`@vAn@`@`Cm@lBt@rEoA`A}@t@VjEi@nAaA~DmAxDm@p@v@tBkBzMOuLvQoDO__@hP_B@'],['elr@yamDA?@G@@'],['}jr@culD_AP?a@j@?G[j@QAo@h@|@']],
+  'Asia/Dili': [['rwQkrsFaDfBcCdEsCN{@x@{@AeAjB_A?g@\\eBAk@}@JyBr@k@s@kAAoAcHW{BtCnBdATnA|@bAK|A{@n@}Bi@cZ_BeCcIq@qEcNuMhBcUfAqT_BoDi@}DD}CnAkEyAwDAsA|Kus@pVrUnh@rjBfFrG'],['hoPiarFtMq@bCl@`AO\\l@f@Bl@rBvBLNn@dA_@p@Rb@xCgBQmA\\{AlBtAlF}S\\']],
+  'Asia/Dubai': [['_mp@iafB|k@cq@mBkb@ox@maA@wCaKoHwHoPSoBiAaAyJmDjEkKWqCdDiA~@~@dB]tClA~Dw@vBT`@cAfAUReBK[_@DuBsHSeG~GsAv`@EhA|OjAs@d@TnBfDN`B`CHcFvHkAk@}@b@{@rAMxAl_@~IxCaBbD?dCtCr@J?o@bAqBk@oFpA_@VPfBmAlB^^bD~@hCS~@}@f@C`BfEhMjBB|iAbQsMjcDyjBd}@qEmNqEc_@yEmE','ymp@szlBjAO|@bB`@IVsBiAqCsAIFx@u@XO|@','e_m@wbjB}T?|j@?'],['_mp@smhBeGmQxPgI~FbS'],['_mp@qjiB{IiLlLiJ`HvJ'],['mlo@c}gBSJCWPA'],['_oo@gmgBc@o@d@u@^z@'],['apo@qwgBGo@PYTr@'],['qso@y{gBU[P_@Z`@'],['ikp@_|lBNi@ZN?\\']],
+  'Asia/Dushanbe': [['_ilAuybCa@aGcAm@GaAi@o@f@iBa@_AzAuEkEwj@o@RqGkLFe@yCIm@t@_@e@`CeArB??{@o@y@_Ay@gGjDDgAg@[H_Bf@q@qAl@]eB}A_@QPPdD|A|Hj@vGqAjEs@CwBmN|@a@S}Au@e@e@yIh@eLf@qBkA\\e@WYjAiA^XwBqBcAy@jAwAH_Bz@aAWkBhCy@eBQiDmFb@{@cAqA\\]u@jAaAiA{@NgA_@m@`@I^oBvBs@`AgChAa@HeBm@yAcBw@BsAs@mBPqAk@uA_@{D_A{AeAYWgAVkAw@aCq@g@m@kDyA@o@c@gAZo@i@dMyR|@]d@eBz@c@Fh@~@\\Cz@z@CMv@lAhCrB~A^rC~A|@xArH~Ai@pB}FEuC^{@t@j@jCkANd@pBiBU_GaAmEAsF`A~DON~@`AMxAbB`@j@`GrAI?j@`AIlAn@jArCO|@ABcA}@E}@y@NYl@Rj@q@ZCjCo@bAG|Ai@Ju@vB?hDuChRt@rGfBvCv@Oo@\\Cr@pAtGh@Yt@b@|DeAGnAXAZnAk@V^f@cCA]hAP^o@~@zAUfBxBrAaAJt@p@Ab@bAl@HpEoCz@d@dCg@MagCxYek@kPcuAhDrD?A?G?Ctn@}PtJwv@liAcKkM|aB|l@~vA`BpBPlIg@pAiCfCkDn@sF|C}MPo@u@cDs@m@f@aAQe@h@wDgBuB~@{H}Asp@pa@l^bj@d@ZSn@nAOIp@l@`Ao@p@\\\\x@QnThJSFBfA}An@EfATrBhAx@q@pB`@pAQzAZjAEnCe@t@Xf@dBh@`B`Cn@LHx@bBp@vAaA`@^|AuAzAAa@eAVShDfC?~@~A|Ap@bCkMxQJtFz@dAKv@h@rAGpB`AE?x@~@QjBnHrB|EC`ErCLr@`AA~Re@`AoA@qFlFeeAs^}@xCkAhBgAf@h@vAG|@uCkByA\\a@fA{@JcDcAqCfAc@mCsBdAuXxd@{@`H{@i@sA|@e@yGwCGk@t@sA[wBjC]i@LiBe@p@w@M','_pjAkmlC?|j@?{vA','_pjAmakC?|vA?_k@','adiAiymC?zvA?}j@'],['{`oAkxhC_@a@tDqE{BpC'],['kxlAwbiCxB|EoE|EIiNnAB'],['e`mAgvhCfBRiAb@a@s@']],
+  'Asia/Famagusta': [['godAmp_AbA}NOuNqS{gAxg@|YxBpBtElMAtD_@OiA`AhBl@Pf@Uj@bAlBa@r@`@`A}@WKVd@|@t@{@PN}@~CXz@wAbBb@~AjBTNb@g@Pm@u@}@@kD`CmARt@hAMnA^`A_AlGpA~A[XA|@t@`CpAvAE`Dr@|@wAnB{@~CgNfA'],['ecdAat~@xLc@uKhEWcB']],
+  'Asia/Gaza': [['yu|@ojbA~ByC|GpJr@\\pCClCfEsEdBgEkF']],
+  'Asia/Hebron': [['qx|@oidA?fTwD?h@mDiAg@i@ToBYc@Z@h@mAf@|BIM|@`@GA~@eL?A~Au@l@u@y@BsAyK?o@r@Zf@OX}BKu@h@o@iAPmB[o@`@a@@XtA@Th@?_Dg@l@Dd@{A_@b@}@AkDbAg@V{@?qHhGg@nErAp@[|At@bCy@xBn@dAs@pBTpBk@hA`A'],['}g~@}|cAAlAoAb@}@i@D_Ao@Oz@i@R\\r@S'],['ij~@qbdA`@UxA`@V[B\\{@\\_@bAgBw@Be@'],['yl~@gwcAuAm@hAkAd@|@zAZcA~@'],['{a~@ylcAAf@q@G?qATA'],['cz}@ahcAe@EB_@ZE'],['}r|@gtcAA_@k@OBiAdByAvA|@NvAq@Co@vA'],['sq|@{jcAeAcDLs@pBj@FZ[Jj@~AKr@'],['_o|@mjcABo@jBf@LWn@`@BhAk@h@q@A'],['{t|@wqcAZV[^O_@'],['yj|@gscACrBpA?GhAyC[u@qAlBkB']],
+  'Asia/Ho_Chi_Minh': [['uqUq_~ElOwQ`D`DQ~L'],['{t[iaqEuuA~D{Ujo@}a@rGaEgU_ZmWfaCg_CzlDeSpmDtX`xA`_DjOhoB{kArrBoh@yw@qHhAeAn@g@tBiCbAcBa@VwDoCoAc@iArBgD|Ay@bGErDjAwO_VOmAt@g@gAg@c@eAeAMWo@q@Mi@iRkDkBiD_HcH~Bo@JO[F}LfAqCoAaAiBaGcAiIgAsBQkBhGkDfAXp@kDs@Jg@s@aAV`BmBwE}KsCb@gBbAz@dBw@ZuAdC_BN_@pCaAz@wABAtAoCa@_BTm@y@e@C[x@iDMg@d@CvA_ARsDad@b@gB}DlAuBeA_APQu@w@Zq[gcA','ajVsbqE?|j@?{vA','erSy~lE~T?|T?','gfRy~lE?|j@?~j@','izPy~lE?|vA?_k@'],['wfPijyE{Jow@hMsBnF{@xHllA'],['grSap~EgAyMhAP~S`DxEvAr^jEoJbG~F`M}SyBuUcGl@yB','kvRov~EpB|HpKw@lGwD'],['e|Rc`}Eo@eTn@MvEaArO~O'],['izPay|ElOul@hPeBcKxq@'],['inO{d|ExOsP|Znk@_PfC'],['wtPaz~EfHeN`NhHgHfN']],
+  'Asia/Hong_Kong': [['g}j@sp}EP??JYE'],['g}j@mp~E~T}APlNQd@?nQTb@}ArDaA\\gFgB_E?aD{FLsBaAgAKuBg@Yb@qCk@sACqBJiE`@i@']],
+  'Asia/Hovd': [['qn`Bq~mDu{@_lD`|@ocE`aAF`J|kBdk@~b@diAieAfJjq@xbBpQBtL?@yJnbCklBqAcz@|t@ySnzAc@?SECD{B?g@WWV{InZ}TdVEHDN?t@yEgHMSERqJvC','co`B}cpD?|j@?{vA','ec_BwgtD|j@?}T?','gw}A_xnD?zvA?}j@']],
+  'Asia/Irkutsk': [['mn|BmbrEvwBivBl|@vMrI_p@|hBvoAjXmWm\\mcD`g@kNidBolDn\\m}B|_@jCbDk}ApiAkU{JdyArd@jd@vz@{]~K~dCfdC_pAbx@ruDrz@kPlbAhmEnAb@CtAz@RXlJg@r@CnCs@dAkAGR|@i@|BAzJhL|w@yA~C}@KiAdBp@t@Ep@fAfBTjBw@`Cl@fAAz@wBpDEbBPh@`BS`Ab@PlB_@x@T~@dL@^sBpBIhA|BlT|YjMwe@v`@ly@{Sh{@mAnOr@nBAbDh@zFsAzCLdEqBPs@jDxNtvCgA~AYpDr@dGMjAaAg@{@t@y@u@iAjAUvBt@|@YrA\\dFKdCw`A|p@yo@ddEi{@sDkb@j}Cwe@zu@wMwv@wmAmNqc@kcAah@p`@{p@ce@{NwkB|f@_lA_tBkaC~f@soBy_Boj@ye@n`A}eBgnCs}A`G','mtqB}}bF}T?|j@?','oroB}}bF?|vA?_k@','q|nB_f`F|`A?_U?','arzBsbqE?|j@?{vA','oroBis`E?~j@?}vA','szlBg_bE?|vA?ynD','gnvBozsE?|j@?{vA','ibuBmfuE?zvA?}j@','gnvBwjnE?|j@?{vA','kvsBwjnE?|j@?{vA','m~pB}zhE?|j@?{vA','a{aB{fjE?zvA?}j@','yjgBgvzE|j@?_U?','unkBig_E?|j@?|j@','yvhBig_E?zvA?}j@','yjgBcwdE?xnD?_k@','}rdBcwdE?zvA?}j@','szlB_f`F|`A?_U?']],
+  'Asia/Jakarta': [['{~JskxDrDu`@tCsEl^qoAlBsm@duCihEfSuVzr@gdA|d@q`AnA}Cd@_GP{DpBaDqA_C{DyLOmE{AaPyFqIeu@yp@sx@oCamBe~ClfD}jBfO`n@bbBjr@zyCuWrBkt@fzBzRjd@ubAla@{nFaMec@d[svBbeCvGzIthBtQ~HpClCzBPjHUhKcG~@mBd]eSmyA`wOed@bmAw~AnnAjLpiBspF|sEyaExrBw~AdeB','ufGmo|D?zvA?wnD','kiFig_Ery@?_k@?','}j@y~lE}j@?|T?','ipAq{jEDHHGGI','ybCqnrE|j@?_U?','{vAqnrE?zvA?}j@','jbNcn}E|j@?}T?','hnOcn}E?zvA?}j@','zvAsbqE?|j@?{vA','zvAqnrE|j@?}T?','faI{fjEhF?~T?','rrHozsE?|j@?{vA','rrHk~wE|j@?_U?','|j@g_bE?|vA?_k@','vnDcwdE?zvA?}j@','jbNk~wE?|vA?_k@','jbNk~wE~T?|T?']],
+  'Asia/Jayapura': [['h_O}btFwwEyDk{@rf@m{@?uM`b@ucAz\\ejB}bB_|AkWegBcrBlh@a}@nqB_`@lIiuAo`@{g@|xAyrAmoAojB||BgbCx}A{zG~sFXlyDhDar@~|AlEpuBwgC}g@}t@bd@uh@dxAlq@bdApcBrZs}@riB`kCz{BuEppE}Kts@@rAdA`q@','ybCcqwF?~j@?}vA','}j@_izF?|j@?{vA','}j@yl~F|j@?_U?','zvAgdlGzvA?{`A?','vnDatqG|vA?}`A?','rrHkliG}j@?|T?','faIgdlGhF?~T?','tfGatqGzvA?}`A?','p~IgdlG?_k@?sM','p~IatqG|j@?}T?','njKatqG|j@?}T?','lvLatqG|j@?}T?','jbNatqG|j@?}T?','hnOe|nG?|vA?_k@','hnOatqG?zvA?}j@','|j@gmsF~T?|T?','xbCgmsF~T?|T?','vzEcevF?zvA?}j@','njKudaG}T?z`A?}T?','hnO}t{F?zvA?}j@']],
+  'Asia/Jerusalem': [['gx_AeccAzCyLPsD]c@IqExA}@H{@SiBs@]BsBq@@_@{@iEGuB{@~AqBiADHkAkBuBOmBd@oAnAfA~@kArACRi@p@KlBt@TaApFi@fAo@lBvAzBXdDbDj@l@b@rBf@?HrBVd@`@OHxAxD_@jAn@v@u@J\\j@QhAj@h@Q?\\`@a@nAP?pHWz@cAf@@jDc@|@zA^Ee@f@m@?~CUi@uAAAYa@`@Zn@QlBn@hAt@i@|BJNY[g@n@s@xK?CrAt@x@t@m@@_BdL?@_Aa@FL}@}BHlAg@Ai@b@[nBXh@UhAf@i@lDvD??gTlNv@xGhCxFqBdDz@zDRtAzB|Al@~AQlMnGrp@~HxC|@lBMpGhBbCzAsDtAkBV}AYeFz@izAjc@mCgEqCBs@]}GqJ_CxCwE~JgHqE}Cq@gBuAkIsCuReEiYmD{BkAkBuC','}g~@}|cAu@g@s@RS]{@h@n@NE~@|@h@nAc@','ij~@qbdAg@PCd@fBv@^cAz@]C]WZyAa@','yl~@gwcAp@^bA_A{A[e@}@iAjA','{a~@ylcA]s@U@?pAp@F','cz}@ahcAEk@[DC^','}r|@gtcA`ATn@wAp@BOwAwA}@eBxAChAj@N','sq|@{jcAdANJs@k@_BZKG[qBk@Mr@','_o|@mjcArArBp@@j@i@CiAo@a@MVkBg@','{t|@wqcAOVN^Z_@','yj|@gscA[[mBjBt@pAxCZFiAqA?']],
+  'Asia/Kabul': [['cvgAsgqCtKhS~_@hfDIzCtETeDzGLf@dAEpAbApUtX`a@iXfBqBlBhB~DbBbC{CRaBT@bClB@fA|ApBrBu@t@hB|@Kr@hAdAxFfAjB|Cd@TfAdA\\DlAnC`E`Bu@v@r@~b@tDI~@l@~@Gj@^In@|AY`@l@vCPfGS|Bd@hABzAwDpd@XTlAUZlArABf@oAdRgQvBf@f@CZu@bO@rA|C]`B`DbBJbDx@ZDpD_ApAb@vBv{Atk@yK`t@`_@zWfKbbAbBLdEbFt@dIr@v@pfA~WbBbJdTroEi\\zbB_|@cy@cEb@wAeBo@VeA]gBL_FdB}Pxx@ueB`P}VuUia@vYsTkS_CdA{AjCo@{Eq@_BoBq@D{Bm@a@cCCmEaC_CYo@j@ak@mLv\\o_Aao@uiAcBeAwAcPoUco@qn@}IsXo`Al@]`AwHVcAXJGgCxAwAJyAt@SVyCv@{As@eOs@{]fBeCrAFrAgFxBaAeAaHeBcElDqPpFmFnAAd@aA@_Ss@aAsCMBaEsB}EkBoH_AP?y@aADFqBi@sAJw@{@eAKuFjMyQq@cC_B}A?_AiDgCWR`@dA{A@}AtAa@_@wA`AcBq@Iy@o@MaBaCeBi@Yg@d@u@DoC[kAP{Aa@qAp@qBiAy@UsBDgA|Ao@CgARGoTiJy@P]]n@q@m@aAHq@oANRo@e@[m^cj@rp@qa@zH|AtB_AvDfBd@i@`APl@g@bDr@n@t@|MQrF}CjDo@hCgCf@qAQmIaBqB}l@_wA','clfA}u~B?~j@?ynD','clfA}i}B|j@?rM?','mp_AsqeC|j@?}T?']],
+  'Asia/Kamchatka': [['kj}Ba{}HiN_{@nf@{kGvg@wdArb@thAhp@ekBwNexEvy@_s@lsBd{Fce@huApPbwBpkBpnExiC|FtzAhnAtvFv_JiVfYwwH`aA_sBskAsf@uiCcrBaoCmnA{uA','cpxB{qhI_U?|j@?','arzB{qhI?zvA?}j@','cfyB{qhI?|j@?|j@','{|vBir}Hi\\?~T?','kjrBir}Hf\\?iF?','gnvBqypI?|vA?_k@','unkB{zoH}j@?~T?','yvhB{zoH}j@?~T?','unkBmzzH|j@?}T?'],['yokBabcI~Hih@dr@sVq_@t{A'],['wbjBqieI{Ls]hd@mu@pHd^']],
+  'Asia/Karachi': [['eiy@q{uBh\\{bBeTsoEcBcJqfA_Xs@w@u@eIeEcFcBMgKcbAa_@{WxKat@w{Auk@c@wB~@qAEqDy@[KcDaDcB\\aBsA}CcOA[t@g@BwBg@eRfQg@nAsAC[mAmATYUvDqd@C{Ae@iAR}BQgGm@wCXa@o@}A_@HFk@m@_AH_A_c@uDw@s@aBt@oCaEEmAeA]UgA}Ce@gAkBeAyFs@iA}@Ju@iBsBt@}AqBAgAcCmBUAS`BcCzC_EcBmBiBgBpBaa@hXqUuXqAcAeADMg@dD{GuEUH{C_`@ifD`SklAru@mTbJmf@xd@gTzRdl@b@nGd@Wp@`@\\dCp@l@K|AaBhBBx@xD~FqDp_ABlGc@xBVdk@xZ}@rA@F[|DxEdBHv@w@RqAOcAi@YRmAa@{Cz@_CMgAlBwA^Rb@]rAHjBnD\\`G~AbB|@Hj@vAlAy@tAPzBeBKaBt@wBpBm@j@w@vA\\bBS|Ah@jAtBfE~CBkA~@cAJ}@~BiBj@XrAcG|CoAn@p@|@gEtBGxAy@x@iA@s@d@A]kBPoCq@JUu@k@r@aAoC`FdBhBW\\y@zApBb@i@bALIi@j@TVw@|ABRwEm@o@\\_BQQ`@@XsAMi@p@Yc@_CcAUx@sBOa@fC}@a@uBp@AV_C`@AB_Al@QDm@l@_@n@`@v@wBvAP`@nBx@Kt@hAdAJr@lAy@hAhAH\\n@[^@dAj@b@YZVLM\\|@pB{@zCVlBVRRU`AdBnARD~BVADfA`@@@fBlA|@Kx@hD`B|AAb@lBp@`@hA_BjCg@lAyBrADJx@f@P^{BNPf@o@XXb@_@JjBpAb@\\|@x@Dl@l@N_@~@h@l@Wh@^~DLRkAfAEHg@c@oAeAN@w@\\I_@m@J{@jBMf@p@^rCi@v@t@h@nABr@nAOr@bA~B~@M\\pBd@HZi@XzBhBp@\\MLrAfAu@VlBtBlAbAvAGj@t@PUXNP~@Kn@x@Jc@r@d@F\\o@b@^NMd@f@ORjAd@b@x@?cAx@dBNI}AfDzDnAeBvAq@zCa@bGjI`BbLpCnKjVdF~SjKdD~CxFrBjFxPjz@rn@zNd_AcRf^xr@`p@tkDe_BpLjxAqDjEn@|DWlBT|BO|Ce@p`@hr@tq@whA|wAyUbeBf@zC|HjoDt@zKi@`LsKSgOoBi{@qNaWgpAm\\oGmGxa@c_Aa@wPbv@{aAxr@','e`eAkmlC?|j@?{vA','gtcAiymC|j@?_U?','utx@ymaC?|j@?{vA','_mp@wybC?ry@?uM','ql{@uedC?|j@?{vA','ql{@iymCf\\?iF?','utx@makC|j@?_U?','{pt@sqeC|j@?}T?','awo@oihC}T?|j@?']],
+  'Asia/Kathmandu': [['sez@u||CbRaVyXgJnCsj@hwCkrFz@mdCvc@rDzC`AxAMdB~@~@cAdB_@@oA|@]f@uAbA\\z@s@j@R`AiAfFa@`Fx@fA|@v@?Vn@tFT`B~Bn@@Fl@Q^m@Aq@`C[TYSGv@WUs@h@bBlA_AnBvB`AQh@RHw@pBf@ARv@VCXzAuBzG~@|D|ATX`@o@x@CzAeAHHdE{AjCoGh@Ar@lBz@^dDt@D@dAr@?l@xBg@fChAbAy@hA{AvFsAv@EvAyChIB`Dv@dAIh@i@DPpBm@EkA~Eb@lCfAPGd@~A|CoACJbAi@^u@dCaBT_EUo@XaA|Ce@Nj@xAUZf@PtB~EQzA`BnCa@xFeBbAwB[C~CHp@ZAA|Bk@IS_AQpBa@FG|@o@Qi@^q@tEk@@Yx@p@~@k@f@\\\\uAdF{@Ei@y@kF_@gDvAoA~A{A`RgCnATvAy@LfApS\\ZfCFiF`NUbMl@Yf@b@p@q@hCbBXrAm@xA{@?oBlCyBzQCdIsDg@e@h@uADQf@wBF@vAfAtFLvDoIrNe@zCsBdBIjEhCrADpAeGtJYpCcDdHeAKiBpBKfBdAFNhB[Sc@t@Gi@u@@wDnDgACgAn@m@bG{@xA\\Ba@^W_@Sh@[ICb@f@h@SZW]Nv@Ub@QSR^SZRCoALu@pFqAf@ChBe@p@_@KCb@iARKzC_A?Oj@Ev@r@fAxDu@h@XaA~AyAb@MtD{@dAeARw@vB]Q[ZDdAsCbEHtA[R}CJiCqAHc@s@a@oBJsA_@_AmAh@cBm@kAsCv@QQt@gASQs@NeDu@cAjAwADe@bA_A?_@cALs@q@\\sA}B[Og@\\OgAgAy@sAWeAdAsCd@U}@gASUw@RuBu@Yw@{AoCi@eAu@@qCwA{AKw@sAY_AmA','w~w@q`aD}T?|j@?','whw@q`aD?{vA?|j@','{pt@mxcD}j@?~T?','{pt@ipfD?zvA?}j@','{pt@ipfD~T?|T?','}ds@ipfD?}j@?}j@']],
+  'Asia/Khandyga': [['ad}BigbG}i@i\\qx@shEvRyhF~RgIja@t|@t|@ezAjkArmAnWs}@tpAxiCnzA~Fhc@joIhKnO}_Abv@ysAywAkHayBwb@{b@mk@lbBqi@bAeOtmB','}u~Bm`hG?|j@?{vA','}u~Be|nG~j@?_U?','c|yBe|nG}T?|j@?','edwBgdlG_U?|j@?']],
+  'Asia/Kolkata': [['ssdAq}tClIknAjE?bHvAjBwA`AmBbk@og@tq@hB`y@wn@jVx]wK|b@zjAmVf~@uaCpMtB~@lArAXJv@vAzAApCdAt@nCh@v@zAt@XStBTv@fART|@rCe@dAeArAVfAx@NfAf@]ZNrA|Bp@]Mr@^bA~@?d@cAvAEbAkAdDt@r@ORPu@fAPPrCw@l@jAi@bB~@lArA^nBKr@`@Ib@hCpA|CKZSIuArCcEEeAZ[\\Pv@wBdASz@eALuDxAc@`A_Bi@YyDt@s@gADw@Nk@~@?J{ChASBc@^Jd@q@BiBpAg@t@qFnAMSBR[S_@PRTc@Ow@V\\R[g@i@Bc@ZHRi@V^`@_@]Cz@yAl@cGfAo@fABvDoDt@AFh@b@u@ZROiBeAGJgBhBqBdAJbDeHXqCdGuJEqAiCsAHkErBeBd@{CnIsNMwDgAuFAwAvBGPg@tAEd@i@rDf@BeIxB{QnBmCz@?l@yAYsAiCcBq@p@g@c@m@XTcMhFaNgCG][gAqSx@MUwAfCoAzAaRnA_BfDwAjF^h@x@z@DtAeF]]j@g@q@_AXy@j@Ap@uEh@_@n@PF}@`@GPqBR~@j@H@}B[@Iq@B_DvBZdBcA`@yFaBoCP{AuB_Fg@QT[k@yAd@O`A}Cn@Y~DT`BUt@eCh@_@KcAnAB_B}CFe@gAQc@mCjA_Fl@DQqBh@EHi@w@eACaDxCiIDwArAw@zAwFx@iAiAcAf@gCm@yBs@?AeAu@E_@eDmB{@@s@nGi@zAkCIeEdAIB{An@y@Ya@}AU_A}DtB{GY{AWBSw@g@@v@qBSIPi@wBaA~@oBcBmAr@i@VTFw@XRZUp@aCl@@P_@Gm@o@AaB_CuFUWo@w@?gA}@aFy@gF`@aAhAk@S{@r@cA]g@tA}@\\AnAeB^_AbAeB_AyAL{CaAwc@sDkKwe@`]gBp@\\Nx@`A[F_@vCRx@s@f@@n@{@Km@rAo@`@gApBj@h@`E~BXLn@fAd@DoBn@_AJgAdIM}A{Al@y@hAL^eAo@sAp@u@b@BJaB`BGfAaAWuAFkDiAoBSyBf@UBcBfAu@SuDr@sArByZkAcH}@LwB{ARkCiBqCCuAhBaDbDyLk@iPTuBe@i@[{GVwBQ}Ey@g@jAyBA_Ee@{BZaCaEwMjBwDYgCwA}@aCA}s@ra@r@sv@i~A{jC}AovAxfAgmArd@h[r_@kNoPdZrTrq@b@|BMx@xB|ApBRb@x@o@`Bx@dAxBn@GjAc@t@nJdNIpAg@BKl@bAp@~@vB`AIt@\\Z|@n@KfCfB\\aApAIhw@zQVdAYVv@`CxBr@H`@``Bl]}Mpr@zuApMxBSTi@`AW|BdAFm@jCSDq@l@i@xI[NnBzA]U~CP~@fMlZkn@zDIXw|@xLvPtV`AtBfAH~BrC~@DNc@nEaAbCEJm@z@z@K~@nAKWTtBtBE`C|Av@a@`@E[[NHx@aA`AkAOCf@gB@[b@g@KE\\a@YUn@gAUCx@]UWRBl@Oe@e@v@[U?hAs@PlE|@nFcAJ^[p@mDzAwDEqAr@]WWl@sA{@Pv@sGvAQ|@_@MKl@{@WBb@uA^G`@eCD`@oAsASCfBk@LgA_@AoAZW]QsA?yAs@aBn@u@c@YRFmAm@T_Aa@He@k@A^{Cs@H{Ak@mBj@JcEt@_Fq@OHa@e@_Au@LyAo@aARUSbCu@f@sCgET~@eCa@w@fA?`@u@`AOBs@{FsAiCr@i@iA~@iAyBn@LY]Wb@}AO{CuA_@@}@cC^mAQp@iBu@a@yFa@aDaBQ`@UY_AFW\\w@@]z@uAI_@\\[_CdCkEUMH{@e@c@Ty@uA]uAPPlAo@e@E`B_CMi@jDk@KK^Rh@yEvX^vFYl@`ARa@jAj@V\\jBi@`@@d@aAQpApGc@HDv@i@t@i@|dAaAlJgArBg@pCm@ZTb@]rAl@z@UzAg@SuCp@wCiAoC@O[uC_@uD|@_@l@_A[kBp@mB_@uCkBAzBEq@e@TU_AcAhAz@CI^qBVl@Vg@EFp@k@o@w@DFZo@@An@g@S{@d@Dp@YN`@VUf@Se@y@t@Uc@AVo@@b@LSjAlA]Id@TBFw@^L]nAp@ACd@lAYUk@RGVZK`@ZDRYc@i@vAg@Rx@U^TOt@bApBBWT\\PG`@gAGN~C[bAgAJp@`A^CEvAw@p@WtA_@ABv@w@Y@^aAh@[tCq@Ca@h@y@Yu@NwApAgAIx@c@aAYEfB[a@k@DGd@}@[CvBw@jAT@cATWr@NODd@l@@Kd@l@AAj@PYpAAKcA`A@g@QBo@b@AB]h@d@`@YYW\\Ue@Gf@BVg@e@KH]`BR?bEqAr@Kx@^fAlA_@DfAq@x@mAK]r@Tx@S\\f@DGp@V?b@lBqBQOi@^??m@Qy@SCD\\e@UOPj@~@}An@Qi@O~@_@_@Jb@w@vAgA@?x@h@BO~@u@DF|@{@H@~@}@FG`BuDt@rHxCbAg@oAg@R_@Oc@f@[JcCfEkARrAu@n@pAl@L~@ZWBz@|@dAzBA~@vCA`Ah@\\f@bBfCb@Lo@t@Xh@WVtAdBn@\\Mz@fAv@_@\\NLa@jAR`@e@ZHFy@b@Os@_A^s@o@u@B_Ap@DxAmBh@iBf@DT_AZ?LeBfCPXmBp@Jl@y@KS`AMW[\\qAU[f@[?s@d@BLgB}@o@Ec@`@EOk@}@LVi@O{@|@CBa@~@UZZr@GL^Xu@bA?jAuAWk@bAo@@}CjA@Sd@f@`AzAICn@bAUGZ`@T_@V@fAa@?JTo@f@tAjAe@hAXf@}@nAF~Dx@`Bc@JHn@SGYlACl@XFO`ArOpAnClB_@|CcA@sAnAn@jDf@Bh@q@zACE`@dAXJl@~@HRfAzAHpBlBrAsChFwAtCkK`F{IH}Cj@uCm@mAbC}A|BKFt@hA`@fCAd@q@b@FXs@t@p@^a@dCDZ`AfFzFFn@l@q@bBf@tAWf@\\ZKEy@dAXI}BvBa@fAcC|@e@Bc@WATWc@DAw@fBRCn@hBd@v@a@t@v@`ASW\\h@F[\\T\\z@w@n@ADwAr@i@Ei@eAAl@WSYXMI}Bj@MNy@a@u@NOQDTi@@^x@?Sb@^l@bAP~@z@R~@n@LhAm@`AFCdANg@j@KX\\l@GQcAb@LZi@LX`A_@AcAfAo@~ARJj@`Ap@lA]p@eArAdA`AOBq@t@h@z@ETe@~CeAlAGd@v@f@g@`CLt@mAXv@^m@^FIc@|@M~@}@zA@Gy@rBtBfEyAtBN\\|Ah@J`\\aI~nA~mCdZj^zbAfiBnMjKjVxWjc@`m@tdAxaAdGdPft@bcB`sByEhIu@zCDt^xD|KpBjGdBbPzItZhJ~QiBpI[pz@q@zEbCzB`Fq@d[zEUnOhJ`HtFlDlA^qBoAkFjBeI~EcBbHi@pLTjEz@_@xq@dQnPrLlDfJrEtNpXhD|H`@tCsBhRoDtGkM|P}ZpTqCnDoBdAaGfAuW~I{b@tFw`@zJ_NvEaj@lV}_@|SwXfKwm@~RskApTwXpPcdAne@{zBlXwXvGe[tE}l@pD{Q~Ber@hlBsCpKiIxQuGfJuEnFqWfU}C|Eq_@`a@gFnEuKfDegAtm@ir@uq@d@q`@N}CU}BVmBo@}DpDkEqLkxAukDd_Byr@ap@bRg^{Ne_Akz@sn@kFyPyFsBeD_D_TkKkVeFqCoKaBcLcGkI{C`@wAp@oAdBgD{DH|AeBObAy@y@?e@c@SkAg@NLe@_@On@c@G]s@e@Kb@o@y@_AJOQTYu@QFk@cAwAuBmAWmBgAt@MsA]LiBq@Y{B[h@e@I]qB_ALcA_CNs@s@oAoACu@i@h@w@_@sCg@q@kBLKz@^l@]HAv@dAOb@nAIf@gADSjA_EMi@_@m@V_Ai@O^m@m@y@E]}@qAc@KkBc@^YYg@n@OQ_@zBg@QKy@sAEmAxBkCf@iA~Aq@a@c@mB}A@iDaBJy@mA}@AgBa@AEgAW@E_CoASaAeBSTWSWmBz@{C}@qBL]WMX[k@c@AeAZ_@]o@iAIx@iAs@mAeAKu@iAy@Ja@oBwAQw@vBo@a@m@^El@m@PC~@a@@W~Bq@@`@tBgC|@N`@y@rBbATb@~Bq@XLh@YrAa@APP]~Al@n@SvE}ACWv@k@UHh@cAMc@h@{AqB]x@iBVaFeB`AnCj@s@Tt@p@KQnC\\jBe@@Ar@y@hAyAx@uBF}@fEo@q@}CnAsAbGk@Y_ChBK|@_AbACjAgE_DkAuB}Ai@cBRwA]k@v@qBl@u@vBJ`B{BdBuAQmAx@k@wA}@I_BcB]aGkBoDsAIc@\\_@SmBvALfA{@~B`@zCSlAh@XNbASpAw@v@eBI}DyEGZsAAyZ|@Wek@b@yBCmGpDq_AyD_GCy@`BiBJ}Aq@m@]eCq@a@e@Vc@oG{Rel@','ihbAc}qC?|j@?{vA','ihbAaisC?}vA?|j@','ihbA_avC|j@?_U?','svz@{xxC}T?zvA?}j@?','s`z@{xxC?{vA?|j@','mp_AaisC?zvA?}j@','ql{@c}qC?|j@?{vA','whw@iymC|T?~T?','{pt@ouiC?~j@?}vA','aao@makC}j@?|T?','aao@makC|T?~T?','}nr@mxcD_U?|vA?','elr@yamD@EAAAF','}jr@culDv@o@i@}@@n@k@PFZk@??`@','{pt@st_D?~j@?}vA','}ds@mxcD?|j@?zbC','eil@c`lD|j@?_U?','g}j@c`lD|j@?}T?','mme@mxcDf\\?iF?','qub@mxcD?xnD?{bC','mme@iymCcX?bB?','}aYaisC?zvA?}j@','wq^sh~C?zvA?}j@','_vWwp{C?zvA?}j@','izP{xxC?zvA?}j@','whw@skxD?|j@?{vA','y|u@wsuD?~j@?}vA','}ds@wgtD|vA?_k@?','awo@u_wD}T?|j@?','aao@u_wD?|vA?_k@'],['cnWmakChfBagCdnDfp@utBvaA'],['gtYu_wD|FuNpP~GyHlP'],['ebZmvtDlBoDrAwDlgChMi@jAdKhBf@Ox`AdPhiBq^zBui@`u@tMvk@wa@b[nQarGhrBmhCi]'],['a`Wc|uDgJaOrNuIlI~N']],
+  'Asia/Krasnoyarsk': [['qa~CskxDbfEmtY|gA}Xnd@ebIbcBfd@tUjzBjeA`{AvnCyyCd\\jyC~t@|r@vSzaEvbCgg@zRdqAh}AizAn~@rjAfNqpC|MlzAr}AaG|eBfnCxe@o`Ax_Bnj@_g@roB~sBjaC}f@~kAzNvkBzp@be@`h@q`@pc@jcAvmAlNvMvv@ve@{u@jb@k}Ch{@rDpq@l~@bpAgF`Gh_Da|@ncEt{@~kDge@cOsu@zs@qHxfAcf@s_@}e@{t@{a@d]uw@a]gFru@_gA_T_E_K{@k@BaAk@}AL}@g@s@AoDoAsAAgBu@{AQmCKf@eAEe@]QgBy@@]|BU?PVUhB_Ft@_BkAg@j@L|@kCt@iIzQoA@w@hALlIgZbEkt@{o@{a@btAqbAae@{g@h{B`BdyBe{@dYgd@kiBam@f~Aes@shAma@fd@q~@ev@_TbeBy_@{N{mBpuC{vByT}`@~tEmm@mrBkz@~lBs]cmAgS|pB{xArr@mFsyCmgB_qIyr@{yJ{gB_cLko@|pBcp@~xLosAq~BuWd`D','ydzCwgtD?zvA?}j@','wp{Cis`E?~j@?}vA','u||Coc{D?|j@?{vA','{xxCig_E?zvA?}j@','ydzCacfE?|j@?{vA','}lwCqnrE|j@?}T?','autCozsE?|j@?{vA','autCgvzE~j@?_U?','{bxCy~lE_U?|j@?','eqpCmfuEpy@?sM?','{xxCig_E|`A?|T?','_avCig_E?|j@?|j@','aisC}cpD?|j@?ybC?|j@','icmCmfuE_U?zvA?}T?','mkjCk~wE_U?|j@?','uedCy~lE|j@?}T?','csrCcn}E}T?|j@?','c}qCcn}E?zvA?}j@','{k_Cy~lE_U?|j@?','_~{By~lE|j@?_U?','m~pBcwdE?zvA?}j@','m~pBmo|D|j@?_U?','szlBmo|D?zvA?}j@','edwB{fjE_U?h\\?','ibuB{fjE?vnD?{vA','kvsB{fjE?zvA?}j@','wliBqwyD_U?|`A?_U?','yjgBoc{D?|j@?{vA','a{aB{oqD?zvA?}j@','{~eBk{}D?|j@?{vA','geoCst_D?~j@?}vA','c}qCg|gD?|j@?{vA','c}qCipfD|T?~T?','eqpCipfD?|j@?|j@?wnD','iymC{xxC~T?|T?','kmlC{xxC?}j@?}j@','oihCu||C?|j@?{vA','{a`CehiD?vnD?}j@','gnvBg|gD?|j@?{vA','gnvBipfD~T?|T?'],['ccxCu_wDzXwJaJ`kBiLa]'],['ozvCwgtDxz@b_DuPvwCum@m}E'],['u||CosvCeNg{BdOmoBrQxqC'],['yzzCqarCuAyxA~TqwBpJvtC'],['{xvCst_DnB_q@zLs_@nDb~B'],['aisCu{|CsNykBjOm}A`aAnwB'],['y`qC{xxCuA}v@hNsl@hMxrA']],
+  'Asia/Kuala_Lumpur': [['ygKqx`EyLqSv@aEsBiMzEiFD}FsBeAcEBJu@uBb@k@]oAP_AaA`Ao@c@w@VOUs@z@E^cAt@V^S^h@~@}A`A[FgAb@i@[cALaAfAy@MwAfAmBBw@\\Kw@_Bp]oY~@x@pARUj@LhAlA`@hAEz@v@l@IzAyAKs@`@CLi@`BgArBa@eAgAYuAu@GU_Ae@SwATcBs@kEiSD[bAOBgArCKEcLcAQIaAy@u@{Al@}@QK]gAE]o@q@KaBwCcCmAs@\\iBCeL}Cn@wGfD{I`vAquAtaBG~u@kv@b{@fOdKjDzA`PiD~A_BW{@j@Uz@j@~AE|DeAlA_@zAz@hBQzAz@pA`HjCd@r@fCTe@~FoA|C}d@p`A{r@fdAgStVg`Db`C','q~IacfE?|j@?{vA','ufGcwdE?zvA?}j@','ybC{fjE?zvA?}j@']],
+  'Asia/Kuching': [['wnDuzwEsl@izB_lAe}@pCaChFOTmDrAgAI[z@_BtD}A`B@`@s@hD`@TsEs@w@tBSpCeAh@cBtAO`A}@nAwCu]}H{I`@e@r@m@MMXi@kBaB{@k@uANsC_Ca@k@u@l@gBfB`Ah@CPe@pA`A`@i@~@Z~Ak@d@VnB_AlCQBcKuAFmCc@kAx@s@M[`@eAKcAl@_AKyA~Aq@HKdAmAI{@r@mDeAmCsCc@bGmAtAFpG_iAg^apAydBpk@qt@~RiBnd@{U?}Rvt@aq@rQdRt[HnYtH~@rh@oObVn@`BBdOn@bAe@NmMrjBxtB`g@ncAn_A{IniBjb@hq@o@fArAjC?tCeAr@Cp@l@f@J|@wBvGHh@m@f@d@~@lCtx@st@fl@aRmPdIkd@','ybCgvzE?zvA?}j@','qhIyueF_U?|j@?'],['miOaz~EnUwT}Bze@f\\`@dV|e@gu@}B']],
+  'Asia/Kuwait': [['wyw@q|yAw}@i_A@iE|EuOB{BmA_CF}CjCoFtFgJrFwCrTyGza@ySxExRn@d@bA~CpE|HRjl@e@Iq[fN']],
+  'Asia/Macau': [['ggj@{||ElA?~@f@?lAgErAeAGNoC'],['wfj@qw|EE??AH?'],['ofj@uw|E\\??@[J']],
+  'Asia/Magadan': [['}p`C}stHvgA}zBx\\ejDf|D|p@lnAzuAyAxkAmhApbAhKr~AltAxkC`h@e}@`WhRdVnmGa_@lqGcm@mImb@nbBmLmx@yp@oQcc@d|BaeCaeB|N_fBad@iRtUcjCqKaoBqpBc_CfQuvD','}i}BonyH?~j@?}vA','}i}BmzzH|j@?_U?','_~{BmzzH|j@?_U?','ezwBobxH?vnD?}j@','_~{BggfH?|j@?{vA','_~{Bq_~G?|j@?{vA','ezwBok_H?zvA?}j@','edwB{zoH_U?|j@?','gnvB}bmH}j@?zvA?','kjrB}bmH?vnD?}j@','kjrBkcbH?zvA?}j@','kjrBesgH?xnD?{bC'],['i_{AelgHoNcU`Os[d`@`p@'],['kizAkxdHjH{n@~^bVp`Ct}GzU`X{Ygz@bSeXfe@`nAgQrFgEjEhA`IwDzCgGxJcBh@{Eq@uZ{UeoAgfCu@eqA']],
+  'Asia/Makassar': [['q~ImvuF{EcVbt@ce@r`AjLtYih@dgBbrB~{AjWdjB|bBtcA{\\tMab@l{@?j{@sf@vwExDbNtMp@pEdCbIbZ~A|Bh@z@o@J}A}@cAUoAoBeAzBuCbHV@nAr@jAs@j@KxBj@|@dB@f@]~@?dAkBz@@z@y@rCObCeE`DgB|bBvqCaj@drDkwAffBwC|uEe]dS_AlBiKbGkHT{BQqCmCuQ_I{IuhBceCwGe[rvB`Mdc@clBwU{FGy@_@wAyBaA[{@r@{DkEONSw@m@b@k@Em@r@qByAU`@mAm@`@cA[Kc@bAUKn@}@uCBs\\_[iGaLOVp@m@Aq@m@QcdA}`@qQpa@wm@I~LpReTvOkR_Y}WrJ|E`dAwm@}UocAo_AytBag@lMsjBd@Oo@cACeOo@aBnOcVnaBm^xdAkvAkTgg@fMeqEayA{l@azB{P','wzE{idF?|j@?{vA','etByueFh\\?_U?','ufGcevF|j@?}T?','wnDcevF?zvA?}j@','}j@iarF?|j@?{vA','~TkupF_U?bX?','vdEkupF_U?xnD?}j@?','rrH}}bF|T?~T?','jbN_raF?~j@?}vA','hzP}}bF_k@?~T?','ffRkupF?xnD?}vA','drSkupF?zvA?}j@','hoPiarFxEbV|S]uAmFzAmBlA]fBPc@yCq@SeA^Oo@wBMm@sBg@C]m@aANcCm@']],
+  'Asia/Manila': [['keh@sulFyBy[j{Fqb@jq@dP~eBch@tXwpAz|Awt@~c@y\\prG{}@~Mw@|NC|LfDfpBlfAoa@~dAy[jdCbjAf~Alg@jfBu[IsQeRoAkCs@ByB{Byl@dy@?|Rod@zU_ShBqk@pt@_^vS}zByjBemC}iAqlFlE{uAsb@wAg@gFU','oad@qqlF?~j@?}vA','{y[o}mF~j@?_U?','{mZo}mF?|vA?ynD?|j@','{mZkupFzvA?}`A?','ajVsyiF?|j@?{vA','kxNcevF}T?zvA?_U?','ojKgmsF?zvA?}j@','inOyueF_k@?~T?','aqNyueFtM?|j@?'],['ctUqa~EzQwOmOvQ'],['c~T}l_FnByPjPjBeB`Q'],['chTiz`FuBwSxUd@DbQ'],['ghTaz~EvRyCfAxMwIxQ_J_GoN~IgD_DP_M']],
+  'Asia/Muscat': [['}nr@illBwMiPgEoNb~@ERdGtBrH^EJZSdBgATa@bAwBU_Ev@uCmAeB\\_A_AeDhAVpCkEjK'],['ymp@szlBWs@N}@t@YGy@rAHhApCWrBa@H}@cB','ikp@_|lBj@B?][O'],['ajk@uyjB}iAcQkBCgEiMBaB|@g@R_A_AiC_@cDmB_@gBlAWQqA^j@nFcApB?n@s@KeCuCcD?yC`Bm_@_JLyAz@sA|@c@jAj@bFwHaCIOaBoBgDe@UkAr@iA}OfR}GpAkBdD_BjDqD|MwInGaJxEwUt@}AnJg_A`_Aov@|@wJ|a@gMhkAf|@`b@mFrZf]kIff@lmArApPjbAlmAfYv_@ppClTx|@m}ChiAo}@ozD_|Buh@','eil@m~pB?|j@?{vA','ggj@kjrB_U?|j@?','keh@kjrB?vnD?ybC','myf@oroB~j@?_U?','mme@oroB|j@?_U?','s_b@szlB}T?|j@?','sia@szlB?zvA?}j@','sia@wbjB|j@?_U?','u}_@wbjB?|vA?_k@']],
+  'Asia/Nicosia': [['gtcAmq}@yLm\\tKiEyLb@G{CfNgAz@_DvAoBs@}@DaDqAwAu@aC@}@ZYqA_B~@mG_@aALoAu@iAlASjDaC|@Al@t@f@QOc@kBUc@_BvAcBY{@|@_DQOu@z@e@}@JW|@Va@aA`@s@cAmBTk@Qg@iBm@hAaA^N@uDuEmMdDwB`NMdBdBEjOkCFkBfAfAjD_ApCIjCzJoFbAr@|Kz`@uEhFUfDdAu@v@AnAlBUxGqD|ADfBdEhWi@bBuE~H']],
+  'Asia/Novokuznetsk': [['smlB_}cD}Hmn@u@i@~@qK_@m@AsLi@CaAhE[Pe@gAk^mzDfZcEMmIv@iAnAAhI{QjCu@M}@f@k@~AjA~Eu@TiBQWT?\\}Bx@APfBd@\\dADJg@PlCt@zA@fBnArA@nDf@r@M|@j@|AC`Az@j@~D~J~fA~SfFsu@tw@`]za@e]|e@zt@cSzSmApHhAhAaE|l@cr@pLmDy@}Kvc@mFtAuCfHwCv@y@xC]hGa@FFlAyFrFd@rBkCbC_Mx^my@nY}@lCs@}ByDwAAoByD~@q@R?bBs@c@Yr@_@|BR`@a@THp@k@LDh@uAXIaDcA?CnB}@m@o@nBo@DN|Ai@Xw@_DgAx@Hi@iAMQ{@','sdlBc`lD_U?|j@?','unkBc`lD?|vA?_k@','unkBipfD}j@?~T?','unkBipfD~T?|T?','yvhBehiD?zvA?}j@','yvhBehiD?}vA?|j@','yvhBc`lD~j@?_U?','yjgBc`lD|j@?_U?','{~eBc`lD?|vA?_k@'],['{dgBgphDVzAc@NAwA']],
+  'Asia/Novosibirsk': [['uuhBqyrCgcBpd@yY}jAmbA~KjCarCtx@ibEgR__B~y@_^gZus@tAiFPz@hALIh@fAy@v@~Ch@YO}An@En@oB|@l@BoBbA?H`DtAYEi@j@MIq@`@USa@^}BXs@r@b@?cBp@SxD_A@nBxDvAr@|B|@mCly@oYrKv`@rCp@l@bFm@H_@bA`@|@HpDm@@]`BbFzTAd@a@SUtR|@h@@rAZ\\fDWHzAt@OXhEmH~AbAr@?lB]j@vBbF`T|[r@yA~DfI~@}C\\LSpAPrC]dAX\\q@nCiALNz@k@VU`Du@FZ|AuCeA|@fB_@vCg@Fc@pBoP`RDnAxBpCTtAqDk@wVde@bi@`zAEfKtKz`AgFXItCfA@?fBRIFlKbCe@lLj@im@tvAqVaXM_BsAn@','yvhBwp{C?zvA?}j@','yvhB_avC}j@?~T?','yvhB{xxC?zvA?}j@']],
+  'Asia/Omsk': [['k~jByrhCefAcPgT{y@gb@ppA_jAa]v\\qUnB{bBec@qnCxrAs|@lbA_LxY|jAfcBqd@~i@tkCue@qSpH~nAa\\h[|Olt@','k~lBudjCM|B^DA_C','u_mBgziC}@tBHZhA}B','yvhBiymC}j@?~T?','yvhBeqpC?zvA?}j@','unkBmakC~T?|T?'],['ybmBmeiC[o@HiAv@V'],['ahlB_biCCuDp@??dA'],['cjlBadiCyBc@@eCxB^']],
+  'Asia/Oral': [['skaBos{A|AsWb@LfCkFtAs@pP}o@mk@|IifAihCxPm_@XaHm@_E@aFj@Tr@s@mS}j@vPw_Af{@{fAfp@~@t^lv@ri@x`Bq@~P}A]QaAcB\\mAhLGnJhj@dpCsBtLeJ~kBgIjf@uMaGwiAqPmCmP','a{aBco`B?|j@?{vA','_gcB_gcB?|j@?{vA','aeaByjgB_U?h\\?','ec_ByjgB?dtB?i\\','gw}Aa{aB?zvA?}j@','gw}Aec_B?|vA?_k@']],
+  'Asia/Phnom_Penh': [['m_[knlEjKcXd@OI_@bAYm@Y`A{Ak@g@\\YR_BvBOzDkFTiH{BoA}K@YxAu@b@cDT[v@_BGt@u@MkA\\[w@COYqRkzAzpCVp[fcAv@[Pt@~@QtBdA|DmAc@fBrD`d@~@SBwAf@e@hDLZy@d@Bl@x@~AUnC`@@uAvAC`A{@^qC~AOtAeCv@[{@eBfBcArCc@vE|KaBlB`AWf@r@r@Kq@jDgAYiGjDPjBfArBbAhIhB`GnA`AgApCG|LNZn@KbH_ChD~GjDjBh@hRp@LVn@dALb@dAfAf@u@f@NlAvO~UsDkAcGD}Ax@sBfDb@hAnCnAWvDbB`@hCcAf@uBdAo@pHiAnh@xw@i]zUc}AmCyNyHeFRkDlCgHnBkCLeAdA_C|@}Jk@eByBsAj@Ad@q@JGf@s@QFb@{@`AQMeAl@Cb@s@AIv@kAjA@zAy@v@sBHwAgAcALqA|@s@S}Bj@Y]c@^m@yAUfAiCdAQp@cL|C{AR{He@_Az@m@Kc@u@b@oCYqAN}A[gAu@a@EwAg@~Ay@v@aAi@yCiGE{@k@PkBaAs^aa@IiEWDi@gAr@aAq@y@Q{Kb@GIq@p@yAmAms@o@_Al@U?e@aAcAz@SSa@P_@e@WYmAh@w@^?c@kA','}aYuvoE|j@?_U?','a`Wy~lE}T?|j@?','c~Ty~lE?|vA?_k@','c~T{fjE|j@?}T?','erS{fjE?zvA?}j@']],
+  'Asia/Pontianak': [['fcIms}Ema@znFkd@tbAgzB{RsBjt@{yCtWcbBkr@gOan@vHkF`RlPrt@gl@mCux@e@_Al@g@Ii@vBwGK}@m@g@Bq@dAs@?uCsAkCn@gAkb@iq@zIoiBvm@|U}EadA|WsJjR~XdTwO_MqRvm@HpQqa@bdA|`@l@P@p@q@l@NWhG`Lr\\~ZtCCo@|@TJb@cAZJa@bAlAl@Ta@pBxAl@s@j@Dl@c@Rv@NOzDjEz@s@`AZvAxBx@^zFF','}j@ozsE?|j@?{vA','}j@gvzE|j@?_U?','vdEcn}E_U?~j@?','vzEcn}E|j@?_U?','tfGcn}E|j@?_U?','rrHgvzE}j@?|T?','rrHcn}E?zvA?}j@','zvAmfuE~T?z`A?','tfGgvzE?xnD?_k@']],
+  'Asia/Pyongyang': [['mklAcmqFyKkAu@wAcCc@MkBoAOg@iB`@QoBa@i@bAc@EqEyEEeAiBcAsCyFi@{CkBq@eAaDmCsCv@i@a@uBZiBm@Ui@tAg@E{CcI{Qet@}@`@HaAiAc@Uo@i@XQqAy@P@s@q@S[j@_@OIaBgBiC[yAu@EEk@kAU_@kAkAQ}AqACy@k@?g@kCVIZ|@QmBwCv@kF_D{Bh@Ky@oBm@d@_AeB{CYIUxAg@Qz@mCv@s@qB[p@cA_CmAg@}BhANGoAZ{@`@CDuAlACJs@Bz@h@^x@sA@{@`@^DaAf@@|Iep@{@u@rA}A{@y@`@T^]Cw@j@P?eA\\Oe@o@l@ZVo@qAqBOkAy@WSq@aBHmAyBm@LUm@iDlAm@|@KnA]LmQfIoEe}@gA]E{@e@Dd@qAk@c@GmAk@Jg@{Bc@p@e@GJp@k@?OuA_@KMn@c@gAMvAS_C{@`Aq@g@IwCa@d@k@OOk@p@g@aA^YWCc@n@TNu@y@_@d@u@Ms@~CaEiBw@?i@{@YGp@]q@jAmASi@NeA_@i@u@e@sENiAwAGr@a@Y[f@Oc@Xe@{@RM{@o@pAm@DaCaBo@NgBiAiBK@q@uAb@Ua@HqAUKOjAi@eA?wAx@BP{@DsCe@_CZo@`@|@`@a@T|@ZGVaAWo@ReE`FhAdDs@RiAhAe@zBqCSaBhA^l@g@KyAaBPUyAlCOfBy@X_AXf@r@Ch@qCzOqNnFdWvZ``@x@v@dAsBhp@rBlf@p`AlO~]fAtDp@~KrB|CfC~Jn[uIIe@hc@yf@d@jSV`@tCCtCx@fCpCUXjApAKdAnAlBm@pJt@vByAlAZZChCZ|@U|DrMpj@vBf@hAjA~A`EEdBlFg@`@p@pADb@nDcD`If@nFMnB`@nAbCT|@r@hC|l@kA~ZqR~FcB~YogAye@`Fh[','{gmAeytF?|j@?{vA','_ziAcevF_U?|j@?','ujjAmryF?@?@?A'],['utrAik}FCBC?FE'],['uprAyj}FQJ]Q\\Y'],['gorAck}F?A@@'],['worAek}FBA@@A?'],['{mrAuj}F@A?@'],['sjrAqn}FCBC?DC'],['ahrAcq}F@A?A?@'],['qgrAgr}F@C@A'],['merAk|}FG@ACBA'],['ifrAyy}F?@EA@A'],['qerA}x}FB?BBA?'],['{crAsy}FC?@A'],['cbrAsw}FEPCDH]'],['gbrA}w}F?CBC@D'],['qfrAgs}FFGB?EF'],['earAo}}FJS`@A]J']],
+  'Asia/Qatar': [['arr@_gcBtm@i\\bDzAlMoFhIv@|Aq@hCQfC^jElBpGu@pElNrFvg@s_AzUoZ{PuNiC'],['_cq@o|dBuLuLbLuMzKlL'],['iap@}rdBzGeYxElE']],
+  'Asia/Qostanay': [['obcBsnwBke@|dBkUmm@kA{GwBeCi@oBiBdBaZ`H]kCqAuBiEseAcSpz@y^oBi@GFt@aDHSuCyE`AgA}AQqJhBCj@oDnAC?qA{B_BXMYsBxAqB}A_Cn@GAuAzAhAFcAsi@odG|_BmS`pAp`Ab{@yNwE{WdCiDpBG\\kDq@o@CmAlTys@fEyA}@mIcBsp@~zAd}BlB|qA~n@rl@m_AlfBwp@_d@','yvhB_~{B?|j@?{vA','yvhB}i}B~j@?_U?','}heB}i}B}T?|j@?']],
+  'Asia/Qyzylorda': [['sowAqlrByi@bC_pBapC~e@{bBb|@wcDxCgaBnmB_RjTkd@xq@pJtu@voBod@s@qo@lcAbLjzD','ksyAgnvB?|j@?{vA','mgxAibuB|T?~T?','ksyAezwB?etB?h\\','avxA}i}Bpy@?}j@?','qytAwybC_U?|j@?','sctAwybC?zvA?}j@']],
+  'Asia/Riyadh': [['sx}@aqkAb`AisDvvBicD~D{qBfE_x@p[gNd@HSkl@qE}HcA_DdBw@~s@{w@wEoVI_WjTbU`{@w\\jBhErFTdAdApFp@pBFF]|ErBpKcA|QoOr_A{UsFwg@xjBe}@rMkcD`k@o[~{Bth@n}@nzD|VdsDdgBzwBe]`oDn@fMtAt@oAvA\\vAUVlCvAUzBuGnh@zr@rAi@jB|Gn@L`Gp@rAnDVLc@j@xFi@t@E~@bFn~@{eHluDczB~ZgqAzwAsjBhm@}eAzp@eb@xw@wCrA}Ef@_FKgJqC}dAuR}BaAtBwThGqs@cr@qxAg^u]qd@vc@}QbRqFE{UwyA','whw@mgxA?|j@?{vA','whw@ksyA|j@?_U?','y|u@gw}A?~j@?}vA','_mp@co`B?|j@?{vA','_mp@a{aBz`A?}T?','eil@_gcB?|j@?{vA','qx|@_pjA?|j@?{vA','y|u@clfA?zvA?}j@','svz@ukqA}T?|j@?','whw@o{vA?|j@?|j@','keh@}{kAqy@?rM?','keh@ukqA?vnD?{vA','qub@ukqA?zvA?}j@','sia@o{vA?zvA?}j@','sia@sctA?|vA?_k@','iqi@yjgB}j@?zvA?','iqi@wbjB|j@?}T?','keh@yjgBry@?uM?','keh@wbjB|j@?}T?','oad@gk|A}j@?py@?','qub@gk|A?vnD?{vA?}j@','qub@ksyA|j@?_U?']],
+  'Asia/Sakhalin': [['auiB{wuGdu@cb@|nIkaBmk@d|AdBbFfA]tjAp[zx@uy@x}@lIu`@fe@Y`EThOzq@`XwiA|e@_FqByeCkB}LiBaiB}BiEmE{`@d_@axBwC','cy_BycwG_U?|j@?'],['ksyAojrGuB{WrPkIdGp\\']],
+  'Asia/Samarkand': [['suoA}jlB{dF?aJqm@{XgrBxOy^ppButDcLkzDpo@mcAnd@r@viAqi@jz@cN`CdCnAoF|By@p@lB|@_Ae@u@bBm@\\uC[s@f@_AOu@`@iEc@uAhA]d@iBx@q@~@?Nn@d@DtAxDt@o@lBNf@iCtAUPm@J~Av@Ld@q@MhB\\h@vBkCrAZj@u@vCFd@xGrA}@z@h@z@aHtXyd@rBeAb@lCpCgAbDbAz@K`@gAxA]tCjBF}@i@wAfAg@jAiB|@yCdeAr^mDpPdBbEdA`HyB`AsAfFsAGgBdCr@z]sm@dOc_AruCcE`J_BToYvn@aaBlpADbDq@~BApCtDT`BdCDrDyA|EoAlA\\NmA`@NXm@b@zAFg@z@_@nJrAhSgKzWwAd@iD{@iAkCkAGeDxDqBjA]iAoAGp@yDQSxA{AQs@r@g@E_@c@FFo@a@YmBvCSjCgCxB]fDyA`@h@fBk@dAyA\\Yy@p@kC{DgAaA|@C`Ak@|@q@g@ZaBYi@[p@kATCn@a@IKr@\\^sAl@SjAc@Dx@|Cy@xCX`DQzAVx@Ut@HdFcAd@eA`FiBzAa@SgE`EL~HkClEr[hdBxv@`N','oevAkjrB_U?zvA?}j@?','sctAgnvB?|j@?{vA','uwrAkjrB?zvA?}j@','uwrAoroB~j@?_U?','ukqAoroB?zvA?}j@','uwrAibuB~T?~T?']],
+  'Asia/Seoul': [['quhAyl~FjD_WvPl@Clb@'],['cxgAw``GkJyOpLcN`KlP'],['mlhA}t{Fx}Aq[nv@lTlBl@ElKpJjIzd@xPnc@xuBhQoQdYpYt@pCNbKGpAWxY_i@S}QbjAugB}|@cx@~a@ar@_c@_NjZiC}l@}@s@cCUa@oALoBg@oFbDaIc@oDqAEa@q@mFf@DeB_BaEiAkAwBg@sMqj@T}D[}@BiC[[xAmAu@wBl@qJoAmBJeAkAqATYgCqCuCy@uCBWa@e@kSrF}Bt_@cUzJyK','clfAa}xF?|vA?ynD','gtcA}t{F?xnD?{bC'],['ujjAmryF?@?@?A'],['adiAi|qFaDyAbB_ZpR_G']],
+  'Asia/Shanghai': [['gk|A_xnDxbC}j@?|j@|T?~ToyD?A?iMjA{Qph@}j@?|vA|j@??}vA?{vA|vA?_k@??em@tLgwGfcA_cGyu@ywCkJodDuz@}bBoCoDq@}HiBi@uCP{CtB_[t]em@cb@jTmfB{qBykFqDozCwqA~rA`U~hAmPvoBmwBmfA~HuTlBgLFkKtEcSk@wAbA}@oDq@BcBu@kALyD}@k@uHmQs@XuPww@utBswA_p@hi@}g@iaC`U{yEr`DshBdAVl@mCdEjAhAgA|BiNpDh@lDdDzAXtYaSlQwuBt@cAvBMbS}u@rgAmSn@iAX_E}@ezAwc@uuA?sBuAoAXqDgBaCCcLmAmEr@gLnAoBjOxGZp@dJBF}Ab@k@pBLxBcEx@[dB|@jBfChACrCrEpAPb@lBnUpQLjCnD|A|@nAnA[|EjB~AaA|Ax@nDRtAvD|@\\xF?~AoAr@dAnEIxDxHZbCb@JxBiBl@AbCvB|ANNjCv@[dAl@@b@u@|@LdAbKfDFiBz@QVtA`As@WdAb@RM^vAQCbBl@v@OVlBnFr]vNyPj_AgATEhAz@dBhh@xj@vd@iJVzAd@X~ARv@u@bFpBd@Y~l@hBBdBjAVnBKLiAj@Fz@`AfEla@v@z@\\dCrAjABr@pA_C_@{B|@_C`FWBbAbBHh@eAjACv@sAi@pCs@BYg@Y~@gBx@mCNTxA`BQJxAm@f@iA_@R`B{BpCiAd@ShAeDr@aFiASdEVn@W`A[FU}@a@`@a@}@[n@d@~BErCQz@y@C?vAh@dANkATJIpAT`@tAc@Ap@hBJfBhAn@O`C`Bl@En@qALz@z@SYd@Nb@Zg@`@XFs@hAvArEOt@d@^h@OdARh@kAlA\\p@Fq@z@X?h@hBv@_D`ELr@e@t@x@^Ot@o@UBb@XV`A_@q@f@Nj@j@N`@e@HvCp@f@z@aAR~BLwAb@fALo@^JNtAj@?Kq@d@Fb@q@f@zBj@KFlAj@b@e@pAd@EDz@fA\\nEd}@lQgI\\MJoAl@}@hDmATl@l@MlAxB`BIRp@x@VNjApApBWn@m@[d@n@]N?dAk@QBv@_@\\a@Uz@x@sA|Az@t@}Idp@g@AE`Aa@_@Az@y@rAi@_@C{@Kr@mABEtAa@B[z@FnAiAOf@|B~BlAq@bApBZw@r@{@lCf@PTyAXHdBzCe@~@nBl@Jx@zBi@jF~CvCw@PlB[}@WHf@jCj@?Bx@|ApAjAP^jAjATDj@t@DZxAfBhCH`B^NZk@p@RAr@x@QPpAh@YTn@hAb@I`A|@a@zQdt@zCbIf@Dh@uAl@T[hB`@tBw@h@lCrCdA`DjBp@h@zCrCxFhBbADdApExEb@Dh@cAnB`@a@Pf@hBnANLjBbCb@t@vAxKjAhFvn@hg@r@oDpaAtZw@Hlw@mD\\pBhFHrHr@q@vc@k@|Jmm@{AsEEiFtAcHjDuF~Iea@dh@|JnpBf}CjkGeeErpItlE`lCzjDllBxnHzjDlqBx`@bv@mZvoAwsCe_@wWjp@uM~EoAF{BrBR~CaAVe@d@@p@kATw@x@X`@c@t@F~@lAbDyP~f@wAhAM~@`A|@W|@yAZOvCTv@oA|AJv@r@T`@fAkALo@q@u@TuA_@ek@yFaE~UZpAQNf@LQpAv@v@c@`@Rb@YdBa@RKSy]ly@jQn_@fEq@h@_A`AEn@p@f@~BtAd@Nz@t@MHvBy@bBp@BJh@}@BKh@Xz@fAp@DdOiAIKr@jHjLZWnEdAhBM^dAw@|BaDnDsCpBQx@~Nfk@}Sla@rV`TrHbd@z_AaQx@|a@}VhGaHdHLpBjLlo@sb@fKuE~q@co@sXsNpi@y{@NbMhsAwq@e@qdAkgA}n@yC}y@|CrAbWm~@vg@bS|RyfAfmA|AnvAh~AzjCs@rv@wYpmBnx@vu@a@fAsAn@Jl@o@z@g@Ay@r@wCSG^aAZOy@q@]a]fBjKve@{@ldCiwCjrFoCrj@xXfJcR`Vg~@taC{jAlVvK}b@kVy]ay@vn@uq@iBE}j@}j@|j@?{vA}j@??{vA?}vA?wnD}j@??ufGynD??{vA{vA??{vA?vnDufG??p~I{vA??zvA_U??wnD~T??{vA{vA??zvA_U?_UisCzIoZ~@?zB?V?b@?jXg\\','{~eBiarF?|j@?{vA','{~eBgmsF|j@?_U?','_gcBcevF|j@?_U?','{~eBo}mF}j@?|T?','a{aBsyiF?|j@?{vA','ec_BwagF?|j@?{vA','ec_ByueF?|j@?|j@','mgxA{idF?|j@?{vA','mgxA}}bF|T?~T?','gw}A}t{FsM?ry@?_U?','ec_BcqwF?~j@?etB?f\\','i_{As|cG|j@?_U?','mgxAyl~F|j@?_U?','gtcAst_D?~j@?ieA','gtcAolbD?tM?sy@','ihbAwp{C|T?~T?','mp_Awp{C~T?|T?','qx|@wp{C~T?~T?','whw@ehiD?zvA?}j@','sctAyl~F?zvA?}j@','utrAik}F?AGDB?','uprAyj}FQ_@]X\\P','gorAck}F@?AA','worAek}FB?@?AA','{mrAuj}F@??A','sjrAqn}FA?EBB?','ahrAcq}F@A?A?@','qgrAgr}FBEA@','merAk|}FECC@@B','ifrAyy}FCAA@D@','qerA}x}FDB@?CC','{crAsy}FAAA@','cbrAsw}F?EI\\BE','gbrA}w}FDAAECB','qfrAgs}FD?DGC?','earAo}}FNI\\Ka@@','ysnAgmsF?zvA?}j@','uwrAgvzE?|j@?|j@','_ziAqekF_U?|j@?','clfAo}mF?|vA?_k@','e`eAqekF?zvA?}j@','uwrAk~wE~T?~T?','w_pAwjnE?|j@?{vA','ysnAwgtD}j@??_k@?}j@}j@??|vA','}{kAu_wD?|vA?ynD','w_pAoc{D?|j@?{vA','}{kAwgtD|j@?|j@?','utx@qwyD?zvA?}j@','utx@wgtD|j@?_U?','whw@wgtD?zvA?}j@','utx@qwyD?}j@?}j@','utx@mo|D|T?~T?','whw@mo|D?}j@?}j@','czv@ig_EhF?~T?','y|u@ig_E?_k@?ybC','aao@g_bE?|vA?_k@','cum@{fjE|j@?_U?','kf`AqekF_U?|j@?','qx|@qqlF?~j@?}vA','svz@o}mF}T?|j@?','{pt@qekF}T?z`A?}T?','}ds@qekF?zvA?}j@','}nr@{|iFiAnCfDvBdAyD','}nr@aojFkCjDzAzCnEaB','}ds@umhF|j@?}T?','w}q@{hiF?@@?','k}q@yhiFCB@DDC','_yq@ukiFk@nCxB~CtDmE','w~q@ubiFaC}JqHv@|EtH','war@gdjF?CEDB@','_yq@umhF~j@?_U?','_mp@yueFf\\?iF?','cum@}}bF|j@?_U?','g}j@sp}EGDXD?K','g}j@mp~EyA?a@h@KhEBpBj@rAc@pCf@XJtB`AfAMrB`DzF~D?fFfB`A]|AsDUc@?oQPe@QmN','awo@umhF}Cf@NxFrEcC','}yn@e~eFhD~Ev@\\jCyDb@}D}AeCd@yCsAyA}BiAgCl@_BjFbArC','_hn@}|eFD~@|Bb@TqE_BBw@v@','ggj@{||EoBp@OnCdAFfEsA?mA_Ag@','ggj@gvzE_U?|j@?','wfj@qw|EBAI??@','ofj@uw|E@LZK?A','iqi@gvzE?zvA?}j@','kog@k~wE_U?|j@?'],['em~A}jjDcPva@p@eEmBa`@pJwCR?'],['em~AsljDEODI'],['i{zAq`aDA@CA'],['_{zAq`aDA@?A'],['kizAgw`DkOgGg@a@rP?'],['ysnA{xxC?{vA?{vA}j@??xbC_U??{vAybC?_U?}j@??wzEp~I??p~I'],['mgxA{u_D?ui@|T`WgMzRwA?'],['ysnA{xxC?|j@_U??}j@'],['}{kAkqnCiDsDUgM~D??lR?B'],['}{kAgeoC?}j@~T??|j@'],['{gmA_avC?|j@_U??}j@'],['_pjAaisC}j@??ynDzvA??xnD|j@??|j@{vA?'],['cxgAaisC?}vA|vA??|j@}`A??~j@'],['eidA}lwC_V??}j@|j@??ng@aAlBoK?'],['qouAu_wD?}j@|j@??|j@'],['w~j@gx}E@?A@'],['yj`@gvzExVa[bo@tKjQriBqbBmO'],['wq^wk~EfAie@~`@bTn@vdA{[kZ'],['yo\\modFeRaLlP}SdNvL'],['qs]gczEkBGUeDbAM'],['coR_f`FaGmR|OkH|HtQ'],['owTgz}EnN_J~I~FgIdP'],['erSi~~EiAQhVrD'],['gfR_q{ElLeQ~PnVmMnI'],['e|Rwu}Eo@LeGqOtUbGgE|D'],['gfRin~EqKv@qB}HpWlA'],['gzQ}y}E_GaMnJcGzCdK'],['idPmf{EiMrBnEkShNzM']],
+  'Asia/Singapore': [['wiA{giEgCUe@s@aHkC{@qAP{A{@iB^{AdAmAD}Dk@_BT{@z@k@~AVhD_BNlEzDxLpA~BqB`D'],['mqAc|jEeKkDjCeD'],['ipAq{jEFGFHIF']],
+  'Asia/Srednekolymsk': [['yt_CaxpGwVb[kLqt@adAxrByLgbDovA{HqEmjAcs@~xBqbD{uGrZecHjpAmuDuDinP|_@iqAk@rdDni@cMjBitB`bBdDxHplFf[hs@vrAyl@tZnjAgQtvDppBb_CpK`oBuUbjC`d@hR}N~eB{s@jdC_`@lrF','kmlCug{G?|j@?{vA','makCyoxG?~j@?ynD','makCycwG~T?hF?','sqeC{wuG?|j@?{vA','makCkocH?~j@?}vA','kmlCok_H?{vA?|j@','kmlCss|G?{vA?|j@','makCi{dH|j@?}T?','uedCwrrH|j@?}T?','qsgCobxH}T?|j@?','q}fCobxH?}vA?|j@','uedCwrrH?}j@?}j@','{k_CakjH_U?|j@?','}u~BakjH?zvA?}j@','}i}BesgH?tfG?}j@','}i}Bss|G?zvA?}j@'],['eybB}nnH~A_}@hVgYlu@j`BkWtd@gVes@'],['gq`B}bmHxm@yXhr@xzAcj@~Y{Bkz@im@fA'],['ga}AsqiHkSa]t[wMdy@n~@aOr[']],
+  'Asia/Taipei': [['}nr@{|iFbDlAeAxDgDwB'],['}nr@aojF~CdFoE`B{A{C'],['w}q@{hiF@@A?'],['k}q@yhiFBDEBAE'],['_yq@ukiFbG`BuDlEyB_D'],['w~q@ubiFuEO}EuHpHw@'],['war@gdjFABCADE'],['_cq@_wlFnHod@jcBdZ`}BjCjS~y@gtBdnB'],['awo@umhFdA|CsEbCOyF'],['}yn@e~eF[oCcAsC~AkFfCm@|BhArAxAe@xC|AdCc@|DkCxDw@]'],['_hn@}|eF@q@v@w@~ACUpE}Bc@'],['i}g@}}bFbIsWjW|ImLpZ'],['mdSui~Em@xBsDaF']],
+  'Asia/Tashkent': [['kjoA_kaCoAm|@|AgGa@q@DsCnBi@fCFLqAg@AGu@oAw@\\_Ax@]x@nCNu@vGvCA`Az@G|@{ATiBjEyGlCsH~AeL{@aD}@pAOg@sAWi@d@OdBmCCu@n@sAC_@s@wBLk@bAF|@gAh@kAq@RkAm@}Av@W\\mBb@zAr@_@u@iDgA_Aq@|Ae@OaCaDeEyJo@OX{@i@Pc@g@s@t@g@_AkAAMr@k@sBf@YcAk@FqA_@g@y@r@cAiEz@{AiAuBNkEm@D_@lBg@OyA_Bh@yAk@aBe@RsC{C[_Ek@o@BiAm@aCXsAMiAg@oAaCoA_\\az@vm@jo@vSms@M}@|AiDuAmCd@m@o@k@b@aArCGy@qCB}@d@]cBoBw@j@w@{@oCXk@iC\\OBgAiBwCmAs@_@To@{@wBz@H`Bi@gCcBiBP[`@`@J[l@JH`@h@UdB`A`@m@yAc@H{Bz@IdAwA\\LRaAY_@fAG|@kAzD|BNk@p@Cl@qBW_CnA_CgAgAU{BlAd@Ny@bC}@vAv@Kf@p@Sc@oDkBsD~@oA@}BnAaBf@JHmBpBsAx@^t@oGMqFnBqE{A}CFqF`BEq@cACmA|@dBR}@r@Fi@fAVhAhA}@f@`@[j@gABWfAr@Du@VDbC`AxAf@xDTWv@b@GzAz@~@lAf@fASs@~BX|@zBIXZgApGo@b@d@n@eCfC^p@AhAv@aBPHH{@h@Kv@|AFgAv@k@bAf@pAGErAkAdCVbAs@bAi@S?xB]d@pBpCTW^ZtDjGtAkDj@jEJRHw@Lj@q@vBPvAvAH`@rBvAtAw@f@WbA[s@qANs@r@DhBvB@QlB]dB}AVKpCq@hADn@YCVrBiAhAj@`ASUSt@L`EpApBJtEbCi@@rF`AlET~FqBhBOe@kCjAu@k@_@z@DtCqB|F_Bh@yAsH_B}@_@sCsB_BmAiCLw@{@BB{@_A]Gi@{@b@e@dB}@\\eMxRn@h@fA[n@b@xAAl@jDp@f@v@`CWjAVfAdAX~@zA^zDj@tAQpAr@lBCrAbBv@l@xAIdBiA`@aAfCwBr@_@nBa@H^l@OfAhAz@kA`A\\t@pA]z@bAlFc@PhDx@dBjBiC`AV~A{@vAIx@kApBbAYvBhA_@XkAd@VjA]g@pBi@dLd@xIt@d@R|A}@`@vBlNr@BpAkEk@wG}A}HQeDPQ|A^\\dBpAm@g@p@I~Af@ZEfAfGkD~@x@n@x@?z@sB?aCdA^d@l@u@xCHGd@pGjLn@SjEvj@{AtE`@~@g@hBh@n@F`AbAl@`@`GQl@uATg@hCmBOu@n@uAyDe@EOo@_A?y@p@e@hBiA\\b@tAa@hENt@g@~@Zr@]tCcBl@d@t@}@~@q@mB}Bx@oAnFaCeC','{`oAkxhCXaBzBqCuDpE'],['inmAouiCE{@~@y@hGuAc@qDdAh@@pA\\m@z@BFaBlAAXfDm@V`@VORv@?[JFhAiBgAUy@{@z@Eq@Y?_@HA|Bg@`AyCI}Bf@'],['crmAawiC`@J]Tg@WFU'],['qomAy}jCM?RU?D'],['samAmakCm@wCSFt@gCbBbF']],
+  'Asia/Tbilisi': [['uarAupoA?aN_U??|j@}T?hC_wB_@wCj@eAW_Bp@i@HcBt@EDoBp]yjAD{@kB_@c@gAAwMfLkmA~P~GZc@jPio@|Bj@jVAUShB{Bj@}DzCkGbA@TgAd@dAj@B_Fn~@o@jADhCYG{C`SbB~BKh@`D|CG^`B`CpAhB@n@Ap@c@\\AdBq@z@vAZb@U`@{CPQNb@UtC]Xr@hCk@ATz@O\\c@K?rC~Ad@g@^j@dAUVk@]CX|@l@ZzAeBxEx@VKrB{@`BJp@[~@rBb@bC~i@_Qd]qAn@u@fCi@CCp@|@p@q@`Bk@FmCsAGX^zAk@~C|E`q@v@d@x@pB{@hAY|Ck@CPtCyF~SkHqE{BeDiCi@wCt@mEpC']],
+  'Asia/Tehran': [['uklAqovAn@wAYg@\\AGm@`XeRh@cDe@k@^g@f@n@I{AxAIbA}Ad@Aj@kBlAf@h@c@r@qD[kAjAcASwCl@yADyBf@a@IcA`AyA~@mNk@qWoHeIeWgg@}BkBeAaHeDiHe@_CiBkBWqCPiA}AiC`@{ArDqExLmMxCnKz@hA`A@bAWvAwC`Aa@h@qCtC}@jA|@dc@kQn@wBc@wCqAiBVcDWoOt^iBlN_NnAqNjOep@vD}@zMeUlFkN`B_Lb@cJnCiLaBoe@sAiKq[egAox@c|EFmAnCyAtTqf@|AwEHeCXIOk@XGUy@f@cBnCm@nA{C@kB`As@g@_FsBgBlBsG[}EtLqd@nGIHw@f@GhA{Ab@Q\\`@hAyCzAKXiDm@S@s@`AgCa@q@r]weAUaN~CqAlADf@r@vAc@T`@lAOd@r@|Bg@XTpk@yF`k@lLn@k@~BXlE`CbCBl@`@EzBnBp@p@~An@zEzAkC~BeArTjSha@wY|VtUteBaP|Pyx@~EeBfBMdA\\n@WvAdBbEc@~{@by@bMaLzaAyr@vPcv@b_A`@lGya@l\\nG`WfpAh{@pNfOnBrKRyMz}@SvIs_@ffEucAzh@fEnNby@tlAoBbi@wb@n[u@vDurAv{CudCfjCyDnXyDdMqCd@oBxB}A_AcAJiGlGKl@n@|@G`@sElAeBrGwECkpB|b@qCnCm@zD~@lAL|C}IpP}BxB{NjZm@rFd@vDy@xCkACA}@_BeAs@xFaAYVkCaDqDQ|@sBQyAtCa@A}@jAuAL_LrP\\fAwAe@q@hBoCxCkAC}@pA}GtD?~C}@n@m@gAoa@wHOeDj@wBgDZ{ChAgL_EL_D{@Gq@q@oCf@YkBeBPbAuCQc@`AwAc@i@u@NPyAiAsCc@fA{@?sA}Au@n@?|A_@\\qAuAw@ZoBxC}FdDm@OCq@_CxANqBeB`@Kf@]c@{@Bw@aA\\w@D}DaAeALaA[wAaAy@Au@iAYHlGa@t@V`@m@v@i@B[rBn@jBSxBh@R]rBt@h@@vAa@|@v@fA_GbEaA`Cea@da@a@zAw@FYeAkAVu@wAuBJ_CfBFpAiA~@Rx@o@pCa@A]w@[J]uAoBOiAx@oBm@iAdBAhBoCjBo@gAgDr@kBqBy@^}@dCcATS~B{Ar@_@dBuBIkAy@gA\\e@]{IbFL~A_AFiChH?fAg@nAmBw@k@RoV_Po|@`Z}A~AoAkALwB\\?w@sDpAyCiSgK_DsFlBaAXeC','_pjAi_{A?|j@?{vA','cxgAksyA?zvA?}j@','e`eAksyA}j@?|T?','clfAkvsB?~j@?}vA','svz@ibuB}T?|j@?','od~@gk|Ag\\?hF?','}ds@yjgBg\\?hF?','{pt@yjgB?zvA?}j@','}ds@szlB?heA?kY','{pt@}rdB}j@?~T?','_yq@ibuB~j@?_U?'],['y|u@_t`BzM}UH~V']],
+  'Asia/Thimphu': [['}jt@qtlDox@wu@vYqmB|s@sa@`C@vA|@XfCkBvD`EvM[`Cd@zB@~DkAxBx@f@P|EWvBZzGd@h@UtBj@hPcDxLiB`DBtAhBpCSjCvBzA|@MjAbHsBxZs@rARtDgAt@CbBg@TRxBhAnBGjDVtAgA`AaBFK`Bc@Cq@t@n@rA_@dAiAMm@x@|AzAeILKfAo@~@EnBgAe@Mo@_CYi@aE']],
+  'Asia/Tokyo': [['mgxAmfrGrG_bAvB_B|_Ai`BrImn@hA_DlByBeGcfAtZzUzEp@bBi@fGyJvD{CiAaIfEkEfQsFfXvqAHrJyAtHjBfGl}@jm@_Vd`AcF|LeKn]CfAxEjK~c@mAjB`[_ArEbGnNrXtq@sTrm@sxBu_A{W{y@','qytAycwG_U?|j@?','sctA_`sG?|j@?{vA','smsAw{yG_U?|j@?','uwrAw{yG?|vA?_k@'],['yioA{kpGc\\{v@GuBnB_n@zn@RtBe@|BaEl_BeXxwArw@~EV|H_@zLd@bk@fWrDDpLpBfNaH`GuFrKCbClBnAjCjBrPhBxAhRzA~@r@xDxFdBrJbA|BpFdElBjG~KlY~o@{NfNpd@a_@|A~Cnb@i\\eV{@~p@aB~G~x@lpBh@P`U|nBbBzApApC~u@tyCnm@vMjJnQ~b@hy@y@hcAqfAmPai@zeA_q@{M{bAyoA}q@_jCiC}BqEkHuNiO_HkWoTnQeYic@nRsTvZx\\`@_CGkIdAqEf@sb@WiCiAsCee@ikBmA_Cg@{C_B}AuAqD{NoMsDmBoCFe`AgNch@ynCmwBiK','anhAatqG_U?|vA?_U?','adiAgpmG?~j@?sy@','clfAixjG?|j@?{vA','clfAatqGzvA?_U?','clfAkliG|T?~T?','e`eAkliG?|j@?|j@','i~bAkliG}T?|j@?','gtcAupbG?~j@?}vA','k|`AotfG?ry@?uM','mp_As|cG?|vA?_k@','mp_A{`}F?|j@?{vA'],['mp_AckoGaSoSxOmRvN`N'],['od~@eqoGqRwExGqTvNhG'],['ot}@chpGnKqMpKxMqKxM'],['qx|@knpGbIiOtMzI}H`Q'],['svz@krpGyDmR~NsGlGlS'],['ujy@oupG}DmQbNgG~FdR'],['mpu@}ktG~XyXbhAlO{MnP'],['{pt@g|qGxAwQzO\\OdT'],['_mp@uqrGaScE~EoQzP~F'],['gzo@_`sGfR}L|GzTeSfF'],['ctn@_`sGb@wQrQD@hS'],['syn@_wkHpN{LdIfM}KbM'],['ihbA{h{FmZcYtFgFxt@hg@'],['ql{@aj_GKU|Ao@nPWrWhH|Gft@xvAv|A_uAkb@sn@wzAE}Ar@eA[iAmBmAu@sAImAj@qA'],['od~@wxxFyCkS~Z{X~H|X'],['yrv@oa{F_EgLkVcc@vg@uWbs@~pA`xAvs@jGjQ@xQkS`{@k`@qIfFgn@{d@su@'],['aao@_znFq@iUnOeDdEnX'],['aao@eopFub@}hBjDeKjDiArDNd@{@hIqEs@ro@ra@f`@rAbCz@zEz@j@`OdW_Rj\\'],['_yq@}~~FkGcRvMyIlQbV'],['yfu@m`yFsQaFxGsRzN|F'],['aao@y{~F]sR|OqA|AlS'],['myf@ijhG{MaN|KwL|KtL']],
+  'Asia/Tomsk': [['_lqBiuqCe}@g`B{eAaZmA_@cB|Aw@aA?n@Kc@[h@a@iAd@qKx@sFQ}OxA_KdO}iG}^{|@fIcdAd{@eYaBeyBzg@i{BpbA`e@za@ctAjt@zo@j^lzDd@fAZQ`AiEh@B@rL^l@_ApKt@h@|Hln@fZts@_z@~]fR~~Aux@hbEkC`rC','kvsB_avC~T?~T?','kvsBipfD~j@?_U?','ibuBst_D?~j@?ieA','ibuBsh~C?|j@?xbC','qfnBsh~C?zvA?}j@','qfnBipfD?zvA?}j@']],
+  'Asia/Ulaanbaatar': [['}ydBqh`Exo@edEv`A}p@JeC]eFXsAu@}@TwBhAkAx@t@z@u@`Af@LkAs@eGXqDfA_ByNuvCr@kDpBQMeErA{Ci@{F@cDs@oBlAoOzSi{@ng@wn@pIchByU}bDwn@w}AhZmsClwBlfAlPwoBaU_iAvqA_sApDnzCzqBxkFkTlfBdm@bb@~Zu]zCuBtCQhBh@p@|HnCnDtz@|bBjJndDxu@xwCgcA~bGuLfwGuvArz@wh@juBkAzQCRybBqQgJkq@eiAheAek@_c@aJ}kBaaAGaGi_DcpAfF','_gcBekcE?|j@?{vA','ec_Big_E{vA?|`A?','{e~AmfuEry@?_k@?','gw}Ak~wE}j@?~T?','co`BwjnE?|j@?{vA','co`B}zhE?|j@?{vA','mgxAk~wE|j@?_U?','co`Baz~E?|j@?{vA','ec_Bcn}E?h\\?etB','em~A_f`F|`A?_U?','mgxA_f`F?zvA?}j@','sctAk~wE?|vA?_k@','sctAmfuE|j@?}T?','uwrAmfuE?zvA?}j@','uwrA_ogE?zvA?}j@','ukqA{fjE?zvA?}j@','uwrAy~lE~j@?_U?','uwrAmo|D}j@?~T?','uwrAcwdE?zvA?}j@','uwrAg_bE?|vA?_k@']],
+  'Asia/Urumqi': [['sd}Ac`lDxSozAbz@}t@jlBpAxJobC_UnyD}T??}j@ybC|j@?ry@'],['o{vAqrtDCuLBS'],['em~A_phDcPeWbPwa@?u@?Y|TeV~ThsC~T??{vAzvA??zvA}j@?|T??vnDsP?A?A?E?E?A??k_DifA_B'],['st~AetjDDSLR'],['kj}Ac`lD_A?VW'],['we}Ac`lDW?BE'],['kizAgw`D?iH~T??{vAzvA??q~ItfG??{vAzvA??zvAxnD??p~I?{vA|j@??vnD?|vA?zvA|j@??zvA}j@??|j@~U?mIjnAcJlf@su@lTaSjlAuKiSmiAbKuJvv@un@|P?mR_E?u`Ac~@lJ{|A{i@a`@T_w@yiAsuCk{@of@kkBxx@qZ{gD}TaW?ti@','o{vAmxcD?vzE|j@?~T?xbC??zvA~T??ybC|j@??zvA?zvAzvA??q~I','ysnA{xxC}j@?|T??|j@~T?','}{kAgeoC~T??}j@_U?','{gmA_avC}j@?|T??|j@~T?','}{kA{xxC?xnD|j@??zvA?}j@zvA??}j@}j@??ynD','cxgAaisC~T??_k@|`A??}j@}vA?'],['obxAst_DvA?gAL'],['}{kAkqnC?I?F'],['ivcA}lwCkBvAcHwA'],['gtcAkpwC?og@|j@}j@D|j@'],['cyvAwsuDvh@kuBtvAsz@?dm@}j@??|j@}j@??|j@'],['qouAwgtD?}vA|j@??|vA'],['w_pAwsuD?~j@}j@??}vA|j@?']],
+  'Asia/Ust-Nera': [['y`_CibqG~_@mrFzs@kdC`eC`eBzR`_@kW`}@lNxo@}`@huBoWr}@kkAsmAu|@dzA','}i}B{wuG?|j@?{vA','}i}BycwG|j@?_U?','arzB_`sG?|j@?{vA','cfyB}ktG?zvA?}j@','c|yBw{yG}T?|j@?']],
+  'Asia/Vientiane': [['sbi@updE|ViGy@}a@{_A`QsHcd@`q@}s@pFfDBh@|A`@AeAs@g@Ac@lCzAbDAFxAbAtAZCIiBt@_B`CPJcAb@W\\Pp@s@zYqgBfMjOvTqe@vQzHp]`{@xc@umAljBmwA|a@sGzUko@tuA_EpRjzANXv@B]ZLjAu@t@~AFZw@bDUt@c@XyA|KAzBnAUhH{DjFwBNS~A]Xj@f@aAzAl@XcAXH^e@NkKbX{a@aVq@z@w@QXy@eAqAk@`Bm@Da@p@s@M@pAk@C]dA}@Xe@e@Q`@{Aq@}A{AD_@q@gAmB`@TdCi@hA{Ag@[kCgy@lf@g@rAyDfAoBfDyA`AuHy@cEt@{Ak@gIx@iG_CeEYoHJeF|CoCrEmBfFy\\nWkDrA{ElIl@tAkBjAIpFwBlDm@jD@dCm@zAhHlFxAzFp@\\nBBbBhCpD@pBtAJ`@cAvBbAnEjAjClAt@n@jCr@Tp@i@\\Xu@|AItA}Ce@oAT]tGuCjFMpA`]prAm{AiWg`@vCbD`^XZYHuAlPcCDc@fAeADU^cAc@{ArAy@UQm@gLmEiIiAMt@|@`AmBzB}@Do@lAaElA}AvAEtB\\j@dAp@`AFf@jB`A[f@XInB_@d@sAKwAZiBmAiDW','keh@acfE?|j@?{vA','myf@}zhE?|j@?{vA','mme@_ogE?zvA?}j@']],
+  'Asia/Vladivostok': [['wdmCw{yGdAkVpbDzuGbs@_yBpEljAnvAzHxLfbD`dAyrBjLpt@vVc[wRxhFpx@rhE|i@h\\w|BpnDqkBuzEki@ffAinAat@o|@`wBau@srAbb@ufBwMo|DokAywCjFgbH','kmlC}ktG|j@?}T?','ouiC}ktG?zvA?}j@','kmlCchpG?|j@?{vA','makCe|nG?h\\?etB','oihCatqG|j@?_U?','sqeCatqG|j@?_U?','uedCatqG?zvA?}j@','ouiCs|cG?|vA?_k@','{a`C{ydG?dtB?}vA','{a`CudaG?zvA?}j@','}u~Bs|cG?|vA?_k@','ymaCgpmG?~j@?}vA','ymaCgdlG~T?|T?'],['kjrBslbGic@koIozA_GupAyiC|`@iuBmNyo@jWa}@{Ra_@bc@e|Bxp@nQlLlx@lb@obBbm@lI~FllG|`E`kHtrCkcF`xBvCvoDlr@nqInfI`u@j`CtUxtC{OpNw@rAkABi@dAcBICcAaFV}@~B^zBqA~BCs@sAkA]eCw@{@gEma@{@aAk@GMhAoBJkAWCeB_m@iBe@XcFqBw@t@_BSe@YW{Awd@hJih@yj@{@eBDiAfAUxPk_As]wNmBoFNWm@w@BcBwAPL_@c@SVeAaAr@WuA{@PGhBcKgDMeAt@}@Ac@eAm@w@ZOkC}AOcCwBm@@yBhBc@K[cCyDyHoEHs@eA_BnAyF?}@]uAwDoDS}Ay@_B`A}EkBoAZ}@oAoD}AMkCoUqQc@mBqAQsCsEiABkBgCeB}@y@ZyBbEqBMc@j@G|AeJC[q@kOyGoAnBs@fLlAlEBbLfB`CYpDtAnA?rBvc@tuA|@dzAY~Do@hAsgAlSca@cw@wr@pEkXro@k_Agn@ia@c}BuZpHbOorAas@}RuUhWj]tcDue@|\\uIl_Ag{Aq`Da_@~bC{r@y{@}^nk@wYiz@c^`f@jEgj@ap@qY','gw}AotfG?zvA?}j@','gw}As|cG?|vA?_k@','kvsB}ktG~j@?_U?','m~pBatqG|j@?_U?','oroBgdlGpy@?sM?','_}cBatqG|`A?_U?','a{aBatqGzvA?}T?','iu{AgdlG}T?zvA?_U?','uwrAs|cG?|vA?_k@'],['spmBeyvGhB{VjLiDdCre@']],
+  'Asia/Yakutsk': [['udtCc_iHrm@qf@_Az_Bka@eE'],['kmuCwrrHtHpgAoKnn@uMwaA'],['autCyprHcTaKxIosAfKf\\'],['sxtCok_HaOekBlKc|@fS`aA'],['ufrCi{dHjMcnAl\\hm@zEntDm`@naDdt@neFzrAm_DkFfbHwcAhO}eAf~Gyl@cOu]gpI','aisCgpmG?~j@?}vA','eqpCatqG?zvA?}j@','csrCycwG}T?|j@?','eqpCatqG?}j@?}j@','geoC_`sG?|j@?{vA'],['q`pCkliGnc@zH}a@l_BoKki@'],['eqpCq}xEuUkzBddAs[lAonHbe@ujC{IazAuu@q^pa@euIfc@}fBhnBu~@n|@awBhnA`t@ji@gfApkBtzEv|BqnD|z@x^dOumBpi@cAlk@mbBvb@zb@jH`yBxsAxwA|_Acv@`p@pYkEfj@b^af@vYhz@|^ok@zr@x{@`_@_cCf{Ap`DtIm_Ate@}\\k]ucDtUiW`s@|RcOnrAtZqHha@b}Bj_Afn@jXso@vr@qEba@bw@cS|u@wBLu@bAmQvuBuY`S{AYmDeDqDi@}BhNiAfAeEkAm@lCeAWs`DrhBaUzyEw`CpF]pg@m_@rG|IxbAiYaYk\\`v@q{Ar`@qiAjUcDj}A}_@kCo\\l}BhdBnlDag@jNl\\lcDkXlW}hBwoAsI~o@m|@wMwwBhvBgNppCo~@sjAi}AhzA{ReqAwbCfg@wS{aE_u@}r@e\\kyCwnCxyC','_|lCgvzErM?|j@?','ouiCgvzE~T?~T?','sqeCmfuE{vA?|j@?','q}fCmfuE?|j@?|j@','geoCeytF?|j@?{vA','geoCeb|E?|j@?{vA','geoC_raF?~j@?}vA','iymCsyiF?|j@?wzE?|j@','icmC}t{F_U?xnD?_k@?}T?','ouiC}t{F?{vA?|j@','ouiCyl~F~j@?_U?','sgfCudaG}T?|j@?','}u~B{`}F?|j@?{vA','}u~Byl~F~j@?_U?','_t|BudaG}T?zvA?_U?','arzBudaG?}vA?|j@','arzBs|cG|j@?_U?','kvsBumhF?zvA?}j@','ibuByueF?zvA?}j@','iltBcn}E_U?|j@?','szlBo}mF?|vA?_k@','mtqByl~F}T?|j@?','}i}BqnrE?zvA?}j@','arzBmfuEi\\?hF?','arzBgvzE?xnD?}vA','gnvBk~wE}j@?~T?','gnvBk~wE~T?|T?','kvsBgvzE?zvA?}j@','unkByl~F|j@?}T?','}rdBa}xF?|vA?_k@','}rdBudaG?zvA?}j@','_gcByl~F?zvA?}j@','szlBo}mF~T?|T?','yvhBkupF?zvA?}j@','aeaB}t{F_U?|j@?'],['eqpC{y`FAov@dMsX~JdsA']],
+  'Asia/Yangon': [['obv@cc}DcS}Rl~@wg@sAcW|y@}C|n@xCpdAjgAvq@d@cMisAx{@OrNqi@bo@rXtE_r@rb@gKkLmo@MqB`HeH~aAd~@hDVhBlAw@JHX]Km@fCgB~Ad@dA@`BvEzBY~Ch@VXhAu@jAHtAnb@fg@gArx@tkApODpYryAwz@b@AEk@f@l@nAkASgBXKOOd@cA\\NAq@r@L@q@^ONV@e@l@g@Nr@`@OI]`@CK]\\PFm@XRn@[e@|@h@MOTn@Xx@mBN|@^G@dApAHC`@f@?b@OE}@n@LGi@`BHZwB`B]n@PVi@vDwBz@h@p@e@~~@vCpAr@gA`@c@hAE`@h@VWh@\\IDjAz@t@t@WL^Ai@z@U`@Zy@z@{@vC`AKRl@|Aj@UtBhBYf@VhD?`A{@n@b@nAFXo@f@F|@k@ZN`~@au@boB_[`Aj@`BEn@mBjAATZnCQDk@fAWRuA`An@|BHjA~AzBl@JbA[v@tHtBCj@h@v@nCO`@fAlAn@EZf@^bAW|bAvf@bAfA|ALzI~C\\rAw@r@YvBdC?|EzFjJdd@qgCl]myCgTcqAn{EqsBkCyvDviB{MNuBjBq@w@yDl@_ElAoA`AkEh@u@WaA|@sEnAmBu@aCl@o@a@a@wAeCULy@nGyVaj@pCgMmZQ_AT_D{A\\OoByIZm@h@Ep@kCRGl@}BeAaAVUh@yBR{uAqM|Mqr@a`Bm]Ia@yBs@w@aCXWWeAiw@{QqAH]`AgCgBo@J[}@u@]aAH_AwBcAq@Jm@f@CHqAoJeNb@u@FkAyBo@y@eAn@aBc@y@qBSyB}ALy@c@}BsTsq@nPeZs_@jN','}ds@k{}D?|j@?{vA','_yq@mo|D~j@?_U?','eil@k{}D?|j@?{vA','keh@ig_E|j@?}T?','iqi@wsuD?~j@?}vA','owd@mo|D}T?|j@?','sia@mo|D|j@?_U?','u}_@mo|D?zvA?wnD','ye]ig_E?vnD?ybC'],['yo\\kvuD|JwQlTtRyKnK'],['{mZuttDoNq_@f`@pRsAvDmBnD']],
+  'Asia/Yekaterinburg': [['wqjCymaC_aCioDxPijGsZy`B`C{lCzxAsr@fS}pBr]bmAjz@_mBlm@lrB|`@_uEzvBxTzmBquCx_@zN~SceBp~@dv@la@gd@ds@rhA`m@g~Afd@jiBgIbdA|^z|@eO|iGyA~JP|Oy@rFe@pK`@hAZi@Jb@?o@v@`AbB}AlA^zeA`Zd}@f`Bdc@pnCoBzbBw\\pU~iA`]fb@qpAfTzy@dfAbP`DdgCb@rAW|Bh@??aAl@SF|@jCsEb@ZNvAlAAr@rAh@kAd@rKcArFXrDhD|Al@|CzLfdBri@ndGGbA{AiA@tAo@F|A~ByApBXrBYLzB~A?pAoABk@nDiBBPpJfA|AxEaARtC`DIGu@h@Fx^nBbSqz@hEreApAtB\\jC`ZaHhBeBh@nBvBdCjAzGjUlm@je@}dBb[`NaAxmA`@fF?pBlSp^u^|u@yA`@kAxDNzGcAJeBfBbAjF|@YVxAl@DWrCaBb@~@jCHf|An`@ro@{Tbf@u@|Aj@~A]pFkAGu@rE}@dBm@@Tf@Wv@Z]R^[hATxAULtEBDaCf@a@fVpGg{@zfAwPv_AlS|j@s@r@k@UA`Fl@~DY`HyPl_@yr@al@u@`@wRwYAsDi@IB}A_\\iFsAfCi@q@MjAuBg@ZkCWi@cEyAO}@}CYgBcC}DeAIy@cYi@RwDmA}As@aAv@iAk@_CzA}GKqCXcA^~Ad@DJcCg@WKcBu@jAaAeCdAo@v@qCj@lA\\u@b@xAU`Cf@mANf@UtAPRe@ID`BfB[ZoBhAe@JiBr@VYmHtGiGe@_AuEmCeG~Aq@@Em@s@f@YYGf@u@Yg@~@We@YhAo@}@i@p@UsAi@t@{@_AeDV[sBQb@iBuEw@EF{@[t@g@uA_Bg@wAr@i@_@InAeDiBf@pDg@VuO|Vs`@gdAm@p@p@d@Y`Bi@Li@bBo@Y?`Ct@|@Gd@w@aBm@Zz@rDcA`@cAcBIjG[kAi@^f@lAy@n@S~Dk@`@qAIIaF[f@qBuAnAaGGqAeEqCsDuEGmBWDi@qDYNAqBuAM_@w@IlBuBQ}ExAp@hD_BjBw@AOdDiAH@`A[\\Vh@uBsAlAjFDhFy@BJs@cAZq@eB?`@mAA?fAqAGi@|Aa@q@IjAc@WTqCjB}CB{BuBcC{C[u@}A{BMYsCh@uDw@kC{ExDsGEiBzDyQpHeA{AM~AkAKScAiRRiDhGcVvHqfBdIeF|pA}g@pY_Le|@jMsbCoh@wgBuGogDgcEgPofD{rKquAr~Aoj@oXca@ywA','iymCmakC?h\\?etB?|j@','iymCiymC?wnD?|j@','kmlC_avC|j@?}T?','makC_avC?|vA?ynD','ouiC{xxC~j@?_U?','e~eC{xxClcB?{vA?','uedCsh~C|j@?}T?','ymaCst_D?~j@?}vA','ymaCq`aD|j@?}T?','}i}Bsh~C?vnD?q~I?|j@','}i}BmxcDz`A?}T?','gnvB_avC?|vA?_k@','m~pBmakC}j@?|T?','m~pBoihC_U?|`A?_U?','oroBoihCzvA?_U?','ybmBmeiCd@aBw@WIhA','mtqBeqpC}T?|j@?','m~pBeqpC?zvA?}j@','gnvBmxcD?zvA?}j@','gnvBq`aD?|vA?_k@','ymaC{a`C}j@?~T?','{a`C}i}B}j@?~T?','{a`C}i}B?|j@?|j@','}luBuodB\\MG_@UT','csuB}rdBFZ^uA_@P','}vuB{geBROa@I?b@','spmBkjhBmA{D?oA[g@ArCc@NnA`AWvDf@LNlAb@S','gnvBkvsB?~j@?}vA','unkB}i}B}j@?zvA?','unkB{a`C|j@?}T?','}rdBkjrB|j@?_U?','yggBa`eBtA`@b@_DyBSWdC','{~eB{~eB?|j@?{vA','szlBoihC|j@?}T?','ahlB_biCl@oB?eAq@?','cjlBadiC@iCyB_@AdC','unkBoihC?zvA?}j@','unkBsqeC?zvA?}j@'],['k~lBudjCNB@~B_@E'],['u_mBgziCTRiA|BI[']],
+  'Asia/Yerevan': [['eioAc|sAcC_j@sBc@Z_AKq@z@aBJsBy@WdByE[{A}@m@BYj@\\TWk@eAf@_@_Be@?sCb@JN]U{@j@@s@iC\\YTuCOc@QPa@zCc@TwA[p@{@@eBb@]@q@Ao@qAiBdB_BxAlARwC[m@jAsA@}@ZQ~@v@HtC^z@~AVYuAb@BEYwAc@ZaAz@AIe@bBsCi@C_@q@pAaADwAu@aAB{@RYn@|@t@YSaA|Au@DgAhAuA@sA~@KvCzBx@hF\\p@bANWb@jB\\r@eAd@HjLgNx@[?yApC{JEwAh@{@n@HCh@~@wAfE^b@rBd@U~BdAJv@p@b@mAzAC`Fd@fCjAGJsDh@aATaCfANnKkPNVZc@Qi@fAuBnCm@m@e@@iBkAuENe@THUsAdB?Ta@]uDVyAb@[p@Qa@pAt@~AbBiA[fBbAt@OzBj@^rCw@x@wBWeAdAcAR`@vAaAn@_D^tBZWrA`BkBj@`@^b@Qm@vAX~@`AOHoB^VbBiBh@h@JkAb@b@vIBj@pWgUnHsDScCrGWfCwBW_AgAm@t@i@WcCt@}@~D|ElMcOn\\l@hCk@xAbAnFCb@u@D@j@w@XEl@i@KBfAm@zA[IHf@eAFUv@}@PcCrCcAzBEnAm@v@k@nEj@rCInJ^bAIrB{A`EyZnKUkA_@JNc@}@LIy@wAeA{AUi@_AeA\\c@YsDpAu@z@iDDaBrC']],
+  'Atlantic/Azores': [['}qlAfj|@iFu^pd@fAP~_@'],['qjiA~lp@bn@oo@jc@zW}_AdgA'],['}vkAx|u@f]mNkJim@nViU`KnMZbCO|E}AlKoAjErHtvAgUbI']],
+  'Atlantic/Bermuda': [['{s~@|i}BjSsNtI~b@}RjC']],
+  'Atlantic/Canary': [['whw@jrb@mCgAgD}b@pJiF|PdAtJhFPbVwD|BqB`@}FtC'],['yrv@~k`@oCsEkHs\\iCyFYsCAuLhNiLpNtIxE`FdCh@vHxElCfClBxDjAnKOnDw@hC}AtBqCfB|AfB_Itc@'],['ujy@rsYdj@o_@jSvJxC~FbQhIvJnAtY|{@wQfD}OqR'],['y|u@xg^qIaGoBgDo@kHOeMPsC^sAnDsEfWeCbKlEnBfC~DtLJdDg@pGgAvCqC|DwDdD'],['ipu@pub@cFsYxPeKnRpW']],
+  'Atlantic/Cape_Verde': [['}y^f}j@`_B`s@zB~FpD`w@ChY{lBwKmk@f}@aSg]f_@aq@}HewA']],
+  'Atlantic/Faroe': [['cfyBthLzLo|@bjAfi@ix@vcB']],
+  'Atlantic/Madeira': [['mp_Ajo_@iGid@d{@`ScNrn@mQrUqRmMjFyf@'],['s`z@xp^mFyTdOeJ`Op]']],
+  'Atlantic/Reykjavik': [['_x`CzmZ`zBaiAvoAfgJaSxqHy{BnzAogAi~B','{a`Cnad@?|j@?mhB','{a`Clme@?~j@?|j@','_~{Bt}_@?zvA?}j@','}u~Bbum@}j@?~T?','}u~Bbum@~T?~T?','_~{Bf}j@?zvA?}j@'],['albCpub@|RfLaJ`k@oKmS']],
+  'Atlantic/South_Georgia': [['xjgBxrqAqC_Y~QsZjHp\\'],['lihBblfAbl@ugAl\\rf@_eAlbD}K_S'],['vbjBx`cADsXjLiHzGlg@'],['rzlBlru@oImZhM_TzKvZ'],['ranB|ds@rUyRyAfp@oLwC'],['hkmBzpt@Pe\\bMgJ~Gzh@'],['fhmBx|u@fDiSpKwAfAhg@'],['nroB~js@}Cg\\vN}SnJjf@'],['pxpB|ds@eBad@xSqMhEvn@'],['jjrBt}s@iQ_a@hNk_@jNdZ'],['rzrB|ds@dTjN}Kps@uM_V']],
+  'Atlantic/St_Helena': [['jbNfj[tB_UvQW`A|W'],['v{]zpJeDsU~SyEfGnX'],['bbgArjWpK{^j_@h_@cTv\\'],['zgmAvqRvFqUpRvAuEn`@']],
+  'Atlantic/Stanley': [['bbcBnroBp`@wMtt@llBySv{ByqAzd@sJo^'],['z~eBx~rBGeX~KiGhHh_@']],
+  'Australia/Adelaide': [['fc|@s}zFijI?CiqPAozDtzD?`aDCrU?nO?toBCxhGlA}n@poA}iBnp@zp@fiBehBhuBbBnm@ibA_R~Olo@eg@wOme@fa@sEjr@i]pFf@pr@wf@ts@zLlgC','~xq@qheG?|j@?{vA','~xq@s|cG?|j@?~j@','~xq@udaG?|j@?|j@','x|u@udaG?vnD?q~I','px|@udaG?zvA?}j@','~xq@chpG?|j@?{vA','~xq@e|nG?|j@?~j@','~xq@atqG|j@?_U?','~xq@otfG?{vA?|j@','|ds@atqGzvA?}`A?','x|u@atqGvnD?wxC?','pl{@atqGxnD?yxC?','j|`AatqG?p~I?}j@','j|`AatqGzvA?{`A?','ftcAatqG|j@?}T?','ftcAgdlG|j@?}T?']],
+  'Australia/Brisbane': [['hzPgzwGiBqDvBmBtCtE'],['tdQyoxGjBqGlDCeBzJ'],['rnQyoxG`[_RdVtm@db@sH~YjW}Geq@~eCbCxqAuhBlkAzCf|@{m@hg@tOd_AsdAh\\vUbt@}dB|m@iSaFiUd^qbAvzCy_Ai[s_@t}@qw@|RtMqa@z`Ari@{g@dFaiAvhBrHnQu@hHgAl@_A~bA}ObJLlDkErE`Mi@rBtDfF[bD|@|Ac@jBdBXzC`u@`@VEf@tBdB_@nBz@nAHdB~@t@ji@pg@ag@~cAz[frA?lpNuzD?@nzDwxQaG`Oel@sc@q\\t`@io@xm@zSqD{x@ejCmm@}xCjBgjAg`@k{AX','t}_@ss|G|`A?}j@?','ria@_`sG?|j@?{vA','ria@atqG?|j@?|j@','hqi@kocH?~j@?}vA','bkn@esgH_U?|j@?','`ao@akjH|j@?}T?','bum@esgH?|j@?|j@','~lp@akjH~j@?_U?','~xq@akjH|j@?_U?','|ds@akjH|j@?_U?','zpt@akjH|j@?_U?','x|u@akjH?zvA?}j@','vhw@ss|G?zvA?}j@','vhw@w{yG?|vA?_k@','vhw@ok_H?}j@?}j@','vhw@ss|G?}j@?}j@'],['fpQujsGe@kHnJbBYhD'],['ffRgbsGkCqAdAaDjChB'],['biQg_vGZ@g@`QkAqJ'],['r_Q{otGh@kLZpNA?'],['fpQkytGtA_GzCDcAlM'],['tg_@qg_HeTuMlMq\\pRrP'],['t}_@a|aHgHyRzOoHvL`S'],['pl]kocHpQ@WzQ}PW'],['dq^kocHwK_Wxn@{UxAhR'],['t}_@ilcHkHySlNoIlKdU'],['ts`@m`oHc@}S|UYHpR'],['n_`@esgHnHk\\r\\tIpNb~Ag_@{@'],['nad@{|gHeLmXlb@gFxEb\\'],['ria@qh`HoK_b@xd@q@jBpU'],['nwd@c~bHrPa]x\\vTgSp_@'],['jeh@ayfHiKerAxbBaEj@d^'],['hqi@}}eH}JqNdM_LzJpM'],['jeh@_wnHsIqSxXyGjF`W'],['jog@}jlHdG_RjTvHaHjR'],['hqi@uljHcTwXlJgPt\\`T'],['h|i@}nnHjUkMu@tf@gPs@'],['dil@sjnH{HqPbN}IlIrP']],
+  'Australia/Broken_Hill': [['nu|@qkrGvJm}@v_@nCoEni@b@lNoO?']],
+  'Australia/Darwin': [['b~T_iiGgUkc@lrEaOdWtOyMfp@p[zHx{AkeCvxQ`GBhqPqqUeB{lB}`Awx@jQet@_ZiK{pDxh@}Fn\\olA','xe]m`hG?|j@?{vA','xe]kliG|j@?_U?','b~Twx_G?|j@?{vA','`jVyl~F~T?|T?','~uWyl~F~T?|T?']],
+  'Australia/Eucla': [['p__AwbtFi{A??{yEhe@@']],
+  'Australia/Hobart': [['zpkA_d|G?y~@?uOhRww@xy@qb@`rDh^vm@hoAe|@hkB_cFlbBfFkh@bl@}Ef`@a|ArAuApEkRQkGoA}G{RskA','twrAok_H|j@?_U?','rctAok_H?zvA?}j@']],
+  'Australia/Lindeman': [['pye@kcbHzb@oQ`FhU}m@hS']],
+  'Australia/Lord_Howe': [['pb|@gruHrX{[`ObD{Oha@']],
+  'Australia/Melbourne': [['hmaAukrGrDgw@Fg@l@Se@W`@q@m@OVwAe@PMo@t@LH{Af@Tl@c@@iAc@?Ow@He@x@?AiBx@o@xAVx@a@h@ZQeBPYh@\\TaFp@LCr@D[l@FVl@~j@a~@tA}@t@Pf@YGkBz@m@WeEXSl@`@lAu@f@j@pADN}@bBuAaAyAp@o@?mBz@@Au@n`@qk@VDI[|@CV}AdAw@Uq@xACy@]Hg@j@C[cAdAHSeAv@?Kk@j@iAa@i@RSi@AC_AqAi@NiC^]SaAo@EwBtBg@MOu@y@P_Ac@nCweBn@ETgAd@KEq@b@Ia@{Ah@@Ek@d@DSWZcASMbAk@]_BXOCs@r@?[i@d@_@kAY`@o@Us@|@s@Og@oAQ[cAuAE]q@rAe@@wAPYgBok@jq@iKtp@yaC|a@~pCnk@zx@tSwT?tO?x~@gk@nzABhAlEtI|[|q@s[bdAc@rB\\~GeSplA','bxgAmw`H?|j@?{vA','`diAok_H?zvA?}j@','`diAok_H?}j@?}j@','d`eAycwG|j@?}T?']],
+  'Australia/Perth': [['|aYyptFlbA_oEpqUdBhjI??zyEh{A?~YtfAzi@uAth@pn@gMpo@dTtv@yd@pk@pD~iAblAbfCsJvlBcl@plAw}@xFwCs[bAuAeA{AcLyF}CMsb@|AaBs@}Jp@qmExz@iBpAuoEpiBumFgaAmt@upAkt@wNlYeaCcZiiAsi@{Y`Zib@uY_sA{kAg~@ixAlAyw@}tAo`@pT{J{e@fS_O','zmZeytF?|j@?{vA','zy[gmsF|T?~T?','xe]gmsF?|j@?|j@?wnD','xe]kupF|j@?rM?','nad@o}mF}j@?~T?','lme@qqlF?~j@?}vA','lyf@_raF?~j@?}vA','lyf@yueF|T?~T?','zpt@_f`F?zvA?}j@','pl{@kupFp|B?sd@?}j@?','j|`AkupF?dtB?ghA','j|`Au~kF?zgE?wnD','nd~@kupF?}j@?}j@','hhbA}}bF~T?|T?'],['plZkupF|OlG}GdPeOsG'],['|wYmwlF}Bs_@nn@zVmLnU'],['dn`@umhFtXlAjKzn@uXyD'],['x|u@{o|E|b@er@l[jHgOra@'],['~ugC}t{F?ayz@teT?h`I??n{vA_g^??owH','hpfDkupF?xnD?_k@','hpfDqekF?vnD?ybC','hpfDyueF?xnD?_k@','hpfDudaG?_k@?ybC','hpfD}t{F?ybC?}j@','hpfDcevF?_k@?ybC','hpfDkupF?ybC?}j@','hpfDss|G?xnD?{bC','hpfDycwG?vnD?}j@','hpfDatqG?xnD?{bC','hpfD}bmH?{bC?}j@','hpfDesgH?}j@?ybC','hpfDkcbH?{bC?}j@','hpfDss|G?}j@?ybC','hpfDwrrH?}j@?}j@']],
+  'Australia/Sydney': [['lsw@mkrG?mpN{[grA`g@_dAki@qg@_Au@IeB{@oA^oBuBeBDg@a@W{Cau@eBYb@kB}@}AZcDuDgFh@sBsEaMtCoAzO@`BZX[ruBlXbFvDjv@hEjBx@xERxDvCbCRbXfQ~Ba@pE@zFh@pi@lr@~YzOhCn@~F~D~Gh@dNzCjH|FxFbIlEWjCZ|}Dv{@up@xaCkq@hKfBnk@QXAvAsAd@\\p@tADZbAnAPNf@}@r@Tr@a@n@jAXe@^Zh@s@?Br@YN\\~AcAj@RL[bARVe@EDj@i@A`@zAc@HDp@e@JUfAo@DoCveB~@b@x@QNt@f@LvBuBn@DR`A_@\\OhCpAh@B~@h@@SR`@h@k@hAJj@w@?RdAeAIZbAk@BIf@x@\\yABTp@eAv@W|A}@BHZWEo`@pk@@t@{@A?lBq@n@`AxAcBtAO|@qAEg@k@mAt@m@a@YRVdE{@l@FjBg@Xu@QuA|@_k@`~@Wm@m@GEZBs@q@MU`Fi@]QXPdBi@[y@`@yAWy@n@@hBy@?Id@Nv@b@?AhAm@b@g@UIzAu@MLn@d@QWvAl@Na@p@d@Vm@RGf@sDfw@uoBBc@mNnEoi@w_@oCwJl}@','px|@}ktG_k@?~T?','j|`AycwG?zvA?}j@','tjy@akjH_U?|j@?','nd~@esgH|j@?_U?','jraAi{dH_U?|j@?','d`eAi{dH?|vA?_k@','ftcAycwGqy@?rM?']],
+  'Etc/UTC': [['zxeCp~Ik@yFne`@??vmUoh\\?','nihCdrS?|j@?q~I?zvA','p}fCnjK?|j@?{vA','nuiC~uW_k@?~T?','nuiCzy[?|j@?}vA','nuiCxe]?|j@?|j@','hymCzmZ?xnD?q~I','lxcDp~I?p~I?ynD','lxcDb~T?p~I?ynD','hpfDb~T?vnD?}j@','hpfDzmZ?xnD?ybC','hpfDhnO?}j@?ybC','hpfDb~T?ybC?_k@']],
+  'Europe/Amsterdam': [['}ygBq~I_Ckm@~HoJlBsE|@u@vBqNpE{BNgAZ?IaI|F_@Ne@Dl@lAp@p@o@rE[`CdAvD|D|K|@R^g@lIHnFh@tAjAQt@_BPjD~@o@dALj@mBFiER@\\qDeA{A~DgDbDzApBeARvCvAbAHtAnBhB@zDhAXVhBz@LVaCbAsCz@CHz@x@RbAdCk@jA~BdLg@bDzA_@m@vBBpAq@r@HjCgAjBXhBz@_Ch@?o@nEj@t@JpCXb@jB}A~@hAh@sDNd@dAKb@kDbBt@|CyEfBo@tCd@?k@nA@t@pB~EhE`B[k@eDN_@XrA\\gAl@dDdBzD`BnA?f@_Ap@^|A`BoAt@PYsBHoCr@j@j@YZwCrCf@Sd@TfA~@KV`Bv@gBf@LOvBTtBe@^`@hAWFPhAu@bAr@dA@dBoBKOnAs@\\q@IQeA}@g@Bo@uAgASlAkA_Bm@OWb@u@_@@s@{@FKgAa@n@}@_Ba@l@TlBaATAxEYHo@xDwAFy@nAI`AjAbC[lCXRBbEwAGc@rALbC}@B{AxBkAcAoAr@?`A_@L\\v@v@JbBfDi@h@?`Ga@EReCu@b@_Ae@m@|BvB~Eb@EFx@UbCRnAcBYInC|@`EdDgBRzAGvAg@JFhFf@o@xBvC~AnE?|AxA`Gm@EVx@EhCsAGOh@sAnJd@N?dCpAY@hE_AdBkAb@s@s@wEpDiEjLyMeMaKsS_FgCaC_Fw@oFwDuGgD}CqCiBwDWcCuBoJeAuD{A}@^uM}BgBoA','mncBsrHVLFq@[B','encBkrH?AA??@','amcBqpHB?AEAB','mlcBsoHAAA?','klcBcoH@??CA@','slcBqmHA@@@@C','oncBgmH?AA@','qncBisHFMMYCF','gncBctH?GA?AB','{ncBitH?AA??@','yncB}sH?CA?','}mcBysH@ACA?@','incBysH?AA?','_ocBysH@??AA?','}mcBwsHAC?B','cncBwsHC??@','_lcB}rHDA?OG?','mncBgsH?CA@','sncBasH@A?CA@','qncB}rH@A?AA@','incByrH?A?AC@'],['ilcBkoH?C@A@D'],['}mcBsrHEC?AF@'],['{mcBmsH?ABA?B'],['qmcBmsH@??@A?'],['wmcBesH?CB?AB'],['_ncBgsH@??@A?']],
+  'Europe/Andorra': [['werAcyAQeAm@La@o@AgCv@qANiGz@NXuBb@|AjBZXj@EpAr@PAnBb@d@Qb@r@RGdEkATU`Ao@wB{@`@HhAaA}@[b@']],
+  'Europe/Astrakhan': [['}g}AayvAk@m@cCO@cAeCTCkAq@u@S^mAkFWHh@_Ny@nEZL]nAPdAg@LCl@g@Yc@qD^?Lq@U[Vg@u@u@HcAe@W\\kCi@y@Rq@g@UDcAe@oAeB_CScEmE{FjFcj@tM`GfIkf@vc@kOUor@hz@ep@~@|ZHZb@c@`@tCx@cD|@CBeAn@nAv@P?eB|^moAdd@teBtZ_C{N~\\}GfPsDYwAjBoBL}RnjAe`@{h@_dAvD~Fzd@ir@zhA','{`yAi_{A`@zDhALByE','mhxAstzAAo@yBm@V|A'],['iywAaezA|A~Em@hGmCqZ']],
+  'Europe/Athens': [['svoA_xk@d@wNc@yAmAMs@iCBi@fAe@iAyBKiABkDb@q@TmDeAiA\\{DqAaAYqD_Ao@vAwBc@m@aF_`@b@w@`BKxCiBS{Ad@CQk@PaBfAa@bAoBmB_@RaBa@_Bh@m@h@gFv@u@zA{FxAm@VoB{@yGo@{ATqBqAy@\\iBUwAh@sA{Ks\\iBGA|@gBMs@^HvAq@p@sBCGsAa@Qc@gB\\w@K}@x@gB?qCv@gBRcDd@F~@qAVcCdDFlEk@Ja@nCDn@tAc@bCrBnBx@zBh_@xQJ|BpAjDmCdAw@pRnDthAiEkBaAoBeAfABv@hEdC|B|HJbYxe@if@o@bmAmCc@mDtNsA|AUzD}@`AgCr@Yr@FTfAq@vA@bKtEnD_ApBoE~WsQnByD`Ak@bE{jAb[hR}C|f@fbByhCfIn\\w@tB~@rCo@|Ct@nEc@hCeDrB}Dy@s@PSvCoJcEZi@]JqKb_@KvEqBtBbFs@xAaC`_@y\\lAWnAVViOgB_Ai@gC`@yBtAgAc@sArNevAj\\reByV}Vu@z\\`[nm@o[{[ai@zk@oDvBGfD_BjB~EvCt@g@bYjEkFn_@aBf@[bB~BuAroA{Aob@dLpWpRsXf{@iq@|FaAdBe@jGeCdEd@fCAlWcArAqf@h_@ip@sUon@tnAoTmGfIa^~BgHnAq@bC^nA|@|AwBgBg@Qk@xAcENaEiAIZcAo@Ae@_AuDNW]`@aBqByAeCzBk@OyA`AIcDkB_@o@oARcAe@w@d@kAQcBmSuJy@?WiAmAe@T_FcBYaAkAMiAyE[iCpCs@@Mt@m@y@uBHEeIy@_Cp@iBIqBkBkENsEvAqA?w@{@oACiAsAYCiFaA?iBeDYBQ_AqAHQe@eBwWz@K[e@EaBd@e@WaHZk@iCcD|AyAo@gA}Hc@i@yA','}qlAg}j@}T?|j@?','_pjAcum@|j@?}T?','ysnAiqi@?|j@?{vA','{gmAkeh@|T?~T?','}{kAkeh@~T?|T?','adiAg}j@?zvA?}j@'],['{gmAulp@pTwFoBl\\uNE'],['}hlAeso@qBeG`FgGtGtK'],['{}mAgpp@wHmKrHuMfFhL'],['s}kAqur@vFo@jBwBdA}CvFqClDZv@j@nBtENtB_@|K{Oxb@oLiTmAmV'],['_pjA{wp@|@aLlHFRdP'],['_pjAmtq@vBoRpCiC|Ag@~@pAn@pCx@\\xBKt@z@nBf@nC{@nAdAf@`B|@JSbL'],['muiA_mp@tEaD|AtH_EtA'],['}ekA}qn@mBqIjTuMiA|]'],['cbgAyom@LkGtE}@^`J'],['cbgAorl@cEwErEyE|CtE'],['gtfAqcm@wAdFgEaA|@mH'],['u{hA__t@jBy@xChCR|D~EjBbG~SxN_UfBmAc@gCl@_CvD}@rA|AvAkDt@k@@sB^iAc@cBpBaDr@GfB`CfB~ELbAd@g@fCQfAy@h@QpB}EtA{AxC_Z}D{Nc@oAXiD~@uArAa@dDGjIpDzWba@ew@pv@aDGsA_AwAbAwAA_DnAqAGaAhByA`AcZnr@oS__AGmF'],['s_hAy|s@rFgEvA|@l@rBG|B}@~AwS?l@cCrAs@jCOvA~@'],['clfA_zq@qHoXjZeYjC|K'],['imfA__u@q@eBmDaCWsCRiChBg@vECtBy@jApBMjDwBvGgAr@'],['wceA}ds@wCqFhDaEdFjF'],['e`eA{{s@|WmNlIjb@wIfA'],['eveAuhq@_I|FcFiHnLwL'],['qyeA_mp@jAjLkRcWhLuD'],['e`eAs_r@oD{E~CsEzD|E'],['e`eAsnr@qMlCkCuFnNeK'],['kkdA{zp@uFnAI{HlEI'],['sjdA_mp@nAiBhBSt@yFKkT`B{@nCTLiBgAiDFyZhYjLeChQ|@pE|BUfBzADrIgBxA_CUb@xDqKdgA?xGg]|r@aKaVd@uBxAoBjEe@[cBPgByA{Ai@_Dt@{FfBcB~H_DUeIsAqDWaDT{G_@eHfAyEgBoAe@yCJ_B'],['e`eAwgl@iKwDbNwHlCvF'],['sicAcum@|BoPzHaAWrM'],['aseAukx@MgMvGkAmBtL'],['qchAkeh@`RaHdBbXwOnB']],
+  'Europe/Belgrade': [['cuxAs{c@Y_@VmEgADIsCgAZoAmADy@pA[NiHiGkMi@p@iAcCR_Ci@{@Ri@O]vBoF_BiFAaD|@c@B{@aAiA`AgA_@yAfAeBK]ZMSQPe@Nb@TOdBqC|ACdAqBIsA`@gAxBaAc@iBpAWnA_D`@Rb@WEc@zAg@GqC}@STmAhAf@`DCvAlAz@KIm@fBkAfA~BrKwSu@uCrCuAh@oBWa@f@gCMuArB_F`AW`@`Bz@IdAfA^Qf@~DtB{Cz@yErAYh@tCFjFhATzAkAj@_KdEeBGwHXg@b@gJtDwAnCoE]{AyGoD_BkBAcBeAgBBgBnCoDh@cBEmB`CkD^Ff@zBaAhCAhA\\r@lB^TrDx@Qj@cA~Co@z@aA|@qFzBDL~@`ANRl@N]dBb@vAUTjDb@OZ^^jF~B?Xh@~AAhC~@dByA|BKpBgDtDClHgJf@{DnHgGjAsEf@f@nBD`GlKnBJrYfMf@QbDjAFtAzBp@Ph@Sv@j@vAmAfCo@CVrAr@j@GdAv@x@Qh@ZVOZ^hB?nA{A~CdAb@Px@q@lB~@x@If@bAb@?bB`Av@}@~Ej@bC{@RO|Bd@^p@WUtBlAbBbC`A`Ae@Gp@d@lAAdAmAL_ChBQrBjBzCl@rE~@v@C`Bf@rBhBhAvAAd@c@^Vv@k@lB`BJxAa@dA`@x@e@p@qAb@i@uAeAIiCx@_AhA{ASmEjB_BrBYdBuAbCX`AQtB{AB_AhAWc@g@HqCnBaBpDg@WyAVcAgAkB~DU_@Q`@gASWqCj@_BYQl@gA[uBg@_@eATk@uADmB{CLqDjPy@l@m@hByBj@t@hBu@|Ad@|@k@BS`BoAb@ChDi@vAsAl@a@pC}@b@{@QgAtCuAVo@rDq@p@wAzE}ACAq@_CHGu@E`@VsBWgCz@s@WkAReA[{@[f@e[iG?f@e@F{Yx\\m@OEoAs@i@o@Jc@cAq@H_@sAm@CAi@_AQB]sABa@y@i@z@]m@Cx@Sk@s@AGeAs@LGi@m@G{@lCG`B`@hAs@hAtBtEN`BmAv@i@IMcAh@iAo@c@w@iCw@`@Tx@MrBcAeBgCEgAz@{@S\\oBaBiBUx@YS~@_FgAHAiAtAeAUQNyBw@k@iAr@EfGyAdHe@jAgAXO|B{@hBg@?c@mBgAnAyAQHeDo@e@m@dCm@`@h@|@BpAaBzAa@]E}@a@BLx@UkAS`@QMO}@[JQNWr@CHe@\\NyBk@FFzBY}B}@A`@nBMj@_Af@AsAeA@Ip@d@j@Qf@UIiAMGuAs@`Ae@eA','sctAkeh@?|vA?_k@','oatA_}d@OHZn@Xm@']],
+  'Europe/Berlin': [['wbjBgrXlEsm@h@mBlCqD~K_DdINpG}FpHyAvB^^pA@i@vAK|DoCpC`@`Ca@^aArCTnDaCfJcBZ{@vBrCz@Tz@i@lDjAzDxKpCc@dBlAf@{DtA{Bj@oCtDcFbBeGjAuArAdAnA{@tBjDhAZpDeB`@R`@o@\\sDh@u@rAz@p@g@hBn@dByCxBxAhBM`Bt@xAdDhAh@n@mBjCm@`CsDjBMvAjB|@c@|B}Lt@k@|A^h@s@Xd@lDyChK|BnGbDjBvC^CdBz@ClCe@Xa@rDgCaALnDwBiA}@fAJz@c@fAq@An@LYlA`@xAg@r@_@`D\\v@XWlAt@Tu@OiA|@Vb@kDhAP\\dDUjALbAx@P|AbHN~A_@lAz@fBEjA~ABBhA^LQ`Ed@dB]rAj@zBGdBRt@t@e@l@|@\\UhAtBaBzDn@Kd@fBt@BJ~@c@V@|@pDhBErBYFd@~AShB|BVtAnCoB`Gx@Pc@\\`@xBdAt@g@bAf@`I|Aj@Ih@~@jAB`At@C|@|Ah@K?v@jCGIzAg@Zo@e@s@lBSOLe@i@VChBgA?Y^@nA?@@H?FBbAz@s@XUl@|Af@gAGo@p@QViA|@e@p@h@bAK~@sCd@XHmBf@QK[j@u@ZaCd@@U{@Xy@tA\\d@qCbDbBFp@~A?~@nCbBqAb@_DfCKCaAbDw@\\mB|ARpAk@RiBz@aBbBw@XiEc@LJaCnAgDnAI`@}AvAy@x@yBnAWf@iBIiBfCwE~BK\\m@|@oCw@QCqC~@{@Qg@fCqAKeCv@Wn@]Ju@|@m@^VPiApBxAZsAPl@pCWxAp@f@|@S^`Bl@wCzLdAbAAhAxAg@lB|@r@WnBv@dB`Dz@rCAtChA|H`BbCNjDxCdDCx@dBAtBuDfBo@h@_CzDcCzFdE^iC_@wAfA}BfBc@bAfAZOFt@h@Yx@r@~@a@@~G{AnBGvAy@p@aAyAoA`Ck@k@Tn@a@p@JxFrA~@LvCaBrBi@@TvCYr@b@dD]ZaB_@fAhBJrAzDsAGjJ[Xl@rHh@TS|BLpFUn@ZD?t@bCbARbCY~BzArBHq@j@WIbDfBhCDxAaAw@KzAj@|C`@XI|G{@WoAjBUMCdCa@C[{Am@v@l@~Em@t@OnB[FUxDhAt@m@hFfBl@t@iAxAOd@lA`A?FrAvB~A^tA?jEqDu@P^W|@l@^M|Ah@d@mB|@e@iA{@ZDj@_Ap@JvAmAfAq@K^`Bc@pAd@Le@rB_AU_@t@LbAlB|@TlBe@pFQ|BiChEmArGH`DaAnHlAbGaAtAm@k@QjBq@Vf@hAp@oA`@j@a@vBm@O[p@c@{@[ZFjAsA~@rAp@oAXSdBr@QTxD|@`Ab@Gn@bBZ_@R\\`@wBd@OW?FsBa@?QuCl@k@J`Ax@Qb@j@Gh@WYW`@SpA^P^dBb@SDw@ZzBSfAT\\MrBiAdAHzB_@j@t@nATlBp@h@?`GZ^M~@gAf@AhC|@t@p@lEy@tBIgBi@Z[k@F~Af@t@Yz@wExCcAgA_Bb@}BaAeAJ{DaC}BhBkDQiEqD_Du@q@cBiCTyDeAo@iAoCFoBkA_DwFiAQCqAu@a@a@uBgEuBiBaBQgAo@`Ho@jAYtC}@pA`@`@Ov@^j@aApCh@hASxFe@Bm@hEoAnA[a@c@VFtBe@UV`Dx@B?hAv@~@]`B\\|A_@ZRt@i@|@Fj@c@BtAbB{C`@WtCe@j@XxA[bARh@bAo@v@v@a@dBFvAo@v@}@WFt@eAJOv@k@Ok@lB{A`Be@gAcAxBo@UgBvFNvB{BVs@s@_@p@Go@_@Jw@{AeAe@UX}A}CWTDk@eCT_@q@Hf@i@nAVpAqAbC\\fAcA`@{@xCkM~DuCeB]j@]Q}@mEkBu@Gu@d@{@{@yAyA`CuBcAa@HK~@s@Ua@`DTtAgAz@gAmAwC}@B|Cm@MShAaBtAG`Dg@KOd@g@Mw@fBWaB_AJUgARe@sCg@[vCk@Xs@k@InCXrBu@QaBnA_@}A~@q@?g@aBoAeB{Dm@eD]fAYsAO^j@dDaBZ_FiEu@qBoAA?j@uCe@gBn@}CxEcBu@c@jDeAJOe@i@rD_AiAkB|AYc@KqCk@u@n@oEi@?{@~BYiBfAkBIkCp@s@CqAl@wB{A^f@cD_CeLj@kAcAeCy@SI{@{@BcArCW`C{@MWiBiAYA{DoBiBIuAwAcASwCqBdAcD{A_EfDdAzA]pDSAGhEk@lBeAM_An@QkDu@~AkAPi@uAIoFf@mIS_@}K}@wD}DaCeAsEZq@n@mAq@Em@Od@}F^H`I[?OfAqEzBwBpN}@t@mBrE_InJ{c@coB{n@hFdMw}@XyHPeAnASNyABaBmAmAVgB[}B{A}DLeAp@l@~@mGe@sHvC{Hv@iF`HsIn@sDj@mW{@aS|AsIlKySEgReBiLuEsF','yvhBajV?|j@?{vA','_gcB{mZ?zvA?}j@','}rdBkbN?|j@?{vA','}rdBmvL|T?~T?','g{{AklSo@a@GUJhB','gw}A_vW~j@?_U?'],['gohBwsMXtDaG?xEyG'],['a{aBeaKe@VE]CcBd@sAG~C'],['k}aBk`KCs@HGTV'],['iyaBkeKAA?A@?'],['uxaBaeK|@^f@v@Kd@_@D'],['euaBgbKLSD?A\\']],
+  'Europe/Bratislava': [['yu_Beyc@CuD\\{@`BTn@w@b@f@b@UAmBk@kAZ_DSwAi@Te@mAoBOi@w@IiE}@Q}A_E|HcFN{@U{@`BPl@kDk@w@EyA|EAl@}@P|@vBx@VsEeAeAIw@FcBjBaEwGeC\\Wq@Yo@cBL}DsBQIeB`@a@]o@P_@i@@DoAlAoEsAmA`@_Ae@wCf@eAv@EX_B^VPoAYy@t@MG}@v@g@U}Bi@CiAkB?eBUSsAnBKcCYSfAgCwBkDv@wFh@_AeAiKz@w@H}BnBoBgAwBrAcC@qBlAk@hF_Id@_BMoAv@H`@wDU_BxA_BZoH|HxGvAFf@hA`CGbArAfA_@zAj@hArDtB|CtH`Az@a@j@d@P`B]TPh@]bA^t@CxA`@h@AtDx@DIjCiBdEiFdB@nCuAv@cArCr@p@C~DlAZa@nCtAhG{@bAKdBZ`AGr@iAbALjB{@b@h@fKp@dCOpA^PG`AtAGjCtDhBLxDfDTlAc@fBx@x@EpCx@A`A~BVEZdEdAhAJlAk@a@}@vB\\RKn@\\r@qAGk@hBXlBeAh@UlA|ApExD~@r@t@a@Xd@jBM`EdAzBg@rE@dB^p@i@vAn@`AJhHlB`@`@xBh@k@rBf@r@MxAwDRNBtEt@d@t@dCKpDXrCWlAbAdIs@xKb@`Rc@lCaChELnAeBpAe@pC}BdByAfCKxCm@^\\`Do@dBTf@Ul@]i@Qf@yAq@wAfAD|@}@bB_Cz@w@Uo@`Bm@X][s@bCy@RCa@gA[{@Z{DoEsCZeHmEk@{AyAk@wAaDz@cG|@mA@gAcAoBt@qBQQ`@Qg@u@LcA{@wAIkCaC{CEoEwDmAQiG{@kAuBu@_@\\cD_B_ANk@iAa@?wAeKiAiAy@VD{A]s@uBoCk@XYc@MwA\\i@YwBf@wCu@kB','gw}Amme@?zvA?}j@']],
+  'Europe/Brussels': [['_gcBu~C{L{_@hEkLvEqDr@r@jAc@~@eBAiEqAX?eCe@OrAoJNi@rAFDiCWy@l@DyAaG?}A_BoEyBwCg@n@GiFf@KFwAS{AeDfB}@aEHoCbBXSoATcCGy@c@DwB_Fl@}B~@d@t@c@SdC`@D?aGh@i@cBgDw@K]w@^M?aAnAs@jAbAzAyB|@CMcCb@sAvAFCcEYSZmCkAcCHaAx@oAvAGn@yDXI@yE`AUUmB`@m@|@~A`@o@JfAz@GAr@t@^Vc@l@NjA~ARmAtAfACn@|@f@PdAp@Hr@]NoAnBJAeBs@eAt@cAQiAVGa@iAd@_@UuBNwBNe@f@JFaD`BuARiAl@LC}CvC|@fAlAfA{@UuA`@aDr@TJ_A`@ItBbAxAaCz@xAe@z@Ft@jBt@|@lE\\P\\k@tCdBqAjAb@hA{@jARxBrADd@bC`ANf@`Az@K^pA~@c@f@zBxAT`@v@h@_BJz@b@NxBMEiA`BsAl@JEmAb@k@`Aj@Z{Al@DtAvBj@q@v@jBa@xAn@t@]jDh@pAt@Pm@jB~@jDi@l@Oe@s@r@]_@Ed@s@ReAvCd@nAc@Lo@u@uA|BVr@O|Ce@C?nAeB~@e@hDe@\\\\nDMjBs@o@aBv@qAsAmApASrBW@kCeBs@j@Ae@cAWXk@}@He@{@_@d@@zA_@LhE`H\\g@pBJV~EbArBXzCaAnG\\`FW?WnB_@k@q@t@y@s@?_Aq@iA_AbAw@ECpCu@w@eBHkAkCi@V_@xAXZ`@e@B~@{Ab@MlAaBlB~@tFs@lBBdE~AhAcChBaAc@kBVqAlBRtEiAe@SzAt@p@^pCeAnDkCN}BnAc@q@o@FUnB{ClBIjAj@n@O`Ax@nEvBzA}@pBErB{Az@qArAS`BRbAgAfAyBQQb@u@uAyAr@W`AiC\\gKrI','ilcBkoHB?AEA@','a{aBeaKQ]F_De@rABbBD\\','k}aBk`KZc@UWIF','iyaBkeK?CA??@','uxaBaeKx@bC^EJe@g@w@','euaBgbKPH@]E?'],['mncBsrHB_@ZCGp@','}mcBsrH@CGA?@','{mcBmsHB??CC@','qmcBmsH?@@??A','wmcBesH@?@CC?','_ncBgsH?@@??A'],['encBkrHA??A@?'],['amcBqpH?A@C@D'],['mlcBsoHCA@?'],['klcBcoH?A@A?B'],['slcBqmH@?ABAA'],['oncBgmHA?@A'],['qncBisHI_@BGLX'],['gncBctHCC@C@?'],['{ncBitHA??A@?'],['yncB}sHAC@?'],['}mcBysHAA?AB@'],['incBysHAA@?'],['_ocBysH?A@??@'],['}mcBwsHA??C'],['cncBwsHC@?A'],['_lcB}rHAQF??N'],['mncBgsHAA@A'],['sncBasH?C@A?B'],['qncB}rH?A@A?@'],['incByrHCABA?@']],
+  'Europe/Bucharest': [['{ayAoqf@wAwD`@WRuD}AuA|BqGk@]DaAi@w@oAWDeA}AXq@u@WaEr@aBa@q@`@[I_Cd@WHy@g@iAmAYCaCeEq@Ue@LmCwAk@eBrBmA[sA}AOf@u@Yg@gB^wAi@Kc@mAaAp@N{BeAiAc@Bs@vAeAgAiAAy@cDi@WoA\\KmA{@sAMV_Ai@kAnAKcAiBuAOeCcCq@[oAgBJaAgA]PkDwBEqC]UwBS_Ar@iAa@g@i@Ta@g@LQmAoAcAFaB{DaBSaAaAKWiBm@?p@_F{Bc@OaAjAiC]cG_BcAK_CeBf@]qD{AaBYgBgBh@v@mD]yCaDm@aAiBj@m@C{ChBg@RaB^FbAgDd@yCkBgAd@iA@oCb@u@[iD\\gCdB{A_@sC]UIsBd@o@I{@`@gAj@]CcDf@s@y@oETo@mBmDb@oCa@{Bl@u@C}@fB{A|@Dp@eAd@sFpAOt@sAx@IAcFyJsReAuRRiH{@uCNsAa@m@LiAa@yERoAa@eDoBw@s@mBcDeCs@?[uAVGCo@y@iCAcEk@C?_Be@OL_@U]b@Ke@eAd@e@WSXGB}AUu@fG_Ka@g@ZEG_@lA\\lBuBFo@j@d@GiAf@DAsAv@h@j@aAv@bA\\qBvBELyA`@~@@s@b@Rb@cAh@?L_A\\`@ZWSt@X\\d@}@lAY`C}CZkBjACNu@^HI_@j@Rr@wAW]^D]o@p@cA|@d@p@_AdA^?w@r@BJg@XbATe@Qk@t@o@SaAp@M_@e@Lu@dAu@@`@\\Gn@qAXREYrAi@^t@N_@?d@J{BVMDn@XaBdAm@LuARe@J\\h@cBFkBTIBj@bA_C\\b@j@e@F^^_Ab@z@T}@ZINh@`@y@Td@f@KvA}B?^b@o@PVlAgAr@BLy@dCa@|@T@d@v@YzAt@vAaBRb@p@e@Vx@^HFc@Ap@l@d@ZSLr@rAe@p@j@YL^FSd@z@n@Tg@NfAjA?MWf@F?o@\\A?\\X]Xd@zA@Lh@f@MNf@`@_@xAf@hDoAlAVLg@b@v@bCORqAl@TbBw@tBXH_@pAhD`AaAEeA`CDtAwBl@eCvAG~C_C~DsUe@cDqApAe@eBg@j@W]d@{CfAgCeBo@}BqKmAmCJiBi@gAViAMcCl@gCxSea@fsAhiAHpXc@bEyOpt@PxD}AtA_@`CiBb@TpCo@fBL|B]lAj@fHdB|GIbBt@|D\\nKlB|OZdA|BzAdBxE~ClCn@tBpAfAfCrLKzBx@~EiAxE}@fAY|BXhEuAjFzA|MaC~FU|Dp@|DlAxBXfIe@bEuAzDSjG{@tD_@RPfHyA~D_@fDNdItA`GJrCiAjJi@|@u@LiEqA_AgGoBaAq@bBK|CkDxHw@hD{BE}@pF{@`A_Dn@k@bAy@PUsDmB_@]s@@iA`AiCg@{B_@GaCjDDlBi@bBoCnDCfBdAfB@bB~AjBxGnD\\zAoCnEuDvAc@fJYf@FvHeEdBk@~J{AjAiAUGkFi@uCsAX{@xEuBzCg@_E_@PeAgA{@Ha@aBaAVsB~ELtAg@fCV`@i@nBsCtAt@tCsKvSgA_CgBjAHl@{@JwAmAaDBiAg@UlA|@RFpC{Af@Db@c@Va@SoA~CqAVb@hByB`Aa@fAHrAeApB}ABeBpCUNOc@','gk|A_yq@?~j@?}vA','oevAy|u@_U?|j@?','qouA}ds@?|vA?_k@']],
+  'Europe/Budapest': [['ipzAcn^kG{PR_AUg@Ru@OaA{@~ABp@s@cDc@~Ai@R_AcCk@VL|ByAAOfAmAo@e@T?eAu@k@kBn@e@|@{@u@o@^CoAf@Wk@g@HuBcBkDwARSkA{@q@s@bBmAOc@h@D|CsAfHcAk@\\w@sAyCw@HQ}Bp@}EjBw@C}CmAmAbAOg@sLkDrA[m@cB~B_@uCiBw@Mj@u@s@Sj@gAcC]aDl@_@JyCxAgC|BeBd@qCdBqAMoA`CiEb@mCc@aRr@yKcAeIVmAYsCJqDu@eCu@e@CuESOyAvDs@LsBg@i@j@a@yBmBa@KiHo@aAh@wA_@q@AeBf@sEeA{BLaEe@kB`@Ys@u@yD_A}AqETmAdAi@YmBj@iBpAF]s@Jo@]S|@wBj@`@KmAeAiA[eEWDaA_Cy@@DqCy@y@b@gBUmAyDgDiBMkCuDuAFFaA_@QNqAq@eCi@gKz@c@MkBhAcAFs@[aAJeBz@cAuAiG`@oCmA[B_Es@q@bAsCtAw@AoChFeBhBeEHkCy@E@uDa@i@ByA_@u@\\cAQi@\\UQaBk@e@m@gB^sBn@p@p@u@JeBvCi@xA{A]_@?gEnA{@XoAZRhAiAjAN\\eDw@{BTeAYC?}@^CWe@jAWt@{A|BzAfAwBzA`B\\pDdBg@J~B~AbA\\bGkAhCN`AzBb@q@~El@?VhB`AJR`AzD`BG`BnAbAPlAf@MU`@f@h@hA`@~@s@vBR\\TDpCjDvB\\Q`AfAfBKZnAbCp@NdChBtAJbAjAoA~@h@LWz@rAJlAnA]h@Vx@bDhA@dAfAr@wAb@CdAhAOzB`Aq@b@lAh@J_@vAf@fBt@XNg@rA|AlAZdBsBvAj@MlCTd@dEp@B`ClAXf@hAIx@e@VH~Ba@Z`@p@s@`BV`Ep@t@|AYEdAnAVh@v@E`Aj@\\}BpG|AtAStDa@VvAvDRP[LJ\\gAdB^xAaAfA`AhACz@}@b@@`D~AhFwBnFN\\Sh@h@z@S~BhAbCh@q@hGjMOhHqAZEx@nAlAfA[HrCfAEWlEX^`@zBSJfAX@b@oAjD@xAb@IRn@\\[@t@bAHp@bBZC`@hBW|@z@PFhAn@CElAaAvAr@p@[|Dc@ZOlATh@Y|Ap@nA}@lDDrDp@xAuAdAw@dIyBfAiArB[fGl@TY\\Nh@_@PHdAa@D?_BG~@q@]Zh@g@h@n@@Dh@i@YJn@g@IQzAe@iA@nAu@]ElAGi@_@f@Dz@i@}@An@]KLhAwAEe@j@BbAcAtBm@xDc@?Df@qAdCmBJkArAYxAPbAm@p@P\\oBxAB`@YMa@dCy@pCu@OaAn@Ap@}@h@iAjC}BMMz@c@CNZoAjAo@U?b@gBmAa@Ts@`BGrBl@xC','ksyAqub@?zvA?}j@','ksyAqub@?}j@?}j@']],
+  'Europe/Busingen': [['ee|As~On@g@?tBMa@]T']],
+  'Europe/Chisinau': [['gg}Ak_s@[ZiB_DaA@|AsAUi@`AiAY}@oABStBeBnBM_@Xy@e@i@C_EfAo@f@uE_@EJqAm@@ImBv@mAi@iBj@wA@cBoCcABkB|@SB}BoAg@sAcGz@Jd@iB_@mETmArAkDjA_@lAcCPiFp@k@vBDMmAk@]JcApAOTk@gA}DNe@YaAlBMz@lBh@@FuAmAcADyAv@Wj@d@~AsALkAgBRe@{@Yb@}@sC\\CKYz@oBGcAj@KUeCTa@ScAPeAl@a@z@p@Ve@r@Xj@}BVn@pA_Be@gAfAmCAqAu@ITe@m@HUcDzEs@W]R?CcCfCfDj@i@Yw@Ly@hBt@~@xAdAu@rAj@Aq@lC`Bb@fC|AeAMkAlAB^z@O}@rACiAeB|ACcAqC|Cg@SkB~CM`MgGAg@c@BK_ClBa@Dt@zCJJlAb@]]gCfAOYkClC_Aq@kGbCi@k@{Aj@y@ZxAfBoA`CFpAp@~Ba@It@bAQNhChByB_@o@d@?e@s@hAOFw@Lx@N}@VBAqA^LDi@_@c@x@kAc@m@\\MlAdCo@jA^jAa@bDArFoCvCJZ~@OP`B_@LJd@`AQ@dE[FWlCe@T[c@kAjBfBxBj@Q}CxANd@j@IPx@bB_@XbE]i@}At@i@eAqCd@ZrCx@ABfEj@z@BfBTECmAb@CFzDxGqCAd@tB`A|BeFjEhFxAoBzAt@~@tKrAj@`E_AZpDjAWP~FrAOOhCtBlAb@II{@hDw@PhBlCo@\\zDw@?cAfF~CtDuAvBaCEDdAaA`AqAiDI^uBYcBv@m@USpAcCNc@w@Mf@mAWiDnAyAg@a@^Og@g@LMi@{AAYe@Y\\?]]@?n@g@GLVkA?OgAUf@{@o@Re@_@GXMq@k@sAd@Ms@[Rm@e@@q@Gb@_@IWy@q@d@Sc@wA`B{Au@w@XAe@}@UeC`@Mx@s@CmAfAQWc@n@?_@wA|Bg@JUe@a@x@Oi@[HU|@c@{@_@~@G_@k@d@]c@cA~BCk@UHGjBi@bBK]Sd@MtAeAl@Y`BEo@WLKzB?e@O^_@u@sAh@DXYSo@pA]FAa@eAt@Mt@^d@q@LR`Au@n@Pj@Ud@YcAKf@s@C?v@eA_@q@~@}@e@q@bA\\n@_@EV\\s@vAk@SH^_@IOt@kAB[jBaC|CmAXe@|@Y]Ru@[V]a@M~@i@?c@bAc@SAr@a@_AMxAwBD]pBw@cAk@`Aw@i@@rAg@EFhAk@e@Gn@mBtBmA]F^[D`@f@gG~JTt@C|AYFVRe@d@d@dAc@JT\\']],
+  'Europe/Copenhagen': [['oroB{uQiAkAwDusA|bAgChDuHuC|AoNab@|SgK|j@|`AjDtFjHl@{AyD_CL{FsHe^ge@hL}o@{@s@|HmP`G@rDiB~JeKz@ZrCnHdBZrBpEzD_AVdBjEYnF{Nbc@lj@pB`@kDrj@_D~Jy@rFShGeA|D_BHPnCnED}D~g@w@hFwCzHd@rH_AlGq@m@MdAzA|DZ|BWfBlAlAC`BOxAoARQdAYxHeMv}@smBzH'],['wgkB{y[Mok@t^|@x@|x@oBlEoML']],
+  'Europe/Dublin': [['erkBlvLvJ}PlGq@~BlEh@vHdHjRDjCrA~ArB[RlBbCExAnAdA`CrA[IjE~A`F_AlD`AtA?jAbDcHD}@a@aAp@Uv@~D`BrBUfHrC`FHbCZeAT`@fDcIvAgAd@gEvCC^_BM}Fr@OGi@rA{Aj@}B[e@ZaB_AiAC_Ad@TE_Bf@d@Wy@^a@AkA{@~@e@oAvA@aQgNSw@V}AbAmCp@IF{@`Bq@b@t@b@cBjAWpAuCc@aBf@_Br@[|@|@t@_@l@n@hAyAk@iAHwCYoAULh@eAEgB[u@qABl@_Bi@aAbNu[r@zBrBSt@wCrUiEjI~AjFwA~MGdOzIbFLx[pGnXxtB|@|GjMhh@dAvIFxEz@pByWnoBe\\`Fqm@{eAgjAvr@}VudBwy@ub@','yvhBhzP?|j@?}vA','yjgBhnO?|vA?}j@','}rdBlvL?zvA?}j@','{~eBffR|T?~T?']],
+  'Europe/Gibraltar': [['ameAtnIcDp@CmFrCl@\\`A']],
+  'Europe/Guernsey': [['co`BnuCBaUv[vAbElFbEjOvA`DcB`JaAdKwRoAgBkDy@mE']],
+  'Europe/Helsinki': [['g{eCicg@qLkbA~a@wm@bI_}CudAc}@kYu_C~_Ay{@nt@tPr_@utAvm@n|@hmC}cAvPr@xA_Kxl@|ArAcGzCeEza@}cAhfBdtCnEdNz@rGx@\\`BrDzDtBMbGdEpKbh@l_A?~_@fOv}Ad@|RjLrlArMtrDyXi`@}|@n{@ao@y_@_~Adm@g\\ejAm_AiyCct@qQaHyAkFbBkAu@sAx@Iu@_CdAgAvCmAE{CvEotBzP','{k_Cutx@_U?|j@?','}u~Butx@~j@?_U?','_~{Beil@?|j@?{vA','_~{Butx@|j@?_U?','arzButx@?{vA?|j@','arzBql{@|j@?_U?','cfyBql{@?zvA?}j@','edwBy|u@_U?|j@?','gnvB}ds@|j@?}T?','ibuB}ds@?|vA?_k@']],
+  'Europe/Isle_of_Man': [['ciiBhoH_Fi\\dC{UpWdCrJbRxAlJ}Glb@']],
+  'Europe/Istanbul': [['ukqA_xbAwEsK^cLjAcDn@mFbBeDhCsBfBg@nCFdCjAr@g@fWmbBfC{G|CsCVaF~AaG[u@?mU`BwDpCqBbB{TCiCkAuEIuDaCqL?}FoAmGNyF{@wDBcH~@kFlBqD^iH`AaEj@oKwCsHkAiNyAqBuB}FaAoJgFiK}AeFsBgCxF_TQuCj@BX}Cz@iAy@qBw@e@}Eaq@j@_D_@{AFYlCrAj@Gp@aB}@q@Bq@h@Bt@gCpAo@~Pe]xG{F`BsChDEt@{@rDqAb@XdA]h@~@zATvAdAHx@|@MOb@^KTjAxZoKzAaEHsB_@cAHoJk@sCj@oEl@w@DoAbA{BbCsC|@QTw@dAGIg@ZHl@{ACgAh@JDm@v@YAk@t@EBc@|@gAp@DFc@t@NmDzDYdCmB`A~CrFhSfKqAxCv@rD]?MvBnAjA|A_Bn|@aZnV~Oj@SlBv@f@oA?gAhCiH~@GM_BzIcFd@\\fA]jAx@tBH^eBzAs@R_CbAU|@eCx@_@jBpBfDs@m@n@GjDk@hAx@xBlAl@Dt@h@\\{L`WRpBYx@N`@UBv@t@Glj@oApBY~C]d@`@nFn@Xf@dBgAvEH^w@TSz@xAxBb@ER~A^Sh@\\Fx@h@A|@rAjCdAFfFx@|BAbBoCx@y@w@e@Jy@bBg@PTj@QnB_Ai@M\\|ErFr@jBlEn`@AnMb@`BaAlBgAnNPbC\\Ze@l@A|A`@VLpBtCjIXhFfBnBhDxIj@rFx@|@jCbLnD~d@qA~JBrPqGpJqBbIBhBo@`E|BzKdAb@LxCt@jAtApF?tFx@`BpCbLu@lJd@jBk@h@HdAjAh@}@bCq@H{@aA_@VEnAs@?g@pCNjAm@jE?fFjBjBnA_@zAhBtC]hE|A`Cm@t@e@Ai@h@RZi@Nd@p@Ig@q@Jw@pADHkA^ZbAs@^rAGbA`@Fm@xBXRg@d@Dz@vAlAw@jCNXn@c@r@dAh@o@x@d@dAg@jCZn@fAg@`BhBGNf@]r@l@zBzFh@?t@}An@{IlYc]ncAdDdHlQtNdAzApMtaA[`ExBvFDnE}@xHuHxUsEpG}LfJyBzGqClMiCbFyArHmAjCeAnMRbHvAQpM|B~BAlNfc@VbD|AlEw@pUwGjALfM_NbWwBCm@xBsA|@r@|@?|E_FpEWpCm@vAyBdA`@rBIvBpAzAzA`FpCnAb@nA`AzDRlEuBx@wEBiBf@ShCVrClD`Cp@dB]lBv@bGiB~HgAx@gCPs@[gB_FgBaCb@gCcBmDQ~B`@zAC`BqB`Db@bB_@hAArBu@j@wAjDsA}AwD|@mB{BgAoDi@\\SfCsFfE}@UWTkCNsAr@i@Rg@zE_FkBS}DyCiCkBx@gCk@i@nDyBbEnAzBMzCeAfB}DdAc@~@fBhAl@vCuDjL_AjAuAdHoCz@oBg@u@{@yBJy@]o@qC_AqA}Af@qChCsGkNf@iC|@kAeBW{AaBgA{EkB|BwDh@mD[w@q@q@vAmCjBeA|CkBvBwFn@}AiAj@dClAlVwj@Q{Cr^cT{r@m@cCDbCwCtYqDn@qAkDK}Bi_@yQy@{BsBoBb@cCo@uAoCEK`@mEj@eDGWbC_ApAe@GSbDw@fBqAv@iCmAEsIcBsAWZa@a@m@l@kB}Bj@}F_AqAPMe@ke@`ByC{@cs@l]}b@dFci@fAiRcBq_@tA_FbAqMdAsDLaHg@yGmE}@cDyD{EiR_Rad@qImh@eAqCgB}wAu@aJ|@cJAc@','w_pAe`eA?|j@?{vA','{gmAsctA|j@?_U?','w_pAy|u@|j@?_U?','cxgAk|`A~j@?_U?','}{kAsctA|j@?}T?','_pjAsctA|j@?}T?','anhAysnA_U?|j@?','cxgAysnA?zvA?}j@','cxgAgtcA~T?~T?','clfAgtcA?}j@?}j@'],['_`gAqliA?A@?']],
+  'Europe/Jersey': [['gr_BdbC~DqE~AiEbCsBpJr@hEdDl@pAtB?TbO_BhNyQpCwAaDcEkO']],
+  'Europe/Kaliningrad': [['odkB_jg@pGcd@}AkGtEkFUgC`@}C~AsCZyDjAgEEgFpAIb@mAEyAw@kAQgGf@gJq@kFvAMnB_BHg@m@[fBoD`@VKy@h@SOu@\\s@`AJTy@ZRp@w@|AtA?|@d@JE`Af@z@p@If@r@`AcAj@NxA`Cj@y@|@~@|Cg@TeA~CoBxAbsAmA|]Q~RmDn|@mHdNgJyKwBCoQiLg@}F?uNi@mK']],
+  'Europe/Kirov': [['}luBuodB?WTUF^'],['csuB}rdBFg@^Q_@tA'],['}vuB{geBMH?c@`@H'],['estBydeBdF}pApfBeIzBfz@GrJeA`T}@l@s@hFfAlLhBtCbwB~m@bBaBJ_FrAbAV}@b@b@As@vAb@]M@iB`@eA^DBs@pB\\r@lAFy@c@[QgBf@kBZrB`CE`AlD`AhAm@`A?hCmARAzBY`@DhAj@PAr@e@Sk@bDcBa@NxFw@Na@hAiAiD{@F?p@}AbAa@{@iAzGzBiDbAfDg@bEk@x@JfAaBqBBlCk_@fr@GdA[Jg@oByBjCcA`@Ui@L|A]CW~A_NhYo@FrAzDAjAfR|w@dExe@rAHqDfq@g\\gCDfDqAkGq@b@Bz@gBh@`@yEUoAh@mAAsAcDka@i@N{SaLiIhwAer@mqAqjAxd@oEbo@qQeh@q@mBLuBUAChAeCU]bB]B]yAk@z@a@oAY`AGcByHkBwFuEwB@jMukAreAmEr]m}@cb@i\\','kvsB_gcB?|j@?{vA','kvsB}rdB~j@?_U?','kjrBgw}A?~j@?ohB?pP','oroBa{aB?dtB?i\\'],['mftBa}}AAWHKHX']],
+  'Europe/Kyiv': [['ep}Augj@{@`@uHaAuB}CiAsD{Ak@gA^cAsAaCFg@iAwAG}HyGwXeE{@n@cHcHaG}IcAQEo@eOyPiF{J_B}EmBsBU}A}Am@q@qDOoKuDoCaEy@_CN[x@gAYQrBuAMCzAu@h@sAaA@{EaA{Ak@zDuBbDqAX_@rAOi@wBp@CdAm@d@cBW{BbG_DvAH|AsAVkAy@Ck@q@Rs@s@Sr@]OAfAs@u@gArB@uBsApAeAq@aAnBgAqC]qEv@IBeEzAHgRqo@d@uD}@wBAq@`@Oi@oCp@e@yBkI_@{HfAiDZeFU{@Ni@c@c@^iCB_Jw@LLuBb@AReEc@uCnGg`@aA{BZoGZw@x@F^mAQkBz@kEaA{AGsJjJgrAd@sAA{D`GgAk@iBdB_@oAaA_An@oCsB}@yDCqBb@y@o@iAfQwuAHeKUp@m@sBs@`@]i@iBbAHz@m@Xi@wAOz@eAp@kAYLdAw@d@Qu@g@~AKeBi@|A_Aq@Qb@S[ZaAwA@M{B{As@@dAU?EoAs@_@eP_`@~@iBSyA_Bq@F}W_@wBZkAY_Bx@kDZGr@pAUyAd@kGWKB_Aq@YDgBi@q@_@eCcAy@Q_BSDFpA}@m@qAl@i@m@EmBiCbBi@q@l@_FWY?_Bt@u@I}@vBiQy@yBBcAuB_Cv@MsAeCFgA_A?Me@z@iFEyAe@{@x@cCk@OLkBn@Gb@bAZaDk@^XkAm@k@o@aDEmHv@e@X^\\cDjXaT`@XK{@nDsGrAs@t@F^dAItD\\b@\\dIn@~A?q@l@q@EiA`B]Ey@p@KQk@dBi@Z_BlA`@l@zA`@Sl@bA`@MV_CXLGi@l@aAt@n@Oz@r@Db@vATa@`@p@t@wCgA{Cx@gEOqBd@mAg@m@LwB`BKt@_B[gC^cB{@u@AiPdA^|@e@VaAl@C^x@z@gBfh@aWpAqAEaFuA_Cc@Rc@mATqA_@_@N}Ag@gGd@yDz@_@bCuEvAWHgCwAiCf@MA_BfDcFR{AaBqAiCiJ[gCKiLeBiHlB{KzAmCKsBtENpGkK`AgEnBoA\\cAgA{K_Dr@JcE[gAD_@zCi@Lg@?kCdOgcAL}C\\f@lEgCd@uDlAoBAiDmAyBAaFc@mC~AcA~AdGdCPfCgDnAkD`CZf@sAd@f@DlCfBtBL|A~CxCdL{Aq@yAvAeAtB~C_AnKxC~@Gn@`@b@PYl@dAbCWzAlBj@u@KkEn@wBzBa@Hd@t@Bt@gBrBO\\e@Wa@`AIh@hEl@H@{AlAw@}AuC|B}@x@TGdC~AJ@v@hEnAVdAr@aB@tEpB}A`Fv@A~@p@Ab@r@U|EZhDeA`CFbAr@|@qAn@FbHXHDlDP?SdCc@?KtKThAbBZAnAdG^HhAg@B@fCx@?@fAn@Z@|Ht@??rEpA??nA|@F@j@rICRrAtBn@AyCdCRRlBrEHzG{EnFhK|@p_@bFjJtHpZnBzB@vT_ApAN|Ap@\\lk@dmAiFz\\yBpDo@`C?nAzAbBFdAoBbC{FvXsChHEfBb@pByAxDF~@V@nCu@lAhCrAe@`BbBpJ~n@_c@~~AMzC`J|J`GrCp~@`t@ySda@m@fCLbCWhAh@fAKhBlAlC|BpKdBn@gAfCe@zCV\\f@k@d@dBpAqAd@bD_ErU_D~BwAFm@dC_DuDbAgFv@?]{DmCn@QiBiDv@Hz@c@HuBmANiCsANQ_GkAV[qDaE~@sAk@_AuK{Au@yAnBkEiF}BdFuBaA@e@yGpCG{Dc@BBlAUDCgBk@{@CgEy@@[sCpCe@h@dA|Au@\\h@YcEcB^Qy@k@HOe@|CyAk@PgByBjAkBZb@d@UVmCZGAeEaAPKe@^MQaB_ANK[nCwC@sF`@cD_@kAn@kAmAeC]Lb@l@y@jA^b@Eh@_@M@pAWCO|@My@Gv@iANd@r@e@?^n@iBxBOiCcAPHu@_C`@qAq@aCGgBnA[yAk@x@j@zAcCh@p@jGmC~@XjCgAN\\fCc@\\KmA{CKEu@mB`@J~Bb@C@f@aMfG_DLRjB}Cf@bApC}ABhAdBsABN|@_@{@mACLjA}AdAc@gCmCaB@p@sAk@eAt@_AyAiBu@Mx@Xv@k@h@gCgDBbCS?V\\{Er@TbDl@IUd@t@H@pAgAlCd@fAqA~AWo@k@|Bs@YWd@{@q@m@`@QdARbAU`@TdCk@JFbA{@nBJX]B|@rCXc@d@z@fBSMjA_BrAk@e@w@VExAlAbAGtAi@A{@mBmBLX`AOd@fA|DUj@qANKbAj@\\LlAwBEq@j@QhFmAbCkA^sAjDUlA^lEe@hB{@KrAbGnAf@C|B}@RCjBnCbAAbBk@vAh@hBw@lAHlBl@AKpA^Dg@tEgAn@B~Dd@h@Yx@L^dBoBRuBnACX|@aAhATh@}ArA`AAhB~CZ[d@N?~Aj@B@bEx@hCBn@WFZtAr@?bDdCr@lBnBv@`@dDSnA`@xEMhA`@l@OrAz@tCShHdAtRxJrR@bFy@Hu@rAqANe@rFq@dA}@EgBzAB|@m@t@`@zBc@nClBlDUn@x@nEg@r@BbDk@\\a@fAHz@e@n@HrB\\T^rCeBzA]fCZhDc@t@AnCe@hAjBfAe@xCcAfD_@GS`BiBf@BzCk@l@`AhB`Dl@\\xCw@lDfBi@XfBgAvB}B{Au@zAkAVVd@_@B?|@XBUdAv@zB]dDkAOiAhA[SYnAoAz@?fE\\^yAzAwCh@KdBq@t@o@q@_@rB','_gcBwhw@?|j@?{vA','co`BcxgA?~j@?}vA','ec_B_pjA?|j@?{vA','co`BclfA?|j@?|j@','iu{AadiA}T?|j@?']],
+  'Europe/Lisbon': [['axpAh{PP{PiCeFkAi@_AqCyAs@KsDo@m@K}Jc@Se@}Be@YJo@g@i@vL?v@^~@a@l@oKq@y@CcB}AYCg@dCF\\e@i@}@]DEsB]m@L}@_@_At@}AAgChBp@YsDu@e@FcBrBo@{A{BVSCqAo@gDsEoNFq@p@_@@}EcBg@PsAnAc@TeBM}Cw@aAx@qAnBn@TmB~FhBd@g@lAAr@mAhD_S|w@be@pHG`t@hXIfBr@bDm@~K|BkAzEsFDcA|@kBvCx@xA_@rBwCp@`@xAMvEkG@}EtCyAhFhErAYTz@jAt@B`ArDbGjDXZw@zElCfALIk@XAbAhAXeBl@ShKePc@}BXIrAhAXa@~Al@xd@z^Zk@dCc@Rb@b@m@~CBhAg@n@VfDmA|JQRpCpHdP{A`{A{cBpWg_ApMuvBsn@yFR','w_pAjbN?|j@?{vA','w_pAlvL|j@?_U?','ysnAlvL|j@?_U?']],
+  'Europe/Ljubljana': [['uzyAcxYb@aD_@iFnA{DWeALeBfBmCSoFXuA_@oEn@YPgAYuAlBsAm@m@eA?cA_FgA_@RYQqBuHye@\\eBn@K@qAo@{A}@Ji@iBPiAq@_@NqEo@}EbCwIoBNIr@o@^kDDWqC{@oB\\sAm@yCFsBr@aB`@UfBlA?c@n@TnAkAO[b@BL{@|BLhAkC|@i@@q@`Ao@t@Nx@qCCtCuArBJl@YF@z@w@lAt@x@^lAKv@f@|@dD}@`@gAf@JSnCRpAu@tATnD~Ae@PpAv@j@EhAj@dA|@lHh@Ox@|@c@lDRbAxFv@|AaF~A~@tCMb@v@d@Y^Zj@}@JvAh@l@cAhCf@Z[f@n@TGv@fAhEdCxGlAsAWUn@Wi@Fe@kAtAPk@i@tAiAV^OzAPMHzAb@ER|@r@m@rAC|AgD`AnAmC|g@gAQu@j@QxIzB\\dClIg@hALh@k@f@^dAf@BaB~KR?BjAn@{@r@LBjCv@v@?`AOlA_Ax@l@|EuFdQcCiNhAsDXoFaB}CoBfDqBnA_@rBoAdCOpCyAh@cD}B_BIMfBh@j@DjAoAlBy@aAo@V{CeHqAg@[z@JdC[Hq@|CXnCm@W}B~AOuAq@{@y@PUyBgCgEAqD','ufxAs{\\@D?B@C','yfxAm{\\?CG@FF']],
+  'Europe/London': [['uciB?~EoK~M@l@`Aze@{[`IyBrDkq@~BsHnGgN`FmFzFuBtIi@bIrBbZzS|BrDvDlBbD`GjBlGb@JGmLvByIhBwBjCeAbCBrC`AbCuHfEfIxB`JpD|JhBtCnC`@jB|BhBzStAbG~@tJ`ClE`AtER|DObEgDzVn@vNPrBzBfHDzIfDfFtA~F?pTyBtHWnDtAjCz@vDj@`Nc@xDdCjG^~H{AtIgBjCaClAoA~D~@vL~@lCfGhAxLlK?rl@mAfO\\xGn@p@zCfKpFtDzJfjBad@wg@qD}KqAsKyE_FwCk@ev@n@Gb@u\\bMc_@skAqI`k@gZmOmBhEmBlBsJFqG{EcCqF?ye@pC}G]yI`AyKmAuJqC]wCoBgCt@sEGmFxHoRjNcJ|MeCzU~Eh\\fb@xz@cNt[h@`Am@~ApACZt@DfBi@dATMXnAIvCj@hAiAxAm@o@u@^}@}@s@Zg@~Ab@`BqAtCkAVc@bBc@u@aBp@Gz@q@HcAlCW|ARv@`QfNwAAd@nAz@_A@jA_@`@Vx@g@e@D~Ae@UB~@~@hA[`BZd@k@|BsAzAFh@s@NL|F_@~AwCBe@fEwAfAgDbIUa@[dAIcCsCaFTgHaBsBw@_Eq@T`@`AE|@cDbH?kAaAuA~@mD_BaFHkEsAZeAaCyAoAcCDSmBsBZsA_BEkCeHkRi@wH_CmEmGp@wqAjnAceBi@cZ_eGgi@o\\{OmfBm[jr@qs@imBhj@aWpxCzjDZqAMegAjBkKnFgKnImEbEAvBx@tD~DlVnQdHzCbIlKvAx@zb@qSnd@kd@dMgB~GyFjIcBzC}EhDsTnCiJ~FaItDwC','{~eB}j@?|j@?{vA','qfnBvnD|j@?_U?','unkBzvA|j@?}T?','wbjBvzE?zvA?}j@','yjgBvzE?|j@?}vA','yvhB|j@?|j@?{vA'],['oroBviZ{EwWtJyMlHdY'],['uyrBp~IjVd@aH`x@wKoL'],['kjrBrpHcMoZdKmZxOp['],['ampBhnOzYaKwFxn@qKcE']],
+  'Europe/Luxembourg': [['sw_BujJw@kBk@p@uAwBm@E[zAaAk@c@j@DlAm@KaBrADhAyBLc@OK{@i@~Aa@w@yAUg@{B_Ab@_@qA{@Jg@aAaAOe@cCsAESyBz@kAc@iApAkAjM_Ez@yCbAa@]gApAcCWqAh@oAIg@^p@dCUEj@VU|A|CTYdAd@v@zA^KFn@^q@r@r@zBWPFg@fCm@^WlAHbCl@`AMZpAt@YtAb@^EvBoARQrE']],
+  'Europe/Madrid': [['uctAvoBtE_AfE?dAb@l@iBbAMe@yBNwAlB_@BcAkASM{@v@aEKq@l@cApFdArAtBpA_Ab@mDkC[NoAj@J`FsXFiD_@uBvAw@j@LtFgJi@w@AaR\\oAYa@xCkBG_yAjAoBdDiBj@\\Zc@`A|@IiAz@a@n@vBTaAjAUFeEs@SPc@c@e@@oBs@QDqAYk@nBmJMw@pCw@bAeB]iCiB_BCqCk@eBzA_JhBcBJuBq@y@b@iEyAh@Ag@c@Eg@wBXuA}A{BFm@WOT_Bs@y@`@g@SsC`BwAWgADmS|i@bBh@j@pJrQhGpUxQ`]hEtZ|@bM`ArCh@dFlj@vn@jc@l^ze@kIlDgFz[zGjNxYnFlAtJvI`[lGf@r@pC~JrA~QrDhR`NtNr[dYj@jcAUpCXbt@xKn^hB|TbGbJYrKBlFbDq@hBaA\\zBxBtOy@rLJvIaDrHuIfIkl@p`@}@zDMvV}JPgDlAo@WiAf@_DCc@l@Sc@eCb@[j@yd@{^_Bm@Y`@sAiAYHb@|BiKdPm@RYdBcAiAY@Hj@gAM{EmC[v@kDYsDcGCaAkAu@U{@sAXiFiEuCxAA|EwEjGyALq@a@sBvCyA^wCy@}@jBEbA{ErF}BjAl@_Ls@cDHgBat@iXqHF}w@ce@iD~Rs@lAmA@e@f@_GiBUlBoBo@y@pAv@`AL|CUdBoAb@QrAbBf@A|Eq@^Gp@rEnNn@fDBpAWRzAzBsBn@GbBt@d@XrDiBq@@fCu@|A^~@M|@\\l@DrB\\Eh@|@]d@eCGBf@|AXBbBp@x@m@nK_A`@w@_@wL?f@h@Kn@d@Xd@|Bb@RJ|Jn@l@JrDxAr@~@pCjAh@hCdFQzPkyArMch@kzAhFu{BFgIdKcw@Q_u@q@eIGaVbAuEh@sYYsMhGi_@','ukqA}j@?|j@?{vA','w_pAwnD?zvA?}j@','sctArrH?|j@?ynD','sctAp~I?xbC?|j@','ukqAnjK?xbC?}j@','ukqAp~Iz`A?~T?','_pjA??zvA?}j@','clfAvnD?xnD?ybC'],['i~qA}{BZVl@s@IhBsAe@'],['{gmAamDg@qAnE}j@kIqCaCiDcC{SAgE`KoVlNyDnJxDvB~Ep@zi@vCdBjc@do@ct@vh@oKaT'],['{gmAkb@hCiTjQhAu@~X'],['mwkA{vAzLe^ze@`NaUpl@'],['ekeAvnDtPdGuGxS{MyH']],
+  'Europe/Malta': [['qxeA{mZ`BsYxIcNpCgC|JC`Bx@jCpDtAtH?dLoA|CcAdA']],
+  'Europe/Mariehamn': [['y{uBsxf@||@o{@xXh`@sFnu@qMzSqn@|W']],
+  'Europe/Minsk': [['sulBm~u@`V}aB?gE{ByBT{Ac@oBlA{Ee@sBy@J`@i@GoEbAEnLog@`r@nHbReSt@aG~@?`AeAh@`@V}AdBZ|DyFTTp@uDt@GLwB\\QIwDlAg@ScEdAh@BaAi@iA\\]AwB|ALz@hAZgAr@C^|A`AWTr@l@@L|@RoARbBj@A@`AhAGUcB~@mDWOFwAi@oA@yDc@gAv@sBM}@bAi@SoBb@XbBgM|XmDKhEFo@pA`@fC|C@nBpBnB@vBv@JS~Af@\\VjCm@fDSvJeCnAy@fDv[rEdBlEvBmCpAH|@cCBwAf@dAOx@`A^CdAf@[Mu@Xq@dAvADu@lAZEw@d@SdCLFvAlA{A^gClCLrD{D^vBG|W~Ap@RxA_AhBdP~_@r@^DnAT?AeAzAr@LzBvAA[`ARZPc@~@p@h@}AJdBf@_BPt@v@e@MeAjAXdAq@N{@h@vAl@YI{@hBcA\\h@r@a@l@rBTq@IdKgQvuAn@hAc@x@BpB|@xDnCrB~@o@nA`AeB^j@hBaGfA@zDe@rAkJfrAFrJ`AzA{@jEPjB_@lAy@G[v@[nG`AzBoGf`@b@tCSdEc@@MtBv@MC~I_@hCb@b@Oh@Tz@[dFgAhD^zHxBjIq@d@h@nCa@N@p@|@vBe@tDfRpo@{AICdEw@H\\pEfApC`AoBdAp@rAqAAtBi@HK~Am@YwAjAuADmBq@{@dA_A_Ac@oCi@UmArAgAMDm@g@Oo@r@a@cAa@d@[uAw@e@s@~@kBDo@pAWIUlARz@qAvBw@WHbAUPXbAgAtBe@`IaB?Op@qLqL_BmCsB{I?{DeDiIe`@lAm@rAiP|H}LzCo@`AeDEWv@yDP|@}D[gEZkBr@[WoAo@d@i@uAVyAs@s@\\_B|@k@{AuLf@OEoA|@iAqDeTMaC\\U@uEq@m@OmAO~AeC`Bm@qBWb@G_@eBez@k@r@_@eAeApAOxA_@Wk@t@HbDmDVH]w@w@}@HKr@WiA}BuAqAaDuFt@m[_o@VgA_@oGY{@q@|@e@mBy@AqAoEi@D[nAAnCa@nB`@~@YH\\f@@tAy@vFqAcFeB\\Bi@Yb@W]}A`AoBgEeFKu@m@z@eGg@_@_@kCsCeB?s@qAgCB}Co@}@`@uC`BmD{@_Dh@aCFmJyEe@','unkBwhw@?|j@?{vA','wbjB{pt@?|j@?{vA','yjgBy|u@zvA?}j@?','}rdBovs@?nhB?_k@','{tfBql{@}T?|j@?','yneByt|@MJCrAj@uA']],
+  'Europe/Monaco': [['y~sAwsMiLtDk@w@lL_ETb@']],
+  'Europe/Moscow': [['sh~CcwhBm]gkGjTggCuJ}iE~V}~@~KdzD|P_hHjxAdyMsYbmGnGzyMqs@rhEoh@usKv`@atC','u||CyvhB?~j@?}vA','u||C_gcB?|j@?{vA','wp{C}rdB?zvA?}j@','sh~CkvsB?~j@?}vA','sh~CibuB|j@?_U?','u||CibuB|j@?_U?','wp{CibuB?|vA?_k@'],['autCaq|Bsd@}tEfa@ikCrd@jeAjhAnaMnwDvwIfrBe|G|a@mkGnj@nXpuAs~AnfDzrKfcEfPtGngDnh@vgBkMrbC~Kd|@|g@qY~ZjpCbb@h\\s]l}@seAlEkMtkAvBAvFtExHjBFbBXaA`@nAj@{@\\xA\\C\\cBdCTBiAT@MtBp@lBpQdh@nEco@pjAyd@dr@lqAhIiwAzS`Lh@ObDja@@rAi@lATnAa@xEfBi@C{@p@c@pAjGEgDf\\fCpDgq@sAIeEye@gR}w@@kAsA{Dn@G~MiYV_B\\BM}ATh@bAa@xBkCf@nBZKFeAj_@gr@CmC`BpBKgAj@y@f@cEcAgD{BhDhA{G`@z@|AcA?q@z@GhAhD`@iAv@OOyFbB`@j@cDd@R@s@k@QEiAXa@@{BlAS?iCl@aAaAiAaAmDHeDg@qA\\{@rAH`@lE`AfBAhAt@MgAdChAaCpAKnByBe@`@q@[b@sAm@p@NgAq@cAn@yAc@{At@c@DsAaAGO}@v@]Of@f@t@DmC`@d@dAc@uBsCRy@_@{AkAk@d@oAAyA|AyAHr@b@YCmDc@C[qA[f@OcCe@FE|@qAFBo@k@GFw@wA~@a@YjA_BYy@jBwBa@gAv@}Aq@gAq@nCq@{@pDuLJwCsMxHi@nAsAmAg@gEUZ]a@Hq@gAUD{@]EEp@EoAc@D@cAb@a@i@uAAgBeAe@Ni@_AIGhAi@G@nAo@b@`@qBy@_Ak@d@XsC[Ur@_CUQDmAh@\\MtAnBAl@fD~BVt@~@^q@n@t@jAsZYcAtAmBGkDfNpJZ`BM`@jAv@Rg@CdEZ`@t@]BeAp@Ph@oIo@w@iBuOj@a@R_Ex@o@g@mAh@_@ZjAHkGbAbBbAa@{@sDl@[v@`BFe@u@}@?aCn@Xh@cBh@MXaBq@e@l@q@r`@fdAtO}Vf@Wg@qDdDhBHoAh@^vAs@~Af@f@tAZu@Gz@v@DhBtEPc@ZrBdDWz@~@h@u@TrAh@q@n@|@XiAVd@f@_At@XFg@XXr@g@Dl@p@AdG_BtElCd@~@uGhGXlHs@WKhBiAd@[nBgBZEaBd@HQSTuAOg@g@lATaCc@yA]t@k@mAw@pCeAn@`AdCt@kAJbBf@VKbCe@E_@_BYbAJpC{A|Gj@~Bw@hAr@`AcB|C}A]@d@m@a@O\\DdBSFv@xA`ASa@xBc@F@bAVFOjBp@dBTKyNx}@f@nAr@@t@~A|At@QbCdCLXg@|@hAdA]L`BhBA?dBu@M]~@j@fBYpCy@ZR|B`BtDb@zCm@CwHzXsT~w@`CrDu@rBd@d@?dG~D|`@AvE{@}AXx@KjAWEVzB]jBw@ID`An@CE^x@q@RrAo@`@^bC[R`Dv`AYTr@pBKr@{An@TjFiDhIGbBj@bAf@}A~@bA`AmEl@S~@jDpd@lc@@tBVRf@c@y@sAZ{Aa@TAaA^M]BBiBTJZ_FjAUCk@XCYAAm@xAmAJ}@Bn@~Bh@d@x@CeEVb@BwB`AjAZy@c@w@La@bDmBr@uBQc@dAu@ZdA~K{Qx@kCFuDfDPQeAXo@v@n@Qz@`@|@xBPTYOwB|AUNs@Lt@^SRfBDcAhFv@bB_@nQzFnJxcAmCtBz@f@P|@^Uo@xCdBRAh@ZFWnAlAf@q@xAn@n@StAh@j@]t@\\bAy@dA?z@YKAt@lA~CxAm@x@^wKf]Fh@u@hAd@~Ad@s@~@\\@i@\\Rn@w@v@dCYLX|@Wv@bBx@pAnBN{@`@t@cArEg@`@~@nA]~Bo@z@n@x@sCjGj@bAiBhFpAzC[xEHbBj@h@ApDdKjf@fDJbUhKvAjBlR{RIu@rB`@lAmAdC@fAtNvAbANtA?jF_@Vn@`G@lFWnDaB~GjAhD|CzBzBf@^nCdMn`@fa@kLvsAopA~A}B`BF~AzCp@PnDeBr@HGrA~AnA[n@fAnCxBtSvAxEtG}DTjFbA?Cs@xDoAH~Az@`Bx`@mu@rBk@AoC{AiB?cFRQ\\v@|BSb@_Ic@oC{n@__ABs@n@@FsAKuZUTgBeBx@wFhr@{hA_G{d@~cAwDd`@zh@|RojAnBMvAkBrDX|GgPfGxO\\Hn\\~Wdd@_|@jv@vSn@f@xCgAzAmCb\\sR`IsI~DmChM}LjEeHtF|LpB|@zJbJz@xDvAvBp@|HbA@`AnBhC`@FpA|@e@x@vCZa@xAR\\h@AfCbAv@OlBaAt@DbB]|@h@R?`A`@l@w@dBkADKvFgAvC}@rAcBIQpAsDx@SbAy@Yo@tAwA^l@xA`@BS~@P\\i@Em@|@u@i@cBhDoBv@XbAqAdAYlAu@p@]c@}An@^vAd@KK`E|@pAg@x@sBd@Qt@t@|ByAn@kPho@[b@_Q_HgLjmA@vMb@fAjB^Ez@q]xjAEnBu@DIbBq@h@V~Ak@dA^vCiC~vB|T??}j@~T??`NkBPeN~YqBzBElG}Khb@gCt@{D`PoEdEiCvFoBzAcAvB_K|KsPlXaBrEgCdCsJpe@kD`EoLhj@qBfCuDxAsJz]cO~CkB_CoBQeByBaEc@sIZ~E_f@ej@}c@{^xZcFkJ}@q_@oFiK{GzEsEISmBeCS@xCuBo@SsAsIBAk@}@G?oAqA??sEu@?A}Ho@[AgAy@?AgCf@CIiAeG_@@oAcB[UiAJuKb@?ReCQ?EmDYIGcHpAo@s@}@GcAdAaC[iDT}Ec@s@q@@@_AaFw@qB|AAuEs@`BWeAiEoAAw@_BKFeCy@U}B|@|AtCmAv@AzAm@Ii@iEaAHV`@]d@sBNu@fBu@CIe@{B`@o@vBJjEk@t@{AmBcCVm@eAQXa@c@Fo@yC_A~@oKuB_DwAdAp@xAeLzA_DyCM}AgBuBEmCe@g@g@rAaC[oAjDgCfDeCQ_BeG_BbAb@lC@`FlAxB@hDmAnBe@tDmEfC]g@M|CeOfcA?jCMf@{Ch@E^ZfAKbE~Cs@fAzK]bAoBnAaAfEqGjKuEOJrB{AlCmBzKdBhHJhLZfChChJ`BpASzAgDbF@~Ag@LvAhCIfCwAVcCtE{@^e@xDf@fGO|A^^UpAb@lAb@StA~BD`FqApAgh@`W{@fB_@y@m@BW`A}@d@eA_@@hPz@t@_@bBZfCu@~AaBJMvBf@l@e@lANpBy@fEfAzCu@vCa@q@U`@c@wAs@EN{@u@o@m@`AFh@YMW~Ba@Lm@cAa@Rm@{AmAa@[~AeBh@Pj@q@JDx@aB\\DhAm@p@?p@o@_B]eI]c@HuD_@eAu@GsAr@oDrGJz@a@YkX`T]bDY_@w@d@DlHn@`Dl@j@YjAj@_@[`Dc@cAo@FMjBj@Ny@bCd@z@DxA{@hFLd@~@?GfArAdCw@LtB~BCbAx@xBwBhQH|@u@t@?~AVXm@~Eh@p@hCcBDlBh@l@pAm@|@l@GqAREP~AbAx@^dCh@p@EfBp@XC~@VJe@jGTxAs@qA[Fy@jDX~A[jAsDzDmCM_@fCmAzAGwAeCMe@RDv@mA[Et@eAwAYp@Lt@g@ZBeAaA_@Ny@g@eACvA}@bCqAIwBlCeBmEw[sEx@gDdCoARwJl@gDWkCg@]R_Bw@KAwBqBoBAoBgC}CqAa@Gn@JiE}XlDcBfMc@YRnBcAh@L|@w@rBb@fAAxDh@nAGvAVN_AlDTbBiAFAaAk@@ScBSnAM}@m@AUs@aAV_@}As@B[fA{@iA}AM@vB]\\h@hAC`AeAi@RbEmAf@HvD]PMvBu@Fq@tDUU}DxFeB[W|Ai@a@aAdA_A?u@`GcRdSar@oHoLng@cADFnEa@h@x@Kd@rBmAzEb@nBUzAzBxB?fEaV|aBwXdBQrBaDx@sCzEu@WG{@k@@}k@~c@}DiBuBt@yAiCR]_@}@\\GAy@o@e@oBdBIsAmAYCqGYk@f@aAYmBq@k@y@@WrFYm@GlA}@l@Iw@mA]i@bBp@IS`AaBZ{Ay@{w@kEwBkBwBa@mBaDoB[{AsFIuEwDwCuDnIU~CwBhHoWvtAkOit@ch@m_AeEqKLcG{DuBaBsDy@]{@sGoEeNifBetC{a@|cA{CdEsAbGyl@}AyA~JwPs@imC|cAwm@o|@s_@ttAot@uPeUmu@a@cCb@eEk@wCuFaHyD~A@|A]JUeC^oC`FgQTyQ_AsFiFMk@fB_Xma@xjBufOw]ghFnPqrDra@sm@e@ivBkdA}kHbKelFkk@{n@to@sqBghAxpCe[r~GodAd{CabFqsG}{@yxE','c}qCezwB?zvA?}j@','iymCszlB|j@?}T?','ouiC}rdB}j@?~T?','makCszlB|j@?}T?','uedCmgxA?|j@?{vA','sqeCkjrBzvA?}`A?','uedCibuB}j@?|T?','q}fCcfyB?|j@?{vA','uedC_~{B?|j@?{vA','uedCql{@?zvA?}j@','uedC_pjA?|j@?{vA','uedCw_pA?|j@?{vA','kvsButx@?zvA?}j@','kjrBwhw@?|j@?wnD?zvA','oroBql{@?vnD?{vA','qfnButx@?zvA?}j@','{~eBo{vA?zvA?}j@','{~eBsctA?|vA?_k@','}rdBukqA|j@?_U?','yvhBod~@}j@?~T?','yvhBk|`A?zvA?}j@','co`B}{kA}j@?~T?','gk|A}{kA|T?hF?','i_{AqouA?|j@?{vA','i_{AsctA?|j@?~j@','{a`CkjrBry@?uM?','{k_CibuB_U?|j@?','ezwB}`oB?heA?}j@','gnvBwbjB?|vA?_k@','gnvB}rdB?zvA?}j@','gnvBec_B?|vA?_k@','ibuBksyA?zvA?}j@','mftBa}}APIIYIJ','qfnBgk|A|T?~T?','qfnBgk|A?}vA?|j@','unkB}rdB|j@?}T?','wbjB}rdB?zvA?}j@','szlBgk|AzvA?}T?','wbjBgk|A?dtB?i\\','mgxAmgxA?|j@?{vA','iywAaezA}AgKlCpZl@iG','uwrAi_{A?|j@?{vA','uwrAksyA~T?~T?','sctA}{kAqy@?rM?','uwrAo{vA?zvA?}j@'],['gcgCec_B`t@utAdWpaAwQtqBoh@cN'],['_~{CclfAzBi~@tIaXhG|dC'],['yneByt|@XHk@tABsA'],['_xlBcufBXMFJMP'],['cwlBitfBJFEROQ'],['aolBm}dBQm@r@KBt@'],['{`yAi_{AnBOCxEiAM'],['mhxAstzAcB?W}AxBl@']],
+  'Europe/Oslo': [['oihCojb@abAmzM~^yeHho@q~@~Wla@j@gBhFL~@rFUxQaFfQ_@nCTdC\\KA}AxD_BtF`Hj@vCc@dE`@bCdUlu@_`Ax{@jYt_CtdAb}@cI~|C_b@vm@pLjbA~j@ff@cMt}Ahe@r^lBrgAdnBdeCBtCbxBlUxL`{A`k@hk@pvB_w@dwA|c@vApD@|K|y@lQdBhAUfKsCQwFxFfArJlDzBjMb^~^l~Al]|uBsh@poBaq@`w@eyCfRieE}kJqxBksBgo@vZ','oihCoad@?|j@?{vA','sqeCwq^?|j@?{vA','uedCu}_@?zvA?}j@','q}fCg}j@?zvA?}j@','q}fCkeh@?|vA?_k@','q}fCsia@?|j@?{vA','sqeCu}_@?}j@?}j@','sqeCqub@?}j@?}j@','oihCutx@?zvA?}j@','oihC}ds@?|vA?_k@','q}fC_mp@_U?|`A?_U?','sqeC_mp@?vnD?}j@','ymaCye]?|vA?_k@','{a`CajV?|j@?{vA','arzBinO}j@?|T?','cfyBmvL}j@?|T?','mtqBinO}T?|j@?','m~pBmvL?zvA?}j@'],['ouiCtpQcT}pAzKuu@j_@l`B']],
+  'Europe/Paris': [['a{aBgmAeERgEk@oCa@iBuCqD}JyBaJgEgIGaDaE{QIeEhAe@fKsIhC]VaAxAs@t@tAPc@xBPfAgAScARaBpAsAzA{@DsB|@qBwB{Ay@oENaAk@o@HkAzCmBToBn@Gb@p@|BoAjCOdAoD_@qCu@q@R{AhAd@SuEpAmBjBW`Ab@bCiB_BiACeEr@mB_AuF`BmBLmAzAc@C_Aa@d@Y[^yAh@WjAjCdBIt@v@BqCv@D~@cAp@hA?~@x@r@p@u@^j@VoBV?]aF`AoGY{CcAsBW_FqBK]f@iEaH^MA{A^e@d@z@|@IYj@bAV@d@r@k@jCdBVARsBlAqApArA`Bw@r@n@LkB]oDd@]d@iDdB_A?oAd@BN}CWs@tA}Bn@t@b@Me@oAdAwCr@SDe@\\^r@s@Nd@h@m@_AkDl@kBu@Qi@qA\\kDo@u@`@yAzA}APsEnASDwBc@_@XuAqAu@L[m@aAIcCVmAl@_@f@gCQGOwBfBwFn@TbAyBd@fAzAaBj@mBj@NNw@dAKGu@|@Vn@w@GwA`@eBw@w@cAn@Si@ZcAYyAd@k@VuCzCa@uAcBb@CGk@h@}@Su@^[]}A\\aBw@_A?iAy@CWaDd@TGuBb@WZ`@nAoAl@iEd@CRyFi@iA`AqC_@k@Nw@a@a@|@qAXuCn@kAn@aHPfAhB`BfEtB`@tBt@`@BpAhAP~CvFnBjAnCGn@hAxDdAhCUp@bB~Ct@hEpDjDP|BiBzD`CdAK|B`A~Ac@bAfAvEyCZFfAjDVE?y@ZPMn@n@Y`@bAa@vA`@VPeAlAjCSnBj@dDe@ZG|BeB}@FlA[bA^hB_@hBPlApAe@h@zBt@B@p@fBbAg@qGVcAt@MP|Ax@ZPlBvA]nCdF\\QrCdH\\T^u@tBhEr@`FOPxA|BlA_AzCbAl@u@\\JdDrIdFvI|@}A~CfDh@Yv@j@`BsEbDfCbAk@Xl@QXNjBrAjC\\}@hBjA_@iATqAa@a@T}Cc@uAo@[cAqDw@aAi@\\XdAs@j@o@USx@_BaAwAcDWuDoAyDBeIt@uG~A\\p@dArC{DtCxBbCL\\mEpCv@Ne@i@{AtB_BNs@b@YR^Zy@`AMb@fAz@Pr@pBCvBp@\\_@l@Hr@xERvZmSt@C`Ir^l@_AfBSFuCt@Rt@u@p@h@Da@t@TnBaFFiAvh@aRJiA~@mAG_Cx@YQeAX_Ac@IOuDc@uAJoBu@_@D_BtAb@`BiBf@Hh@ZVhA|@On@b@r@fD`BLXbBj@`@nFwAnDmCxCi@rAbEmL~Dj@v@hLuDlGvKvHbSr@L~Wdw@_CjTgEnLcB|VaFxJJfAkJrw@fCvE`AnEjErFph@jLElSVfAaBvARrCa@f@r@x@U~AVNGl@|AzBYtAf@vBb@D@f@xAi@c@hEp@x@KtBiBbB{A~Ij@dBBpChB~A\\hCcAdBqCv@Lv@oBlJkB[c@}AYtB{@OOhGw@pA@fC`@n@l@MPdAeDhBkAnBF~xAyCjBX`@]nA@`Rh@v@uFfJk@MwAv@^tBGhDaFrXk@KOnAjCZc@lDqA~@sAuBqFeAm@bAJp@w@`ELz@jARCbAmB^OvAd@xBcALm@hBeAc@gE?uE~@_EgDqEi@ifB}N_n@f[kElEsl@`j@u{@|bDyf@?kh@ssC`AeKbBaJxQqC~AiNUcOuB?m@qAiEeDqJs@cCrB_BhE_EpEw[wAh@}TT_AWaHnO}qAuDq@eBkAqEuIeFuRgFy^W_GoC_GgHqEaH_A','gw}AojK?|j@?{vA','co`BwzE?~j@?}vA','kizAq~I|j@?}T?','i~qA}{BSf@rAd@HiBm@r@','gw}AvzE?|j@?}vA','gk|AvnD?|vA?}j@'],['a`tAyuM~c@{Jwb@|LQ]'],['uarAwjO{g@uhAzMeDlCsA|e@_Htr@hKv@hJjChGvA|As@lGpB~Q']],
+  'Europe/Podgorica': [['o_tAspd@|ABvA{Ep@q@n@sDtAWfAuCz@P|@c@`@qCrAm@h@wABiDnAc@RaBj@Ce@}@t@}Au@iBxBk@l@iBx@m@pDkPzCMElBj@tAdAUf@^ZtBm@fAXPk@~AVpCfARPa@T^jB_EbAfAxAWf@VXtBbAZuDxMgAPq@z@`A`CpMtJl@bBxADdHxGvCqFtC`A|Bg@NhAdAg@\\z@n@mAnAN|HdI{FzNoBbBiDbAwE~FkAzE_FjLkJoFoC`Cg@pAoCG_A{B\\wAOWiAfAe@c@KiAaBz@w@q@_@rCaDzAUs@q@NcAqAqAr@gC]kAkAEyF}BHwKiGc@eCu@`@UuCz@yAz@PgEcD{Ah@KlBgBJZx@YPo@gC}@a@nBkBeAkE']],
+  'Europe/Prague': [['ahaBavVAoAX_@fA?BiBh@WMd@RNr@mBn@d@f@[H{AkCF?w@i@J}@}Au@BCaA_AkAHi@}Ak@g@aIf@cAeAu@a@yBb@]y@QnBaGuAoC}BWRiBe@_BXGDsBqDiBA}@b@WK_Au@Ce@gBo@J`B{DiAuB]Tm@}@u@d@Su@FeBk@{B\\sAe@eBPaE_@MCiA_BCDkA{@gB^mAO_B}AcHy@QMcATkA]eDiAQc@jD}@WNhAUt@mAu@YV]w@^aDf@s@a@yAXmAo@Mp@@b@gAK{@|@gAvBhAMoDfC`A`@sDd@YBmCeB{@BeJiBXyAaAg@^P`@Wh@aAgBPuBn@cB{@uAhAO_@qBd@U?s@t@c@h@n@pAQhBuDvBM}@aC~@gD@_DlAkEc@{E`DyAc@gEP{@hB}@`@fAZmA_C}Cb@cCb@[KaAmAc@RwEbDkETnAh@KJn@V]x@rAI~At@b@AdAj@lA\\WQd@f@`@l@c@DmAlAs@_@s@DoBdBk@F_B|DiFbCYhBqCZoCsEeGDyAm@a@?qBk@g@x@m@[y@s@r@k@c@o@`@YpBsCdAe@dBcAi@Mu@|@cCSo@h@mBBsBp@_AMwBl@BxAaDQeC~BAe@m@J_Bp@e@c@c@MoGTa@WoAo@kAs@Bv@aCtAt@h@oAx@L@pAh@Vp@~E`BqBNu@[g@Ti@jAqAtAYZoB`@Bj@sAMmBmAcDXoA_A@CnAu@{@j@mBbBw@ViAc@e@BcAr@ML{Bp@En@mA[_Ae@`@TcEdAyBDsAs@IHeAnANd@oA`AhAbDwBp@Fd@uAAsAt@}@?cCbF{@Vk@t@j@L[BtAt@jBg@vCXvB]h@LvAXb@j@YtBnC\\r@EzAx@WhAhAvAdK`@?j@hA~@ObD~A^]tBt@z@jAPhGvDlADnE`CzCHjCz@vAMbAf@t@a@PPPu@pBbAnBAfA}@lA{@bGvA`DxAj@j@zAdHlEKh@}D`@VjE_AtCRrAiBd@CjC}@hBjDdIc@dA\\X[dMcAxEs@vAc@OW`CYIWlBa@@BzBl@r@MjBuFxSFxBa@t@pA`@KjAb@~BeBFMtD[?MvAJr@dA`@~C[lJ~K`@vAfEfDIz@o@d@r@xA[rB}@bAHr@b@WfAp@GxAh@CEz@l@p@y@xB[xK_Ad@YhAYuAi@IEp@_A|@I|AiB~CIfAQhA_@W}@l@Kt@o@\\w@VJdCgCpAPf@_Az@BpCv@P}@nC]l@_CJgCvEHhBg@hBoAVy@xBwAx@a@|AoAHoAfDK`Cb@MYhEcBv@{@`BShBqAj@}AS]lBcDv@B`AgCJc@~CcBpA_AoC_B?Gq@cDcBe@pCuA]Yx@Tz@e@A[`Ck@t@JZg@PIlBe@Y_ArCcAJq@i@}@d@WhAq@PFn@g@fAm@}AYT{@r@CcA?GAI','co`Bwq^?|j@?{vA','co`B{mZ}j@?~T?','ec_Bu}_@?zvA?}j@']],
+  'Europe/Riga': [['uapBkym@GakBi@cAd@eBnA_A?oBb@W@sCYiATqBvCfAh@gFb@Mb@}Bt@t@z@yBvBcAd@kBk@c`@_AgCz@g@Sy@NoBlDaS|k@_d@j@AFz@t@VrC{E`Dy@PsBvXeB|Oh_@xEd@GlJi@`Cz@~CaBlDa@tCn@|@C|CpAfC?r@rCdB^jCf@^{@dGt@l@FdEy@rCE`DaAr@AfAq@xAuD`CwG`RAlAmBnA}@fGaAW{@t@Zj@@`B}@bCf@|@QpCPVY^XpD}A`D^bASvE_DdAwAfDmBF_B|Bw@WQ`AZbAf@UHhAUd@l@|@IrCv@X?tBz@Hl@|AdAEz@zFg@zBJbAo@b@IjB\\GdA`FBlBw@n@EfBcBt@WlLb@hAaBBXlGv@hDg@rEu@dBGbD^nGz@[~@tDs@bCuCp@O`AAx@pAnA@rIh@bB}@~Bs@rJ\\`D_@hARlCo@~@O|C\\`DOx@`Mvk@pAxCfAWzAhAQrApAb[ezAu]{DoFwJyWuH{|@bUq^`Su]cAiQ','qfnB}ds@|j@?}T?','szlB}ds@?|vA?_k@']],
+  'Europe/Rome': [['cuxAgwL|BqBg@iBf@iA{@q@@qAcAiAp@wDmAqDs@o@HwA{@M`@cBsAwX_Am@q@X_AYUqCc@MUeAgA]aBr@qAhBeAeBMuCq@WWmAc@AYaBm@??sHbCBfAhAbAw@\\T|@mDjBsAPy@VRh@e@AgAr@cCq@w@f@c@@{Ap@{AlDbC@yAx@}Bv@@~BgBhA`AYwANqAXD@iAiBo@u@cAu@jCaAHQp@o@mAuAb@w@gCk@W}@`@a@_BgAoA@k@uBkAIu@aACwBaBqCb@?oJn@FVeAnBuAj@_Ea@sARkAsBk@^oA{AcG\\c@YaAv@kAv@^Rg@v@Fd@wBfAVXs@Uy@sV?qNeVlDaZDmFoAa@a@wAcATuAu@eC{RyA{Bt@wBy@oDh@kAA{An@gAm@eAOyB?wPjAIp@iAl@p@N{AfMkRr@yBIcGl@oAYyA^mBr@a@DoHdB_Sw@gBh@mBOyCd@_@IqAXSMs@l@iFdDp@@pDfCfETxBx@Qp@z@NtA|B_Bl@VYoCp@}CZIKeCZ{@pAf@zCdHn@Wx@`AnAmBEkAi@k@LgB~AHbD|BxAi@NqCnAeC^sBpBoAnBgD`B|CYnFiArDbChNvEtIrE`Ujt@|PjIiB~BmCzAkDlBcBjCaMnN}VdBaMvFgJtBuApCa@vUcKjRqE|JiGjDuEtDoI~EcFhB{HxNewA~BeEla@}GtCeJpBcNrD}NrFoNdG{JlDoNfAgHvCmHvm@yb@jjAtuAjbA|gA|Exm@~Cx@nFy@ry@tIR\\c@|f@sArGim@paBcE~XsGrKgFnDcVxZgL{c@wHgk@CwVfHgb@cFmh@R`EQ~CeSnUcTcbA|_@yC`@p@m@kLie@sRoC?kqA`}BiOhdAwd@pQsH~HyCnJcSvYgT`nB}e@~GmCrA{MdD}d@_Se@VCjBcN~_@cA|I}AnEoAnO~TlTdEhHxEfSzA`KAjEyCh@oDlCoFvAk@a@YcBaBMs@gDo@c@}@NWiAi@[g@IaBhBuAc@E~At@^KnBb@tANtDb@HY~@PdAy@XF~B_AlAKhAwh@`RGhAoB`Fu@UE`@q@i@u@t@u@SGtCgBRm@~@aIs^u@BwZlSyESIs@^m@q@]BwBs@qB{@Q','mgxAizP?~j@?}vA','mgxA_vW|j@?_U?','qytAemW}AHdApC@`AjBIJ{C','sctAajV?|j@?{vA','uwrA}aY?|j@?{vA','ukqA_vW?zvA?}j@','ysnAye]?|vA?_k@','}ypAqiWGBHPBQ','{gmAu}_@?zvA?}j@','sctAc~T?|j@?|j@'],['ywxA}nPe@O@Sh@@'],['yqoA}fPqB_Rr@mGwA}AkCiGw@iJpAu@l@oAxoCeHvWxzAcbCv^i_@aO','{}mAgfR}T?|j@?','{gmAgfR|j@?_U?'],['_pjAceXoNgNbKwRxMdO'],['}igAajVlKmTlQnJmL~Y'],['aieA_vWhD}[~`@|PaA`j@gRw`@']],
+  'Europe/Samara': [['}rlBgncBaCD[sBg@jBPfBb@ZGx@s@mAqB]Cr@_@Ea@dAAhB\\LwAc@@r@c@c@W|@sAcAK~EcB`BcwB_n@iBuCgAmLr@iF|@m@dAaTFsJ{Bgz@bVwHhDiGhRSRbAjAJL_BdAzAxQqHhB{DrGDzEyDv@jCi@tDXrCzBLt@|AzCZtBbCCzBkB|CUpCb@VHkA`@p@h@}ApAF?gAlA@?a@p@dBbA[Kr@x@CEiFmAkFtBrAWi@Z]AaAhAINeDv@@~AkBq@iD|EyAtBPHmB^v@tAL@pBXOh@pDVEFlBrDtEdEpCFpAoA`GpBtAZg@H`FpAHhBtOn@v@i@nIq@QCdAu@\\[a@BeESf@kAw@La@[aBgNqJFjDuAlBXbAkArZo@u@_@p@u@_A_CWm@gDoB@LuAi@]ElATPs@~BZTYrCj@e@x@~@a@pBn@c@AoAh@FFiA~@HOh@dAd@@fBh@tAc@`@AbAb@EDnADq@\\DEz@fATIp@\\`@T[f@fErAlAh@oArMyHKvCqDtLp@z@p@oCp@fAw@|A`@fAkBvBXx@kA~A`@XvA_AGv@j@FCn@pAGD}@d@GNbCZg@ZpAb@BBlDc@XIs@}AxA@xAe@nAjAj@^zASx@tBrCeAb@a@e@ElCg@u@Ng@w@\\N|@`AFErAu@b@b@zAo@xAp@bAOfAl@q@c@rAp@Zd@a@oBxBqAJiA`CfAeCu@L@iAaAgBa@mEsAI]z@f@pA','qfnByjgB?zvA?}j@','_xlBcufBRNLQGK','cwlBitfBIHNPDS','aolBm}dBd@CCu@s@J'],['spmBkjhBBpDc@ROmAg@MVwDoAaAb@O@sCZf@?nA'],['umiBwy`BvH{Xl@Bc@{CaBuDS}Bx@[XqCk@gB\\_At@L?eBiB@MaBeA\\}@iAYf@eCMPcC}Au@u@_Bs@Ag@oAxNy}@UJq@eBNkBWGAcAb@G`@yBaARw@yARGEeBN]l@`@Ae@|A\\bB}ClA|ASvDbYh@Hx@|DdAfBbC|CXN|@bExAVh@[jCtBf@LkAh@p@rAgC~[hFC|Ah@H@rDvRvYt@a@xr@`l@mw@zlCZhHi@pA_@aAeFoDmDwH_BzBNl@UdBi@R^|CgAWG|AsBmA[hADzCxBn@Gx@}@FR^k@hBiDqDuAnEo@G}@}Ae@vBc@RF~@c@`A[[gAbEO_@m@h@_AqBgYw~B','yvhB_gcB?|j@?{vA','yjgB}rdB?zvA?}j@','{~eBa{aB?zvA?}j@'],['yggBa`eBWKVeCxBRc@~C']],
+  'Europe/San_Marino': [['qytAemW`Bv@KzCkBHAaAeAqC']],
+  'Europe/Sarajevo': [['wbrAk_c@wBnCAdDZlAgBhB@bAq@ZOnAy@BiAtD{AvBUtBk@QKj@oC`BMf@p@l@cA|DrA`ByAjEwAwIiFlCqD`LeBRmDrFkD`B_AaAiAJu@lBDrCqElIyHzIUlBu@v@uB\\}AfDqAjAUjAsAp@kF|KcAV{B~CBhBQmA_@Q_VbJo@Wy@n@e@rBkAb@Dn@kAx@d@x@Qf@j@b@kD|Dq@Tg@cCq@dAcCn@}@YGcAo@EeCxA[{@mAg@eBr@uAoADe@e@c@NgBWBCu@f@Qe@aBVkA`@]h@Z@aArCoA~@eDrAk@ZuCh@g@IuByD}A}FkFSiDx@mCI}Bj@mDQq@o@PXc@]s@Q^Dg@}@?Jm@q@q@f@m@v@^AkAk@Hx@i@[{@j@TWs@p@]hBwFBkCuAw@bBiDFkBq@iA`AAOqAp@N?_Bg@_@h@ODuAw@iCrDiJiAmDu@DKaAkAwAr@s@_@YBm@h@[V\\r@}ABaDe@m@s@T]cBhAwBMiExAgBDgB`@M{@c@e@Zr@iAw@H\\wA]a@x@n@RaBmAc@`@]^f@xAkCl@PBeCf@TbAe@ChBhA_@`BkDAoIOaBuBuEr@iAa@iAFaBz@mCl@FFh@r@MFdAr@@Rj@By@\\l@h@{@`@x@rACC\\~@P@h@l@B^rAp@Ib@bAn@Kr@h@DnAl@NzYy\\d@G?g@d[hGZg@Zz@SdAVjA{@r@VfCWrBDa@Ft@~BI@p@QpCdAjEoBjB|@`@n@fCXQ[y@fBKJmBzAi@fEbD{@Q{@xATtCt@a@b@dCvKhG|BIDxFjAjAfC\\pAs@bApAp@OTr@`D{A^sCv@p@`B{@JhAd@b@hAgANV]vA'],['oatA_}d@d@JYl@[o@']],
+  'Europe/Saratov': [['aacBawrAeCAmAlAsBa@Ht@mRzRwAkBcUiKgDKeKkf@@qDk@i@IcBZyEqA{ChBiFk@cArCkGo@y@n@{@\\_C_AoAf@a@bAsEa@u@Oz@qAoBcBy@Vw@Y}@XMw@eCo@v@]SAh@_A]e@r@e@_Bt@iAGi@vKg]y@_@yAl@mA_D@u@XJ?{@x@eA]cA\\u@i@k@RuAo@o@p@yAmAg@VoA[G@i@eBSn@yC_@TQ}@{@g@lCuBoJycAeCw}@S_@f@kD|@u@y@cGYDyF_VdFnD^`Ah@qA[iHlw@{lChfAhhClk@}IqP|o@uAr@gCjFc@M}ArWySrk@TZdFl}AuMsFsAUgBj@iI|LoAXu@tCjAbBIfAcBRO~@j@vCy@`H^z@fAYLbAKn@sCvB?vBd@n@Ql@vDfRQlBbAW?`AmD?XnB_@lAfBlARbAi@|BXxDUr@h@IAg@~@JTn@IhE`AzFMVd@j@','gweBil|AD]YEA`@']],
+  'Europe/Simferopol': [['eoxAi__AqJ_o@aBcBsAd@mAiCoCt@WAG_AxAyDc@qBDgBrCiHzFwXnBcCGeA{AcB?oAn@aCxBqDhF{\\nN}UaCwCgA{FBkDr@{D_@sEJgc@rI[`Eb@dBxBnBPjB~BbO_D`Gl~@`L|WAdWpB|GxG|EnHrO~@pDb@hGcEvi@o@lCme@`@cSv`A}V{IcCwI']],
+  'Europe/Skopje': [['msqAotj@tB_DdBy@J_ArAWlBmDbA}CGkAl@k@AwBn@u@?qAjDMvBw@x@eApCu@HwA|Aq@tC`BAp@\\TjCq@hC\\|Ak@z@v@~B[\\jAIjFh@xA|Hb@n@fA}AxAhCbD[j@V`He@d@D`BZd@{@JdBvWPd@pAIP~@XChBdD`A?BhFrAXBhAz@nA?v@wApAOrEjBjEHpBq@hBx@~BDdI{A@u@jALrAg@dBlAbAWbDqIpBW|C_CXuChCoBA{An@[MDw@yBeA{@f@Q`A_BXk@pAg@e@k@`@s@kE}CpAu@YoA^aBc@[]Bu@}C`@QiAd@q@a@y@`@eAKyAmBaBw@j@_@We@b@wA@iBiAg@sBBaB_Aw@m@sEkB{CPsB~BiBlAM@eAe@mAFq@aAd@cCaAmAcBTuBq@Ve@_@N}Bz@Sk@cC|@_FaAw@?cBcAc@Hg@_Ay@p@mBQy@eAc@zA_D?oA_@iBN[[WPi@w@y@FeAs@k@WsAn@B']],
+  'Europe/Sofia': [['ojuAghk@v@iDjDyHJ}Cp@cBnB`A~@fGhEpAt@Mh@}@hAkJKsCuAaGOeI^gDxA_EQgH^Sz@uDRkGtA{Dd@cEYgImAyBq@}DT}D`C_G{A}MtAkFYiEX}B|@gAhAyEy@_FJ{BgCsLqAgAo@uB_DmCeByE}B{A[eAmB}O]oKu@}DHcBeB}Gk@gH\\mAM}Bn@gBUqChBc@^aC|AuAQyDxOqt@b@cEIqXfn@fj@r}@_Iz@bs@aBxCd@je@QL~@pAk@|FjB|Bl@m@`@`@V[bBrADrIhClApAw@?pCy@fBJ|@]v@b@fB`@PFrArBBp@q@IwAr@_@fBL@}@hBFzKr\\i@rATvA]hBpAx@UpBn@zAz@xGWnByAl@{AzFw@t@i@fFi@l@`@~AS`BlB^cAnBgA`@Q`BPj@e@BRzAyChBaBJc@v@`F~_@b@l@wAvB~@n@XpDpA`A]zDdAhAUlDc@p@CjDJhAhAxBgAd@Ch@r@hClALb@xAe@vN]kA_CZ{@w@}Aj@iC]kCp@]U@q@uCaB}Ap@IvAqCt@y@dAwBv@kDL?pAo@t@@vBm@j@FjAcA|CmBlDsAVK~@eBx@uB~Ck@wARw@Qi@{Bq@GuAcDkAg@PsYgMoBKaGmKoBEg@g@kArEoHfGg@zDmHfJuDBqBfD}BJeBxAiC_A_B@Yi@_C?_@kF[_@c@NUkDwATeBc@O\\Sm@aAO','sctA_yq@?~j@?}vA','sctA_mp@?|j@?|j@','uwrA}ds@~j@?_U?']],
+  'Europe/Stockholm': [['swqBcuSkMc^mD{BgAsJvFyFrCPTgKeBiA}y@mQA}KwAqDewA}c@qvB~v@ak@ik@yLa{AcxBmUCuCenBeeCmBsgAie@s^bMu}A_k@gf@vcA{`EntB{PzCwElADfAwC~BeAHt@rAy@jAt@jFcB`HxAli@voCbjAb[f\\djApn@ttBzzAxWrTwqApn@}WpM{SviAfsCznClr@jTleCna@pj@]xA?jC~CrW{@nWf@rCsHdL_Bb@XhB{D~@sBqEeB[sCoH{@[_KdKsDhBaGA}HlPs@g@cBvBuZ`F_N`LqSzVkKrI','uedCmyf@?~j@?}vA','{a`Ceil@?|j@?{vA','{a`Ccum@|j@?}T?','}u~Bcum@?zvA?}j@','{a`Cwq^?|j@?{vA','_~{Bmme@}j@?py@?','_~{Bkeh@?|vA?_k@','arzB{rc@?dtB?{vA','cfyBqub@?zvA?}j@','ibuBsia@?|j@?{vA','mtqBu}_@|`A?_U?','oroBu}_@zvA?_U?','szlBu}_@?xbC?}j@'],['sbqBmme@zcAfWl^~|Aor@@qGyLcF}D}h@{t@']],
+  'Europe/Tallinn': [['catBosr@nWwtAvBiHT_DtDoIvDvCHtEzArFnBZlB`DvB`@vBjBzw@jEzAx@`B[RaAq@Hh@cBlA\\Hv@|@m@FmAXl@VsFx@Ap@j@XlBg@`AXj@BpGlAXHrAnBeBn@d@@x@]F^|@S\\xAhCtBu@|DhBmD`SOnBRx@{@f@~@fCj@b`@e@jBwBbA{@xBu@u@c@|Bc@Li@fFwCgAUpBXhAArCc@V?nBoA~@e@dBh@bAF`kBnRpn@cUp^tHz|@mnAgG','kjrB_yq@?~j@?}vA','m~pB_mp@?zvA?}j@']],
+  'Europe/Tirane': [['ilpAsod@}HeIoAOo@lA]{@eAf@OiA}Bf@uCaAwCpFeHyGyAEm@cBqMuJaAaCp@{@fAQtDyMcA[YuB`BqDpCoBf@IVb@~@iAzACPuBYaAtAcCXeB~AsBlEkBzAR~@iAhCy@dAHh@tApAc@PhA|Ca@Ct@Z\\`Bb@nA_@t@X|CqAr@jEj@a@f@d@j@qA~AYPaAz@g@xBdAEv@ZLzAo@nB@tCiC~BYV}CpIqBVcDmAcAf@eBMsAt@kAzAAtBIl@x@Lu@r@AhCqCxEZLhA`AjAbBXU~ElAd@VhAx@?lStJPbBe@jAd@v@SbAn@nAjB^HbDxAaAj@NdC{BpBxAa@`BV\\tDOd@~@n@@[bAhAHO`EyAbEPj@fBf@}AvBoA}@cC_@oAp@_CfHgI`^']],
+  'Europe/Ulyanovsk': [['yweBalzAoQ{FcB^iFw@EbASgB_@RMu@Or@}ATNvBUXyBQa@}@P{@w@o@Yn@PdAgDQGtDy@jC_LzQ[eAeAt@Pb@s@tBcDlBM`@b@v@[x@aAkACvBWc@BdEe@y@_Ci@Co@K|@yAlA@l@X@YBBj@kAT[~EUKChB\\C_@L@`A`@U[zAx@rAg@b@WSAuBqd@mc@_AkDm@RaAlE_AcAg@|Ak@cAFcBhDiIUkFzAo@Js@s@qBXUaDw`AZS_@cCn@a@SsAy@p@D_@o@BEaAv@H\\kBW{BVDJkAYy@z@|A@wE_E}`@?eGe@e@t@sBaCsDrT_x@~i@nBfYv~B~@pBl@i@N^fAcEZZb@aAG_Ab@Sd@wB|@|An@FtAoEhDpDj@iBS_@|@GFy@yBo@E{CZiArBlAF}AfAV_@}Ch@STeBOm@~A{BlDvHxF~UXEx@bG}@t@g@jDR^'],['gweBil|AUA@a@XD']],
+  'Europe/Vaduz': [['i|zAmwQX~Aa@d@^jBYZeA}AgD`AsDyAx@gAb@\\d@aAdAf@d@qBl@Y`@Zv@YFj@']],
+  'Europe/Vatican': [['}ypAqiWDBCPIQ']],
+  'Europe/Vienna': [['g{{AklSl@iFiAu@TyDZGNoBl@u@m@_Fl@w@ZzA`@BBeCTLnAkBz@VH}Ga@Yk@}CJ{A`Av@EyAgBiCHcDk@VIp@{AsBX_CScCcCcA?u@[ETo@MqFR}Bi@Um@sHZYFkJ{DrAKsAgAiB`B^\\[c@eDXs@UwCh@A`BsBMwCsA_AKyF`@q@Uo@j@j@nAaC`AxAx@q@FwAzAoBA_H_A`@y@s@i@XGu@[NcAgAgBb@gA|B^vA_@hC{FeE{DbCi@~BgBn@uBtDeB@By@yCeDOkDaBcCiA}H@uC{@sCeBaDoBw@s@VmB}@yAf@@iAeAcAvC{LaBm@R_@g@}@yAq@qCVQm@[rAqByAHgAhB_DH}A~@}@Dq@h@HXtAXiA~@e@ZyKx@yBm@q@D{@i@BFyAgAq@c@VIs@|@cAZsBs@yAn@e@H{@gEgDa@wAmJ_L_DZeAa@Ks@LwAZ?LuDdBGc@_CJkAqAa@`@u@GyBtFySLkBm@s@C{B`@AVmBXHVaCb@Nr@wAbAyEZeM]Yb@eAkDeI|@iBBkChBe@SsA~@uCWkE|Da@Ji@rC[zDnEz@[fAZB`@x@Sr@cC\\Zl@Yn@aBv@T~B{@|@cBE}@vAgAxAp@Pg@\\h@Tm@Ug@n@eBfAbCRk@t@r@Lk@hBv@^tCbB_CZl@jDsAf@rLcANlAlAB|CkBv@q@|EP|Bv@IrAxC]v@bAj@rAgHE}Cb@i@lANr@cBz@p@RjAvASbBjDItBj@f@g@VBnAn@_@z@t@d@}@jBo@t@j@?dAd@UlAn@NgAxA@M}Bj@W~@bCh@Sb@_Br@bDCq@z@_BN`ASt@Tf@S~@jGzPz@nBVpCjDEn@_@Hs@nBOcCvIn@|EOpEp@^QhAh@hB|@Kn@zAApAo@J]dBtHxe@PpBSXfA^bA~EdA?l@l@mBrAXtAQfAo@X^nEYtARnFgBlCMdBVdAoAzD^hFc@`Dm@hFLr@YRHpAe@^NxCi@lBv@fBeB~REnHs@`@_@lBXxAm@nAHbGs@xBgMjROzAm@q@q@hAkAH?vPNxBl@dAo@fA@zAi@jAx@nDu@vBxAzBdCzRtAt@bAU`@vAnA`@ElFmD`ZNbVa@`BkA`AaAzGw@Hu@i@w@VFzA_BnHT`BSr@c@IGk@w@Xa@[m@Xe@pBeAg@e@`Ac@]y@fAaDsC_AiCcBz@c@]e@bBNZaA`A{ADd@qFUmBmB}@McA^u@~@Td@sBe@Mb@qA_@aBp@JlAgAKwA~@q@Ek@z@[d@hAlB}@i@e@L}Am@_@V}@Q_@pDt@?kE_@uAwB_BGsAaA?e@mAyANu@hA','gw}A{mZ~T?~T?','gw}Aye]~j@?_U?','gk|Aye]|j@?_U?','i_{Aye]?|vA?_k@'],['g{{AklSk@p@KiBFT']],
+  'Europe/Vilnius': [['ymlBkmg@qAc[PsA{AiAgAVqAyCaMwk@Ny@]aDN}Cn@_ASmC^iA]aDr@sJ|@_Ci@cBAsIqAoA@y@NaAtCq@r@cC_AuD{@Z_@oGFcDt@eBf@sEw@iDYmG`BCc@iAVmLbBu@DgBv@o@CmBeAaF]FHkBn@c@KcAf@{B{@{FeADm@}A{@I?uBw@YHsCm@}@Te@IiAg@T[cAPaAv@V~A}BlBGvAgD~CeARwE_@cA|AaDYqDX_@QWPqCg@}@|@cCAaB[k@z@u@`AV|@gGlBoA@mAvGaRtDaCp@yA@gA`As@DaDx@sCGeEdFJnBfE|AaAV\\Xc@Ch@dB]pAbFx@wFAuA]g@XIa@_A`@oB@oCZoAh@EpAnEx@@d@lBp@}@Xz@^nGWfAl[~n@tFu@pA`D|BtAVhAJs@|@Iv@v@I\\lDWIcDj@u@^VNyAdAqA^dAj@s@dBdz@F^Vc@l@pBdCaBN_BNlAp@l@AtE]TL`CpDdT}@hADnAg@NzAtL}@j@]~Ar@r@WxAh@tAn@e@VnAs@Z[jBZfE}@|DwQpLI~Bw@~@O~Aa@H^pBc@bBq@i@i@hCi@_@Mr@g@`G|A|B_DnBUdA}Cf@}@_Ak@x@yAaCk@OaAbAg@s@q@Hg@{@DaAe@K?}@}AuAq@v@[SUx@aAK]r@Nt@i@RJx@a@WgBnDl@ZIf@oB~AwALp@jFg@fJPfGv@jADxAc@lAqAHDfFkAfE[xD_BrCa@|CTfCuEjF|AjGqGbd@{RsC']],
+  'Europe/Volgograd': [['}g}AayvAfBdBTUJtZGrAo@ACr@zn@~~@b@nCc@~H}BR]w@SP?bFzAhB@nCsBj@y`@lu@{@aBI_ByDnABr@cA?UkFuG|DwAyEyBuSgAoCZo@_BoAFsAs@IoDdBq@Q_B{CaBG_B|BwsAnpAga@jLeMo`@_@oC{Bg@}C{BkAiD`B_HVoDAmFo@aG^W?kFOuAwAcAgAuNpLq_@e@k@LWaA{FHiEUo@_AK@f@i@HTs@YyDh@}BScAgBmA^mAYoBlD??aAcAVPmBwDgRPm@e@o@?wBrCwBJo@McAgAX_@{@x@aHk@wCN_AbBSHgAkAcBt@uCnAYhI}LfBk@rATtMrFeFm}AU[xSsk@tZrNlClPviApPkFbj@lEzFRbEdB~Bd@nAEbAf@TSp@h@x@]jCd@VIbAt@t@Wf@TZMp@_@?b@pDf@XBm@f@MQeA\\oA[Mx@oEi@~MVIlAjFR_@p@t@BjAdCUAbAbCN','ec_BsctA?|vA?_k@','gw}Ao{vA?zvA?}j@']],
+  'Europe/Warsaw': [['wbjBy}_@wHefBvWwu@lHeNlDo|@P_SlA}]yAcsA}A}Bf@aGLs@h@^h@iCp@h@b@cB_@qB`@IN_Bv@_AH_CvQqLxDQVw@dDDn@aA|L{ChP}Hl@sAd`@mAdDhI?zDrBzI~AlCpLpLNq@`B?d@aIfAuBYcATQIcAv@VpAwBS{@TmAVHn@qAjBEr@_Av@d@ZtA`@e@`@bAn@s@f@NEl@fALlAsAh@Tb@nC~@~@z@eAlBp@tAEvAkAl@XJ_Bh@IfAsBr@t@@gA\\NRs@r@r@p@SBj@jAx@rAWI}A~CwAzBcGbBVl@e@BeAvBq@Nh@^sApAYtBcDj@{D`AzAAzErA`At@i@B{AtALPsBfAXZy@~BO`Ex@tDnCNnKp@pD|Al@T|AlBrB~A|EhFzJdOxPDn@bAP`G|IbHbHz@o@vXdE[nHyA~AT~Aa@vDw@ILnAe@~AiF~HmAj@ApBsAbCfAvBoBnBI|B{@v@dAhKi@~@w@vFvBjDgAfCXRJbCrAoBTR?dBhAjBh@BT|Bw@f@F|@u@LXx@QnA_@WY~Aw@Dg@dAd@vCa@~@rAlAmAnEEnAh@AQ^\\n@a@`@HdBrBPM|Dn@bBp@X]VvGdCkB`EGbBHv@dAdAWrEwBy@Q}@m@|@}E@DxAj@v@m@jDaBQTz@Oz@}HbF|A~D|@PHhEh@v@nBNd@lAh@URvA[~Cj@jA@lBc@Tc@g@o@v@aBU]z@BtDMZu@k@Wj@cFz@?bCu@|@@rAe@tAq@GcDvBaAiAe@nAoAOIdAr@HErAeAxBUbEd@a@Z~@o@lAq@DMzBs@LCbAb@d@WhAcBv@k@lBt@z@BoA~@AYnAlAbDLlBk@rAa@C[nBuAXkApAUh@Zf@Ot@aBpBq@_Fi@WAqAy@Mi@nAuAu@w@`Cr@Cn@jAVnAU`@LnGb@b@q@d@K~Ad@l@_C@PdCyA`Dm@CLvBq@~@CrBi@lBRn@}@bCLt@bAh@d@eBrCeAXqBn@a@j@b@r@s@Zx@y@l@j@f@?pBl@`@ExArEdG[nCiBpCcCX}DhFG~AeBj@EnB^r@mAr@ElAm@b@g@a@Pe@]Vk@mA@eAu@c@H_By@sAW\\Ko@i@JUoAcDjESvElAb@J`Ac@Zc@bC~B|C[lAa@gAiB|@Qz@b@fEaDxAb@zEmAjEA~C_AfD|@`CwBLiBtDqAPi@o@u@b@?r@e@T^pBiANz@tAo@bBQtB`AfBVi@Qa@f@_@xA`AhBYCdJ_@BkBwCoGcDiK}BmDxCYe@i@r@}A_@u@j@}B|L}@b@wAkBkBLaCrDkCl@o@lBiAi@yAeDaBu@iBLyByAeBxCiBo@q@f@sA{@i@t@]rDa@n@a@SqDdBiA[uBkDoAz@sAeAkAtAcBdGuDbFk@nCuAzBg@zDeBmAqCb@{DyKmDkA{@h@{@UwBsC[z@gJbBoD`CsCU_@`AaC`@qCa@}DnCwAJAh@_@qAwB_@qHxAqG|FeIOtR}H@sAqLwx@qBkXiIw]mGgLcBwJgAkO','yvhBoad@?|j@?{vA','yvhBiqi@?|j@?{vA','yvhBwq^?|j@?{vA','_gcBye]}j@?|T?','_gcBu}_@?zvA?}j@','co`Bkeh@?|vA?_k@']],
+  'Europe/Zagreb': [['{~wAocYtFeQm@}E~@y@NmA?aAw@w@CkCs@Mo@z@CkAS?`B_Lg@C_@eAj@g@Mi@f@iAeCmI{B]PyIt@k@fAPlC}g@aAoA}AfDsABs@l@S}@c@DI{AQLN{AW_@uAhAj@h@uAQd@jAh@Go@VVTmArAeCyGgAiEFw@o@UZg@g@[bAiCi@m@KwAk@|@_@[e@Xc@w@uCL_B_A}A`FyFw@ScAb@mDy@}@i@N}@mHk@eADiAw@k@QqA_Bd@UoDt@uASqARoCg@Ka@fAeD|@g@}@Jw@_@mAu@y@v@mAA{@XGKm@tAsBBuC`@eCXLCa@nByAQ]l@q@QcAXyAjAsAlBKpAeCEg@b@?l@yDbAuBCcAd@k@vADMiA\\J@o@h@|@E{@^g@Fh@DmAt@\\AoAd@hAP{Af@HKo@h@XEi@o@Af@i@[i@p@\\F_A?~A`@EIeA^QOi@X]m@UZgGhAsBxBgAv@eItAeAq@yAEsD|@mDq@oAX}AUi@NmAb@[Z}Ds@q@`AwADmAo@BGiA{@QV}@a@iB[Bq@cBcAIAu@]ZSo@c@HAyAnAkDAc@gAYRKa@{BR]d@dAr@aAFtAhALTHPg@e@k@Hq@dAA@rA\\h@`@qALk@a@oB|@@X|BG{Bj@GOxBd@]BIVs@POZKN|@PLRa@TjAMy@`@CD|@`@\\`B{ACqAi@}@l@a@l@eCn@d@IdDxAPfAoAb@lBf@?z@iBN}BfAYd@kAxAeHDgGhAs@v@j@OxBTPuAdA@hAfAI_A~EXRTy@`BhB]nBz@RfA{@fCDbAdBLsBUy@v@a@v@hCn@b@i@hALbAh@HlAw@@nIaBjDiA^BiBcAd@g@UCdCm@QyAjC_@g@a@\\lAb@S`By@o@\\`@]vAv@Is@hAd@[z@b@a@LEfByAfBLhEiAvB\\bBr@Ud@l@C`Ds@|AW]i@ZCl@^Xs@r@jAvAJ`At@EhAlDsDhJv@hCEtAi@Nf@^?~Aq@ONpAaA@p@hAGjBcBhDtAv@CjCiBvFq@\\Vr@k@UZz@y@h@j@I@jAw@_@g@l@p@p@Kl@|@?Ef@P_@\\r@Yb@n@QPp@k@lDH|By@lCRhD|FjFxD|AHtBi@f@[tCsAj@_AdDsCnAA`Ai@[a@\\WjAd@`Bg@PBt@VCOfBd@b@Ed@tAnAdBs@lAf@Zz@dCyAn@DFbA|@XbCo@p@eAf@bCp@UjD}Dk@c@Pg@e@y@jAy@Eo@jAc@d@sBx@o@n@V~UcJ^PPlACiBzB_DbAWjF}KrAq@TkApAkA|AgDtB]t@w@TmBxH{IpEmIEsCt@mBhAK~@`AjDaBlDsFdBSpDaLhFmCvAvIxAkEsAaBbA}Dq@m@Lg@nCaBJk@j@PTuBzAwBhAuDx@CNoAp@[AcAfBiB[mA@eDvBoCnCFf@qAnCaCjJnF}A~DgRxjBhTb^{c@iGyNj`AuMwh@csA~hCsMfM_c@|K'],['ufxAs{\\BDAB?C'],['yfxAm{\\?DGGFA']],
+  'Europe/Zurich': [['k}{AiyMX{@g@u@G_BZj@h@[HfBx@uBq@mE}@u@@iCfAg@L_A[_@?aGq@i@UmBu@oA^k@I{BhAeALsBU]RgA[{BEv@c@R_@eB_@QRqAVa@VXFi@c@k@y@PKaAm@j@PtC`@?GrBV?e@Na@vBS][^o@cBc@F}@aAUyDs@PReBnAYsAq@rA_AGkAZ[b@z@Zq@l@N`@wBa@k@q@nAg@iAp@WPkBl@j@`AuAmAcG`AoHIaDlAsGhCiEP}BzAE`AaAO[d@cBb@\\bB{@~@hC`DrCrDxAfDaAdA|AX[_@kB`@e@Y_BRs@UaB~AoHG{Av@Wt@h@v@I`A{GjAaA`@aBOcVpNdVrV?Tx@Yr@gAWe@vBw@GSf@w@_@w@jAX`A]b@zAbG_@nArBj@SjA`@rAk@~DoBtAWdAo@G?nJpCc@vB`B`ABHt@tBjAAj@fAnA`@~A|@a@j@Vv@fCtAc@n@lAPq@`AIt@kCt@bAhBn@AhAYEOpAXvAiAaA_CfBw@Ay@|BAxAmDcCq@zAAzAg@b@p@v@s@bC@fAi@d@WSQx@kBrA}@lD]UcAv@gAiAcCC?rHl@?X`Bb@@VlAp@VLtCdAdBpAiB`Bs@fA\\TdAb@LTpC~@Xp@Y~@l@rAvXa@bBz@LIvAr@n@lApDq@vDbAhAApAz@p@g@hAf@hB}BpBaAL[x@S_@c@XOr@uB~Ah@zAOd@qCw@]lEcCMuCyBsCzDq@eA_B]u@tGCdInAxDVtDvAbD~A`ARy@n@Tr@k@YeAh@]v@`AbApDn@Zb@tAU|C`@`@UpA^hAiBkA]|@sAkCOkBPYYm@cAj@cDgCaBrEw@k@i@X_DgD}@|AeFwIeDsI]Km@t@{CcAmA~@yA}BNQs@aFuBiE_@t@]UsCeH]PoCeFwA\\QmBy@[Q}Au@LWbAf@pGgBcAAq@u@Ci@{BqAd@QmA^iB_@iBZcAGmAdB|@F}Bd@[k@eDRoBmAkCQdAa@W`@wAa@cAo@XLo@[Q?x@WDgAkD','ee|As~OB`A\\UL`@?uB','ywxA}nPDa@i@AAR']],
+  'Indian/Antananarivo': [['l|Uec_B~{@{q@lsAqU`zA}NfwC`}@dF_@nHrAlDpBfm@|OlHjCzt@`NhY~JhOjDbn@~Kna@zKnRpGzMhCjYtCxb@tIpdBzl@hBxEh^fxBmh@zjAg`BvYwGHotAxZklCohAmyA|d@{_CcMmy@_aDgx@_`AsmCccA','|aYgw}A?~j@?}vA','xe]i_{A?|j@?{vA','xe]ksyA|T?~T?','ria@ec_B|j@?}T?','pub@ec_B|j@?}T?','nad@ec_B?|vA?_k@','ria@qouA?|j@?{vA','pub@o{vA?zvA?}j@','`ao@o{vA?zvA?}j@','dil@gk|A?zvA?}j@']],
+  'Indian/Chagos': [['phIo_kCaDiQlKiA~E~O'],['phIm_lCYmDrE{@fAzG'],['heJmflCeBhBgBiBfB{B'],['n{J}rjCnBeEnCXcB~E'],['r`KwejCKkFrFfDgA`C'],['njK_cjCdBwBfC~AcBnB'],['n`LiejCsDoBtEoF~AxB'],['l_MkmlCrFuFhK`FyL~F']],
+  'Indian/Christmas': [['b`Sy~lE|AgX~Y~DaFxX']],
+  'Indian/Cocos': [['tiVmo|DfVmB|AdVgh@tB']],
+  'Indian/Comoro': [['b~TwfsAvg@ozAnQqVdp@n`@maAdaB']],
+  'Indian/Kerguelen': [['`diA{~uCqTcEvFgYbRvG'],['hhjA_avCFoTtOwDnCxY'],['tk~AoihCdl@y\\|a@hfAfCvy@}f@vc@_oA_a@'],['bo`BumcCcIeTtKeP~JnT'],['tlxAa{aBvj@wCzDd]ab@bS'],['jsyAqhcBoO{WbRcu@bM`s@']],
+  'Indian/Mahe': [['vzE}vjBjI_NbNpIiIrM'],['fbFunkBhz@{d@lYjf@eLnRiRzK'],['rrH_zfB_JoVnz@cUbm@xv@gVhV'],['p~Ii_kB|GgPhQlE{GlR'],['lvL}plBcCiU~VtCY~P'],['lvLmqeB_MkPpXqIlG~R'],['|uQgk|Ax_@mHhKrN_f@pX'],['fpQewaB{W{f@doAuCh@pU'],['fpQ}zxAePad@`f@mDvDpQ']],
+  'Indian/Maldives': [['mvLawlCuAsq@vhBo\\~dJvLhCt@v]hZoxGfi@']],
+  'Indian/Mauritius': [['d|RufmB^iR~Y}Cw@fR'],['vq^y~rBfRm`@na@nWcJxO'],['lme@sezBuMsRpN_S|SdV'],['lme@_loBf@cZ`h@_B`EnAtDnCdEpGjBhGf@pDYxKgBnHiMbFgR}EmBkAyBgCcGiC']],
+  'Indian/Mayotte': [['peWo{vAbFqTdEmE|D}AhHE~E`A`RtOwT~Z']],
+  'Indian/Reunion': [['zkg@unkBl@mFfC}GjC{BnFqB~A{BlCqA|ZpGh@|AfAfLm@~G{AfGmCpGsAdBiDdCmEhAgDhBgETuBSqK_G_AiBaCgJKmD']],
+  'Pacific/Apia': [['|aYrwpIcEcj@xT{OG_MpByFt@mFp\\cQqJhwA']],
+  'Pacific/Auckland': [['luw@dmzIjPcO|IjXsQbI'],['|vy@by{IpGyX~_@vTyJ~O'],['dd|@by{I|MbKaJzO{LoK'],['hhcAmqsIbeDcwCsMmc@vTrKNOqXgm@|Jaq@|aAlK~L`NpCxFpc@vIsIbk@jhCxmAdRzn@}Sru@hqBdvAzg@sRtc@lpB`BpAtg@bO~A~Abp@`UxbBpdEwZfe@gl@u^lNjo@ok@zc@_|@u^aqCytFetCatBv@si@l^gQyXe]zYoh@uPqQ{Xy@iCbCqTpm@a@jF{Yn^sXeRsBmDq@{EwAiE}uAsTo{Dj~ByJmj@','|{kAiivI?zvA?}j@','twrAqypI|j@?_U?','rctAuulI?|j@?{vA','pouAsanI?zvA?}j@','pouAwikI?|j@?|j@','jsyAwikI?zvA?}j@','lgxA_zeI}j@?~T?','jsyA{qhI?zvA?}j@'],['thaAsmoIvUkBSl]qOcA'],['fk|A_a|IoOiOpK}VpLjO'],['bt_Bcy{IO_YvO}DbFxb@'],['fk|AahdIrDmRdOa@Vrf@'],['`{aB_obIeTcg@|OeXrb@ja@'],['p|eB{qhIeYgPnNob@zPxU']],
+  'Pacific/Bougainville': [['bpGqvvH`W^eCvZ}XcD'],['`|D}bmHphBa|@tTfNlz@yU`ZiWxg@js@_qBnrAylC?'],['j{GyfqH|@yU`Tc@`@hW']],
+  'Pacific/Chatham': [['rzsAdayItFsgA`t@_YfI~q@']],
+  'Pacific/Chuuk': [['aePesgHaJw[|S{K|Xfo@gMne@sPuD'],['izPs}cHnOy^p\\qAeY`g@'],['{dPkocHbQmFdGlOcPhG'],['kbNq{fHh@oe@rv@f@aWrr@'],['kbNmnbHrLuWdVf\\oNlK'],['ifOok_HfLeKfKfLeLfK'],['{yNq_~GlNnK_JjO{N{L'],['ixMq_~GnFiPtOdGiFnO'],['caNss|G`QyS`MlXa\\b`@eNkL'],['o`LkebH{LyJlJcMlNzJ'],['mvLgrhH{H{OnUmQtJzR'],['qtJitiHyGcRdQsFvFfO'],['q~IwmjHkKmQvU}WfVbY'],['wlRatqGtP_DbD|QuPbC'],['izP{qzGcP{DbEiPdPbE'],['idPo`yGtEwQxPhE{DdQ'],['gfR_ulGdRySxRvW}LrJ'],['e|RyioGgCqWxY{NbMl`@'],['idP}nkGzKcSv]bRiT`U'],['kxNaupGcP}JdMyQzLfJ'],['mlMixxGkAsQbR}A|@lR'],['mlMgowGsK{QhNgKpLfQ'],['o`Le{uGgMqMtLsOfLpK']],
+  'Pacific/Easter': [['~ql@zfjEz_AoaBxcBup@vlBpLpwArkAre@~iBsJ|rBzy@xrDi\\lpBgiAdqAsxCfVwbCqaB_d@anB|OwtBms@uyB','`ao@|zhE?|j@?{vA','bum@nzsE?|j@?{vA','~bq@~ngE_U?~j@?','ttx@tvoE?vnD?ybC','vhw@j~wE?zvA?}j@']],
+  'Pacific/Efate': [['~o_@{qhId|@wBnqBeeBb|@~_@uuHhwE_`DVnOkuA']],
+  'Pacific/Fakaofo': [['hnOthpI}CeRzRmEhD|R'],['hzPbqmIvHmRdTvHoKbS'],['z}PranIfM~PuU`LuHwS']],
+  'Pacific/Fiji': [['rx]`e}I`eCqnA~wBKnpAzc@GlXozAp|@cdG?','lme@~p~I?}j@?}j@'],['|~VeayI~WkDuCv^kQkC'],['t}_@qmxIktAmbElh@?vaF?uW~TyFprBy_B`}@','vq^_q~I?|j@?|j@','t}_@emzI?~j@?}vA','pub@cy{I?|vA?_k@'],['hqi@}tsIcO{HzHqO`NdI']],
+  'Pacific/Funafuti': [['fpQ~p~IoO?hU?'],['p~I{mvIsI{QbRiJzGtN'],['tsJeayISsQjQc@X~Q'],['xsLeayIfPiJ|JhM}PpK'],['njKe~vIyNwHdHqNdPbH'],['heMcy{IpGeQlPlFyG`Q'],['jbN{g{Ihb@s}@joAoi@uwAhrB'],['jzSae}IaCwPlPqCpC|P']],
+  'Pacific/Galapagos': [['_sBx{rDruAuoCngAcn@bv@f\\c\\zdC']],
+  'Pacific/Gambier': [['jeh@nbjGxLc`@`SI{Jri@'],['jqh@l`hGxCuV~Qk@x@h\\'],['hqi@paiGzHgOlP|IoIhO'],['fsk@pzfGjRym@|RuBeH`{@'],['dil@tgkGsOiJfIqOjPbJ']],
+  'Pacific/Guadalcanal': [['rrHyvuHo@}Y|n@_Q}Flo@'],['`fOir}HtQhEaD~SuSoE'],['ptJebvHdJaRxR|KcKhP'],['vhLwrrHrm@w_BlHoiBbjEivBE~y@uaAvbCuvAzeEwuAdcAyg@ks@','jbNqvvH?|j@?{vA','jbNsjuH?|j@?|j@','jbNobxH|j@?}T?','hzPonyH?~j@?}vA','ffRmzzH?|vA?_k@','jbNwrrH?zvA?}j@'],['b~TsrvHt^ioAvyAhF{o@`s@'],['ffR{|dIwPaMfXmThIdM'],['ffR{obIvQcw@bjBue@aw@z`B'],['rzUwikIxI{MvMrJ_K`M'],['btUyijIgKcLrLqKxJpM'],['dsV{qhIrEmPhPjEyDzQ']],
+  'Pacific/Guam': [['aaZw{yGpBoInBoDbLiBjGzBzD~EnEt@|HdVe\\zHwE}CgA{B_@oCuBm@kCkB']],
+  'Pacific/Honolulu': [['y|u@bsvIlE{XjXvGaD~_@'],['_yq@lhsIoNqJvIaRpNzM'],['_cq@dynIuQcEnEqSpPdF'],['_cq@|olIb@qQzOSPpS'],['}wm@`bcIl_@`GqVp\\cOiK'],['wep@|egI`HiOfN~GyGtP'],['whm@dj`IpQhA_CjSuO_C'],['eil@jq{Ha@aR|O_BfBfS'],['{|h@vrrHlUitAv]iTpRby@yj@no@aCl@cCAhC|Eb@lIU|CqAhDKvL}BxDoJpFoN`E}IkKGeC_@]hEs_@z@s@r@}BvAiBnBcA'],['myf@vwoHtMuy@xIsJpD{AfDoCxCaAbAcCdTiBtBnBdc@bw@qHlX_`@hGcEz@u@r@'],['qxj@pvvH|Fq\\t@a@dAc@nL?nEd@|DdBlCvCxLvzAwg@o\\'],['u}_@hmjIaDyTnTcB|B~V']],
+  'Pacific/Kanton': [['vnDbxnIgNaNbTkO`IxM'],['r|GfgtIsDuPlR{FbCtR'],['vdErpmIwNcHtG}N|PlG'],['prEranItHgNhNpH}HjN'],['l~EtulIBeQzPGHbQ'],['vzElmsIwEyOnOwE~ErO'],['llGrmoIvFgSpQnJmHbQ'],['r|GfymIaRgDhEmQhPfD']],
+  'Pacific/Kiritimati': [['ipHnbxHvOsHpGnP}OdI'],['upFpuvH_P_PbRoPbMfQ'],['ybCf~rHgA{]jb@kJyE|g@'],['tpFz}mHcAaU`Ta@r@|R'],['p~Il}oHwKmNjMuNfLfN'],['d|RlxhH{Pm@d@iQbQj@'],['b~TjwgHrBgQzQtAmBdQ'],['ffRfwdHmD}SbWDRrQ']],
+  'Pacific/Kosrae': [['oyIir}HnWoBbArWaSrA']],
+  'Pacific/Kwajalein': [['muOokgIiFznAer@~`@en@ub@pj@mFu@wc@hf@}VhI^']],
+  'Pacific/Majuro': [['{y[umhIuGoTdUkJjJ|U'],['s`Vkf|H~`@sElBd]w[rI'],['igVcvaIhVewChXxCbKrr@lj@mFdn@tb@dr@_a@hF{nAji@a~@fqBuo@pgBdiAgSzPyoAgl@sgAhf@cqBfdE{iA_RiuArj@'],['mkWwikIjOcKdNxOiTbL'],['c~TcwiI}Oe`@tu@}NpN}x@tdHmjAuMpi@idAtl@}bAtAshB`{Bm[c^'],['gfR}sxHkMcPxSoStIbO'],['q~Iu{fI{LeKzKeOxNdL']],
+  'Pacific/Marquesas': [['v`N`tqG|KuZlS`c@qQvH'],['hdPf~qGsRcKn\\}pAvJxn@h`@n@'],['ffRvdoGwa@wPVwQlu@aF'],['p{RfpmGhNgQjRx^kW`H']],
+  'Pacific/Midway': [['yrv@by{IyI{SjQkKbIjT'],['yrv@hoyIpIeRxPrFkFpX']],
+  'Pacific/Nauru': [['~TwwdIhAwRtRjAiAtR']],
+  'Pacific/Niue': [['nad@phkIuLcVlTiKvMpV']],
+  'Pacific/Norfolk': [['vhw@cvfIvEkXzUvFkCrS']],
+  'Pacific/Noumea': [['zua@ir}HtxBahAlbCykD|aAoi@bQtu@giCvjDexCl{Acm@gD'],['~yb@ej`IfVmCThUmR`C'],['lme@e~aIaJoQfVoW|Jdd@'],['lrc@sjuHpe@mPjq@~o@}\\vXuf@oI'],['jog@_btH{CuUn\\oHrAfS'],['~kh@qvvH`w@hDc_@nGkF|m@_OmI'],['pmf@abcInUq{A`hAcv@ws@f~B'],['f}j@erhIqEuPhOyFzGvQ'],['fgj@mpmIhFcPlOxEoEtQ'],['f}j@wvnIuP_DnD_RzOxD']],
+  'Pacific/Pago_Pago': [['bhTnlmIT{QlQDChR'],['h`[|egIjQmD`DbRkQhD'],['zmZbqlIw@aCImCn@iHxA_DfSu@zBrEJpClBrCz@zD_@bEeDzGe@d@}O?uBqCkAoE'],['zmZpwjIeAo_@dRaFtFjT']],
+  'Pacific/Palau': [['c|NqheGuAud@xu@fDfaHntD{Htv@ycDo_A']],
+  'Pacific/Pitcairn': [['bkn@bazFcEqUzTqDfChU'],['`ao@vcsFaGaQrNwHlHfQ'],['bum@xx~FkKoOzM_LlKxO'],['xpo@z`}FbN_LzIdP_NfK']],
+  'Pacific/Pohnpei': [['kbNoumHsAg`@`]{@`@lZ'],['kxNozkHiO{LrKuNvPvJ'],['qtJkwqHeAyUzSqDxBz\\'],['upFkdmH_LaObOaLfKdP'],['}`AywlHyN_O|LmNhOxL'],['mvLewrH{Lol@tZsOtPni@'],['wjLqvvHf@}RrRnAm@nQ'],['ojKcoxH_CoRfRaBfB~P']],
+  'Pacific/Port_Moresby': [['llCesgHnv@o}AcHie@xlC?_L~aAxuAdsCaJfmAdd@fhAdbAoJjp@oy@}e@yo@@ap@||@qyDfVb@~Mn_Alx@sUj^ukAj]uHfMv{@i^loCkaAv}Ecd@rj@u@rA{wAj}@cU~jAlEzb@hkAbf@^lBzBbB~Dx`@[AwApEjApJyFzNi@jLbAdA@?vAnfAmyDiD_tFYnAcObFoO_oA_xA}k@opCxfAguAjH}|@im@qvB','xbCkocH?~j@?}vA','xbCi{dH|j@?}T?','p~IesgH?zvA?}j@','rrHakjH?zvA?}j@','zvAug{G?jY?ieA','zvAycwG~T?hF?','vnD{wuG?|j@?{vA','llMok_H_U?|j@?','hnOok_H?zvA?}j@','drSesgH?zvA?}j@'],['drSweoH|OsQpMj`@{OfE']],
+  'Pacific/Rarotonga': [['bhTfncI{NqRrPgKbKtM'],['`dPt~sHPoYbZ@aCvW'],['ffRz{yHbDgTrk@KoFhT'],['tkXhr}H~PcQpN~Q}OvO'],['`kUbvaI~PbD_EbQ_PwD'],['zva@hr}H`PyLlMzPkOpL'],['pkc@newHlK}RfRtFqHhW'],['nwd@f{uHqP_JhIcQpOrJ'],['lme@fotHs@_u@zc@{\\mAnbA'],['jeh@bowH}BgC}@{CDgGv@cD`C_DtDyAlDObDp@pCdCvA|DDbEsAhG}BnC'],['hqi@fzsHwC}ShS_FfDrU']],
+  'Pacific/Saipan': [['yog@w{yGfHoO`OdH}GnP'],['mcf@gezG}GqV|e@aL|@tS'],['oad@qg{GrEkTrSnFgFvR'],['qub@mj{GeAwTdTq@jDlW'],['sia@ik{GgIaX`d@d@k@nR'],['u}_@{m{GjH_U~c@`PkKvQ'],['wq^y~{G^cRvQ|@g@vQ'],['ye]cr{Gg@yBA{BbBiF~AwAjJ}@fIrBhFdEdElAfFtEnCxNg[fD_PkHuBqC'],['{mZw`zGqSoNvGwRhS|K']],
+  'Pacific/Tahiti': [['zmZnssGgImOhTgXfHtS'],['zuZv{yG`TsHhTbj@cW\\'],['zy[doyGrC}PhPzBiBdS'],['`xZrs|GkDu[lQkH|Rds@'],['to\\rs|Gtq@op@sh@~Gdh@is@yS}Pbe@rDUeeBr_@wUjd@|Pm^p~@~a@zb@eeAjaBvEv\\wx@nb@qb@bsB','vq^`szG}HfKji@_{@}PtL','ru_@xmvGiGEEbEdFC'],['v{]hrrGsLcOtKgMxM`N'],['~j]|ktG|k@dKrGlWm]x@'],['t}_@nrtGsNsJ|JmNfM|I'],['zy[nqnGgIoP~OiJdInO'],['v{]p_qGEcTrQm@tAfU'],['v{]~fmH}L{LfLmM~LnL'],['tg_@lrmHaNcPdRqNlKrS'],['vq^b}gHwE}Shq@qy@pMbr@'],['t}_@xclHyQcKtLuP~NjL'],['tg_@xyhH}PiGzFeSpRjG'],['t}_@rncHqAsT`Ty@TtT'],['ro]lw`HjGkSbQbF_FbS'],['|ha@jcbH~^`HeEzLQtE}B|HaBhBgC`ABd@gSnSiIa\\x@oA_AqCMqCj@aFvBsG'],['r_b@hr`HcOyHfHmO|NbH'],['~da@h{dH`SLaAbTeRmA'],['hqi@lrmHqK_NtLqL~KrM'],['f}j@vwiHc@uRrQgA`AzS'],['f}j@dagHuOsJtKiQ|PvK'],['pub@|bkGiL{OzSsNxHrO'],['pub@duiG|GmXtQT{Eb\\'],['zn`@fpmGjA{SxPGx@fY'],['nea@`tqGnx@sIlKlMg`@`d@'],['bzb@d|nG`Pkc@bQ@iLjl@'],['|}c@`tqGnOkIvHjQyPjI'],['nwd@tkoGmOyk@jTcQrHfo@'],['xde@`tqG_G}P~PsHvGzQ'],['ts`@pusG[uRvQkAjAtS'],['no`@zwuGtDmVvb@hHsInU'],['zt`@xcwGrMiMbLhO{NvL'],['r_b@bnuGmGo^~c@kG~DlU'],['r_b@jzvGoPgGdFqPtQ`F'],['hm`@tg{GxP_UdPfG_Or\\'],['lme@nlzG|@ySrTj@oC`V'],['vhc@|ktGy@uUhTsC~BtT'],['nad@h~rGfIcPpO~G_I`Q'],['tof@xcwG|Ssa@hQh@uQjr@'],['h{h@|zqGlDaRhUtAcElW'],['jog@vdoGuIaO|M}IpJrN'],['zdg@fpmG|N{LdOjMaPhO'],['~oi@d|nGmEwb@|k@cE~@jU'],['zpt@ngyGNmU`TcAL|W'],['xfu@`twGqCyRhPeEjDzT'],['bum@|{_HyO}OjIiPtQnN'],['dil@phcHeAeUhQiE|ElY']],
+  'Pacific/Tarawa': [['y_FqypIjgC}Xl~@in@b]t]_y@tw@u\\jAszB~L'],['vUmqsI`o@seCtU_HiDzZjl@nm@avAjzA'],['xxCmhvIwIsN|OaJjHjN'],['xxCa`xIx@sR~SO{CdT'],['|j@qyiIPgRhRZc@rQ']],
+  'Pacific/Tongatapu': [['xe]`mvI_CgTbSkCfC~T'],['jq]nerIxTuFnIbRuPjH'],['txa@lqsItMsV|OhBcKr['],['pkc@hosImOiXjSeMpU~R'],['z{d@lqsItWsQvv@|l@a`Ah]'],['pkc@vktI~JcWnc@t[_OvL'],['lyf@pzuIMeR`RaAj@~S'],['jeh@b|uI{IuDgC{c@|j@uIzDjTaO~OgEdI'],['fgj@tiwIxDcQrPnDmDdR'],['d_m@l{|I`E{\\|^r^oM~L']],
+  'Pacific/Wake': [['ece@andIzMgMnLhKcM`Q']],
+  'Pacific/Wallis': [['zmZ~d{IfGaYzPBmA`['],['~kX|iwI~JyUpV`IuKnT']]
+};
@@ -4,34 +4,204 @@
  */
 
 import { validateCoordinates } from './solar-calculator.js';
+import { TIMEZONE_BOUNDARIES } from './timezone-boundaries.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * How convertTimezoneToUTC resolves local times that occur twice or not at all around a DST change
+ * COMPATIBLE takes the earlier instant in an overlap and the later one in a gap, as JavaScript Dates do
+ */
+export const DST_DISAMBIGUATION = {
+  COMPATIBLE: 'compatible',
+  EARLIER: 'earlier',
+  LATER: 'later',
+  REJECT: 'reject'
+};
+
+/**
+ * Error codes for timezone conversions
+ */
+export const TIMEZONE_ERRORS = {
+  NONEXISTENT_TIME: 'NONEXISTENT_TIME',
+  AMBIGUOUS_TIME: 'AMBIGUOUS_TIME'
+};
+
+/**
+ * Custom error class for timezone conversion errors
+ */
+export class TimezoneError extends Error {
+  constructor(message, code, originalError = null) {
+    super(message);
+    this.name = 'TimezoneError';
+    this.code = code;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Timezone lookup cache to avoid repeated boundary searches
+ */
+const timezoneCache = new Map();
 
 /**
- * Gets timezone for coordinates using browser's Intl API
- * This is a fallback method when external timezone service is not available
+ * Decoded boundaries, built on the first lookup
+ */
+let boundaryIndex = null;
+
+/**
+ * Offset transitions by timezone and year, as found by getDSTTransitions
+ */
+const transitionCache = new Map();
+
+/**
+ * Formatters that split an instant into wall-clock fields, by timezone
+ */
+const partsFormatterCache = new Map();
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Decodes an encoded polyline ring into flat longitude/latitude pairs
+ * @param {string} encoded - Ring encoded at 0.001° precision
+ * @returns {Float64Array} Coordinates as [lng0, lat0, lng1, lat1, ...]
+ */
+function decodeRing(encoded) {
+  const values = [];
+  let index = 0;
+  
+  while (index < encoded.length) {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    
+    values.push(result & 1 ? ~(result >> 1) : result >> 1);
+  }
+  
+  // Values alternate latitude and longitude deltas
+  const ring = new Float64Array(values.length);
+  let latitude = 0;
+  let longitude = 0;
+  for (let i = 0; i < values.length; i += 2) {
+    latitude += values[i];
+    longitude += values[i + 1];
+    ring[i] = longitude / 1000;
+    ring[i + 1] = latitude / 1000;
+  }
+  
+  return ring;
+}
+
+/**
+ * Builds the boundary index: every polygon with its zone and bounding box
+ * @returns {Array} Polygons with timezone, rings and bounds
+ */
+function getBoundaryIndex() {
+  if (!boundaryIndex) {
+    boundaryIndex = [];
+    
+    Object.entries(TIMEZONE_BOUNDARIES).forEach(([timezone, polygons]) => {
+      polygons.forEach(encodedRings => {
+        const rings = encodedRings.map(decodeRing);
+        const [outer] = rings;
+        let west = Infinity, east = -Infinity, south = Infinity, north = -Infinity;
+        
+        for (let i = 0; i < outer.length; i += 2) {
+          west = Math.min(west, outer[i]);
+          east = Math.max(east, outer[i]);
+          south = Math.min(south, outer[i + 1]);
+          north = Math.max(north, outer[i + 1]);
+        }
+        
+        boundaryIndex.push({ timezone, rings, west, east, south, north });
+      });
+    });
+  }
+  
+  return boundaryIndex;
+}
+
+/**
+ * Tests whether a point lies inside a ring using ray casting
+ * @param {number} longitude - Longitude in decimal degrees
  * @param {number} latitude - Latitude in decimal degrees
+ * @param {Float64Array} ring - Flat longitude/latitude pairs
+ * @returns {boolean} True if the point is inside
+ */
+function isInsideRing(longitude, latitude, ring) {
+  let inside = false;
+  
+  for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+    const xi = ring[i], yi = ring[i + 1];
+    const xj = ring[j], yj = ring[j + 1];
+    
+    if ((yi > latitude) !== (yj > latitude) && longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  
+  return inside;
+}
+
+/**
+ * Gets the nautical timezone for a point at sea
+ * Each Etc/GMT zone spans 15° of longitude; the IANA sign convention is inverted, so Etc/GMT-5 is UTC+5
  * @param {number} longitude - Longitude in decimal degrees
- * @returns {string} IANA timezone identifier
+ * @returns {string} Etc/GMT timezone identifier
  */
-function getTimezoneFromBrowser(latitude, longitude) {
-  // This is a simplified approach - in production, you'd want to use a proper timezone lookup service
-  // For now, we'll use the browser's timezone as a fallback
-  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+function getOceanTimezone(longitude) {
+  const hours = Math.round(longitude / 15);
+  
+  if (hours === 0) {
+    return 'Etc/GMT';
+  }
+  
+  return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
 }
 
 /**
- * Timezone lookup cache to avoid repeated API calls
+ * Finds the timezone containing a point in the bundled boundaries
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @returns {string} IANA timezone identifier, or an Etc/GMT zone outside every boundary
  */
-const timezoneCache = new Map();
+function getTimezoneFromBoundaries(latitude, longitude) {
+  const match = getBoundaryIndex().find(polygon =>
+    longitude >= polygon.west && longitude <= polygon.east &&
+    latitude >= polygon.south && latitude <= polygon.north &&
+    isInsideRing(longitude, latitude, polygon.rings[0]) &&
+    !polygon.rings.slice(1).some(hole => isInsideRing(longitude, latitude, hole))
+  );
+  
+  return match ? match.timezone : getOceanTimezone(longitude);
+}
 
 /**
  * Gets timezone for given coordinates
- * Uses a simple coordinate-to-timezone mapping for common locations
- * In production, this would integrate with a timezone lookup service
+ * Looks the point up in bundled, simplified IANA timezone boundaries, so no network is needed;
+ * points at sea get the nautical Etc/GMT zone for their longitude
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees
  * @returns {Promise<string>} IANA timezone identifier
  */
 export async function getTimezoneForCoordinates(latitude, longitude) {
+  return getTimezoneForCoordinatesSync(latitude, longitude);
+}
+
+/**
+ * Gets timezone for given coordinates without waiting
+ * Same lookup and cache as getTimezoneForCoordinates, for synchronous calculations
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @returns {string} IANA timezone identifier
+ */
+export function getTimezoneForCoordinatesSync(latitude, longitude) {
   if (!validateCoordinates(latitude, longitude)) {
     throw new Error('Invalid coordinates provided');
   }
@@ -42,86 +212,188 @@ export async function getTimezoneForCoordinates(latitude, longitude) {
     return timezoneCache.get(cacheKey);
   }
   
-  let timezone;
-  
-  try {
-    // Simple coordinate-based timezone detection for major regions
-    timezone = getTimezoneFromCoordinates(latitude, longitude);
-    
-    if (!timezone) {
-      // Fallback to browser timezone
-      timezone = getTimezoneFromBrowser(latitude, longitude);
-    }
-    
-    timezoneCache.set(cacheKey, timezone);
-    return timezone;
-    
-  } catch (error) {
-    console.warn('Timezone lookup failed, using browser timezone:', error);
-    timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-    timezoneCache.set(cacheKey, timezone);
-    return timezone;
+  const timezone = getTimezoneFromBoundaries(latitude, longitude);
+  timezoneCache.set(cacheKey, timezone);
+  return timezone;
+}
+
+/**
+ * Gets a cached formatter that splits an instant into wall-clock fields in a timezone
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getPartsFormatter(timezone) {
+  if (!partsFormatterCache.has(timezone)) {
+    partsFormatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }));
   }
+  return partsFormatterCache.get(timezone);
 }
 
 /**
- * Simple coordinate-based timezone detection for major regions
- * This is a basic implementation - production apps should use a proper timezone service
- * @param {number} latitude - Latitude in decimal degrees
- * @param {number} longitude - Longitude in decimal degrees
- * @returns {string|null} IANA timezone identifier or null if not found
+ * Creates a zoned date-time: an instant together with the wall clock it shows in a timezone
+ * Unlike convertUTCToTimezone, the instant is never shifted, so it stays safe for arithmetic and
+ * comparison while localParts carries the fields to display
+ * @param {Date} instant - Instant to describe
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Object} Zoned date-time with instant, timezone, offsetMinutes (positive east of UTC) and
+ *   localParts (year, month 1-12, day, hour 0-23, minute, second, millisecond, weekday 0-6 from Sunday)
  */
-function getTimezoneFromCoordinates(latitude, longitude) {
-  // North America
-  if (latitude >= 25 && latitude <= 70 && longitude >= -170 && longitude <= -50) {
-    if (longitude >= -130 && longitude <= -110) return 'America/Los_Angeles';
-    if (longitude >= -110 && longitude <= -100) return 'America/Denver';
-    if (longitude >= -100 && longitude <= -80) return 'America/Chicago';
-    if (longitude >= -80 && longitude <= -65) return 'America/New_York';
-    if (longitude >= -170 && longitude <= -130) return 'Pacific/Honolulu';
+export function createZonedDateTime(instant, timezone) {
+  if (!(instant instanceof Date) || isNaN(instant.getTime())) {
+    throw new Error('Invalid date provided');
   }
   
-  // Europe
-  if (latitude >= 35 && latitude <= 70 && longitude >= -10 && longitude <= 40) {
-    if (longitude >= -10 && longitude <= 5) return 'Europe/London';
-    if (longitude >= 5 && longitude <= 15) return 'Europe/Paris';
-    if (longitude >= 15 && longitude <= 25) return 'Europe/Berlin';
-    if (longitude >= 25 && longitude <= 40) return 'Europe/Moscow';
+  if (!timezone || typeof timezone !== 'string') {
+    throw new Error('Invalid timezone provided');
   }
   
-  // Asia
-  if (latitude >= 10 && latitude <= 70 && longitude >= 60 && longitude <= 180) {
-    if (longitude >= 60 && longitude <= 90) return 'Asia/Kolkata';
-    if (longitude >= 90 && longitude <= 120) return 'Asia/Shanghai';
-    if (longitude >= 120 && longitude <= 150) return 'Asia/Tokyo';
+  let parts;
+  try {
+    parts = getPartsFormatter(timezone).formatToParts(instant);
+  } catch (error) {
+    if (error instanceof RangeError) {
+      throw new Error('Invalid timezone provided');
+    }
+    throw error;
   }
   
-  // Australia
-  if (latitude >= -45 && latitude <= -10 && longitude >= 110 && longitude <= 180) {
-    if (longitude >= 110 && longitude <= 130) return 'Australia/Perth';
-    if (longitude >= 130 && longitude <= 145) return 'Australia/Adelaide';
-    if (longitude >= 145 && longitude <= 155) return 'Australia/Sydney';
+  const fields = {};
+  parts.forEach(part => {
+    fields[part.type] = part.value;
+  });
+  
+  const time = instant.getTime();
+  const localParts = {
+    year: Number(fields.year),
+    month: Number(fields.month),
+    day: Number(fields.day),
+    hour: Number(fields.hour),
+    minute: Number(fields.minute),
+    second: Number(fields.second),
+    millisecond: ((time % 1000) + 1000) % 1000,
+    weekday: WEEKDAYS.indexOf(fields.weekday)
+  };
+  const wallClock = Date.UTC(
+    localParts.year,
+    localParts.month - 1,
+    localParts.day,
+    localParts.hour,
+    localParts.minute,
+    localParts.second,
+    localParts.millisecond
+  );
+  
+  return {
+    instant: new Date(time),
+    timezone,
+    offsetMinutes: (wallClock - time) / 60000,
+    localParts
+  };
+}
+
+/**
+ * Checks whether a value is a zoned date-time from createZonedDateTime
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a zoned date-time
+ */
+export function isZonedDateTime(value) {
+  return value !== null &&
+    typeof value === 'object' &&
+    value.instant instanceof Date &&
+    typeof value.timezone === 'string' &&
+    typeof value.offsetMinutes === 'number' &&
+    value.localParts !== null &&
+    typeof value.localParts === 'object';
+}
+
+/**
+ * Formats a UTC offset as ±HH:MM
+ * @param {number} offsetMinutes - Offset in minutes (positive east of UTC)
+ * @returns {string} Offset such as '+05:45' or '-04:00'
+ */
+export function formatUTCOffset(offsetMinutes) {
+  if (typeof offsetMinutes !== 'number' || !isFinite(offsetMinutes)) {
+    throw new Error('Invalid offset provided');
   }
   
-  // South America
-  if (latitude >= -60 && latitude <= 15 && longitude >= -85 && longitude <= -30) {
-    if (longitude >= -85 && longitude <= -65) return 'America/Lima';
-    if (longitude >= -65 && longitude <= -45) return 'America/Sao_Paulo';
-    if (longitude >= -45 && longitude <= -30) return 'America/Argentina/Buenos_Aires';
+  const total = Math.round(Math.abs(offsetMinutes));
+  const hours = String(Math.floor(total / 60)).padStart(2, '0');
+  const minutes = String(total % 60).padStart(2, '0');
+  return `${offsetMinutes < 0 && total > 0 ? '-' : '+'}${hours}:${minutes}`;
+}
+
+/**
+ * Formats a zoned date-time as an ISO 8601 string with its UTC offset
+ * @param {Object} zoned - Zoned date-time from createZonedDateTime
+ * @returns {string} Local date and time such as '2024-06-21T05:25:00-04:00'
+ */
+export function toZonedISOString(zoned) {
+  if (!isZonedDateTime(zoned)) {
+    throw new Error('Invalid zoned date-time provided');
   }
   
-  // Africa
-  if (latitude >= -35 && latitude <= 35 && longitude >= -20 && longitude <= 50) {
-    if (longitude >= -20 && longitude <= 10) return 'Africa/Lagos';
-    if (longitude >= 10 && longitude <= 30) return 'Africa/Cairo';
-    if (longitude >= 30 && longitude <= 50) return 'Africa/Nairobi';
+  const { year, month, day, hour, minute, second } = zoned.localParts;
+  const pad = value => String(value).padStart(2, '0');
+  const date = `${String(year).padStart(4, '0')}-${pad(month)}-${pad(day)}`;
+  
+  return `${date}T${pad(hour)}:${pad(minute)}:${pad(second)}${formatUTCOffset(zoned.offsetMinutes)}`;
+}
+
+/**
+ * Formats the wall-clock time of a zoned date-time
+ * @param {Object} zoned - Zoned date-time from createZonedDateTime
+ * @param {Object} options - Intl.DateTimeFormat field options, plus locale (default: the runtime's locale)
+ * @returns {string} Time such as '5:25 AM'
+ */
+export function formatZonedTime(zoned, options = {}) {
+  if (!isZonedDateTime(zoned)) {
+    throw new Error('Invalid zoned date-time provided');
   }
   
-  return null;
+  const { locale, ...formatOptions } = options;
+  return new Intl.DateTimeFormat(locale, {
+    hour: 'numeric',
+    minute: '2-digit',
+    ...formatOptions,
+    timeZone: zoned.timezone
+  }).format(zoned.instant);
+}
+
+/**
+ * Formats the calendar date of a zoned date-time
+ * @param {Object} zoned - Zoned date-time from createZonedDateTime
+ * @param {Object} options - Intl.DateTimeFormat field options, plus locale (default: the runtime's locale)
+ * @returns {string} Date such as 'Jun 21, 2024'
+ */
+export function formatZonedDate(zoned, options = {}) {
+  if (!isZonedDateTime(zoned)) {
+    throw new Error('Invalid zoned date-time provided');
+  }
+  
+  const { locale, ...formatOptions } = options;
+  return new Intl.DateTimeFormat(locale, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    ...formatOptions,
+    timeZone: zoned.timezone
+  }).format(zoned.instant);
 }
 
 /**
  * Converts UTC time to local time for a specific timezone
+ * The result is a different instant whose runtime-local fields show the wall clock of the timezone
+ * @deprecated Use createZonedDateTime, which keeps the instant intact
  * @param {Date} utcDate - UTC date to convert
  * @param {string} timezone - IANA timezone identifier
  * @returns {Date} Local date in the specified timezone
@@ -164,21 +436,67 @@ export function convertUTCToTimezone(utcDate, timezone) {
     );
     
     return localDate;
-    
+  
   } catch (error) {
     console.warn('Timezone conversion failed:', error);
     return new Date(utcDate);
   }
 }
 
+/**
+ * Reads a wall-clock time as milliseconds, as if it were UTC
+ * @param {Date|Object} local - Date whose runtime-local fields to read, or wall-clock parts
+ * @returns {number} Wall-clock milliseconds, or NaN if the input is not a valid time
+ */
+function getWallClockTime(local) {
+  if (local instanceof Date) {
+    return Date.UTC(
+      local.getFullYear(),
+      local.getMonth(),
+      local.getDate(),
+      local.getHours(),
+      local.getMinutes(),
+      local.getSeconds(),
+      local.getMilliseconds()
+    );
+  }
+  
+  if (!local || typeof local !== 'object') {
+    return NaN;
+  }
+  
+  const { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 } = local;
+  const fields = [[year, -Infinity, Infinity], [month, 1, 12], [day, 1, 31], [hour, 0, 23], [minute, 0, 59], [second, 0, 59], [millisecond, 0, 999]];
+  
+  if (!fields.every(([value, min, max]) => Number.isInteger(value) && value >= min && value <= max)) {
+    return NaN;
+  }
+  
+  const time = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  
+  // Days past the end of the month roll over into the next one
+  return new Date(time).getUTCDate() === day ? time : NaN;
+}
+
 /**
  * Converts local time to UTC for a specific timezone
- * @param {Date} localDate - Local date to convert
+ * The local wall-clock time is given as parts, or read from a date's runtime-local year, month, day and
+ * time fields; parts can express times that do not exist on the runtime's own clock
+ * @param {Date|Object} localDate - Local date to convert, or wall-clock parts with year, month (1-12), day
+ *   and optional hour, minute, second and millisecond
  * @param {string} timezone - IANA timezone identifier
+ * @param {Object} options - Conversion options
+ * @param {string} options.disambiguation - One of DST_DISAMBIGUATION for times in a DST gap or overlap (default: COMPATIBLE)
  * @returns {Date} UTC date
  */
-export function convertTimezoneToUTC(localDate, timezone) {
-  if (!(localDate instanceof Date) || isNaN(localDate.getTime())) {
+export function convertTimezoneToUTC(localDate, timezone, options = {}) {
+  if (localDate instanceof Date && isNaN(localDate.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  const wallClock = getWallClockTime(localDate);
+  
+  if (isNaN(wallClock)) {
     throw new Error('Invalid date provided');
   }
   
@@ -186,22 +504,125 @@ export function convertTimezoneToUTC(localDate, timezone) {
     throw new Error('Invalid timezone provided');
   }
   
+  const { disambiguation = DST_DISAMBIGUATION.COMPATIBLE } = options;
+  
+  if (!Object.values(DST_DISAMBIGUATION).includes(disambiguation)) {
+    throw new Error('Invalid disambiguation provided');
+  }
+  
   try {
-    // Get the timezone offset for the given date
-    const tempDate = new Date(localDate.toLocaleString('en-US', { timeZone: 'UTC' }));
-    const tempLocal = new Date(localDate.toLocaleString('en-US', { timeZone: timezone }));
-    const offset = tempLocal.getTime() - tempDate.getTime();
+    // Offsets a day either side bracket any DST change; a wall-clock time is valid under an offset
+    // if the instant it gives really has that offset
+    const offsetBefore = getTimezoneOffset(new Date(wallClock - MS_PER_DAY), timezone);
+    const offsetAfter = getTimezoneOffset(new Date(wallClock + MS_PER_DAY), timezone);
+    const candidates = [...new Set([offsetBefore, offsetAfter])]
+      .map(offset => ({ offset, time: wallClock - offset * 60000 }))
+      .sort((a, b) => a.time - b.time);
+    const valid = candidates.filter(candidate => getTimezoneOffset(new Date(candidate.time), timezone) === candidate.offset);
+    
+    if (valid.length === 1) {
+      return new Date(valid[0].time);
+    }
+    
+    const earlier = candidates[0].time;
+    const later = candidates[candidates.length - 1].time;
+    const isGap = valid.length === 0;
     
-    return new Date(localDate.getTime() - offset);
+    if (disambiguation === DST_DISAMBIGUATION.REJECT) {
+      throw isGap
+        ? new TimezoneError(`Local time does not exist in ${timezone}`, TIMEZONE_ERRORS.NONEXISTENT_TIME)
+        : new TimezoneError(`Local time is ambiguous in ${timezone}`, TIMEZONE_ERRORS.AMBIGUOUS_TIME);
+    }
+    
+    if (disambiguation === DST_DISAMBIGUATION.EARLIER) {
+      return new Date(earlier);
+    }
     
+    if (disambiguation === DST_DISAMBIGUATION.LATER) {
+      return new Date(later);
+    }
+    
+    return new Date(isGap ? later : earlier);
+  
   } catch (error) {
+    if (error instanceof TimezoneError) {
+      throw error;
+    }
     console.warn('Timezone conversion failed:', error);
-    return new Date(localDate);
+    return localDate instanceof Date ? new Date(localDate) : new Date(wallClock);
+  }
+}
+
+/**
+ * Lists the instants in a year at which a timezone's UTC offset changes
+ * @param {string} timezone - IANA timezone identifier
+ * @param {number} year - Calendar year
+ * @returns {Array} Transitions in time order, each with time and the offsets before and after in minutes
+ */
+export function getDSTTransitions(timezone, year) {
+  if (!timezone || typeof timezone !== 'string') {
+    throw new Error('Invalid timezone provided');
+  }
+  
+  if (!Number.isInteger(year)) {
+    throw new Error('Invalid year provided');
+  }
+  
+  const cacheKey = `${timezone}:${year}`;
+  
+  if (transitionCache.has(cacheKey)) {
+    return transitionCache.get(cacheKey).map(transition => ({ ...transition, time: new Date(transition.time) }));
   }
+  
+  const yearStart = Date.UTC(year, 0, 1);
+  const yearEnd = Date.UTC(year + 1, 0, 1);
+  const transitions = [];
+  
+  try {
+    let previousTime = yearStart;
+    let previousOffset = getTimezoneOffset(new Date(yearStart), timezone);
+    
+    // Offsets change at most once a day, so daily samples find each change and bisection pins it to the second
+    for (let time = yearStart + MS_PER_DAY; time <= yearEnd; time += MS_PER_DAY) {
+      const offset = getTimezoneOffset(new Date(time), timezone);
+      
+      if (offset !== previousOffset) {
+        let low = previousTime;
+        let high = time;
+        
+        while (high - low > 1000) {
+          const mid = low + Math.floor((high - low) / 2000) * 1000;
+          
+          if (getTimezoneOffset(new Date(mid), timezone) === previousOffset) {
+            low = mid;
+          } else {
+            high = mid;
+          }
+        }
+        
+        if (high < yearEnd) {
+          transitions.push({ time: new Date(high), offsetBefore: previousOffset, offsetAfter: offset });
+        }
+      }
+      
+      previousTime = time;
+      previousOffset = offset;
+    }
+  } catch (error) {
+    if (error instanceof RangeError) {
+      throw new Error('Invalid timezone provided');
+    }
+    throw error;
+  }
+  
+  transitionCache.set(cacheKey, transitions);
+  return transitions.map(transition => ({ ...transition, time: new Date(transition.time) }));
 }
 
 /**
  * Checks if DST is active for a given date and timezone
+ * Standard time is the smallest offset the zone uses during the date's year, so this works in both
+ * hemispheres and is always false for zones without DST
  * @param {Date} date - Date to check
  * @param {string} timezone - IANA timezone identifier
  * @returns {boolean} True if DST is active
@@ -216,18 +637,14 @@ export function isDSTActive(date, timezone) {
   }
   
   try {
-    // Create dates for January and July to compare offsets
-    const january = new Date(date.getFullYear(), 0, 1);
-    const july = new Date(date.getFullYear(), 6, 1);
-    
-    const janOffset = getTimezoneOffset(january, timezone);
-    const julyOffset = getTimezoneOffset(july, timezone);
-    const currentOffset = getTimezoneOffset(date, timezone);
-    
-    // DST is active if current offset is different from standard time offset
-    const standardOffset = Math.max(janOffset, julyOffset);
-    return currentOffset < standardOffset;
+    const year = date.getUTCFullYear();
+    const offsets = [
+      getTimezoneOffset(new Date(Date.UTC(year, 0, 1)), timezone),
+      ...getDSTTransitions(timezone, year).map(transition => transition.offsetAfter)
+    ];
     
+    return getTimezoneOffset(date, timezone) > Math.min(...offsets);
+  
   } catch (error) {
     console.warn('DST check failed:', error);
     return false;
@@ -236,14 +653,64 @@ export function isDSTActive(date, timezone) {
 
 /**
  * Gets timezone offset in minutes for a specific date and timezone
+ * Read from the zone's wall-clock fields, so the runtime's own timezone never comes into it
  * @param {Date} date - Date to get offset for
  * @param {string} timezone - IANA timezone identifier
  * @returns {number} Offset in minutes (positive for east of UTC)
  */
 function getTimezoneOffset(date, timezone) {
-  const utc = new Date(date.toLocaleString('en-US', { timeZone: 'UTC' }));
-  const local = new Date(date.toLocaleString('en-US', { timeZone: timezone }));
-  return (local.getTime() - utc.getTime()) / (1000 * 60);
+  return createZonedDateTime(date, timezone).offsetMinutes;
+}
+
+/**
+ * Finds the UTC instant of local midnight for a calendar day in a timezone
+ * @param {number} year - Calendar year
+ * @param {number} month - Calendar month (0-11)
+ * @param {number} day - Day of month
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Date} Instant at which the local day starts
+ */
+function getLocalMidnight(year, month, day, timezone) {
+  const wallClock = Date.UTC(year, month, day);
+  const offset = getTimezoneOffset(new Date(wallClock), timezone);
+  const midnight = wallClock - offset * 60000;
+  
+  // Re-check the offset at the candidate instant in case a DST change lies in between
+  const correctedOffset = getTimezoneOffset(new Date(midnight), timezone);
+  return new Date(wallClock - correctedOffset * 60000);
+}
+
+/**
+ * Gets the start and end instants of a calendar day in a timezone
+ * The calendar day is read from the date's year, month and day fields
+ * @param {Date} date - Date whose calendar day to use (time is ignored)
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Object} Object with start (inclusive) and end (exclusive) dates
+ */
+export function getLocalDayBounds(date, timezone) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  if (!timezone || typeof timezone !== 'string') {
+    throw new Error('Invalid timezone provided');
+  }
+  
+  try {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    const day = date.getDate();
+    
+    return {
+      start: getLocalMidnight(year, month, day, timezone),
+      end: getLocalMidnight(year, month, day + 1, timezone)
+    };
+  } catch (error) {
+    if (error instanceof RangeError) {
+      throw new Error('Invalid timezone provided');
+    }
+    throw error;
+  }
 }
 
 /**
@@ -289,10 +756,60 @@ function getTimezoneDisplayName(timezone, date) {
 }
 
 /**
- * Converts sun times from UTC to local timezone
+ * Converts a sun time to a zoned date-time, leaving nulls and polar condition results untouched
+ * @param {Date|Object|null} value - UTC date, polar condition result, or null
+ * @param {string} timezone - Target timezone
+ * @returns {Object|null} Zoned date-time or the original value
+ */
+function convertSunTimeToTimezone(value, timezone) {
+  return value instanceof Date ? createZonedDateTime(value, timezone) : value;
+}
+
+/**
+ * Converts the times of a morning/evening period to zoned date-times, keeping its condition
+ * and any other fields
+ * @param {Object} period - Period with morning and evening start/end dates
+ * @param {string} timezone - Target timezone
+ * @returns {Object} Converted period
+ */
+export function convertPeriodToTimezone(period, timezone) {
+  return {
+    ...period,
+    morning: {
+      start: convertSunTimeToTimezone(period.morning.start, timezone),
+      end: convertSunTimeToTimezone(period.morning.end, timezone)
+    },
+    evening: {
+      start: convertSunTimeToTimezone(period.evening.start, timezone),
+      end: convertSunTimeToTimezone(period.evening.end, timezone)
+    }
+  };
+}
+
+/**
+ * Converts terrain sun times to zoned date-times
+ * @param {Object} terrain - Terrain sun times from calculateTerrainSunTimes
+ * @param {string} timezone - Target timezone
+ * @returns {Object} Converted terrain sun times
+ */
+function convertTerrainToTimezone(terrain, timezone) {
+  return {
+    ...terrain,
+    sunAppears: convertSunTimeToTimezone(terrain.sunAppears, timezone),
+    sunDisappears: convertSunTimeToTimezone(terrain.sunDisappears, timezone),
+    periods: terrain.periods.map(period => ({
+      start: convertSunTimeToTimezone(period.start, timezone),
+      end: convertSunTimeToTimezone(period.end, timezone)
+    }))
+  };
+}
+
+/**
+ * Converts sun times from UTC dates to zoned date-times (see createZonedDateTime)
+ * Values that are already zoned, nulls and polar condition results are kept as they are
  * @param {Object} sunTimes - Sun times object with UTC dates
  * @param {string} timezone - Target timezone
- * @returns {Object} Sun times converted to local timezone
+ * @returns {Object} Sun times with zoned date-times in the target timezone
  */
 export function convertSunTimesToTimezone(sunTimes, timezone) {
   if (!sunTimes || typeof sunTimes !== 'object') {
@@ -305,43 +822,27 @@ export function convertSunTimesToTimezone(sunTimes, timezone) {
   
   const convertedTimes = { ...sunTimes };
   
-  // Convert basic times
-  if (sunTimes.sunrise) {
-    convertedTimes.sunrise = convertUTCToTimezone(sunTimes.sunrise, timezone);
-  }
-  if (sunTimes.sunset) {
-    convertedTimes.sunset = convertUTCToTimezone(sunTimes.sunset, timezone);
-  }
-  if (sunTimes.solarNoon) {
-    convertedTimes.solarNoon = convertUTCToTimezone(sunTimes.solarNoon, timezone);
-  }
+  // Convert basic times (polar condition results have no time to convert)
+  convertedTimes.sunrise = convertSunTimeToTimezone(sunTimes.sunrise, timezone);
+  convertedTimes.sunset = convertSunTimeToTimezone(sunTimes.sunset, timezone);
+  convertedTimes.solarNoon = convertSunTimeToTimezone(sunTimes.solarNoon, timezone);
   
   // Convert golden hour times
   if (sunTimes.goldenHour) {
-    convertedTimes.goldenHour = {
-      morning: {
-        start: sunTimes.goldenHour.morning.start ? convertUTCToTimezone(sunTimes.goldenHour.morning.start, timezone) : null,
-        end: sunTimes.goldenHour.morning.end ? convertUTCToTimezone(sunTimes.goldenHour.morning.end, timezone) : null
-      },
-      evening: {
-        start: sunTimes.goldenHour.evening.start ? convertUTCToTimezone(sunTimes.goldenHour.evening.start, timezone) : null,
-        end: sunTimes.goldenHour.evening.end ? convertUTCToTimezone(sunTimes.goldenHour.evening.end, timezone) : null
-      }
-    };
+    convertedTimes.goldenHour = convertPeriodToTimezone(sunTimes.goldenHour, timezone);
   }
   
   // Convert blue hour times
   if (sunTimes.blueHour) {
-    convertedTimes.blueHour = {
-      morning: {
-        start: sunTimes.blueHour.morning.start ? convertUTCToTimezone(sunTimes.blueHour.morning.start, timezone) : null,
-        end: sunTimes.blueHour.morning.end ? convertUTCToTimezone(sunTimes.blueHour.morning.end, timezone) : null
-      },
-      evening: {
-        start: sunTimes.blueHour.evening.start ? convertUTCToTimezone(sunTimes.blueHour.evening.start, timezone) : null,
-        end: sunTimes.blueHour.evening.end ? convertUTCToTimezone(sunTimes.blueHour.evening.end, timezone) : null
-      }
-    };
+    convertedTimes.blueHour = convertPeriodToTimezone(sunTimes.blueHour, timezone);
+  }
+  
+  // Convert preset elevation band times
+  if (sunTimes.bands) {
+    convertedTimes.bands = {};
+    Object.entries(sunTimes.bands).forEach(([name, band]) => {
+      convertedTimes.bands[name] = convertPeriodToTimezone(band, timezone);
+    });
   }
   
   // Convert twilight times
@@ -349,19 +850,15 @@ export function convertSunTimesToTimezone(sunTimes, timezone) {
     convertedTimes.twilight = {};
     ['civil', 'nautical', 'astronomical'].forEach(type => {
       if (sunTimes.twilight[type]) {
-        convertedTimes.twilight[type] = {
-          morning: {
-            start: sunTimes.twilight[type].morning.start ? convertUTCToTimezone(sunTimes.twilight[type].morning.start, timezone) : null,
-            end: sunTimes.twilight[type].morning.end ? convertUTCToTimezone(sunTimes.twilight[type].morning.end, timezone) : null
-          },
-          evening: {
-            start: sunTimes.twilight[type].evening.start ? convertUTCToTimezone(sunTimes.twilight[type].evening.start, timezone) : null,
-            end: sunTimes.twilight[type].evening.end ? convertUTCToTimezone(sunTimes.twilight[type].evening.end, timezone) : null
-          }
-        };
+        convertedTimes.twilight[type] = convertPeriodToTimezone(sunTimes.twilight[type], timezone);
       }
     });
   }
   
+  // Convert terrain sun times
+  if (sunTimes.terrain) {
+    convertedTimes.terrain = convertTerrainToTimezone(sunTimes.terrain, timezone);
+  }
+  
   return convertedTimes;
-}
\ No newline at end of file
+}